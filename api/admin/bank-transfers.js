@@ -0,0 +1,148 @@
+import express from 'express'
+import { validateAdminAccess } from '../../lib/adminAuth.js'
+import { getDb } from '../../lib/db.js'
+import {
+  TRANSFER_STATUS,
+  applyTransfer,
+  getInboundTransfer,
+  listInboundTransfers,
+  listOpenIntents,
+  recordInboundTransfer,
+  setTransferIgnored,
+  suggestTransferMatches,
+  validateManualTransfer,
+} from '../../lib/bank-transfers.js'
+
+// Convert to an Express Router so it mounts safely like other admin modules
+const router = express.Router()
+
+// Guard router.use to avoid non-function handlers
+const __origRouterUse = router.use.bind(router)
+router.use = function guardedRouterUse(...args) {
+  try {
+    const path = (typeof args[0] === 'string' || args[0] instanceof RegExp || Array.isArray(args[0])) ? args[0] : undefined
+    const handlers = path ? args.slice(1) : args
+    const startIndex = path ? 1 : 0
+    for (let i = 0; i < handlers.length; i++) {
+      if (typeof handlers[i] !== 'function') {
+        const idx = startIndex + i
+        const t = typeof handlers[i]
+        console.error('[SUBROUTER_USE_GUARD] Non-function handler; patching', { file: __filename, path, index: idx, type: t })
+        args[idx] = (req, res) => res.status(500).json({ error: 'admin_handler_misconfigured', file: __filename, path: String(path || ''), index: idx, type: t })
+      }
+    }
+  } catch (e) { console.warn('[SUBROUTER_USE_GUARD] Failed:', e?.message) }
+  return __origRouterUse(...args)
+}
+// Require admin access
+router.use((req,res,next)=>{ if(process.env.ADMIN_AUTH_DISABLED==='true'){ return next() } return validateAdminAccess(req,res,next) })
+
+async function audit(req, action, resourceId, changes) {
+  try {
+    const db = await getDb()
+    await db.collection('audit_logs').insertOne({
+      resource: 'bank_transfer',
+      resourceId,
+      action,
+      changes,
+      userId: req.adminUser?.userId || 'system',
+      timestamp: new Date(),
+      severity: 'info'
+    })
+  } catch (e) {
+    console.warn('[bank-transfers] failed to write audit log:', e?.message)
+  }
+}
+
+const errorStatus = (result) => (result.error === 'not_found' ? 404 : result.error === 'transfer_changed' ? 409 : 400)
+
+// GET /admin/bank-transfers?status=unmatched,partially_applied - inbound transfers
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status ?? [TRANSFER_STATUS.UNMATCHED, TRANSFER_STATUS.PARTIAL].join(',')
+    const transfers = await listInboundTransfers({ status: status || undefined, limit: req.query.limit })
+    res.json({ success: true, data: transfers })
+  } catch (e) {
+    console.error('Bank transfers GET error:', e)
+    res.status(500).json({ error: 'Failed to load transfers' })
+  }
+})
+
+// GET /admin/bank-transfers/open-intents - milestones still waiting on a transfer
+router.get('/open-intents', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listOpenIntents() })
+  } catch (e) {
+    console.error('Open intents GET error:', e)
+    res.status(500).json({ error: 'Failed to load open milestones' })
+  }
+})
+
+// POST /admin/bank-transfers - record a transfer from the bank statement
+router.post('/', async (req, res) => {
+  try {
+    const result = validateManualTransfer(req.body || {})
+    if (result.error) return res.status(400).json(result)
+    const { transfer, duplicate } = await recordInboundTransfer(result.fields, { userId: req.adminUser?.userId })
+    if (duplicate) return res.status(409).json({ error: 'duplicate_transfer', message: 'That bank reference has already been recorded', data: transfer })
+    await audit(req, 'record', transfer.transferId, result.fields)
+    res.status(201).json({ success: true, data: transfer })
+  } catch (e) {
+    console.error('Bank transfer POST error:', e)
+    res.status(500).json({ error: 'Failed to record transfer' })
+  }
+})
+
+// GET /admin/bank-transfers/:transferId/suggestions - likely builds and milestones
+router.get('/:transferId/suggestions', async (req, res) => {
+  try {
+    const transfer = await getInboundTransfer(req.params.transferId)
+    if (!transfer) return res.status(404).json({ error: 'Transfer not found' })
+    res.json({ success: true, data: await suggestTransferMatches(transfer) })
+  } catch (e) {
+    console.error('Transfer suggestions GET error:', e)
+    res.status(500).json({ error: 'Failed to suggest matches' })
+  }
+})
+
+// POST /admin/bank-transfers/:transferId/apply - { allocations: [{ buildId, milestone, amount }], note }
+router.post('/:transferId/apply', async (req, res) => {
+  try {
+    const { allocations, note } = req.body || {}
+    const result = await applyTransfer(req.params.transferId, allocations, { userId: req.adminUser?.userId, note })
+    if (result.error) return res.status(errorStatus(result)).json(result)
+    await audit(req, 'apply', req.params.transferId, { allocations, note })
+    res.json({ success: true, data: result.transfer })
+  } catch (e) {
+    console.error('Transfer apply error:', e)
+    res.status(500).json({ error: 'Failed to apply transfer' })
+  }
+})
+
+// POST /admin/bank-transfers/:transferId/ignore - not a build payment; { note } required
+router.post('/:transferId/ignore', async (req, res) => {
+  try {
+    const result = await setTransferIgnored(req.params.transferId, true, { userId: req.adminUser?.userId, note: req.body?.note })
+    if (result.error) return res.status(errorStatus(result)).json(result)
+    await audit(req, 'ignore', req.params.transferId, { note: req.body?.note })
+    res.json({ success: true, data: result.transfer })
+  } catch (e) {
+    console.error('Transfer ignore error:', e)
+    res.status(500).json({ error: 'Failed to ignore transfer' })
+  }
+})
+
+// POST /admin/bank-transfers/:transferId/restore - back to the unmatched queue
+router.post('/:transferId/restore', async (req, res) => {
+  try {
+    const result = await setTransferIgnored(req.params.transferId, false, { userId: req.adminUser?.userId })
+    if (result.error) return res.status(errorStatus(result)).json(result)
+    await audit(req, 'restore', req.params.transferId, null)
+    res.json({ success: true, data: result.transfer })
+  } catch (e) {
+    console.error('Transfer restore error:', e)
+    res.status(500).json({ error: 'Failed to restore transfer' })
+  }
+})
+
+export default router
@@ -0,0 +1,117 @@
+import express from 'express'
+import { validateAdminAccess } from '../../lib/adminAuth.js'
+import { listCatalogOptions, listCatalogVersions, publishCatalogVersion, setOptionTaxable } from '../../lib/catalog.js'
+import { getDb } from '../../lib/db.js'
+
+// Convert to an Express Router so it mounts safely like other admin modules
+const router = express.Router()
+
+// Guard router.use to avoid non-function handlers
+const __origRouterUse = router.use.bind(router)
+router.use = function guardedRouterUse(...args) {
+  try {
+    const path = (typeof args[0] === 'string' || args[0] instanceof RegExp || Array.isArray(args[0])) ? args[0] : undefined
+    const handlers = path ? args.slice(1) : args
+    const startIndex = path ? 1 : 0
+    for (let i = 0; i < handlers.length; i++) {
+      if (typeof handlers[i] !== 'function') {
+        const idx = startIndex + i
+        const t = typeof handlers[i]
+        console.error('[SUBROUTER_USE_GUARD] Non-function handler; patching', { file: __filename, path, index: idx, type: t })
+        args[idx] = (req, res) => res.status(500).json({ error: 'admin_handler_misconfigured', file: __filename, path: String(path || ''), index: idx, type: t })
+      }
+    }
+  } catch (e) { console.warn('[SUBROUTER_USE_GUARD] Failed:', e?.message) }
+  return __origRouterUse(...args)
+}
+// Require admin access
+router.use((req,res,next)=>{ if(process.env.ADMIN_AUTH_DISABLED==='true'){ return next() } return validateAdminAccess(req,res,next) })
+
+// GET /admin/catalog - catalog versions, newest first
+router.get('/', async (req, res) => {
+  try {
+    const data = await listCatalogVersions(req.query.limit)
+    res.json({ success: true, data })
+  } catch (e) {
+    console.error('Catalog GET error:', e)
+    res.status(500).json({ error: 'Failed to load catalog versions' })
+  }
+})
+
+// POST /admin/catalog - snapshot current model and option prices as a new version
+router.post('/', async (req, res) => {
+  try {
+    const { effectiveAt, note } = req.body || {}
+    if (effectiveAt && Number.isNaN(new Date(effectiveAt).getTime())) {
+      return res.status(400).json({ error: 'effectiveAt must be a valid date' })
+    }
+    const doc = await publishCatalogVersion({ effectiveAt, note, createdBy: req.adminUser?.userId })
+
+    try {
+      const db = await getDb()
+      await db.collection('audit_logs').insertOne({
+        resource: 'catalog',
+        resourceId: String(doc.version),
+        action: 'publish',
+        changes: { effectiveAt: doc.effectiveAt, note: doc.note },
+        userId: req.adminUser?.userId || 'system',
+        timestamp: new Date(),
+        severity: 'info'
+      })
+    } catch (e) {
+      console.warn('[catalog] failed to write audit log:', e?.message)
+    }
+
+    const { models, options, ...summary } = doc
+    res.json({ success: true, data: { ...summary, modelCount: models.length, optionCount: options.length } })
+  } catch (e) {
+    console.error('Catalog POST error:', e)
+    res.status(500).json({ error: 'Failed to publish catalog version' })
+  }
+})
+
+// GET /admin/catalog/options - options as the next version will snapshot them
+router.get('/options', async (req, res) => {
+  try {
+    const data = await listCatalogOptions()
+    res.json({ success: true, data })
+  } catch (e) {
+    console.error('Catalog options GET error:', e)
+    res.status(500).json({ error: 'Failed to load catalog options' })
+  }
+})
+
+// PATCH /admin/catalog/options/:id - { taxable }; publishes a new version so new quotes pick it up
+router.patch('/options/:id', async (req, res) => {
+  try {
+    if (typeof req.body?.taxable !== 'boolean') return res.status(400).json({ error: 'taxable must be true or false' })
+    const result = await setOptionTaxable(req.params.id, req.body.taxable, { userId: req.adminUser?.userId })
+    if (result.error) return res.status(404).json({ error: 'Option not found' })
+    const doc = await publishCatalogVersion({
+      note: `${result.option.name} ${result.option.taxable ? 'taxed' : 'no longer taxed'}`,
+      createdBy: req.adminUser?.userId,
+    })
+
+    try {
+      const db = await getDb()
+      await db.collection('audit_logs').insertOne({
+        resource: 'catalog_option',
+        resourceId: req.params.id,
+        action: 'update',
+        changes: { taxable: result.option.taxable, version: doc.version },
+        userId: req.adminUser?.userId || 'system',
+        timestamp: new Date(),
+        severity: 'info'
+      })
+    } catch (e) {
+      console.warn('[catalog] failed to write audit log:', e?.message)
+    }
+
+    res.json({ success: true, data: { option: result.option, version: doc.version } })
+  } catch (e) {
+    console.error('Catalog option PATCH error:', e)
+    res.status(500).json({ error: 'Failed to update catalog option' })
+  }
+})
+
+export default router
@@ -0,0 +1,190 @@
+import express from 'express'
+import { ObjectId } from 'mongodb'
+import { validateAdminAccess } from '../../lib/adminAuth.js'
+import { getDb } from '../../lib/db.js'
+import { countersignLink, listAwaitingCountersignature } from '../../lib/contract-signers.js'
+import {
+  activateTemplateVersion,
+  builtinTemplate,
+  contractTemplateKeys,
+  createTemplateVersion,
+  effectiveTemplateVersion,
+  getTemplateVersion,
+  listTemplateVersions,
+  renderTemplatePreview,
+} from '../../lib/contract-templates.js'
+import { checkTemplateFields, normalizeTemplateHtml } from '../../lib/docuseal/fieldValidator.js'
+
+// Convert to an Express Router so it mounts safely like other admin modules
+const router = express.Router()
+
+// Guard router.use to avoid non-function handlers
+const __origRouterUse = router.use.bind(router)
+router.use = function guardedRouterUse(...args) {
+  try {
+    const path = (typeof args[0] === 'string' || args[0] instanceof RegExp || Array.isArray(args[0])) ? args[0] : undefined
+    const handlers = path ? args.slice(1) : args
+    const startIndex = path ? 1 : 0
+    for (let i = 0; i < handlers.length; i++) {
+      if (typeof handlers[i] !== 'function') {
+        const idx = startIndex + i
+        const t = typeof handlers[i]
+        console.error('[SUBROUTER_USE_GUARD] Non-function handler; patching', { file: __filename, path, index: idx, type: t })
+        args[idx] = (req, res) => res.status(500).json({ error: 'admin_handler_misconfigured', file: __filename, path: String(path || ''), index: idx, type: t })
+      }
+    }
+  } catch (e) { console.warn('[SUBROUTER_USE_GUARD] Failed:', e?.message) }
+  return __origRouterUse(...args)
+}
+// Require admin access
+router.use((req,res,next)=>{ if(process.env.ADMIN_AUTH_DISABLED==='true'){ return next() } return validateAdminAccess(req,res,next) })
+
+async function audit(req, action, resourceId, changes) {
+  try {
+    const db = await getDb()
+    await db.collection('audit_logs').insertOne({
+      resource: 'contract',
+      resourceId,
+      action,
+      changes,
+      userId: req.adminUser?.userId || 'system',
+      timestamp: new Date(),
+      severity: 'info'
+    })
+  } catch (e) {
+    console.warn('[contracts] failed to write audit log:', e?.message)
+  }
+}
+
+// GET /admin/contracts/countersign - packs every buyer has signed, waiting on Firefly
+router.get('/countersign', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listAwaitingCountersignature({ limit: req.query.limit }) })
+  } catch (e) {
+    console.error('Countersign queue GET error:', e)
+    res.status(500).json({ error: 'Failed to load the countersignature queue' })
+  }
+})
+
+// POST /admin/contracts/:contractId/countersign { packId } - the dealer's signing link
+router.post('/:contractId/countersign', async (req, res) => {
+  try {
+    const packId = req.body?.packId || 'agreement'
+    if (!ObjectId.isValid(req.params.contractId)) return res.status(404).json({ error: 'Contract not found' })
+    const db = await getDb()
+    const contract = await db.collection('contracts').findOne({ _id: new ObjectId(req.params.contractId) })
+    if (!contract) return res.status(404).json({ error: 'Contract not found' })
+
+    const result = await countersignLink(contract, packId, { userId: req.adminUser?.userId || 'admin' })
+    if (result.error) return res.status(result.error === 'no_link' ? 502 : 409).json(result)
+    await audit(req, 'countersign_opened', req.params.contractId, { packId, buildId: contract.buildId })
+    res.json({ success: true, data: { url: result.url, signer: { name: result.signer.name, email: result.signer.email, invitedAt: result.signer.invitedAt } } })
+  } catch (e) {
+    console.error('Countersign POST error:', e)
+    res.status(500).json({ error: 'Failed to open the countersignature' })
+  }
+})
+
+// Version records without their HTML, which only the editor loads
+function withoutHtml(version) {
+  const copy = { ...version }
+  delete copy.html
+  return copy
+}
+
+const templateErrorStatus = (result) => (result.error === 'not_found' ? 404 : result.error === 'version_conflict' || result.error === 'already_effective' ? 409 : 400)
+
+// GET /admin/contracts/templates - each pack template and the version in effect
+router.get('/templates', async (req, res) => {
+  try {
+    const data = []
+    for (const key of contractTemplateKeys()) {
+      const versions = await listTemplateVersions(key)
+      const active = await effectiveTemplateVersion(key)
+      const now = new Date()
+      data.push({
+        key,
+        name: builtinTemplate(key).name,
+        activeVersion: active?.version ?? null,
+        scheduled: versions.filter(v => v.effectiveAt && new Date(v.effectiveAt) > now).map(v => ({ version: v.version, effectiveAt: v.effectiveAt })),
+        versions: versions.length
+      })
+    }
+    res.json({ success: true, data })
+  } catch (e) {
+    console.error('Contract templates GET error:', e)
+    res.status(500).json({ error: 'Failed to load contract templates' })
+  }
+})
+
+// GET /admin/contracts/templates/:key/versions - saved versions, newest first
+router.get('/templates/:key/versions', async (req, res) => {
+  try {
+    if (!contractTemplateKeys().includes(req.params.key)) return res.status(404).json({ error: 'Template not found' })
+    res.json({ success: true, data: await listTemplateVersions(req.params.key) })
+  } catch (e) {
+    console.error('Template versions GET error:', e)
+    res.status(500).json({ error: 'Failed to load template versions' })
+  }
+})
+
+// GET /admin/contracts/templates/:key/versions/:version - one version with its HTML; "builtin" for the shipped source
+router.get('/templates/:key/versions/:version', async (req, res) => {
+  try {
+    const { key, version } = req.params
+    if (!contractTemplateKeys().includes(key)) return res.status(404).json({ error: 'Template not found' })
+    if (version === 'builtin') {
+      const builtin = builtinTemplate(key)
+      return res.json({ success: true, data: { key, version: null, name: builtin.name, html: builtin.html(), sha256: builtin.sha256, source: 'builtin' } })
+    }
+    const found = await getTemplateVersion(key, version)
+    if (!found) return res.status(404).json({ error: 'Version not found' })
+    res.json({ success: true, data: found })
+  } catch (e) {
+    console.error('Template version GET error:', e)
+    res.status(500).json({ error: 'Failed to load template version' })
+  }
+})
+
+// POST /admin/contracts/templates/:key/preview { html } - rendered preview and field check, nothing saved
+router.post('/templates/:key/preview', async (req, res) => {
+  try {
+    const builtin = builtinTemplate(req.params.key)
+    if (!builtin) return res.status(404).json({ error: 'Template not found' })
+    const html = normalizeTemplateHtml(req.body?.html)
+    const { fields, errors, warnings } = checkTemplateFields(html, builtin.fieldMap)
+    res.json({ success: true, data: { html: renderTemplatePreview(html), fields: fields.length, errors, warnings } })
+  } catch (e) {
+    console.error('Template preview error:', e)
+    res.status(500).json({ error: 'Failed to preview template' })
+  }
+})
+
+// POST /admin/contracts/templates/:key/versions { name, html, notes } - save a new immutable version
+router.post('/templates/:key/versions', async (req, res) => {
+  try {
+    const result = await createTemplateVersion(req.params.key, req.body || {}, { userId: req.adminUser?.userId || 'admin' })
+    if (result.error) return res.status(templateErrorStatus(result)).json(result)
+    if (!result.reused) await audit(req, 'template_version_created', result.version._id, { key: req.params.key, version: result.version.version, sha256: result.version.sha256 })
+    res.status(result.reused ? 200 : 201).json({ success: true, reused: result.reused, data: withoutHtml(result.version) })
+  } catch (e) {
+    console.error('Template version POST error:', e)
+    res.status(500).json({ error: 'Failed to save template version' })
+  }
+})
+
+// POST /admin/contracts/templates/:key/versions/:version/activate { effectiveAt } - in effect now or from a later date
+router.post('/templates/:key/versions/:version/activate', async (req, res) => {
+  try {
+    const { key, version } = req.params
+    const result = await activateTemplateVersion(key, version, { effectiveAt: req.body?.effectiveAt || null, userId: req.adminUser?.userId || 'admin' })
+    if (result.error) return res.status(templateErrorStatus(result)).json(result)
+    await audit(req, 'template_version_activated', result.version._id, { key, version: result.version.version, effectiveAt: result.version.effectiveAt })
+    res.json({ success: true, data: withoutHtml(result.version) })
+  } catch (e) {
+    console.error('Template activate error:', e)
+    res.status(500).json({ error: 'Failed to activate template version' })
+  }
+})
+
+export default router
@@ -6,6 +6,8 @@ import { z } from 'zod'
 import { getDb } from '../../lib/db.js'
 import { validateRequest } from '../../lib/requestValidation.js'
 import { validateAdminAccess } from '../../lib/adminAuth.js'
+import { reconcileLedgers } from '../../lib/ledger.js'
+import { getPaymentClient, paymentsConfigured } from '../../lib/payment-providers.js'
 
 const router = express.Router()
 
@@ -439,6 +441,23 @@ router.get('/forecast', async (req, res) => {
   }
 })
 
+// Ledger reconciliation: payment flags vs ledger entries vs Stripe objects
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const useStripe = req.query.stripe !== 'false' && paymentsConfigured()
+    const data = await reconcileLedgers({
+      stripe: useStripe ? getPaymentClient() : null,
+      buildId: req.query.buildId,
+      limit: req.query.limit,
+    })
+    if (req.query.issuesOnly === 'true') data.builds = data.builds.filter(b => b.issues.length)
+    res.json({ success: true, data })
+  } catch (error) {
+    console.error('Reconciliation error:', error)
+    res.status(500).json({ error: 'Failed to reconcile ledger' })
+  }
+})
+
 // Generate financial report
 router.post('/report', async (req, res) => {
   try {
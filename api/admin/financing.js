@@ -0,0 +1,107 @@
+import express from 'express'
+import { validateAdminAccess } from '../../lib/adminAuth.js'
+import { getDb } from '../../lib/db.js'
+import {
+  APPLICATION_STATUS,
+  CREDIT_TIERS,
+  deleteFinancingProgram,
+  listFinancingApplications,
+  listFinancingPrograms,
+  listLenderAdapters,
+  saveFinancingProgram,
+} from '../../lib/financing.js'
+
+// Convert to an Express Router so it mounts safely like other admin modules
+const router = express.Router()
+
+// Guard router.use to avoid non-function handlers
+const __origRouterUse = router.use.bind(router)
+router.use = function guardedRouterUse(...args) {
+  try {
+    const path = (typeof args[0] === 'string' || args[0] instanceof RegExp || Array.isArray(args[0])) ? args[0] : undefined
+    const handlers = path ? args.slice(1) : args
+    const startIndex = path ? 1 : 0
+    for (let i = 0; i < handlers.length; i++) {
+      if (typeof handlers[i] !== 'function') {
+        const idx = startIndex + i
+        const t = typeof handlers[i]
+        console.error('[SUBROUTER_USE_GUARD] Non-function handler; patching', { file: __filename, path, index: idx, type: t })
+        args[idx] = (req, res) => res.status(500).json({ error: 'admin_handler_misconfigured', file: __filename, path: String(path || ''), index: idx, type: t })
+      }
+    }
+  } catch (e) { console.warn('[SUBROUTER_USE_GUARD] Failed:', e?.message) }
+  return __origRouterUse(...args)
+}
+// Require admin access
+router.use((req,res,next)=>{ if(process.env.ADMIN_AUTH_DISABLED==='true'){ return next() } return validateAdminAccess(req,res,next) })
+
+async function audit(req, action, resourceId, changes) {
+  try {
+    const db = await getDb()
+    await db.collection('audit_logs').insertOne({
+      resource: 'financing_program',
+      resourceId,
+      action,
+      changes,
+      userId: req.adminUser?.userId || 'system',
+      timestamp: new Date(),
+      severity: 'info'
+    })
+  } catch (e) {
+    console.warn('[financing] failed to write audit log:', e?.message)
+  }
+}
+
+// GET /admin/financing/programs - every program plus the values the editor offers
+router.get('/programs', async (req, res) => {
+  try {
+    const programs = await listFinancingPrograms()
+    res.json({ success: true, data: { programs, creditTiers: CREDIT_TIERS, adapters: listLenderAdapters() } })
+  } catch (e) {
+    console.error('Financing programs GET error:', e)
+    res.status(500).json({ error: 'Failed to load financing programs' })
+  }
+})
+
+// PUT /admin/financing/programs/:id - create or replace a program
+router.put('/programs/:id', async (req, res) => {
+  try {
+    const result = await saveFinancingProgram({ ...(req.body || {}), id: req.params.id }, { userId: req.adminUser?.userId })
+    if (result.error) return res.status(400).json(result)
+    await audit(req, 'upsert', result.program.id, result.program)
+    res.json({ success: true, data: result.program })
+  } catch (e) {
+    console.error('Financing program PUT error:', e)
+    res.status(500).json({ error: 'Failed to save financing program' })
+  }
+})
+
+// DELETE /admin/financing/programs/:id - applications keep their own copy of the quote
+router.delete('/programs/:id', async (req, res) => {
+  try {
+    const deleted = await deleteFinancingProgram(req.params.id)
+    if (!deleted) return res.status(404).json({ error: 'Financing program not found' })
+    await audit(req, 'delete', req.params.id, null)
+    res.json({ success: true, data: { id: req.params.id } })
+  } catch (e) {
+    console.error('Financing program DELETE error:', e)
+    res.status(500).json({ error: 'Failed to delete financing program' })
+  }
+})
+
+// GET /admin/financing/applications - recent pre-qualifications, newest first
+router.get('/applications', async (req, res) => {
+  try {
+    const { buildId, status, limit } = req.query
+    if (status && !Object.values(APPLICATION_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${Object.values(APPLICATION_STATUS).join(', ')}` })
+    }
+    const data = await listFinancingApplications({ buildId, status, limit })
+    res.json({ success: true, data })
+  } catch (e) {
+    console.error('Financing applications GET error:', e)
+    res.status(500).json({ error: 'Failed to load financing applications' })
+  }
+})
+
+export default router
@@ -23,6 +23,13 @@ import workflowsRouter from './workflows.js'
 import monitoringRouter from './monitoring.js'
 import exportRouter from './export.js'
 import settingsRouter from './settings.js'
+import catalogRouter from './catalog.js'
+import webhooksRouter from './webhooks.js'
+import financingRouter from './financing.js'
+import promotionsRouter from './promotions.js'
+import taxRouter from './tax.js'
+import bankTransfersRouter from './bank-transfers.js'
+import contractsRouter from './contracts.js'
 
 const router = express.Router()
 
@@ -313,6 +320,13 @@ mountSafe('/workflows', workflowsRouter, 'workflowsRouter')
 mountSafe('/monitoring', monitoringRouter, 'monitoringRouter')
 mountSafe('/export', exportRouter, 'exportRouter')
 mountSafe('/settings', settingsRouter, 'settingsRouter')
+mountSafe('/catalog', catalogRouter, 'catalogRouter')
+mountSafe('/webhooks', webhooksRouter, 'webhooksRouter')
+mountSafe('/financing', financingRouter, 'financingRouter')
+mountSafe('/promotions', promotionsRouter, 'promotionsRouter')
+mountSafe('/tax', taxRouter, 'taxRouter')
+mountSafe('/bank-transfers', bankTransfersRouter, 'bankTransfersRouter')
+mountSafe('/contracts', contractsRouter, 'contractsRouter')
 
 console.log('[ADMIN_CLEAN] All sub-routers mounted successfully')
 
@@ -4,6 +4,7 @@
 import express from 'express'
 import { z } from 'zod'
 import { getDb } from '../../lib/db.js'
+import { BUILDS_COLLECTION } from '../../lib/builds.js'
 import { validateRequest } from '../../lib/requestValidation.js'
 import { validateAdminAccess } from '../../lib/adminAuth.js'
 
@@ -71,7 +72,8 @@ router.get('/', async (req, res) => {
       dateTo,
       modelId,
       customerId,
-      priority
+      priority,
+      deliveryEstimated
     } = req.query
 
     const db = await getDb()
@@ -86,6 +88,12 @@ router.get('/', async (req, res) => {
     if (modelId) filter.modelId = modelId
     if (customerId) filter.customerId = customerId
     if (priority) filter.priority = priority
+    // Orders whose delivery fee was priced without a live routing API. The
+    // flag lives on the build the order came from.
+    if (deliveryEstimated === 'true' || deliveryEstimated === 'false') {
+      const estimated = await estimatedBuildIds(db)
+      filter.buildId = deliveryEstimated === 'true' ? { $in: estimated } : { $nin: estimated }
+    }
     
     // Date range filter
     if (dateFrom || dateTo) {
@@ -116,6 +124,9 @@ router.get('/', async (req, res) => {
       .limit(parseInt(limit))
       .toArray()
 
+    const estimatedIds = new Set(await estimatedBuildIds(db, orders.map(o => o.buildId).filter(Boolean)))
+    for (const order of orders) order.deliveryEstimated = estimatedIds.has(String(order.buildId))
+
     // Get total count for pagination
     const total = await ordersCollection.countDocuments(filter)
 
@@ -153,6 +164,15 @@ router.get('/', async (req, res) => {
   }
 })
 
+// Ids of builds whose delivery fee is an offline estimate, optionally limited to `buildIds`
+async function estimatedBuildIds(db, buildIds = null) {
+  const { ObjectId } = await import('mongodb')
+  const query = { 'pricing.deliveryEstimated': true }
+  if (buildIds) query._id = { $in: buildIds.filter(id => ObjectId.isValid(String(id))).map(id => new ObjectId(String(id))) }
+  const builds = await db.collection(BUILDS_COLLECTION).find(query, { projection: { _id: 1 } }).toArray()
+  return builds.map(b => String(b._id))
+}
+
 // Get single order with full details
 router.get('/:orderId', async (req, res) => {
   try {
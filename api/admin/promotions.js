@@ -0,0 +1,128 @@
+import express from 'express'
+import { validateAdminAccess } from '../../lib/adminAuth.js'
+import { getDb } from '../../lib/db.js'
+import { getBuildById } from '../../lib/builds.js'
+import {
+  ADJUSTMENT_REASONS,
+  PROMO_REDEMPTIONS_COLLECTION,
+  deletePromoCode,
+  listPromoCodes,
+  normalizePromoCode,
+  savePromoCode,
+} from '../../lib/adjustments.js'
+
+// Convert to an Express Router so it mounts safely like other admin modules
+const router = express.Router()
+
+// Guard router.use to avoid non-function handlers
+const __origRouterUse = router.use.bind(router)
+router.use = function guardedRouterUse(...args) {
+  try {
+    const path = (typeof args[0] === 'string' || args[0] instanceof RegExp || Array.isArray(args[0])) ? args[0] : undefined
+    const handlers = path ? args.slice(1) : args
+    const startIndex = path ? 1 : 0
+    for (let i = 0; i < handlers.length; i++) {
+      if (typeof handlers[i] !== 'function') {
+        const idx = startIndex + i
+        const t = typeof handlers[i]
+        console.error('[SUBROUTER_USE_GUARD] Non-function handler; patching', { file: __filename, path, index: idx, type: t })
+        args[idx] = (req, res) => res.status(500).json({ error: 'admin_handler_misconfigured', file: __filename, path: String(path || ''), index: idx, type: t })
+      }
+    }
+  } catch (e) { console.warn('[SUBROUTER_USE_GUARD] Failed:', e?.message) }
+  return __origRouterUse(...args)
+}
+// Require admin access
+router.use((req,res,next)=>{ if(process.env.ADMIN_AUTH_DISABLED==='true'){ return next() } return validateAdminAccess(req,res,next) })
+
+async function audit(req, action, resourceId, changes) {
+  try {
+    const db = await getDb()
+    await db.collection('audit_logs').insertOne({
+      resource: 'promo_code',
+      resourceId,
+      action,
+      changes,
+      userId: req.adminUser?.userId || 'system',
+      timestamp: new Date(),
+      severity: 'info'
+    })
+  } catch (e) {
+    console.warn('[promotions] failed to write audit log:', e?.message)
+  }
+}
+
+// GET /admin/promotions - promo codes plus the adjustment reason codes
+router.get('/', async (req, res) => {
+  try {
+    const promos = await listPromoCodes()
+    res.json({ success: true, data: { promos, reasons: ADJUSTMENT_REASONS } })
+  } catch (e) {
+    console.error('Promotions GET error:', e)
+    res.status(500).json({ error: 'Failed to load promo codes' })
+  }
+})
+
+// GET /admin/promotions/redemptions?code= - signed builds that used a code
+router.get('/redemptions', async (req, res) => {
+  try {
+    const db = await getDb()
+    const query = req.query.code ? { code: normalizePromoCode(req.query.code) } : {}
+    const data = await db.collection(PROMO_REDEMPTIONS_COLLECTION).find(query).sort({ redeemedAt: -1 }).limit(200).toArray()
+    res.json({ success: true, data })
+  } catch (e) {
+    console.error('Promo redemptions GET error:', e)
+    res.status(500).json({ error: 'Failed to load redemptions' })
+  }
+})
+
+// GET /admin/promotions/builds/:id - a build's adjustments and current pricing
+router.get('/builds/:id', async (req, res) => {
+  try {
+    const build = await getBuildById(req.params.id)
+    if (!build) return res.status(404).json({ error: 'Build not found' })
+    res.json({
+      success: true,
+      data: {
+        _id: build._id,
+        modelName: build.modelName,
+        buyer: [build.buyerInfo?.firstName, build.buyerInfo?.lastName].filter(Boolean).join(' ') || null,
+        status: build.status,
+        contractStatus: build.contract?.status || null,
+        adjustments: build.adjustments || {},
+        pricing: build.pricing || {}
+      }
+    })
+  } catch (e) {
+    console.error('Promotions build GET error:', e)
+    res.status(500).json({ error: 'Failed to load build' })
+  }
+})
+
+// PUT /admin/promotions/:code - create or replace a promo code
+router.put('/:code', async (req, res) => {
+  try {
+    const result = await savePromoCode({ ...(req.body || {}), code: req.params.code }, { userId: req.adminUser?.userId })
+    if (result.error) return res.status(400).json(result)
+    await audit(req, 'upsert', result.promo.code, result.promo)
+    res.json({ success: true, data: result.promo })
+  } catch (e) {
+    console.error('Promo code PUT error:', e)
+    res.status(500).json({ error: 'Failed to save promo code' })
+  }
+})
+
+// DELETE /admin/promotions/:code - builds keep the snapshot they were priced with
+router.delete('/:code', async (req, res) => {
+  try {
+    const deleted = await deletePromoCode(req.params.code)
+    if (!deleted) return res.status(404).json({ error: 'Promo code not found' })
+    await audit(req, 'delete', normalizePromoCode(req.params.code), null)
+    res.json({ success: true, data: { code: normalizePromoCode(req.params.code) } })
+  } catch (e) {
+    console.error('Promo code DELETE error:', e)
+    res.status(500).json({ error: 'Failed to delete promo code' })
+  }
+})
+
+export default router
@@ -1,6 +1,8 @@
 import express from 'express'
 import { validateAdminAccess } from '../../lib/adminAuth.js'
 import { getOrgSettings, updateOrgSettings } from '../../lib/settings.js'
+import { getPaymentSchedule, validatePaymentSchedule } from '../../lib/payment-schedules.js'
+import { validateDunningSettings } from '../../lib/dunning.js'
 import { getDb } from '../../lib/db.js'
 
 // Convert to an Express Router so it mounts safely like other admin modules
@@ -51,6 +53,37 @@ router.put('/', async (req, res) => {
     if (p.tax_rate_percent != null && (p.tax_rate_percent < 0 || p.tax_rate_percent > 25)) {
       return res.status(400).json({ error: 'tax_rate_percent is out of bounds' })
     }
+    if (p.quote_expiry_days != null && (p.quote_expiry_days < 1 || p.quote_expiry_days > 365)) {
+      return res.status(400).json({ error: 'quote_expiry_days must be between 1 and 365' })
+    }
+
+    const schedules = patch?.payments?.schedules
+    if (schedules != null) {
+      if (!Array.isArray(schedules)) return res.status(400).json({ error: 'payments.schedules must be an array' })
+      const valid = []
+      for (const schedule of schedules) {
+        const result = validatePaymentSchedule(schedule)
+        if (result.error) return res.status(400).json({ error: result.message })
+        if (valid.some(s => s.id === result.schedule.id)) return res.status(400).json({ error: `Schedule id "${result.schedule.id}" is used twice` })
+        valid.push(result.schedule)
+      }
+      patch.payments.schedules = valid
+    }
+
+    const defaultSchedule = String(patch?.payments?.default_schedule || '').trim()
+    if (defaultSchedule) {
+      const current = await getOrgSettings()
+      const payments = { ...(current.payments || {}), ...(schedules != null ? { schedules: patch.payments.schedules } : {}) }
+      if (!getPaymentSchedule({ ...current, payments }, defaultSchedule)) {
+        return res.status(400).json({ error: `default_schedule "${defaultSchedule}" is not a known payment schedule` })
+      }
+    }
+
+    if (patch?.dunning != null) {
+      const result = validateDunningSettings(patch.dunning)
+      if (result.error) return res.status(400).json({ error: result.message })
+      patch.dunning = result.dunning
+    }
 
     const updated = await updateOrgSettings(patch, req.adminUser?.userId)
 
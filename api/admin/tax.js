@@ -0,0 +1,97 @@
+import express from 'express'
+import { validateAdminAccess } from '../../lib/adminAuth.js'
+import { getDb } from '../../lib/db.js'
+import { DEFAULT_TAXABILITY } from '../../src/utils/pricing.js'
+import { EXEMPTION_STATUS, deleteTaxRate, listTaxExemptions, listTaxRates, saveTaxRate } from '../../lib/tax.js'
+
+// Convert to an Express Router so it mounts safely like other admin modules
+const router = express.Router()
+
+// Guard router.use to avoid non-function handlers
+const __origRouterUse = router.use.bind(router)
+router.use = function guardedRouterUse(...args) {
+  try {
+    const path = (typeof args[0] === 'string' || args[0] instanceof RegExp || Array.isArray(args[0])) ? args[0] : undefined
+    const handlers = path ? args.slice(1) : args
+    const startIndex = path ? 1 : 0
+    for (let i = 0; i < handlers.length; i++) {
+      if (typeof handlers[i] !== 'function') {
+        const idx = startIndex + i
+        const t = typeof handlers[i]
+        console.error('[SUBROUTER_USE_GUARD] Non-function handler; patching', { file: __filename, path, index: idx, type: t })
+        args[idx] = (req, res) => res.status(500).json({ error: 'admin_handler_misconfigured', file: __filename, path: String(path || ''), index: idx, type: t })
+      }
+    }
+  } catch (e) { console.warn('[SUBROUTER_USE_GUARD] Failed:', e?.message) }
+  return __origRouterUse(...args)
+}
+// Require admin access
+router.use((req,res,next)=>{ if(process.env.ADMIN_AUTH_DISABLED==='true'){ return next() } return validateAdminAccess(req,res,next) })
+
+async function audit(req, action, resourceId, changes) {
+  try {
+    const db = await getDb()
+    await db.collection('audit_logs').insertOne({
+      resource: 'tax_rate',
+      resourceId,
+      action,
+      changes,
+      userId: req.adminUser?.userId || 'system',
+      timestamp: new Date(),
+      severity: 'info'
+    })
+  } catch (e) {
+    console.warn('[tax] failed to write audit log:', e?.message)
+  }
+}
+
+// GET /admin/tax/rates - the jurisdiction rate table
+router.get('/rates', async (req, res) => {
+  try {
+    const rates = await listTaxRates()
+    res.json({ success: true, data: { rates, lines: Object.keys(DEFAULT_TAXABILITY) } })
+  } catch (e) {
+    console.error('Tax rates GET error:', e)
+    res.status(500).json({ error: 'Failed to load tax rates' })
+  }
+})
+
+// POST /admin/tax/rates - create or replace the row for a state or county
+router.post('/rates', async (req, res) => {
+  try {
+    const result = await saveTaxRate(req.body || {}, { userId: req.adminUser?.userId })
+    if (result.error) return res.status(400).json(result)
+    await audit(req, 'upsert', result.rate.id, result.rate)
+    res.json({ success: true, data: result.rate })
+  } catch (e) {
+    console.error('Tax rate POST error:', e)
+    res.status(500).json({ error: 'Failed to save tax rate' })
+  }
+})
+
+// DELETE /admin/tax/rates/:id - builds keep the jurisdiction they were priced with
+router.delete('/rates/:id', async (req, res) => {
+  try {
+    const deleted = await deleteTaxRate(req.params.id)
+    if (!deleted) return res.status(404).json({ error: 'Tax rate not found' })
+    await audit(req, 'delete', req.params.id, null)
+    res.json({ success: true, data: { id: req.params.id } })
+  } catch (e) {
+    console.error('Tax rate DELETE error:', e)
+    res.status(500).json({ error: 'Failed to delete tax rate' })
+  }
+})
+
+// GET /admin/tax/exemptions?status=pending - builds with exemption certificates
+router.get('/exemptions', async (req, res) => {
+  try {
+    const status = Object.values(EXEMPTION_STATUS).includes(req.query.status) ? req.query.status : undefined
+    const data = await listTaxExemptions({ status, limit: req.query.limit })
+    res.json({ success: true, data })
+  } catch (e) {
+    console.error('Tax exemptions GET error:', e)
+    res.status(500).json({ error: 'Failed to load exemptions' })
+  }
+})
+
+export default router
@@ -0,0 +1,96 @@
+import express from 'express'
+import { validateAdminAccess } from '../../lib/adminAuth.js'
+import { getDb } from '../../lib/db.js'
+import { WEBHOOK_EVENT_STATUS, getWebhookEvent, listWebhookEvents, replayWebhookEvent, retryDueWebhookEvents } from '../../lib/webhook-events.js'
+
+// Convert to an Express Router so it mounts safely like other admin modules
+const router = express.Router()
+
+// Guard router.use to avoid non-function handlers
+const __origRouterUse = router.use.bind(router)
+router.use = function guardedRouterUse(...args) {
+  try {
+    const path = (typeof args[0] === 'string' || args[0] instanceof RegExp || Array.isArray(args[0])) ? args[0] : undefined
+    const handlers = path ? args.slice(1) : args
+    const startIndex = path ? 1 : 0
+    for (let i = 0; i < handlers.length; i++) {
+      if (typeof handlers[i] !== 'function') {
+        const idx = startIndex + i
+        const t = typeof handlers[i]
+        console.error('[SUBROUTER_USE_GUARD] Non-function handler; patching', { file: __filename, path, index: idx, type: t })
+        args[idx] = (req, res) => res.status(500).json({ error: 'admin_handler_misconfigured', file: __filename, path: String(path || ''), index: idx, type: t })
+      }
+    }
+  } catch (e) { console.warn('[SUBROUTER_USE_GUARD] Failed:', e?.message) }
+  return __origRouterUse(...args)
+}
+// Require admin access
+router.use((req,res,next)=>{ if(process.env.ADMIN_AUTH_DISABLED==='true'){ return next() } return validateAdminAccess(req,res,next) })
+
+// GET /admin/webhooks - stored webhook events, newest first (without payloads)
+router.get('/', async (req, res) => {
+  try {
+    const { provider, status, type, q, limit, skip } = req.query
+    if (status && !Object.values(WEBHOOK_EVENT_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${Object.values(WEBHOOK_EVENT_STATUS).join(', ')}` })
+    }
+    const data = await listWebhookEvents({ provider, status, type, q, limit, skip })
+    res.json({ success: true, data })
+  } catch (e) {
+    console.error('Webhook events GET error:', e)
+    res.status(500).json({ error: 'Failed to load webhook events' })
+  }
+})
+
+// POST /admin/webhooks/retry-due - run the scheduled retry now
+router.post('/retry-due', async (req, res) => {
+  try {
+    const data = await retryDueWebhookEvents()
+    res.json({ success: true, data })
+  } catch (e) {
+    console.error('Webhook retry-due error:', e)
+    res.status(500).json({ error: 'Failed to retry webhook events' })
+  }
+})
+
+// GET /admin/webhooks/:id - one event including its payload
+router.get('/:id', async (req, res) => {
+  try {
+    const event = await getWebhookEvent(req.params.id)
+    if (!event) return res.status(404).json({ error: 'Webhook event not found' })
+    res.json({ success: true, data: event })
+  } catch (e) {
+    console.error('Webhook event GET error:', e)
+    res.status(500).json({ error: 'Failed to load webhook event' })
+  }
+})
+
+// POST /admin/webhooks/:id/replay - process the event again
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const result = await replayWebhookEvent(req.params.id, { userId: req.adminUser?.userId })
+    if (result.error) return res.status(result.error === 'not_found' ? 404 : 409).json({ error: result.message })
+
+    try {
+      const db = await getDb()
+      await db.collection('audit_logs').insertOne({
+        resource: 'webhook_event',
+        resourceId: req.params.id,
+        action: 'replay',
+        changes: { provider: result.provider, eventId: result.eventId, status: result.status },
+        userId: req.adminUser?.userId || 'system',
+        timestamp: new Date(),
+        severity: 'info'
+      })
+    } catch (e) {
+      console.warn('[webhooks] failed to write audit log:', e?.message)
+    }
+
+    res.json({ success: true, data: result })
+  } catch (e) {
+    console.error('Webhook replay error:', e)
+    res.status(500).json({ error: 'Failed to replay webhook event' })
+  }
+})
+
+export default router
@@ -1,6 +1,6 @@
 import express from 'express'
-import Stripe from 'stripe'
 import { createHash } from 'node:crypto'
+import { Buffer } from 'node:buffer'
 import { ObjectId } from 'mongodb'
 
 // Import production debugger for detailed error tracking
@@ -12,13 +12,37 @@ import { applyCors } from '../lib/cors.js'
 import { findModelById, ensureModelIndexes, findOrCreateModel, COLLECTION, isModelCode, isSlug } from '../lib/model-utils.js'
 import { initializeAdminDatabase } from '../lib/adminSchema.js'
 import { ensureOrderIndexes, createOrderDraft, getOrderById, updateOrder, listOrdersForUser, listOrdersAdmin, ORDERS_COLLECTION, setOrderPricingSnapshot, setOrderDelivery } from '../lib/orders.js'
-import { ensureBuildIndexes, createBuild, getBuildById, listBuildsForUser, updateBuild, duplicateBuild, deleteBuild, renameBuild } from '../lib/builds.js'
+import { BUILDS_COLLECTION, ensureBuildIndexes, createBuild, getBuildById, listBuildsForUser, updateBuild, duplicateBuild, deleteBuild, renameBuild, checkOptionRules, findLocalModel, previewCatalogReprice, repriceBuildToCatalog } from '../lib/builds.js'
 // ensure mongodb import is only used where needed to avoid bundling issues
 import { ensureIdempotencyIndexes, withIdempotency } from '../lib/idempotency.js'
 import { quoteDelivery } from '../lib/delivery.js'
 import { getOrgSettings, updateOrgSettings } from '../lib/settings.js'
+import { isQuoteExpired, publishCatalogVersion } from '../lib/catalog.js'
 import { getDeliveryQuote, roundToCents } from '../lib/delivery-quote.js'
-import { getTemplate, createSubmission, downloadFile, uploadPdfToCloudinary, signedCloudinaryUrl } from '../lib/docuseal.js'
+import { getDistanceProviders } from '../lib/distance-providers.js'
+import { BUILD_STATUS, advanceBuild, allowedTransitions, normalizeBuildStatus, onBuildTransition, transitionBuild } from '../lib/build-lifecycle.js'
+import { emailBuildDocument, generateBuildDocument, listBuildDocuments, readBuildDocument } from '../lib/documents.js'
+import { renderPdfFromHtml } from '../lib/pdf/renderer.js'
+import { getSharedBuild, issueShareLink, revokeShareLinks, toSharedQuote } from '../lib/share-links.js'
+import { ingestWebhookEvent, payloadEventId, registerWebhookHandler, retryDueWebhookEvents, verifySvixSignature } from '../lib/webhook-events.js'
+import { getBuildLedger, postLedgerEntry, recordPayment, toStatement } from '../lib/ledger.js'
+import { evaluateRefund, handleRefundWebhookEvent, refundMilestone } from '../lib/refunds.js'
+import { activateDueMilestones, applyPaymentSchedule, buildMilestoneKeys, computeMilestoneAmounts, defaultScheduleId, getBuildMilestone, getBuildSchedule, getPaymentSchedule, isOpeningMilestone, isScheduleFullyPaid, issueMilestoneInvoice, listPaymentSchedules, milestoneStatus } from '../lib/payment-schedules.js'
+import { addManualAdjustment, applyPromoCode, clearTradeIn, removeManualAdjustment, removePromoCode, setTradeIn } from '../lib/adjustments.js'
+import { readExemptionCertificate, reviewTaxExemption, submitTaxExemption, withdrawTaxExemption } from '../lib/tax.js'
+import { listOpenIntents, normalizeStripeTransfer, parseReferenceCode, recordInboundTransfer, referenceCodeForIntent } from '../lib/bank-transfers.js'
+import { runDunning } from '../lib/dunning.js'
+import { getPaymentClient, getPaymentProvider, paymentsConfigured } from '../lib/payment-providers.js'
+import { CREDIT_TIERS, calculateFinancing, getFinancingProgram, listFinancingApplications, listFinancingPrograms, programSummary, submitPrequalification } from '../lib/financing.js'
+import { cancelChangeOrder, completeChangeOrder, findBuildByChangeOrderSubmission, listChangeOrders, previewChangeOrder, proposeChangeOrder, sendChangeOrderForSignature } from '../lib/change-orders.js'
+import { calculateBuildPricing, resolvePricingSettings, DEFAULT_PRICING } from '../src/utils/pricing.js'
+import { downloadFile, uploadPdfToCloudinary, signedCloudinaryUrl } from '../lib/docuseal.js'
+import { ESIGN_STATUS, esignProviderFor, getDefaultEsignProvider, getEsignProvider } from '../lib/esign/index.js'
+import { declineLocalSigning, openLocalSigning, readLocalSignedDocument, submitLocalSigning } from '../lib/esign/local-signer.js'
+import { renderSigningPage } from '../lib/esign/signing-page.js'
+import { contractTemplateKeys, resolveContractTemplate, templateVersionRecord } from '../lib/contract-templates.js'
+import { buildContractPrefill, formatCurrency } from '../lib/contract-prefill.js'
+import { AWAITING_COUNTERSIGNATURE, SIGNER_ROLES, applySignerEvent, contractSubmitters, hasCountersigner, initialSigners, notifyPackSigners, packStatusFromSigners, publicSigners, remindSigner, runSignerReminders, sendExecutedContract, syncSignersFromStatus, templateNeedsCountersignature, validateCoBuyer } from '../lib/contract-signers.js'
 import { 
   ensureUserProfileIndexes, 
   getUserProfile, 
@@ -35,7 +59,6 @@ import { createRateLimiter } from '../lib/rateLimiter.js'
 // Note: Security utilities will be imported dynamically when needed to avoid bundling issues
 import { isAdmin as isAdminServer } from '../lib/canEditModels.js'
 import { validateRequest } from '../lib/requestValidation.js'
-// import { Webhook } from 'svix' // Temporarily disabled - causing deployment crashes
 
 const app = express()
 
@@ -88,169 +111,279 @@ app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), asyn
       return res.status(400).send(`Webhook Error: ${err.message}`)
     }
 
-    // Dispatch handling based on event type
-    const type = event.type
-    const id = event.id
-    console.log('Stripe webhook received:', { type, id })
+    console.log('Stripe webhook received:', { type: event.type, id: event.id })
 
-    const db = await getDb()
+    // Stored first so a redelivery is skipped and a failure can be retried
+    const { event: stored, duplicate } = await ingestWebhookEvent({
+      provider: 'stripe',
+      eventId: event.id,
+      type: event.type,
+      payload: event,
+      headers: req.headers,
+    })
+    return res.status(200).json({ received: true, duplicate, status: stored?.status })
+  } catch (error) {
+    console.error('Stripe webhook route error:', error)
+    return res.status(500).json({ error: 'Internal error' })
+  }
+})
 
-    // Helpers
-    const updateOrderPaymentStatus = async (orderId, fields) => {
-      try {
-        const _id = new ObjectId(String(orderId))
-        await db.collection('orders').updateOne({ _id }, { $set: fields })
-        console.log('Updated order payment status', { orderId, fields })
-      } catch (e) {
-        console.error('Failed to update order payment status', { orderId, error: e?.message })
-      }
-    }
+// Processes a verified Stripe event from the webhook event log (lib/webhook-events.js).
+// Throwing marks the attempt failed so it is retried.
+async function handleStripeWebhookEvent(event) {
+  const type = event.type
+  const db = await getDb()
 
+  // Helpers
+  const updateOrderPaymentStatus = async (orderId, fields) => {
     try {
-      switch (type) {
-        case 'payment_intent.succeeded': {
-          const pi = event.data.object
-          const orderId = pi?.metadata?.orderId
-          if (orderId) {
-            await updateOrderPaymentStatus(orderId, {
-              'payment.status': 'succeeded',
-              'payment.paymentIntentId': pi.id,
-              'payment.processedAt': new Date()
-            })
-          }
-          break
-        }
-        case 'payment_intent.payment_failed': {
-          const pi = event.data.object
-          const orderId = pi?.metadata?.orderId
-          if (orderId) {
-            await updateOrderPaymentStatus(orderId, {
-              'payment.status': 'failed',
-              'payment.paymentIntentId': pi.id,
-              'payment.lastError': pi?.last_payment_error?.message || 'Payment failed',
-              'payment.failedAt': new Date()
-            })
-          }
-          break
-        }
-        case 'invoice.payment_succeeded': {
-          const invoice = event.data.object
-          const { buildId, milestone, intentId } = invoice?.metadata || {}
-          if (buildId && intentId) {
-            // Mark bank transfer intent paid (or generic intent)
-            try {
-              await db.collection('bankTransferIntents').updateOne(
-                { _id: new ObjectId(String(intentId)) },
-                { $set: {
-                  status: 'paid',
-                  stripeInvoiceId: invoice.id,
-                  paidAmount: invoice.amount_paid,
-                  paidAt: new Date(),
-                  updatedAt: new Date()
-                } }
-              )
-            } catch (e) {
-              console.warn('invoice.payment_succeeded: failed to update bankTransferIntent', e?.message)
-            }
+      const _id = new ObjectId(String(orderId))
+      await db.collection('orders').updateOne({ _id }, { $set: fields })
+      console.log('Updated order payment status', { orderId, fields })
+    } catch (e) {
+      console.error('Failed to update order payment status', { orderId, error: e?.message })
+    }
+  }
 
-            // Update build payment flags
-            const updateFields = {
-              'payment.lastPaymentAt': new Date(),
-              'payment.updatedAt': new Date()
-            }
-            if (milestone === 'deposit') {
-              updateFields['payment.depositPaid'] = true
-              updateFields['payment.depositPaidAt'] = new Date()
-            } else if (milestone === 'final') {
-              updateFields['payment.finalPaid'] = true
-              updateFields['payment.finalPaidAt'] = new Date()
-            } else if (milestone === 'full') {
-              updateFields['payment.fullPaid'] = true
-              updateFields['payment.fullPaidAt'] = new Date()
-            }
-            await db.collection('builds').updateOne(
-              { _id: new ObjectId(String(buildId)) },
-              { $set: updateFields }
+  switch (type) {
+    case 'payment_intent.succeeded': {
+      const pi = event.data.object
+      const orderId = pi?.metadata?.orderId
+      if (orderId) {
+        await updateOrderPaymentStatus(orderId, {
+          'payment.status': 'succeeded',
+          'payment.paymentIntentId': pi.id,
+          'payment.processedAt': new Date()
+        })
+      }
+      // Build milestone payments (same ledger key as the payment route)
+      if (pi?.metadata?.buildId && pi?.metadata?.milestone) {
+        await recordPayment({
+          buildId: pi.metadata.buildId,
+          milestone: pi.metadata.milestone,
+          amount: pi.amount_received || pi.amount,
+          externalId: pi.id,
+          occurredAt: new Date(pi.created * 1000),
+        })
+      }
+      break
+    }
+    case 'payment_intent.payment_failed': {
+      const pi = event.data.object
+      const orderId = pi?.metadata?.orderId
+      if (orderId) {
+        await updateOrderPaymentStatus(orderId, {
+          'payment.status': 'failed',
+          'payment.paymentIntentId': pi.id,
+          'payment.lastError': pi?.last_payment_error?.message || 'Payment failed',
+          'payment.failedAt': new Date()
+        })
+      }
+      break
+    }
+    case 'invoice.payment_succeeded': {
+      const invoice = event.data.object
+      const { buildId, milestone, intentId } = invoice?.metadata || {}
+      // Milestone invoices: bank transfer instructions and scheduled milestones
+      if (buildId && milestone) {
+        if (intentId) {
+          try {
+            await db.collection('bankTransferIntents').updateOne(
+              { _id: new ObjectId(String(intentId)) },
+              { $set: {
+                status: 'paid',
+                stripeInvoiceId: invoice.id,
+                paidAmount: invoice.amount_paid,
+                paidAt: new Date(),
+                updatedAt: new Date()
+              } }
             )
-
-            // If plan completed, mark fully paid
-            const build = await db.collection('builds').findOne({ _id: new ObjectId(String(buildId)) })
-            if (build?.payment) {
-              const planType = build.payment.plan?.type
-              let allPaid = false
-              if (planType === 'deposit') allPaid = build.payment.depositPaid && build.payment.finalPaid
-              if (planType === 'full') allPaid = build.payment.fullPaid
-              if (allPaid) {
-                await db.collection('builds').updateOne(
-                  { _id: new ObjectId(String(buildId)) },
-                  { $set: { 'payment.status': 'fully_paid', 'payment.fullyPaidAt': new Date() } }
-                )
-              }
-            }
+          } catch (e) {
+            console.warn('invoice.payment_succeeded: failed to update bankTransferIntent', e?.message)
           }
-          break
         }
-        case 'invoice.payment_failed': {
-          const invoice = event.data.object
-          const { buildId, intentId } = invoice?.metadata || {}
-          if (buildId && intentId) {
-            try {
-              await db.collection('bankTransferIntents').updateOne(
-                { _id: new ObjectId(String(intentId)) },
-                { $set: {
-                  status: 'payment_failed',
-                  stripeInvoiceId: invoice.id,
-                  lastError: 'Payment failed',
-                  failedAt: new Date(),
-                  updatedAt: new Date()
-                } }
-              )
-            } catch (e) {
-              console.warn('invoice.payment_failed: failed to update bankTransferIntent', e?.message)
-            }
-          }
+
+        const build = await getBuildById(buildId)
+        if (!build || !buildMilestoneKeys(build).includes(milestone)) {
+          console.warn(`invoice.payment_succeeded: unknown milestone ${milestone} for build ${buildId}`)
           break
         }
-        case 'treasury.inbound_transfer.succeeded': {
-          const transfer = event.data.object
-          // Match by virtual account ID stored with order
-          const order = await db.collection('orders').findOne({ 'payment.bankTransfer.virtualAccountId': transfer.financial_account })
-          if (order) {
-            await db.collection('orders').updateOne(
-              { _id: order._id },
-              { $set: { 'payment.status': 'succeeded', 'payment.transferId': transfer.id, 'payment.processedAt': new Date() } }
-            )
-          }
-          break
+
+        // Update build payment flags. Amount and PaymentIntent are kept so the milestone can be refunded later
+        const bankTransfer = build.payment?.method !== 'card'
+        const updateFields = {
+          [`payment.${milestone}Paid`]: true,
+          [`payment.${milestone}PaidAt`]: new Date(),
+          [`payment.${milestone}Amount`]: invoice.amount_paid,
+          'payment.lastPaymentAt': new Date(),
+          'payment.updatedAt': new Date()
         }
-        case 'treasury.inbound_transfer.failed': {
-          const transfer = event.data.object
-          const order = await db.collection('orders').findOne({ 'payment.bankTransfer.virtualAccountId': transfer.financial_account })
-          if (order) {
-            await db.collection('orders').updateOne(
-              { _id: order._id },
-              { $set: { 'payment.status': 'failed', 'payment.transferId': transfer.id, 'payment.failedAt': new Date() } }
-            )
-          }
-          break
+        if (invoice.payment_intent) updateFields[`payment.${milestone}PaymentIntentId`] = invoice.payment_intent
+        if (isScheduleFullyPaid(build, milestone)) {
+          updateFields['payment.status'] = 'fully_paid'
+          updateFields['payment.fullyPaidAt'] = new Date()
+        }
+        await db.collection(BUILDS_COLLECTION).updateOne(
+          { _id: build._id },
+          { $set: updateFields }
+        )
+        const label = getBuildMilestone(build, milestone)?.label || `${milestone[0].toUpperCase()}${milestone.slice(1)} payment`
+        await recordPayment({
+          buildId,
+          milestone,
+          amount: invoice.amount_paid,
+          externalId: invoice.payment_intent || invoice.id,
+          occurredAt: new Date((invoice.status_transitions?.paid_at || invoice.created) * 1000),
+          description: `${label} received${bankTransfer ? ' (bank transfer)' : ''}`,
+        })
+        if (isOpeningMilestone(build, milestone)) {
+          await advanceBuild(buildId, BUILD_STATUS.DEPOSIT_PAID)
         }
-        default: {
-          // Unhandled types are acknowledged
-          console.log('Unhandled Stripe event type:', type)
+      }
+      break
+    }
+    case 'invoice.payment_failed': {
+      const invoice = event.data.object
+      const { buildId, intentId } = invoice?.metadata || {}
+      if (buildId && intentId) {
+        try {
+          await db.collection('bankTransferIntents').updateOne(
+            { _id: new ObjectId(String(intentId)) },
+            { $set: {
+              status: 'payment_failed',
+              stripeInvoiceId: invoice.id,
+              lastError: 'Payment failed',
+              failedAt: new Date(),
+              updatedAt: new Date()
+            } }
+          )
+        } catch (e) {
+          console.warn('invoice.payment_failed: failed to update bankTransferIntent', e?.message)
         }
       }
-    } catch (handleErr) {
-      console.error('Stripe webhook handler error:', handleErr)
-      return res.status(500).json({ error: 'Webhook handler failed' })
+      break
+    }
+    case 'treasury.inbound_transfer.succeeded': {
+      const transfer = event.data.object
+      // Match by virtual account ID stored with order
+      const order = await db.collection('orders').findOne({ 'payment.bankTransfer.virtualAccountId': transfer.financial_account })
+      if (order) {
+        await db.collection('orders').updateOne(
+          { _id: order._id },
+          { $set: { 'payment.status': 'succeeded', 'payment.transferId': transfer.id, 'payment.processedAt': new Date() } }
+        )
+      } else {
+        // Build payments: applied when the reference matches, otherwise left for admin reconciliation
+        const { transfer: stored } = await recordInboundTransfer(normalizeStripeTransfer(transfer))
+        console.log('Inbound transfer recorded:', { id: transfer.id, status: stored?.status })
+      }
+      break
+    }
+    case 'treasury.inbound_transfer.failed': {
+      const transfer = event.data.object
+      const order = await db.collection('orders').findOne({ 'payment.bankTransfer.virtualAccountId': transfer.financial_account })
+      if (order) {
+        await db.collection('orders').updateOne(
+          { _id: order._id },
+          { $set: { 'payment.status': 'failed', 'payment.transferId': transfer.id, 'payment.failedAt': new Date() } }
+        )
+      }
+      break
+    }
+    case 'charge.refunded':
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed': {
+      const handled = await handleRefundWebhookEvent(stripe, event)
+      if (!handled) console.log('Stripe refund/dispute event not tied to a build:', { type, id: event.id })
+      break
     }
+    default: {
+      // Unhandled types are acknowledged
+      console.log('Unhandled Stripe event type:', type)
+    }
+  }
+}
+registerWebhookHandler('stripe', handleStripeWebhookEvent)
 
-    return res.status(200).json({ received: true })
+// Clerk user events, signed through Svix (verified without the svix package,
+// whose import crashed deployments)
+app.post(['/api/webhooks/clerk', '/webhooks/clerk'], express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : (typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {}))
+    if (!verifySvixSignature(rawBody, req.headers, process.env.CLERK_WEBHOOK_SECRET)) {
+      return res.status(400).json({ error: 'invalid_signature' })
+    }
+    const body = JSON.parse(rawBody || '{}')
+    const { event: stored, duplicate } = await ingestWebhookEvent({
+      provider: 'clerk',
+      eventId: req.headers['svix-id'],
+      type: body.type || null,
+      payload: body,
+      headers: req.headers,
+    })
+    return res.status(200).json({ success: true, duplicate, status: stored?.status })
   } catch (error) {
-    console.error('Stripe webhook route error:', error)
+    console.error('Clerk webhook error:', error)
     return res.status(500).json({ error: 'Internal error' })
   }
 })
 
+// Keep the profile's name and email in step with Clerk
+registerWebhookHandler('clerk', async (body) => {
+  const user = body?.data || {}
+  if (!['user.created', 'user.updated'].includes(body?.type) || !user.id) return { skipped: body?.type || 'unknown' }
+  const primaryEmail = (user.email_addresses || []).find(e => e.id === user.primary_email_address_id) || user.email_addresses?.[0]
+  const primaryPhone = (user.phone_numbers || []).find(p => p.id === user.primary_phone_number_id)
+  await updateUserBasicInfo(user.id, {
+    firstName: user.first_name,
+    lastName: user.last_name,
+    email: primaryEmail?.email_address,
+    phone: primaryPhone?.phone_number,
+  })
+  return { userId: user.id }
+})
+
+// Scheduled retry of failed webhook events (vercel.json crons). Vercel sends
+// CRON_SECRET as a bearer token.
+app.get(['/api/webhooks/retry', '/webhooks/retry'], async (req, res) => {
+  const secret = process.env.CRON_SECRET
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) return res.status(401).json({ error: 'unauthorized' })
+  try {
+    const summary = await retryDueWebhookEvents({ limit: req.query.limit })
+    return res.status(200).json({ ok: true, ...summary })
+  } catch (error) {
+    console.error('Webhook retry error:', error)
+    return res.status(500).json({ error: 'retry_failed' })
+  }
+})
+
+// Payment reminders and overdue escalations, run daily by Vercel cron
+app.get(['/api/payments/dunning', '/payments/dunning'], async (req, res) => {
+  const secret = process.env.CRON_SECRET
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) return res.status(401).json({ error: 'unauthorized' })
+  try {
+    const summary = await runDunning({ limit: req.query.limit })
+    return res.status(200).json({ ok: true, ...summary })
+  } catch (error) {
+    console.error('Dunning run error:', error)
+    return res.status(500).json({ error: 'dunning_failed' })
+  }
+})
+
+// Signing invites and reminders for co-buyers and other waiting signers, run daily by Vercel cron
+app.get(['/api/contracts/signer-reminders', '/contracts/signer-reminders'], async (req, res) => {
+  const secret = process.env.CRON_SECRET
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) return res.status(401).json({ error: 'unauthorized' })
+  try {
+    const summary = await runSignerReminders({ limit: req.query.limit })
+    return res.status(200).json({ ok: true, ...summary })
+  } catch (error) {
+    console.error('Signer reminder run error:', error)
+    return res.status(500).json({ error: 'signer_reminders_failed' })
+  }
+})
+
 // JSON body parser comes after webhook to preserve raw body for that route
 app.use(express.json({ limit: '2mb' }))
 
@@ -664,12 +797,13 @@ function generateSlug(text) {
 
 // ===== End AI Routes =====
 
-// Stripe
-const stripeSecret = process.env.STRIPE_SECRET_KEY
-if (!stripeSecret) {
-  console.error('Missing STRIPE_SECRET_KEY in environment variables.')
-}
-export const stripe = new Stripe(stripeSecret)
+// Stripe, or the local fake when PAYMENT_PROVIDER=fake (lib/payment-providers.js)
+export const stripe = getPaymentClient()
+
+// Payment schedule milestones fall due (and are invoiced) as the build moves through its lifecycle
+onBuildTransition('*', async ({ build, to }) => {
+  await activateDueMilestones(stripe, build, to)
+})
 
 const getOrigin = (req) => {
   return req.headers.origin || process.env.APP_URL || 'http://localhost:5173'
@@ -1235,7 +1369,7 @@ app.get(['/api/delivery/quote', '/delivery/quote'], async (req, res) => {
 
 app.post(['/api/delivery/quote', '/delivery/quote'], async (req, res) => {
   const auth = await requireAuth(req, res, false) // Optional auth for signed-in users
-  const { address, city, state, zip } = req.body || {}
+  const { address, city, state, zip, county, modelSlug } = req.body || {}
   
   if (!zip) return res.status(400).json({ error: 'missing_zip' })
   
@@ -1247,7 +1381,8 @@ app.post(['/api/delivery/quote', '/delivery/quote'], async (req, res) => {
     const settings = await getOrgSettings()
     
     // Use the proper delivery quote function
-    const result = await getDeliveryQuote(fullAddress, settings)
+    // Zone and oversize surcharges come from the rate table
+    const result = await getDeliveryQuote(fullAddress, settings, { state, county, model: findLocalModel(modelSlug) })
     
     return res.status(200).json(result)
   } catch (error) {
@@ -1372,67 +1507,81 @@ app.post(['/api/esign/webhook', '/esign/webhook'], async (req, res) => {
     if (secret && header !== secret) return res.status(401).json({ error: 'unauthorized' })
 
     const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
-    const { orderId, event = 'esign_completed' } = body
-    if (!orderId) return res.status(400).json({ ok: true })
-    const db = await getDb()
-    const col = db.collection(ORDERS_COLLECTION)
-    const { ObjectId } = await import('mongodb')
-    const _id = new ObjectId(String(orderId))
-    await col.updateOne({ _id }, {
-      $set: { status: 'signed', updatedAt: new Date() },
-      $push: { timeline: { event, at: new Date() } }
-    })
+    if (!body.orderId) return res.status(400).json({ ok: true })
+    await ingestWebhookEvent({ provider: 'esign', eventId: payloadEventId(body), type: body.event || 'esign_completed', payload: body, headers: req.headers })
     return res.status(200).json({ ok: true })
   } catch (err) {
     console.error('esign webhook error', err)
-    return res.status(200).json({ ok: true })
+    // Not stored: a 5xx makes the sender redeliver it
+    if (err instanceof SyntaxError) return res.status(400).json({ error: 'invalid_payload' })
+    return res.status(500).json({ error: 'webhook_ingest_failed' })
   }
 })
 
+registerWebhookHandler('esign', async (body) => {
+  const { orderId, event = 'esign_completed' } = body
+  const db = await getDb()
+  const col = db.collection(ORDERS_COLLECTION)
+  const { ObjectId } = await import('mongodb')
+  const _id = new ObjectId(String(orderId))
+  await col.updateOne({ _id }, {
+    $set: { status: 'signed', updatedAt: new Date() },
+    $push: { timeline: { event, at: new Date() } }
+  })
+  return { orderId }
+})
+
 // ===== OLD CONTRACT ENDPOINTS (REMOVED - CONFLICTING WITH NEW BUILD-BASED ENDPOINTS) =====
 // These endpoints used orderId and orders collection - now replaced with buildId and builds collection
 
 app.post(['/api/webhooks/docuseal', '/webhooks/docuseal'], async (req, res) => {
   try {
-    const secret = process.env.DOCUSEAL_WEBHOOK_SECRET || ''
-    const header = req.headers['x-docuseal-signature'] || req.headers['X-DocuSeal-Signature']
-    if (!secret || header !== secret) return res.status(401).json({ error: 'unauthorized' })
+    if (!getEsignProvider('docuseal').verifyWebhook(req.headers)) return res.status(401).json({ error: 'unauthorized' })
 
-    const db = await getDb()
-    const col = db.collection(ORDERS_COLLECTION)
     const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
-    const type = body?.event || body?.type || ''
     const submissionId = body?.submission_id || body?.submission?.id || body?.data?.submission_id
     if (!submissionId) return res.status(200).json({ ok: true })
 
-    const order = await col.findOne({ 'contract.submissionId': submissionId })
-    if (!order) return res.status(200).json({ ok: true })
-
-    // Log event
-    await col.updateOne({ _id: order._id }, { $push: { 'contract.events': { type, at: new Date().toISOString(), raw: body } } })
-
-    if (type === 'form.completed' || type === 'completed') {
-      const fileUrl = body?.file_url || body?.document_url || body?.data?.files?.[0]?.download_url || body?.data?.document_url
-      const certUrl = body?.certificate_url || body?.data?.certificate_url || body?.audit_trail_url
-      let signedPdfPublicId = order?.contract?.signedPdfPublicId
-      let signedPdfUrl
-      if (fileUrl) {
-        try {
-          const buf = await downloadFile(fileUrl)
-          const up = await uploadPdfToCloudinary({ buffer: buf, folder: 'firefly-estimator/contracts', publicId: `order_${String(order._id)}_${Date.now()}` })
-          signedPdfPublicId = up.public_id
-          signedPdfUrl = signedCloudinaryUrl(signedPdfPublicId)
-        } catch (e) {
-          console.error('Upload signed PDF failed', e)
-        }
-      }
-      await col.updateOne({ _id: order._id }, { $set: { 'contract.status': 'COMPLETED', 'contract.auditTrailUrl': certUrl || order?.contract?.auditTrailUrl || null, 'contract.signedPdfPublicId': signedPdfPublicId, 'contract.signedPdfUrl': signedPdfUrl } })
-    }
+    await ingestWebhookEvent({ provider: 'docuseal_orders', eventId: payloadEventId(body), type: body?.event || body?.type || null, payload: body, headers: req.headers })
     return res.status(200).json({ ok: true })
   } catch (err) {
     console.error('docuseal webhook error', err)
-    return res.status(200).json({ ok: true })
+    // Not stored: a 5xx makes the sender redeliver it
+    if (err instanceof SyntaxError) return res.status(400).json({ error: 'invalid_payload' })
+    return res.status(500).json({ error: 'webhook_ingest_failed' })
+  }
+})
+
+registerWebhookHandler('docuseal_orders', async (body) => {
+  const db = await getDb()
+  const col = db.collection(ORDERS_COLLECTION)
+  const type = body?.event || body?.type || ''
+  const submissionId = body?.submission_id || body?.submission?.id || body?.data?.submission_id
+
+  const order = await col.findOne({ 'contract.submissionId': submissionId })
+  if (!order) return { skipped: 'order_not_found' }
+
+  // Log event
+  await col.updateOne({ _id: order._id }, { $push: { 'contract.events': { type, at: new Date().toISOString(), raw: body } } })
+
+  if (type === 'form.completed' || type === 'completed') {
+    const fileUrl = body?.file_url || body?.document_url || body?.data?.files?.[0]?.download_url || body?.data?.document_url
+    const certUrl = body?.certificate_url || body?.data?.certificate_url || body?.audit_trail_url
+    let signedPdfPublicId = order?.contract?.signedPdfPublicId
+    let signedPdfUrl
+    if (fileUrl) {
+      try {
+        const buf = await downloadFile(fileUrl)
+        const up = await uploadPdfToCloudinary({ buffer: buf, folder: 'firefly-estimator/contracts', publicId: `order_${String(order._id)}_${Date.now()}` })
+        signedPdfPublicId = up.public_id
+        signedPdfUrl = signedCloudinaryUrl(signedPdfPublicId)
+      } catch (e) {
+        console.error('Upload signed PDF failed', e)
+      }
+    }
+    await col.updateOne({ _id: order._id }, { $set: { 'contract.status': 'COMPLETED', 'contract.auditTrailUrl': certUrl || order?.contract?.auditTrailUrl || null, 'contract.signedPdfPublicId': signedPdfPublicId, 'contract.signedPdfUrl': signedPdfUrl } })
   }
+  return { orderId: String(order._id) }
 })
 
 // TEMP: path probe for debugging rewrites/normalizer. Remove after verification.
@@ -1485,6 +1634,7 @@ app.get(['/api/debug/maps', '/debug/maps'], async (req, res) => {
       googleKeyLength: googleKey.length,
       hasMapboxToken: !!mapboxToken,
       mapboxTokenLength: mapboxToken.length,
+      distanceProviders: getDistanceProviders().map(p => ({ name: p.name, available: p.isAvailable(), estimated: !!p.estimated })),
       factoryAddress: settings?.factory?.address || '606 S 2nd Ave, Mansfield, TX 76063',
       deliveryRate: settings?.pricing?.delivery_rate_per_mile || 12.5,
       deliveryMinimum: settings?.pricing?.delivery_minimum || 2000
@@ -1567,8 +1717,8 @@ app.get(['/api/debug/delivery', '/debug/delivery'], async (req, res) => {
       return res.status(400).json({ error: 'address parameter required' })
     }
     
-    const { getDeliveryQuote } = await import('./lib/delivery-quote.js')
-    const { getOrgSettings } = await import('./lib/settings.js')
+    const { getDeliveryQuote } = await import('../lib/delivery-quote.js')
+    const { getOrgSettings } = await import('../lib/settings.js')
     const settings = await getOrgSettings()
     
     const result = await getDeliveryQuote(address, settings)
@@ -1819,16 +1969,27 @@ app.post(['/api/builds', '/builds'], async (req, res) => {
   await ensureBuildIndexes()
   try {
     const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+    const selections = { ...(body.selections || {}) }
+    // Same rules as PATCH: included or orphaned options are removed, conflicts are rejected
+    let optionNotices = []
+    if (Array.isArray(selections.options)) {
+      const rules = checkOptionRules(selections.options, String(body.modelSlug || ''))
+      if (rules.conflicts.length) {
+        return res.status(400).json({ error: 'option_conflict', message: rules.conflicts.map(c => c.message).join('; '), conflicts: rules.conflicts })
+      }
+      selections.options = rules.selections
+      optionNotices = rules.removed
+    }
     const doc = await createBuild({
       userId: auth.userId,
       modelSlug: String(body.modelSlug || ''),
       modelName: String(body.modelName || ''),
       basePrice: Number(body.basePrice || 0),
-      selections: body.selections || {},
+      selections,
       financing: body.financing || {},
       buyerInfo: body.buyerInfo || {},
     })
-    return res.status(200).json({ ok: true, buildId: String(doc._id) })
+    return res.status(200).json({ ok: true, buildId: String(doc._id), ...(optionNotices.length && { optionNotices }) })
   } catch (err) {
     return res.status(400).json({ error: 'invalid_build', message: String(err?.message || err) })
   }
@@ -1852,6 +2013,71 @@ app.get(['/api/builds/:id', '/builds/:id'], async (req, res) => {
   return res.status(200).json(b)
 })
 
+// Update build status through the lifecycle state machine (lib/build-lifecycle.js)
+async function updateBuildStatusEntry(req, res) {
+  await applyCors(req, res)
+  
+  try {
+    const auth = await requireAuth(req, res, false)
+    if (!auth?.userId) return
+
+    const { buildId, status, reason } = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+
+    if (!buildId || !status) {
+      return res.status(400).json({ error: 'Build ID and status are required' })
+    }
+
+    const build = await getBuildById(buildId)
+    
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' })
+    }
+
+    // Check permissions - only admin or build owner can update status
+    const isAdmin = await isAdminServer(auth.userId)
+    if (!isAdmin && build.userId !== auth.userId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const result = await transitionBuild(buildId, status, {
+      role: isAdmin ? 'admin' : 'buyer',
+      userId: auth.userId,
+      reason,
+    })
+    if (result.error) {
+      const code = result.error === 'transition_forbidden' ? 403 : (result.error === 'not_found' ? 404 : (result.error === 'invalid_status' ? 400 : 409))
+      return res.status(code).json({
+        error: result.error,
+        message: result.message,
+        from: result.from,
+        to: result.to,
+        allowed: allowedTransitions(build.status, isAdmin ? 'admin' : 'buyer'),
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Build status updated to ${result.build.status}`,
+      build: {
+        _id: buildId,
+        status: result.build.status,
+        updatedAt: result.build.updatedAt
+      }
+    })
+
+  } catch (error) {
+    console.error('Update build status error:', error)
+    res.status(500).json({ 
+      error: 'Failed to update build status',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
+
+// Register BEFORE '/api/builds/:id' so ':id' does not capture 'update-status'
+app.patch(['/api/builds/update-status', '/builds/update-status'], updateBuildStatusEntry)
+app.post(['/api/builds/update-status', '/builds/update-status'], updateBuildStatusEntry)
+
 // Update build
 app.patch(['/api/builds/:id', '/builds/:id'], async (req, res) => {
   const auth = await requireAuth(req, res, false)
@@ -1859,8 +2085,34 @@ app.patch(['/api/builds/:id', '/builds/:id'], async (req, res) => {
   const b = await getBuildById(req.params.id)
   if (!b || b.userId !== auth.userId) return res.status(404).json({ error: 'not_found' })
   const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+
+  // Once the contract is signed, option changes go through a change order
+  const signedBuild = ![BUILD_STATUS.DRAFT, BUILD_STATUS.CONFIGURED].includes(normalizeBuildStatus(b.status)) || b?.contract?.status === 'signed'
+  if (signedBuild && (body.selections || body.modelSlug)) {
+    return res.status(409).json({ error: 'build_locked', message: 'This build is signed. Request a change order to add or remove options.' })
+  }
+
+  if (body.buyerInfo && typeof body.buyerInfo === 'object') {
+    const coBuyerError = validateCoBuyer(body.buyerInfo)
+    if (coBuyerError) return res.status(400).json(coBuyerError)
+  }
+
+  // Option compatibility: auto-remove included/orphaned options, reject conflicts
+  let optionNotices = []
+  const nextOptions = Array.isArray(body?.selections?.options) ? body.selections.options : null
+  if (nextOptions || body.modelSlug) {
+    const rules = checkOptionRules(nextOptions || b.selections?.options || [], body.modelSlug || b.modelSlug)
+    if (rules.conflicts.length) {
+      return res.status(400).json({ error: 'option_conflict', message: rules.conflicts.map(c => c.message).join('; '), conflicts: rules.conflicts })
+    }
+    if (rules.removed.length) {
+      body.selections = { ...(body.selections || b.selections || {}), options: rules.selections }
+      optionNotices = rules.removed
+    }
+  }
+
   const updated = await updateBuild(req.params.id, body)
-  return res.status(200).json(updated)
+  return res.status(200).json(optionNotices.length ? { ...updated, optionNotices } : updated)
 })
 
 // Duplicate build
@@ -1927,150 +2179,493 @@ app.post(['/api/builds/:id/checkout-step', '/builds/:id/checkout-step'], async (
     const c = b?.contract || {}
     if (c?.status !== 'signed') return res.status(400).json({ error: 'contract_not_signed' })
   }
+
+  // An expired quote has to be repriced to the current catalog before the buyer moves on
+  if (target > Number(b.step || 1) && isQuoteExpired(b) && b?.contract?.status !== 'signed') {
+    return res.status(409).json({ error: 'quote_expired', message: 'This quote has expired. Review the current prices to continue.' })
+  }
   
+  // Reaching the overview means the buyer has finished configuring the build
+  if (target >= 5 && normalizeBuildStatus(b.status) === BUILD_STATUS.DRAFT) {
+    await advanceBuild(req.params.id, BUILD_STATUS.CONFIGURED, { role: 'buyer', userId: auth.userId })
+  }
+
   const updated = await updateBuild(req.params.id, { step: target })
   return res.status(200).json(updated)
 })
 
-// ===== FIREFLY CONTRACT API ENDPOINTS =====
-import DocuSealClient from '../lib/docuseal-client.js'
+// Preview repricing a build against the current catalog
+app.get(['/api/builds/:id/reprice-preview', '/builds/:id/reprice-preview'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const b = await getBuildById(req.params.id)
+  if (!b || b.userId !== auth.userId) return res.status(404).json({ error: 'not_found' })
+  try {
+    const preview = await previewCatalogReprice(b)
+    if (!preview) return res.status(503).json({ error: 'catalog_unavailable', message: 'No catalog version is in effect' })
+    return res.status(200).json({ ...preview, expired: isQuoteExpired(b) })
+  } catch (err) {
+    return res.status(500).json({ error: 'reprice_preview_failed', message: String(err?.message || err) })
+  }
+})
 
-// Helper function to map build data to Order interface
-function buildToOrder(build) {
-  const buyerInfo = build.buyerInfo || {}
-  const pricing = build.pricing || {}
-  const selections = build.selections || {}
-  
-  return {
-    id: build._id,
-    version: 1,
-    buyer: {
-      firstName: buyerInfo.firstName || '',
-      lastName: buyerInfo.lastName || '',
-      email: buyerInfo.email || '',
-      phone: buyerInfo.phone || '',
-      mailing: buyerInfo.address ? {
-        line1: buyerInfo.address,
-        city: buyerInfo.city || '',
-        state: buyerInfo.state || '',
-        zip: buyerInfo.zip || ''
-      } : undefined
-    },
-    coBuyer: buyerInfo.coBuyer ? {
-      firstName: buyerInfo.coBuyer.firstName || '',
-      lastName: buyerInfo.coBuyer.lastName || '',
-      email: buyerInfo.coBuyer.email || '',
-      phone: buyerInfo.coBuyer.phone || ''
-    } : undefined,
-    deliveryAddress: {
-      line1: buyerInfo.deliveryAddress?.street || buyerInfo.address || '',
-      city: buyerInfo.deliveryAddress?.city || buyerInfo.city || '',
-      state: buyerInfo.deliveryAddress?.state || buyerInfo.state || '',
-      zip: buyerInfo.deliveryAddress?.zip || buyerInfo.zip || ''
-    },
-    model: {
-      brand: build.model?.brand || 'Firefly',
-      model: build.model?.name || build.modelCode || 'Custom Build',
-      year: new Date().getFullYear(),
-      dimensions: build.model?.dimensions || 'TBD'
-    },
-    pricing: {
-      base: pricing.base || selections.basePrice || 0,
-      options: pricing.options || 0,
-      tax: pricing.tax || 0,
-      titleFee: pricing.titleFee || 0,
-      delivery: pricing.delivery || 0,
-      setup: pricing.setup || 0,
-      discounts: pricing.discounts || 0,
-      total: pricing.total || 0,
-      depositDue: pricing.depositDue || 0
-    },
-    options: (selections.options || []).map(opt => ({
-      code: opt.id || opt.code || '',
-      label: opt.name || opt.label || '',
-      value: opt.value || '',
-      qty: opt.quantity || 1,
-      price: opt.price || 0
-    })),
-    paymentMethod: build.payment?.method === 'card' ? 'credit_card' : 
-                   build.payment?.method === 'ach_debit' ? 'cash_ach' :
-                   build.payment?.method === 'bank_transfer' ? 'cash_ach' : 'cash_ach',
-    depositRequired: build.payment?.plan?.type === 'deposit' || false,
-    estimatedFactoryCompletion: build.timeline?.estimatedCompletion || undefined,
-    jurisdiction: {
-      state: buyerInfo.state || 'TX'
-    },
-    status: {
-      step: build.step || 7,
-      contracts: undefined // Will be populated separately
+// Accept the current catalog prices for a build
+app.post(['/api/builds/:id/reprice', '/builds/:id/reprice'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const b = await getBuildById(req.params.id)
+  if (!b || b.userId !== auth.userId) return res.status(404).json({ error: 'not_found' })
+  if (b?.contract?.status === 'signed') {
+    return res.status(409).json({ error: 'build_signed', message: 'Signed builds cannot be repriced' })
+  }
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  if (body.catalogVersion == null) return res.status(400).json({ error: 'missing_catalog_version' })
+  try {
+    const result = await repriceBuildToCatalog(req.params.id, body.catalogVersion)
+    if (result.error === 'catalog_changed') {
+      return res.status(409).json({ error: 'catalog_changed', message: 'Prices changed again since the preview. Please review the new prices.', preview: result.preview })
     }
+    if (result.error) return res.status(result.error === 'not_found' ? 404 : 503).json({ error: result.error })
+    return res.status(200).json(result.build)
+  } catch (err) {
+    return res.status(500).json({ error: 'reprice_failed', message: String(err?.message || err) })
   }
-}
+})
+
+// Change orders on signed builds (lib/change-orders.js)
+app.get(['/api/builds/:id/change-orders', '/builds/:id/change-orders'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const b = await getBuildById(req.params.id)
+  if (!b || (b.userId !== auth.userId && !(await isAdminServer(auth.userId)))) return res.status(404).json({ error: 'not_found' })
+  return res.status(200).json({ changeOrders: listChangeOrders(b) })
+})
 
-// Create DocuSeal session for a specific pack
-app.post(['/api/contracts/:orderId/docuseal/session', '/contracts/:orderId/docuseal/session'], async (req, res) => {
+// Propose a change order; with preview: true only the pricing is returned
+app.post(['/api/builds/:id/change-orders', '/builds/:id/change-orders'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const b = await getBuildById(req.params.id)
+  if (!b || (b.userId !== auth.userId && !(await isAdminServer(auth.userId)))) return res.status(404).json({ error: 'not_found' })
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  const changes = { add: Array.isArray(body.add) ? body.add : [], remove: Array.isArray(body.remove) ? body.remove : [] }
   try {
-    console.log('[DOCUSEAL_SESSION] Creating session for order:', req.params.orderId, 'pack:', req.body.pack)
-    
-    const auth = await requireAuth(req, res, false)
-    if (!auth?.userId) {
-      console.error('[DOCUSEAL_SESSION] Authentication failed')
-      return
+    if (body.preview) {
+      const result = await previewChangeOrder(b, changes)
+      if (result.error) return res.status(400).json(result)
+      return res.status(200).json(result)
+    }
+    const result = await proposeChangeOrder(req.params.id, { ...changes, note: body.note }, auth.userId)
+    if (result.error) {
+      const status = result.error === 'not_found' ? 404 : (['build_not_changeable', 'change_order_open'].includes(result.error) ? 409 : 400)
+      return res.status(status).json(result)
     }
+    return res.status(201).json(result)
+  } catch (err) {
+    return res.status(500).json({ error: 'change_order_failed', message: String(err?.message || err) })
+  }
+})
 
-    const { orderId } = req.params
-    const { pack } = req.body
+// Send a proposed change order to the buyer for e-signature
+app.post(['/api/builds/:id/change-orders/:coId/sign', '/builds/:id/change-orders/:coId/sign'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const b = await getBuildById(req.params.id)
+  if (!b || (b.userId !== auth.userId && !(await isAdminServer(auth.userId)))) return res.status(404).json({ error: 'not_found' })
+  try {
+    const result = await sendChangeOrderForSignature(req.params.id, req.params.coId)
+    if (result.error) return res.status(result.error === 'change_order_closed' ? 409 : 404).json(result)
+    return res.status(200).json(result)
+  } catch (err) {
+    return res.status(500).json({ error: 'change_order_signature_failed', message: String(err?.message || err) })
+  }
+})
 
-    console.log('[DOCUSEAL_SESSION] Request params:', { orderId, pack, userId: auth.userId })
+app.post(['/api/builds/:id/change-orders/:coId/cancel', '/builds/:id/change-orders/:coId/cancel'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const b = await getBuildById(req.params.id)
+  if (!b || (b.userId !== auth.userId && !(await isAdminServer(auth.userId)))) return res.status(404).json({ error: 'not_found' })
+  const result = await cancelChangeOrder(req.params.id, req.params.coId, auth.userId)
+  if (result.error) return res.status(result.error === 'change_order_closed' ? 409 : 404).json(result)
+  return res.status(200).json(result)
+})
 
-    if (!pack || !['agreement', 'delivery', 'final'].includes(pack)) {
-      console.error('[DOCUSEAL_SESSION] Invalid pack:', pack)
-      return res.status(400).json({ error: 'Invalid pack. Must be: agreement, delivery, or final' })
-    }
+// Stored quote / order summary / invoice PDFs (lib/documents.js)
+async function loadDocumentBuild(req, res) {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return null
+  const b = await getBuildById(req.params.id)
+  const admin = await isAdminServer(auth.userId)
+  if (!b || (b.userId !== auth.userId && !admin)) {
+    res.status(404).json({ error: 'not_found' })
+    return null
+  }
+  return { auth, build: b, admin }
+}
 
-    // Get build data
-    const build = await getBuildById(orderId)
-    console.log('[DOCUSEAL_SESSION] Build found:', !!build, 'userId match:', build?.userId === auth.userId)
-    
-    if (!build || build.userId !== auth.userId) {
-      console.error('[DOCUSEAL_SESSION] Build not found or unauthorized:', orderId, !!build, build?.userId, auth.userId)
-      return res.status(404).json({ error: 'Build not found' })
+app.get(['/api/builds/:id/documents', '/builds/:id/documents'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  return res.status(200).json({ documents: listBuildDocuments(ctx.build, req.query.kind) })
+})
+
+app.post(['/api/builds/:id/documents', '/builds/:id/documents'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  try {
+    const result = await generateBuildDocument(req.params.id, body.kind, { userId: ctx.auth.userId, force: !!body.force, dueDate: body.dueDate })
+    if (result.error) return res.status(result.error === 'not_found' ? 404 : 400).json(result)
+    return res.status(result.reused ? 200 : 201).json(result)
+  } catch (err) {
+    console.error('[DOCUMENTS] Generation failed:', err)
+    return res.status(503).json({ error: 'pdf_unavailable', message: 'PDF generation is temporarily unavailable' })
+  }
+})
+
+app.get(['/api/builds/:id/documents/:docId', '/builds/:id/documents/:docId'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  try {
+    const result = await readBuildDocument(ctx.build, req.params.docId, { userId: ctx.auth.userId })
+    if (result.error) return res.status(404).json(result)
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="${result.document.number}.pdf"`)
+    res.setHeader('Cache-Control', 'private, max-age=300')
+    return res.send(result.buffer)
+  } catch (err) {
+    return res.status(500).json({ error: 'document_read_failed', message: String(err?.message || err) })
+  }
+})
+
+app.post(['/api/builds/:id/documents/:docId/email', '/builds/:id/documents/:docId/email'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  try {
+    // Buyers can only send documents to themselves
+    const result = await emailBuildDocument(ctx.build, req.params.docId, { to: ctx.admin ? body.to : undefined, userId: ctx.auth.userId })
+    if (result.error) {
+      const status = result.error === 'not_found' ? 404 : (result.error === 'email_unavailable' ? 503 : 400)
+      return res.status(status).json(result)
     }
+    return res.status(200).json({ ok: true, to: result.to })
+  } catch (err) {
+    return res.status(500).json({ error: 'document_email_failed', message: String(err?.message || err) })
+  }
+})
 
-    // Convert build to order format
-    const order = buildToOrder(build)
-    console.log('[DOCUSEAL_SESSION] Order prepared:', order.id)
+// Signed, expiring read-only quote links (lib/share-links.js)
+app.post(['/api/builds/:id/share', '/builds/:id/share'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const b = await getBuildById(req.params.id)
+  if (!b || b.userId !== auth.userId) return res.status(404).json({ error: 'not_found' })
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  try {
+    const { token, expiresAt } = await issueShareLink(b, { ttlDays: body.ttlDays })
+    const appUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`
+    return res.status(200).json({ token, url: `${appUrl}/quote/${token}`, expiresAt })
+  } catch (err) {
+    return res.status(500).json({ error: 'share_failed', message: String(err?.message || err) })
+  }
+})
 
-    // Check environment variables
-    console.log('[DOCUSEAL_SESSION] Environment check:', {
-      hasApiKey: !!process.env.DOCUSEAL_API_KEY,
-      agreementTemplateId: process.env.DOCUSEAL_TEMPLATE_ID_AGREEMENT,
-      deliveryTemplateId: process.env.DOCUSEAL_TEMPLATE_ID_DELIVERY
-    })
+app.delete(['/api/builds/:id/share', '/builds/:id/share'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const b = await getBuildById(req.params.id)
+  if (!b || b.userId !== auth.userId) return res.status(404).json({ error: 'not_found' })
+  await revokeShareLinks(req.params.id)
+  return res.status(200).json({ ok: true })
+})
 
-    // Create DocuSeal session
-    const { createPackEnvelope } = await import('../lib/docuseal/client.js')
-    const envelope = await createPackEnvelope(orderId, pack, order)
+// Payment ledger (lib/ledger.js). Buyers get their statement; admins also
+// see the raw entries and can post fees, adjustments and off-Stripe payments.
+app.get(['/api/builds/:id/ledger', '/builds/:id/ledger'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  const { entries } = await getBuildLedger(req.params.id)
+  return res.status(200).json({ statement: toStatement(entries), ...(ctx.admin ? { entries } : {}) })
+})
 
-    console.log('[DOCUSEAL_SESSION] Envelope created:', envelope.envelopeId)
+app.post(['/api/builds/:id/ledger', '/builds/:id/ledger'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  if (!(await isAdminServer(auth.userId))) return res.status(403).json({ error: 'forbidden' })
+  const b = await getBuildById(req.params.id)
+  if (!b) return res.status(404).json({ error: 'not_found' })
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  if (!['fee', 'adjustment', 'payment'].includes(body.type)) {
+    return res.status(400).json({ error: 'invalid_type', message: 'Manual entries must be a fee, adjustment or payment' })
+  }
+  if (!String(body.description || '').trim()) {
+    return res.status(400).json({ error: 'description_required', message: 'Describe the entry; buyers see it on their statement' })
+  }
+  const result = await postLedgerEntry({
+    key: `manual:${new ObjectId()}`,
+    type: body.type,
+    amount: body.amount,
+    buildId: b._id,
+    milestone: body.milestone || null,
+    description: String(body.description).trim(),
+    source: 'manual',
+    externalId: body.reference || null,
+    occurredAt: body.occurredAt || new Date(),
+    createdBy: auth.userId,
+  })
+  if (result.error) return res.status(400).json(result)
+  return res.status(201).json(result)
+})
 
-    res.json({
-      signingUrl: envelope.signingUrl,
-      envelopeId: envelope.envelopeId,
-      status: envelope.status
-    })
+// Price adjustments (lib/adjustments.js). Buyers apply promo codes; admins
+// add reason-coded adjustments and trade-ins. All are locked once signed.
+const adjustmentStatus = (result) => (result.error === 'build_signed' ? 409 : result.error === 'not_found' ? 404 : 400)
 
-  } catch (error) {
-    console.error('[DOCUSEAL_SESSION] Session creation error:', error)
-    res.status(500).json({ 
-      error: 'Failed to create signing session',
-      message: error.message,
-      stack: error.stack
+app.post(['/api/builds/:id/promo', '/builds/:id/promo'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  if (!String(body.code || '').trim()) return res.status(400).json({ error: 'missing_code', message: 'Enter a promo code' })
+  const result = await applyPromoCode(ctx.build, body.code, { userId: ctx.auth.userId })
+  if (result.error) return res.status(adjustmentStatus(result)).json(result)
+  return res.status(200).json(result.build)
+})
+
+app.delete(['/api/builds/:id/promo', '/builds/:id/promo'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  const result = await removePromoCode(ctx.build)
+  if (result.error) return res.status(adjustmentStatus(result)).json(result)
+  return res.status(200).json(result.build)
+})
+
+async function loadAdminBuild(req, res) {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return null
+  if (!(await isAdminServer(auth.userId))) {
+    res.status(403).json({ error: 'forbidden' })
+    return null
+  }
+  const b = await getBuildById(req.params.id)
+  if (!b) {
+    res.status(404).json({ error: 'not_found' })
+    return null
+  }
+  return { auth, build: b }
+}
+
+app.post(['/api/builds/:id/adjustments', '/builds/:id/adjustments'], async (req, res) => {
+  const ctx = await loadAdminBuild(req, res)
+  if (!ctx) return
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  const result = await addManualAdjustment(ctx.build, body, { userId: ctx.auth.userId })
+  if (result.error) return res.status(adjustmentStatus(result)).json(result)
+  return res.status(201).json(result.build)
+})
+
+app.delete(['/api/builds/:id/adjustments/:adjustmentId', '/builds/:id/adjustments/:adjustmentId'], async (req, res) => {
+  const ctx = await loadAdminBuild(req, res)
+  if (!ctx) return
+  const result = await removeManualAdjustment(ctx.build, req.params.adjustmentId)
+  if (result.error) return res.status(adjustmentStatus(result)).json(result)
+  return res.status(200).json(result.build)
+})
+
+app.put(['/api/builds/:id/trade-in', '/builds/:id/trade-in'], async (req, res) => {
+  const ctx = await loadAdminBuild(req, res)
+  if (!ctx) return
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  const result = await setTradeIn(ctx.build, body, { userId: ctx.auth.userId })
+  if (result.error) return res.status(adjustmentStatus(result)).json(result)
+  return res.status(200).json(result.build)
+})
+
+app.delete(['/api/builds/:id/trade-in', '/builds/:id/trade-in'], async (req, res) => {
+  const ctx = await loadAdminBuild(req, res)
+  if (!ctx) return
+  const result = await clearTradeIn(ctx.build)
+  if (result.error) return res.status(adjustmentStatus(result)).json(result)
+  return res.status(200).json(result.build)
+})
+
+// Sales tax exemption certificates (lib/tax.js). The buyer uploads, an admin
+// approves or rejects; tax is only removed once approved.
+app.post(['/api/builds/:id/tax-exemption', '/builds/:id/tax-exemption'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  try {
+    const result = await submitTaxExemption(ctx.build, body, { userId: ctx.auth.userId })
+    if (result.error) return res.status(adjustmentStatus(result)).json(result)
+    return res.status(201).json(result.build)
+  } catch (err) {
+    console.error('[TAX] Certificate upload failed:', err)
+    return res.status(503).json({ error: 'storage_unavailable', message: 'The certificate could not be stored. Please try again.' })
+  }
+})
+
+app.get(['/api/builds/:id/tax-exemption/certificate', '/builds/:id/tax-exemption/certificate'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  try {
+    const result = await readExemptionCertificate(ctx.build)
+    if (result.error) return res.status(404).json(result)
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `inline; filename="tax-exemption-${String(ctx.build._id).slice(-6)}.pdf"`)
+    res.setHeader('Cache-Control', 'private, max-age=300')
+    return res.send(result.buffer)
+  } catch (err) {
+    return res.status(500).json({ error: 'document_read_failed', message: String(err?.message || err) })
+  }
+})
+
+app.delete(['/api/builds/:id/tax-exemption', '/builds/:id/tax-exemption'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  const result = await withdrawTaxExemption(ctx.build)
+  if (result.error) return res.status(adjustmentStatus(result)).json(result)
+  return res.status(200).json(result.build)
+})
+
+app.post(['/api/builds/:id/tax-exemption/review', '/builds/:id/tax-exemption/review'], async (req, res) => {
+  const ctx = await loadAdminBuild(req, res)
+  if (!ctx) return
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  const result = await reviewTaxExemption(ctx.build, body, { userId: ctx.auth.userId })
+  if (result.error) return res.status(adjustmentStatus(result)).json(result)
+  return res.status(200).json(result.build)
+})
+
+// Admin refunds under the cancellation policy (lib/refunds.js)
+app.get(['/api/builds/:id/refunds', '/builds/:id/refunds'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  if (!(await isAdminServer(auth.userId))) return res.status(403).json({ error: 'forbidden' })
+  const b = await getBuildById(req.params.id)
+  if (!b) return res.status(404).json({ error: 'not_found' })
+  const policy = Object.fromEntries(buildMilestoneKeys(b).map(m => [m, evaluateRefund(b, { milestone: m })]))
+  return res.status(200).json({ refunds: b.payment?.refunds || [], disputes: b.payment?.disputes || [], policy })
+})
+
+app.post(['/api/builds/:id/refunds', '/builds/:id/refunds'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  if (!(await isAdminServer(auth.userId))) return res.status(403).json({ error: 'forbidden' })
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  try {
+    const result = await refundMilestone(req.params.id, {
+      stripe,
+      milestone: body.milestone,
+      amount: body.amount,
+      reason: body.reason,
+      override: !!body.override,
+      userId: auth.userId,
     })
+    if (result.error) {
+      const status = result.error === 'not_found' || result.error === 'payment_not_found' ? 404 : (['not_refundable', 'exceeds_policy', 'refund_in_progress'].includes(result.error) ? 409 : 400)
+      return res.status(status).json(result)
+    }
+    return res.status(201).json(result)
+  } catch (err) {
+    console.error('[REFUNDS] Refund failed:', err)
+    return res.status(502).json({ error: 'refund_failed', message: String(err?.message || err) })
+  }
+})
+
+// Public: no Clerk session, the token is the credential
+app.get(['/api/share/:token', '/share/:token'], async (req, res) => {
+  try {
+    const result = await getSharedBuild(req.params.token)
+    if (result.error) {
+      const message = result.error === 'expired_token' ? 'This quote link has expired' : 'This quote link is no longer valid'
+      return res.status(result.error === 'expired_token' ? 410 : 404).json({ error: result.error, message })
+    }
+    res.setHeader('Cache-Control', 'private, no-store')
+    res.setHeader('X-Robots-Tag', 'noindex')
+    return res.status(200).json({ quote: toSharedQuote(result.build), expiresAt: result.expiresAt })
+  } catch (err) {
+    return res.status(500).json({ error: 'share_lookup_failed', message: String(err?.message || err) })
   }
 })
 
-// Get contract status (for real-time polling) - MUST come before /:orderId/status route
+// ===== FIREFLY CONTRACT API ENDPOINTS =====
+
+// Helper function to map build data to Order interface
+function buildToOrder(build) {
+  const buyerInfo = build.buyerInfo || {}
+  const pricing = build.pricing || {}
+  const selections = build.selections || {}
+  
+  return {
+    id: build._id,
+    version: 1,
+    buyer: {
+      firstName: buyerInfo.firstName || '',
+      lastName: buyerInfo.lastName || '',
+      email: buyerInfo.email || '',
+      phone: buyerInfo.phone || '',
+      mailing: buyerInfo.address ? {
+        line1: buyerInfo.address,
+        city: buyerInfo.city || '',
+        state: buyerInfo.state || '',
+        zip: buyerInfo.zip || ''
+      } : undefined
+    },
+    coBuyer: buyerInfo.coBuyer ? {
+      firstName: buyerInfo.coBuyer.firstName || '',
+      lastName: buyerInfo.coBuyer.lastName || '',
+      email: buyerInfo.coBuyer.email || '',
+      phone: buyerInfo.coBuyer.phone || ''
+    } : undefined,
+    deliveryAddress: {
+      line1: buyerInfo.deliveryAddress?.street || buyerInfo.address || '',
+      city: buyerInfo.deliveryAddress?.city || buyerInfo.city || '',
+      state: buyerInfo.deliveryAddress?.state || buyerInfo.state || '',
+      zip: buyerInfo.deliveryAddress?.zip || buyerInfo.zip || ''
+    },
+    model: {
+      brand: build.model?.brand || 'Firefly',
+      model: build.model?.name || build.modelCode || 'Custom Build',
+      year: new Date().getFullYear(),
+      dimensions: build.model?.dimensions || 'TBD'
+    },
+    pricing: {
+      base: pricing.base || selections.basePrice || 0,
+      options: pricing.options || 0,
+      tax: pricing.tax || 0,
+      titleFee: pricing.title || 0,
+      delivery: pricing.delivery || 0,
+      setup: pricing.setup || 0,
+      discounts: pricing.discounts || 0,
+      total: pricing.total || 0,
+      depositDue: pricing.deposit || 0
+    },
+    options: (selections.options || []).map(opt => ({
+      code: opt.id || opt.code || '',
+      label: opt.name || opt.label || '',
+      value: opt.value || '',
+      qty: opt.quantity || 1,
+      unit: opt.unit || 'each',
+      price: opt.price || 0
+    })),
+    paymentMethod: build.payment?.method === 'card' ? 'credit_card' : 
+                   build.payment?.method === 'ach_debit' ? 'cash_ach' :
+                   build.payment?.method === 'bank_transfer' ? 'cash_ach' : 'cash_ach',
+    depositRequired: (getBuildSchedule(build)?.milestones.length || 0) > 1,
+    estimatedFactoryCompletion: build.timeline?.estimatedCompletion || undefined,
+    jurisdiction: {
+      state: buyerInfo.state || 'TX'
+    },
+    status: {
+      step: build.step || 7,
+      contracts: undefined // Will be populated separately
+    }
+  }
+}
+
+// Get contract status (for real-time polling)
 app.get(['/api/contracts/status', '/contracts/status'], async (req, res) => {
   try {
     const auth = await requireAuth(req, res, false)
@@ -2111,6 +2706,7 @@ app.get(['/api/contracts/status', '/contracts/status'], async (req, res) => {
           delivery: 'not_started', 
           final: 'not_started'
         },
+        signers: {},
         submissions: [],
         submissionId: null,
         signerUrl: null,
@@ -2130,20 +2726,19 @@ app.get(['/api/contracts/status', '/contracts/status'], async (req, res) => {
         const submission = updatedSubmissions[i]
         if (submission.submissionId) {
           try {
-            const { getSubmission } = await import('../lib/docuseal.js')
-            const docusealSubmission = await getSubmission(submission.submissionId)
-            const docusealStatus = mapDocuSealStatus(docusealSubmission.status || docusealSubmission.state)
+            const { status } = await esignProviderFor(submission).getStatus(submission.submissionId)
+            const signingStatus = mapSigningStatus(status)
             
             // Update submission status if it changed
-            if (docusealStatus !== submission.status) {
+            if (signingStatus !== submission.status) {
               updatedSubmissions[i] = {
                 ...submission,
-                status: docusealStatus
+                status: signingStatus
               }
               hasStatusChanges = true
             }
           } catch (error) {
-            console.error(`Failed to get DocuSeal status for ${submission.name}:`, error)
+            console.error(`Failed to get signing status for ${submission.name}:`, error)
             // Continue with local status
           }
         }
@@ -2212,21 +2807,30 @@ app.get(['/api/contracts/status', '/contracts/status'], async (req, res) => {
         final: contract.packs.final?.status || 'not_started'
       }
       
-      // Update DocuSeal status for each pack that has a submission
+      // Refresh the signing status of each pack that has a submission
       for (const [packId, packData] of Object.entries(contract.packs)) {
         if (packData.submissionId && packId !== 'summary') {
           try {
-            const { getSubmission } = await import('../lib/docuseal.js')
-            const docusealSubmission = await getSubmission(packData.submissionId)
-            const docusealStatus = mapDocuSealStatus(docusealSubmission.status || docusealSubmission.state)
+            const { status, submitters } = await esignProviderFor(packData).getStatus(packData.submissionId)
+            const syncedSigners = syncSignersFromStatus(packData.signers, submitters)
+            if (syncedSigners) {
+              packData.signers = syncedSigners
+              await db.collection('contracts').updateOne(
+                { _id: contract._id },
+                { $set: { [`packs.${packId}.signers`]: syncedSigners } }
+              )
+            }
+            // With signers tracked, they decide the pack status (the
+            // provider cannot tell a countersignature wait from signing)
+            const signingStatus = packData.signers?.length ? packStatusFromSigners(packData.signers) : mapSigningStatus(status)
             
             // Update pack status if it changed
-            if (docusealStatus !== packData.status) {
+            if (signingStatus !== packData.status) {
               await db.collection('contracts').updateOne(
                 { _id: contract._id },
                 { 
                   $set: { 
-                    [`packs.${packId}.status`]: docusealStatus,
+                    [`packs.${packId}.status`]: signingStatus,
                     updatedAt: new Date()
                   },
                   $push: {
@@ -2237,17 +2841,17 @@ app.get(['/api/contracts/status', '/contracts/status'], async (req, res) => {
                       packId: packId,
                       metadata: { 
                         from: packData.status, 
-                        to: docusealStatus,
+                        to: signingStatus,
                         submissionId: packData.submissionId
                       }
                     }
                   }
                 }
               )
-              packs[packId] = docusealStatus
+              packs[packId] = signingStatus
             }
           } catch (error) {
-            console.error(`Failed to get DocuSeal status for ${packId}:`, error)
+            console.error(`Failed to get signing status for ${packId}:`, error)
             // Continue with local status
           }
         }
@@ -2275,10 +2879,19 @@ app.get(['/api/contracts/status', '/contracts/status'], async (req, res) => {
       })
     }
 
+    // Who signs each pack and how far they have got
+    const signers = {}
+    for (const [packId, packData] of Object.entries(contract.packs || {})) {
+      if (Array.isArray(packData?.signers)) signers[packId] = publicSigners(packData.signers)
+    }
+
     res.status(200).json({
       success: true,
       status: overallStatus,
       packs: packs,
+      signers,
+      signingOrder: contract.packs?.agreement?.signingOrder || null,
+      executedAt: contract.packs?.agreement?.executedAt || null,
       submissions: updatedSubmissions,
       submissionId: primarySubmission?.submissionId,
       signerUrl: primarySubmission?.signerUrl,
@@ -2291,109 +2904,37 @@ app.get(['/api/contracts/status', '/contracts/status'], async (req, res) => {
     console.error('Contract status error:', error)
     res.status(500).json({ 
       error: 'Failed to get contract status',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    })
-  }
-})
-
-// Get contract status for all packs
-app.get(['/api/contracts/:orderId/status', '/contracts/:orderId/status'], async (req, res) => {
-  try {
-    const auth = await requireAuth(req, res, false)
-    if (!auth?.userId) return
-
-    const { orderId } = req.params
-
-    // Get build data
-    const build = await getBuildById(orderId)
-    if (!build || build.userId !== auth.userId) {
-      return res.status(404).json({ error: 'Build not found' })
-    }
-
-    // Get contract status from database
-    const db = await getDb()
-    const contract = await db.collection('contracts').findOne({ orderId })
-
-    if (!contract) {
-      return res.json({
-        packs: {
-          summary: 'ready',
-          agreement: 'not_started',
-          delivery: 'not_started',
-          final: 'not_started'
-        }
-      })
-    }
-
-    // Check status of each pack
-    const docuseal = new DocuSealClient()
-    const packStatuses = {}
-
-    for (const pack of ['agreement', 'delivery', 'final']) {
-      try {
-        packStatuses[pack] = await docuseal.getPackStatus(orderId, pack)
-      } catch (error) {
-        console.error(`Failed to get ${pack} status:`, error)
-        packStatuses[pack] = 'error'
-      }
-    }
-
-    res.json({
-      packs: {
-        summary: contract.summaryReviewed ? 'reviewed' : 'ready',
-        ...packStatuses
-      },
-      envelopeIds: contract.envelopeIds || {},
-      combinedPdfUrl: contract.status?.combinedPdfUrl,
-      auditCertUrl: contract.status?.auditCertUrl
-    })
-
-  } catch (error) {
-    console.error('Contract status error:', error)
-    res.status(500).json({ 
-      error: 'Failed to get contract status',
-      message: error.message 
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     })
   }
 })
 
-// Assemble final contract when all packs are completed
-app.post(['/api/contracts/:orderId/assemble', '/contracts/:orderId/assemble'], async (req, res) => {
+// Resend a waiting signer (usually the co-buyer) their signing link
+app.post(['/api/contracts/signers/remind', '/contracts/signers/remind'], async (req, res) => {
   try {
     const auth = await requireAuth(req, res, false)
     if (!auth?.userId) return
 
-    const { orderId } = req.params
-
-    // Get build data
-    const build = await getBuildById(orderId)
-    if (!build || build.userId !== auth.userId) {
-      return res.status(404).json({ error: 'Build not found' })
-    }
+    const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+    const { buildId, role = SIGNER_ROLES.COBUYER, packId = 'agreement' } = body
+    if (!buildId) return res.status(400).json({ error: 'missing_build_id', message: 'Build ID is required' })
+    if (!['agreement', 'delivery', 'final'].includes(packId)) return res.status(400).json({ error: 'invalid_pack', message: 'Unknown contract pack' })
 
-    // Check if all packs are completed
-    const docuseal = new DocuSealClient()
-    const allCompleted = await docuseal.checkAllPacksCompleted(orderId)
+    const build = await getBuildById(buildId)
+    if (!build || build.userId !== auth.userId) return res.status(404).json({ error: 'not_found', message: 'Build not found' })
+    const db = await getDb()
+    const contract = await db.collection('contracts').findOne({ buildId, userId: auth.userId }, { sort: { version: -1 } })
+    if (!contract) return res.status(404).json({ error: 'not_found', message: 'Contract not found' })
 
-    if (!allCompleted) {
-      return res.status(400).json({ error: 'Not all packs are completed' })
+    const result = await remindSigner(contract, packId, role, { build })
+    if (result.error) {
+      const code = result.error === 'signer_not_found' ? 404 : result.error === 'reminder_too_soon' ? 429 : result.error === 'email_unavailable' ? 503 : 409
+      return res.status(code).json(result)
     }
-
-    // Assemble contract
-    const pdfUrls = await docuseal.assembleContract(orderId)
-
-    res.json({
-      success: true,
-      combinedPdfUrl: pdfUrls,
-      message: 'Contract assembled successfully'
-    })
-
+    res.json({ success: true, signer: publicSigners([result.signer])[0] })
   } catch (error) {
-    console.error('Contract assembly error:', error)
-    res.status(500).json({ 
-      error: 'Failed to assemble contract',
-      message: error.message 
-    })
+    console.error('Signer reminder error:', error)
+    res.status(500).json({ error: 'reminder_failed', message: 'Unable to send the reminder' })
   }
 })
 
@@ -2417,37 +2958,23 @@ app.get(['/api/contracts/:orderId/summary-pdf', '/contracts/:orderId/summary-pdf
     // Load settings to calculate proper pricing (same as Step 5)
     const settings = await getOrgSettings()
     
-    // Calculate pricing the same way as Step 5
-    const basePrice = Number(build?.selections?.basePrice || 0)
-    const options = build?.selections?.options || []
-    const optionsSubtotal = options.reduce((sum, opt) => sum + Number(opt.price || 0) * (opt.quantity || 1), 0)
-    
-    // Get fees from settings
-    const deliveryFee = Number(build?.pricing?.delivery || 0)
-    const titleFee = Number(settings?.pricing?.title_fee_default || 500)
-    const setupFee = Number(settings?.pricing?.setup_fee_default || 3000)
-    const taxRate = Number(settings?.pricing?.tax_rate_percent || 6.25) / 100
-    
-    // Calculate totals
-    const subtotalBeforeFees = basePrice + optionsSubtotal
-    const feesSubtotal = deliveryFee + titleFee + setupFee
-    const subtotalBeforeTax = subtotalBeforeFees + feesSubtotal
-    const salesTax = subtotalBeforeTax * taxRate
-    const total = subtotalBeforeTax + salesTax
+    // Price with the shared engine so the PDF matches checkout and the contract
+    const breakdown = calculateBuildPricing(build, settings)
     
     // Prepare order data the same way as Step 5
     const orderData = {
       build,
       settings,
       pricing: {
-        basePrice,
-        optionsSubtotal,
-        deliveryFee,
-        titleFee,
-        setupFee,
-        taxRate,
-        salesTax,
-        total
+        basePrice: breakdown.base,
+        optionsSubtotal: breakdown.options,
+        deliveryFee: breakdown.delivery,
+        titleFee: breakdown.title,
+        setupFee: breakdown.setup,
+        taxRate: breakdown.taxRate / 100,
+        salesTax: breakdown.tax,
+        total: breakdown.total,
+        settingsVersion: breakdown.settingsVersion
       }
     }
     
@@ -2673,66 +3200,7 @@ function generatePackHTML(pack, order) {
 // Helper function to generate PDF from HTML
 async function generatePDFFromHTML(html) {
   try {
-    // Check if we're in a serverless environment
-    const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME
-    
-    if (isServerless) {
-      console.log('[PDF_GENERATOR] Serverless environment detected, using @sparticuz/chromium')
-      
-      const chromium = await import('@sparticuz/chromium')
-      const puppeteer = await import('puppeteer-core')
-      
-      const browser = await puppeteer.default.launch({
-        args: chromium.default.args,
-        defaultViewport: chromium.default.defaultViewport,
-        executablePath: await chromium.default.executablePath(),
-        headless: chromium.default.headless,
-      })
-      
-      const page = await browser.newPage()
-      await page.setContent(html, { waitUntil: 'networkidle0' })
-      
-      const pdfBuffer = await page.pdf({
-        format: 'Letter',
-        margin: {
-          top: '1in',
-          right: '1in', 
-          bottom: '1in',
-          left: '1in'
-        },
-        printBackground: true
-      })
-      
-      await browser.close()
-      return Buffer.from(pdfBuffer)
-      
-    } else {
-      console.log('[PDF_GENERATOR] Local environment detected, using regular puppeteer')
-      
-      const puppeteer = await import('puppeteer')
-      const browser = await puppeteer.default.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      })
-      
-      const page = await browser.newPage()
-      await page.setContent(html, { waitUntil: 'networkidle0' })
-      
-      const pdfBuffer = await page.pdf({
-        format: 'Letter',
-        margin: {
-          top: '1in',
-          right: '1in',
-          bottom: '1in', 
-          left: '1in'
-        },
-        printBackground: true
-      })
-      
-      await browser.close()
-      return Buffer.from(pdfBuffer)
-    }
-    
+    return await renderPdfFromHtml(html)
   } catch (error) {
     console.error('[PDF_GENERATOR] Pack PDF generation failed:', error)
     return `Failed to generate PDF: ${error.message}`
@@ -2792,6 +3260,7 @@ async function generatePDFFromOrderData(orderData) {
         code: option.name || option.code || '',
         label: option.description || option.name || '',
         qty: option.quantity || 1,
+        unit: option.unit || 'each',
         price: Math.round((Number(option.price || 0) * (option.quantity || 1)) * 100) // Convert to cents
       })),
       pricing: {
@@ -2899,7 +3368,7 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
     // For now, skip complex rate limiting to avoid import issues
 
     const { templateKey } = req.params
-    const { buildId, coBuyerEnabled = false } = req.body
+    const { buildId } = req.body
 
     if (!buildId) {
       return res.status(400).json({ error: 'Build ID is required' })
@@ -2917,19 +3386,19 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
 
     console.log('[CONTRACT_START] Starting contract for template:', templateKey, 'build:', buildId)
 
-    // Import the existing working modules
-    const { createSubmission, getTemplate } = await import('../lib/docuseal.js')
-    const { getTemplate: getTemplateByKey } = await import('../lib/docuseal/templates.js')
+    const esign = getDefaultEsignProvider()
 
-    // Get template configuration
-    const template = getTemplateByKey(templateKey)
-    console.log('[CONTRACT_START] Using template:', template.name, 'ID:', template.id)
+    // The template version in effect now (lib/contract-templates.js), or the built-in one
+    if (!contractTemplateKeys().includes(templateKey)) {
+      return res.status(404).json({ error: 'unknown_template', message: `Unknown template key: ${templateKey}` })
+    }
+    const template = await resolveContractTemplate(templateKey, { provider: esign })
+    console.log('[CONTRACT_START] Using template:', template.name, 'ID:', template.id, 'version:', template.version ?? template.source, 'provider:', esign.name)
     
-    // Fetch actual template from DocuSeal to validate real field names
+    // Ask the provider for the template's real field names
     let remoteTemplateFields = []
     try {
-      const remote = await getTemplate(template.id)
-      remoteTemplateFields = Array.isArray(remote?.fields) ? remote.fields.map(f => f?.name).filter(Boolean) : []
+      remoteTemplateFields = await esign.templateFields(template)
     } catch (e) {
       console.warn('[CONTRACT_START] Could not fetch remote template fields; proceeding with local field map only:', e?.message)
     }
@@ -2940,13 +3409,24 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
       return res.status(404).json({ error: 'Build not found' })
     }
 
+    // The co-buyer from the buyer step signs too, unless the caller opts out,
+    // and templates with dealer fields are countersigned by Firefly last
+    const buyerInfo = build.buyerInfo || {}
+    const coBuyerError = validateCoBuyer(buyerInfo)
+    if (coBuyerError) return res.status(400).json(coBuyerError)
+    const { submitters, order, signingOrder } = contractSubmitters(buyerInfo, {
+      coBuyerEnabled: req.body.coBuyerEnabled !== false,
+      countersign: templateNeedsCountersignature(template)
+    })
+    const hasCoBuyer = submitters.some(s => s.role === SIGNER_ROLES.COBUYER)
+
     // Get organization settings for prefill data
     const settings = await getOrgSettings()
 
     // Build prefill data
     const prefillData = await buildContractPrefill(build, settings)
 
-    // Build a filtered map just for FIELD elements (DocuSeal ignores unknown fields).
+    // Build a filtered map just for FIELD elements (providers ignore or reject unknown fields).
     // Keep the full prefill object for HTML {{var}} replacement used by DocuSeal's native Download.
     const templateFieldMap = template.fieldMap || {}
     const localNames = new Set(Object.keys(templateFieldMap))
@@ -2964,7 +3444,7 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
       const cfg = templateFieldMap[key]
       if (cfg && cfg.readonly === true && validFieldNames.has(key)) {
         // Only include cobuyer fields if there's actually a cobuyer submitter
-        if (cfg.role === 'cobuyer' && (!coBuyerEnabled || !buyerInfo.coBuyerEmail)) {
+        if (cfg.role === SIGNER_ROLES.COBUYER && !hasCoBuyer) {
           continue
         }
         fieldsPrefill[key] = value
@@ -2977,7 +3457,7 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
       if (validFieldNames.has(key)) {
         const cfg = templateFieldMap[key]
         // Only include cobuyer fields if there's actually a cobuyer submitter
-        if (cfg && cfg.role === 'cobuyer' && (!coBuyerEnabled || !buyerInfo.coBuyerEmail)) {
+        if (cfg && cfg.role === SIGNER_ROLES.COBUYER && !hasCoBuyer) {
           continue
         }
         filteredPrefillData[key] = value
@@ -2997,37 +3477,46 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
       sampleLocalFields: Array.from(localNames).slice(0, 10)
     })
 
-    // Build submitters array (without fields - the existing function will add them)
-    const buyerInfo = build.buyerInfo || {}
-    const submitters = [{
-      name: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
-      email: buyerInfo.email || '',
-      role: 'buyer' // Match DocuSeal template role names
-    }]
+    const db = await getDb()
+    
+    // Determine which pack this template belongs to
+    const packMap = {
+      'masterRetail': 'agreement',
+      'delivery': 'delivery',
+      'final': 'final'
+    }
+    const packId = packMap[templateKey] || 'agreement'
+    
+    // Check if contract already exists
+    let existingContract = await db.collection('contracts').findOne({ 
+      buildId: buildId, 
+      userId: auth.userId 
+    }, { sort: { version: -1 } })
 
-    // Add co-buyer if enabled and data exists
-    if (coBuyerEnabled && buyerInfo.coBuyerEmail) {
-      submitters.push({
-        name: `${buyerInfo.coBuyerFirstName || ''} ${buyerInfo.coBuyerLastName || ''}`.trim(),
-        email: buyerInfo.coBuyerEmail,
-        role: 'cobuyer' // Match DocuSeal template role names
+    // Starting over would throw away signatures already collected on this pack
+    const existingSigners = existingContract?.packs?.[packId]?.signers || []
+    const existingStatus = existingContract?.packs?.[packId]?.status
+    if ((existingStatus === 'in_progress' || existingStatus === AWAITING_COUNTERSIGNATURE) && existingSigners.some(s => s.status === 'completed')) {
+      return res.status(409).json({
+        error: 'signing_in_progress',
+        message: 'This contract is already signed by some signers and is waiting on the rest',
+        signers: publicSigners(existingSigners)
       })
     }
 
-    // Create submission using the existing working function
-    const submission = await createSubmission({
-      templateId: template.id,
+    const submission = await esign.createSubmission({
+      template,
       // Send filtered prefill data to avoid "Unknown field" errors
       prefill: filteredPrefillData,
       // Use filtered fields for actual field elements overlay
       fieldsPrefill,
       submitters,
-      sendEmail: false,
+      order,
       completedRedirectUrl: `${process.env.APP_URL || 'https://www.fireflyestimator.com'}/checkout/${buildId}/document-signed`,
       cancelRedirectUrl: `${process.env.APP_URL || 'https://www.fireflyestimator.com'}/checkout/${buildId}/agreement`
     })
 
-    console.log('[CONTRACT_START] Submission created:', submission.id)
+    console.log('[CONTRACT_START] Submission created:', submission.submissionId)
 
     // Debug: Log the full submission response
     console.log('[CONTRACT_START] Full submission response:', {
@@ -3036,17 +3525,16 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
       rawResponse: submission.raw
     })
 
-    // Use the signing URL extracted by the createSubmission function
     const signingUrl = submission.signerUrl
 
     console.log('[CONTRACT_START] Extracted signing URL:', signingUrl)
 
     // If we still don't have a signing URL, this is a problem
     if (!signingUrl) {
-      console.error('[CONTRACT_START] No signing URL found in DocuSeal response')
+      console.error('[CONTRACT_START] No signing URL in the submission response')
       return res.status(500).json({
-        error: 'No signing URL received from DocuSeal',
-        message: 'DocuSeal submission was created but no signing URL was provided',
+        error: 'No signing URL received',
+        message: `The ${esign.name} submission was created but no signing URL was provided`,
         submissionId: submission.submissionId,
         rawResponse: submission.raw
       })
@@ -3056,32 +3544,22 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
     const result = {
       submissionId: submission.submissionId,
       embedUrl: signingUrl,
-      templateName: template.name
+      templateName: template.name,
+      templateVersion: template.version ?? null
     }
 
-    // Add co-buyer URL if applicable
-    if (coBuyerEnabled && buyerInfo.coBuyerEmail && submission.raw?.submitters?.[1]) {
-      result.coBuyerEmbedUrl = submission.raw.submitters[1].url
+    // Add co-buyer URL if applicable, for a co-buyer signing on the same device
+    const signers = initialSigners(submitters, submission.submitters)
+    const coBuyerSigner = signers.find(s => s.role === SIGNER_ROLES.COBUYER)
+    if (coBuyerSigner?.signerUrl) {
+      result.coBuyerEmbedUrl = coBuyerSigner.signerUrl
     }
+    result.signingOrder = signingOrder
+    result.signers = publicSigners(signers)
 
     // Store contract in database for status tracking with enhanced pack structure
-    const db = await getDb()
     const { ObjectId } = await import('mongodb')
     
-    // Determine which pack this template belongs to
-    const packMap = {
-      'masterRetail': 'agreement',
-      'delivery': 'delivery',
-      'final': 'final'
-    }
-    const packId = packMap[templateKey] || 'agreement'
-    
-    // Check if contract already exists
-    let existingContract = await db.collection('contracts').findOne({ 
-      buildId: buildId, 
-      userId: auth.userId 
-    }, { sort: { version: -1 } })
-    
     if (existingContract) {
       // Update existing contract with new pack submission
       await db.collection('contracts').updateOne(
@@ -3091,10 +3569,14 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
             [`packs.${packId}`]: {
               status: 'in_progress',
               submissionId: submission.submissionId,
+              esignProvider: esign.name,
               templateId: template.id,
               templateName: template.name,
+              ...templateVersionRecord(template),
               signerUrl: signingUrl,
               embedUrl: signingUrl,
+              signingOrder,
+              signers,
               startedAt: new Date(),
               progress: {
                 currentPage: 0,
@@ -3113,7 +3595,8 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
               packId: packId,
               metadata: {
                 submissionId: submission.submissionId,
-                templateName: template.name
+                templateName: template.name,
+                templateVersion: template.version ?? null
               },
               ipAddress: req.ip || req.connection.remoteAddress,
               userAgent: req.headers['user-agent']
@@ -3141,10 +3624,14 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
           agreement: packId === 'agreement' ? {
             status: 'in_progress',
             submissionId: submission.submissionId,
+            esignProvider: esign.name,
             templateId: template.id,
             templateName: template.name,
+            ...templateVersionRecord(template),
             signerUrl: signingUrl,
             embedUrl: signingUrl,
+            signingOrder,
+            signers,
             startedAt: new Date(),
             progress: {
               currentPage: 0,
@@ -3158,10 +3645,14 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
           delivery: packId === 'delivery' ? {
             status: 'in_progress',
             submissionId: submission.submissionId,
+            esignProvider: esign.name,
             templateId: template.id,
             templateName: template.name,
+            ...templateVersionRecord(template),
             signerUrl: signingUrl,
             embedUrl: signingUrl,
+            signingOrder,
+            signers,
             startedAt: new Date(),
             progress: {
               currentPage: 0,
@@ -3175,10 +3666,14 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
           final: packId === 'final' ? {
             status: 'in_progress',
             submissionId: submission.submissionId,
+            esignProvider: esign.name,
             templateId: template.id,
             templateName: template.name,
+            ...templateVersionRecord(template),
             signerUrl: signingUrl,
             embedUrl: signingUrl,
+            signingOrder,
+            signers,
             startedAt: new Date(),
             progress: {
               currentPage: 0,
@@ -3195,8 +3690,10 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
         submissions: [{
           submissionId: submission.submissionId,
           name: packId === 'agreement' ? 'purchase_agreement' : packId,
+          esignProvider: esign.name,
           templateId: template.id,
           templateName: template.name,
+          ...templateVersionRecord(template),
           status: 'ready',
           signerUrl: signingUrl,
           createdAt: new Date()
@@ -3212,7 +3709,8 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
           packId: packId,
           metadata: { 
             submissionId: submission.submissionId,
-            templateName: template.name
+            templateName: template.name,
+            templateVersion: template.version ?? null
           },
           ipAddress: req.ip || req.connection.remoteAddress,
           userAgent: req.headers['user-agent']
@@ -3237,6 +3735,14 @@ app.post(['/api/contracts/:templateKey/start', '/contracts/:templateKey/start'],
       'contract.createdAt': new Date()
     })
 
+    // Email signers who can sign straight away (a co-buyer signing in parallel)
+    try {
+      const stored = await db.collection('contracts').findOne({ buildId, userId: auth.userId }, { sort: { version: -1 } })
+      if (stored) await notifyPackSigners(stored, packId, { build })
+    } catch (inviteError) {
+      console.error('[CONTRACT_START] Failed to send signer invites:', inviteError)
+    }
+
     console.log('[CONTRACT_START] Contract processed successfully')
     console.log('[CONTRACT_START] Final result:', result)
     res.json(result)
@@ -3344,7 +3850,8 @@ app.post(['/api/contracts/create', '/contracts/create'], async (req, res) => {
     // Build prefill data from build
     const prefill = await buildContractPrefill(build, settings)
 
-    // Create DocuSeal submissions for all templates
+    // Create DocuSeal submissions for all templates (hosted template ids, so always DocuSeal)
+    const docuseal = getEsignProvider('docuseal')
     const buyerInfo = build.buyerInfo || {}
     const submitters = [{
       name: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
@@ -3362,11 +3869,10 @@ app.post(['/api/contracts/create', '/contracts/create'], async (req, res) => {
       })
       
       try {
-        const submission = await createSubmission({
+        const submission = await docuseal.createSubmission({
           templateId,
           prefill,
           submitters,
-          sendEmail: false, // Don't send email until user is ready
           completedRedirectUrl: `${process.env.APP_URL || 'https://www.fireflyestimator.com'}/checkout/${buildId}/document-signed`,
           cancelRedirectUrl: `${process.env.APP_URL || 'https://www.fireflyestimator.com'}/checkout/${buildId}/agreement`
         })
@@ -3451,224 +3957,350 @@ app.post(['/api/contracts/create', '/contracts/create'], async (req, res) => {
 app.post(['/api/contracts/webhook', '/contracts/webhook'], async (req, res) => {
   try {
     // Verify webhook signature
-    const secret = process.env.DOCUSEAL_WEBHOOK_SECRET || ''
-    const signature = req.headers['x-docuseal-signature'] || req.headers['X-DocuSeal-Signature']
-    
-    if (!secret || signature !== secret) {
+    if (!getEsignProvider('docuseal').verifyWebhook(req.headers)) {
       console.error('DocuSeal webhook: Invalid signature')
       return res.status(401).json({ error: 'Unauthorized' })
     }
 
-    const { event_type, data } = req.body
+    const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+    const { event_type, data } = body
     console.log('DocuSeal webhook received:', event_type, 'submitter ID:', data?.id, 'submission ID:', data?.submission_id)
 
-    // DocuSeal sends submitter ID in data.id and submission ID in data.submission_id
-    const submitterId = data?.id
-    const submissionId = data?.submission_id
-
-    if (!submitterId && !submissionId) {
+    if (!data?.id && !data?.submission_id) {
       return res.status(400).json({ error: 'Missing submitter or submission ID' })
     }
 
-    const db = await getDb()
-    
-    // Find contract by submission ID in both legacy and new pack structures
-    const contract = await db.collection('contracts').findOne({ 
-      $or: [
-        { 'submissions.submissionId': submissionId },
-        { 'packs.agreement.submissionId': submissionId },
-        { 'packs.delivery.submissionId': submissionId },
-        { 'packs.final.submissionId': submissionId }
-      ]
+    // DocuSeal sends no delivery id; identical redeliveries hash the same
+    const { event: stored, duplicate } = await ingestWebhookEvent({
+      provider: 'docuseal',
+      eventId: payloadEventId(body),
+      type: event_type,
+      payload: body,
+      headers: req.headers,
+      meta: { ip: req.ip || req.connection?.remoteAddress || null },
     })
+    res.status(200).json({ success: true, duplicate, status: stored?.status })
 
-    if (!contract) {
-      console.log('DocuSeal webhook: Contract not found for submission:', submissionId)
-      return res.status(404).json({ error: 'Contract not found' })
-    }
+  } catch (error) {
+    console.error('DocuSeal webhook error:', error)
+    res.status(500).json({ 
+      error: 'Webhook processing failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    })
+  }
+})
 
-    // Determine new status based on event type
-    let newStatus = 'ready'
-    let shouldDownloadPdf = false
+// Processes a contract signing event from the webhook event log, already
+// normalized by its e-signature provider (see lib/esign/index.js)
+async function handleContractSigningEvent(event, stored) {
+  const { submissionId, submitterId } = event
+  const action = event.rawType || event.type
+  const who = `${event.provider}_webhook`
+
+  // Change orders are signed outside the contract packs
+  const changeOrderBuild = await findBuildByChangeOrderSubmission(submissionId)
+  if (changeOrderBuild) {
+    // The buyer is a change order's only signer
+    if (event.type === 'completed' || event.type === 'signed') {
+      const result = await completeChangeOrder(submissionId, { documentUrl: event.documentUrl, auditTrailUrl: event.auditTrailUrl })
+      if (result.error) console.warn('Signing webhook: Change order not applied:', result.error, submissionId)
+      return { changeOrder: true, applied: !result.error }
+    }
+    return { changeOrder: true }
+  }
 
-    switch (event_type) {
-      case 'form.viewed':
-      case 'submission.created':
-        newStatus = 'ready'
-        break
-      case 'form.started':
-      case 'submission.started':
-        newStatus = 'in_progress'
-        break
-      case 'form.completed':
-      case 'submission.completed':
-        newStatus = 'completed'
-        shouldDownloadPdf = true
-        break
-      case 'form.declined':
-      case 'submission.declined':
-        newStatus = 'voided'
+  const db = await getDb()
+  
+  // Find contract by submission ID in both legacy and new pack structures
+  const contract = await db.collection('contracts').findOne({ 
+    $or: [
+      { 'submissions.submissionId': submissionId },
+      { 'packs.agreement.submissionId': submissionId },
+      { 'packs.delivery.submissionId': submissionId },
+      { 'packs.final.submissionId': submissionId }
+    ]
+  })
+
+  if (!contract) {
+    console.log('Signing webhook: Contract not found for submission:', submissionId)
+    return { skipped: 'contract_not_found' }
+  }
+
+  // Find which pack this submission belongs to
+  let packId = null
+  let packData = null
+  
+  if (contract.packs) {
+    // Check new pack structure
+    for (const [pid, pdata] of Object.entries(contract.packs)) {
+      if (pdata.submissionId === submissionId) {
+        packId = pid
+        packData = pdata
         break
-      default:
-        console.log('DocuSeal webhook: Unhandled event type:', event_type)
+      }
     }
-
-    // Find which pack this submission belongs to
-    let packId = null
-    let packData = null
-    
-    if (contract.packs) {
-      // Check new pack structure
-      for (const [pid, pdata] of Object.entries(contract.packs)) {
-        if (pdata.submissionId === submissionId) {
-          packId = pid
-          packData = pdata
-          break
+  }
+  
+  // Determine new status based on event type and, with several signers,
+  // on who has signed so far
+  const applied = applySignerEvent(packData, event)
+  if (!applied.status) {
+    console.log('Signing webhook: Unhandled event type:', action)
+    return { skipped: 'unhandled_event', packId }
+  }
+  const newStatus = applied.status
+  const shouldDownloadPdf = newStatus === 'completed' && packData?.status !== 'completed'
+  // Countersigned packs are executed by the dealer's signature
+  const countersigned = hasCountersigner(packData)
+  const executedAt = shouldDownloadPdf && countersigned ? new Date() : null
+  const nowAwaitingCountersignature = newStatus === AWAITING_COUNTERSIGNATURE && packData?.status !== AWAITING_COUNTERSIGNATURE
+
+  if (packId) {
+    // Update pack-specific status
+    await db.collection('contracts').updateOne(
+      { _id: contract._id },
+      { 
+        $set: { 
+          [`packs.${packId}.status`]: newStatus,
+          ...(applied.signers && { [`packs.${packId}.signers`]: applied.signers }),
+          [`packs.${packId}.updatedAt`]: new Date(),
+          ...(newStatus === 'completed' && { [`packs.${packId}.completedAt`]: new Date() }),
+          ...(executedAt && { [`packs.${packId}.executedAt`]: executedAt }),
+          ...(shouldDownloadPdf && { [`packs.${packId}.needsDocumentFetch`]: true }),
+          updatedAt: new Date()
+        },
+        $push: { 
+          audit: {
+            timestamp: new Date(),
+            userId: who,
+            action,
+            packId: packId,
+            metadata: { 
+              submissionId: submissionId,
+              submitterId: submitterId,
+              role: event.role || null,
+              from: packData.status,
+              to: newStatus
+            },
+            ipAddress: stored?.meta?.ip || null
+          }
         }
       }
+    )
+  } else {
+    // Legacy: Find the specific submission that was updated
+    const submissionIndex = contract.submissions?.findIndex(s => s.submissionId === submissionId)
+    if (submissionIndex === -1 || submissionIndex === undefined) {
+      console.log('Signing webhook: Submission not found in contract:', submissionId)
+      return { skipped: 'submission_not_found' }
     }
+
+    const submission = contract.submissions[submissionIndex]
     
-    if (packId) {
-      // Update pack-specific status
-      await db.collection('contracts').updateOne(
-        { _id: contract._id },
-        { 
-          $set: { 
-            [`packs.${packId}.status`]: newStatus,
-            [`packs.${packId}.updatedAt`]: new Date(),
-            ...(newStatus === 'completed' && { [`packs.${packId}.completedAt`]: new Date() }),
-            ...(shouldDownloadPdf && { [`packs.${packId}.needsDocumentFetch`]: true }),
-            updatedAt: new Date()
-          },
-          $push: { 
-            audit: {
-              timestamp: new Date(),
-              userId: 'docuseal_webhook',
-              action: event_type,
-              packId: packId,
-              metadata: { 
-                submissionId: submissionId,
-                submitterId: submitterId,
-                from: packData.status,
-                to: newStatus
-              },
-              ipAddress: req.ip || req.connection.remoteAddress
+    // Update the specific submission status
+    const updatedSubmissions = [...contract.submissions]
+    updatedSubmissions[submissionIndex] = {
+      ...submission,
+      status: newStatus === 'in_progress' ? 'signing' : newStatus
+    }
+    
+    await db.collection('contracts').updateOne(
+      { _id: contract._id },
+      { 
+        $set: { 
+          submissions: updatedSubmissions,
+          updatedAt: new Date()
+        },
+        $push: { 
+          audit: {
+            at: new Date(),
+            who,
+            action,
+            meta: { 
+              submissionId,
+              submissionName: submission.name,
+              from: submission.status,
+              to: newStatus === 'in_progress' ? 'signing' : newStatus
             }
           }
         }
-      )
-    } else {
-      // Legacy: Find the specific submission that was updated
-      const submissionIndex = contract.submissions?.findIndex(s => s.submissionId === submissionId)
-      if (submissionIndex === -1 || submissionIndex === undefined) {
-        console.log('DocuSeal webhook: Submission not found in contract:', data.id)
-        return res.status(404).json({ error: 'Submission not found' })
       }
+    )
+  }
 
-      const submission = contract.submissions[submissionIndex]
-      
-      // Update the specific submission status
-      const updatedSubmissions = [...contract.submissions]
-      updatedSubmissions[submissionIndex] = {
-        ...submission,
-        status: newStatus === 'in_progress' ? 'signing' : newStatus
-      }
+  // Download and store signed PDF if completed (for pack-specific structure)
+  if (shouldDownloadPdf && packId) {
+    try {
+      const pdfBuffer = await esignProviderFor(packData).download(submissionId, { documentUrl: event.documentUrl })
+      const publicId = `contracts/${contract.buildId}/v${contract.version}/${packId}_signed`
       
+      const cloudinaryResult = await uploadPdfToCloudinary({
+        buffer: pdfBuffer,
+        folder: 'firefly-estimator/contracts',
+        publicId
+      })
+
       await db.collection('contracts').updateOne(
         { _id: contract._id },
         { 
           $set: { 
-            submissions: updatedSubmissions,
-            updatedAt: new Date()
-          },
-          $push: { 
-            audit: {
-              at: new Date(),
-              who: 'docuseal_webhook',
-              action: event_type,
-              meta: { 
-                submissionId: data.id,
-                submissionName: submission.name,
-                from: submission.status,
-                to: newStatus === 'in_progress' ? 'signing' : newStatus
-              }
-            }
+            [`packs.${packId}.signedPdfCloudinaryId`]: cloudinaryResult.public_id,
+            [`packs.${packId}.signedPdfUrl`]: event.documentUrl || null
           }
         }
       )
-    }
-
-    // Download and store signed PDF if completed (for pack-specific structure)
-    if (shouldDownloadPdf && packId) {
-      try {
-        // Get the signed document URL from DocuSeal webhook data
-        let documentUrl = null
-        
-        // Try different possible document URL locations in webhook data
-        if (data.documents && data.documents[0] && data.documents[0].url) {
-          documentUrl = data.documents[0].url
-        } else if (data.submission && data.submission.audit_log_url) {
-          documentUrl = data.submission.audit_log_url
-        } else if (data.audit_log_url) {
-          documentUrl = data.audit_log_url
-        }
-        
-        if (documentUrl) {
-          const pdfBuffer = await downloadFile(documentUrl)
-          const publicId = `contracts/${contract.buildId}/v${contract.version}/${packId}_signed`
-          
-          const cloudinaryResult = await uploadPdfToCloudinary({
-            buffer: pdfBuffer,
-            folder: 'firefly-estimator/contracts',
-            publicId
-          })
 
+      console.log(`Signing webhook: ${packId} PDF stored to Cloudinary:`, cloudinaryResult.public_id)
+
+      // Everyone gets a copy of the fully executed contract
+      if (executedAt) {
+        const sent = await sendExecutedContract({
+          signers: applied.signers || packData.signers,
+          buffer: pdfBuffer,
+          filename: `${packId}-executed-${String(contract.buildId).slice(-6)}.pdf`,
+          packName: packData.templateName || 'purchase agreement',
+          modelName: contract.snapshots?.buildData?.modelName || '',
+          executedAt
+        })
+        if (sent.error) {
+          console.warn(`Signing webhook: Executed ${packId} not emailed:`, sent.error)
+        } else {
           await db.collection('contracts').updateOne(
             { _id: contract._id },
-            { 
-              $set: { 
-                [`packs.${packId}.signedPdfCloudinaryId`]: cloudinaryResult.public_id,
-                [`packs.${packId}.signedPdfUrl`]: documentUrl
-              }
-            }
+            { $set: { [`packs.${packId}.executedEmailedTo`]: sent.to, [`packs.${packId}.executedEmailedAt`]: new Date() } }
           )
-
-          console.log(`DocuSeal webhook: ${packId} PDF stored to Cloudinary:`, cloudinaryResult.public_id)
-        } else {
-          console.log('DocuSeal webhook: No document URL found in webhook data')
         }
-      } catch (error) {
-        console.error(`DocuSeal webhook: Failed to store ${packId} PDF:`, error)
       }
+    } catch (error) {
+      console.error(`Signing webhook: Failed to store ${packId} PDF:`, error)
+    }
+  }
+
+  // The buyers are done; the pack joins the admin countersignature queue
+  if (nowAwaitingCountersignature && packId) {
+    try {
+      await updateBuild(contract.buildId, { 'contract.status': AWAITING_COUNTERSIGNATURE })
+      // No targetUsers: shows for every admin in the notifications center
+      await db.collection('notifications').insertOne({
+        title: `Ready to countersign: ${packData.templateName || packId}`,
+        message: `Every buyer has signed the ${packData.templateName || packId} for build ${String(contract.buildId).slice(-6)}. It is waiting for Firefly's countersignature.`,
+        type: 'info',
+        category: 'order',
+        priority: 'high',
+        isSystemGenerated: true,
+        createdBy: 'system',
+        createdAt: new Date(),
+        readBy: [],
+        status: 'active',
+        metadata: { buildId: String(contract.buildId), contractId: String(contract._id), packId, countersign: true }
+      })
+    } catch (error) {
+      console.error('Signing webhook: Failed to queue countersignature:', error)
     }
+  }
 
-    // Update build status if pack completed
-    if (newStatus === 'completed' && packId) {
-      // Check if all packs are completed to advance build step
+  // Once a signer is done, invite whoever signs next
+  if (event.type === 'signed' && packId && newStatus !== 'completed' && newStatus !== AWAITING_COUNTERSIGNATURE) {
+    try {
       const updatedContract = await db.collection('contracts').findOne({ _id: contract._id })
-      const allPacksCompleted = updatedContract.packs && 
-        ['agreement', 'delivery', 'final'].every(pid => 
-          updatedContract.packs[pid]?.status === 'completed' || 
-          updatedContract.packs[pid]?.status === 'not_started'
-        )
-      
-      if (allPacksCompleted) {
-        await updateBuild(contract.buildId, { 
-          'contract.status': 'completed',
-          'contract.completedAt': new Date(),
-          step: 8 // Advance to confirmation step
-        })
-      }
+      await notifyPackSigners(updatedContract, packId)
+    } catch (error) {
+      console.error('Signing webhook: Failed to invite the next signer:', error)
     }
+  }
 
-    res.status(200).json({ success: true })
+  // Update build status if pack completed
+  if (newStatus === 'completed' && packId) {
+    // Check if all packs are completed to advance build step
+    const updatedContract = await db.collection('contracts').findOne({ _id: contract._id })
+    const allPacksCompleted = updatedContract.packs && 
+      ['agreement', 'delivery', 'final'].every(pid => 
+        updatedContract.packs[pid]?.status === 'completed' || 
+        updatedContract.packs[pid]?.status === 'not_started'
+      )
+    
+    if (allPacksCompleted) {
+      const executedDates = ['agreement', 'delivery', 'final'].map(pid => updatedContract.packs[pid]?.executedAt).filter(Boolean)
+      await updateBuild(contract.buildId, { 
+        'contract.status': 'completed',
+        'contract.completedAt': new Date(),
+        ...(executedDates.length && { 'contract.executedAt': new Date(Math.max(...executedDates.map(d => new Date(d).getTime()))) }),
+        step: 8 // Advance to confirmation step
+      })
+      await advanceBuild(contract.buildId, BUILD_STATUS.SIGNED)
+    }
+  }
+
+  return { packId: packId || null, status: newStatus, ...(executedAt && { executedAt }) }
+}
+registerWebhookHandler('docuseal', (payload, stored) => handleContractSigningEvent(getEsignProvider('docuseal').normalizeWebhook(payload), stored))
+registerWebhookHandler('local_signer', handleContractSigningEvent)
 
+// Local signer signing page (lib/esign/local-signer.js). The token in the URL
+// is the submitter's own link, the way DocuSeal's signing links work.
+function localSignerRequestInfo(req) {
+  return { ip: req.ip || req.connection?.remoteAddress || null, userAgent: req.headers['user-agent'] || null }
+}
+
+app.get(['/api/esign/local/:token', '/esign/local/:token'], async (req, res) => {
+  try {
+    const found = await openLocalSigning(req.params.token, localSignerRequestInfo(req))
+    if (found.error) return res.status(404).json(found)
+    // The page is embedded in the checkout iframe
+    res.setHeader('X-Frame-Options', 'SAMEORIGIN')
+    res.setHeader('Content-Security-Policy', "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; img-src 'self' data:; frame-ancestors 'self'")
+    res.setHeader('Cache-Control', 'no-store')
+    res.type('html').send(renderSigningPage(found.submission, found.submitter))
   } catch (error) {
-    console.error('DocuSeal webhook error:', error)
-    res.status(500).json({ 
-      error: 'Webhook processing failed',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    console.error('Local signing page error:', error)
+    res.status(500).json({ error: 'signing_page_failed', message: 'Unable to open the signing page' })
+  }
+})
+
+app.post(['/api/esign/local/:token', '/esign/local/:token'], async (req, res) => {
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+    const result = await submitLocalSigning(req.params.token, body, localSignerRequestInfo(req))
+    if (result.error) {
+      const code = result.error === 'not_found' ? 404 : result.error === 'fields_missing' || result.error === 'invalid_signature' ? 400 : 409
+      return res.status(code).json(result)
+    }
+    res.json({
+      success: true,
+      completed: result.completed,
+      redirectUrl: result.submission.completedRedirectUrl || null,
     })
+  } catch (error) {
+    console.error('Local signing error:', error)
+    res.status(500).json({ error: 'signing_failed', message: 'Your signature was saved but the signed document could not be produced yet. Try again shortly.' })
+  }
+})
+
+app.post(['/api/esign/local/:token/decline', '/esign/local/:token/decline'], async (req, res) => {
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+    const result = await declineLocalSigning(req.params.token, { reason: body.reason, ...localSignerRequestInfo(req) })
+    if (result.error) return res.status(result.error === 'not_found' ? 404 : 409).json(result)
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Local signing decline error:', error)
+    res.status(500).json({ error: 'decline_failed', message: 'Unable to decline' })
+  }
+})
+
+app.get(['/api/esign/local/:token/document', '/esign/local/:token/document'], async (req, res) => {
+  try {
+    const result = await readLocalSignedDocument(req.params.token)
+    if (result.error === 'not_found') return res.status(404).json({ error: 'not_found' })
+    if (result.error) return res.status(409).json({ error: result.error, message: 'The contract is not signed by everyone yet' })
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `inline; filename="${result.submission._id}.pdf"`)
+    res.setHeader('Cache-Control', 'private, no-store')
+    res.setHeader('X-Frame-Options', 'SAMEORIGIN')
+    res.send(result.buffer)
+  } catch (error) {
+    console.error('Local signed document error:', error)
+    res.status(500).json({ error: 'document_failed', message: 'Unable to load the signed document' })
   }
 })
 
@@ -3708,13 +4340,12 @@ app.get(['/api/contracts/:buildId/pack/:packId/download', '/contracts/:buildId/p
       return res.status(404).json({ error: 'Pack submission not found' })
     }
 
-    // If pack isn't completed yet, check DocuSeal directly
+    // If pack isn't completed yet, check with the signing provider directly
     if (packData.status !== 'completed') {
       try {
-        const { getSubmission } = await import('../lib/docuseal.js')
-        const docusealSubmission = await getSubmission(packData.submissionId)
+        const { status } = await esignProviderFor(packData).getStatus(packData.submissionId)
         
-        if (docusealSubmission.status !== 'completed') {
+        if (status !== ESIGN_STATUS.COMPLETED) {
           return res.status(400).json({ error: 'Document not yet completed' })
         }
         
@@ -3728,8 +4359,8 @@ app.get(['/api/contracts/:buildId/pack/:packId/download', '/contracts/:buildId/p
             }
           }
         )
-      } catch (docusealError) {
-        console.error('Failed to check DocuSeal status:', docusealError)
+      } catch (esignError) {
+        console.error('Failed to check signing status:', esignError)
         return res.status(500).json({ error: 'Unable to verify document status' })
       }
     }
@@ -3741,48 +4372,18 @@ app.get(['/api/contracts/:buildId/pack/:packId/download', '/contracts/:buildId/p
       // Use Cloudinary for secure download
       downloadUrl = signedCloudinaryUrl(packData.signedPdfCloudinaryId, {
         resource_type: 'auto',
-        type: 'upload',
-        expires_at: Math.floor(Date.now() / 1000) + (24 * 60 * 60) // 24 hours
-      })
-    } else if (packData.signedPdfUrl) {
-      // Use stored DocuSeal URL
-      downloadUrl = packData.signedPdfUrl
-    } else {
-      // Get document URL directly from DocuSeal
-      try {
-        const { getSubmission } = await import('../lib/docuseal.js')
-        const docusealSubmission = await getSubmission(packData.submissionId)
-        
-        // Get the actual signed document (not audit log) from DocuSeal
-        if (docusealSubmission.status === 'completed') {
-          // Use DocuSeal's documents endpoint to get the actual signed document
-          const documentsResponse = await fetch(`https://api.docuseal.co/submissions/${packData.submissionId}/documents`, {
-            headers: {
-              'X-Auth-Token': process.env.DOCUSEAL_API_KEY
-            }
-          })
-          
-          if (documentsResponse.ok) {
-            const documentsData = await documentsResponse.json()
-            console.log('DocuSeal documents response:', documentsData)
-            
-            // Get the first document (the actual signed agreement)
-            if (documentsData && documentsData[0] && documentsData[0].url) {
-              downloadUrl = documentsData[0].url
-              console.log('Found signed document URL:', downloadUrl)
-            } else {
-              console.log('No documents found in DocuSeal response')
-              // Fallback to submission download endpoint
-              downloadUrl = `https://api.docuseal.co/submissions/${packData.submissionId}/download`
-            }
-          } else {
-            console.error('Failed to get documents from DocuSeal:', documentsResponse.status)
-            // Fallback to submission download endpoint
-            downloadUrl = `https://api.docuseal.co/submissions/${packData.submissionId}/download`
-          }
-        }
-      } catch (docusealError) {
-        console.error('Failed to get DocuSeal document URL:', docusealError)
+        type: 'upload',
+        expires_at: Math.floor(Date.now() / 1000) + (24 * 60 * 60) // 24 hours
+      })
+    } else if (packData.signedPdfUrl) {
+      // Use the stored provider URL
+      downloadUrl = packData.signedPdfUrl
+    } else {
+      // Ask the signing provider for the signed document
+      try {
+        downloadUrl = await esignProviderFor(packData).documentUrl(packData.submissionId)
+      } catch (esignError) {
+        console.error('Failed to get signed document URL:', esignError)
         return res.status(500).json({ error: 'Unable to retrieve signed document' })
       }
     }
@@ -3832,22 +4433,22 @@ app.get(['/api/contracts/:buildId/pack/:packId/check-status', '/contracts/:build
       return res.status(404).json({ error: 'Pack submission not found' })
     }
 
-    // Check status directly with DocuSeal
+    // Check status directly with the signing provider
     try {
-      const { getSubmission } = await import('../lib/docuseal.js')
-      const docusealSubmission = await getSubmission(packData.submissionId)
+      const esignStatus = await esignProviderFor(packData).getStatus(packData.submissionId)
       
-      console.log('DocuSeal direct status check:', {
+      console.log('Direct signing status check:', {
         submissionId: packData.submissionId,
-        status: docusealSubmission.status,
-        completed_at: docusealSubmission.completed_at
+        status: esignStatus.status,
+        completed_at: esignStatus.completedAt
       })
 
-      // Map DocuSeal status to our status
+      // Map the provider status to our status
       let mappedStatus = packData.status
-      if (docusealSubmission.status === 'completed') {
+      if (esignStatus.status === ESIGN_STATUS.COMPLETED) {
         mappedStatus = 'completed'
-      } else if (docusealSubmission.status === 'pending') {
+      } else if ((esignStatus.status === ESIGN_STATUS.PENDING || esignStatus.status === ESIGN_STATUS.IN_PROGRESS) && packData.status !== AWAITING_COUNTERSIGNATURE) {
+        // The submission stays open while Firefly countersigns
         mappedStatus = 'in_progress'
       }
 
@@ -3872,15 +4473,15 @@ app.get(['/api/contracts/:buildId/pack/:packId/check-status', '/contracts/:build
         packId,
         oldStatus: packData.status,
         newStatus: mappedStatus,
-        docusealStatus: docusealSubmission.status,
+        esignStatus: esignStatus.status,
         submissionId: packData.submissionId
       })
 
-    } catch (docusealError) {
-      console.error('Failed to check DocuSeal status:', docusealError)
+    } catch (esignError) {
+      console.error('Failed to check signing status:', esignError)
       res.status(500).json({ 
         error: 'Failed to check signing status',
-        message: docusealError.message 
+        message: esignError.message 
       })
     }
 
@@ -3923,7 +4524,7 @@ app.post(['/api/contracts/:buildId/pack/:packId/document-token', '/contracts/:bu
   }
 })
 
-// Proxy signed document from DocuSeal (using token authentication)
+// Proxy the signed document from the signing provider (using token authentication)
 app.get(['/api/contracts/document/:token', '/contracts/document/:token'], async (req, res) => {
   try {
     const { token } = req.params
@@ -3958,19 +4559,19 @@ app.get(['/api/contracts/document/:token', '/contracts/document/:token'], async
     }
 
     // Find submission ID - check both new and legacy structures
-    let submissionId = null
+    let submissionRecord = null
     
     if (contract.packs && contract.packs[packId] && contract.packs[packId].submissionId) {
-      submissionId = contract.packs[packId].submissionId
+      submissionRecord = contract.packs[packId]
     } else if (contract.submissions) {
       // Legacy structure - find by name
-      const submission = contract.submissions.find(s => 
+      submissionRecord = contract.submissions.find(s => 
         s.name === 'purchase_agreement' || 
         s.name === 'masterRetail' ||
         s.name === packId
       )
-      submissionId = submission?.submissionId
     }
+    const submissionId = submissionRecord?.submissionId
 
     if (!submissionId) {
       return res.status(404).json({ error: 'Submission not found' })
@@ -3978,38 +4579,12 @@ app.get(['/api/contracts/document/:token', '/contracts/document/:token'], async
 
     console.log('Proxying document for submission:', submissionId)
 
-    // Get the actual signed document from DocuSeal
-    const documentsResponse = await fetch(`https://api.docuseal.co/submissions/${submissionId}/documents`, {
-      headers: {
-        'X-Auth-Token': process.env.DOCUSEAL_API_KEY
-      }
-    })
-
-    if (!documentsResponse.ok) {
-      console.error('Failed to get documents from DocuSeal:', documentsResponse.status)
-      return res.status(500).json({ error: 'Unable to retrieve document from DocuSeal' })
-    }
-
-    const documentsData = await documentsResponse.json()
-    console.log('DocuSeal documents data:', documentsData)
-
-    // Get the first document (should be the signed agreement)
-    if (!documentsData || !documentsData[0] || !documentsData[0].url) {
-      return res.status(404).json({ error: 'Signed document not found' })
-    }
-
-    const documentUrl = documentsData[0].url
-    console.log('Fetching document from:', documentUrl)
-
-    // Proxy the document
-    const documentResponse = await fetch(documentUrl, {
-      headers: {
-        'X-Auth-Token': process.env.DOCUSEAL_API_KEY
-      }
-    })
-
-    if (!documentResponse.ok) {
-      return res.status(500).json({ error: 'Failed to fetch document' })
+    let documentBuffer
+    try {
+      documentBuffer = await esignProviderFor(submissionRecord).download(submissionId)
+    } catch (esignError) {
+      console.error('Failed to get signed document:', esignError)
+      return res.status(500).json({ error: 'Unable to retrieve signed document' })
     }
 
     // Set appropriate headers for PDF
@@ -4019,8 +4594,7 @@ app.get(['/api/contracts/document/:token', '/contracts/document/:token'], async
     res.setHeader('X-Frame-Options', 'SAMEORIGIN') // Allow our own domain to frame this
     res.removeHeader('Content-Security-Policy') // Remove CSP for this endpoint
 
-    // Stream the document
-    documentResponse.body.pipe(res)
+    res.send(documentBuffer)
 
   } catch (error) {
     console.error('Document proxy error:', error)
@@ -4126,9 +4700,9 @@ app.patch(['/api/contracts/:buildId/pack/:packId/resume', '/contracts/:buildId/p
   }
 })
 
-// Helper function to map DocuSeal status to our status
-function mapDocuSealStatus(docusealStatus) {
-  switch (docusealStatus) {
+// Helper function to map a provider's submission status (ESIGN_STATUS) to our status
+function mapSigningStatus(esignStatus) {
+  switch (esignStatus) {
     case 'pending':
     case 'awaiting_signature':
       return 'ready'
@@ -4145,231 +4719,6 @@ function mapDocuSealStatus(docusealStatus) {
   }
 }
 
-// Helper function to build prefill data for DocuSeal
-async function buildContractPrefill(build, settings) {
-  console.log('[CONTRACT_CREATE] Building prefill data for build:', build._id)
-  
-  const selections = build.selections || {}
-  const pricing = build.pricing || {}
-  const buyerInfo = build.buyerInfo || {}
-  const financing = build.financing || {}
-  const delivery = build.delivery || {}
-  
-  console.log('[CONTRACT_CREATE] Build data sections:', {
-    hasSelections: !!selections,
-    hasPricing: !!pricing,
-    hasBuyerInfo: !!buyerInfo,
-    hasFinancing: !!financing,
-    hasDelivery: !!delivery,
-    selectionsKeys: Object.keys(selections),
-    pricingKeys: Object.keys(pricing),
-    buyerInfoKeys: Object.keys(buyerInfo),
-    financingKeys: Object.keys(financing),
-    deliveryKeys: Object.keys(delivery)
-  })
-  
-  // Calculate key amounts using the same logic as the frontend
-  const basePrice = Number(selections.basePrice || 0)
-  const options = selections.options || []
-  const optionsTotal = options.reduce((sum, opt) => sum + Number(opt.price || 0) * (opt.quantity || 1), 0)
-  
-  // Get fees from settings or build (same logic as frontend)
-  const deliveryFee = Number(pricing.delivery || 0)
-  const titleFee = Number(settings?.pricing?.title_fee_default || 500)
-  const setupFee = Number(settings?.pricing?.setup_fee_default || 3000)
-  const taxRate = Number(settings?.pricing?.tax_rate_percent || 6.25) / 100
-  
-  // Calculate subtotal before tax
-  const subtotalBeforeFees = basePrice + optionsTotal
-  const feesSubtotal = deliveryFee + titleFee + setupFee
-  const subtotalBeforeTax = subtotalBeforeFees + feesSubtotal
-  const salesTax = subtotalBeforeTax * taxRate
-  const totalPurchasePrice = subtotalBeforeTax + salesTax
-  
-  // Calculate deposit (default to 25% if not specified)
-  const depositPercent = 25 // Default deposit percentage
-  const depositAmount = Math.round(totalPurchasePrice * depositPercent / 100)
-  const balanceAmount = totalPurchasePrice - depositAmount
-
-  // Get model information
-  const modelName = build.modelName || 'Unknown Model'
-  const modelSlug = build.modelSlug || ''
-  
-  // Get model code from slug if available
-  let modelCode = ''
-  
-  if (modelSlug) {
-    // Convert slug to model code (e.g., 'magnolia' -> 'APS-630')
-    const modelMapping = {
-      'magnolia': 'APS-630',
-      'oak': 'APS-520',
-      'cedar': 'APS-720',
-      'pine': 'APS-820',
-      'bluebonnet': 'APS-601',
-      'nest': 'APS-520MS',
-      'azul': 'APS-523',
-      'meadow': 'APS-528'
-    }
-    modelCode = modelMapping[modelSlug] || modelSlug.toUpperCase()
-  }
-
-  // Format payment method with detailed information
-  const getPaymentMethodDisplay = () => {
-    const paymentMethod = financing.method
-    
-    if (paymentMethod === 'ach_debit') {
-      return 'ACH Debit (Bank Account)'
-    } else if (paymentMethod === 'bank_transfer') {
-      return 'Bank Transfer (Wire/ACH Credit)'
-    } else if (paymentMethod === 'credit_card') {
-      return 'Credit Card'
-    } else if (paymentMethod === 'financing') {
-      return `Financing (${financing.lender || 'Third Party Lender'})`
-    } else {
-      return 'Cash'
-    }
-  }
-
-  // CRITICAL: Use ONLY the exact field names from FIELD_MAPS
-  // This ensures perfect matching with DocuSeal template fields
-  const prefill = {
-    // Order / Reference
-    order_id: String(build._id || ''),
-    order_date: new Date(build.createdAt || Date.now()).toISOString().slice(0, 10),
-    effective_date: new Date().toISOString().slice(0, 10),
-    sales_agent: build?.buyerInfo?.salesAgent || '',
-
-    // Dealer / Seller
-    dealer_legal_name: 'Firefly Tiny Homes LLC',
-    dealer_license_no: 'A164017',
-    dealer_address: '6150 TX 16, Pipe Creek, TX 78063',
-    dealer_phone_display: '830 328 6109',
-
-    // Buyer Information - EXACT field names from FIELD_MAPS.masterRetail
-    buyer_full_name: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
-    buyer_name: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
-    buyer_printed_name: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
-    buyer_email: buyerInfo.email || '',
-    buyer_address: buyerInfo.address || '',
-    buyer_phone: buyerInfo.phone || '',
-    // Co-buyer fields (optional)
-    cobuyer_full_name: (buyerInfo.coBuyerFirstName || buyerInfo.coBuyer?.firstName)
-      ? `${buyerInfo.coBuyerFirstName || buyerInfo.coBuyer?.firstName || ''} ${buyerInfo.coBuyerLastName || buyerInfo.coBuyer?.lastName || ''}`.trim()
-      : '',
-    cobuyer_email: buyerInfo.coBuyerEmail || buyerInfo.coBuyer?.email || '',
-    cobuyer_printed_name: (buyerInfo.coBuyerFirstName || buyerInfo.coBuyer?.firstName)
-      ? `${buyerInfo.coBuyerFirstName || buyerInfo.coBuyer?.firstName || ''} ${buyerInfo.coBuyerLastName || buyerInfo.coBuyer?.lastName || ''}`.trim()
-      : '',
-    
-    // Unit Information - EXACT field names from FIELD_MAPS.masterRetail
-    model_brand: "Athens Park Select",
-    model_code: modelCode || '',
-    model_year: new Date().getFullYear().toString(),
-
-    // Pricing Information - EXACT field names from FIELD_MAPS.masterRetail
-    price_base: formatCurrency(basePrice),
-    price_options: formatCurrency(optionsTotal),
-    price_freight_est: formatCurrency(deliveryFee),
-    price_setup: formatCurrency(setupFee),
-    price_other: formatCurrency(titleFee),
-    price_sales_tax: formatCurrency(salesTax),
-    price_subtotal: formatCurrency(subtotalBeforeTax),
-    price_total: formatCurrency(totalPurchasePrice),
-
-    // Payment Terms
-    deposit_percent: `${depositPercent}%`,
-    deposit_amount: formatCurrency(depositAmount),
-    balance_amount: formatCurrency(balanceAmount),
-    payment_method: getPaymentMethodDisplay(),
-    
-    // Delivery Information - Format for DocuSeal template
-    delivery_address: [delivery.address || buyerInfo.address || '', delivery.city || buyerInfo.city || '', delivery.state || buyerInfo.state || '', delivery.zip || buyerInfo.zip || ''].filter(Boolean).join(', '),
-    delivery_city: delivery.city || buyerInfo.city || '',
-    delivery_state: delivery.state || buyerInfo.state || '',
-    delivery_zip: delivery.zip || buyerInfo.zip || '',
-    delivery_notes: delivery.notes || '',
-    
-    // Estimated completion date (8-12 weeks from now)
-    est_completion_date: new Date(Date.now() + (10 * 7 * 24 * 60 * 60 * 1000)).toLocaleDateString('en-US', { 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    }),
-    
-    // Legal/Compliance
-    state_classification: "Travel Trailer (park model RV)",
-    completion_estimate: "8-12 weeks from contract signing",
-    storage_policy: "Delivery within 12 days after factory completion; storage charges may apply",
-    
-    // Buyer Initials for all templates
-    buyer_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    
-    // Co-Buyer Initials (if available)
-    cobuyer_initials: buyerInfo.coBuyerFirstName && buyerInfo.coBuyerLastName ? 
-      `${buyerInfo.coBuyerFirstName.charAt(0)}${buyerInfo.coBuyerLastName.charAt(0)}`.toUpperCase() : '',
-    
-    // Delivery Agreement Specific Fields
-    site_initials_1: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    site_initials_2: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    site_initials_3: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    site_initials_4: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    site_initials_5: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    site_initials_6: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    delivery_initials_1: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    delivery_initials_2: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    delivery_initials_3: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    fees_initials_1: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    fees_initials_2: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    fees_initials_3: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    risk_initials_1: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    risk_initials_2: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    insurance_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    storage_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    indemnification_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    buyer_page_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
-    cobuyer_page_initials: buyerInfo.coBuyerFirstName && buyerInfo.coBuyerLastName ? 
-      `${buyerInfo.coBuyerFirstName.charAt(0)}${buyerInfo.coBuyerLastName.charAt(0)}`.toUpperCase() : '',
-    
-    // Signature fields (these will be filled by DocuSeal during signing)
-    buyer_signature: '', // Will be filled during signing
-    cobuyer_signature: '', // Will be filled during signing (if co-buyer exists)
-    firefly_signature: '' // Will be filled by Firefly representative
-  }
-
-  // Prefill dealer signer defaults if available
-  prefill.dealer_signer_name = process.env.FIREFLY_SIGNER_NAME || ''
-  prefill.dealer_signer_title = process.env.FIREFLY_SIGNER_TITLE || 'Authorized Representative'
-
-  console.log('[CONTRACT_CREATE] Generated prefill data:', {
-    prefillKeys: Object.keys(prefill),
-    sampleValues: {
-      order_id: prefill.order_id,
-      buyer_name: prefill.buyer_name,
-      buyer_full_name: prefill.buyer_full_name,
-      buyer_email: prefill.buyer_email,
-      buyer_phone: prefill.buyer_phone,
-      buyer_address: prefill.buyer_address,
-      model_brand: prefill.model_brand,
-      model_code: prefill.model_code,
-      model_year: prefill.model_year,
-      total_price: prefill.price_total,
-      payment_method: prefill.payment_method
-    }
-  })
-  
-  console.log('[CONTRACT_CREATE] Full prefill data:', JSON.stringify(prefill, null, 2))
-
-  return prefill
-}
-
-// Helper function to format currency for DocuSeal
-function formatCurrency(cents) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format((cents || 0) / 100)
-}
-
 // Download contract packet (ZIP of all signed PDFs)
 app.get(['/api/contracts/download/packet', '/contracts/download/packet'], async (req, res) => {
   try {
@@ -5255,27 +5604,22 @@ app.get(['/api/builds/:id/contract/status', '/builds/:id/contract/status'], asyn
 // Public, read-only settings for unauthenticated flows (safe subset)
 app.get(['/api/settings', '/settings'], async (_req, res) => {
   try {
-    // Return default settings for now (can be enhanced to read from DB later)
+    const settings = await getOrgSettings()
     const safe = {
+      version: settings.version || 0,
       factory: {
-        name: 'Firefly Tiny Homes',
-        address: 'Mansfield, TX',
-      },
-      pricing: {
-        title_fee_default: 500,
-        setup_fee_default: 3000,
-        tax_rate_percent: 6.25,
-        delivery_rate_per_mile: 0,
-        delivery_minimum: 0,
-        deposit_percent: 25,
+        name: settings.factory?.name || 'Firefly Tiny Homes',
+        address: settings.factory?.address || 'Mansfield, TX',
       },
+      pricing: resolvePricingSettings(settings),
     }
     return res.status(200).json(safe)
   } catch (err) {
     console.error('Settings endpoint error:', err)
     return res.status(200).json({
+      version: 0,
       factory: { name: 'Firefly Tiny Homes', address: 'Mansfield, TX' },
-      pricing: { title_fee_default: 500, setup_fee_default: 3000, tax_rate_percent: 6.25, delivery_rate_per_mile: 0, delivery_minimum: 0, deposit_percent: 25 }
+      pricing: { ...DEFAULT_PRICING }
     })
   }
 })
@@ -6223,9 +6567,20 @@ app.post(['/api/builds/:id/confirm', '/builds/:id/confirm'], async (req, res) =>
   if (!auth?.userId) return
   const b = await getBuildById(req.params.id)
   if (!b || b.userId !== auth.userId) return res.status(404).json({ error: 'not_found' })
-  const now = new Date()
-  const updated = await updateBuild(req.params.id, { step: 5, status: 'ORDER_PLACED', contract: { ...(b.contract||{}), status: 'signed', signedAt: now } })
-  return res.status(200).json(updated)
+  const status = normalizeBuildStatus(b.status)
+  if (status === BUILD_STATUS.DRAFT) {
+    return res.status(409).json({ error: 'not_configured', message: 'Finish configuring the build before confirming it' })
+  }
+  // Already moved on by the signing webhook
+  if (status !== BUILD_STATUS.CONFIGURED) return res.status(200).json(b)
+  // The SIGNED guard (lib/contract-signers.js) refuses until the contract
+  // stored in the contracts collection is signed
+  const result = await transitionBuild(req.params.id, BUILD_STATUS.SIGNED, { role: 'buyer', userId: auth.userId })
+  if (result.error) {
+    return res.status(result.error === 'transition_forbidden' ? 403 : 409).json({ error: result.error, message: result.message })
+  }
+  const updated = await updateBuild(req.params.id, { step: 5 })
+  return res.status(200).json(updated || result.build)
 })
 
 // Optional parity endpoint for setting financing method explicitly
@@ -6240,6 +6595,57 @@ app.post(['/api/builds/:id/payment-method', '/builds/:id/payment-method'], async
   return res.status(200).json(updated)
 })
 
+// Financing (lib/financing.js): active lender programs, a quote with the full
+// amortization schedule, and pre-qualification applications per build
+app.get(['/api/financing/programs', '/financing/programs'], async (_req, res) => {
+  try {
+    const programs = await listFinancingPrograms({ activeOnly: true })
+    return res.status(200).json({ programs: programs.map(programSummary), creditTiers: CREDIT_TIERS })
+  } catch (err) {
+    console.error('Financing programs error:', err)
+    return res.status(200).json({ programs: [], creditTiers: CREDIT_TIERS })
+  }
+})
+
+app.post(['/api/builds/:id/financing/quote', '/builds/:id/financing/quote'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  const program = await getFinancingProgram(body.programId)
+  if (!program?.active) return res.status(404).json({ error: 'program_unavailable', message: 'That financing program is not available' })
+  const priceCents = Math.round(calculateBuildPricing(ctx.build, await getOrgSettings()).total * 100)
+  const quote = calculateFinancing(program, { priceCents, downPayment: body.downPayment, creditTier: body.creditTier, termMonths: body.termMonths })
+  if (quote.error) return res.status(400).json(quote)
+  return res.status(200).json({ quote })
+})
+
+app.get(['/api/builds/:id/financing', '/builds/:id/financing'], async (req, res) => {
+  const ctx = await loadDocumentBuild(req, res)
+  if (!ctx) return
+  const applications = await listFinancingApplications({ buildId: req.params.id, limit: 20 })
+  return res.status(200).json({ financing: ctx.build.financing || {}, applications })
+})
+
+app.post(['/api/builds/:id/financing/application', '/builds/:id/financing/application'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const b = await getBuildById(req.params.id)
+  if (!b || b.userId !== auth.userId) return res.status(404).json({ error: 'not_found' })
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  const program = await getFinancingProgram(body.programId)
+  const result = await submitPrequalification({
+    build: b,
+    program,
+    applicant: body.applicant,
+    downPayment: body.downPayment,
+    termMonths: body.termMonths,
+    priceCents: Math.round(calculateBuildPricing(b, await getOrgSettings()).total * 100),
+    userId: auth.userId,
+  })
+  if (result.error) return res.status(result.error === 'program_unavailable' ? 404 : 400).json(result)
+  return res.status(201).json(result)
+})
+
 // PDF Generation for Order Summary
 app.get(['/api/builds/:id/pdf', '/builds/:id/pdf'], async (req, res) => {
   try {
@@ -6254,21 +6660,17 @@ app.get(['/api/builds/:id/pdf', '/builds/:id/pdf'], async (req, res) => {
 
     const settings = await getOrgSettings()
     
-    // Calculate comprehensive pricing
-    const basePrice = Number(build.selections?.basePrice || 0)
+    // Calculate comprehensive pricing with the shared engine
+    const breakdown = calculateBuildPricing(build, settings)
     const options = build.selections?.options || []
-    const optionsSubtotal = options.reduce((sum, opt) => sum + Number(opt.price || 0) * (opt.quantity || 1), 0)
-    const subtotalBeforeFees = basePrice + optionsSubtotal
-    
-    const deliveryFee = Number(build.pricing?.delivery || 0)
-    const titleFee = Number(settings.pricing?.title_fee_default || 500)
-    const setupFee = Number(settings.pricing?.setup_fee_default || 3000)
-    const taxRate = Number(settings.pricing?.tax_rate_percent || 6.25) / 100
-    
-    const feesSubtotal = deliveryFee + titleFee + setupFee
-    const subtotalBeforeTax = subtotalBeforeFees + feesSubtotal
-    const salesTax = subtotalBeforeTax * taxRate
-    const total = subtotalBeforeTax + salesTax
+    const basePrice = breakdown.base
+    const optionsSubtotal = breakdown.options
+    const deliveryFee = breakdown.delivery
+    const titleFee = breakdown.title
+    const setupFee = breakdown.setup
+    const taxRate = breakdown.taxRate / 100
+    const salesTax = breakdown.tax
+    const total = breakdown.total
 
     // Group options by category
     const optionsByCategory = options.reduce((acc, option) => {
@@ -6492,7 +6894,7 @@ app.get(['/api/builds/:id/pdf', '/builds/:id/pdf'], async (req, res) => {
 })
 
 // ----- PATCH/PUT model -----
-async function handleModelWrite(req, res) {
+async function handleModelWrite(req, res, auth) {
   const debug = process.env.DEBUG_ADMIN === 'true'
   const { code } = req.params
   const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
@@ -6556,19 +6958,28 @@ async function handleModelWrite(req, res) {
 
   await db.collection(COLLECTION).updateOne({ _id: model._id }, { $set })
   const updated = await db.collection(COLLECTION).findOne({ _id: model._id })
+
+  // A base price change starts a new catalog version; existing quotes stay on theirs
+  if ($set.basePrice != null && Number($set.basePrice) !== Number(model.basePrice)) {
+    try {
+      await publishCatalogVersion({ note: `Base price for ${updated.modelCode || code} changed to ${$set.basePrice}`, createdBy: auth?.userId })
+    } catch (e) {
+      console.error('[catalog] failed to publish version after model price change:', e?.message || e)
+    }
+  }
   return res.status(200).json(updated)
 }
 
 app.patch(['/api/models/:code', '/models/:code'], async (req, res) => {
   const auth = await requireAuth(req, res, true)
   if (!auth?.userId) return
-  return handleModelWrite(req, res)
+  return handleModelWrite(req, res, auth)
 })
 
 app.put(['/api/models/:code', '/models/:code'], async (req, res) => {
   const auth = await requireAuth(req, res, true)
   if (!auth?.userId) return
-  return handleModelWrite(req, res)
+  return handleModelWrite(req, res, auth)
 })
 
 // ----- Images route handlers -----
@@ -6742,11 +7153,7 @@ app.post(['/api/cloudinary/sign', '/cloudinary/sign'], async (req, res) => {
 })
 
 // ----- Clerk Webhook -----
-// Temporarily disabled - causing deployment crashes
-// app.post(['/api/webhooks/clerk', '/webhooks/clerk'], async (req, res) => {
-//   // Webhook handler code temporarily removed
-//   res.status(200).json({ success: true });
-// });
+// Registered next to the Stripe webhook: signature checks need the raw body
 
 // ===== Payment Routes =====
 
@@ -6755,6 +7162,73 @@ app.get(['/api/payments/test', '/payments/test'], (req, res) => {
   res.status(200).json({ success: true, message: 'Payment routes are working' })
 })
 
+// Build a fake payment action acts on: the intent's or invoice's metadata,
+// or for a wire, the open bank transfer intent its reference names
+async function fakeActionBuildId(action, body) {
+  switch (action) {
+    case 'confirm-setup-intent':
+    case 'verify-microdeposits':
+      return (await stripe.setupIntents.retrieve(body.id))?.metadata?.buildId || null
+    case 'confirm-payment-intent':
+    case 'settle-payment-intent':
+      return (await stripe.paymentIntents.retrieve(body.id))?.metadata?.buildId || null
+    case 'pay-invoice':
+      return (await stripe.invoices.retrieve(body.id))?.metadata?.buildId || null
+    case 'receive-bank-transfer': {
+      const code = parseReferenceCode(body.reference)
+      if (!code) return null
+      return (await listOpenIntents()).find(i => i.referenceCode === code)?.buildId || null
+    }
+    default:
+      return null
+  }
+}
+
+// Stand-in for what the buyer's browser and bank do, for demos on the fake
+// payment provider: confirming intents, microdeposits, ACH settlement,
+// paying a sent invoice and wiring money in. Not available with Stripe.
+// Buyers can only act on their own builds' payments; admins on any.
+app.post(['/api/payments/fake/:action', '/payments/fake/:action'], async (req, res) => {
+  if (getPaymentProvider().name !== 'fake') return res.status(404).json({ error: 'not_found' })
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
+  try {
+    if (!(await isAdminServer(auth.userId))) {
+      const buildId = await fakeActionBuildId(req.params.action, body).catch(() => null)
+      const b = buildId ? await getBuildById(String(buildId)) : null
+      if (!b || b.userId !== auth.userId) return res.status(404).json({ error: 'not_found' })
+    }
+    const helpers = stripe.testHelpers
+    let result
+    switch (req.params.action) {
+      case 'confirm-setup-intent':
+        result = await helpers.confirmSetupIntent(body.id, { payment_method: body.paymentMethod })
+        break
+      case 'verify-microdeposits':
+        result = await stripe.setupIntents.verifyMicrodeposits(body.id, { amounts: body.amounts, descriptor_code: body.descriptorCode })
+        break
+      case 'confirm-payment-intent':
+        result = await helpers.confirmPaymentIntent(body.id, { payment_method: body.paymentMethod })
+        break
+      case 'settle-payment-intent':
+        result = await helpers.settlePaymentIntent(body.id, { succeed: body.succeed !== false })
+        break
+      case 'pay-invoice':
+        result = await stripe.invoices.pay(body.id, { payment_method: body.paymentMethod })
+        break
+      case 'receive-bank-transfer':
+        result = await helpers.receiveBankTransfer({ amount: Number(body.amount), reference: body.reference, senderName: body.senderName })
+        break
+      default:
+        return res.status(404).json({ error: 'unknown_action' })
+    }
+    return res.status(200).json(result)
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.code || 'fake_provider_error', message: error.message })
+  }
+})
+
 // Setup ACH
 app.post(['/api/payments/setup-ach', '/payments/setup-ach'], async (req, res) => {
   try {
@@ -6766,7 +7240,7 @@ app.post(['/api/payments/setup-ach', '/payments/setup-ach'], async (req, res) =>
       return res.status(400).json({ error: 'Build ID is required' })
     }
 
-    if (!process.env.STRIPE_SECRET_KEY) {
+    if (!paymentsConfigured()) {
       return res.status(500).json({ 
         error: 'server_configuration_error',
         details: 'STRIPE_SECRET_KEY environment variable is missing' 
@@ -6892,6 +7366,36 @@ app.post(['/api/payments/save-ach-method', '/payments/save-ach-method'], async (
   }
 })
 
+// Payment schedules offered at checkout, priced for the build, plus the build's own schedule
+app.get(['/api/payments/schedules', '/payments/schedules'], async (req, res) => {
+  const auth = await requireAuth(req, res, false)
+  if (!auth?.userId) return
+  const { buildId } = req.query
+  const build = buildId ? await getBuildById(buildId) : null
+  if (buildId && !build) return res.status(404).json({ error: 'not_found' })
+  if (build && build.userId !== auth.userId && !(await isAdminServer(auth.userId))) {
+    return res.status(403).json({ error: 'forbidden' })
+  }
+
+  const settings = await getOrgSettings()
+  const totalCents = build ? Math.round(calculateBuildPricing(build, settings).total * 100) : 0
+  const schedules = listPaymentSchedules(settings)
+    .map(schedule => {
+      const computed = totalCents ? computeMilestoneAmounts(schedule, totalCents) : null
+      // Schedules whose fixed amounts do not fit this build are not offered
+      if (computed?.error) return null
+      return { id: schedule.id, name: schedule.name, description: schedule.description, milestones: computed?.milestones || schedule.milestones }
+    })
+    .filter(Boolean)
+
+  const current = build ? getBuildSchedule(build) : null
+  return res.status(200).json({
+    schedules,
+    defaultSchedule: defaultScheduleId(settings),
+    current: current ? { ...current, milestones: current.milestones.map(m => ({ ...m, status: milestoneStatus(build, m) })) } : null,
+  })
+})
+
 // Mark Payment Ready
 app.post(['/api/payments/mark-ready', '/payments/mark-ready'], async (req, res) => {
   try {
@@ -6913,6 +7417,20 @@ app.post(['/api/payments/mark-ready', '/payments/mark-ready'], async (req, res)
       return res.status(403).json({ error: 'Access denied' })
     }
 
+    // Apply the chosen payment schedule while the contract is still unsigned
+    let scheduleFields = {}
+    if (plan?.type && !build.contract?.signed) {
+      const settings = await getOrgSettings()
+      const schedule = getPaymentSchedule(settings, plan.type)
+      if (!schedule) {
+        return res.status(400).json({ error: 'invalid_plan', message: `Unknown payment plan "${plan.type}"` })
+      }
+      const breakdown = calculateBuildPricing(build, settings)
+      const applied = applyPaymentSchedule(schedule, Math.round(breakdown.total * 100), { settingsVersion: breakdown.settingsVersion, depositPercent: breakdown.depositPercent })
+      if (applied.error) return res.status(400).json(applied)
+      scheduleFields = { 'payment.plan': applied.plan, 'payment.schedule': applied.schedule, 'payment.amounts': applied.amounts }
+    }
+
     // Mark payment as ready, preserving existing auth status
     await db.collection('builds').updateOne(
       { _id: build._id },
@@ -6921,6 +7439,7 @@ app.post(['/api/payments/mark-ready', '/payments/mark-ready'], async (req, res)
           'payment.ready': true,
           'payment.readyAt': new Date(),
           ...(plan && { 'payment.plan': plan }),
+          ...scheduleFields,
           ...(method && { 'payment.method': method }),
           ...(mandateAccepted !== undefined && { 'payment.mandateAccepted': mandateAccepted }),
           ...(transferInstructions && { 'payment.transferInstructions': transferInstructions }),
@@ -7201,7 +7720,7 @@ app.post(['/api/payments/setup-card', '/payments/setup-card'], async (req, res)
       })
     }
 
-    if (!process.env.STRIPE_SECRET_KEY) {
+    if (!paymentsConfigured()) {
       console.error('[SETUP-CARD] Missing Stripe secret key')
       return res.status(500).json({ 
         error: 'server_configuration_error',
@@ -7265,14 +7784,17 @@ app.post(['/api/payments/setup-card', '/payments/setup-card'], async (req, res)
     }
 
     // Calculate payment amount
-    const { calculateTotalPurchasePrice } = await import('../../src/utils/calculateTotal.js')
-    const totalAmount = calculateTotalPurchasePrice(build)
+    const settings = await getOrgSettings()
+    const breakdown = calculateBuildPricing(build, settings)
+    const totalAmount = breakdown.total
     const totalCents = Math.round(totalAmount * 100)
     
     // Get payment plan from build or default to deposit
-    const paymentPlan = build.payment?.plan || { type: 'deposit', percent: 25 }
-    const depositCents = Math.round(totalCents * ((paymentPlan.percent || 25) / 100))
-    const currentAmountCents = paymentPlan.type === 'deposit' ? depositCents : totalCents
+    const paymentPlan = build.payment?.plan || { type: 'deposit', percent: breakdown.depositPercent }
+    const depositCents = Math.round(breakdown.deposit * 100)
+    // The buyer pays the schedule's first milestone now
+    const firstMilestone = getBuildSchedule(build)?.milestones[0]
+    const currentAmountCents = firstMilestone?.amount || (paymentPlan.type === 'deposit' ? depositCents : totalCents)
 
     console.log('[SETUP-CARD] Payment calculation:', {
       totalAmount,
@@ -7296,7 +7818,7 @@ app.post(['/api/payments/setup-card', '/payments/setup-card'], async (req, res)
         paymentPlan: paymentPlan.type,
         paymentMethod: 'card'
       },
-      description: `Firefly Tiny Home - ${build.modelName || 'Custom Build'} - ${paymentPlan.type === 'deposit' ? 'Deposit' : 'Full Payment'}`
+      description: `Firefly Tiny Home - ${build.modelName || 'Custom Build'} - ${firstMilestone?.label || (paymentPlan.type === 'deposit' ? 'Deposit' : 'Full Payment')}`
     })
 
     console.log('[SETUP-CARD] Created PaymentIntent:', paymentIntent.id)
@@ -7360,7 +7882,7 @@ app.post(['/api/payments/process-card', '/payments/process-card'], async (req, r
       })
     }
 
-    if (!process.env.STRIPE_SECRET_KEY) {
+    if (!paymentsConfigured()) {
       console.error('[PROCESS-CARD] Missing Stripe secret key')
       return res.status(500).json({ 
         error: 'server_configuration_error',
@@ -7703,19 +8225,21 @@ app.post(['/api/payments/save-card-method', '/payments/save-card-method'], async
     const db = await getDb()
     const now = new Date()
 
-    // Calculate amounts based on payment plan
-    const { calculateTotalPurchasePrice } = await import('../src/utils/calculateTotal.js')
+    // Apply the chosen payment schedule to the contract total
     const settings = await getOrgSettings()
-    
-    const totalAmount = calculateTotalPurchasePrice(build, settings)
-    const totalCents = Math.round(totalAmount * 100)
-    const depositPercent = paymentPlan.percent || settings.pricing?.deposit_percent || 25
-    const depositCents = Math.round(totalCents * (depositPercent / 100))
+    const schedule = getPaymentSchedule(settings, paymentPlan.type)
+    if (!schedule) {
+      return res.status(400).json({ error: 'invalid_plan', message: `Unknown payment plan "${paymentPlan.type}"` })
+    }
+    const breakdown = calculateBuildPricing(build, settings)
+    const applied = applyPaymentSchedule(schedule, Math.round(breakdown.total * 100), { settingsVersion: breakdown.settingsVersion, depositPercent: breakdown.depositPercent, now })
+    if (applied.error) return res.status(400).json(applied)
 
     // Update build with credit card payment information
     const updateData = {
       'payment.method': 'card',
-      'payment.plan': paymentPlan,
+      'payment.plan': applied.plan,
+      'payment.schedule': applied.schedule,
       'payment.ready': true,
       'payment.status': 'pending_contract',
       'payment.card': {
@@ -7731,11 +8255,7 @@ app.post(['/api/payments/save-card-method', '/payments/save-card-method'], async
         authorizations: authorizations,
         verifiedAt: now
       },
-      'payment.amounts': {
-        total: totalCents,
-        deposit: depositCents,
-        final: totalCents - depositCents
-      },
+      'payment.amounts': applied.amounts,
       'payment.updatedAt': now
     }
 
@@ -7754,12 +8274,9 @@ app.post(['/api/payments/save-card-method', '/payments/save-card-method'], async
     const response = {
       success: true,
       message: 'Credit card payment method saved successfully',
-      paymentPlan: paymentPlan,
-      amounts: {
-        total: totalCents,
-        deposit: depositCents,
-        final: totalCents - depositCents
-      }
+      paymentPlan: applied.plan,
+      schedule: applied.schedule,
+      amounts: applied.amounts
     }
     
     console.log('📤 Sending response:', response)
@@ -7790,11 +8307,6 @@ app.post(['/api/payments/process-card-payment', '/payments/process-card-payment'
       return res.status(400).json({ error: 'Build ID and milestone are required' })
     }
 
-    // Validate milestone
-    if (!['deposit', 'final', 'full'].includes(milestone)) {
-      return res.status(400).json({ error: 'Invalid milestone' })
-    }
-
     const build = await getBuildById(buildId)
     
     if (!build) {
@@ -7805,6 +8317,11 @@ app.post(['/api/payments/process-card-payment', '/payments/process-card-payment'
       return res.status(403).json({ error: 'Access denied' })
     }
 
+    // Validate milestone against the build's payment schedule
+    if (!buildMilestoneKeys(build).includes(milestone)) {
+      return res.status(400).json({ error: 'Invalid milestone' })
+    }
+
     // Check if contract is signed (required for post-contract payments)
     if (!build.contract?.signed) {
       return res.status(400).json({ 
@@ -7820,15 +8337,23 @@ app.post(['/api/payments/process-card-payment', '/payments/process-card-payment'
 
     const cardPayment = build.payment.card
     const paymentPlan = build.payment.plan
+    const scheduled = getBuildMilestone(build, milestone)
+
+    // Scheduled milestones that have been invoiced are charged through the invoice
+    if (scheduled?.invoiceId) {
+      return res.status(409).json({ error: 'already_invoiced', message: `${scheduled.label} has been invoiced and will be charged to your card` })
+    }
 
     // Determine payment amount based on milestone
-    let amount
-    if (milestone === 'deposit') {
-      amount = build.payment.amounts?.deposit || 0
-    } else if (milestone === 'final') {
-      amount = build.payment.amounts?.final || 0
-    } else if (milestone === 'full') {
-      amount = build.payment.amounts?.total || 0
+    let amount = scheduled?.amount
+    if (!amount) {
+      if (milestone === 'deposit') {
+        amount = build.payment.amounts?.deposit || 0
+      } else if (milestone === 'final') {
+        amount = build.payment.amounts?.final || 0
+      } else if (milestone === 'full') {
+        amount = build.payment.amounts?.total || 0
+      }
     }
 
     if (!amount || amount <= 0) {
@@ -7869,22 +8394,14 @@ app.post(['/api/payments/process-card-payment', '/payments/process-card-payment'
       const updateFields = {
         [`payment.${milestone}Paid`]: true,
         [`payment.${milestone}PaidAt`]: new Date(),
+        [`payment.${milestone}Amount`]: amount,
+        [`payment.${milestone}PaymentIntentId`]: paymentIntent.id,
         'payment.lastPaymentAt': new Date(),
         'payment.updatedAt': new Date()
       }
 
       // Check if all required payments are complete
-      let allPaid = false
-      if (paymentPlan.type === 'deposit') {
-        if (milestone === 'deposit') {
-          allPaid = false // Still need final payment
-        } else if (milestone === 'final') {
-          // Check if deposit was already paid
-          allPaid = build.payment.depositPaid === true
-        }
-      } else if (paymentPlan.type === 'full') {
-        allPaid = milestone === 'full'
-      }
+      const allPaid = isScheduleFullyPaid(build, milestone)
 
       if (allPaid) {
         updateFields['payment.status'] = 'fully_paid'
@@ -7895,6 +8412,10 @@ app.post(['/api/payments/process-card-payment', '/payments/process-card-payment'
         { _id: new ObjectId(String(buildId)) },
         { $set: updateFields }
       )
+      await recordPayment({ buildId, milestone, amount, externalId: paymentIntent.id, description: scheduled ? `${scheduled.label} received` : undefined })
+      if (isOpeningMilestone(build, milestone)) {
+        await advanceBuild(buildId, BUILD_STATUS.DEPOSIT_PAID)
+      }
 
       res.status(200).json({
         success: true,
@@ -8008,11 +8529,6 @@ app.post(['/api/payments/bank-transfer-intents', '/payments/bank-transfer-intent
       return res.status(400).json({ error: 'All required commitments must be acknowledged' })
     }
 
-    // For deposit plans, validate storage fees commitment
-    if (paymentPlan.type === 'deposit' && !commitments?.storageFeesAcknowledged) {
-      return res.status(400).json({ error: 'Storage fees commitment must be acknowledged for deposit plans' })
-    }
-
     const build = await getBuildById(buildId)
     
     if (!build) {
@@ -8026,66 +8542,43 @@ app.post(['/api/payments/bank-transfer-intents', '/payments/bank-transfer-intent
     const db = await getDb()
     const now = new Date()
 
-    // Calculate amounts based on payment plan
-    const { calculateTotalPurchasePrice } = await import('../src/utils/calculateTotal.js')
+    // Apply the chosen payment schedule to the contract total
     const settings = await getOrgSettings()
-    
-    const totalAmount = calculateTotalPurchasePrice(build, settings)
-    const totalCents = Math.round(totalAmount * 100)
-    const depositPercent = paymentPlan.percent || settings.pricing?.deposit_percent || 25
-    const depositCents = Math.round(totalCents * (depositPercent / 100))
+    const schedule = getPaymentSchedule(settings, paymentPlan.type)
+    if (!schedule) {
+      return res.status(400).json({ error: 'invalid_plan', message: `Unknown payment plan "${paymentPlan.type}"` })
+    }
 
-    // Create bank transfer intents based on payment plan
-    const intents = []
-    
-    if (paymentPlan.type === 'deposit') {
-      // Create deposit intent
-      intents.push({
-        buildId: new ObjectId(String(buildId)),
-        userId: auth.userId,
-        milestone: 'deposit',
-        expectedAmount: depositCents,
-        status: 'pending_contract',
-        payerInfo: payerInfo,
-        commitments: commitments,
-        createdAt: now,
-        updatedAt: now
-      })
-      
-      // Create final payment intent
-      intents.push({
-        buildId: new ObjectId(String(buildId)),
-        userId: auth.userId,
-        milestone: 'final',
-        expectedAmount: totalCents - depositCents,
-        status: 'pending_contract',
-        payerInfo: payerInfo,
-        commitments: commitments,
-        createdAt: now,
-        updatedAt: now
-      })
-    } else {
-      // Create single full payment intent
-      intents.push({
-        buildId: new ObjectId(String(buildId)),
-        userId: auth.userId,
-        milestone: 'full',
-        expectedAmount: totalCents,
-        status: 'pending_contract',
-        payerInfo: payerInfo,
-        commitments: commitments,
-        createdAt: now,
-        updatedAt: now
-      })
+    // Plans with later milestones leave a balance owing when the home is complete, so storage fees can apply
+    if (schedule.milestones.length > 1 && !commitments?.storageFeesAcknowledged) {
+      return res.status(400).json({ error: 'Storage fees commitment must be acknowledged for deposit plans' })
     }
 
+    const breakdown = calculateBuildPricing(build, settings)
+    const applied = applyPaymentSchedule(schedule, Math.round(breakdown.total * 100), { settingsVersion: breakdown.settingsVersion, depositPercent: breakdown.depositPercent, now })
+    if (applied.error) return res.status(400).json(applied)
+
+    // One bank transfer intent per milestone
+    const intents = applied.schedule.milestones.map(m => ({
+      buildId: new ObjectId(String(buildId)),
+      userId: auth.userId,
+      milestone: m.key,
+      expectedAmount: m.amount,
+      status: 'pending_contract',
+      payerInfo: payerInfo,
+      commitments: commitments,
+      createdAt: now,
+      updatedAt: now
+    }))
+
     // Insert intents into database
     const result = await db.collection('bankTransferIntents').insertMany(intents)
 
     // Update build with bank transfer payment information
     const updateData = {
       'payment.method': 'bank_transfer',
-      'payment.plan': paymentPlan,
+      'payment.plan': applied.plan,
+      'payment.schedule': applied.schedule,
       'payment.ready': true,
       'payment.status': 'pending_contract',
       'payment.bankTransfer': {
@@ -8093,11 +8586,7 @@ app.post(['/api/payments/bank-transfer-intents', '/payments/bank-transfer-intent
         commitments: commitments,
         intents: result.insertedIds
       },
-      'payment.amounts': {
-        total: totalCents,
-        deposit: depositCents,
-        final: totalCents - depositCents
-      },
+      'payment.amounts': applied.amounts,
       'payment.updatedAt': now
     }
 
@@ -8114,12 +8603,9 @@ app.post(['/api/payments/bank-transfer-intents', '/payments/bank-transfer-intent
         milestone: intent.milestone,
         expectedAmount: intent.expectedAmount
       })),
-      paymentPlan: paymentPlan,
-      amounts: {
-        total: totalCents,
-        deposit: depositCents,
-        final: totalCents - depositCents
-      }
+      paymentPlan: applied.plan,
+      schedule: applied.schedule,
+      amounts: applied.amounts
     })
 
   } catch (error) {
@@ -8170,44 +8656,15 @@ app.get(['/api/payments/bank-transfer-instructions', '/payments/bank-transfer-in
 
     // If no Stripe invoice ID, create one
     if (!intent.stripeInvoiceId) {
-      // Create Stripe invoice for bank transfer
-      const invoice = await stripe.invoices.create({
-        customer: build.customerId || undefined,
-        collection_method: 'send_invoice',
-        days_until_due: 30,
-        metadata: {
-          buildId: String(buildId),
-          userId: auth.userId,
-          milestone: milestone,
-          intentId: String(intent._id)
-        }
-      })
-
-      // Create invoice item
-      await stripe.invoiceItems.create({
-        customer: invoice.customer,
-        invoice: invoice.id,
-        amount: intent.expectedAmount,
-        currency: 'usd',
-        description: `${milestone === 'deposit' ? 'Deposit' : milestone === 'final' ? 'Final Payment' : 'Full Payment'} - Tiny Home Build`
+      const scheduled = getBuildMilestone(build, milestone)
+      const issued = await issueMilestoneInvoice(stripe, build, {
+        key: milestone,
+        label: scheduled?.label || (milestone === 'deposit' ? 'Deposit' : milestone === 'final' ? 'Final Payment' : 'Full Payment'),
+        amount: intent.expectedAmount
       })
-
-      // Send the invoice
-      await stripe.invoices.sendInvoice(invoice.id)
-
-      // Update intent with Stripe invoice ID and status
-      await db.collection('bankTransferIntents').updateOne(
-        { _id: intent._id },
-        { 
-          $set: { 
-            stripeInvoiceId: invoice.id,
-            status: 'awaiting_funds',
-            updatedAt: new Date()
-          }
-        }
-      )
-
-      intent.stripeInvoiceId = invoice.id
+      if (issued.error) return res.status(400).json(issued)
+      intent.stripeInvoiceId = issued.invoiceId
+      intent.status = 'awaiting_funds'
     }
 
     // Generate unique bank details (this would typically come from your bank/payment processor)
@@ -8216,10 +8673,12 @@ app.get(['/api/payments/bank-transfer-instructions', '/payments/bank-transfer-in
       bankName: 'Example Bank',
       routingNumber: '123456789',
       accountNumber: `4000000000${String(intent._id).slice(-6)}`, // Unique account per intent
-      referenceCode: `FTH-${String(intent._id).slice(-8).toUpperCase()}`
+      referenceCode: referenceCodeForIntent(intent._id)
     }
 
     // Construct instructions
+    const schedule = getBuildSchedule(build)
+    const isFinalMilestone = schedule ? schedule.milestones.length > 1 && schedule.milestones[schedule.milestones.length - 1].key === milestone : milestone === 'final'
     const instructions = {
       amount: intent.expectedAmount,
       bankDetails: bankDetails,
@@ -8227,7 +8686,7 @@ app.get(['/api/payments/bank-transfer-instructions', '/payments/bank-transfer-in
         achCredit: 'ACH Credit typically posts in 1–2 business days.',
         wire: 'Wires can arrive same-day before your bank\'s cutoff; bank fees may apply.',
         clearing: 'Funds must clear before release.',
-        storageReminder: milestone === 'final' ? 'Delivery must occur within 12 days after completion; storage charges apply thereafter and must be paid prior to shipment.' : null
+        storageReminder: isFinalMilestone ? 'Delivery must occur within 12 days after completion; storage charges apply thereafter and must be paid prior to shipment.' : null
       }
     }
 
@@ -8247,134 +8706,6 @@ app.get(['/api/payments/bank-transfer-instructions', '/payments/bank-transfer-in
   }
 })
 
-// ============================================================================
-// BUILD STATUS ROUTES
-// ============================================================================
-
-// Update build status
-app.patch(['/api/builds/update-status', '/builds/update-status'], async (req, res) => {
-  await applyCors(req, res)
-  
-  try {
-    const auth = await requireAuth(req, res, false)
-    if (!auth?.userId) return
-
-    const { buildId, status, adminOverride = false } = req.body
-
-    if (!buildId || !status) {
-      return res.status(400).json({ error: 'Build ID and status are required' })
-    }
-
-    // Validate status values
-    const validStatuses = [
-      'draft', 'configured', 'contract_pending', 'contract_signed', 
-      'payment_pending', 'in_production', 'factory_complete', 
-      'ready_for_delivery', 'delivered', 'cancelled'
-    ]
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status value' })
-    }
-
-    const build = await getBuildById(buildId)
-    
-    if (!build) {
-      return res.status(404).json({ error: 'Build not found' })
-    }
-
-    // Check permissions - only admin or build owner can update status
-    const isAdmin = auth.publicMetadata?.role === 'admin' || adminOverride
-    if (!isAdmin && build.userId !== auth.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
-
-    const db = await getDb()
-    const now = new Date()
-
-    // Prepare update data
-    const updateData = {
-      status: status,
-      updatedAt: now,
-      updatedBy: auth.userId
-    }
-
-    // Add status-specific timestamps
-    if (status === 'factory_complete') {
-      updateData.factoryCompletedAt = now
-    } else if (status === 'delivered') {
-      updateData.deliveredAt = now
-    }
-
-    // Update the build
-    await db.collection('builds').updateOne(
-      { _id: new ObjectId(String(buildId)) },
-      { $set: updateData }
-    )
-
-    // Handle bank transfer milestone activation
-    if (status === 'factory_complete' && build.payment?.method === 'bank_transfer') {
-      const paymentPlan = build.payment.plan?.type
-      
-      // For deposit + final plans, activate the final payment milestone
-      if (paymentPlan === 'deposit' && !build.payment?.finalPaid) {
-        // Check if there's a final payment intent
-        const finalIntent = await db.collection('bankTransferIntents').findOne({
-          buildId: new ObjectId(String(buildId)),
-          milestone: 'final'
-        })
-
-        if (finalIntent && finalIntent.status === 'pending_contract') {
-          // Activate the final payment milestone
-          await db.collection('bankTransferIntents').updateOne(
-            { _id: finalIntent._id },
-            { 
-              $set: {
-                status: 'awaiting_activation',
-                factoryCompletedAt: now,
-                updatedAt: now
-              }
-            }
-          )
-
-          console.log(`Activated final payment milestone for build ${buildId}`)
-        }
-      }
-    }
-
-    // Log the status change
-    await db.collection('builds').updateOne(
-      { _id: new ObjectId(String(buildId)) },
-      { 
-        $push: {
-          statusHistory: {
-            status: status,
-            changedAt: now,
-            changedBy: auth.userId,
-            isAdmin: isAdmin
-          }
-        }
-      }
-    )
-
-    res.status(200).json({
-      success: true,
-      message: `Build status updated to ${status}`,
-      build: {
-        _id: buildId,
-        status: status,
-        updatedAt: now
-      }
-    })
-
-  } catch (error) {
-    console.error('Update build status error:', error)
-    res.status(500).json({ 
-      error: 'Failed to update build status',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    })
-  }
-})
-
 // ============================================================================
 // ADMIN ROUTES
 // ============================================================================
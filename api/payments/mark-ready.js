@@ -1,4 +1,3 @@
-import Stripe from 'stripe'
 import { requireAuth } from '../../lib/auth.js'
 import { getDb } from '../../lib/db.js'
 
@@ -1,8 +1,8 @@
-import Stripe from 'stripe'
 import { requireAuth } from '../../lib/auth.js'
 import { getDb } from '../../lib/db.js'
+import { getPaymentClient } from '../../lib/payment-providers.js'
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY)
+const stripe = getPaymentClient()
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
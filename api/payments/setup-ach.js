@@ -1,8 +1,8 @@
-import Stripe from 'stripe'
 import { requireAuth } from '../../lib/auth.js'
 import { getBuildById } from '../../lib/builds.js'
+import { getPaymentClient, paymentsConfigured } from '../../lib/payment-providers.js'
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY)
+const stripe = getPaymentClient()
 
 export default async function handler(req, res) {
   console.log('[SETUP-ACH] Request received:', {
@@ -18,7 +18,7 @@ export default async function handler(req, res) {
   }
 
   // Check if Stripe is properly configured
-  if (!process.env.STRIPE_SECRET_KEY) {
+  if (!paymentsConfigured()) {
     console.error('[SETUP-ACH] Missing Stripe secret key')
     return res.status(500).json({ 
       error: 'Stripe not configured', 
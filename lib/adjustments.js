@@ -0,0 +1,346 @@
+import { getDb } from './db.js'
+import { getOrgSettings } from './settings.js'
+import { BUILDS_COLLECTION, getBuildById, reprice } from './builds.js'
+import { BUILD_STATUS, guardBuildTransition, onBuildTransition } from './build-lifecycle.js'
+
+// Price adjustments on a build: promo codes managed in admin, manual admin
+// adjustments with reason codes, and trade-in credits. They live on
+// build.adjustments ({ promo, manual, tradeIn }) and are priced by
+// calculateBuildPricing(), so they show up as line items everywhere the
+// breakdown is used. Amounts are in dollars like the rest of the engine.
+export const PROMO_CODES_COLLECTION = process.env.PROMO_CODES_COLLECTION || 'promo_codes'
+export const PROMO_REDEMPTIONS_COLLECTION = process.env.PROMO_REDEMPTIONS_COLLECTION || 'promo_redemptions'
+
+// credit: true = must lower the price, false = must raise it, null = either way
+export const ADJUSTMENT_REASONS = Object.freeze({
+  dealer_incentive: { label: 'Dealer Incentive', credit: true },
+  price_match: { label: 'Price Match', credit: true },
+  display_model: { label: 'Display Model Discount', credit: true },
+  damage_credit: { label: 'Damage Credit', credit: true },
+  goodwill: { label: 'Goodwill Credit', credit: true },
+  additional_charge: { label: 'Additional Charge', credit: false },
+  correction: { label: 'Pricing Correction', credit: null },
+})
+
+const round = (n) => Math.round(Number(n) * 100) / 100
+const optionalInt = (v) => (v === undefined || v === null || v === '' ? null : Number(v))
+const optionalDate = (v) => (v ? new Date(v) : null)
+
+export function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase()
+}
+
+/**
+ * Check and normalize an admin-edited promo code.
+ * @returns {{ promo: Object } | { error: 'invalid_promo', message: string }}
+ */
+export function validatePromoCode(input) {
+  const fail = (message) => ({ error: 'invalid_promo', message })
+  const code = normalizePromoCode(input?.code)
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) return fail('Code must be 3-32 letters, digits, dashes or underscores')
+  if (!['percent', 'fixed'].includes(input?.type)) return fail('Type must be percent or fixed')
+  const value = Number(input?.value)
+  if (!(value > 0) || (input.type === 'percent' && value > 100)) {
+    return fail(input.type === 'percent' ? 'Percent must be above 0 and at most 100' : 'Amount must be above 0')
+  }
+  const maxUses = optionalInt(input?.maxUses)
+  const maxUsesPerBuyer = optionalInt(input?.maxUsesPerBuyer)
+  for (const limit of [maxUses, maxUsesPerBuyer]) {
+    if (limit !== null && !(Number.isInteger(limit) && limit > 0)) return fail('Usage limits must be whole numbers above 0')
+  }
+  const startsAt = optionalDate(input?.startsAt)
+  const expiresAt = optionalDate(input?.expiresAt)
+  if ([startsAt, expiresAt].some(d => d && isNaN(d))) return fail('Start and expiry must be valid dates')
+  if (startsAt && expiresAt && expiresAt <= startsAt) return fail('Expiry must be after the start date')
+
+  const list = (v) => [...new Set((Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean))]
+  return {
+    promo: {
+      code,
+      description: String(input?.description || '').trim().slice(0, 200),
+      type: input.type,
+      value: input.type === 'fixed' ? round(value) : value,
+      models: list(input?.models),
+      options: list(input?.options),
+      maxUses,
+      maxUsesPerBuyer,
+      startsAt,
+      expiresAt,
+      active: input?.active !== false,
+    },
+  }
+}
+
+/**
+ * Why a promo cannot be used on a build right now, or null when it can.
+ * `buyerRedemptions` is how many times this buyer has already redeemed it.
+ */
+export function promoIneligibility(promo, build, { now = new Date(), buyerRedemptions = 0 } = {}) {
+  const fail = (error, message) => ({ error, message })
+  if (!promo || !promo.active) return fail('promo_not_found', 'That promo code is not valid')
+  if (promo.startsAt && new Date(promo.startsAt) > now) return fail('promo_not_started', 'That promo code is not active yet')
+  if (promo.expiresAt && new Date(promo.expiresAt) <= now) return fail('promo_expired', 'That promo code has expired')
+  if (promo.maxUses != null && Number(promo.uses || 0) >= promo.maxUses) return fail('promo_exhausted', 'That promo code has been fully redeemed')
+  if (promo.maxUsesPerBuyer != null && buyerRedemptions >= promo.maxUsesPerBuyer) {
+    return fail('promo_already_used', 'You have already used that promo code')
+  }
+  if (promo.models?.length && !promo.models.includes(build.modelSlug)) {
+    return fail('promo_not_applicable', 'That promo code does not apply to this model')
+  }
+  const optionIds = (build.selections?.options || []).map(o => o.id || o.code)
+  if (promo.options?.length && !promo.options.some(id => optionIds.includes(id))) {
+    return fail('promo_not_applicable', 'That promo code applies to options not on this build')
+  }
+  return null
+}
+
+// What is stored on the build; later edits to the code do not change it
+export function promoSnapshot(promo, { userId = null, now = new Date() } = {}) {
+  return {
+    code: promo.code,
+    description: promo.description,
+    type: promo.type,
+    value: promo.value,
+    models: promo.models,
+    options: promo.options,
+    appliedBy: userId,
+    appliedAt: now,
+  }
+}
+
+/** Adjustments stay open until the contract is signed; after that use a change order. */
+export function canAdjust(build) {
+  if (build?.contract?.status === 'signed') {
+    return { error: 'build_signed', message: 'Signed builds are adjusted through a change order' }
+  }
+  return null
+}
+
+// ----- Promo code storage -----
+
+let indexesReady = null
+export async function ensureAdjustmentIndexes() {
+  if (!indexesReady) {
+    indexesReady = (async () => {
+      const db = await getDb()
+      await Promise.all([
+        db.collection(PROMO_CODES_COLLECTION).createIndex({ code: 1 }, { unique: true }),
+        db.collection(PROMO_REDEMPTIONS_COLLECTION).createIndex({ code: 1, buildId: 1 }, { unique: true }),
+        db.collection(PROMO_REDEMPTIONS_COLLECTION).createIndex({ code: 1, userId: 1 }),
+      ])
+    })().catch(err => { indexesReady = null; throw err })
+  }
+  return indexesReady
+}
+
+export async function listPromoCodes() {
+  const db = await getDb()
+  return db.collection(PROMO_CODES_COLLECTION).find({}, { projection: { _id: 0 } }).sort({ createdAt: -1 }).toArray()
+}
+
+export async function getPromoCode(code) {
+  const db = await getDb()
+  return db.collection(PROMO_CODES_COLLECTION).findOne({ code: normalizePromoCode(code) }, { projection: { _id: 0 } })
+}
+
+/** Create or replace a promo code. The redemption count is kept. */
+export async function savePromoCode(input, { userId = null } = {}) {
+  const result = validatePromoCode(input)
+  if (result.error) return result
+  await ensureAdjustmentIndexes()
+  const db = await getDb()
+  const now = new Date()
+  const promo = await db.collection(PROMO_CODES_COLLECTION).findOneAndUpdate(
+    { code: result.promo.code },
+    { $set: { ...result.promo, updatedAt: now, updatedBy: userId }, $setOnInsert: { uses: 0, createdAt: now } },
+    { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+  )
+  return { promo }
+}
+
+export async function deletePromoCode(code) {
+  const db = await getDb()
+  const { deletedCount } = await db.collection(PROMO_CODES_COLLECTION).deleteOne({ code: normalizePromoCode(code) })
+  return deletedCount > 0
+}
+
+// ----- Build adjustments -----
+
+async function saveAdjustments(build, adjustments) {
+  const settings = await getOrgSettings()
+  const pricing = reprice({ ...build, adjustments }, settings)
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id },
+    { $set: { adjustments, pricing, updatedAt: new Date() } }
+  )
+  return { build: await getBuildById(String(build._id)) }
+}
+
+const current = (build) => ({ promo: null, manual: [], tradeIn: null, ...(build.adjustments || {}) })
+
+export async function applyPromoCode(build, code, { userId = null, now = new Date() } = {}) {
+  const locked = canAdjust(build)
+  if (locked) return locked
+  const promo = await getPromoCode(code)
+  const db = await getDb()
+  const buyerRedemptions = promo && build.userId
+    ? await db.collection(PROMO_REDEMPTIONS_COLLECTION).countDocuments({ code: promo.code, userId: build.userId })
+    : 0
+  const ineligible = promoIneligibility(promo, build, { now, buyerRedemptions })
+  if (ineligible) return ineligible
+  return saveAdjustments(build, { ...current(build), promo: promoSnapshot(promo, { userId, now }) })
+}
+
+export async function removePromoCode(build) {
+  const locked = canAdjust(build)
+  if (locked) return locked
+  return saveAdjustments(build, { ...current(build), promo: null })
+}
+
+/**
+ * Add an admin adjustment. Credits are negative amounts; the reason code
+ * decides which sign is allowed and supplies the line item label.
+ */
+export async function addManualAdjustment(build, { reasonCode, amount, note } = {}, { userId = null } = {}) {
+  const locked = canAdjust(build)
+  if (locked) return locked
+  const reason = ADJUSTMENT_REASONS[reasonCode]
+  if (!reason) return { error: 'invalid_reason', message: `Reason must be one of ${Object.keys(ADJUSTMENT_REASONS).join(', ')}` }
+  const value = round(amount)
+  if (!Number.isFinite(value) || value === 0) return { error: 'invalid_amount', message: 'Amount must be a non-zero number' }
+  if (reason.credit === true && value > 0) return { error: 'invalid_amount', message: `${reason.label} must be a credit (negative amount)` }
+  if (reason.credit === false && value < 0) return { error: 'invalid_amount', message: `${reason.label} must be a charge (positive amount)` }
+  const text = String(note || '').trim().slice(0, 200)
+  if (!text) return { error: 'note_required', message: 'Explain the adjustment; it is kept for audit' }
+
+  const { ObjectId } = await import('mongodb')
+  const entry = {
+    id: String(new ObjectId()),
+    reasonCode,
+    label: reason.label,
+    amount: value,
+    note: text,
+    createdBy: userId,
+    createdAt: new Date(),
+  }
+  const adjustments = current(build)
+  return saveAdjustments(build, { ...adjustments, manual: [...adjustments.manual, entry] })
+}
+
+export async function removeManualAdjustment(build, adjustmentId) {
+  const locked = canAdjust(build)
+  if (locked) return locked
+  const adjustments = current(build)
+  if (!adjustments.manual.some(a => a.id === adjustmentId)) return { error: 'not_found', message: 'Adjustment not found' }
+  return saveAdjustments(build, { ...adjustments, manual: adjustments.manual.filter(a => a.id !== adjustmentId) })
+}
+
+/**
+ * Record the buyer's trade-in. The allowance is credited before tax; any
+ * payoff still owed to their lender is added back after tax.
+ */
+export async function setTradeIn(build, input = {}, { userId = null } = {}) {
+  const locked = canAdjust(build)
+  if (locked) return locked
+  const allowance = round(input.allowance)
+  const payoff = round(input.payoff || 0)
+  if (!(allowance > 0)) return { error: 'invalid_trade_in', message: 'Trade-in allowance must be above 0' }
+  if (!(payoff >= 0)) return { error: 'invalid_trade_in', message: 'Payoff cannot be negative' }
+  const description = String(input.description || '').trim().slice(0, 200)
+  if (!description) return { error: 'invalid_trade_in', message: 'Describe the trade-in (year, make, model)' }
+
+  const settings = await getOrgSettings()
+  const adjustments = current(build)
+  const before = reprice({ ...build, adjustments: { ...adjustments, tradeIn: null } }, settings)
+  if (allowance > before.subtotal) return { error: 'invalid_trade_in', message: 'Trade-in allowance cannot exceed the price of the home' }
+
+  const tradeIn = {
+    description,
+    vin: String(input.vin || '').trim().toUpperCase().slice(0, 32) || null,
+    allowance,
+    payoff,
+    lienholder: String(input.lienholder || '').trim().slice(0, 120) || null,
+    appraisedBy: userId,
+    appraisedAt: new Date(),
+  }
+  return saveAdjustments(build, { ...adjustments, tradeIn })
+}
+
+export async function clearTradeIn(build) {
+  const locked = canAdjust(build)
+  if (locked) return locked
+  return saveAdjustments(build, { ...current(build), tradeIn: null })
+}
+
+/**
+ * Count a build's promo code as used as the build is signed. Recorded once
+ * per build, so re-running the transition does not double count. The use is
+ * taken with a conditional increment, so a code applied to more unsigned
+ * builds than it allows is refused for the ones signed after it runs out.
+ * @returns {Promise<null | { redeemed: string } | { duplicate: true } | { error: string, message: string }>}
+ */
+export async function redeemPromoCode(build, { now = new Date() } = {}) {
+  const code = build?.adjustments?.promo?.code
+  if (!code) return null
+  await ensureAdjustmentIndexes()
+  const db = await getDb()
+  const promos = db.collection(PROMO_CODES_COLLECTION)
+  const redemptions = db.collection(PROMO_REDEMPTIONS_COLLECTION)
+  const buildId = String(build._id)
+  if (await redemptions.findOne({ code, buildId })) return { duplicate: true }
+
+  // A code deleted since it was applied still honours the stored snapshot
+  const promo = await promos.findOne({ code })
+  if (promo?.maxUsesPerBuyer != null && build.userId) {
+    const used = await redemptions.countDocuments({ code, userId: build.userId })
+    if (used >= promo.maxUsesPerBuyer) {
+      return { error: 'promo_already_used', message: `The buyer has already used promo code ${code}; remove it before signing` }
+    }
+  }
+  if (promo) {
+    const { matchedCount } = await promos.updateOne(
+      { code, ...(promo.maxUses != null && { uses: { $lt: promo.maxUses } }) },
+      { $inc: { uses: 1 }, $set: { lastRedeemedAt: now } }
+    )
+    if (!matchedCount) return { error: 'promo_exhausted', message: `Promo code ${code} has been fully redeemed; remove it before signing` }
+  }
+
+  try {
+    await redemptions.insertOne({
+      code,
+      buildId,
+      userId: build.userId || null,
+      discount: Number(build.pricing?.promoDiscount || 0),
+      redeemedAt: now,
+    })
+  } catch (err) {
+    if (promo) await promos.updateOne({ code }, { $inc: { uses: -1 } })
+    if (err?.code === 11000) return { duplicate: true }
+    throw err
+  }
+  return { redeemed: code }
+}
+
+/** Give back the promo use of a build that is cancelled. */
+export async function releasePromoCode(build) {
+  const code = build?.adjustments?.promo?.code
+  if (!code) return null
+  const db = await getDb()
+  const { deletedCount } = await db.collection(PROMO_REDEMPTIONS_COLLECTION).deleteOne({ code, buildId: String(build._id) })
+  if (!deletedCount) return null
+  await db.collection(PROMO_CODES_COLLECTION).updateOne({ code, uses: { $gt: 0 } }, { $inc: { uses: -1 } })
+  return { released: code }
+}
+
+// Taken before the status changes so a used-up code can still refuse it, and
+// given back if the build does not end up SIGNED
+guardBuildTransition(BUILD_STATUS.SIGNED, async ({ build }) => {
+  const result = await redeemPromoCode(build)
+  if (result?.error) return result
+  return result?.redeemed ? { release: () => releasePromoCode(build) } : null
+}, { reserves: true })
+
+onBuildTransition(BUILD_STATUS.CANCELLED, async ({ build }) => {
+  await releasePromoCode(build)
+})
@@ -0,0 +1,422 @@
+import { getDb } from './db.js'
+import { BUILDS_COLLECTION, getBuildById } from './builds.js'
+import { BUILD_STATUS, advanceBuild } from './build-lifecycle.js'
+import { LEDGER_COLLECTION, recordPayment } from './ledger.js'
+import { getBuildMilestone, isOpeningMilestone, isScheduleFullyPaid } from './payment-schedules.js'
+
+// Inbound ACH and wire transfers. Every transfer that reaches the account is
+// stored in `inbound_transfers`, whether or not it can be tied to a build.
+// A transfer whose reference code and amount match a bank transfer intent is
+// applied automatically; the rest wait in the admin reconciliation workspace,
+// where they can be matched by hand and split across milestones or builds.
+// Each application posts a ledger payment. Amounts are in cents.
+export const INBOUND_TRANSFERS_COLLECTION = process.env.INBOUND_TRANSFERS_COLLECTION || 'inbound_transfers'
+export const BANK_TRANSFER_INTENTS_COLLECTION = 'bankTransferIntents'
+
+export const TRANSFER_STATUS = Object.freeze({
+  UNMATCHED: 'unmatched',
+  PARTIAL: 'partially_applied',
+  APPLIED: 'applied',
+  IGNORED: 'ignored',
+})
+
+/** Reference code printed on the buyer's bank transfer instructions. */
+export function referenceCodeForIntent(intentId) {
+  return `FTH-${String(intentId).slice(-8).toUpperCase()}`
+}
+
+const REFERENCE_PATTERN = /FTH-?([0-9A-F]{8})/i
+
+/** The intent suffix found in free-form reference text, if any. */
+export function parseReferenceCode(text) {
+  const match = String(text || '').match(REFERENCE_PATTERN)
+  return match ? `FTH-${match[1].toUpperCase()}` : null
+}
+
+/** Transfer fields from a Stripe InboundTransfer or ReceivedCredit. */
+export function normalizeStripeTransfer(obj) {
+  const details = obj?.origin_payment_method_details || obj?.initiating_payment_method_details || {}
+  return {
+    transferId: obj.id,
+    source: 'stripe',
+    amount: Number(obj.amount) || 0,
+    currency: obj.currency || 'usd',
+    reference: [obj.statement_descriptor, obj.description].filter(Boolean).join(' ').trim() || null,
+    senderName: details.billing_details?.name || null,
+    financialAccount: obj.financial_account || null,
+    receivedAt: new Date((obj.created || Date.now() / 1000) * 1000),
+  }
+}
+
+const nameTokens = (name) => new Set(String(name || '').toLowerCase().split(/[^a-z]+/).filter(t => t.length > 1))
+
+function nameOverlap(a, b) {
+  const left = nameTokens(a)
+  const right = nameTokens(b)
+  if (!left.size || !right.size) return 0
+  let shared = 0
+  for (const t of left) if (right.has(t)) shared++
+  return shared / Math.min(left.size, right.size)
+}
+
+/**
+ * Rank open milestones a transfer could pay. A candidate is
+ * { intentId, buildId, milestone, expectedAmount, outstanding, referenceCode, names: [] }.
+ * @returns {Array<{ candidate: Object, score: number, reasons: string[], amount: number }>} Best first
+ */
+export function suggestMatches(transfer, candidates, { limit = 5 } = {}) {
+  const reference = parseReferenceCode(transfer.reference)
+  const remaining = Number(transfer.unappliedAmount ?? transfer.amount)
+  const scored = []
+  for (const candidate of candidates) {
+    const reasons = []
+    let score = 0
+    if (reference && reference === candidate.referenceCode) {
+      score += 60
+      reasons.push('reference')
+    }
+    const due = candidate.outstanding ?? candidate.expectedAmount
+    if (remaining === due) {
+      score += 30
+      reasons.push('exact_amount')
+    } else if (due && Math.abs(remaining - due) <= due * 0.01) {
+      score += 15
+      reasons.push('close_amount')
+    }
+    const overlap = Math.max(0, ...(candidate.names || []).map(n => nameOverlap(transfer.senderName, n)))
+    if (overlap >= 0.5) {
+      score += Math.round(20 * overlap)
+      reasons.push('customer_name')
+    }
+    if (score > 0) scored.push({ candidate, score, reasons, amount: Math.min(remaining, due) })
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit)
+}
+
+/**
+ * Check a set of allocations against what the transfer has left and what each
+ * milestone still owes. `outstandingFor(buildId, milestone)` returns cents or
+ * null when the milestone does not exist.
+ * @returns {{ error: string, message: string } | null}
+ */
+export function checkAllocations(transfer, allocations, outstandingFor) {
+  if (!Array.isArray(allocations) || !allocations.length) return { error: 'invalid_allocation', message: 'Apply the transfer to at least one milestone' }
+  const remaining = Number(transfer.unappliedAmount ?? transfer.amount)
+  let total = 0
+  const perMilestone = new Map()
+  for (const a of allocations) {
+    const amount = Number(a?.amount)
+    if (!Number.isInteger(amount) || amount <= 0) return { error: 'invalid_allocation', message: 'Allocation amounts must be whole cents above 0' }
+    const outstanding = outstandingFor(String(a.buildId), a.milestone)
+    if (outstanding == null) return { error: 'invalid_allocation', message: `Build ${a.buildId} has no ${a.milestone} milestone` }
+    const key = `${a.buildId}:${a.milestone}`
+    const next = (perMilestone.get(key) || 0) + amount
+    if (next > outstanding) return { error: 'over_allocated', message: `Only ${outstanding} cents are outstanding on ${a.milestone}` }
+    perMilestone.set(key, next)
+    total += amount
+  }
+  if (total > remaining) return { error: 'over_allocated', message: `Only ${remaining} cents of this transfer are left to apply` }
+  return null
+}
+
+/**
+ * Check a transfer an admin keys in from the bank statement (wires that never
+ * came through Stripe). `bankReference` (e.g. the wire IMAD) keeps it from
+ * being entered twice.
+ * @returns {{ fields: Object } | { error: 'invalid_transfer', message: string }}
+ */
+export function validateManualTransfer(input, { now = new Date() } = {}) {
+  const fail = (message) => ({ error: 'invalid_transfer', message })
+  const amount = Number(input?.amount)
+  if (!Number.isInteger(amount) || amount <= 0) return fail('Amount must be whole cents above 0')
+  const bankReference = String(input?.bankReference || '').trim().slice(0, 64)
+  if (!bankReference) return fail('Enter the bank reference (IMAD, trace number or statement line)')
+  const receivedAt = input?.receivedAt ? new Date(input.receivedAt) : now
+  if (isNaN(receivedAt) || receivedAt > now) return fail('Received date must be a valid date, not in the future')
+  return {
+    fields: {
+      transferId: `manual:${bankReference}`,
+      source: 'manual',
+      amount,
+      currency: 'usd',
+      reference: String(input?.reference || '').trim().slice(0, 200) || null,
+      senderName: String(input?.senderName || '').trim().slice(0, 120) || null,
+      financialAccount: null,
+      receivedAt,
+    },
+  }
+}
+
+// ----- Storage -----
+
+let indexesReady = null
+export async function ensureTransferIndexes() {
+  if (!indexesReady) {
+    indexesReady = (async () => {
+      const db = await getDb()
+      await Promise.all([
+        db.collection(INBOUND_TRANSFERS_COLLECTION).createIndex({ transferId: 1 }, { unique: true }),
+        db.collection(INBOUND_TRANSFERS_COLLECTION).createIndex({ status: 1, receivedAt: -1 }),
+      ])
+    })().catch(err => { indexesReady = null; throw err })
+  }
+  return indexesReady
+}
+
+const historyEntry = (action, userId, details = {}) => ({ action, userId: userId || 'system', at: new Date(), ...details })
+
+/**
+ * Store an inbound transfer once (re-delivered webhooks return the stored
+ * one) and apply it automatically when the reference and amount match.
+ * @returns {Promise<{ transfer: Object, duplicate: boolean }>}
+ */
+export async function recordInboundTransfer(fields, { userId = null } = {}) {
+  await ensureTransferIndexes()
+  const db = await getDb()
+  const col = db.collection(INBOUND_TRANSFERS_COLLECTION)
+  const now = new Date()
+  const doc = {
+    ...fields,
+    referenceCode: parseReferenceCode(fields.reference),
+    status: TRANSFER_STATUS.UNMATCHED,
+    unappliedAmount: fields.amount,
+    applications: [],
+    history: [historyEntry('recorded', userId, { source: fields.source })],
+    createdAt: now,
+    updatedAt: now,
+  }
+  try {
+    await col.insertOne(doc)
+  } catch (err) {
+    if (err?.code !== 11000) throw err
+    return { transfer: await col.findOne({ transferId: fields.transferId }), duplicate: true }
+  }
+
+  if (doc.referenceCode) {
+    const intent = (await listOpenIntents()).find(i => i.referenceCode === doc.referenceCode)
+    if (intent && intent.outstanding === doc.amount) {
+      const applied = await applyTransfer(doc.transferId, [{ buildId: intent.buildId, milestone: intent.milestone, amount: doc.amount }], { auto: true })
+      if (!applied.error) return { transfer: applied.transfer, duplicate: false }
+    }
+  }
+  return { transfer: await col.findOne({ transferId: doc.transferId }), duplicate: false }
+}
+
+export async function getInboundTransfer(transferId) {
+  const db = await getDb()
+  return db.collection(INBOUND_TRANSFERS_COLLECTION).findOne({ transferId: String(transferId) })
+}
+
+export async function listInboundTransfers({ status, limit = 100 } = {}) {
+  const db = await getDb()
+  const query = status ? { status: { $in: String(status).split(',') } } : {}
+  return db.collection(INBOUND_TRANSFERS_COLLECTION)
+    .find(query)
+    .sort({ receivedAt: -1 })
+    .limit(Math.min(Number(limit) || 100, 500))
+    .toArray()
+}
+
+// Net ledger payments per build and milestone, in cents
+async function paidByMilestone(buildIds) {
+  const db = await getDb()
+  const entries = await db.collection(LEDGER_COLLECTION)
+    .find({ buildId: { $in: buildIds.map(String) }, type: { $in: ['payment', 'refund'] } })
+    .toArray()
+  const paid = new Map()
+  for (const e of entries) {
+    const key = `${e.buildId}:${e.milestone}`
+    paid.set(key, (paid.get(key) || 0) + (e.type === 'payment' ? e.amount : -e.amount))
+  }
+  return paid
+}
+
+/** Unpaid bank transfer intents with what each milestone still owes. */
+export async function listOpenIntents() {
+  const db = await getDb()
+  const intents = await db.collection(BANK_TRANSFER_INTENTS_COLLECTION).find({ status: { $ne: 'paid' } }).toArray()
+  if (!intents.length) return []
+  const buildIds = [...new Set(intents.map(i => String(i.buildId)))]
+  const { ObjectId } = await import('mongodb')
+  const builds = await db.collection(BUILDS_COLLECTION)
+    .find({ _id: { $in: buildIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) } })
+    .toArray()
+  const byId = new Map(builds.map(b => [String(b._id), b]))
+  const paid = await paidByMilestone(buildIds)
+
+  const open = []
+  for (const intent of intents) {
+    const build = byId.get(String(intent.buildId))
+    if (!build || build.payment?.[`${intent.milestone}Paid`]) continue
+    const scheduled = Number(getBuildMilestone(build, intent.milestone)?.amount ?? intent.expectedAmount) || 0
+    const outstanding = scheduled - (paid.get(`${build._id}:${intent.milestone}`) || 0)
+    if (outstanding <= 0) continue
+    open.push({
+      intentId: String(intent._id),
+      buildId: String(build._id),
+      milestone: intent.milestone,
+      expectedAmount: scheduled,
+      outstanding,
+      referenceCode: referenceCodeForIntent(intent._id),
+      modelName: build.modelName || build.modelSlug,
+      buyer: [build.buyerInfo?.firstName, build.buyerInfo?.lastName].filter(Boolean).join(' ') || null,
+      names: [
+        intent.payerInfo?.fullLegalName,
+        [build.buyerInfo?.firstName, build.buyerInfo?.lastName].filter(Boolean).join(' '),
+      ].filter(Boolean),
+    })
+  }
+  return open
+}
+
+export async function suggestTransferMatches(transfer) {
+  return suggestMatches(transfer, await listOpenIntents())
+}
+
+/**
+ * Apply all or part of a transfer to one or more milestones. Each allocation
+ * posts a ledger payment; a milestone that is then fully paid gets its
+ * payment flags set the same way a paid Stripe invoice would.
+ * @param {string} transferId
+ * @param {Array<{ buildId, milestone, amount }>} allocations - Amounts in cents
+ * @returns {Promise<{ transfer: Object } | { error: string, message: string }>}
+ */
+export async function applyTransfer(transferId, allocations, { userId = null, note = null, auto = false } = {}) {
+  const transfer = await getInboundTransfer(transferId)
+  if (!transfer) return { error: 'not_found', message: 'Transfer not found' }
+  if (transfer.status === TRANSFER_STATUS.IGNORED) return { error: 'transfer_ignored', message: 'Restore the transfer before applying it' }
+
+  const buildIds = [...new Set((allocations || []).map(a => String(a?.buildId)))]
+  const builds = new Map()
+  for (const id of buildIds) {
+    const build = /^[0-9a-f]{24}$/i.test(id) ? await getBuildById(id) : null
+    if (!build) return { error: 'invalid_allocation', message: `Build ${id} not found` }
+    builds.set(id, build)
+  }
+  const paid = await paidByMilestone(buildIds)
+  const outstandingFor = (buildId, milestone) => {
+    const scheduled = getBuildMilestone(builds.get(buildId), milestone)
+    return scheduled ? Number(scheduled.amount || 0) - (paid.get(`${buildId}:${milestone}`) || 0) : null
+  }
+  const invalid = checkAllocations(transfer, allocations, outstandingFor)
+  if (invalid) return invalid
+
+  // Reserve the amount before posting anything, so two applies racing on the
+  // same transfer cannot both spend what was unapplied when they read it
+  const total = allocations.reduce((sum, a) => sum + a.amount, 0)
+  if (!(await reserveUnapplied(transfer, total))) return { error: 'transfer_changed', message: 'The transfer changed while applying it; reload and try again' }
+
+  const { ObjectId } = await import('mongodb')
+  const db = await getDb()
+  const applications = []
+  try {
+    for (const a of allocations) {
+      const build = builds.get(String(a.buildId))
+      const scheduled = getBuildMilestone(build, a.milestone)
+      const id = String(new ObjectId())
+      const externalId = `${transfer.transferId}:${id}`
+      await recordPayment({
+        buildId: String(build._id),
+        milestone: a.milestone,
+        amount: a.amount,
+        externalId,
+        source: 'bank_transfer',
+        occurredAt: transfer.receivedAt,
+        description: `${scheduled.label || a.milestone} received (bank transfer)`,
+      })
+
+      const key = `${build._id}:${a.milestone}`
+      paid.set(key, (paid.get(key) || 0) + a.amount)
+      if (paid.get(key) >= Number(scheduled.amount || 0) && !build.payment?.[`${a.milestone}Paid`]) {
+        await markMilestonePaid(build, a.milestone, paid.get(key), externalId)
+      }
+      applications.push({ id, buildId: String(build._id), milestone: a.milestone, amount: a.amount, ledgerKey: `payment:${externalId}`, appliedBy: userId || 'system', appliedAt: new Date() })
+    }
+  } catch (error) {
+    // Hand back what was reserved but not posted
+    const posted = applications.reduce((sum, a) => sum + a.amount, 0)
+    await db.collection(INBOUND_TRANSFERS_COLLECTION).updateOne(
+      { _id: transfer._id },
+      {
+        $inc: { unappliedAmount: total - posted },
+        $set: { status: posted || transfer.applications?.length ? TRANSFER_STATUS.PARTIAL : transfer.status, updatedAt: new Date() },
+        ...(applications.length && { $push: { applications: { $each: applications } } }),
+      }
+    )
+    throw error
+  }
+
+  await db.collection(INBOUND_TRANSFERS_COLLECTION).updateOne(
+    { _id: transfer._id },
+    {
+      $push: {
+        applications: { $each: applications },
+        history: historyEntry(auto ? 'auto_matched' : 'applied', userId, { amount: total, note, applications: applications.map(a => a.id) }),
+      },
+      $set: { updatedAt: new Date() },
+    }
+  )
+  return { transfer: await getInboundTransfer(transfer.transferId) }
+}
+
+// Take `amount` cents off the transfer's unapplied amount in one conditional
+// update, setting the status to match. False when less than that is left or
+// the transfer was ignored in the meantime.
+async function reserveUnapplied(transfer, amount) {
+  const db = await getDb()
+  const remaining = { $subtract: ['$unappliedAmount', amount] }
+  const result = await db.collection(INBOUND_TRANSFERS_COLLECTION).updateOne(
+    { _id: transfer._id, status: { $ne: TRANSFER_STATUS.IGNORED }, unappliedAmount: { $gte: amount } },
+    [{
+      $set: {
+        unappliedAmount: remaining,
+        status: { $cond: [{ $eq: [remaining, 0] }, TRANSFER_STATUS.APPLIED, TRANSFER_STATUS.PARTIAL] },
+        updatedAt: new Date(),
+      },
+    }]
+  )
+  return result.matchedCount > 0
+}
+
+async function markMilestonePaid(build, milestone, amount, externalId) {
+  const db = await getDb()
+  const now = new Date()
+  const $set = {
+    [`payment.${milestone}Paid`]: true,
+    [`payment.${milestone}PaidAt`]: now,
+    [`payment.${milestone}Amount`]: amount,
+    [`payment.${milestone}TransferId`]: externalId,
+    'payment.lastPaymentAt': now,
+    'payment.updatedAt': now,
+  }
+  if (isScheduleFullyPaid(build, milestone)) {
+    $set['payment.status'] = 'fully_paid'
+    $set['payment.fullyPaidAt'] = now
+  }
+  await db.collection(BUILDS_COLLECTION).updateOne({ _id: build._id }, { $set })
+  build.payment = { ...(build.payment || {}), [`${milestone}Paid`]: true }
+  await db.collection(BANK_TRANSFER_INTENTS_COLLECTION).updateOne(
+    { buildId: build._id, milestone },
+    { $set: { status: 'paid', paidAmount: amount, paidAt: now, updatedAt: now } }
+  )
+  if (isOpeningMilestone(build, milestone)) {
+    await advanceBuild(String(build._id), BUILD_STATUS.DEPOSIT_PAID)
+  }
+}
+
+/** Set aside a transfer that is not for a build (or restore it). */
+export async function setTransferIgnored(transferId, ignored, { userId = null, note = null } = {}) {
+  const transfer = await getInboundTransfer(transferId)
+  if (!transfer) return { error: 'not_found', message: 'Transfer not found' }
+  if (ignored && transfer.applications?.length) return { error: 'transfer_applied', message: 'Applied transfers cannot be ignored' }
+  if (ignored && !String(note || '').trim()) return { error: 'note_required', message: 'Say why the transfer is being ignored' }
+  const db = await getDb()
+  await db.collection(INBOUND_TRANSFERS_COLLECTION).updateOne(
+    { _id: transfer._id },
+    {
+      $set: { status: ignored ? TRANSFER_STATUS.IGNORED : TRANSFER_STATUS.UNMATCHED, updatedAt: new Date() },
+      $push: { history: historyEntry(ignored ? 'ignored' : 'restored', userId, { note }) },
+    }
+  )
+  return { transfer: await getInboundTransfer(transferId) }
+}
@@ -0,0 +1,260 @@
+import { getDb } from './db.js'
+import { BUILDS_COLLECTION } from './builds.js'
+
+// Build lifecycle. Every status change goes through transitionBuild(), which
+// checks the transition table and the actor's role, records the change in
+// statusHistory and then runs the side-effect hooks for the new status.
+export const BUILD_STATUS = Object.freeze({
+  DRAFT: 'DRAFT',
+  CONFIGURED: 'CONFIGURED',
+  SIGNED: 'SIGNED',
+  DEPOSIT_PAID: 'DEPOSIT_PAID',
+  IN_PRODUCTION: 'IN_PRODUCTION',
+  FACTORY_COMPLETE: 'FACTORY_COMPLETE',
+  IN_TRANSIT: 'IN_TRANSIT',
+  DELIVERED: 'DELIVERED',
+  CLOSED: 'CLOSED',
+  CANCELLED: 'CANCELLED',
+})
+
+// Roles: 'buyer' (build owner), 'admin', 'system' (webhooks and server flows)
+export const BUILD_TRANSITIONS = Object.freeze({
+  DRAFT: { CONFIGURED: ['buyer', 'admin', 'system'], CANCELLED: ['buyer', 'admin'] },
+  // Buyers confirm a signed contract; the SIGNED guard in lib/contract-signers.js checks it
+  CONFIGURED: { DRAFT: ['buyer', 'admin'], SIGNED: ['buyer', 'admin', 'system'], CANCELLED: ['buyer', 'admin'] },
+  SIGNED: { DEPOSIT_PAID: ['admin', 'system'], CANCELLED: ['admin'] },
+  DEPOSIT_PAID: { IN_PRODUCTION: ['admin'], CANCELLED: ['admin'] },
+  IN_PRODUCTION: { FACTORY_COMPLETE: ['admin'], CANCELLED: ['admin'] },
+  FACTORY_COMPLETE: { IN_TRANSIT: ['admin'] },
+  IN_TRANSIT: { DELIVERED: ['admin'] },
+  DELIVERED: { CLOSED: ['admin', 'system'] },
+  CLOSED: {},
+  CANCELLED: {},
+})
+
+// Timestamp recorded on the build when it enters a status
+const STATUS_TIMESTAMPS = {
+  CONFIGURED: 'configuredAt',
+  SIGNED: 'signedAt',
+  DEPOSIT_PAID: 'depositPaidAt',
+  IN_PRODUCTION: 'productionStartedAt',
+  FACTORY_COMPLETE: 'factoryCompletedAt',
+  IN_TRANSIT: 'shippedAt',
+  DELIVERED: 'deliveredAt',
+  CLOSED: 'closedAt',
+  CANCELLED: 'cancelledAt',
+}
+
+// Statuses written before the lifecycle existed
+const LEGACY_STATUSES = {
+  draft: 'DRAFT',
+  customizing: 'DRAFT',
+  configured: 'CONFIGURED',
+  review: 'CONFIGURED',
+  checkout_in_progress: 'CONFIGURED',
+  contract_pending: 'CONFIGURED',
+  contract_signed: 'SIGNED',
+  confirmed: 'SIGNED',
+  order_placed: 'SIGNED',
+  payment_pending: 'SIGNED',
+  in_production: 'IN_PRODUCTION',
+  factory_complete: 'FACTORY_COMPLETE',
+  ready_for_delivery: 'FACTORY_COMPLETE',
+  delivered: 'DELIVERED',
+  cancelled: 'CANCELLED',
+}
+
+export function normalizeBuildStatus(status) {
+  if (!status) return BUILD_STATUS.DRAFT
+  const upper = String(status).trim().toUpperCase()
+  if (BUILD_STATUS[upper]) return upper
+  return LEGACY_STATUSES[String(status).trim().toLowerCase()] || null
+}
+
+/**
+ * Check a status change against the transition table.
+ * @returns {{ ok: true } | { ok: false, error: string, message: string }}
+ */
+export function checkTransition(from, to, role) {
+  const current = normalizeBuildStatus(from)
+  const next = normalizeBuildStatus(to)
+  if (!next) return { ok: false, error: 'invalid_status', message: `Unknown build status "${to}"` }
+  if (!current) return { ok: false, error: 'invalid_transition', message: `Build is in an unknown status "${from}"` }
+  const roles = BUILD_TRANSITIONS[current]?.[next]
+  if (!roles) return { ok: false, error: 'invalid_transition', message: `Cannot move a build from ${current} to ${next}` }
+  if (!roles.includes(role)) return { ok: false, error: 'transition_forbidden', message: `Only ${roles.join(' or ')} can move a build from ${current} to ${next}` }
+  return { ok: true }
+}
+
+export function allowedTransitions(status, role) {
+  const current = normalizeBuildStatus(status)
+  return Object.entries(BUILD_TRANSITIONS[current] || {})
+    .filter(([, roles]) => !role || roles.includes(role))
+    .map(([next]) => next)
+}
+
+// ----- Transition guards -----
+const guards = new Map()
+
+/**
+ * Run `fn({ build, from, to, actor })` before a build enters `status`. A guard
+ * returns null to allow the change or `{ error, message }` to refuse it.
+ * Guards that reserve something for the build (`{ reserves: true }`) run after
+ * the others, so a change another guard refuses does not hold it. They may
+ * return `{ release }` instead of null: `release()` is called if the change
+ * does not commit after all (a later guard refuses it, or another update
+ * moved the build first).
+ */
+export function guardBuildTransition(status, fn, { reserves = false } = {}) {
+  const list = guards.get(status) || []
+  list.push({ fn, reserves })
+  guards.set(status, list)
+}
+
+async function runGuards(ctx) {
+  const list = guards.get(ctx.to) || []
+  const releases = []
+  for (const { fn } of [...list.filter(g => !g.reserves), ...list.filter(g => g.reserves)]) {
+    const result = await fn(ctx)
+    if (result?.error) {
+      await runReleases(releases, ctx)
+      return { refused: result, releases: [] }
+    }
+    if (typeof result?.release === 'function') releases.push(result.release)
+  }
+  return { refused: null, releases }
+}
+
+// Failures are logged: the transition is already being reported as not applied
+async function runReleases(releases, ctx) {
+  for (const release of releases) {
+    try {
+      await release()
+    } catch (err) {
+      console.error(`[BUILD_LIFECYCLE] Failed to release a ${ctx.to} reservation for build ${ctx.build?._id}:`, err?.message || err)
+    }
+  }
+}
+
+// ----- Side-effect hooks -----
+const hooks = new Map()
+
+/**
+ * Run `fn({ build, from, to, actor, db })` after a build enters `status`
+ * ('*' for every transition). Hook failures are logged, not rethrown: the
+ * status change has already been committed.
+ */
+export function onBuildTransition(status, fn) {
+  const list = hooks.get(status) || []
+  list.push(fn)
+  hooks.set(status, list)
+}
+
+async function runHooks(ctx) {
+  for (const fn of [...(hooks.get(ctx.to) || []), ...(hooks.get('*') || [])]) {
+    try {
+      await fn(ctx)
+    } catch (err) {
+      console.error(`[BUILD_LIFECYCLE] ${ctx.to} hook failed for build ${ctx.build?._id}:`, err?.message || err)
+    }
+  }
+}
+
+const STATUS_MESSAGES = {
+  CONFIGURED: 'Your build configuration is complete.',
+  SIGNED: 'Your purchase agreement has been signed.',
+  DEPOSIT_PAID: 'We received your deposit.',
+  IN_PRODUCTION: 'Your home is now in production.',
+  FACTORY_COMPLETE: 'Your home is complete at the factory.',
+  IN_TRANSIT: 'Your home is on its way.',
+  DELIVERED: 'Your home has been delivered.',
+  CLOSED: 'Your order is closed. Thank you!',
+  CANCELLED: 'Your build has been cancelled.',
+}
+
+onBuildTransition('*', async ({ build, to, db }) => {
+  const message = STATUS_MESSAGES[to]
+  if (!message || !build.userId) return
+  await db.collection('notifications').insertOne({
+    title: `${build.modelName || 'Build'}: ${to.replace(/_/g, ' ').toLowerCase()}`,
+    message,
+    type: to === BUILD_STATUS.CANCELLED ? 'warning' : 'info',
+    category: 'order',
+    priority: 'normal',
+    targetUsers: [build.userId],
+    metadata: { buildId: String(build._id), status: to },
+    createdBy: 'system',
+    createdAt: new Date(),
+    readBy: [],
+    status: 'active',
+  })
+})
+
+/**
+ * Move a build to a new status.
+ * @param {string|Object} buildId - Build id
+ * @param {string} to - Target status
+ * @param {Object} actor
+ * @param {string} actor.role - 'buyer' | 'admin' | 'system'
+ * @param {string} actor.userId - Who made the change (null for system)
+ * @param {string} actor.reason - Optional note stored in statusHistory
+ * @returns {Promise<{ build: Object } | { error: string, message: string }>}
+ */
+export async function transitionBuild(buildId, to, { role, userId = null, reason } = {}) {
+  const db = await getDb()
+  const { ObjectId } = await import('mongodb')
+  const col = db.collection(BUILDS_COLLECTION)
+  const _id = new ObjectId(String(buildId))
+  const build = await col.findOne({ _id })
+  if (!build) return { error: 'not_found', message: 'Build not found' }
+
+  const from = normalizeBuildStatus(build.status)
+  const next = normalizeBuildStatus(to)
+  const check = checkTransition(build.status, to, role)
+  if (!check.ok) return { error: check.error, message: check.message, from, to: next }
+  const ctx = { build, from, to: next, actor: { role, userId } }
+  const { refused, releases } = await runGuards(ctx)
+  if (refused) return { ...refused, from, to: next }
+
+  const now = new Date()
+  const $set = { status: next, updatedAt: now }
+  if (STATUS_TIMESTAMPS[next]) $set[STATUS_TIMESTAMPS[next]] = now
+  // Guard on the status we read so concurrent transitions cannot both apply
+  let result
+  try {
+    result = await col.updateOne(
+      { _id, status: build.status ?? null },
+      {
+        $set,
+        $push: { statusHistory: { from, to: next, changedAt: now, changedBy: userId, role, reason: reason || undefined } },
+      }
+    )
+  } catch (err) {
+    await runReleases(releases, ctx)
+    throw err
+  }
+  if (!result.matchedCount) {
+    await runReleases(releases, ctx)
+    return { error: 'invalid_transition', message: 'Build status changed while updating. Please retry.', from, to: next }
+  }
+
+  const updated = await col.findOne({ _id })
+  await runHooks({ build: updated, from, to: next, actor: { role, userId }, db })
+  return { build: updated }
+}
+
+/**
+ * Transition driven by an external event (webhook, payment). Rejections are
+ * logged rather than surfaced, e.g. a repeated webhook for a build that has
+ * already moved on.
+ */
+export async function advanceBuild(buildId, to, actor = { role: 'system' }) {
+  try {
+    const result = await transitionBuild(buildId, to, actor)
+    if (result.error) console.warn(`[BUILD_LIFECYCLE] Skipped ${result.from || '?'} -> ${to} for build ${buildId}: ${result.message}`)
+    return result
+  } catch (err) {
+    console.error(`[BUILD_LIFECYCLE] Failed to move build ${buildId} to ${to}:`, err?.message || err)
+    return { error: 'transition_failed', message: String(err?.message || err) }
+  }
+}
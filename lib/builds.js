@@ -1,6 +1,19 @@
 import { getDb } from './db.js'
-import { OPTIONS } from '../src/data/options.js'
-import { roundToCents } from './delivery-quote.js'
+import { MODELS } from '../src/data/models.js'
+import { slugToModelId } from '../src/utils/modelUrlMapping.js'
+import { applyOptionUnits } from '../src/utils/optionUnits.js'
+import { applyOptionRules } from '../src/utils/optionRules.js'
+import { calculateBuildPricing } from '../src/utils/pricing.js'
+import { getOrgSettings } from './settings.js'
+import {
+  applyCatalogPrices,
+  diffPricing,
+  findCatalogModel,
+  flattenOptionCatalog,
+  getCatalogVersion,
+  getCurrentCatalog,
+  pinToCatalog,
+} from './catalog.js'
 
 export const BUILDS_COLLECTION = process.env.BUILDS_COLLECTION || 'Builds'
 
@@ -14,58 +27,49 @@ export async function ensureBuildIndexes() {
   ])
 }
 
-function getFlatOptionCatalog() {
-  try {
-    const out = []
-    const groups = Array.isArray(OPTIONS) ? OPTIONS : []
-    for (const g of groups) {
-      const subject = g?.subject || 'General'
-      const items = Array.isArray(g?.items) ? g.items : []
-      for (const it of items) {
-        out.push({ id: it.id, name: it.name, price: Number(it.price || 0), description: it.description || '', group: subject })
-      }
-    }
-    return out
-  } catch { return [] }
+export function findLocalModel(modelSlug) {
+  if (!modelSlug) return null
+  const id = slugToModelId(modelSlug) || modelSlug
+  return MODELS.find(m => m.id === id) || null
 }
 
-export function reprice(buildLike) {
-  const base = Number(buildLike?.selections?.basePrice || 0)
-  const options = (buildLike?.selections?.options || []).reduce((sum, opt) => {
-    return sum + (Number(opt.price || 0) * Number(opt.quantity || 1))
-  }, 0)
-  const delivery = Number(buildLike?.pricing?.delivery || 1500)
-  const setup = Number(buildLike?.pricing?.setup || 500)
-  const subtotal = roundToCents(base + options + delivery + setup)
-  const taxRate = Number(process.env.SALES_TAX_RATE || 0.0625) // Default to 6.25% if not set
-  const tax = roundToCents(subtotal * taxRate)
-  const total = roundToCents(subtotal + tax)
-  
-  return { 
-    base, 
-    options, 
-    subtotal, 
-    tax, 
-    delivery, 
-    setup, 
-    total,
-    // Preserve delivery calculation details
-    deliveryMiles: buildLike?.pricing?.deliveryMiles,
-    deliveryRate: buildLike?.pricing?.deliveryRate,
-    deliveryMinimum: buildLike?.pricing?.deliveryMinimum
-  }
+// Enforce the option compatibility rules for the build's model
+export function checkOptionRules(options, modelSlug) {
+  return applyOptionRules(options, { model: findLocalModel(modelSlug) })
+}
+
+// Stamp unit/quantity on selected options from the model specs, and price
+// them from the catalog the build is pinned to rather than the client.
+// Taxability always comes from the catalog; options it does not know are taxed.
+export function normalizeOptionSelections(options, modelSlug, catalogOptions = flattenOptionCatalog()) {
+  if (!Array.isArray(options)) return []
+  const byId = new Map(catalogOptions.map(o => [o.id, o]))
+  return applyOptionUnits(options, { model: findLocalModel(modelSlug), catalog: catalogOptions })
+    .map(sel => {
+      const item = byId.get(sel.id || sel.code)
+      return item ? { ...sel, price: item.price, taxable: item.taxable !== false } : { ...sel, taxable: true }
+    })
+}
+
+export function reprice(buildLike, settings = {}) {
+  return calculateBuildPricing(buildLike, settings)
 }
 
 export async function createBuild({ userId, modelSlug, modelName, basePrice, selections = {}, financing = {}, buyerInfo = {}, status = 'DRAFT' }) {
   const db = await getDb()
   const col = db.collection(BUILDS_COLLECTION)
   const now = new Date()
+  const [settings, catalog] = await Promise.all([getOrgSettings(), getCurrentCatalog(now)])
+  const catalogOptions = catalog?.options || flattenOptionCatalog()
+  const options = normalizeOptionSelections(selections.options, modelSlug, catalogOptions)
+  const catalogModel = findCatalogModel(catalog, modelSlug)
+  const quotedBasePrice = catalogModel ? catalogModel.basePrice : Number(basePrice || 0)
   
-  // Calculate initial pricing with proper defaults
+  // Calculate initial pricing; delivery falls back to the configured minimum until an address is known
   const initialPricing = reprice({ 
-    selections: { basePrice, options: selections.options }, 
-    pricing: { delivery: 2000, setup: 500 } 
-  })
+    selections: { basePrice: quotedBasePrice, options, packagePrice: selections.packagePrice }, 
+    pricing: {} 
+  }, settings)
   
   const doc = {
     userId,
@@ -73,9 +77,11 @@ export async function createBuild({ userId, modelSlug, modelName, basePrice, sel
     modelName,
     status,
     selections: {
-      basePrice: Number(basePrice || 0),
-      options: Array.isArray(selections.options) ? selections.options : [],
+      basePrice: quotedBasePrice,
+      options,
       notes: typeof selections.notes === 'string' ? selections.notes : undefined,
+      package: typeof selections.package === 'string' ? selections.package : undefined,
+      packagePrice: selections.packagePrice != null ? Number(selections.packagePrice) : undefined,
     },
     pricing: initialPricing,
     financing: {
@@ -90,7 +96,8 @@ export async function createBuild({ userId, modelSlug, modelName, basePrice, sel
     step: 1,
     createdAt: now,
     updatedAt: now,
-    optionCatalog: getFlatOptionCatalog(),
+    optionCatalog: catalogOptions,
+    catalog: pinToCatalog(catalog, settings, now),
     contract: { status: 'none', envelopeId: null, signedAt: null },
   }
   const result = await col.insertOne(doc)
@@ -117,8 +124,8 @@ export async function updateBuild(buildId, patch) {
   const _id = new ObjectId(String(buildId))
 
   // Sanitize patch
+  // Status only changes through transitionBuild() (lib/build-lifecycle.js)
   const $set = { updatedAt: new Date() }
-  if (patch.status) $set.status = String(patch.status)
   if (patch.step) $set.step = Number(patch.step)
   if (patch.primary != null) $set.primary = !!patch.primary
   if (patch.modelSlug) $set.modelSlug = String(patch.modelSlug)
@@ -146,7 +153,23 @@ export async function updateBuild(buildId, patch) {
   if (!next.selections.basePrice && existing?.selections?.basePrice) {
     next.selections.basePrice = existing.selections.basePrice
   }
+
+  // Prices stay on the catalog version the build was quoted on; moving to a
+  // newer catalog only happens through repriceBuildToCatalog()
+  const pinned = existing?.catalog?.version != null ? await getCatalogVersion(existing.catalog.version) : null
+  const pinnedModel = findCatalogModel(pinned, next.modelSlug)
+  if ($set.selections && pinnedModel) {
+    next.selections.basePrice = pinnedModel.basePrice
+  }
+
+  // Option quantities depend on the model, so re-derive them when either changes
+  if ($set.selections?.options || $set.modelSlug) {
+    next.selections.options = normalizeOptionSelections(next.selections.options, next.modelSlug, pinned?.options)
+    $set.selections = { ...next.selections }
+  }
   
+  const settings = await getOrgSettings()
+
   // Calculate delivery fee FIRST if buyer info was updated and contains address
   let deliveryData = {}
   if (patch.buyerInfo && typeof patch.buyerInfo === 'object') {
@@ -158,15 +181,21 @@ export async function updateBuild(buildId, patch) {
     if (address && address.trim()) {
       try {
         const { getDeliveryQuote } = await import('./delivery-quote.js')
-        const { getOrgSettings } = await import('./settings.js')
-        const settings = await getOrgSettings()
-        const deliveryQuote = await getDeliveryQuote(address, settings)
+        const deliveryQuote = await getDeliveryQuote(address, settings, {
+          state: patch.buyerInfo.state,
+          county: patch.buyerInfo.county,
+          model: findLocalModel(next.modelSlug),
+        })
         
         deliveryData = {
           delivery: deliveryQuote.fee,
           deliveryMiles: deliveryQuote.miles,
           deliveryRate: deliveryQuote.ratePerMile,
-          deliveryMinimum: deliveryQuote.minimum
+          deliveryMinimum: deliveryQuote.minimum,
+          deliveryZone: deliveryQuote.zone,
+          deliveryLineItems: deliveryQuote.lineItems,
+          deliveryEstimated: !!deliveryQuote.estimated,
+          deliveryDistanceProvider: deliveryQuote.distanceProvider || null
         }
         
         console.log('Delivery calculation result:', deliveryData)
@@ -175,13 +204,29 @@ export async function updateBuild(buildId, patch) {
         // Continue without delivery calculation if it fails
       }
     }
+
+    // Sales tax follows the delivery jurisdiction; no table row means the org-wide rate
+    try {
+      const { resolveTaxJurisdiction } = await import('./tax.js')
+      const { parseStateFromAddress } = await import('./delivery-zones.js')
+      deliveryData.taxJurisdiction = await resolveTaxJurisdiction({
+        state: patch.buyerInfo.state || parseStateFromAddress(address),
+        county: patch.buyerInfo.county,
+      })
+    } catch (error) {
+      console.error('Tax jurisdiction lookup error:', error)
+    }
   }
   
   // Now call reprice with the calculated delivery data
   const nextPricing = reprice({ 
     selections: next.selections, 
-    pricing: { ...next.pricing, ...deliveryData }
-  })
+    pricing: { ...next.pricing, ...deliveryData },
+    payment: next.payment,
+    modelSlug: next.modelSlug,
+    adjustments: next.adjustments,
+    taxExemption: next.taxExemption,
+  }, settings)
   $set.pricing = nextPricing
 
   await col.updateOne({ _id }, { $set })
@@ -192,19 +237,100 @@ export async function updateBuild(buildId, patch) {
   return col.findOne({ _id })
 }
 
+// Price the build against the current catalog without saving anything
+export async function previewCatalogReprice(build) {
+  const [settings, catalog] = await Promise.all([getOrgSettings(), getCurrentCatalog()])
+  if (!catalog) return null
+  const { selections, optionChanges, unavailable } = applyCatalogPrices(build, catalog)
+  selections.options = normalizeOptionSelections(selections.options, build.modelSlug, catalog.options)
+  const pricing = reprice({ selections, pricing: build.pricing, payment: build.payment, modelSlug: build.modelSlug, adjustments: build.adjustments, taxExemption: build.taxExemption }, settings)
+  return {
+    fromVersion: build.catalog?.version ?? null,
+    toVersion: catalog.version,
+    current: build.pricing || null,
+    next: pricing,
+    changes: diffPricing(build.pricing || {}, pricing),
+    optionChanges,
+    unavailable,
+    selections,
+    catalog: pinToCatalog(catalog, settings),
+  }
+}
+
+/**
+ * Move a build to the current catalog. `expectedVersion` must match the
+ * version the buyer previewed so they never accept a diff they did not see.
+ * @returns {Promise<{ build?: Object, error?: string }>}
+ */
+export async function repriceBuildToCatalog(buildId, expectedVersion) {
+  const db = await getDb()
+  const col = db.collection(BUILDS_COLLECTION)
+  const build = await getBuildById(buildId)
+  if (!build) return { error: 'not_found' }
+  const preview = await previewCatalogReprice(build)
+  if (!preview) return { error: 'catalog_unavailable' }
+  if (Number(expectedVersion) !== preview.toVersion) return { error: 'catalog_changed', preview }
+
+  await col.updateOne({ _id: build._id }, {
+    $set: {
+      selections: preview.selections,
+      pricing: preview.next,
+      catalog: preview.catalog,
+      optionCatalog: (await getCatalogVersion(preview.toVersion))?.options || build.optionCatalog,
+      updatedAt: new Date(),
+    },
+    $push: {
+      repriceHistory: {
+        fromVersion: preview.fromVersion,
+        toVersion: preview.toVersion,
+        fromTotal: Number(preview.current?.total || 0),
+        toTotal: preview.next.total,
+        at: new Date(),
+      },
+    },
+  })
+  return { build: await col.findOne({ _id: build._id }) }
+}
+
+// What belongs to the original's sale rather than its design: discounts and
+// trade-ins, the reviewed tax exemption, payments, contract and documents,
+// share links and the lifecycle timestamps transitionBuild writes. A copy starts as a fresh DRAFT without them.
+const DUPLICATE_OMITTED_FIELDS = [
+  '_id', 'adjustments', 'payment', 'statusHistory', 'changeOrders', 'documents', 'contract', 'share',
+  'taxExemption', 'repriceHistory', 'catalog', 'optionCatalog',
+  'configuredAt', 'signedAt', 'depositPaidAt', 'productionStartedAt', 'factoryCompletedAt', 'shippedAt', 'deliveredAt', 'closedAt', 'cancelledAt',
+]
+
 export async function duplicateBuild(buildId, userId) {
   const original = await getBuildById(buildId)
   if (!original || original.userId !== userId) return null
   const baseName = original.modelName || original.modelSlug || 'Build'
   const version = Number(original.version || 1) + 1
+  const now = new Date()
+  const design = Object.fromEntries(Object.entries(original).filter(([key]) => !DUPLICATE_OMITTED_FIELDS.includes(key)))
+
+  // Priced and pinned like a new build, against the catalog in effect today
+  const [settings, catalog] = await Promise.all([getOrgSettings(), getCurrentCatalog(now)])
+  const catalogOptions = catalog?.options || flattenOptionCatalog()
+  const catalogModel = findCatalogModel(catalog, original.modelSlug)
+  const selections = {
+    ...(original.selections || {}),
+    basePrice: catalogModel ? catalogModel.basePrice : Number(original.selections?.basePrice || 0),
+    options: normalizeOptionSelections(original.selections?.options, original.modelSlug, catalogOptions),
+  }
   const copy = {
-    ...original,
-    _id: undefined,
+    ...design,
     version,
     status: 'DRAFT',
     step: 1,
-    createdAt: new Date(),
-    updatedAt: new Date(),
+    primary: false,
+    selections,
+    pricing: reprice({ selections, pricing: original.pricing, modelSlug: original.modelSlug }, settings),
+    optionCatalog: catalogOptions,
+    catalog: pinToCatalog(catalog, settings, now),
+    contract: { status: 'none', envelopeId: null, signedAt: null },
+    createdAt: now,
+    updatedAt: now,
     modelName: `${baseName} (v${version})`,
   }
   const db = await getDb()
@@ -0,0 +1,248 @@
+import { getDb } from './db.js'
+import { OPTIONS } from '../src/data/options.js'
+import { MODELS } from '../src/data/models.js'
+import { COLLECTION as MODELS_COLLECTION } from './model-utils.js'
+import { modelIdToSlug, slugToModelId } from '../src/utils/modelUrlMapping.js'
+import { resolvePricingSettings } from '../src/utils/pricing.js'
+
+// Versioned price catalog (model base prices + option prices). Builds are
+// pinned to the version they were quoted on and only move to a newer version
+// through an explicit reprice the buyer accepts.
+export const CATALOG_COLLECTION = process.env.CATALOG_COLLECTION || 'CatalogVersions'
+// Admin overrides for bundled option fields, keyed by option id; for now
+// only whether the option is part of the taxable amount
+export const CATALOG_OPTIONS_COLLECTION = process.env.CATALOG_OPTIONS_COLLECTION || 'catalog_options'
+
+export async function ensureCatalogIndexes() {
+  const db = await getDb()
+  const col = db.collection(CATALOG_COLLECTION)
+  await Promise.all([
+    col.createIndex({ version: 1 }, { unique: true }),
+    col.createIndex({ effectiveAt: -1 }),
+  ])
+}
+
+export function flattenOptionCatalog(groups = OPTIONS) {
+  try {
+    const out = []
+    for (const g of Array.isArray(groups) ? groups : []) {
+      const subject = g?.subject || 'General'
+      const items = Array.isArray(g?.items) ? g.items : []
+      for (const it of items) {
+        out.push({
+          id: it.id,
+          name: it.name,
+          price: Number(it.price || 0),
+          description: it.description || '',
+          group: subject,
+          unit: it.unit || 'each',
+          quantitySource: it.quantitySource || 'buyer',
+          minQty: it.minQty,
+          maxQty: it.maxQty,
+          defaultQty: it.defaultQty,
+          addsAxles: it.addsAxles,
+          taxable: it.taxable !== false,
+        })
+      }
+    }
+    return out
+  } catch { return [] }
+}
+
+// Admin-edited model documents override the bundled model definitions
+async function snapshotModels(db) {
+  const byCode = new Map(MODELS.map(m => {
+    const modelCode = String(m.id).toUpperCase()
+    return [modelCode, { modelCode, slug: modelIdToSlug(m.id) || m.id, name: m.name, basePrice: Number(m.basePrice || 0) }]
+  }))
+  const docs = await db.collection(MODELS_COLLECTION)
+    .find({}, { projection: { modelCode: 1, slug: 1, name: 1, basePrice: 1 } })
+    .toArray()
+  for (const d of docs) {
+    if (!d?.modelCode) continue
+    const modelCode = String(d.modelCode).toUpperCase()
+    const prev = byCode.get(modelCode) || {}
+    byCode.set(modelCode, {
+      modelCode,
+      slug: prev.slug || d.slug || modelCode.toLowerCase(),
+      name: d.name || prev.name || modelCode,
+      basePrice: Number(d.basePrice ?? prev.basePrice ?? 0),
+    })
+  }
+  return Array.from(byCode.values())
+}
+
+// Bundled options with admin overrides applied
+async function snapshotOptions(db) {
+  const overrides = await db.collection(CATALOG_OPTIONS_COLLECTION)
+    .find({}, { projection: { id: 1, taxable: 1 } })
+    .toArray()
+  const byId = new Map(overrides.map(o => [o.id, o]))
+  return flattenOptionCatalog().map(o => {
+    const override = byId.get(o.id)
+    return typeof override?.taxable === 'boolean' ? { ...o, taxable: override.taxable } : o
+  })
+}
+
+/** Options as the next catalog version will snapshot them. */
+export async function listCatalogOptions() {
+  const db = await getDb()
+  return snapshotOptions(db)
+}
+
+/**
+ * Include or leave out an option from the taxable amount. Takes effect for
+ * new quotes once a catalog version is published with it.
+ * @returns {Promise<{ option: Object } | { error: 'not_found' }>}
+ */
+export async function setOptionTaxable(id, taxable, { userId = null } = {}) {
+  if (!flattenOptionCatalog().some(o => o.id === id)) return { error: 'not_found' }
+  const db = await getDb()
+  await db.collection(CATALOG_OPTIONS_COLLECTION).updateOne(
+    { id },
+    { $set: { id, taxable: !!taxable, updatedAt: new Date(), updatedBy: userId } },
+    { upsert: true }
+  )
+  const options = await snapshotOptions(db)
+  return { option: options.find(o => o.id === id) }
+}
+
+/**
+ * Snapshot the current model and option prices as a new catalog version.
+ * @param {Object} params
+ * @param {Date|string} params.effectiveAt - When the version takes effect (defaults to now)
+ * @param {string} params.note - Reason for the change, shown in the admin list
+ * @param {string} params.createdBy - Admin user id
+ * @returns {Promise<Object>} The inserted catalog version
+ */
+export async function publishCatalogVersion({ effectiveAt, note, createdBy } = {}) {
+  const db = await getDb()
+  const col = db.collection(CATALOG_COLLECTION)
+  await ensureCatalogIndexes()
+  const latest = await col.find({}, { projection: { version: 1 } }).sort({ version: -1 }).limit(1).next()
+  const now = new Date()
+  const when = effectiveAt ? new Date(effectiveAt) : now
+  const doc = {
+    version: Number(latest?.version || 0) + 1,
+    effectiveAt: Number.isNaN(when.getTime()) ? now : when,
+    note: note ? String(note).slice(0, 500) : undefined,
+    models: await snapshotModels(db),
+    options: await snapshotOptions(db),
+    createdAt: now,
+    createdBy: createdBy || null,
+  }
+  await col.insertOne(doc)
+  return doc
+}
+
+export async function getCatalogVersion(version) {
+  if (version == null) return null
+  const db = await getDb()
+  return db.collection(CATALOG_COLLECTION).findOne({ version: Number(version) })
+}
+
+/**
+ * Catalog version in effect at a point in time. The first call on an empty
+ * collection publishes version 1 from the current prices; when two first
+ * calls race, the one that loses on the unique version index reads the
+ * winner's version 1.
+ */
+export async function getCurrentCatalog(at = new Date()) {
+  const db = await getDb()
+  const col = db.collection(CATALOG_COLLECTION)
+  const current = await col.find({ effectiveAt: { $lte: at } }).sort({ effectiveAt: -1, version: -1 }).limit(1).next()
+  if (current) return current
+  const any = await col.countDocuments({}, { limit: 1 })
+  if (any) return null
+  try {
+    return await publishCatalogVersion({ note: 'Initial catalog' })
+  } catch (err) {
+    if (err?.code !== 11000) throw err
+    return col.findOne({ version: 1 })
+  }
+}
+
+export async function listCatalogVersions(limit = 50) {
+  const db = await getDb()
+  const docs = await db.collection(CATALOG_COLLECTION)
+    .find({})
+    .sort({ version: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .toArray()
+  return docs.map(({ models = [], options = [], ...rest }) => ({ ...rest, modelCount: models.length, optionCount: options.length }))
+}
+
+export function findCatalogModel(catalog, modelSlug) {
+  if (!catalog || !modelSlug) return null
+  const slug = String(modelSlug).toLowerCase()
+  const code = String(slugToModelId(slug) || slug).toUpperCase()
+  return (catalog.models || []).find(m => m.modelCode === code || m.slug === slug) || null
+}
+
+/**
+ * Pin a build to a catalog version. Quotes expire after the configured
+ * number of days (`pricing.quote_expiry_days` in org settings).
+ */
+export function pinToCatalog(catalog, settings, now = new Date()) {
+  const days = resolvePricingSettings(settings).quote_expiry_days
+  return {
+    version: catalog?.version ?? null,
+    quotedAt: now,
+    expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000),
+  }
+}
+
+export function isQuoteExpired(build, now = new Date()) {
+  const expiresAt = build?.catalog?.expiresAt
+  return !!expiresAt && new Date(expiresAt).getTime() < now.getTime()
+}
+
+/**
+ * Re-apply catalog prices to a build's selections. Options that are no
+ * longer in the catalog are dropped and reported as unavailable.
+ * @returns {{ selections: Object, optionChanges: Array, unavailable: Array }}
+ */
+export function applyCatalogPrices(build, catalog) {
+  const selections = build?.selections || {}
+  const model = findCatalogModel(catalog, build?.modelSlug)
+  const byId = new Map((catalog?.options || []).map(o => [o.id, o]))
+  const optionChanges = []
+  const unavailable = []
+  const options = []
+  for (const sel of Array.isArray(selections.options) ? selections.options : []) {
+    const id = sel?.id || sel?.code
+    const item = byId.get(id)
+    if (!item) {
+      unavailable.push({ id, name: sel?.name || id })
+      continue
+    }
+    const from = Number(sel.price || 0)
+    if (from !== item.price) optionChanges.push({ id, name: item.name, from, to: item.price })
+    options.push({ ...sel, price: item.price, taxable: item.taxable !== false })
+  }
+  return {
+    selections: {
+      ...selections,
+      basePrice: model ? model.basePrice : Number(selections.basePrice || 0),
+      options,
+    },
+    optionChanges,
+    unavailable,
+  }
+}
+
+/**
+ * Line-by-line difference between two pricing breakdowns.
+ * @returns {Array<{ key, label, from, to, delta }>} Only lines that changed
+ */
+export function diffPricing(before = {}, after = {}) {
+  const labels = new Map((after.lineItems || before.lineItems || []).map(li => [li.key, li.label]))
+  const keys = ['base', 'options', 'delivery', 'title', 'setup', 'tax', 'total']
+  return keys
+    .map(key => {
+      const from = Number(before?.[key] || 0)
+      const to = Number(after?.[key] || 0)
+      return { key, label: labels.get(key) || (key === 'total' ? 'Total' : key), from, to, delta: Math.round((to - from) * 100) / 100 }
+    })
+    .filter(line => line.delta !== 0)
+}
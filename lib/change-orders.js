@@ -0,0 +1,313 @@
+import { getDb } from './db.js'
+import { getOrgSettings } from './settings.js'
+import { BUILDS_COLLECTION, checkOptionRules, getBuildById, normalizeOptionSelections, reprice } from './builds.js'
+import { diffPricing, flattenOptionCatalog, getCatalogVersion } from './catalog.js'
+import { normalizeBuildStatus } from './build-lifecycle.js'
+import { recordChangeOrder } from './ledger.js'
+import { esignProviderFor, getDefaultEsignProvider } from './esign/index.js'
+import { signedCloudinaryUrl, uploadPdfToCloudinary } from './docuseal.js'
+import { buildChangeOrderHtmlForDocuSeal } from './contracts/html/change-order.js'
+import { roundToCents } from '../src/utils/pricing.js'
+
+// Change orders add or remove options on a build after its contract is
+// signed. Each one is priced against the build's pinned catalog, signed by the
+// buyer through the e-signature provider and only then applied to the build's selections.
+// They live on the build as `changeOrders` and, once signed, are recorded in
+// `contract.history`.
+export const CHANGE_ORDER_STATUS = Object.freeze({
+  PROPOSED: 'proposed',
+  PENDING_SIGNATURE: 'pending_signature',
+  SIGNED: 'signed',
+  CANCELLED: 'cancelled',
+})
+
+// Build statuses a change order can be opened in; once the home leaves the
+// factory the options can no longer change
+const CHANGEABLE_STATUSES = ['SIGNED', 'DEPOSIT_PAID', 'IN_PRODUCTION']
+
+const OPEN_STATUSES = [CHANGE_ORDER_STATUS.PROPOSED, CHANGE_ORDER_STATUS.PENDING_SIGNATURE]
+
+const optionId = (o) => o?.id || o?.code
+
+function pricingDelta(before, after) {
+  const keys = ['options', 'subtotal', 'tax', 'total', 'deposit', 'balance']
+  return Object.fromEntries(keys.map(k => [k, roundToCents(Number(after?.[k] || 0) - Number(before?.[k] || 0))]))
+}
+
+/**
+ * Price a proposed set of option changes without saving anything.
+ * @param {Object} build - Signed build
+ * @param {Object} changes
+ * @param {Array<{ id: string, quantity?: number }>} changes.add - Options to add
+ * @param {Array<string>} changes.remove - Option ids to remove
+ * @param {Object} ctx
+ * @param {Object} ctx.settings - Org settings
+ * @param {Array} ctx.catalogOptions - Options from the build's pinned catalog
+ * @returns {Object} { selections, added, removed, before, after, delta, changes, paymentImpact } or { error, message }
+ */
+export function computeChangeOrder(build, { add = [], remove = [] } = {}, { settings = {}, catalogOptions = flattenOptionCatalog() } = {}) {
+  if (!add.length && !remove.length) return { error: 'empty_change_order', message: 'Add or remove at least one option' }
+
+  const current = Array.isArray(build?.selections?.options) ? build.selections.options : []
+  const selectedIds = new Set(current.map(optionId))
+  const removeIds = new Set(remove.map(String))
+  for (const id of removeIds) {
+    if (!selectedIds.has(id)) return { error: 'option_not_selected', message: `"${id}" is not on this build` }
+  }
+
+  const byId = new Map(catalogOptions.map(o => [o.id, o]))
+  const additions = []
+  for (const item of add) {
+    const option = byId.get(item?.id)
+    if (!option) return { error: 'unknown_option', message: `"${item?.id}" is not in the catalog for this build` }
+    if (selectedIds.has(option.id) && !removeIds.has(option.id)) {
+      return { error: 'option_already_selected', message: `${option.name} is already on this build` }
+    }
+    additions.push({ id: option.id, code: option.id, name: option.name, price: option.price, ...(item.quantity != null ? { quantity: Number(item.quantity) } : {}) })
+  }
+
+  const kept = current.filter(o => !removeIds.has(optionId(o)))
+  const priced = normalizeOptionSelections([...kept, ...additions], build.modelSlug, catalogOptions)
+  const rules = checkOptionRules(priced, build.modelSlug)
+  if (rules.conflicts.length) {
+    return { error: 'option_conflict', message: rules.conflicts.map(c => c.message).join('; '), conflicts: rules.conflicts }
+  }
+
+  const selections = { ...build.selections, options: rules.selections }
+  const before = reprice(build, settings)
+  const after = reprice({ selections, pricing: build.pricing, payment: build.payment, modelSlug: build.modelSlug, adjustments: build.adjustments, taxExemption: build.taxExemption }, settings)
+  const delta = pricingDelta(before, after)
+
+  // What the buyer owes (or is credited) when the change order is signed
+  const payment = build.payment || {}
+  const fullyPaid = !!(payment.fullPaid || payment.status === 'fully_paid')
+  const depositPaid = !!payment.depositPaid
+  const dueNow = fullyPaid ? delta.total : (depositPaid ? delta.deposit : 0)
+
+  const addedIds = new Set(additions.map(a => a.id))
+  return {
+    selections,
+    added: rules.selections.filter(o => addedIds.has(optionId(o))),
+    removed: current.filter(o => removeIds.has(optionId(o))),
+    autoRemoved: rules.removed,
+    before,
+    after,
+    delta,
+    changes: diffPricing(before, after),
+    paymentImpact: { depositPaid, fullyPaid, dueNow },
+  }
+}
+
+async function loadChangeContext(build) {
+  const settings = await getOrgSettings()
+  if (Array.isArray(build?.optionCatalog) && build.optionCatalog.length) {
+    return { settings, catalogOptions: build.optionCatalog }
+  }
+  const pinned = build?.catalog?.version != null ? await getCatalogVersion(build.catalog.version) : null
+  return { settings, catalogOptions: pinned?.options || flattenOptionCatalog() }
+}
+
+/** Price option changes against the build's pinned catalog without saving. */
+export async function previewChangeOrder(build, changes) {
+  return computeChangeOrder(build, changes, await loadChangeContext(build))
+}
+
+function canChange(build) {
+  return CHANGEABLE_STATUSES.includes(normalizeBuildStatus(build?.status))
+}
+
+export function listChangeOrders(build) {
+  return Array.isArray(build?.changeOrders) ? build.changeOrders : []
+}
+
+/**
+ * Open a change order on a signed build.
+ * @returns {Promise<{ changeOrder: Object } | { error: string, message: string }>}
+ */
+export async function proposeChangeOrder(buildId, { add = [], remove = [], note } = {}, userId = null) {
+  const build = await getBuildById(buildId)
+  if (!build) return { error: 'not_found', message: 'Build not found' }
+  if (!canChange(build)) {
+    return { error: 'build_not_changeable', message: 'Change orders are only available on signed builds that have not left the factory' }
+  }
+  if (listChangeOrders(build).some(co => OPEN_STATUSES.includes(co.status))) {
+    return { error: 'change_order_open', message: 'Finish or cancel the open change order first' }
+  }
+
+  const priced = computeChangeOrder(build, { add, remove }, await loadChangeContext(build))
+  if (priced.error) return priced
+
+  const { ObjectId } = await import('mongodb')
+  const now = new Date()
+  const changeOrder = {
+    id: String(new ObjectId()),
+    number: `CO-${listChangeOrders(build).length + 1}`,
+    status: CHANGE_ORDER_STATUS.PROPOSED,
+    note: note ? String(note).slice(0, 500) : undefined,
+    added: priced.added,
+    removed: priced.removed,
+    autoRemoved: priced.autoRemoved,
+    selections: priced.selections,
+    before: priced.before,
+    after: priced.after,
+    delta: priced.delta,
+    changes: priced.changes,
+    paymentImpact: priced.paymentImpact,
+    catalogVersion: build.catalog?.version ?? null,
+    createdAt: now,
+    createdBy: userId,
+  }
+
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id },
+    { $push: { changeOrders: changeOrder }, $set: { updatedAt: now } }
+  )
+  return { changeOrder }
+}
+
+/**
+ * Render the change order and send it to the buyer for signature.
+ * @returns {Promise<{ changeOrder: Object } | { error: string, message: string }>}
+ */
+export async function sendChangeOrderForSignature(buildId, changeOrderId) {
+  const build = await getBuildById(buildId)
+  if (!build) return { error: 'not_found', message: 'Build not found' }
+  const changeOrder = listChangeOrders(build).find(co => co.id === changeOrderId)
+  if (!changeOrder) return { error: 'change_order_not_found', message: 'Change order not found' }
+  if (changeOrder.status === CHANGE_ORDER_STATUS.PENDING_SIGNATURE && changeOrder.signerUrl) return { changeOrder }
+  if (changeOrder.status !== CHANGE_ORDER_STATUS.PROPOSED) {
+    return { error: 'change_order_closed', message: `Change order is ${changeOrder.status}` }
+  }
+
+  const buyer = build.buyerInfo || {}
+  const esign = getDefaultEsignProvider()
+  const appUrl = process.env.APP_URL || 'https://www.fireflyestimator.com'
+  const submission = await esign.createSubmission({
+    name: `Firefly – Change Order ${changeOrder.number} – ${String(build._id)}`,
+    html: buildChangeOrderHtmlForDocuSeal({ build, changeOrder }),
+    externalId: `firefly_change_order_${changeOrder.id}`,
+    folder: 'Firefly Change Orders',
+    submitters: [{
+      name: `${buyer.firstName || ''} ${buyer.lastName || ''}`.trim(),
+      email: buyer.email || '',
+      role: 'buyer',
+    }],
+    completedRedirectUrl: `${appUrl}/builds/${String(build._id)}?changeOrder=${changeOrder.id}`,
+    cancelRedirectUrl: `${appUrl}/builds/${String(build._id)}`,
+  })
+
+  const now = new Date()
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id, 'changeOrders.id': changeOrder.id },
+    {
+      $set: {
+        'changeOrders.$.status': CHANGE_ORDER_STATUS.PENDING_SIGNATURE,
+        'changeOrders.$.esignProvider': esign.name,
+        'changeOrders.$.templateId': submission.templateId || null,
+        'changeOrders.$.submissionId': submission.submissionId,
+        'changeOrders.$.signerUrl': submission.signerUrl,
+        'changeOrders.$.sentAt': now,
+        updatedAt: now,
+      },
+    }
+  )
+  return {
+    changeOrder: { ...changeOrder, status: CHANGE_ORDER_STATUS.PENDING_SIGNATURE, esignProvider: esign.name, templateId: submission.templateId || null, submissionId: submission.submissionId, signerUrl: submission.signerUrl, sentAt: now },
+  }
+}
+
+export async function cancelChangeOrder(buildId, changeOrderId, userId = null) {
+  const build = await getBuildById(buildId)
+  if (!build) return { error: 'not_found', message: 'Build not found' }
+  const changeOrder = listChangeOrders(build).find(co => co.id === changeOrderId)
+  if (!changeOrder) return { error: 'change_order_not_found', message: 'Change order not found' }
+  if (!OPEN_STATUSES.includes(changeOrder.status)) {
+    return { error: 'change_order_closed', message: `Change order is ${changeOrder.status}` }
+  }
+  const now = new Date()
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id, 'changeOrders.id': changeOrderId },
+    { $set: { 'changeOrders.$.status': CHANGE_ORDER_STATUS.CANCELLED, 'changeOrders.$.cancelledAt': now, 'changeOrders.$.cancelledBy': userId, updatedAt: now } }
+  )
+  return { changeOrder: { ...changeOrder, status: CHANGE_ORDER_STATUS.CANCELLED, cancelledAt: now } }
+}
+
+export async function findBuildByChangeOrderSubmission(submissionId) {
+  if (submissionId == null) return null
+  const db = await getDb()
+  return db.collection(BUILDS_COLLECTION).findOne({
+    changeOrders: { $elemMatch: { submissionId: { $in: [submissionId, String(submissionId), Number(submissionId)] } } },
+  })
+}
+
+/**
+ * Apply a signed change order: store the signed PDF, swap in the new
+ * selections and pricing, and record it in the build's contract history.
+ * Repeated completion webhooks are ignored.
+ */
+export async function completeChangeOrder(submissionId, { documentUrl, auditTrailUrl } = {}) {
+  const build = await findBuildByChangeOrderSubmission(submissionId)
+  if (!build) return { error: 'not_found' }
+  const changeOrder = listChangeOrders(build).find(co => String(co.submissionId) === String(submissionId))
+  if (changeOrder.status === CHANGE_ORDER_STATUS.SIGNED) return { build, changeOrder }
+  if (changeOrder.status !== CHANGE_ORDER_STATUS.PENDING_SIGNATURE) return { error: 'change_order_closed' }
+
+  let signedPdfPublicId = null
+  try {
+    const buffer = await esignProviderFor(changeOrder).download(submissionId, { documentUrl })
+    const upload = await uploadPdfToCloudinary({
+      buffer,
+      folder: 'firefly-estimator/change-orders',
+      publicId: `build_${String(build._id)}_${changeOrder.number}`,
+    })
+    signedPdfPublicId = upload.public_id
+  } catch (err) {
+    console.error('[CHANGE_ORDER] Failed to store signed PDF:', err?.message || err)
+  }
+
+  // Re-price from the signed selections so delivery/settings changes since
+  // the proposal are reflected, but keep the option set the buyer signed
+  const settings = await getOrgSettings()
+  const pricing = reprice({ selections: changeOrder.selections, pricing: build.pricing, payment: build.payment, modelSlug: build.modelSlug, adjustments: build.adjustments, taxExemption: build.taxExemption }, settings)
+  const now = new Date()
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id, 'changeOrders.id': changeOrder.id },
+    {
+      $set: {
+        selections: changeOrder.selections,
+        pricing,
+        'changeOrders.$.status': CHANGE_ORDER_STATUS.SIGNED,
+        'changeOrders.$.signedAt': now,
+        'changeOrders.$.signedPdfPublicId': signedPdfPublicId,
+        'changeOrders.$.auditTrailUrl': auditTrailUrl || null,
+        updatedAt: now,
+      },
+      $push: {
+        'contract.history': {
+          type: 'change_order',
+          changeOrderId: changeOrder.id,
+          number: changeOrder.number,
+          totalDelta: changeOrder.delta?.total || 0,
+          signedAt: now,
+          signedPdfPublicId,
+          signedPdfUrl: signedPdfPublicId ? signedCloudinaryUrl(signedPdfPublicId) : null,
+        },
+      },
+    }
+  )
+
+  // Keep the contract record's audit trail complete
+  await db.collection('contracts').updateOne(
+    { buildId: String(build._id) },
+    { $push: { audit: { timestamp: now, userId: `${changeOrder.esignProvider || 'docuseal'}_webhook`, action: 'change_order_signed', metadata: { changeOrderId: changeOrder.id, number: changeOrder.number, submissionId } } } }
+  )
+
+  const signed = { ...changeOrder, status: CHANGE_ORDER_STATUS.SIGNED, signedAt: now }
+  await recordChangeOrder(build, signed)
+
+  return { build: await getBuildById(build._id), changeOrder: signed }
+}
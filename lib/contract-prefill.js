@@ -0,0 +1,238 @@
+import { calculateBuildPricing } from '../src/utils/pricing.js'
+import { coBuyerFromBuyerInfo } from './contract-signers.js'
+
+/**
+ * Contract prefill values for a build, keyed by the field names in
+ * FIELD_MAPS. Shared by the contract start route and the field-map validator
+ * (lib/docuseal/fieldValidator.js).
+ * @param {Object} build
+ * @param {Object} settings - Organization settings for the pricing engine
+ * @param {{ logger?: Object }} [options] - Where the debug output goes
+ * @returns {Promise<Object>}
+ */
+export async function buildContractPrefill(build, settings, { logger = console } = {}) {
+  logger.log('[CONTRACT_CREATE] Building prefill data for build:', build._id)
+  
+  const selections = build.selections || {}
+  const pricing = build.pricing || {}
+  const buyerInfo = build.buyerInfo || {}
+  const coBuyer = coBuyerFromBuyerInfo(buyerInfo)
+  const financing = build.financing || {}
+  const delivery = build.delivery || {}
+  
+  logger.log('[CONTRACT_CREATE] Build data sections:', {
+    hasSelections: !!selections,
+    hasPricing: !!pricing,
+    hasBuyerInfo: !!buyerInfo,
+    hasFinancing: !!financing,
+    hasDelivery: !!delivery,
+    selectionsKeys: Object.keys(selections),
+    pricingKeys: Object.keys(pricing),
+    buyerInfoKeys: Object.keys(buyerInfo),
+    financingKeys: Object.keys(financing),
+    deliveryKeys: Object.keys(delivery)
+  })
+  
+  // Calculate key amounts with the shared pricing engine (same numbers as checkout)
+  const breakdown = calculateBuildPricing(build, settings)
+  const basePrice = breakdown.base
+  const optionsTotal = breakdown.options
+  const deliveryFee = breakdown.delivery
+  const titleFee = breakdown.title
+  const setupFee = breakdown.setup
+  const salesTax = breakdown.tax
+  const subtotalBeforeTax = breakdown.subtotal
+  const totalPurchasePrice = breakdown.total
+  const depositPercent = breakdown.depositPercent
+  const depositAmount = breakdown.deposit
+  const balanceAmount = breakdown.balance
+
+  // Get model information
+  const modelSlug = build.modelSlug || ''
+  
+  // Get model code from slug if available
+  let modelCode = ''
+  
+  if (modelSlug) {
+    // Convert slug to model code (e.g., 'magnolia' -> 'APS-630')
+    const modelMapping = {
+      'magnolia': 'APS-630',
+      'oak': 'APS-520',
+      'cedar': 'APS-720',
+      'pine': 'APS-820',
+      'bluebonnet': 'APS-601',
+      'nest': 'APS-520MS',
+      'azul': 'APS-523',
+      'meadow': 'APS-528'
+    }
+    modelCode = modelMapping[modelSlug] || modelSlug.toUpperCase()
+  }
+
+  // Format payment method with detailed information
+  const getPaymentMethodDisplay = () => {
+    const paymentMethod = financing.method
+    
+    if (paymentMethod === 'ach_debit') {
+      return 'ACH Debit (Bank Account)'
+    } else if (paymentMethod === 'bank_transfer') {
+      return 'Bank Transfer (Wire/ACH Credit)'
+    } else if (paymentMethod === 'credit_card') {
+      return 'Credit Card'
+    } else if (paymentMethod === 'financing') {
+      return `Financing (${financing.lender || 'Third Party Lender'})`
+    } else {
+      return 'Cash'
+    }
+  }
+
+  // CRITICAL: Use ONLY the exact field names from FIELD_MAPS
+  // This ensures perfect matching with DocuSeal template fields
+  const prefill = {
+    // Order / Reference
+    order_id: String(build._id || ''),
+    order_date: new Date(build.createdAt || Date.now()).toISOString().slice(0, 10),
+    effective_date: new Date().toISOString().slice(0, 10),
+    sales_agent: build?.buyerInfo?.salesAgent || '',
+
+    // Dealer / Seller
+    dealer_legal_name: 'Firefly Tiny Homes LLC',
+    dealer_license_no: 'A164017',
+    dealer_address: '6150 TX 16, Pipe Creek, TX 78063',
+    dealer_phone_display: '830 328 6109',
+
+    // Buyer Information - EXACT field names from FIELD_MAPS.masterRetail
+    buyer_full_name: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
+    buyer_name: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
+    buyer_printed_name: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
+    buyer_email: buyerInfo.email || '',
+    buyer_address: buyerInfo.address || '',
+    buyer_phone: buyerInfo.phone || '',
+    // Co-buyer fields (optional)
+    cobuyer_full_name: coBuyer ? `${coBuyer.firstName} ${coBuyer.lastName}`.trim() : '',
+    cobuyer_email: coBuyer?.email || '',
+    cobuyer_phone: coBuyer?.phone || '',
+    cobuyer_printed_name: coBuyer ? `${coBuyer.firstName} ${coBuyer.lastName}`.trim() : '',
+    
+    // Unit Information - EXACT field names from FIELD_MAPS.masterRetail
+    model_brand: "Athens Park Select",
+    model_code: modelCode || '',
+    model_year: new Date().getFullYear().toString(),
+    dimensions: build.model?.dimensions || '',
+
+    // Pricing Information - EXACT field names from FIELD_MAPS.masterRetail
+    price_base: formatCurrency(basePrice),
+    price_options: formatCurrency(optionsTotal),
+    price_freight_est: formatCurrency(deliveryFee),
+    price_setup: formatCurrency(setupFee),
+    price_other: formatCurrency(titleFee),
+    price_sales_tax: formatCurrency(salesTax),
+    price_subtotal: formatCurrency(subtotalBeforeTax),
+    price_total: formatCurrency(totalPurchasePrice),
+
+    // Promo codes, admin adjustments and trade-in (lib/adjustments.js)
+    promo_code: breakdown.promoCode || '',
+    price_promo_discount: formatCurrency(-breakdown.promoDiscount),
+    price_adjustments: formatCurrency(breakdown.adjustments),
+    adjustment_itemization: (build.adjustments?.manual || []).map(a => `${a.label}: ${formatCurrency(a.amount)}`).join('; '),
+    trade_in_description: build.adjustments?.tradeIn?.description || '',
+    price_trade_in_allowance: formatCurrency(-breakdown.tradeInAllowance),
+    price_trade_in_payoff: formatCurrency(breakdown.tradeInPayoff),
+
+    // Payment Terms
+    deposit_percent: `${depositPercent}%`,
+    deposit_amount: formatCurrency(depositAmount),
+    balance_amount: formatCurrency(balanceAmount),
+    payment_method: getPaymentMethodDisplay(),
+    
+    // Delivery Information - Format for DocuSeal template
+    delivery_address: [delivery.address || buyerInfo.address || '', delivery.city || buyerInfo.city || '', delivery.state || buyerInfo.state || '', delivery.zip || buyerInfo.zip || ''].filter(Boolean).join(', '),
+    delivery_city: delivery.city || buyerInfo.city || '',
+    delivery_state: delivery.state || buyerInfo.state || '',
+    delivery_zip: delivery.zip || buyerInfo.zip || '',
+    delivery_notes: delivery.notes || '',
+    // Itemized delivery quote (zone, mileage, oversize surcharges)
+    delivery_zone: pricing.deliveryZone?.label || '',
+    delivery_miles: pricing.deliveryMiles != null ? `${Math.round(pricing.deliveryMiles)} miles` : '',
+    delivery_itemization: (pricing.deliveryLineItems || []).map(li => `${li.label}: ${formatCurrency(li.amount)}`).join('; '),
+    delivery_fee_total: formatCurrency(deliveryFee),
+    
+    // Estimated completion date (8-12 weeks from now)
+    est_completion_date: new Date(Date.now() + (10 * 7 * 24 * 60 * 60 * 1000)).toLocaleDateString('en-US', { 
+      year: 'numeric', 
+      month: 'long', 
+      day: 'numeric' 
+    }),
+    
+    // Legal/Compliance
+    state_classification: "Travel Trailer (park model RV)",
+    completion_estimate: "8-12 weeks from contract signing",
+    storage_policy: "Delivery within 12 days after factory completion; storage charges may apply",
+    
+    // Buyer Initials for all templates
+    buyer_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    
+    // Co-Buyer Initials (if available)
+    cobuyer_initials: coBuyer?.firstName && coBuyer?.lastName ?
+      `${coBuyer.firstName.charAt(0)}${coBuyer.lastName.charAt(0)}`.toUpperCase() : '',
+    
+    // Delivery Agreement Specific Fields
+    site_initials_1: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    site_initials_2: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    site_initials_3: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    site_initials_4: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    site_initials_5: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    site_initials_6: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    delivery_initials_1: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    delivery_initials_2: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    delivery_initials_3: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    fees_initials_1: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    fees_initials_2: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    fees_initials_3: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    risk_initials_1: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    risk_initials_2: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    insurance_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    storage_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    indemnification_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    buyer_page_initials: `${buyerInfo.firstName?.charAt(0) || ''}${buyerInfo.lastName?.charAt(0) || ''}`.toUpperCase(),
+    cobuyer_page_initials: coBuyer?.firstName && coBuyer?.lastName ?
+      `${coBuyer.firstName.charAt(0)}${coBuyer.lastName.charAt(0)}`.toUpperCase() : '',
+    
+    // Signature fields (these will be filled by DocuSeal during signing)
+    buyer_signature: '', // Will be filled during signing
+    cobuyer_signature: '', // Will be filled during signing (if co-buyer exists)
+    firefly_signature: '' // Will be filled by Firefly representative
+  }
+
+  // Prefill dealer signer defaults if available
+  prefill.dealer_signer_name = process.env.FIREFLY_SIGNER_NAME || ''
+  prefill.dealer_signer_title = process.env.FIREFLY_SIGNER_TITLE || 'Authorized Representative'
+
+  logger.log('[CONTRACT_CREATE] Generated prefill data:', {
+    prefillKeys: Object.keys(prefill),
+    sampleValues: {
+      order_id: prefill.order_id,
+      buyer_name: prefill.buyer_name,
+      buyer_full_name: prefill.buyer_full_name,
+      buyer_email: prefill.buyer_email,
+      buyer_phone: prefill.buyer_phone,
+      buyer_address: prefill.buyer_address,
+      model_brand: prefill.model_brand,
+      model_code: prefill.model_code,
+      model_year: prefill.model_year,
+      total_price: prefill.price_total,
+      payment_method: prefill.payment_method
+    }
+  })
+  
+  logger.log('[CONTRACT_CREATE] Full prefill data:', JSON.stringify(prefill, null, 2))
+
+  return prefill
+}
+
+// Currency as contracts show it
+export function formatCurrency(cents) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format((cents || 0) / 100)
+}
@@ -0,0 +1,560 @@
+import { getDb } from './db.js'
+import { BUILD_STATUS, guardBuildTransition } from './build-lifecycle.js'
+
+// Everyone who signs a contract pack. The buyer signs in checkout; a co-buyer
+// captured in the buyer step signs the same submission through their own
+// link, either after the buyer (sequential) or at the same time (parallel).
+// Each pack keeps its signers as `packs.<pack>.signers` with their own status,
+// and a pack only counts as completed once every one of them has signed.
+// Signers whose turn it is get an emailed invite, then reminders from a daily
+// job until they sign.
+//
+// Templates with dealer fields are countersigned by Firefly (the
+// `firefly_signer` role) once every buyer has signed. Until then the pack is
+// `awaiting_countersignature` and sits in the admin queue; the dealer's
+// signature executes the contract.
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const SIGNER_ROLES = Object.freeze({ BUYER: 'buyer', COBUYER: 'cobuyer', DEALER: 'firefly_signer' })
+
+export const AWAITING_COUNTERSIGNATURE = 'awaiting_countersignature'
+
+export const SIGNING_ORDERS = ['sequential', 'parallel']
+
+export const SIGNER_STATUS = Object.freeze({
+  PENDING: 'pending',
+  OPENED: 'opened',
+  COMPLETED: 'completed',
+  DECLINED: 'declined',
+})
+
+export const SIGNER_REMINDERS = Object.freeze({ interval_days: 2, max_reminders: 3 })
+
+// Packs that can have signers waiting
+const OPEN_PACK_STATUSES = ['ready', 'in_progress']
+
+const CONTRACT_PACKS = ['agreement', 'delivery', 'final']
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * The co-buyer on a build's buyer info, from the `coBuyer` object the buyer
+ * step saves or the flat `coBuyer*` fields older builds have.
+ * @returns {{ firstName, lastName, email, phone } | null}
+ */
+export function coBuyerFromBuyerInfo(buyerInfo = {}) {
+  const nested = buyerInfo.coBuyer || {}
+  const coBuyer = {
+    firstName: String(nested.firstName || buyerInfo.coBuyerFirstName || '').trim(),
+    lastName: String(nested.lastName || buyerInfo.coBuyerLastName || '').trim(),
+    email: String(nested.email || buyerInfo.coBuyerEmail || '').trim(),
+    phone: String(nested.phone || buyerInfo.coBuyerPhone || '').trim(),
+  }
+  return coBuyer.firstName || coBuyer.lastName || coBuyer.email ? coBuyer : null
+}
+
+/**
+ * Check the co-buyer and signing order before a contract is started.
+ * @returns {{ error: string, message: string } | null}
+ */
+export function validateCoBuyer(buyerInfo = {}) {
+  const coBuyer = coBuyerFromBuyerInfo(buyerInfo)
+  if (buyerInfo.signingOrder && !SIGNING_ORDERS.includes(buyerInfo.signingOrder)) {
+    return { error: 'invalid_signing_order', message: `Signing order must be one of ${SIGNING_ORDERS.join(', ')}` }
+  }
+  if (!coBuyer) return null
+  if (!coBuyer.firstName || !coBuyer.lastName) return { error: 'invalid_cobuyer', message: 'Co-buyer first and last name are required' }
+  if (!EMAIL_RE.test(coBuyer.email)) return { error: 'invalid_cobuyer', message: 'A valid co-buyer email is required' }
+  if (coBuyer.email.toLowerCase() === String(buyerInfo.email || '').trim().toLowerCase()) {
+    return { error: 'invalid_cobuyer', message: 'The co-buyer needs their own email address' }
+  }
+  return null
+}
+
+/** Whether a template has fields for Firefly to countersign. */
+export function templateNeedsCountersignature(template) {
+  return Object.values(template?.fieldMap || {}).some(f => f?.role === SIGNER_ROLES.DEALER)
+}
+
+/** Who countersigns for Firefly (FIREFLY_SIGNER_* settings). */
+export function dealerSubmitter() {
+  return {
+    name: process.env.FIREFLY_SIGNER_NAME || 'Firefly Tiny Homes',
+    email: process.env.FIREFLY_SIGNER_EMAIL || process.env.SMTP_FROM || 'office@fireflytinyhomes.com',
+    role: SIGNER_ROLES.DEALER,
+  }
+}
+
+/**
+ * Submitters for a contract pack and the order the provider should collect
+ * them in (`preserved` signs one after another, `random` all at once). With
+ * `countersign` the dealer is added last; in parallel order their link is
+ * only handed out from the admin queue once the buyers are done.
+ * @returns {{ submitters: Array<{ name, email, role }>, order: string, signingOrder: string }}
+ */
+export function contractSubmitters(buyerInfo = {}, { coBuyerEnabled = true, countersign = false } = {}) {
+  const submitters = [{
+    name: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
+    email: buyerInfo.email || '',
+    role: SIGNER_ROLES.BUYER,
+  }]
+  const coBuyer = coBuyerEnabled ? coBuyerFromBuyerInfo(buyerInfo) : null
+  if (coBuyer?.email) {
+    submitters.push({ name: `${coBuyer.firstName} ${coBuyer.lastName}`.trim(), email: coBuyer.email, role: SIGNER_ROLES.COBUYER })
+  }
+  if (countersign) submitters.push(dealerSubmitter())
+  const signingOrder = buyerInfo.signingOrder === 'parallel' ? 'parallel' : 'sequential'
+  return { submitters, order: signingOrder === 'parallel' ? 'random' : 'preserved', signingOrder }
+}
+
+/**
+ * Signer records for a new pack from the provider's submitters.
+ * @param {Array<{ name, email, role }>} submitters - What the submission was created with
+ * @param {Array<{ id, role, embedUrl }>} created - What the provider returned
+ */
+export function initialSigners(submitters, created = [], { now = new Date() } = {}) {
+  return submitters.map(s => {
+    const match = created.find(c => c.role === s.role) || {}
+    return {
+      role: s.role,
+      name: s.name,
+      email: s.email,
+      submitterId: match.id ?? null,
+      signerUrl: match.embedUrl || null,
+      status: SIGNER_STATUS.PENDING,
+      // The buyer starts signing in checkout straight away
+      invitedAt: s.role === SIGNER_ROLES.BUYER ? now : null,
+      reminders: 0,
+      lastReminderAt: null,
+      openedAt: null,
+      completedAt: null,
+      declinedAt: null,
+    }
+  })
+}
+
+const isDealer = (s) => s.role === SIGNER_ROLES.DEALER
+
+/** Whether a pack is countersigned by Firefly before it is executed. */
+export function hasCountersigner(pack) {
+  return Array.isArray(pack?.signers) && pack.signers.some(isDealer)
+}
+
+/**
+ * Whether a signer can sign now; in sequential order everyone before them
+ * must be done, and the dealer always waits for every buyer.
+ */
+export function isSignersTurn(signers, signer, signingOrder = 'sequential') {
+  if (signer.status === SIGNER_STATUS.COMPLETED || signer.status === SIGNER_STATUS.DECLINED) return false
+  if (signers.some(s => s.status === SIGNER_STATUS.DECLINED)) return false
+  if (isDealer(signer)) return signers.filter(s => !isDealer(s)).every(s => s.status === SIGNER_STATUS.COMPLETED)
+  if (signingOrder === 'parallel') return true
+  return signers.slice(0, signers.indexOf(signer)).every(s => s.status === SIGNER_STATUS.COMPLETED)
+}
+
+/**
+ * Pack status from its signers: completed only once every signer has signed,
+ * and awaiting countersignature while only the dealer is left.
+ */
+export function packStatusFromSigners(signers) {
+  if (signers.some(s => s.status === SIGNER_STATUS.DECLINED)) return 'voided'
+  if (signers.every(s => s.status === SIGNER_STATUS.COMPLETED)) return 'completed'
+  const dealer = signers.find(isDealer)
+  if (dealer && signers.filter(s => !isDealer(s)).every(s => s.status === SIGNER_STATUS.COMPLETED)) return AWAITING_COUNTERSIGNATURE
+  if (signers.some(s => s.status !== SIGNER_STATUS.PENDING)) return 'in_progress'
+  return 'ready'
+}
+
+function findSigner(signers, { role, submitterId }) {
+  return signers.find(s => (submitterId != null && s.submitterId != null && String(s.submitterId) === String(submitterId)))
+    || signers.find(s => role && s.role === role)
+}
+
+/**
+ * Apply a normalized e-signature event (lib/esign/index.js) to a pack.
+ * `signed` is one submitter finishing; `completed` is the whole submission.
+ * Packs from before signers were tracked had a single signer, so a `signed`
+ * event completes them.
+ * @returns {{ signers: Array|null, status: string|null }} status is null for events that do not move the pack
+ */
+export function applySignerEvent(pack, event, { now = new Date() } = {}) {
+  const tracked = Array.isArray(pack?.signers) && pack.signers.length > 0
+  if (!tracked) {
+    const legacy = { created: 'ready', viewed: 'ready', started: 'in_progress', signed: 'completed', completed: 'completed', declined: 'voided' }
+    return { signers: null, status: legacy[event.type] || null }
+  }
+
+  const signers = pack.signers.map(s => ({ ...s }))
+  const signer = findSigner(signers, event)
+  switch (event.type) {
+    case 'viewed':
+    case 'started':
+      if (signer && signer.status === SIGNER_STATUS.PENDING) Object.assign(signer, { status: SIGNER_STATUS.OPENED, openedAt: now })
+      break
+    case 'signed':
+      if (signer && signer.status !== SIGNER_STATUS.COMPLETED) Object.assign(signer, { status: SIGNER_STATUS.COMPLETED, completedAt: now })
+      break
+    case 'completed':
+      for (const s of signers) if (s.status !== SIGNER_STATUS.COMPLETED) Object.assign(s, { status: SIGNER_STATUS.COMPLETED, completedAt: now })
+      break
+    case 'declined':
+      if (signer) Object.assign(signer, { status: SIGNER_STATUS.DECLINED, declinedAt: now })
+      else signers.forEach(s => { if (s.status !== SIGNER_STATUS.COMPLETED) Object.assign(s, { status: SIGNER_STATUS.DECLINED, declinedAt: now }) })
+      break
+    case 'created':
+      break
+    default:
+      return { signers: null, status: null }
+  }
+  return { signers, status: packStatusFromSigners(signers) }
+}
+
+/**
+ * Copy signer statuses from a provider's getStatus() submitters (ESIGN_STATUS
+ * values) onto a pack's signers, for when webhooks were missed.
+ * @returns {Array|null} Updated signers, or null when nothing changed
+ */
+export function syncSignersFromStatus(signers, submitters = [], { now = new Date() } = {}) {
+  if (!Array.isArray(signers) || !signers.length) return null
+  const toSigner = { pending: SIGNER_STATUS.PENDING, in_progress: SIGNER_STATUS.OPENED, completed: SIGNER_STATUS.COMPLETED, declined: SIGNER_STATUS.DECLINED }
+  let changed = false
+  const next = signers.map(s => {
+    const remote = submitters.find(r => r.role === s.role)
+    const status = toSigner[remote?.status]
+    if (!status || status === s.status || s.status === SIGNER_STATUS.COMPLETED) return s
+    changed = true
+    return {
+      ...s,
+      status,
+      ...(status === SIGNER_STATUS.OPENED && !s.openedAt ? { openedAt: now } : {}),
+      ...(status === SIGNER_STATUS.COMPLETED ? { completedAt: remote.completedAt ? new Date(remote.completedAt) : now } : {}),
+      ...(status === SIGNER_STATUS.DECLINED ? { declinedAt: now } : {}),
+    }
+  })
+  return changed ? next : null
+}
+
+/**
+ * Invites and reminders due on a pack: a signer whose turn it is gets an
+ * invite if they have none yet, then a reminder every `interval_days` up to
+ * `max_reminders`. Reminders are only sent when `reminders` is set, so the
+ * invite for the next signer can go out as soon as the one before signs.
+ * @returns {Array<{ index: number, signer: Object, kind: 'invite'|'reminder' }>}
+ */
+export function signerNotifications(pack, { now = new Date(), reminders = null } = {}) {
+  if (!Array.isArray(pack?.signers) || !OPEN_PACK_STATUSES.includes(pack.status)) return []
+  const out = []
+  pack.signers.forEach((signer, index) => {
+    // The dealer countersigns from the admin queue, not from an email
+    if (isDealer(signer) || !isSignersTurn(pack.signers, signer, pack.signingOrder)) return
+    if (!signer.invitedAt) {
+      out.push({ index, signer, kind: 'invite' })
+      return
+    }
+    if (!reminders || (signer.reminders || 0) >= reminders.max_reminders) return
+    const last = new Date(signer.lastReminderAt || signer.invitedAt).getTime()
+    if (now.getTime() - last >= reminders.interval_days * DAY_MS) out.push({ index, signer, kind: 'reminder' })
+  })
+  return out
+}
+
+/** Link a signer follows from an invite: the buyer goes back to checkout, everyone else to their own signing link. */
+export function signerLink(signer, buildId) {
+  if (signer.role === SIGNER_ROLES.BUYER) return `${process.env.APP_URL || 'https://www.fireflyestimator.com'}/checkout/${buildId}/agreement`
+  return signer.signerUrl
+}
+
+/**
+ * Email a signer their invite or reminder (SMTP_* settings).
+ * @returns {Promise<{ to: string } | { error: string, message: string }>}
+ */
+export async function sendSignerEmail({ signer, kind, link, buyerName = '', modelName = '', packName = 'purchase agreement' }) {
+  if (!EMAIL_RE.test(String(signer.email || ''))) return { error: 'invalid_email', message: 'The signer has no valid email address' }
+  if (!link) return { error: 'no_link', message: 'The signer has no signing link' }
+  if (!process.env.SMTP_HOST && !process.env.SMTP_USER) return { error: 'email_unavailable', message: 'Email is not configured' }
+
+  const home = modelName ? `your Firefly ${modelName}` : 'your Firefly home'
+  const greeting = `Hi ${signer.name || 'there'},`
+  const text = kind === 'reminder'
+    ? `${greeting}\n\nA reminder that the ${packName} for ${home} is waiting for your signature:\n\n${link}\n`
+    : `${greeting}\n\n${signer.role === SIGNER_ROLES.COBUYER && buyerName ? `${buyerName} added you as co-buyer on` : 'It is time to sign'} the ${packName} for ${home}. Review and sign it here:\n\n${link}\n`
+
+  const nodemailer = (await import('nodemailer')).default
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: false,
+    auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+  })
+  await transport.sendMail({
+    from: process.env.SMTP_FROM || 'office@fireflytinyhomes.com',
+    to: signer.email,
+    subject: kind === 'reminder' ? `Reminder: your ${packName} is waiting for your signature` : `Please sign the ${packName} for ${home}`,
+    text,
+  })
+  return { to: signer.email }
+}
+
+/**
+ * Send the invites (and, with `reminders`, reminders) due on one pack of a
+ * contract and record them on its signers.
+ * @returns {Promise<{ invites: number, reminders: number, failed: number }>}
+ */
+export async function notifyPackSigners(contract, packId, { now = new Date(), reminders = null, build = null } = {}) {
+  const summary = { invites: 0, reminders: 0, failed: 0 }
+  const pack = contract.packs?.[packId]
+  const due = signerNotifications(pack, { now, reminders })
+  if (!due.length) return summary
+
+  const buyerInfo = build?.buyerInfo || contract.snapshots?.buyerInfo || {}
+  const buyerName = `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim()
+  const $set = {}
+  for (const { index, signer, kind } of due) {
+    try {
+      const sent = await sendSignerEmail({
+        signer,
+        kind,
+        link: signerLink(signer, contract.buildId),
+        buyerName,
+        modelName: build?.modelName || contract.snapshots?.buildData?.modelName || '',
+        packName: pack.templateName || 'purchase agreement',
+      })
+      if (sent.error) {
+        console.warn('[SIGNERS] Not sent:', kind, signer.role, sent.error)
+        summary.failed++
+        continue
+      }
+    } catch (err) {
+      console.error('[SIGNERS] Email failed:', kind, signer.role, err?.message || err)
+      summary.failed++
+      continue
+    }
+    if (kind === 'invite') {
+      $set[`packs.${packId}.signers.${index}.invitedAt`] = now
+      summary.invites++
+    } else {
+      $set[`packs.${packId}.signers.${index}.reminders`] = (signer.reminders || 0) + 1
+      $set[`packs.${packId}.signers.${index}.lastReminderAt`] = now
+      summary.reminders++
+    }
+  }
+  if (Object.keys($set).length) {
+    const db = await getDb()
+    await db.collection('contracts').updateOne({ _id: contract._id }, { $set })
+  }
+  return summary
+}
+
+/**
+ * Resend a waiting signer their link now, at most once an hour.
+ * @returns {Promise<{ signer: Object } | { error: string, message: string }>}
+ */
+export async function remindSigner(contract, packId, role, { now = new Date(), build = null } = {}) {
+  const pack = contract.packs?.[packId]
+  const index = (pack?.signers || []).findIndex(s => s.role === role)
+  if (index === -1) return { error: 'signer_not_found', message: `No ${role} signs this contract` }
+  const signer = pack.signers[index]
+  if (!OPEN_PACK_STATUSES.includes(pack.status) || !isSignersTurn(pack.signers, signer, pack.signingOrder)) {
+    return { error: 'signer_not_waiting', message: 'This signer is not waiting to sign' }
+  }
+  const last = signer.lastReminderAt || (signer.role === SIGNER_ROLES.BUYER ? null : signer.invitedAt)
+  if (last && now.getTime() - new Date(last).getTime() < 60 * 60 * 1000) {
+    return { error: 'reminder_too_soon', message: 'A link was sent in the last hour' }
+  }
+
+  const buyerInfo = build?.buyerInfo || contract.snapshots?.buyerInfo || {}
+  const sent = await sendSignerEmail({
+    signer,
+    kind: signer.invitedAt ? 'reminder' : 'invite',
+    link: signerLink(signer, contract.buildId),
+    buyerName: `${buyerInfo.firstName || ''} ${buyerInfo.lastName || ''}`.trim(),
+    modelName: build?.modelName || '',
+    packName: pack.templateName || 'purchase agreement',
+  })
+  if (sent.error) return sent
+
+  const updated = { ...signer, invitedAt: signer.invitedAt || now, lastReminderAt: now, reminders: (signer.reminders || 0) + 1 }
+  const db = await getDb()
+  await db.collection('contracts').updateOne(
+    { _id: contract._id },
+    {
+      $set: {
+        [`packs.${packId}.signers.${index}.invitedAt`]: updated.invitedAt,
+        [`packs.${packId}.signers.${index}.lastReminderAt`]: now,
+        [`packs.${packId}.signers.${index}.reminders`]: updated.reminders,
+      },
+    }
+  )
+  return { signer: updated }
+}
+
+/**
+ * Invite and remind every signer who is waiting on an open pack. Run on a schedule.
+ * @returns {Promise<{ checked: number, invites: number, reminders: number, failed: number }>}
+ */
+export async function runSignerReminders({ now = new Date(), limit = 200 } = {}) {
+  const summary = { checked: 0, invites: 0, reminders: 0, failed: 0 }
+  const db = await getDb()
+  const contracts = await db.collection('contracts')
+    .find({ $or: CONTRACT_PACKS.map(p => ({ [`packs.${p}.status`]: { $in: OPEN_PACK_STATUSES }, [`packs.${p}.signers.0`]: { $exists: true } })) })
+    .limit(Math.min(Number(limit) || 200, 1000))
+    .toArray()
+
+  for (const contract of contracts) {
+    summary.checked++
+    for (const packId of CONTRACT_PACKS) {
+      const result = await notifyPackSigners(contract, packId, { now, reminders: SIGNER_REMINDERS })
+      summary.invites += result.invites
+      summary.reminders += result.reminders
+      summary.failed += result.failed
+    }
+  }
+  return summary
+}
+
+/** Signers as shown to the buyer: no signing links, which only their owner should have. */
+export function publicSigners(signers = []) {
+  return signers.map(({ role, name, email, status, invitedAt, openedAt, completedAt, declinedAt, lastReminderAt }) => ({
+    role, name, email, status, invitedAt, openedAt, completedAt, declinedAt, lastReminderAt,
+  }))
+}
+
+/**
+ * Why a build's contract does not count as signed yet, or null once every
+ * pack that was started is completed by all of its signers.
+ * @returns {{ error: string, message: string, packId?: string } | null}
+ */
+export function contractSigningBlocker(contract) {
+  if (!contract) return { error: 'contract_not_signed', message: 'There is no contract for this build yet' }
+  // Older contracts track a list of submissions instead of packs
+  if (!contract.packs) {
+    return contract.status === 'completed' ? null : { error: 'contract_not_signed', message: 'The contract has not been signed yet' }
+  }
+  const started = CONTRACT_PACKS
+    .map(packId => [packId, contract.packs?.[packId]])
+    .filter(([, pack]) => pack?.status && pack.status !== 'not_started')
+  if (!started.length) return { error: 'contract_not_signed', message: 'The contract has not been signed yet' }
+  for (const [packId, pack] of started) {
+    if (pack.status === AWAITING_COUNTERSIGNATURE) {
+      return { error: AWAITING_COUNTERSIGNATURE, message: 'The contract is waiting for Firefly to countersign', packId }
+    }
+    if (pack.status !== 'completed') {
+      return { error: 'contract_not_signed', message: `The ${pack.templateName || packId} is not signed yet`, packId }
+    }
+    // A co-buyer who has not signed keeps the pack open, whatever its status says
+    const waiting = (pack.signers || []).find(s => s.status !== SIGNER_STATUS.COMPLETED)
+    if (waiting) {
+      return { error: 'contract_not_signed', message: `${waiting.name || waiting.email || waiting.role} has not signed the ${pack.templateName || packId} yet`, packId }
+    }
+    // Countersigned packs are executed by the dealer's signature
+    if (hasCountersigner(pack) && !pack.executedAt) {
+      return { error: AWAITING_COUNTERSIGNATURE, message: 'The contract is waiting for Firefly to countersign', packId }
+    }
+  }
+  return null
+}
+
+// Buyers (the /confirm route) and server flows only move a build to SIGNED
+// once its contract is signed; admins can still record a contract signed
+// outside the app.
+guardBuildTransition(BUILD_STATUS.SIGNED, async ({ build, actor }) => {
+  if (actor.role === 'admin') return null
+  const db = await getDb()
+  const contract = await db.collection('contracts').findOne({ buildId: String(build._id) }, { sort: { version: -1 } })
+  return contractSigningBlocker(contract)
+})
+
+/**
+ * Packs waiting for Firefly's countersignature, longest waiting first.
+ * @returns {Promise<Array<{ contractId, buildId, packId, templateName, modelName, buyers, dealer, waitingSince }>>}
+ */
+export async function listAwaitingCountersignature({ limit = 100 } = {}) {
+  const db = await getDb()
+  const contracts = await db.collection('contracts')
+    .find({ $or: CONTRACT_PACKS.map(p => ({ [`packs.${p}.status`]: AWAITING_COUNTERSIGNATURE })) })
+    .limit(Math.min(Number(limit) || 100, 500))
+    .toArray()
+
+  const rows = []
+  for (const contract of contracts) {
+    for (const packId of CONTRACT_PACKS) {
+      const pack = contract.packs?.[packId]
+      if (pack?.status !== AWAITING_COUNTERSIGNATURE) continue
+      const buyers = (pack.signers || []).filter(s => !isDealer(s))
+      const signedAt = buyers.map(s => new Date(s.completedAt || 0).getTime())
+      rows.push({
+        contractId: String(contract._id),
+        buildId: contract.buildId,
+        packId,
+        templateName: pack.templateName || null,
+        modelName: contract.snapshots?.buildData?.modelName || null,
+        buyers: publicSigners(buyers),
+        dealer: publicSigners((pack.signers || []).filter(isDealer))[0] || null,
+        waitingSince: signedAt.length ? new Date(Math.max(...signedAt)) : (pack.updatedAt || null),
+      })
+    }
+  }
+  return rows.sort((a, b) => new Date(a.waitingSince || 0) - new Date(b.waitingSince || 0))
+}
+
+/**
+ * The dealer's signing link for a pack awaiting countersignature. Opening it
+ * counts as the dealer's invite and is added to the contract audit.
+ * @returns {Promise<{ url: string, signer: Object } | { error: string, message: string }>}
+ */
+export async function countersignLink(contract, packId, { now = new Date(), userId = null } = {}) {
+  const pack = contract?.packs?.[packId]
+  const index = (pack?.signers || []).findIndex(isDealer)
+  if (index === -1) return { error: 'no_countersignature', message: 'This pack is not countersigned by Firefly' }
+  if (pack.status !== AWAITING_COUNTERSIGNATURE) {
+    return { error: 'not_awaiting_countersignature', message: `This pack is ${pack.status}, not awaiting countersignature` }
+  }
+
+  const signer = pack.signers[index]
+  let url = signer.signerUrl
+  if (!url) {
+    const { esignProviderFor } = await import('./esign/index.js')
+    url = (await esignProviderFor(pack).embedSession(pack.submissionId, { role: SIGNER_ROLES.DEALER }))?.embedUrl || null
+  }
+  if (!url) return { error: 'no_link', message: 'The e-signature provider has no link for the countersigner' }
+
+  const updated = { ...signer, signerUrl: url, invitedAt: signer.invitedAt || now }
+  const db = await getDb()
+  await db.collection('contracts').updateOne(
+    { _id: contract._id },
+    {
+      $set: { [`packs.${packId}.signers.${index}`]: updated },
+      $push: { audit: { timestamp: now, userId, action: 'countersign_opened', packId, metadata: { submissionId: pack.submissionId } } },
+    }
+  )
+  return { url, signer: updated }
+}
+
+/**
+ * Email the fully executed contract to every party who signed it.
+ * @returns {Promise<{ to: string[] } | { error: string, message: string }>}
+ */
+export async function sendExecutedContract({ signers = [], buffer, filename = 'executed-contract.pdf', packName = 'purchase agreement', modelName = '', executedAt = new Date() }) {
+  const to = [...new Set(signers.map(s => String(s.email || '').trim()).filter(e => EMAIL_RE.test(e)))]
+  if (!to.length) return { error: 'invalid_email', message: 'No signer has a valid email address' }
+  if (!buffer) return { error: 'no_document', message: 'The executed contract PDF is missing' }
+  if (!process.env.SMTP_HOST && !process.env.SMTP_USER) return { error: 'email_unavailable', message: 'Email is not configured' }
+
+  const home = modelName ? `your Firefly ${modelName}` : 'your Firefly home'
+  const date = new Date(executedAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+  const nodemailer = (await import('nodemailer')).default
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: false,
+    auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+  })
+  await transport.sendMail({
+    from: process.env.SMTP_FROM || 'office@fireflytinyhomes.com',
+    to: to.join(', '),
+    subject: `Executed: ${packName} for ${home}`,
+    text: `The ${packName} for ${home} has been signed by everyone and countersigned by Firefly Tiny Homes. It was executed on ${date}.\n\nThe fully executed copy is attached for your records.\n`,
+    attachments: [{ filename, content: buffer, contentType: 'application/pdf' }],
+  })
+  return { to }
+}
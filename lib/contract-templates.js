@@ -0,0 +1,204 @@
+import crypto from 'node:crypto'
+import { getDb } from './db.js'
+import { TEMPLATES } from './docuseal/templates.js'
+import { checkTemplateFields, normalizeTemplateHtml, parseTemplateFields, renderPrefillPreview } from './docuseal/fieldValidator.js'
+import { createDocusealTemplateFromHtml } from './esign/docuseal.js'
+
+// Contract template registry. Each pack template (lib/docuseal/templates.js)
+// can have versions stored in the database, edited from the admin panel
+// instead of shipped in code. A version's HTML never changes once saved:
+// editing the wording saves a new version. A version is used from its
+// `effectiveAt` date until a later version takes effect, and each contract
+// pack records the version it was generated from, so a signed contract can
+// always be traced back to its exact wording. Keys with no version in effect
+// use the built-in HTML and the template IDs from env.
+export const CONTRACT_TEMPLATES_COLLECTION = process.env.CONTRACT_TEMPLATES_COLLECTION || 'contract_templates'
+
+const MAX_HTML_LENGTH = 500 * 1024
+
+let indexesReady = null
+export function ensureContractTemplateIndexes() {
+  if (!indexesReady) {
+    indexesReady = getDb().then(db => db.collection(CONTRACT_TEMPLATES_COLLECTION).createIndex({ key: 1, version: 1 }, { unique: true }))
+      .catch(err => { indexesReady = null; throw err })
+  }
+  return indexesReady
+}
+
+async function collection() {
+  await ensureContractTemplateIndexes()
+  const db = await getDb()
+  return db.collection(CONTRACT_TEMPLATES_COLLECTION)
+}
+
+const sha256 = (html) => crypto.createHash('sha256').update(html).digest('hex')
+
+export function contractTemplateKeys() {
+  return Object.keys(TEMPLATES)
+}
+
+/** The template as shipped in code. */
+export function builtinTemplate(key) {
+  const template = TEMPLATES[key]
+  if (!template) return null
+  const html = template.html()
+  return { ...template, key, html: () => html, version: null, versionId: null, sha256: sha256(html), source: 'builtin' }
+}
+
+/**
+ * Check a template version before it is saved.
+ * @returns {{ fields: { name, html, notes }, check: Object } | { error: string, message: string, issues?: Array }}
+ */
+export function validateTemplateVersion(key, input = {}) {
+  const template = TEMPLATES[key]
+  if (!template) return { error: 'not_found', message: `Unknown template key: ${key}` }
+  const html = normalizeTemplateHtml(input.html)
+  if (!html.trim()) return { error: 'invalid_template', message: 'Template HTML is required' }
+  if (html.length > MAX_HTML_LENGTH) return { error: 'invalid_template', message: 'Template HTML is too large' }
+  if (/<script\b/i.test(html)) return { error: 'invalid_template', message: 'Template HTML cannot contain scripts' }
+  const check = checkTemplateFields(html, template.fieldMap)
+  if (!check.fields.length) return { error: 'invalid_template', message: 'The template has no signing fields' }
+  if (check.errors.length) return { error: 'invalid_template', message: `${check.errors.length} field tag(s) do not match the field map`, issues: check.errors }
+  return {
+    fields: { name: String(input.name || template.name).trim().slice(0, 200), html, notes: String(input.notes || '').trim().slice(0, 1000) },
+    check,
+  }
+}
+
+/**
+ * Save a new version of a template. Saving HTML identical to the latest
+ * version returns that version instead.
+ * @returns {Promise<{ version: Object, reused: boolean } | { error: string, message: string }>}
+ */
+export async function createTemplateVersion(key, input, { userId = null, now = new Date() } = {}) {
+  const checked = validateTemplateVersion(key, input)
+  if (checked.error) return checked
+  const { name, html, notes } = checked.fields
+
+  const col = await collection()
+  const latest = await col.findOne({ key }, { sort: { version: -1 } })
+  const hash = sha256(html)
+  if (latest?.sha256 === hash) return { version: latest, reused: true }
+
+  const number = (latest?.version || 0) + 1
+  const version = {
+    _id: `${key}@v${number}`,
+    key,
+    version: number,
+    name,
+    html,
+    sha256: hash,
+    notes,
+    fieldCheck: { fields: checked.check.fields.length, warnings: checked.check.warnings },
+    effectiveAt: null,
+    activatedAt: null,
+    activatedBy: null,
+    docusealTemplateId: null,
+    createdAt: now,
+    createdBy: userId,
+  }
+  try {
+    await col.insertOne(version)
+  } catch (err) {
+    if (err?.code === 11000) return { error: 'version_conflict', message: 'Someone else saved a version at the same time; reload and try again' }
+    throw err
+  }
+  return { version, reused: false }
+}
+
+/**
+ * Put a version into effect now or from a later date. A version that is
+ * already in effect cannot be moved, so the record of which wording applied
+ * when stays true.
+ * @returns {Promise<{ version: Object } | { error: string, message: string }>}
+ */
+export async function activateTemplateVersion(key, number, { effectiveAt = null, userId = null, now = new Date() } = {}) {
+  const col = await collection()
+  const version = await col.findOne({ key, version: Number(number) })
+  if (!version) return { error: 'not_found', message: `${key} has no version ${number}` }
+  if (version.effectiveAt && new Date(version.effectiveAt) <= now) {
+    return { error: 'already_effective', message: `Version ${version.version} has been in effect since ${new Date(version.effectiveAt).toISOString()}` }
+  }
+  const at = effectiveAt ? new Date(effectiveAt) : now
+  if (Number.isNaN(at.getTime())) return { error: 'invalid_effective_date', message: 'effectiveAt is not a valid date' }
+  if (at < now) return { error: 'invalid_effective_date', message: 'A version cannot take effect in the past' }
+
+  const $set = { effectiveAt: at, activatedAt: now, activatedBy: userId }
+  await col.updateOne({ _id: version._id }, { $set })
+  return { version: { ...version, ...$set } }
+}
+
+/** Versions of a template, newest first, without their HTML. */
+export async function listTemplateVersions(key) {
+  const col = await collection()
+  return col.find({ key }, { projection: { html: 0 } }).sort({ version: -1 }).toArray()
+}
+
+export async function getTemplateVersion(key, number) {
+  const col = await collection()
+  return col.findOne({ key, version: Number(number) })
+}
+
+/** The version in effect at a moment, or null when the built-in template applies. */
+export async function effectiveTemplateVersion(key, { at = new Date() } = {}) {
+  const col = await collection()
+  return col.findOne({ key, effectiveAt: { $lte: at } }, { sort: { effectiveAt: -1, version: -1 } })
+}
+
+/**
+ * The template a new contract pack uses: the version in effect, in the same
+ * shape as lib/docuseal/templates.js entries plus `version`, `versionId`,
+ * `sha256` and `source`. With DocuSeal, a version is uploaded as a hosted
+ * template the first time it is used.
+ */
+export async function resolveContractTemplate(key, { at = new Date(), provider = null } = {}) {
+  const builtin = builtinTemplate(key)
+  if (!builtin) throw new Error(`Unknown template key: ${key}`)
+  const version = await effectiveTemplateVersion(key, { at })
+  if (!version) return builtin
+
+  let hostedId = version.docusealTemplateId
+  if (!hostedId && provider?.name === 'docuseal') {
+    hostedId = await createDocusealTemplateFromHtml({
+      name: `${version.name} v${version.version}`,
+      html: version.html,
+      roles: [...new Set(parseTemplateFields(version.html).fields.map(f => f.role).filter(Boolean))],
+      externalId: `firefly_${key}_v${version.version}`,
+      folder: 'Firefly Templates',
+    })
+    const col = await collection()
+    await col.updateOne({ _id: version._id }, { $set: { docusealTemplateId: hostedId } })
+  }
+  return {
+    ...builtin,
+    id: hostedId || null,
+    name: version.name,
+    html: () => version.html,
+    version: version.version,
+    versionId: version._id,
+    sha256: version.sha256,
+    source: 'registry',
+  }
+}
+
+/** What a contract pack records about the template it was generated from. */
+export function templateVersionRecord(template) {
+  return {
+    templateVersion: template.version ?? null,
+    templateVersionId: template.versionId ?? null,
+    templateSource: template.source || 'builtin',
+    templateSha256: template.sha256 || null,
+  }
+}
+
+/**
+ * Template HTML as a reviewer sees it: prefilled fields show their name in
+ * brackets and everything signers fill in is left blank.
+ */
+export function renderTemplatePreview(html) {
+  const values = {}
+  for (const field of parseTemplateFields(html).fields) {
+    if (field.type === 'text' || field.type === 'number' || field.type === 'date') values[field.name] = `[${field.name}]`
+  }
+  return renderPrefillPreview(html, values)
+}
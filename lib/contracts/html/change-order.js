@@ -0,0 +1,121 @@
+/**
+ * Change Order HTML Builder
+ * One-off document per change order: the option changes and pricing impact
+ * are rendered inline, only the signature fields are DocuSeal field tags.
+ */
+
+import { convertFieldTagsToHtmlElements } from './field-converter.js'
+
+const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const money = (n) => {
+  const v = Number(n || 0)
+  const abs = Math.abs(v).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return `${v < 0 ? '-' : ''}$${abs}`
+}
+
+const signed = (n) => (Number(n || 0) > 0 ? `+${money(n)}` : money(n))
+
+function optionRows(options, sign) {
+  if (!options.length) return `<tr><td colspan="3" class="muted">None</td></tr>`
+  return options.map(o => {
+    const qty = Number(o.quantity || 1)
+    const line = Number(o.price || 0) * qty
+    return `<tr><td>${escapeHtml(o.name || o.id)}</td><td class="num">${qty}</td><td class="num">${sign === '-' ? money(-line) : money(line)}</td></tr>`
+  }).join('\n    ')
+}
+
+/**
+ * @param {Object} params
+ * @param {Object} params.build - Build the change order belongs to
+ * @param {Object} params.changeOrder - Change order (see lib/change-orders.js)
+ * @returns {string} DocuSeal-compatible HTML
+ */
+export function buildChangeOrderHtmlForDocuSeal({ build, changeOrder }) {
+  const buyer = build?.buyerInfo || {}
+  const buyerName = `${buyer.firstName || ''} ${buyer.lastName || ''}`.trim()
+  const { before = {}, after = {}, delta = {}, paymentImpact = {} } = changeOrder
+
+  const htmlWithFieldTags = `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8"/>
+<title>Change Order ${escapeHtml(changeOrder.number)}</title>
+<style>
+  @page { size: Letter; margin: 1in; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color:#111; line-height:1.35; }
+  h1 { font-size: 18px; margin: 0 0 8px; font-weight: bold; }
+  h2 { font-size: 14px; margin: 16px 0 6px; font-weight: bold; }
+  .muted { color:#555; }
+  .box { border:1px solid #aaa; border-radius:4px; padding:10px 12px; margin:8px 0; background-color: #f9f9f9; }
+  .kv { margin:4px 0; }
+  .kv span:first-child { display:inline-block; width:170px; color:#333; font-weight: 500; }
+  table { width:100%; border-collapse:collapse; }
+  th, td { text-align:left; padding:3px 4px; border-bottom:1px solid #ddd; }
+  .num { text-align:right; }
+  .sigline { border-bottom: 1px solid #333; padding-bottom: 4px; margin: 16px 0; min-height: 24px; }
+</style>
+</head>
+<body>
+
+<h1>CHANGE ORDER ${escapeHtml(changeOrder.number)}</h1>
+<div class="muted">This Change Order amends the Master Retail Purchase Agreement for the build identified below. All other terms remain in effect.</div>
+
+<h2>BUILD</h2>
+<div class="box">
+  <div class="kv"><span>Build ID:</span> ${escapeHtml(build?._id)}</div>
+  <div class="kv"><span>Model:</span> ${escapeHtml(build?.modelName || build?.modelSlug)}</div>
+  <div class="kv"><span>Buyer:</span> ${escapeHtml(buyerName)} (${escapeHtml(buyer.email)})</div>
+  ${changeOrder.note ? `<div class="kv"><span>Reason:</span> ${escapeHtml(changeOrder.note)}</div>` : ''}
+</div>
+
+<h2>OPTIONS ADDED</h2>
+<table>
+  <thead><tr><th>Option</th><th class="num">Qty</th><th class="num">Amount</th></tr></thead>
+  <tbody>
+    ${optionRows(changeOrder.added || [], '+')}
+  </tbody>
+</table>
+
+<h2>OPTIONS REMOVED</h2>
+<table>
+  <thead><tr><th>Option</th><th class="num">Qty</th><th class="num">Amount</th></tr></thead>
+  <tbody>
+    ${optionRows(changeOrder.removed || [], '-')}
+  </tbody>
+</table>
+
+<h2>PRICE IMPACT</h2>
+<table>
+  <thead><tr><th></th><th class="num">Before</th><th class="num">After</th><th class="num">Change</th></tr></thead>
+  <tbody>
+    <tr><td>Options</td><td class="num">${money(before.options)}</td><td class="num">${money(after.options)}</td><td class="num">${signed(delta.options)}</td></tr>
+    <tr><td>Sales Tax</td><td class="num">${money(before.tax)}</td><td class="num">${money(after.tax)}</td><td class="num">${signed(delta.tax)}</td></tr>
+    <tr><td><strong>Total Purchase Price</strong></td><td class="num">${money(before.total)}</td><td class="num">${money(after.total)}</td><td class="num"><strong>${signed(delta.total)}</strong></td></tr>
+    <tr><td>Deposit</td><td class="num">${money(before.deposit)}</td><td class="num">${money(after.deposit)}</td><td class="num">${signed(delta.deposit)}</td></tr>
+    <tr><td>Balance</td><td class="num">${money(before.balance)}</td><td class="num">${money(after.balance)}</td><td class="num">${signed(delta.balance)}</td></tr>
+  </tbody>
+</table>
+<div class="box">
+  <div class="kv"><span>Due on signing:</span> ${money(Math.max(0, paymentImpact.dueNow || 0))}</div>
+  ${Number(paymentImpact.dueNow || 0) < 0 ? `<div class="kv"><span>Credit to Buyer:</span> ${money(-paymentImpact.dueNow)}</div>` : ''}
+</div>
+
+<h2>SIGNATURES</h2>
+
+<div style="margin: 20px 0;">
+<strong>BUYER</strong><br>
+<div class="sigline">Signature: {{buyer_signature;type=signature;role=buyer;required=true}} &nbsp;&nbsp; Date: {{buyer_sign_date;type=date;role=buyer;required=true}}</div>
+Print Name: ${escapeHtml(buyerName)}
+</div>
+
+</body>
+</html>
+`
+
+  return convertFieldTagsToHtmlElements(htmlWithFieldTags)
+}
@@ -21,9 +21,17 @@ export function buildDeliveryHtml(input) {
     model_code = "{{model_code}}",
     model_year = "{{model_year}}",
     dimensions = "{{dimensions}}",
-    est_completion_date = "{{est_completion_date}}"
+    est_completion_date = "{{est_completion_date}}",
+    delivery_zone = "{{delivery_zone}}",
+    delivery_miles = "{{delivery_miles}}",
+    delivery_line_items = [],
+    delivery_fee_total = "{{delivery_fee_total}}"
   } = input
 
+  const deliveryCharges = Array.isArray(delivery_line_items) && delivery_line_items.length
+    ? delivery_line_items.map(li => `<div class="kv"><span>${li.label}:</span> $${Number(li.amount || 0).toFixed(2)}</div>`).join('\n  ')
+    : '<div class="kv"><span>Itemization:</span> {{delivery_itemization}}</div>'
+
   return `<!doctype html>
 <html>
 <head>
@@ -70,6 +78,14 @@ export function buildDeliveryHtml(input) {
   <div class="kv"><span>Estimated Factory Completion:</span> ${est_completion_date}</div>
 </div>
 
+<h2>DELIVERY CHARGES</h2>
+<div class="box">
+  <div class="kv"><span>Delivery Zone:</span> ${delivery_zone}</div>
+  <div class="kv"><span>Distance from Factory:</span> ${delivery_miles}</div>
+  ${deliveryCharges}
+  <div class="kv"><span>Total Delivery Charge:</span> ${delivery_fee_total}</div>
+</div>
+
 <h2>1) BUYER SITE READINESS (REQUIRED)</h2>
 <div class="box">
   Buyer is solely responsible for preparing the site to accept the Unit. At minimum, Buyer confirms and initials each requirement:
@@ -205,6 +221,14 @@ export function buildDeliveryHtmlForDocuSeal() {
   <div class="kv"><span>Estimated Factory Completion:</span> {{est_completion_date;type=text;role=buyer;required=true}}</div>
 </div>
 
+<h2>DELIVERY CHARGES</h2>
+<div class="box">
+  <div class="kv"><span>Delivery Zone:</span> {{delivery_zone;type=text;role=buyer;required=false}}</div>
+  <div class="kv"><span>Distance from Factory:</span> {{delivery_miles;type=text;role=buyer;required=false}}</div>
+  <div class="kv"><span>Itemization:</span> {{delivery_itemization;type=text;role=buyer;required=false}}</div>
+  <div class="kv"><span>Total Delivery Charge:</span> {{delivery_fee_total;type=text;role=buyer;required=false}}</div>
+</div>
+
 <h2>1) BUYER SITE READINESS (REQUIRED)</h2>
 <div class="box">
   Buyer is solely responsible for preparing the site to accept the Unit. At minimum, Buyer confirms and initials each requirement:
@@ -3,6 +3,8 @@
  * Generates HTML for the Order Summary PDF (Pack 1)
  */
 
+import { formatOptionQuantity } from '../../../src/utils/optionUnits.js'
+
 export function buildOrderSummaryHtml(order) {
   // Debug logging for model information
   console.log('[ORDER_SUMMARY] Model debug:', {
@@ -277,7 +279,7 @@ ${order.options && order.options.length > 0 ? `
         <tr>
           <td>${option.code || ''}</td>
           <td>${option.label || ''}</td>
-          <td>${option.qty || 1}</td>
+          <td>${formatOptionQuantity({ unit: option.unit, quantity: option.qty })}</td>
           <td class="price">${option.price ? formatCurrency(option.price) : 'Included'}</td>
         </tr>
       `).join('')}
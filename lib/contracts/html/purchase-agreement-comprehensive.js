@@ -286,6 +286,18 @@ export function buildComprehensivePurchaseAgreementHtml() {
         <td>Other (Title, Fees, etc.)</td>
         <td>$${field('price_other')}</td>
       </tr>
+      <tr>
+        <td>Promo Code Discount ${field('promo_code', 'text', 'buyer', false)}</td>
+        <td>${field('price_promo_discount', 'text', 'buyer', false)}</td>
+      </tr>
+      <tr>
+        <td>Dealer Adjustments ${field('adjustment_itemization', 'text', 'buyer', false)}</td>
+        <td>${field('price_adjustments', 'text', 'buyer', false)}</td>
+      </tr>
+      <tr>
+        <td>Trade-in Allowance ${field('trade_in_description', 'text', 'buyer', false)}</td>
+        <td>${field('price_trade_in_allowance', 'text', 'buyer', false)}</td>
+      </tr>
       <tr class="total-row">
         <td>Estimated Subtotal</td>
         <td>$${field('price_subtotal')}</td>
@@ -294,6 +306,10 @@ export function buildComprehensivePurchaseAgreementHtml() {
         <td>Sales Tax (if applicable)</td>
         <td>$${field('price_sales_tax')}</td>
       </tr>
+      <tr>
+        <td>Trade-in Payoff (not taxed)</td>
+        <td>${field('price_trade_in_payoff', 'text', 'buyer', false)}</td>
+      </tr>
       <tr class="total-row">
         <td>Total Purchase Price</td>
         <td>$${field('price_total')}</td>
@@ -1,89 +1,12 @@
-// Compute driving distance using Google Distance Matrix or Mapbox Directions
-// Returns { miles, originAddress, destinationAddress }
-export async function computeDistanceMiles({ origin, destination, googleApiKey, mapboxToken }) {
-  console.log('computeDistanceMiles called with:', { origin, destination, hasGoogleKey: !!googleApiKey, hasMapboxToken: !!mapboxToken })
-  
-  const src = (googleApiKey ? 'google' : (mapboxToken ? 'mapbox' : null))
-  if (!src) {
-    console.warn('No API key available for distance calculation')
-    return { miles: 0, originAddress: origin, destinationAddress: destination }
-  }
-
-  try {
-    if (src === 'google') {
-      console.log('Using Google Distance Matrix API')
-      const params = new URLSearchParams({
-        origins: origin,
-        destinations: destination,
-        key: googleApiKey,
-        departure_time: 'now',
-        units: 'imperial',
-      })
-      const url = `https://maps.googleapis.com/maps/api/distancematrix/json?${params.toString()}`
-      console.log('Google API URL:', url.replace(googleApiKey, '[API_KEY]'))
-      
-      const res = await fetch(url)
-      const json = await res.json()
-      console.log('Google API response status:', res.status, 'status:', json?.status)
-      
-      if (json?.status !== 'OK') {
-        console.error('Google API error:', json?.error_message || json?.status)
-        return { miles: 0, originAddress: origin, destinationAddress: destination }
-      }
-      
-      const elem = json?.rows?.[0]?.elements?.[0]
-      if (elem?.status !== 'OK') {
-        console.error('Google API element error:', elem?.status)
-        return { miles: 0, originAddress: origin, destinationAddress: destination }
-      }
-      
-      const meters = elem?.distance?.value || 0
-      const miles = meters / 1609.344
-      console.log('Google calculation result:', { meters, miles })
-      
-      return { miles, originAddress: json?.origin_addresses?.[0] || origin, destinationAddress: json?.destination_addresses?.[0] || destination }
-    }
-    if (src === 'mapbox') {
-      console.log('Using Mapbox Directions API')
-      const coords = await geocodeMapboxPair({ origin, destination, token: mapboxToken })
-      if (!coords) {
-        console.error('Failed to geocode addresses with Mapbox')
-        return { miles: 0, originAddress: origin, destinationAddress: destination }
-      }
-      const { o, d } = coords
-      const url = `https://api.mapbox.com/directions/v5/mapbox/driving/${o.lng},${o.lat};${d.lng},${d.lat}?access_token=${mapboxToken}&overview=false`
-      const res = await fetch(url)
-      const json = await res.json()
-      const meters = json?.routes?.[0]?.distance || 0
-      const miles = meters / 1609.344
-      console.log('Mapbox calculation result:', { meters, miles })
-      return { miles, originAddress: origin, destinationAddress: destination }
-    }
-  } catch (err) {
-    console.error('Distance API error:', err?.message || err)
-  }
-  return { miles: 0, originAddress: origin, destinationAddress: destination }
-}
-
-async function geocodeMapboxPair({ origin, destination, token }) {
-  try {
-    const [o, d] = await Promise.all([
-      geocodeMapbox(origin, token),
-      geocodeMapbox(destination, token),
-    ])
-    if (!o || !d) return null
-    return { o, d }
-  } catch { return null }
-}
-
-async function geocodeMapbox(query, token) {
-  const url = `https://api.mapbox.com/search/geocode/v6/forward?q=${encodeURIComponent(query)}&access_token=${token}`
-  const res = await fetch(url)
-  const json = await res.json()
-  const f = json?.features?.[0]
-  if (!f) return null
-  const [lng, lat] = f?.geometry?.coordinates || []
-  return { lat, lng }
+import { buildDeliveryQuote, loadDeliveryRates, parseStateFromAddress } from './delivery-zones.js'
+import { getModelDimensions } from '../src/utils/optionUnits.js'
+import { resolveDistance } from './distance-providers.js'
+// Driving distance from the configured providers (Google, Mapbox, then the
+// offline ZIP-centroid estimate). See lib/distance-providers.js.
+// Returns { miles, originAddress, destinationAddress, provider, estimated }
+export async function computeDistanceMiles({ origin, destination }) {
+  console.log('computeDistanceMiles called with:', { origin, destination })
+  return resolveDistance({ origin, destination })
 }
 
 export function roundToCents(n) { 
@@ -91,71 +14,88 @@ export function roundToCents(n) {
   return Math.round(Number(n || 0) * 100) / 100 
 }
 
-export async function getDeliveryQuote(destAddress, settings) {
+/**
+ * Itemized delivery quote for an address, priced from the zone table in
+ * data/delivery-rates.json (see lib/delivery-zones.js).
+ * @param {string} destAddress - Full destination address
+ * @param {Object} settings - Org settings (factory origin, delivery minimum)
+ * @param {Object} opts
+ * @param {string} opts.state - Destination state code (parsed from the address when omitted)
+ * @param {string} opts.county - Destination county, for county-level zones
+ * @param {Object} opts.model - Model definition, for oversize surcharges
+ */
+export async function getDeliveryQuote(destAddress, settings, { state, county, model } = {}) {
   console.log('getDeliveryQuote called with:', { destAddress, settings: !!settings })
   
+  const minimum = Number(settings?.pricing?.delivery_minimum || 2000)
+  const rates = loadDeliveryRates()
+  const dims = getModelDimensions(model)
+  const destState = state || parseStateFromAddress(destAddress)
+  const quoteFor = (miles) => buildDeliveryQuote({ rates, miles, state: destState, county, dims, minimum })
+
   if (!destAddress || !destAddress.trim()) {
     console.warn('No destination address provided')
-    return { miles: 0, fee: 2000, ratePerMile: 12.5, minimum: 2000, originAddress: '', destinationAddress: destAddress }
+    const quote = quoteFor(0)
+    return { miles: 0, fee: quote.fee, ratePerMile: quote.zone.perMile, minimum, originAddress: '', destinationAddress: destAddress, zone: quote.zone, lineItems: quote.lineItems, surcharges: quote.surcharges, estimated: true, distanceProvider: null }
   }
   
   const origin = settings?.factory?.address || '606 S 2nd Ave, Mansfield, TX 76063'
-  const rate = Number(settings?.pricing?.delivery_rate_per_mile || 12.5)
-  const minimum = Number(settings?.pricing?.delivery_minimum || 2000) // Updated to $2000 minimum
-  const googleKey = process.env.GOOGLE_MAPS_KEY || ''
-  const mapboxToken = process.env.MAPBOX_TOKEN || ''
 
   console.log('Delivery calculation params:', { 
     origin, 
     destAddress, 
-    rate, 
+    destState,
+    county,
     minimum, 
-    hasGoogleKey: !!googleKey, 
-    hasMapboxToken: !!mapboxToken,
-    googleKeyLength: googleKey.length 
+    hasGoogleKey: !!process.env.GOOGLE_MAPS_KEY, 
+    hasMapboxToken: !!process.env.MAPBOX_TOKEN
   })
 
   try {
-    const { miles: rawMiles, originAddress, destinationAddress } = await computeDistanceMiles({ 
+    const { miles: rawMiles, originAddress, destinationAddress, provider, estimated } = await computeDistanceMiles({ 
       origin, 
-      destination: destAddress, 
-      googleApiKey: googleKey, 
-      mapboxToken 
+      destination: destAddress
     })
     
     // Round miles to whole number
     const miles = Math.round(rawMiles)
     
-    console.log('Distance calculation result:', { rawMiles, miles, originAddress, destinationAddress })
+    console.log('Distance calculation result:', { rawMiles, miles, originAddress, destinationAddress, provider, estimated })
     
-    // Calculate delivery fee: $2000 minimum + ($12.50 × miles)
-    const baseFee = roundToCents(rate * miles)
-    const fee = roundToCents(Math.max(minimum, baseFee))
-    
-    const result = { miles, fee, ratePerMile: rate, minimum, originAddress, destinationAddress }
-    console.log('Delivery quote result:', result)
-    console.log('Calculation breakdown:', {
+    const quote = quoteFor(miles)
+    const result = {
       miles,
-      rate,
-      baseFee: rate * miles,
+      fee: quote.fee,
+      ratePerMile: quote.zone.perMile,
       minimum,
-      finalFee: fee,
-      calculation: `${miles} miles × $${rate}/mile = $${baseFee}, max($${minimum}, $${baseFee}) = $${fee}`
-    })
+      originAddress,
+      destinationAddress,
+      zone: quote.zone,
+      lineItems: quote.lineItems,
+      surcharges: quote.surcharges,
+      // true when no live routing API priced this quote (offline estimate or fallback)
+      estimated,
+      distanceProvider: provider,
+    }
+    console.log('Delivery quote result:', result)
     
     return result
   } catch (error) {
     console.error('Error in getDeliveryQuote:', error)
     // Return minimum fee as fallback
+    const quote = quoteFor(0)
     return { 
       miles: 0, 
-      fee: minimum, 
-      ratePerMile: rate, 
+      fee: quote.fee, 
+      ratePerMile: quote.zone.perMile, 
       minimum, 
       originAddress: origin, 
-      destinationAddress: destAddress 
+      destinationAddress: destAddress,
+      zone: quote.zone,
+      lineItems: quote.lineItems,
+      surcharges: quote.surcharges,
+      estimated: true,
+      distanceProvider: null,
     }
   }
 }
-
-
@@ -0,0 +1,126 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { roundToCents } from '../src/utils/pricing.js'
+
+// Table-driven delivery pricing. data/delivery-rates.json defines a default
+// rate, per-state rates with optional county overrides and radius bands
+// (distance from the factory), and oversize surcharges keyed off the home's
+// transport dimensions.
+
+let cachedRates = null
+
+export function loadDeliveryRates() {
+  if (cachedRates) return cachedRates
+  const file = path.join(process.cwd(), 'data', 'delivery-rates.json')
+  cachedRates = JSON.parse(fs.readFileSync(file, 'utf8'))
+  return cachedRates
+}
+
+export function normalizeCounty(county) {
+  return String(county || '').replace(/\s+county$/i, '').trim().toLowerCase()
+}
+
+function bandMatches(band, miles) {
+  if (band?.minMiles != null && miles < Number(band.minMiles)) return false
+  if (band?.maxMiles != null && miles > Number(band.maxMiles)) return false
+  return true
+}
+
+/**
+ * Pick the most specific zone for a destination: county, then a state radius
+ * band, then a global radius band, then the state, then the table default.
+ * @param {Object} rates - Parsed delivery-rates.json
+ * @param {Object} dest
+ * @param {string} dest.state - Two-letter state code
+ * @param {string} dest.county - County name (optional, "County" suffix ignored)
+ * @param {number} dest.miles - Distance from the factory
+ * @returns {{ id: string, label: string, base: number, perMile: number }}
+ */
+export function resolveDeliveryZone(rates, { state, county, miles = 0 } = {}) {
+  const code = String(state || '').trim().toUpperCase()
+  const stateRates = rates?.states?.[code]
+  const stateLabel = stateRates?.label || code
+
+  if (stateRates && county) {
+    const wanted = normalizeCounty(county)
+    const match = Object.entries(stateRates.counties || {}).find(([name]) => normalizeCounty(name) === wanted)
+    if (match) {
+      const [name, zone] = match
+      return { id: `${code}-${wanted.replace(/\s+/g, '-')}`, label: `${name} County, ${stateLabel}`, base: Number(zone.base ?? stateRates.base), perMile: Number(zone.perMile ?? stateRates.perMile) }
+    }
+  }
+
+  const stateBand = (stateRates?.radiusBands || []).find(b => bandMatches(b, miles))
+  if (stateBand) {
+    return { id: stateBand.id, label: stateBand.label, base: Number(stateBand.base ?? stateRates.base), perMile: Number(stateBand.perMile ?? stateRates.perMile) }
+  }
+
+  const globalBand = (rates?.radiusBands || []).find(b => bandMatches(b, miles))
+  if (globalBand) {
+    return { id: globalBand.id, label: globalBand.label, base: Number(globalBand.base ?? rates.defaultBase), perMile: Number(globalBand.perMile ?? rates.perMile) }
+  }
+
+  if (stateRates) {
+    return { id: code, label: stateLabel, base: Number(stateRates.base), perMile: Number(stateRates.perMile) }
+  }
+  return { id: 'default', label: 'Standard delivery', base: Number(rates?.defaultBase || 0), perMile: Number(rates?.perMile || 0) }
+}
+
+/**
+ * Pilot car, escort and permit surcharges required for the home's size.
+ * @param {Object} rates - Parsed delivery-rates.json
+ * @param {{ width: number|null, length: number|null }} dims - Transport dimensions in feet
+ * @param {number} miles - Distance from the factory
+ * @returns {Array<{ key, label, amount }>}
+ */
+export function computeDeliverySurcharges(rates, dims = {}, miles = 0) {
+  const width = Number(dims?.width || 0)
+  const length = Number(dims?.length || 0)
+  const out = []
+  for (const [key, rule] of Object.entries(rates?.surcharges || {})) {
+    const wide = rule.widthOverFt != null && width > Number(rule.widthOverFt)
+    const long = rule.lengthOverFt != null && length > Number(rule.lengthOverFt)
+    if (!wide && !long) continue
+    const amount = Math.max(
+      Number(rule.minimum || 0),
+      Number(rule.flat || 0) + Number(rule.perMile || 0) * miles
+    )
+    out.push({ key, label: rule.label || key, amount: roundToCents(amount) })
+  }
+  return out
+}
+
+/**
+ * Itemized delivery quote.
+ * @param {Object} params
+ * @param {Object} params.rates - Parsed delivery-rates.json
+ * @param {number} params.miles - Distance from the factory (whole miles)
+ * @param {string} params.state - Destination state code
+ * @param {string} params.county - Destination county (optional)
+ * @param {Object} params.dims - Transport dimensions ({ width, length } in feet)
+ * @param {number} params.minimum - Floor for the zone charge (org delivery minimum)
+ * @returns {Object} { zone, miles, base, mileage, minimumAdjustment, surcharges, lineItems, fee }
+ */
+export function buildDeliveryQuote({ rates, miles = 0, state, county, dims, minimum = 0 }) {
+  const zone = resolveDeliveryZone(rates, { state, county, miles })
+  const base = roundToCents(zone.base)
+  const mileage = roundToCents(zone.perMile * miles)
+  const minimumAdjustment = roundToCents(Math.max(0, Number(minimum || 0) - (base + mileage)))
+  const surcharges = computeDeliverySurcharges(rates, dims, miles)
+
+  const lineItems = [
+    { key: 'base', label: `Delivery base (${zone.label})`, amount: base },
+    { key: 'mileage', label: `Mileage (${miles} mi × $${zone.perMile.toFixed(2)})`, amount: mileage },
+    ...(minimumAdjustment > 0 ? [{ key: 'minimum', label: 'Minimum delivery charge adjustment', amount: minimumAdjustment }] : []),
+    ...surcharges,
+  ]
+  const fee = roundToCents(lineItems.reduce((sum, li) => sum + li.amount, 0))
+
+  return { zone, miles, base, mileage, minimumAdjustment, surcharges, lineItems, fee }
+}
+
+/** Best-effort state code from a free-form US address ("..., TX 76063"). */
+export function parseStateFromAddress(address) {
+  const match = String(address || '').match(/,\s*([A-Za-z]{2})\s*(?:\d{5}(?:-\d{4})?)?\s*(?:,\s*(?:USA|US|United States))?\s*$/)
+  return match ? match[1].toUpperCase() : null
+}
@@ -0,0 +1,230 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { getDb } from './db.js'
+
+// Pluggable distance providers for delivery quotes. Each provider is
+// { name, estimated, isAvailable(), distance({ origin, destination }) } and
+// resolves to { miles, originAddress, destinationAddress } or null when it
+// cannot route the pair. Providers are tried in order; live results are
+// cached in Mongo keyed by the normalized address pair.
+export const DISTANCE_CACHE_COLLECTION = process.env.DISTANCE_CACHE_COLLECTION || 'DistanceCache'
+const CACHE_TTL_DAYS = 90
+const METERS_PER_MILE = 1609.344
+
+export async function ensureDistanceCacheIndexes() {
+  const db = await getDb()
+  const col = db.collection(DISTANCE_CACHE_COLLECTION)
+  await Promise.all([
+    col.createIndex({ key: 1 }, { unique: true }),
+    col.createIndex({ createdAt: 1 }, { expireAfterSeconds: CACHE_TTL_DAYS * 24 * 60 * 60 }),
+  ])
+}
+
+export function normalizeAddress(address) {
+  return String(address || '')
+    .toLowerCase()
+    .replace(/[.#]/g, '')
+    .replace(/,?\s*(usa|us|united states)$/, '')
+    .replace(/\s*,\s*/g, ', ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+export function distanceCacheKey(origin, destination) {
+  return `${normalizeAddress(origin)}|${normalizeAddress(destination)}`
+}
+
+// ----- Google Distance Matrix -----
+export const googleProvider = {
+  name: 'google',
+  estimated: false,
+  isAvailable: () => !!process.env.GOOGLE_MAPS_KEY,
+  async distance({ origin, destination }) {
+    const key = process.env.GOOGLE_MAPS_KEY
+    const params = new URLSearchParams({
+      origins: origin,
+      destinations: destination,
+      key,
+      departure_time: 'now',
+      units: 'imperial',
+    })
+    const res = await fetch(`https://maps.googleapis.com/maps/api/distancematrix/json?${params.toString()}`)
+    const json = await res.json()
+    if (json?.status !== 'OK') {
+      console.error('Google API error:', json?.error_message || json?.status)
+      return null
+    }
+    const elem = json?.rows?.[0]?.elements?.[0]
+    if (elem?.status !== 'OK') {
+      console.error('Google API element error:', elem?.status)
+      return null
+    }
+    const meters = elem?.distance?.value || 0
+    return {
+      miles: meters / METERS_PER_MILE,
+      originAddress: json?.origin_addresses?.[0] || origin,
+      destinationAddress: json?.destination_addresses?.[0] || destination,
+    }
+  },
+}
+
+// ----- Mapbox Directions -----
+async function geocodeMapbox(query, token) {
+  const url = `https://api.mapbox.com/search/geocode/v6/forward?q=${encodeURIComponent(query)}&access_token=${token}`
+  const res = await fetch(url)
+  const json = await res.json()
+  const f = json?.features?.[0]
+  if (!f) return null
+  const [lng, lat] = f?.geometry?.coordinates || []
+  return { lat, lng }
+}
+
+export const mapboxProvider = {
+  name: 'mapbox',
+  estimated: false,
+  isAvailable: () => !!process.env.MAPBOX_TOKEN,
+  async distance({ origin, destination }) {
+    const token = process.env.MAPBOX_TOKEN
+    const [o, d] = await Promise.all([geocodeMapbox(origin, token), geocodeMapbox(destination, token)])
+    if (!o || !d) {
+      console.error('Failed to geocode addresses with Mapbox')
+      return null
+    }
+    const url = `https://api.mapbox.com/directions/v5/mapbox/driving/${o.lng},${o.lat};${d.lng},${d.lat}?access_token=${token}&overview=false`
+    const res = await fetch(url)
+    const json = await res.json()
+    const meters = json?.routes?.[0]?.distance
+    if (!meters) return null
+    return { miles: meters / METERS_PER_MILE, originAddress: origin, destinationAddress: destination }
+  },
+}
+
+// ----- Offline (ZIP centroids) -----
+let cachedCentroids = null
+
+export function loadZipCentroids() {
+  if (cachedCentroids) return cachedCentroids
+  const file = path.join(process.cwd(), 'data', 'zip-centroids.json')
+  cachedCentroids = JSON.parse(fs.readFileSync(file, 'utf8'))
+  return cachedCentroids
+}
+
+export function parseZip(address) {
+  const matches = String(address || '').match(/\b\d{5}(?:-\d{4})?\b/g)
+  return matches ? matches[matches.length - 1].slice(0, 5) : null
+}
+
+/** Centroid for a ZIP: exact 5-digit entry, else its 3-digit area. */
+export function lookupZipCentroid(zip, table = loadZipCentroids()) {
+  if (!zip) return null
+  const point = table?.zips?.[zip] || table?.prefixes?.[String(zip).slice(0, 3)]
+  return point ? { lat: point[0], lng: point[1] } : null
+}
+
+/** Great-circle distance in miles. */
+export function haversineMiles(a, b) {
+  const R = 3958.8
+  const toRad = (deg) => deg * Math.PI / 180
+  const dLat = toRad(b.lat - a.lat)
+  const dLng = toRad(b.lng - a.lng)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2
+  return 2 * R * Math.asin(Math.sqrt(h))
+}
+
+export function createOfflineProvider(table) {
+  return {
+    name: 'offline',
+    estimated: true,
+    isAvailable: () => true,
+    async distance({ origin, destination }) {
+      const centroids = table || loadZipCentroids()
+      const o = lookupZipCentroid(parseZip(origin), centroids)
+      const d = lookupZipCentroid(parseZip(destination), centroids)
+      if (!o || !d) return null
+      const roadFactor = Number(centroids.roadFactor || 1.2)
+      return { miles: haversineMiles(o, d) * roadFactor, originAddress: origin, destinationAddress: destination }
+    },
+  }
+}
+
+export const offlineProvider = createOfflineProvider()
+
+const providers = new Map([googleProvider, mapboxProvider, offlineProvider].map(p => [p.name, p]))
+
+export function registerDistanceProvider(provider) {
+  if (!provider?.name || typeof provider.distance !== 'function') {
+    throw new Error('Distance providers need a name and a distance() function')
+  }
+  providers.set(provider.name, provider)
+}
+
+/**
+ * Providers in the order they are tried. DISTANCE_PROVIDERS (comma-separated
+ * names) overrides the default of google, mapbox, then offline.
+ */
+export function getDistanceProviders() {
+  const order = String(process.env.DISTANCE_PROVIDERS || 'google,mapbox,offline')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+  return order.map(name => providers.get(name)).filter(Boolean)
+}
+
+async function readCache(key) {
+  try {
+    const db = await getDb()
+    return await db.collection(DISTANCE_CACHE_COLLECTION).findOne({ key })
+  } catch (err) {
+    console.warn('Distance cache read failed:', err?.message || err)
+    return null
+  }
+}
+
+let cacheIndexesEnsured = false
+
+async function writeCache(key, result) {
+  try {
+    if (!cacheIndexesEnsured) {
+      await ensureDistanceCacheIndexes()
+      cacheIndexesEnsured = true
+    }
+    const db = await getDb()
+    await db.collection(DISTANCE_CACHE_COLLECTION).updateOne(
+      { key },
+      { $set: { key, ...result, createdAt: new Date() } },
+      { upsert: true }
+    )
+  } catch (err) {
+    console.warn('Distance cache write failed:', err?.message || err)
+  }
+}
+
+/**
+ * Distance between two addresses from the first provider that can route it.
+ * Only live (non-estimated) results are cached so a later API key is not
+ * masked by earlier offline estimates.
+ * @returns {Promise<{ miles, originAddress, destinationAddress, provider, estimated }>}
+ */
+export async function resolveDistance({ origin, destination, providers: list = getDistanceProviders(), useCache = true }) {
+  const key = distanceCacheKey(origin, destination)
+  if (useCache) {
+    const hit = await readCache(key)
+    if (hit) {
+      return { miles: hit.miles, originAddress: hit.originAddress, destinationAddress: hit.destinationAddress, provider: hit.provider, estimated: !!hit.estimated, cached: true }
+    }
+  }
+
+  for (const provider of list) {
+    if (!provider.isAvailable()) continue
+    try {
+      const result = await provider.distance({ origin, destination })
+      if (!result || !(result.miles > 0)) continue
+      const out = { ...result, provider: provider.name, estimated: !!provider.estimated }
+      if (useCache && !out.estimated) await writeCache(key, out)
+      return out
+    } catch (err) {
+      console.error(`Distance provider ${provider.name} failed:`, err?.message || err)
+    }
+  }
+  return { miles: 0, originAddress: origin, destinationAddress: destination, provider: null, estimated: true }
+}
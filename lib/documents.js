@@ -0,0 +1,137 @@
+import crypto from 'node:crypto'
+import { getDb } from './db.js'
+import { getOrgSettings } from './settings.js'
+import { BUILDS_COLLECTION, getBuildById } from './builds.js'
+import { calculateBuildPricing } from '../src/utils/pricing.js'
+import { DOCUMENT_KINDS, renderDocumentHtml } from './pdf/templates.js'
+import { renderPdfFromHtml } from './pdf/renderer.js'
+import { getDefaultStorage, getStorageAdapter } from './pdf/storage.js'
+
+// Generated quote, order summary and invoice PDFs. Each one is rendered on
+// the server, stored through a storage adapter and listed on the build as
+// `documents`, so the exact file can be downloaded or emailed again later.
+// Every download and email is appended to the document's `events`.
+
+// Fingerprint of everything that appears on the document
+function sourceHash(kind, build, pricing) {
+  const source = {
+    kind,
+    modelSlug: build.modelSlug,
+    modelName: build.modelName,
+    selections: build.selections,
+    buyerInfo: build.buyerInfo,
+    payment: kind === 'invoice' ? build.payment : undefined,
+    status: kind === 'order_summary' ? [build.status, build.contract?.status] : undefined,
+    total: pricing.total,
+    lineItems: pricing.lineItems,
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(source)).digest('hex')
+}
+
+export function listBuildDocuments(build, kind) {
+  const docs = Array.isArray(build?.documents) ? build.documents : []
+  return kind ? docs.filter(d => d.kind === kind) : docs
+}
+
+/**
+ * Render and store a document for a build. When nothing on the document has
+ * changed since the last one of the same kind, that one is returned instead.
+ * @param {string} buildId
+ * @param {string} kind - 'quote' | 'order_summary' | 'invoice'
+ * @param {Object} opts
+ * @param {string} opts.userId - Who requested it
+ * @param {boolean} opts.force - Always render a new document
+ * @returns {Promise<{ document: Object, reused: boolean } | { error: string, message: string }>}
+ */
+export async function generateBuildDocument(buildId, kind, { userId = null, force = false, dueDate } = {}) {
+  if (!DOCUMENT_KINDS[kind]) return { error: 'invalid_kind', message: `Document kind must be one of ${Object.keys(DOCUMENT_KINDS).join(', ')}` }
+  const build = await getBuildById(buildId)
+  if (!build) return { error: 'not_found', message: 'Build not found' }
+
+  const pricing = calculateBuildPricing(build, await getOrgSettings())
+  const hash = sourceHash(kind, build, pricing)
+  const previous = listBuildDocuments(build, kind).at(-1)
+  if (!force && previous?.sourceHash === hash) return { document: previous, reused: true }
+
+  const { ObjectId } = await import('mongodb')
+  const issuedAt = new Date()
+  const number = `${DOCUMENT_KINDS[kind].prefix}-${String(build._id).slice(-6).toUpperCase()}-${listBuildDocuments(build, kind).length + 1}`
+  const html = renderDocumentHtml(kind, { build, pricing, number, issuedAt, dueDate })
+  const buffer = await renderPdfFromHtml(html)
+
+  const storage = getDefaultStorage()
+  const ref = await storage.save({ buffer, key: `builds/${String(build._id)}/${number}.pdf` })
+  const document = {
+    id: String(new ObjectId()),
+    kind,
+    number,
+    storage: storage.name,
+    ref,
+    size: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    sourceHash: hash,
+    total: pricing.total,
+    createdAt: issuedAt,
+    createdBy: userId,
+    events: [],
+  }
+
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id },
+    { $push: { documents: document } }
+  )
+  return { document, reused: false }
+}
+
+async function recordEvent(build, documentId, event) {
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id, 'documents.id': documentId },
+    { $push: { 'documents.$.events': { ...event, at: new Date() } } }
+  )
+}
+
+/**
+ * Load a stored document's bytes and log the download.
+ * @returns {Promise<{ document: Object, buffer: Buffer } | { error: string }>}
+ */
+export async function readBuildDocument(build, documentId, { userId = null } = {}) {
+  const document = listBuildDocuments(build).find(d => d.id === documentId)
+  if (!document) return { error: 'not_found' }
+  const buffer = await getStorageAdapter(document.storage).read(document.ref)
+  await recordEvent(build, documentId, { type: 'downloaded', userId })
+  return { document, buffer }
+}
+
+/**
+ * Email a stored document as an attachment (SMTP_* settings).
+ * @returns {Promise<{ document: Object, to: string } | { error: string, message?: string }>}
+ */
+export async function emailBuildDocument(build, documentId, { to, userId = null } = {}) {
+  const recipient = String(to || build.buyerInfo?.email || '').trim()
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient)) return { error: 'invalid_email', message: 'A valid recipient email is required' }
+  if (!process.env.SMTP_HOST && !process.env.SMTP_USER) return { error: 'email_unavailable', message: 'Email is not configured' }
+
+  const document = listBuildDocuments(build).find(d => d.id === documentId)
+  if (!document) return { error: 'not_found' }
+  const buffer = await getStorageAdapter(document.storage).read(document.ref)
+
+  const nodemailer = (await import('nodemailer')).default
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: false,
+    auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+  })
+  const title = DOCUMENT_KINDS[document.kind].title
+  await transport.sendMail({
+    from: process.env.SMTP_FROM || 'office@fireflytinyhomes.com',
+    to: recipient,
+    subject: `Firefly Tiny Homes – ${title} ${document.number}`,
+    text: `Attached is your ${title.toLowerCase()} ${document.number} for your ${build.modelName || 'Firefly'} build.`,
+    attachments: [{ filename: `${document.number}.pdf`, content: buffer, contentType: 'application/pdf' }],
+  })
+  await recordEvent(build, documentId, { type: 'emailed', to: recipient, userId })
+  return { document, to: recipient }
+}
@@ -3,7 +3,7 @@
  * Uses the new comprehensive template with all sections A-S
  */
 
-import { dsCreateTemplateFromHtml } from '../client.js'
+import { createDocusealTemplateFromHtml } from '../../esign/docuseal.js'
 import { buildComprehensivePurchaseAgreementHtml } from '../../contracts/html/purchase-agreement-comprehensive.js'
 
 /**
@@ -18,21 +18,15 @@ export async function buildComprehensiveAgreementTemplate() {
   const html = buildComprehensivePurchaseAgreementHtml()
 
   // 2) Create template via DocuSeal HTML API
-  const templateBody = {
+  const templateId = await createDocusealTemplateFromHtml({
     name: "Firefly – Comprehensive Purchase Agreement (Cash Sale) v5 - WORKING",
-    html: html,
-    size: "Letter",
-    external_id: "firefly_comprehensive_agreement_v5_working",
-    folder_name: "Firefly Templates",
-    shared_link: true,
+    html,
+    externalId: "firefly_comprehensive_agreement_v5_working",
+    folder: "Firefly Templates",
+    sharedLink: true,
     // CRITICAL: Explicitly define roles for multi-party signing
     roles: ['buyer', 'cobuyer', 'firefly_signer']
-  }
-
-  console.log('[COMPREHENSIVE_AGREEMENT_BUILDER] Creating DocuSeal template via HTML endpoint...')
-
-  // 3) Create template via DocuSeal HTML API
-  const templateId = await dsCreateTemplateFromHtml(templateBody)
+  })
 
   console.log('[COMPREHENSIVE_AGREEMENT_BUILDER] Comprehensive template created successfully with ID:', templateId)
   
@@ -2,7 +2,7 @@
  * DocuSeal Template Builder for Pack 3: Delivery, Set & Site Readiness Agreement v2
  */
 
-import { dsCreateTemplateFromHtml } from '../client.js'
+import { createDocusealTemplateFromHtml } from '../../esign/docuseal.js'
 import { buildDeliveryHtmlForDocuSeal } from '../../contracts/html/delivery.js'
 
 export async function buildDeliveryTemplate() {
@@ -13,21 +13,15 @@ export async function buildDeliveryTemplate() {
   const html = buildDeliveryHtmlForDocuSeal()
 
   // 2) Create template via DocuSeal HTML API
-  const templateBody = {
+  const templateId = await createDocusealTemplateFromHtml({
     name: "Firefly – Delivery, Set & Site Readiness Agreement v5 FIXED",
-    html: html,
-    size: "Letter",
-    external_id: "firefly_delivery_v5_fixed",
-    folder_name: "Firefly Templates",
-    shared_link: true,
+    html,
+    externalId: "firefly_delivery_v5_fixed",
+    folder: "Firefly Templates",
+    sharedLink: true,
     // CRITICAL: Explicitly define roles for multi-party signing
     roles: ['buyer', 'cobuyer', 'firefly_signer']
-  }
-
-  console.log('[DELIVERY_BUILDER] Creating DocuSeal template via HTML endpoint...')
-
-  // 3) Create template via DocuSeal HTML API
-  const templateId = await dsCreateTemplateFromHtml(templateBody)
+  })
 
   console.log('[DELIVERY_BUILDER] HTML template created successfully with ID:', templateId)
   
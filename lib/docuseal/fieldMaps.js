@@ -7,6 +7,8 @@
  * 
  * CRITICAL: These field names must match exactly with the field tags
  * in the PDF templates ({{field_name;type=text;role=buyer}})
+ * Run `npm run validate:contracts` after changing a map or a template
+ * (lib/docuseal/fieldValidator.js).
  */
 
 export const FIELD_MAPS = {
@@ -53,6 +55,16 @@ export const FIELD_MAPS = {
     price_sales_tax: { role: 'buyer', readonly: true, type: 'text' },
     price_total: { role: 'buyer', readonly: true, type: 'text' },
 
+    // Discounts, adjustments and trade-in - all applied before sales tax
+    // except the trade-in payoff, which is added after it
+    promo_code: { role: 'buyer', readonly: true, type: 'text' },
+    price_promo_discount: { role: 'buyer', readonly: true, type: 'text' },
+    price_adjustments: { role: 'buyer', readonly: true, type: 'text' },
+    adjustment_itemization: { role: 'buyer', readonly: true, type: 'text' },
+    trade_in_description: { role: 'buyer', readonly: true, type: 'text' },
+    price_trade_in_allowance: { role: 'buyer', readonly: true, type: 'text' },
+    price_trade_in_payoff: { role: 'buyer', readonly: true, type: 'text' },
+
     // Section Initials (A-S) - Comprehensive template sections
     pa_a_initials_buyer: { role: 'buyer', readonly: false, type: 'initials' },
     pa_a_initials_cobuyer: { role: 'cobuyer', readonly: false, type: 'initials' },
@@ -128,39 +140,52 @@ export const FIELD_MAPS = {
   // Delivery Agreement
   delivery: {
     // Buyer Information
-    buyer_full_name: { role: 'Buyer', readonly: true },
-    buyer_email: { role: 'Buyer', readonly: true },
-    buyer_address: { role: 'Buyer', readonly: true },
-    buyer_phone: { role: 'Buyer', readonly: true },
+    buyer_full_name: { role: 'buyer', readonly: true, type: 'text' },
+    buyer_email: { role: 'buyer', readonly: true, type: 'text' },
+    buyer_address: { role: 'buyer', readonly: true, type: 'text' },
+    buyer_phone: { role: 'buyer', readonly: true, type: 'text' },
+    cobuyer_full_name: { role: 'cobuyer', readonly: true, type: 'text' },
+    cobuyer_email: { role: 'cobuyer', readonly: true, type: 'text' },
     
     // Unit Information
-    model_brand: { role: 'Buyer', readonly: true },
-    model_code: { role: 'Buyer', readonly: true },
-    model_year: { role: 'Buyer', readonly: true },
-    dimensions: { role: 'Buyer', readonly: true },
-    delivery_address: { role: 'Buyer', readonly: true },
-    est_completion_date: { role: 'Buyer', readonly: true },
+    model_brand: { role: 'buyer', readonly: true, type: 'text' },
+    model_code: { role: 'buyer', readonly: true, type: 'text' },
+    model_year: { role: 'buyer', readonly: true, type: 'text' },
+    dimensions: { role: 'buyer', readonly: true, type: 'text' },
+    delivery_address: { role: 'buyer', readonly: true, type: 'text' },
+    est_completion_date: { role: 'buyer', readonly: true, type: 'text' },
+    
+    // Delivery Charges
+    delivery_zone: { role: 'buyer', readonly: true, type: 'text' },
+    delivery_miles: { role: 'buyer', readonly: true, type: 'text' },
+    delivery_itemization: { role: 'buyer', readonly: true, type: 'text' },
+    delivery_fee_total: { role: 'buyer', readonly: true, type: 'text' },
     
     // Site Readiness Initials (editable)
-    site_initials_1: { role: 'Buyer', readonly: false },
-    site_initials_2: { role: 'Buyer', readonly: false },
-    site_initials_3: { role: 'Buyer', readonly: false },
-    site_initials_4: { role: 'Buyer', readonly: false },
-    site_initials_5: { role: 'Buyer', readonly: false },
-    site_initials_6: { role: 'Buyer', readonly: false },
-    delivery_initials_1: { role: 'Buyer', readonly: false },
-    delivery_initials_2: { role: 'Buyer', readonly: false },
-    delivery_initials_3: { role: 'Buyer', readonly: false },
-    fees_initials_1: { role: 'Buyer', readonly: false },
-    fees_initials_2: { role: 'Buyer', readonly: false },
-    fees_initials_3: { role: 'Buyer', readonly: false },
-    risk_initials_1: { role: 'Buyer', readonly: false },
-    risk_initials_2: { role: 'Buyer', readonly: false },
-    insurance_initials: { role: 'Buyer', readonly: false },
-    storage_initials: { role: 'Buyer', readonly: false },
-    indemnification_initials: { role: 'Buyer', readonly: false },
-    buyer_page_initials: { role: 'Buyer', readonly: false },
-    buyer_signature: { role: 'Buyer', readonly: false }
+    site_initials_1: { role: 'buyer', readonly: false, type: 'initials' },
+    site_initials_2: { role: 'buyer', readonly: false, type: 'initials' },
+    site_initials_3: { role: 'buyer', readonly: false, type: 'initials' },
+    site_initials_4: { role: 'buyer', readonly: false, type: 'initials' },
+    site_initials_5: { role: 'buyer', readonly: false, type: 'initials' },
+    site_initials_6: { role: 'buyer', readonly: false, type: 'initials' },
+    delivery_initials_1: { role: 'buyer', readonly: false, type: 'initials' },
+    delivery_initials_2: { role: 'buyer', readonly: false, type: 'initials' },
+    delivery_initials_3: { role: 'buyer', readonly: false, type: 'initials' },
+    fees_initials_1: { role: 'buyer', readonly: false, type: 'initials' },
+    fees_initials_2: { role: 'buyer', readonly: false, type: 'initials' },
+    fees_initials_3: { role: 'buyer', readonly: false, type: 'initials' },
+    risk_initials_1: { role: 'buyer', readonly: false, type: 'initials' },
+    risk_initials_2: { role: 'buyer', readonly: false, type: 'initials' },
+    insurance_initials: { role: 'buyer', readonly: false, type: 'initials' },
+    storage_initials: { role: 'buyer', readonly: false, type: 'initials' },
+    indemnification_initials: { role: 'buyer', readonly: false, type: 'initials' },
+    buyer_page_initials: { role: 'buyer', readonly: false, type: 'initials' },
+    cobuyer_page_initials: { role: 'cobuyer', readonly: false, type: 'initials' },
+
+    // Signatures
+    buyer_signature: { role: 'buyer', readonly: false, type: 'signature' },
+    cobuyer_signature: { role: 'cobuyer', readonly: false, type: 'signature' },
+    firefly_signature: { role: 'firefly_signer', readonly: false, type: 'signature' }
   }
 }
 
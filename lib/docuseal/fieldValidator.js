@@ -0,0 +1,214 @@
+/**
+ * Field-map validator for contract templates
+ *
+ * FIELD_MAPS (./fieldMaps.js) must match the field tags in the template
+ * sources exactly, and a mismatch otherwise only shows up as a blank field on
+ * a real contract. These checks compare the tags in an HTML or PDF template
+ * with the field map, and the prefill for a build with both. Used by the
+ * contract template registry before a version is saved and by
+ * scripts/validate-contract-fields.js.
+ */
+
+import { Buffer } from 'node:buffer'
+import { buildFieldsArray } from './fieldMaps.js'
+import { TEMPLATES } from './templates.js'
+import { buildContractPrefill } from '../contract-prefill.js'
+import { contractSubmitters, templateNeedsCountersignature } from '../contract-signers.js'
+import { convertFieldTagsToHtmlElements } from '../contracts/html/field-converter.js'
+import { FLAT_STYLES, injectIntoDocument, parseSigningFields, renderStaticField, replaceSigningFields } from '../esign/local-signer.js'
+import { renderPdfFromHtml } from '../pdf/renderer.js'
+
+// {{name;type=text;role=buyer;required=true}}, in HTML or a PDF's text
+const CURLY_TAG = /\{\{([^{};]+)((?:;[^{}]*)?)\}\}/g
+
+// Fields the signer fills in; a prefilled value never shows on them
+const SIGNER_TYPES = new Set(['signature', 'initials', 'image', 'file'])
+
+function parseCurlyTag(name, options) {
+  const params = {}
+  for (const part of options.split(';')) {
+    const [key, value] = part.split('=')
+    if (key && value) params[key.trim()] = value.trim()
+  }
+  return {
+    name: name.trim(),
+    type: params.type || 'text',
+    role: params.role || null,
+    required: params.required !== 'false',
+  }
+}
+
+/**
+ * HTML with `{{name;type=..;role=..}}` tags converted to the <*-field>
+ * elements the signing providers read. Plain `{{name}}` placeholders are left
+ * alone.
+ */
+export function normalizeTemplateHtml(html) {
+  return String(html || '').replace(/\{\{[^{}]*;[^{}]*\}\}/g, tag => convertFieldTagsToHtmlElements(tag))
+}
+
+/**
+ * Field tags in a template, once per name, in document order. Accepts HTML
+ * with `{{name;type=..;role=..}}` tags or the <*-field> elements they convert
+ * to, or a PDF (Buffer or base64) whose text carries `{{..}}` tags. Only
+ * uncompressed PDF text streams can be read.
+ * @param {string|Buffer} source
+ * @returns {{ format: 'html'|'pdf', fields: Array<{ name, type, role, required: boolean }> }}
+ */
+export function parseTemplateFields(source) {
+  let text = Buffer.isBuffer(source) ? source.toString('latin1') : String(source || '')
+  if (!text.startsWith('%PDF') && /^[A-Za-z0-9+/=\s]+$/.test(text) && text.length > 16) {
+    const decoded = Buffer.from(text, 'base64').toString('latin1')
+    if (decoded.trimStart().startsWith('%PDF')) text = decoded
+  }
+  const format = text.trimStart().startsWith('%PDF') ? 'pdf' : 'html'
+
+  const fields = new Map()
+  for (const [, name, options] of text.matchAll(CURLY_TAG)) {
+    if (!options) continue
+    const field = parseCurlyTag(name, options)
+    if (!fields.has(field.name)) fields.set(field.name, field)
+  }
+  for (const field of parseSigningFields(text)) {
+    if (!fields.has(field.name)) fields.set(field.name, field)
+  }
+  return { format, fields: [...fields.values()] }
+}
+
+/**
+ * Compare the fields tagged in a template with its field map. Tags the map
+ * does not know, or with another role or type, are errors; mapped fields with
+ * no tag are warnings, since some are only used for prefill.
+ * @param {string|Buffer} source - Template HTML or PDF
+ * @param {Object} fieldMap - The template's entry in FIELD_MAPS
+ * @returns {{ fields: Array, errors: Array<{ field, message }>, warnings: Array<{ field, message }> }}
+ */
+export function checkTemplateFields(source, fieldMap = {}) {
+  const { fields } = parseTemplateFields(source)
+  const errors = []
+  const warnings = []
+  for (const field of fields) {
+    const mapped = fieldMap[field.name]
+    if (!mapped) {
+      errors.push({ field: field.name, message: `${field.name} is not in the field map` })
+      continue
+    }
+    if (!field.role) errors.push({ field: field.name, message: `${field.name} has no role` })
+    else if (mapped.role && mapped.role !== field.role) errors.push({ field: field.name, message: `${field.name} is tagged for ${field.role}, the field map says ${mapped.role}` })
+    if (mapped.type && mapped.type !== field.type) errors.push({ field: field.name, message: `${field.name} is a ${field.type} field, the field map says ${mapped.type}` })
+  }
+  const tagged = new Set(fields.map(f => f.name))
+  for (const name of Object.keys(fieldMap)) {
+    if (!tagged.has(name)) warnings.push({ field: name, message: `${name} is in the field map but not tagged` })
+  }
+  return { fields, errors, warnings }
+}
+
+/**
+ * Check the prefill for one build against a template: what
+ * `buildFieldsArray()` sends, and what the signers would see.
+ *
+ * Errors:
+ * - `missing`: a read-only field is tagged but the prefill has no value for
+ *   it at all, so it is blank on every contract
+ * - `wrong_type`: a read-only value is sent for a field the signer fills in
+ * - `wrong_role`: a value is sent for a role that does not sign this contract
+ *
+ * Warnings: read-only fields that are only blank for this build (`missing`),
+ * values sent for fields the template does not tag (`unused`), and values
+ * sent as defaults for fields the signer fills in (`wrong_type`).
+ *
+ * @param {Object} prefill - Values keyed by field name (buildContractPrefill)
+ * @param {Object} fieldMap - The template's entry in FIELD_MAPS
+ * @param {Array} templateFields - parseTemplateFields(source).fields
+ * @param {{ roles?: string[] }} [options] - Roles that sign this contract
+ * @returns {{ fields: Array, errors: Array<{ kind, field, message }>, warnings: Array<{ kind, field, message }> }}
+ */
+export function checkPrefillFields(prefill, fieldMap, templateFields, { roles = null } = {}) {
+  const fields = buildFieldsArray(prefill, fieldMap)
+  const tags = new Map(templateFields.map(f => [f.name, f]))
+  const errors = []
+  const warnings = []
+
+  for (const field of fields) {
+    const tag = tags.get(field.name)
+    const mapped = fieldMap[field.name]
+    if (!tag) {
+      warnings.push({ kind: 'unused', field: field.name, message: `${field.name} is prefilled but the template has no tag for it` })
+      continue
+    }
+    if (roles && tag.role && !roles.includes(tag.role)) {
+      errors.push({ kind: 'wrong_role', field: field.name, message: `${field.name} is prefilled for ${tag.role}, who does not sign this contract` })
+    }
+    if (SIGNER_TYPES.has(tag.type)) {
+      if (mapped.readonly) errors.push({ kind: 'wrong_type', field: field.name, message: `${field.name} is a read-only ${tag.type} field; the signer has to fill it in` })
+      else warnings.push({ kind: 'wrong_type', field: field.name, message: `${field.name} is a ${tag.type} field; the prefilled value is ignored` })
+    }
+  }
+
+  const sent = new Set(fields.map(f => f.name))
+  for (const tag of templateFields) {
+    const mapped = fieldMap[tag.name]
+    if (!mapped?.readonly || sent.has(tag.name)) continue
+    if (roles && tag.role && !roles.includes(tag.role)) continue
+    if (prefill[tag.name] === undefined) errors.push({ kind: 'missing', field: tag.name, message: `${tag.name} is a read-only field but nothing prefills it` })
+    else warnings.push({ kind: 'missing', field: tag.name, message: `${tag.name} is blank for this build` })
+  }
+
+  return { fields, errors, warnings }
+}
+
+const SILENT = { log() {} }
+
+/**
+ * Every check for one contract template and a build, prefilled the way the
+ * contract start route does it.
+ * @param {string} key - Template key (lib/docuseal/templates.js)
+ * @param {{ build: Object, settings?: Object, source?: string|Buffer }} options -
+ *   `source` checks another HTML or PDF source against the template's field map
+ * @returns {Promise<{ key, name, format, roles, template, prefill, html: string|null, ok: boolean }>}
+ */
+export async function validateContractTemplate(key, { build, settings = {}, source = null } = {}) {
+  const template = TEMPLATES[key]
+  if (!template) throw new Error(`Unknown template key: ${key}`)
+  const input = source ?? template.html()
+  const { format, fields: tags } = parseTemplateFields(input)
+  const { submitters } = contractSubmitters(build.buyerInfo || {}, { countersign: templateNeedsCountersignature(template) })
+  const roles = submitters.map(s => s.role)
+
+  const templateCheck = checkTemplateFields(input, template.fieldMap)
+  const prefill = await buildContractPrefill(build, settings, { logger: SILENT })
+  const prefillCheck = checkPrefillFields(prefill, template.fieldMap, tags, { roles })
+
+  return {
+    key,
+    name: template.name,
+    format,
+    roles,
+    template: templateCheck,
+    prefill: prefillCheck,
+    html: format === 'html' ? String(input) : null,
+    ok: templateCheck.errors.length === 0 && prefillCheck.errors.length === 0,
+  }
+}
+
+/**
+ * Template HTML with prefilled values in place and every field the signers
+ * fill in left blank, as a complete document.
+ * @param {string} html - Template HTML
+ * @param {Object} values - Values keyed by field name
+ */
+export function renderPrefillPreview(html, values = {}) {
+  const body = replaceSigningFields(normalizeTemplateHtml(html), field => renderStaticField(field, { values, submitters: [] }))
+  return injectIntoDocument(body, { head: `<style>${FLAT_STYLES}</style>` })
+}
+
+/**
+ * PDF of renderPrefillPreview() for visual review. Needs a browser
+ * (lib/pdf/renderer.js) and throws without one.
+ * @returns {Promise<Buffer>}
+ */
+export async function renderPrefillPreviewPdf(html, fields = []) {
+  const values = Object.fromEntries(fields.map(f => [f.name, f.default_value]))
+  return renderPdfFromHtml(renderPrefillPreview(html, values))
+}
@@ -10,7 +10,7 @@
  * for PDF prefilling in downloaded documents.
  */
 
-import { API_BASE, authHeaders } from './client.js'
+import { createDocusealTemplateFromPdf } from '../esign/docuseal.js'
 
 /**
  * Create a DocuSeal template from PDF with embedded field tags
@@ -20,61 +20,27 @@ import { API_BASE, authHeaders } from './client.js'
 export async function createPdfTemplate(templateConfig) {
   const { name, pdfBase64, externalId, folderName = "Firefly Templates" } = templateConfig
   
-  const url = `${API_BASE}/templates`
-  
-  const body = {
+  console.log('[PDF_TEMPLATE_BUILDER] Creating PDF template:', {
+    templateName: name,
+    hasPdf: !!pdfBase64,
+    pdfLength: pdfBase64?.length || 0
+  })
+
+  const templateId = await createDocusealTemplateFromPdf({
     name,
-    external_id: externalId,
-    folder_name: folderName,
-    shared_link: true,
-    // CRITICAL: Use PDF API instead of HTML API
-    documents: [{
-      name: name,
-      file: pdfBase64, // Base64-encoded PDF with {{field}} tags
-      // Let DocuSeal auto-detect fields from PDF tags
-      fields: []
-    }],
+    pdfBase64, // Base64-encoded PDF with {{field}} tags; DocuSeal detects the fields
+    externalId,
+    folder: folderName,
+    sharedLink: true,
     // CRITICAL: Define roles for multi-party signing
     roles: ['buyer', 'cobuyer', 'firefly_signer'],
     // CRITICAL: Flatten fields to embed them permanently
     flatten: true
-  }
-  
-  console.log('[PDF_TEMPLATE_BUILDER] Creating PDF template:', {
-    url,
-    templateName: name,
-    hasPdf: !!pdfBase64,
-    pdfLength: pdfBase64?.length || 0,
-    roles: body.roles
   })
-  
-  const res = await fetch(url, { 
-    method: 'POST', 
-    headers: authHeaders(), 
-    body: JSON.stringify(body) 
-  })
-  
-  console.log('[PDF_TEMPLATE_BUILDER] Template creation response:', {
-    status: res.status,
-    statusText: res.statusText,
-    ok: res.ok
-  })
-  
-  if (!res.ok) {
-    const errorText = await res.text()
-    console.error('[PDF_TEMPLATE_BUILDER] Template creation failed:', errorText)
-    throw new Error(`PDF template creation failed: ${res.status} - ${errorText}`)
-  }
-  
-  const json = await res.json()
-  console.log('[PDF_TEMPLATE_BUILDER] PDF template created successfully:', {
-    templateId: json.id,
-    templateName: json.name,
-    fieldsCount: json.fields?.length || 0,
-    fieldNames: json.fields?.map(f => f.name) || []
-  })
-  
-  return json.id
+
+  console.log('[PDF_TEMPLATE_BUILDER] PDF template created successfully:', { templateId, templateName: name })
+
+  return templateId
 }
 
 /**
@@ -1,19 +1,24 @@
 import { getFieldMap } from './fieldMaps.js'
+import { buildComprehensivePurchaseAgreementHtml } from '../contracts/html/purchase-agreement-comprehensive.js'
+import { buildDeliveryHtmlForDocuSeal } from '../contracts/html/delivery.js'
 
 /**
- * Template registry for DocuSeal templates
- * Maps template keys to their IDs and field maps
+ * Template registry for contract packs
+ * Maps template keys to their DocuSeal IDs, field maps and the HTML the
+ * local signer renders
  */
 export const TEMPLATES = {
   masterRetail: {
     id: parseInt(process.env.DOCUSEAL_TEMPLATE_ID_AGREEMENT || process.env.DOCUSEAL_PURCHASE_TEMPLATE_ID || '1710241'),
     name: 'Master Retail Purchase Agreement',
-    fieldMap: getFieldMap('masterRetail')
+    fieldMap: getFieldMap('masterRetail'),
+    html: buildComprehensivePurchaseAgreementHtml
   },
   delivery: {
     id: parseInt(process.env.DOCUSEAL_TEMPLATE_ID_DELIVERY || '1710288'),
     name: 'Delivery, Set & Site Readiness Agreement',
-    fieldMap: getFieldMap('delivery')
+    fieldMap: getFieldMap('delivery'),
+    html: buildDeliveryHtmlForDocuSeal
   }
 }
 
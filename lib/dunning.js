@@ -0,0 +1,282 @@
+import { getDb } from './db.js'
+import { BUILDS_COLLECTION } from './builds.js'
+import { BUILD_STATUS, guardBuildTransition } from './build-lifecycle.js'
+import { listLedgerEntries } from './ledger.js'
+import { INVOICE_DAYS_UNTIL_DUE, SCHEDULE_TRIGGERS, getBuildSchedule } from './payment-schedules.js'
+import { getOrgSettings } from './settings.js'
+
+// Payment reminders and dunning. A scheduled job walks builds with unpaid
+// milestones that have fallen due and sends the buyer a templated reminder at
+// each configured offset from the due date (negative offsets are before it),
+// then raises an admin notification once a balance has been overdue long
+// enough. Reminders already sent are tracked per milestone under
+// `payment.dunning`. Separately, a build cannot move to a delivery status
+// while a milestone invoiced before that step is unpaid.
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const DUNNING_STAGES = ['upcoming', 'due', 'overdue']
+
+export const DEFAULT_DUNNING = Object.freeze({
+  enabled: true,
+  offsets_days: [-3, 0, 3, 7, 14],
+  escalate_after_days: 7,
+  templates: {
+    upcoming: {
+      title: '{model}: {milestone} due {dueDate}',
+      message: 'Hi {buyer}, a reminder that your {milestone} payment of {amount} is due on {dueDate}.',
+    },
+    due: {
+      title: '{model}: {milestone} due today',
+      message: 'Hi {buyer}, your {milestone} payment of {amount} is due today.',
+    },
+    overdue: {
+      title: '{model}: {milestone} is {days} days overdue',
+      message: 'Hi {buyer}, your {milestone} payment of {amount} was due on {dueDate}. Your home cannot be scheduled for delivery until it is paid.',
+    },
+  },
+})
+
+// Statuses a build can be waiting on a payment in
+const BILLABLE_STATUSES = [
+  BUILD_STATUS.SIGNED,
+  BUILD_STATUS.DEPOSIT_PAID,
+  BUILD_STATUS.IN_PRODUCTION,
+  BUILD_STATUS.FACTORY_COMPLETE,
+  BUILD_STATUS.IN_TRANSIT,
+  BUILD_STATUS.DELIVERED,
+]
+
+// Delivery statuses the outstanding-balance guard applies to
+const DELIVERY_STATUSES = [BUILD_STATUS.IN_TRANSIT, BUILD_STATUS.DELIVERED]
+
+/** Org dunning settings over the defaults. */
+export function resolveDunningSettings(settings) {
+  const stored = settings?.dunning || {}
+  const templates = {}
+  for (const stage of DUNNING_STAGES) {
+    templates[stage] = { ...DEFAULT_DUNNING.templates[stage], ...(stored.templates?.[stage] || {}) }
+  }
+  return {
+    enabled: stored.enabled ?? DEFAULT_DUNNING.enabled,
+    offsets_days: Array.isArray(stored.offsets_days) ? stored.offsets_days : DEFAULT_DUNNING.offsets_days,
+    escalate_after_days: stored.escalate_after_days ?? DEFAULT_DUNNING.escalate_after_days,
+    templates,
+  }
+}
+
+/**
+ * Check the admin-edited `dunning` settings section.
+ * @returns {{ dunning: Object } | { error: 'invalid_dunning', message: string }}
+ */
+export function validateDunningSettings(input) {
+  const fail = (message) => ({ error: 'invalid_dunning', message })
+  const offsets = (input?.offsets_days ?? DEFAULT_DUNNING.offsets_days).map(Number)
+  if (!offsets.length) return fail('Add at least one reminder offset')
+  if (offsets.some(o => !Number.isInteger(o) || o < -30 || o > 90)) return fail('Reminder offsets must be whole days between -30 and 90')
+  const escalate = Number(input?.escalate_after_days ?? DEFAULT_DUNNING.escalate_after_days)
+  if (!Number.isInteger(escalate) || escalate < 0 || escalate > 90) return fail('Escalation must be between 0 and 90 days overdue')
+  const templates = {}
+  for (const stage of DUNNING_STAGES) {
+    const t = input?.templates?.[stage] || {}
+    // Blank fields fall back to the built-in wording
+    templates[stage] = {
+      title: String(t.title || '').trim().slice(0, 200) || DEFAULT_DUNNING.templates[stage].title,
+      message: String(t.message || '').trim().slice(0, 1000) || DEFAULT_DUNNING.templates[stage].message,
+    }
+  }
+  return {
+    dunning: {
+      enabled: input?.enabled !== false,
+      offsets_days: [...new Set(offsets)].sort((a, b) => a - b),
+      escalate_after_days: escalate,
+      templates,
+    },
+  }
+}
+
+/** Fill `{placeholder}` tokens; unknown tokens are left as they are. */
+export function renderReminder(template, vars) {
+  const fill = (text) => String(text).replace(/\{(\w+)\}/g, (token, name) => (vars[name] ?? token))
+  return { title: fill(template.title), message: fill(template.message) }
+}
+
+/**
+ * When a milestone is due: its stored due date, the invoice terms from when it
+ * was activated, or the signing date for milestones due at signing. Null for
+ * milestones that have not fallen due.
+ */
+export function milestoneDueDate(build, milestone) {
+  if (milestone.dueAt) return new Date(milestone.dueAt)
+  if (milestone.activatedAt) return new Date(new Date(milestone.activatedAt).getTime() + INVOICE_DAYS_UNTIL_DUE * DAY_MS)
+  if (milestone.trigger === BUILD_STATUS.SIGNED && build.signedAt) return new Date(build.signedAt)
+  return null
+}
+
+/**
+ * Unpaid milestones that have fallen due, with what is left on each.
+ * `paid` maps milestone key to net cents received (partial payments).
+ * @returns {Array<{ key, label, amount, outstanding, dueAt: Date, daysFromDue: number }>}
+ */
+export function openMilestones(build, { now = new Date(), paid = new Map() } = {}) {
+  const schedule = getBuildSchedule(build)
+  if (!schedule) return []
+  const open = []
+  for (const m of schedule.milestones) {
+    if (build.payment?.[`${m.key}Paid`]) continue
+    const dueAt = milestoneDueDate(build, m)
+    if (!dueAt) continue
+    const outstanding = Number(m.amount || 0) - (paid.get(m.key) || 0)
+    if (outstanding <= 0) continue
+    open.push({
+      key: m.key,
+      label: m.label || m.key,
+      amount: Number(m.amount || 0),
+      outstanding,
+      dueAt,
+      daysFromDue: Math.floor((now.getTime() - dueAt.getTime()) / DAY_MS),
+    })
+  }
+  return open
+}
+
+/**
+ * Reminders and escalations owed for a build right now. Only the latest offset
+ * that has passed is sent, so a milestone found late gets one reminder rather
+ * than every one it missed.
+ * @returns {Array<{ milestone: Object, offset?: number, stage?: string, escalate: boolean }>}
+ */
+export function dunningActions(build, cfg, { now = new Date(), paid } = {}) {
+  const actions = []
+  for (const milestone of openMilestones(build, { now, paid })) {
+    const state = build.payment?.dunning?.[milestone.key] || {}
+    const passed = cfg.offsets_days.filter(o => milestone.daysFromDue >= o)
+    const offset = passed.length ? Math.max(...passed) : null
+    const remind = offset !== null && !(state.sent || []).includes(offset)
+    const escalate = milestone.daysFromDue >= cfg.escalate_after_days && !state.escalatedAt
+    if (!remind && !escalate) continue
+    actions.push({
+      milestone,
+      ...(remind ? { offset, stage: offset < 0 ? 'upcoming' : offset === 0 ? 'due' : 'overdue' } : {}),
+      escalate,
+    })
+  }
+  return actions
+}
+
+/**
+ * Milestones that must be paid before a build enters `to`: those invoiced at
+ * an earlier step. Only delivery statuses are held back.
+ */
+export function unpaidBeforeDelivery(build, to) {
+  if (!DELIVERY_STATUSES.includes(to)) return []
+  const schedule = getBuildSchedule(build)
+  if (!schedule) return []
+  const step = SCHEDULE_TRIGGERS.indexOf(to)
+  return schedule.milestones.filter(m =>
+    SCHEDULE_TRIGGERS.indexOf(m.trigger) < step && Number(m.amount) > 0 && !build.payment?.[`${m.key}Paid`]
+  )
+}
+
+for (const status of DELIVERY_STATUSES) {
+  guardBuildTransition(status, ({ build, to }) => {
+    const unpaid = unpaidBeforeDelivery(build, to)
+    if (!unpaid.length) return null
+    return {
+      error: 'balance_outstanding',
+      message: `${unpaid.map(m => m.label || m.key).join(', ')} must be paid before the build moves to ${to.replace(/_/g, ' ').toLowerCase()}`,
+    }
+  })
+}
+
+// ----- Job -----
+
+function formatCents(cents) {
+  return `$${(Number(cents || 0) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+async function paidByMilestone(buildId) {
+  const paid = new Map()
+  for (const e of await listLedgerEntries(String(buildId))) {
+    if (!e.milestone || !['payment', 'refund'].includes(e.type)) continue
+    paid.set(e.milestone, (paid.get(e.milestone) || 0) + (e.type === 'payment' ? e.amount : -e.amount))
+  }
+  return paid
+}
+
+/**
+ * Send the reminders and escalations that are due. Run on a schedule.
+ * @returns {Promise<{ checked: number, reminders: number, escalations: number }>}
+ */
+export async function runDunning({ now = new Date(), limit = 200 } = {}) {
+  const summary = { checked: 0, reminders: 0, escalations: 0 }
+  const cfg = resolveDunningSettings(await getOrgSettings())
+  if (!cfg.enabled) return { ...summary, disabled: true }
+
+  const db = await getDb()
+  const builds = await db.collection(BUILDS_COLLECTION)
+    .find({ status: { $in: BILLABLE_STATUSES }, 'payment.status': { $ne: 'fully_paid' } })
+    .limit(Math.min(Number(limit) || 200, 1000))
+    .toArray()
+
+  for (const build of builds) {
+    summary.checked++
+    if (!getBuildSchedule(build)) continue
+    const actions = dunningActions(build, cfg, { now, paid: await paidByMilestone(build._id) })
+    if (!actions.length) continue
+
+    const buyer = [build.buyerInfo?.firstName, build.buyerInfo?.lastName].filter(Boolean).join(' ') || 'there'
+    const $set = {}
+    const $addToSet = {}
+    for (const { milestone, offset, stage, escalate } of actions) {
+      const vars = {
+        buyer,
+        model: build.modelName || 'Your build',
+        milestone: milestone.label,
+        amount: formatCents(milestone.outstanding),
+        dueDate: milestone.dueAt.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
+        days: Math.max(0, milestone.daysFromDue),
+      }
+      const base = {
+        createdBy: 'system',
+        createdAt: now,
+        readBy: [],
+        status: 'active',
+        metadata: { buildId: String(build._id), milestone: milestone.key, dunning: stage || 'escalation', daysFromDue: milestone.daysFromDue },
+      }
+      if (stage && build.userId) {
+        await db.collection('notifications').insertOne({
+          ...renderReminder(cfg.templates[stage], vars),
+          type: stage === 'overdue' ? 'warning' : 'info',
+          category: 'order',
+          priority: stage === 'upcoming' ? 'normal' : 'high',
+          targetUsers: [build.userId],
+          ...base,
+        })
+        summary.reminders++
+      }
+      if (stage) {
+        $addToSet[`payment.dunning.${milestone.key}.sent`] = offset
+        $set[`payment.dunning.${milestone.key}.lastReminderAt`] = now
+      }
+      if (escalate) {
+        // No targetUsers: shows for every admin in the notifications center
+        await db.collection('notifications').insertOne({
+          title: `Overdue: ${vars.model} ${milestone.label}`,
+          message: `${buyer === 'there' ? 'The buyer' : buyer} owes ${vars.amount} on ${milestone.label}, due ${vars.dueDate} (${vars.days} days overdue).`,
+          type: 'urgent',
+          category: 'financial',
+          priority: 'high',
+          isSystemGenerated: true,
+          ...base,
+        })
+        $set[`payment.dunning.${milestone.key}.escalatedAt`] = now
+        summary.escalations++
+      }
+    }
+    await db.collection(BUILDS_COLLECTION).updateOne(
+      { _id: build._id },
+      { $set, ...(Object.keys($addToSet).length ? { $addToSet } : {}) }
+    )
+  }
+  return summary
+}
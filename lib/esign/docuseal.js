@@ -0,0 +1,230 @@
+import { downloadFile } from '../docuseal.js'
+import { ESIGN_STATUS } from './status.js'
+
+// DocuSeal e-signature provider: the hosted service the contract packs were
+// built on. This is the only place that talks to the DocuSeal API.
+
+const API_BASE = process.env.DOCUSEAL_API_BASE || 'https://api.docuseal.co'
+
+function authHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'X-Auth-Token': process.env.DOCUSEAL_API_KEY || '',
+  }
+}
+
+async function request(method, path, body) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: authHeaders(),
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  })
+  if (!res.ok) {
+    const errorText = await res.text()
+    console.error('[DOCUSEAL] Request failed:', { method, path, status: res.status, error: errorText })
+    throw new Error(`DocuSeal ${method} ${path} failed: ${res.status}`)
+  }
+  return res.json()
+}
+
+/**
+ * Get DocuSeal template information including field names
+ * @param {number} templateId - Template ID
+ * @returns {Promise<Object>} Template information with fields
+ */
+export function getDocusealTemplate(templateId) {
+  return request('GET', `/templates/${templateId}`)
+}
+
+/**
+ * Create a DocuSeal template from HTML with <*-field> elements
+ * @returns {Promise<number>} Template ID
+ */
+export async function createDocusealTemplateFromHtml({ name, html, roles, externalId, folder, sharedLink = false }) {
+  const json = await request('POST', '/templates/html', {
+    name,
+    html,
+    size: 'Letter',
+    roles,
+    ...(externalId ? { external_id: externalId } : {}),
+    ...(folder ? { folder_name: folder } : {}),
+    ...(sharedLink ? { shared_link: true } : {}),
+  })
+  return json.id
+}
+
+/**
+ * Create a DocuSeal template from a PDF whose text carries {{field}} tags.
+ * `flatten` embeds prefilled values in the downloaded PDF.
+ * @returns {Promise<number>} Template ID
+ */
+export async function createDocusealTemplateFromPdf({ name, pdfBase64, roles, externalId, folder, sharedLink = false, flatten = false }) {
+  const json = await request('POST', '/templates', {
+    name,
+    documents: [{ name, file: pdfBase64, fields: [] }],
+    roles,
+    ...(externalId ? { external_id: externalId } : {}),
+    ...(folder ? { folder_name: folder } : {}),
+    ...(sharedLink ? { shared_link: true } : {}),
+    ...(flatten ? { flatten: true } : {}),
+  })
+  return json.id
+}
+
+export function getDocusealSubmission(submissionId) {
+  return request('GET', `/submissions/${submissionId}`)
+}
+
+async function createDocusealSubmission({ templateId, prefill, fieldsPrefill, submitters, sendEmail = false, order = 'preserved', completedRedirectUrl, cancelRedirectUrl }) {
+  // For template-based submissions, use 'fields' array with default_value
+  // This ensures the data appears in both online view and downloaded PDF
+  const fieldSource = fieldsPrefill || prefill || {}
+  const fields = Object.entries(fieldSource).map(([name, value]) => ({
+    name,
+    // Some DocuSeal rendering paths only flatten submitted values, not defaults.
+    // Provide both to ensure values appear in viewer and exported PDFs.
+    value: String(value ?? ''),
+    default_value: String(value ?? ''),
+    readonly: true,
+  }))
+
+  const json = await request('POST', '/submissions', {
+    template_id: templateId,
+    order,
+    send_email: !!sendEmail,
+    completed_redirect_url: completedRedirectUrl,
+    cancel_redirect_url: cancelRedirectUrl,
+    submitters: (submitters || []).map(submitter => ({ ...submitter, fields })),
+    // Provide raw prefill map for HTML templates ({{var}} replacement)
+    prefill: prefill || {},
+    data: prefill || {},
+    // Also include fields at the root for engines that expect global fields
+    fields,
+    // Request field flattening so prefilled values render in downloads;
+    // some deployments expect the second flag name instead
+    flatten: true,
+    flatten_fields: true,
+  })
+
+  // The API answers with either the submitters array or a submission object
+  const list = Array.isArray(json) ? json : (json?.submitters || [])
+  const submissionId = Array.isArray(json)
+    ? (json[0]?.submission_id || json[0]?.id)
+    : (json?.id || json?.uuid || json?.submission?.id)
+  const signers = list.map(s => ({ id: s.id, role: s.role, email: s.email, embedUrl: s.embed_src || s.url }))
+  const signerUrl = signers[0]?.embedUrl || json?.invite_links?.[0]?.url || json?.embed_src
+  return { submissionId, signerUrl, submitters: signers, raw: json }
+}
+
+const STATUS_MAP = {
+  pending: ESIGN_STATUS.PENDING,
+  awaiting_signature: ESIGN_STATUS.PENDING,
+  opened: ESIGN_STATUS.IN_PROGRESS,
+  in_progress: ESIGN_STATUS.IN_PROGRESS,
+  completed: ESIGN_STATUS.COMPLETED,
+  declined: ESIGN_STATUS.DECLINED,
+  expired: ESIGN_STATUS.EXPIRED,
+}
+
+// form.* events are per submitter, submission.* for the whole envelope. One
+// submitter finishing is `signed`; the envelope is `completed` once all have
+const EVENT_MAP = {
+  'submission.created': 'created',
+  'form.viewed': 'viewed',
+  'form.started': 'started',
+  'submission.started': 'started',
+  'form.completed': 'signed',
+  'submission.completed': 'completed',
+  'form.declined': 'declined',
+  'submission.declined': 'declined',
+}
+
+export const docusealProvider = {
+  name: 'docuseal',
+  isAvailable: () => !!process.env.DOCUSEAL_API_KEY,
+
+  /** Field names on the hosted template, to drop prefill DocuSeal would reject. */
+  async templateFields(template) {
+    if (!template?.id) return []
+    const remote = await getDocusealTemplate(template.id)
+    return Array.isArray(remote?.fields) ? remote.fields.map(f => f?.name).filter(Boolean) : []
+  },
+
+  /**
+   * Start a submission from a hosted template (`template.id` or `templateId`)
+   * or from HTML, which is uploaded as a new template first.
+   */
+  async createSubmission({ template, templateId, html, name, prefill, fieldsPrefill, submitters, order, completedRedirectUrl, cancelRedirectUrl, externalId, folder }) {
+    let id = templateId || template?.id
+    if (html) {
+      id = await createDocusealTemplateFromHtml({
+        name: name || template?.name,
+        html,
+        roles: [...new Set((submitters || []).map(s => s.role))],
+        externalId,
+        folder,
+      })
+    }
+    if (!id) throw new Error('DocuSeal submission needs a template id or HTML')
+    const submission = await createDocusealSubmission({ templateId: id, prefill, fieldsPrefill, submitters, order, completedRedirectUrl, cancelRedirectUrl })
+    return { ...submission, templateId: id }
+  },
+
+  async embedSession(submissionId, { role } = {}) {
+    const submission = await getDocusealSubmission(submissionId)
+    const submitter = (submission.submitters || []).find(s => !role || s.role === role)
+    return submitter ? { embedUrl: submitter.embed_src || submitter.url, role: submitter.role } : null
+  },
+
+  async getStatus(submissionId) {
+    const submission = await getDocusealSubmission(submissionId)
+    return {
+      status: STATUS_MAP[submission.status || submission.state] || ESIGN_STATUS.PENDING,
+      completedAt: submission.completed_at || null,
+      submitters: (submission.submitters || []).map(s => ({
+        role: s.role,
+        email: s.email,
+        status: STATUS_MAP[s.status] || ESIGN_STATUS.PENDING,
+        completedAt: s.completed_at || null,
+      })),
+    }
+  },
+
+  /** URL of the signed document; the submission download as a fallback. */
+  async documentUrl(submissionId) {
+    try {
+      const documents = await request('GET', `/submissions/${submissionId}/documents`)
+      const list = Array.isArray(documents) ? documents : documents?.documents
+      if (list?.[0]?.url) return list[0].url
+    } catch (err) {
+      console.error('[DOCUSEAL] Documents lookup failed:', err?.message || err)
+    }
+    return `${API_BASE}/submissions/${submissionId}/download`
+  },
+
+  async download(submissionId, { documentUrl } = {}) {
+    return downloadFile(documentUrl || await this.documentUrl(submissionId))
+  },
+
+  /** DocuSeal sends the shared secret back in a header. */
+  verifyWebhook(headers = {}) {
+    const secret = process.env.DOCUSEAL_WEBHOOK_SECRET || ''
+    const signature = headers['x-docuseal-signature'] || headers['X-DocuSeal-Signature']
+    return !!secret && signature === secret
+  },
+
+  normalizeWebhook(payload) {
+    const data = payload?.data || {}
+    return {
+      provider: 'docuseal',
+      type: EVENT_MAP[payload?.event_type] || null,
+      rawType: payload?.event_type || null,
+      // DocuSeal sends submitter ID in data.id and submission ID in data.submission_id
+      submissionId: data.submission_id ?? data.submission?.id ?? null,
+      submitterId: data.id ?? null,
+      role: data.role || null,
+      documentUrl: data.documents?.[0]?.url || null,
+      auditTrailUrl: data.audit_log_url || data.submission?.audit_log_url || null,
+    }
+  },
+}
@@ -0,0 +1,40 @@
+import { docusealProvider } from './docuseal.js'
+import { localSigner } from './local-signer.js'
+
+export { ESIGN_STATUS } from './status.js'
+
+// E-signature providers. Contract packs and change orders are signed through
+// a provider:
+//   { name, isAvailable(), templateFields(template), createSubmission(input),
+//     embedSession(submissionId, { role }), getStatus(submissionId),
+//     documentUrl(submissionId), download(submissionId, { documentUrl }),
+//     verifyWebhook(headers), normalizeWebhook(payload) }
+// createSubmission resolves to { submissionId, signerUrl, submitters }, and
+// normalizeWebhook turns a provider event into { provider, type, submissionId,
+// submitterId, role, documentUrl, auditTrailUrl } with type one of created,
+// viewed, started, signed (one submitter finished), completed (every
+// submitter has) or declined.
+//
+// `docuseal` is the hosted service; `local` renders the HTML contracts itself
+// and collects signatures on our own signing page. Records store the provider
+// that created their submission (`esignProvider`), so submissions in flight
+// keep working after the default changes.
+
+const providers = new Map([docusealProvider, localSigner].map(p => [p.name, p]))
+
+export function getEsignProvider(name) {
+  const provider = providers.get(String(name || '').toLowerCase())
+  if (!provider) throw new Error(`Unknown e-signature provider "${name}"`)
+  return provider
+}
+
+/** ESIGN_PROVIDER picks the provider; otherwise DocuSeal when configured, else the local signer. */
+export function getDefaultEsignProvider() {
+  if (process.env.ESIGN_PROVIDER) return getEsignProvider(process.env.ESIGN_PROVIDER)
+  return docusealProvider.isAvailable() ? docusealProvider : localSigner
+}
+
+/** Provider for a stored pack or change order; records from before providers are DocuSeal's. */
+export function esignProviderFor(record) {
+  return getEsignProvider(record?.esignProvider || docusealProvider.name)
+}
@@ -0,0 +1,517 @@
+import crypto from 'node:crypto'
+import { getDb } from '../db.js'
+import { renderPdfFromHtml } from '../pdf/renderer.js'
+import { getDefaultStorage, getStorageAdapter } from '../pdf/storage.js'
+import { ingestWebhookEvent } from '../webhook-events.js'
+import { ESIGN_STATUS } from './status.js'
+
+// Self-hosted signer. Takes the same HTML the DocuSeal HTML API does
+// (<signature-field name=.. role=..> and friends, see
+// lib/contracts/html/field-converter.js), fills in the prefilled values and
+// lets each submitter adopt a typed or drawn signature and initials on our
+// signing page (lib/esign/signing-page.js, served under /api/esign/local).
+// Once everyone has signed, the contract is rendered to a flattened PDF with
+// an audit page and kept through the PDF storage adapter. Status changes are
+// reported through the webhook event log as provider `local_signer`, in the
+// normalized event shape, so they reach the same handlers DocuSeal's do.
+export const ESIGN_SUBMISSIONS_COLLECTION = process.env.ESIGN_SUBMISSIONS_COLLECTION || 'esign_submissions'
+
+export const SIGNER_STATUS = Object.freeze({
+  PENDING: 'pending',
+  OPENED: 'opened',
+  COMPLETED: 'completed',
+  DECLINED: 'declined',
+})
+
+const FIELD_TAG = /<(text|signature|initials|date|number|checkbox|select|radio|image|file)-field\b([^>]*)>\s*<\/\1-field>/g
+const MAX_DRAWN_BYTES = 300 * 1024
+
+let indexesReady = null
+export function ensureEsignSubmissionIndexes() {
+  if (!indexesReady) {
+    indexesReady = getDb().then(db => db.collection(ESIGN_SUBMISSIONS_COLLECTION).createIndex({ 'submitters.token': 1 }, { unique: true }))
+      .catch(err => { indexesReady = null; throw err })
+  }
+  return indexesReady
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function parseAttributes(source) {
+  const attrs = {}
+  for (const [, key, value] of source.matchAll(/([\w-]+)="([^"]*)"/g)) attrs[key] = value
+  return attrs
+}
+
+/**
+ * Fields in contract HTML, once per name, in document order.
+ * @returns {Array<{ name, type, role, required: boolean }>}
+ */
+export function parseSigningFields(html) {
+  const fields = new Map()
+  for (const [, type, source] of String(html || '').matchAll(FIELD_TAG)) {
+    const attrs = parseAttributes(source)
+    if (!attrs.name || fields.has(attrs.name)) continue
+    fields.set(attrs.name, { name: attrs.name, type, role: attrs.role || null, required: attrs.required !== 'false' })
+  }
+  return [...fields.values()]
+}
+
+/** Replace every field element with what `render(field)` returns. */
+export function replaceSigningFields(html, render) {
+  return String(html || '').replace(FIELD_TAG, (match, type, source) => {
+    const attrs = parseAttributes(source)
+    return render({ name: attrs.name, type, role: attrs.role || null, required: attrs.required !== 'false' })
+  })
+}
+
+export function formatSigningDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+}
+
+function renderMark(mark, kind) {
+  if (mark?.type === 'drawn') return `<img class="esign-mark esign-${kind}" src="${mark.image}" alt="${kind}"/>`
+  return `<span class="esign-typed esign-${kind}">${escapeHtml(mark?.text)}</span>`
+}
+
+/**
+ * Static rendering of one field from the values and signatures collected so
+ * far. Used for the flattened PDF and for fields on the signing page that
+ * belong to someone else.
+ */
+export function renderStaticField(field, submission) {
+  const signer = (submission.submitters || []).find(s => s.role === field.role)
+  const value = submission.values?.[field.name]
+  const blank = `<span class="esign-blank esign-${field.type}"></span>`
+  switch (field.type) {
+    case 'signature':
+    case 'initials': {
+      const mark = signer?.status === SIGNER_STATUS.COMPLETED ? signer[field.type] : null
+      return mark ? renderMark(mark, field.type) : blank
+    }
+    case 'date':
+      if (value) return `<span class="esign-value">${escapeHtml(value)}</span>`
+      return signer?.completedAt ? `<span class="esign-value">${formatSigningDate(signer.completedAt)}</span>` : blank
+    case 'checkbox':
+      return `<span class="esign-value">${value === true || value === 'true' ? '&#9745;' : '&#9744;'}</span>`
+    case 'image':
+    case 'file':
+      return blank
+    default:
+      return value != null && value !== '' ? `<span class="esign-value">${escapeHtml(value)}</span>` : blank
+  }
+}
+
+export const FLAT_STYLES = `
+  .esign-value { font-weight: 600; }
+  .esign-blank { display: inline-block; min-width: 120px; border-bottom: 1px solid #999; }
+  .esign-blank.esign-initials { min-width: 48px; }
+  .esign-mark.esign-signature { height: 40px; vertical-align: bottom; }
+  .esign-mark.esign-initials { height: 24px; vertical-align: bottom; }
+  .esign-typed { font-family: 'Brush Script MT', 'Segoe Script', cursive; font-size: 20px; }
+  .esign-typed.esign-initials { font-size: 16px; }
+  .esign-audit { page-break-before: always; font-family: Arial, Helvetica, sans-serif; font-size: 11px; }
+  .esign-audit table { width: 100%; border-collapse: collapse; }
+  .esign-audit th, .esign-audit td { text-align: left; border-bottom: 1px solid #ddd; padding: 4px; vertical-align: top; }
+`
+
+/** Splice extra markup into a full HTML document. */
+export function injectIntoDocument(html, { head = '', bodyStart = '', bodyEnd = '' }) {
+  let out = String(html || '')
+  out = /<\/head>/i.test(out) ? out.replace(/<\/head>/i, `${head}</head>`) : head + out
+  out = /<body[^>]*>/i.test(out) ? out.replace(/<body[^>]*>/i, match => match + bodyStart) : bodyStart + out
+  out = /<\/body>/i.test(out) ? out.replace(/<\/body>/i, `${bodyEnd}</body>`) : out + bodyEnd
+  return out
+}
+
+function auditPage(submission, completedAt) {
+  const rows = submission.submitters.map(s => `
+    <tr>
+      <td>${escapeHtml(s.name)}<br/>${escapeHtml(s.email)}</td>
+      <td>${escapeHtml(s.role)}</td>
+      <td>${s.signature?.type || s.initials?.type || '—'}</td>
+      <td>${s.openedAt ? new Date(s.openedAt).toISOString() : '—'}</td>
+      <td>${s.completedAt ? new Date(s.completedAt).toISOString() : '—'}</td>
+      <td>${escapeHtml(s.ip || '—')}<br/>${escapeHtml((s.userAgent || '').slice(0, 120))}</td>
+    </tr>`).join('')
+  return `
+<div class="esign-audit">
+  <h2>Signature Certificate</h2>
+  <p>${escapeHtml(submission.name)}<br/>
+  Submission ${escapeHtml(submission._id)} · completed ${new Date(completedAt).toISOString()}<br/>
+  Document SHA-256 (before signing): ${escapeHtml(submission.documentHash)}</p>
+  <table>
+    <tr><th>Signer</th><th>Role</th><th>Method</th><th>Opened</th><th>Signed</th><th>IP / device</th></tr>
+    ${rows}
+  </table>
+</div>`
+}
+
+/** The signed contract with every field flattened, plus the audit page. */
+export function renderFlattenedHtml(submission, { completedAt = new Date() } = {}) {
+  const body = replaceSigningFields(submission.html, field => renderStaticField(field, submission))
+  return injectIntoDocument(body, { head: `<style>${FLAT_STYLES}</style>`, bodyEnd: auditPage(submission, completedAt) })
+}
+
+function signerPath(token) {
+  return `${process.env.APP_URL || ''}/api/esign/local/${token}`
+}
+
+// Roles a field can be filled by on this submission; fields for roles nobody
+// was invited as (a co-buyer line with no co-buyer) stay blank
+function activeFields(submission, role) {
+  const roles = new Set(submission.submitters.map(s => s.role))
+  return submission.fields.filter(f => roles.has(f.role) && (!role || f.role === role))
+}
+
+async function collection() {
+  await ensureEsignSubmissionIndexes()
+  const db = await getDb()
+  return db.collection(ESIGN_SUBMISSIONS_COLLECTION)
+}
+
+async function emit(submission, type, { role = null, submitterId = null } = {}) {
+  const payload = {
+    provider: 'local',
+    type,
+    submissionId: submission._id,
+    submitterId,
+    role,
+    documentUrl: null,
+    auditTrailUrl: null,
+  }
+  try {
+    const eventId = submitterId ? `${submission._id}:${type}:${submitterId}` : `${submission._id}:${type}`
+    await ingestWebhookEvent({ provider: 'local_signer', eventId, type, payload, headers: {}, meta: { local: true } })
+  } catch (err) {
+    console.error('[LOCAL_SIGNER] Failed to record event:', type, err?.message || err)
+  }
+}
+
+/**
+ * Create a submission from contract HTML.
+ * @returns {Promise<{ submissionId, signerUrl, submitters: Array<{ id, role, email, embedUrl }> }>}
+ */
+export async function createLocalSubmission({ html, name, values = {}, submitters = [], order = 'preserved', completedRedirectUrl = null, cancelRedirectUrl = null, metadata = {} }) {
+  if (!html) throw new Error('Local signing needs the contract HTML')
+  if (!submitters.length) throw new Error('Local signing needs at least one submitter')
+  const now = new Date()
+  const filled = replaceSigningFields(html, field => renderStaticField(field, { values, submitters: [] }))
+  const submission = {
+    _id: `les_${crypto.randomBytes(12).toString('hex')}`,
+    name: name || 'Contract',
+    html,
+    fields: parseSigningFields(html),
+    values: Object.fromEntries(Object.entries(values).map(([k, v]) => [k, v == null ? '' : String(v)])),
+    documentHash: crypto.createHash('sha256').update(filled).digest('hex'),
+    order: order === 'random' ? 'random' : 'preserved',
+    submitters: submitters.map((s, i) => ({
+      id: `${i + 1}`,
+      role: s.role,
+      name: s.name || '',
+      email: s.email || '',
+      token: crypto.randomBytes(24).toString('base64url'),
+      status: SIGNER_STATUS.PENDING,
+    })),
+    status: ESIGN_STATUS.PENDING,
+    completedRedirectUrl,
+    cancelRedirectUrl,
+    metadata,
+    document: null,
+    events: [{ type: 'created', at: now }],
+    createdAt: now,
+    updatedAt: now,
+  }
+  const col = await collection()
+  await col.insertOne(submission)
+  const signers = submission.submitters.map(s => ({ id: s.id, role: s.role, email: s.email, embedUrl: signerPath(s.token) }))
+  return { submissionId: submission._id, signerUrl: signers[0].embedUrl, submitters: signers }
+}
+
+export async function getLocalSubmission(submissionId) {
+  const col = await collection()
+  return col.findOne({ _id: String(submissionId) })
+}
+
+export async function findLocalSubmissionByToken(token) {
+  if (!token) return null
+  const col = await collection()
+  const submission = await col.findOne({ 'submitters.token': String(token) })
+  if (!submission) return null
+  return { submission, submitter: submission.submitters.find(s => s.token === String(token)) }
+}
+
+/** Whether it is this submitter's turn; with preserved order everyone before them must have signed. */
+export function canSign(submission, submitter) {
+  if (submission.status === ESIGN_STATUS.DECLINED || submission.status === ESIGN_STATUS.COMPLETED) return false
+  if (submitter.status === SIGNER_STATUS.COMPLETED || submitter.status === SIGNER_STATUS.DECLINED) return false
+  if (submission.order !== 'preserved') return true
+  const index = submission.submitters.indexOf(submitter)
+  return submission.submitters.slice(0, index).every(s => s.status === SIGNER_STATUS.COMPLETED)
+}
+
+/** Record the first time a submitter opens their link. */
+export async function openLocalSigning(token, { ip = null, userAgent = null } = {}) {
+  const found = await findLocalSubmissionByToken(token)
+  if (!found) return { error: 'not_found', message: 'This signing link is not valid' }
+  const { submission, submitter } = found
+  if (submitter.openedAt || !canSign(submission, submitter)) return found
+
+  const now = new Date()
+  const col = await collection()
+  await col.updateOne(
+    { _id: submission._id, 'submitters.token': submitter.token },
+    {
+      $set: {
+        'submitters.$.status': SIGNER_STATUS.OPENED,
+        'submitters.$.openedAt': now,
+        ...(submission.status === ESIGN_STATUS.PENDING ? { status: ESIGN_STATUS.IN_PROGRESS } : {}),
+        updatedAt: now,
+      },
+      $push: { events: { type: 'opened', role: submitter.role, at: now, ip, userAgent } },
+    }
+  )
+  const opened = { ...submitter, status: SIGNER_STATUS.OPENED, openedAt: now }
+  const updated = {
+    ...submission,
+    status: submission.status === ESIGN_STATUS.PENDING ? ESIGN_STATUS.IN_PROGRESS : submission.status,
+    submitters: submission.submitters.map(s => (s.token === token ? opened : s)),
+  }
+  await emit(updated, 'started', { role: submitter.role, submitterId: submitter.id })
+  return { submission: updated, submitter: opened }
+}
+
+function readMark(input, kind) {
+  if (!input || !input.value) return { mark: null }
+  if (input.type === 'drawn') {
+    const image = String(input.value)
+    if (!/^data:image\/png;base64,[A-Za-z0-9+/=]+$/.test(image)) return { error: 'invalid_signature', message: `The drawn ${kind} could not be read` }
+    if (image.length > MAX_DRAWN_BYTES) return { error: 'invalid_signature', message: `The drawn ${kind} is too large` }
+    return { mark: { type: 'drawn', image } }
+  }
+  const text = String(input.value).trim().slice(0, 100)
+  return { mark: text ? { type: 'typed', text } : null }
+}
+
+/**
+ * Check a submitter's signing payload against the fields they own.
+ * @param {Object} input - { signature, initials: { type: 'typed'|'drawn', value }, values: { [field]: value } }
+ * @returns {{ signature, initials, values: Object } | { error: string, message: string }}
+ */
+export function validateSigningInput(submission, submitter, input = {}) {
+  const signature = readMark(input.signature, 'signature')
+  if (signature.error) return signature
+  const initials = readMark(input.initials, 'initials')
+  if (initials.error) return initials
+
+  const values = {}
+  const missing = []
+  for (const field of activeFields(submission, submitter.role)) {
+    if (field.type === 'signature' || field.type === 'initials') {
+      if (field.required && !(field.type === 'signature' ? signature.mark : initials.mark)) missing.push(field.name)
+      continue
+    }
+    // Prefilled values are part of the contract and cannot be changed
+    if (submission.values?.[field.name]) continue
+    if (field.type === 'date') continue
+    const raw = input.values?.[field.name]
+    const value = field.type === 'checkbox' ? (raw === true || raw === 'true') : String(raw ?? '').trim().slice(0, 500)
+    if (field.required && (value === '' || value === false)) missing.push(field.name)
+    if (value !== '' && value !== false) values[field.name] = value
+  }
+  if (missing.length) return { error: 'fields_missing', message: `Complete every required field (${missing.join(', ')})`, fields: missing }
+  return { signature: signature.mark, initials: initials.mark, values }
+}
+
+/**
+ * Render, store and record the signed PDF once every submitter has signed.
+ * Safe to call again after a failed render.
+ */
+export async function finalizeLocalSubmission(submissionId) {
+  const submission = await getLocalSubmission(submissionId)
+  if (!submission) return { error: 'not_found' }
+  if (submission.document) return { submission }
+  if (!submission.submitters.every(s => s.status === SIGNER_STATUS.COMPLETED)) return { submission, pending: true }
+
+  const completedAt = new Date(Math.max(...submission.submitters.map(s => new Date(s.completedAt).getTime())))
+  const buffer = await renderPdfFromHtml(renderFlattenedHtml(submission, { completedAt }))
+  const storage = getDefaultStorage()
+  const ref = await storage.save({ buffer, key: `esign/${submission._id}/signed.pdf` })
+  const document = {
+    storage: storage.name,
+    ref,
+    size: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    createdAt: new Date(),
+  }
+  const col = await collection()
+  await col.updateOne(
+    { _id: submission._id, document: null },
+    { $set: { document, status: ESIGN_STATUS.COMPLETED, completedAt, updatedAt: new Date() }, $push: { events: { type: 'completed', at: completedAt } } }
+  )
+  const completed = { ...submission, document, status: ESIGN_STATUS.COMPLETED, completedAt }
+  await emit(completed, 'completed')
+  return { submission: completed, buffer }
+}
+
+/**
+ * Save a submitter's signatures and values, and finish the submission when
+ * they were the last to sign.
+ * @returns {Promise<{ submission, submitter, completed: boolean } | { error: string, message: string }>}
+ */
+export async function submitLocalSigning(token, input, { ip = null, userAgent = null } = {}) {
+  const found = await findLocalSubmissionByToken(token)
+  if (!found) return { error: 'not_found', message: 'This signing link is not valid' }
+  const { submission, submitter } = found
+  if (submitter.status === SIGNER_STATUS.COMPLETED) {
+    // A retry after the PDF failed to render
+    const result = await finalizeLocalSubmission(submission._id)
+    return { submission: result.submission, submitter, completed: !!result.submission?.document }
+  }
+  if (!canSign(submission, submitter)) {
+    if (submission.status === ESIGN_STATUS.DECLINED) return { error: 'submission_declined', message: 'This contract was declined' }
+    return { error: 'not_your_turn', message: 'Another signer needs to sign first' }
+  }
+
+  const checked = validateSigningInput(submission, submitter, input)
+  if (checked.error) return checked
+
+  const now = new Date()
+  const $set = {
+    'submitters.$.status': SIGNER_STATUS.COMPLETED,
+    'submitters.$.completedAt': now,
+    'submitters.$.signature': checked.signature,
+    'submitters.$.initials': checked.initials,
+    'submitters.$.ip': ip,
+    'submitters.$.userAgent': userAgent,
+    status: ESIGN_STATUS.IN_PROGRESS,
+    updatedAt: now,
+  }
+  if (!submitter.openedAt) $set['submitters.$.openedAt'] = now
+  for (const [name, value] of Object.entries(checked.values)) $set[`values.${name}`] = value
+
+  const col = await collection()
+  const result = await col.updateOne(
+    { _id: submission._id, submitters: { $elemMatch: { token: submitter.token, status: { $ne: SIGNER_STATUS.COMPLETED } } } },
+    { $set, $push: { events: { type: 'signed', role: submitter.role, at: now, ip, userAgent } } }
+  )
+  if (!result.modifiedCount) return { error: 'already_signed', message: 'This link was already used to sign' }
+  await emit(submission, 'signed', { role: submitter.role, submitterId: submitter.id })
+
+  const finalized = await finalizeLocalSubmission(submission._id)
+  return {
+    submission: finalized.submission,
+    submitter: { ...submitter, status: SIGNER_STATUS.COMPLETED, completedAt: now },
+    completed: !!finalized.submission?.document,
+  }
+}
+
+export async function declineLocalSigning(token, { reason = '', ip = null, userAgent = null } = {}) {
+  const found = await findLocalSubmissionByToken(token)
+  if (!found) return { error: 'not_found', message: 'This signing link is not valid' }
+  const { submission, submitter } = found
+  if (!canSign(submission, submitter)) return { error: 'submission_closed', message: 'This contract can no longer be declined' }
+
+  const now = new Date()
+  const col = await collection()
+  await col.updateOne(
+    { _id: submission._id, 'submitters.token': submitter.token },
+    {
+      $set: {
+        'submitters.$.status': SIGNER_STATUS.DECLINED,
+        'submitters.$.declinedAt': now,
+        'submitters.$.declineReason': String(reason || '').slice(0, 500),
+        status: ESIGN_STATUS.DECLINED,
+        updatedAt: now,
+      },
+      $push: { events: { type: 'declined', role: submitter.role, at: now, ip, userAgent } },
+    }
+  )
+  const declined = { ...submission, status: ESIGN_STATUS.DECLINED }
+  await emit(declined, 'declined', { role: submitter.role, submitterId: submitter.id })
+  return { submission: declined }
+}
+
+async function readSignedPdf(submissionId) {
+  const finalized = await finalizeLocalSubmission(submissionId)
+  if (finalized.error) throw new Error('Local submission not found')
+  if (!finalized.submission.document) throw new Error('Contract is not signed by everyone yet')
+  if (finalized.buffer) return finalized.buffer
+  const { storage, ref } = finalized.submission.document
+  return getStorageAdapter(storage).read(ref)
+}
+
+/** The signed PDF for whoever holds a signer link on the submission. */
+export async function readLocalSignedDocument(token) {
+  const found = await findLocalSubmissionByToken(token)
+  if (!found) return { error: 'not_found' }
+  if (found.submission.status !== ESIGN_STATUS.COMPLETED) return { error: 'not_completed' }
+  return { submission: found.submission, buffer: await readSignedPdf(found.submission._id) }
+}
+
+export const localSigner = {
+  name: 'local',
+  isAvailable: () => true,
+
+  async templateFields(template) {
+    return typeof template?.html === 'function' ? parseSigningFields(template.html()).map(f => f.name) : []
+  },
+
+  async createSubmission({ template, html, name, prefill, fieldsPrefill, submitters, order, completedRedirectUrl, cancelRedirectUrl, metadata }) {
+    const source = html || (typeof template?.html === 'function' ? template.html() : null)
+    return createLocalSubmission({
+      html: source,
+      name: name || template?.name,
+      values: { ...(prefill || {}), ...(fieldsPrefill || {}) },
+      submitters,
+      order,
+      completedRedirectUrl,
+      cancelRedirectUrl,
+      metadata,
+    })
+  },
+
+  async embedSession(submissionId, { role } = {}) {
+    const submission = await getLocalSubmission(submissionId)
+    const submitter = submission?.submitters.find(s => !role || s.role === role)
+    return submitter ? { embedUrl: signerPath(submitter.token), role: submitter.role } : null
+  },
+
+  async getStatus(submissionId) {
+    const submission = await getLocalSubmission(submissionId)
+    if (!submission) throw new Error(`Local submission ${submissionId} not found`)
+    return {
+      status: submission.status,
+      completedAt: submission.completedAt || null,
+      submitters: submission.submitters.map(s => ({
+        role: s.role,
+        email: s.email,
+        status: s.status === SIGNER_STATUS.COMPLETED ? ESIGN_STATUS.COMPLETED
+          : s.status === SIGNER_STATUS.DECLINED ? ESIGN_STATUS.DECLINED
+            : s.status === SIGNER_STATUS.OPENED ? ESIGN_STATUS.IN_PROGRESS : ESIGN_STATUS.PENDING,
+        completedAt: s.completedAt || null,
+      })),
+    }
+  },
+
+  async documentUrl(submissionId) {
+    const submission = await getLocalSubmission(submissionId)
+    return submission ? `${signerPath(submission.submitters[0].token)}/document` : null
+  },
+
+  async download(submissionId) {
+    return readSignedPdf(submissionId)
+  },
+
+  // Events come from this process, never from outside
+  verifyWebhook: () => false,
+
+  normalizeWebhook: (payload) => payload,
+}
@@ -0,0 +1,283 @@
+import {
+  FLAT_STYLES,
+  SIGNER_STATUS,
+  canSign,
+  escapeHtml,
+  formatSigningDate,
+  injectIntoDocument,
+  renderStaticField,
+  replaceSigningFields,
+} from './local-signer.js'
+import { ESIGN_STATUS } from './status.js'
+
+// The local signer's signing page: the contract itself, with the current
+// submitter's fields made interactive, a toolbar and the dialog for adopting
+// a typed or drawn signature and initials. Served as a standalone page so it
+// works opened in a new tab or embedded in the checkout iframe.
+
+const PAGE_STYLES = `
+  body { padding-top: 64px !important; }
+  .esign-bar { position: fixed; top: 0; left: 0; right: 0; z-index: 10; display: flex; align-items: center; gap: 12px; padding: 12px 20px; background: #111827; color: #f9fafb; font-family: Arial, Helvetica, sans-serif; font-size: 14px; }
+  .esign-bar .esign-grow { flex: 1; }
+  .esign-btn { border: 0; border-radius: 6px; padding: 8px 14px; font-size: 14px; cursor: pointer; background: #f59e0b; color: #111827; font-weight: 600; }
+  .esign-btn.esign-secondary { background: transparent; color: inherit; border: 1px solid currentColor; font-weight: 400; }
+  .esign-btn:disabled { opacity: .5; cursor: default; }
+  .esign-slot { display: inline-block; min-width: 160px; min-height: 36px; border: 2px dashed #f59e0b; background: #fffbeb; border-radius: 4px; cursor: pointer; font-size: 12px; color: #92400e; vertical-align: bottom; }
+  .esign-slot.esign-initials { min-width: 64px; min-height: 28px; }
+  .esign-slot.esign-filled { border-style: solid; background: #fff; }
+  .esign-slot.esign-missing { border-color: #dc2626; }
+  .esign-input { border: 1px solid #f59e0b; background: #fffbeb; padding: 2px 4px; font-size: 12px; }
+  .esign-dialog { position: fixed; inset: 0; z-index: 20; display: none; align-items: center; justify-content: center; background: rgba(17, 24, 39, .6); font-family: Arial, Helvetica, sans-serif; }
+  .esign-dialog.esign-open { display: flex; }
+  .esign-panel { background: #fff; border-radius: 8px; padding: 20px; width: 560px; max-width: 94vw; }
+  .esign-tabs button { margin-right: 8px; }
+  .esign-tabs button.esign-active { background: #111827; color: #fff; }
+  .esign-panel canvas { border: 1px solid #ccc; border-radius: 4px; width: 100%; height: 160px; touch-action: none; }
+  .esign-panel input[type=text] { width: 100%; padding: 8px; font-size: 16px; box-sizing: border-box; }
+  .esign-preview { font-family: 'Brush Script MT', 'Segoe Script', cursive; font-size: 32px; min-height: 48px; margin-top: 8px; }
+  .esign-actions { margin-top: 16px; display: flex; justify-content: flex-end; gap: 8px; }
+  .esign-error { color: #fca5a5; }
+`
+
+const SCRIPT = `
+(function () {
+  var marks = { signature: null, initials: null };
+  var kind = null;
+  var mode = 'type';
+  var drawn = false;
+  var dialog = document.getElementById('esign-dialog');
+  var canvas = document.getElementById('esign-canvas');
+  var ctx = canvas.getContext('2d');
+  var typed = document.getElementById('esign-typed');
+  var preview = document.getElementById('esign-preview');
+  var status = document.getElementById('esign-status');
+  var defaults = JSON.parse(document.getElementById('esign-data').textContent);
+
+  function slots(k) { return document.querySelectorAll('.esign-slot[data-kind="' + k + '"]'); }
+
+  function show(k) {
+    slots(k).forEach(function (slot) {
+      var mark = marks[k];
+      slot.classList.toggle('esign-filled', !!mark);
+      slot.classList.remove('esign-missing');
+      slot.innerHTML = '';
+      if (!mark) { slot.textContent = k === 'signature' ? 'Sign here' : 'Initial'; return; }
+      if (mark.type === 'drawn') {
+        var img = document.createElement('img');
+        img.src = mark.value;
+        img.className = 'esign-mark esign-' + k;
+        slot.appendChild(img);
+      } else {
+        var span = document.createElement('span');
+        span.className = 'esign-typed esign-' + k;
+        span.textContent = mark.value;
+        slot.appendChild(span);
+      }
+    });
+  }
+
+  function setMode(next) {
+    mode = next;
+    document.getElementById('esign-type-pane').style.display = mode === 'type' ? '' : 'none';
+    document.getElementById('esign-draw-pane').style.display = mode === 'draw' ? '' : 'none';
+    document.getElementById('esign-tab-type').classList.toggle('esign-active', mode === 'type');
+    document.getElementById('esign-tab-draw').classList.toggle('esign-active', mode === 'draw');
+  }
+
+  function clearCanvas() {
+    var rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width;
+    canvas.height = rect.height;
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = '#111827';
+    drawn = false;
+  }
+
+  function open(k) {
+    kind = k;
+    document.getElementById('esign-dialog-title').textContent = k === 'signature' ? 'Adopt your signature' : 'Adopt your initials';
+    typed.value = k === 'signature' ? defaults.name : defaults.initials;
+    preview.textContent = typed.value;
+    dialog.classList.add('esign-open');
+    setMode('type');
+    clearCanvas();
+  }
+
+  function close() { dialog.classList.remove('esign-open'); kind = null; }
+
+  function adopt() {
+    if (mode === 'type') {
+      var text = typed.value.trim();
+      if (!text) return;
+      marks[kind] = { type: 'typed', value: text };
+    } else {
+      if (!drawn) return;
+      marks[kind] = { type: 'drawn', value: canvas.toDataURL('image/png') };
+    }
+    show(kind);
+    close();
+  }
+
+  var drawing = false;
+  function point(e) {
+    var rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+  canvas.addEventListener('pointerdown', function (e) {
+    drawing = true;
+    canvas.setPointerCapture(e.pointerId);
+    var p = point(e);
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+  });
+  canvas.addEventListener('pointermove', function (e) {
+    if (!drawing) return;
+    var p = point(e);
+    ctx.lineTo(p.x, p.y);
+    ctx.stroke();
+    drawn = true;
+  });
+  canvas.addEventListener('pointerup', function () { drawing = false; });
+
+  typed.addEventListener('input', function () { preview.textContent = typed.value; });
+  document.getElementById('esign-tab-type').addEventListener('click', function () { setMode('type'); });
+  document.getElementById('esign-tab-draw').addEventListener('click', function () { setMode('draw'); clearCanvas(); });
+  document.getElementById('esign-clear').addEventListener('click', clearCanvas);
+  document.getElementById('esign-cancel').addEventListener('click', close);
+  document.getElementById('esign-adopt').addEventListener('click', adopt);
+
+  document.querySelectorAll('.esign-slot').forEach(function (slot) {
+    slot.addEventListener('click', function () { open(slot.getAttribute('data-kind')); });
+  });
+  show('signature');
+  show('initials');
+
+  function post(url, body) {
+    return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+      .then(function (res) { return res.json().then(function (json) { return { ok: res.ok, json: json }; }); });
+  }
+
+  function done(json) {
+    if (json.redirectUrl) { window.location.href = json.redirectUrl; return; }
+    window.location.reload();
+  }
+
+  var finish = document.getElementById('esign-finish');
+  finish.addEventListener('click', function () {
+    var missing = 0;
+    document.querySelectorAll('.esign-slot[data-required="true"]').forEach(function (slot) {
+      if (!marks[slot.getAttribute('data-kind')]) { slot.classList.add('esign-missing'); missing++; }
+    });
+    var values = {};
+    document.querySelectorAll('[data-field]').forEach(function (input) {
+      var value = input.type === 'checkbox' ? input.checked : input.value.trim();
+      if (input.getAttribute('data-required') === 'true' && !value) missing++;
+      values[input.getAttribute('data-field')] = value;
+    });
+    if (missing) { status.textContent = 'Complete the highlighted fields first.'; status.className = 'esign-error'; return; }
+    finish.disabled = true;
+    status.textContent = 'Signing…';
+    status.className = '';
+    post(window.location.pathname, { signature: marks.signature, initials: marks.initials, values: values }).then(function (r) {
+      if (!r.ok) { finish.disabled = false; status.textContent = r.json.message || 'Signing failed'; status.className = 'esign-error'; return; }
+      done(r.json);
+    }).catch(function () { finish.disabled = false; status.textContent = 'Signing failed, try again.'; status.className = 'esign-error'; });
+  });
+
+  document.getElementById('esign-decline').addEventListener('click', function () {
+    var reason = window.prompt('Why are you declining to sign?');
+    if (reason === null) return;
+    post(window.location.pathname + '/decline', { reason: reason }).then(function (r) {
+      if (!r.ok) { status.textContent = r.json.message || 'Could not decline'; status.className = 'esign-error'; return; }
+      if (defaults.cancelRedirectUrl) { window.location.href = defaults.cancelRedirectUrl; return; }
+      window.location.reload();
+    });
+  });
+})();
+`
+
+function dialogMarkup() {
+  return `
+<div class="esign-dialog" id="esign-dialog" role="dialog" aria-modal="true" aria-labelledby="esign-dialog-title">
+  <div class="esign-panel">
+    <h3 id="esign-dialog-title">Adopt your signature</h3>
+    <div class="esign-tabs">
+      <button type="button" class="esign-btn esign-secondary" id="esign-tab-type">Type</button>
+      <button type="button" class="esign-btn esign-secondary" id="esign-tab-draw">Draw</button>
+    </div>
+    <div id="esign-type-pane" style="margin-top:12px">
+      <input type="text" id="esign-typed" maxlength="100" aria-label="Typed signature"/>
+      <div class="esign-preview" id="esign-preview"></div>
+    </div>
+    <div id="esign-draw-pane" style="margin-top:12px;display:none">
+      <canvas id="esign-canvas" aria-label="Draw your signature"></canvas>
+      <button type="button" class="esign-btn esign-secondary" id="esign-clear" style="color:#111827;margin-top:8px">Clear</button>
+    </div>
+    <p style="font-size:12px;color:#555">By adopting and applying this mark you agree it is your legal electronic signature on this document.</p>
+    <div class="esign-actions">
+      <button type="button" class="esign-btn esign-secondary" id="esign-cancel" style="color:#111827">Cancel</button>
+      <button type="button" class="esign-btn" id="esign-adopt">Adopt and apply</button>
+    </div>
+  </div>
+</div>`
+}
+
+function interactiveField(field, submission, submitter) {
+  const required = field.required ? 'true' : 'false'
+  switch (field.type) {
+    case 'signature':
+    case 'initials':
+      return `<button type="button" class="esign-slot esign-${field.type}" data-kind="${field.type}" data-required="${required}"></button>`
+    case 'date':
+      return submission.values?.[field.name]
+        ? renderStaticField(field, submission)
+        : `<span class="esign-value">${formatSigningDate(new Date())}</span>`
+    case 'checkbox':
+      return `<input type="checkbox" data-field="${escapeHtml(field.name)}" data-required="${required}"/>`
+    case 'image':
+    case 'file':
+      return renderStaticField(field, submission)
+    default:
+      if (submission.values?.[field.name]) return renderStaticField(field, submission)
+      return `<input type="text" class="esign-input" data-field="${escapeHtml(field.name)}" data-required="${required}" value="${field.name.endsWith('_name') ? escapeHtml(submitter.name) : ''}"/>`
+  }
+}
+
+function banner(submission, submitter) {
+  if (submission.status === ESIGN_STATUS.DECLINED) return 'This contract was declined and can no longer be signed.'
+  if (submitter.status === SIGNER_STATUS.COMPLETED) {
+    return submission.status === ESIGN_STATUS.COMPLETED
+      ? `Signed by everyone. <a href="${escapeHtml(submitter.token)}/document" style="color:#fbbf24">Download the signed PDF</a>`
+      : 'You have signed. We will let you know once everyone else has.'
+  }
+  return 'Waiting for another signer to sign first.'
+}
+
+/**
+ * @param {Object} submission - Local submission record
+ * @param {Object} submitter - The submitter whose link was opened
+ * @returns {string} Complete HTML document
+ */
+export function renderSigningPage(submission, submitter) {
+  const active = canSign(submission, submitter)
+  const roles = new Set(submission.submitters.map(s => s.role))
+  const body = replaceSigningFields(submission.html, field => {
+    if (active && field.role === submitter.role && roles.has(field.role)) return interactiveField(field, submission, submitter)
+    return renderStaticField(field, submission)
+  })
+
+  const initials = submitter.name.split(/\s+/).filter(Boolean).map(w => w[0].toUpperCase()).join('')
+  const data = JSON.stringify({ name: submitter.name, initials, cancelRedirectUrl: submission.cancelRedirectUrl || null }).replace(/</g, '\\u003c')
+  const bar = active
+    ? `<div class="esign-bar"><span class="esign-grow">${escapeHtml(submission.name)} · signing as ${escapeHtml(submitter.name || submitter.role)}</span><span id="esign-status"></span><button type="button" class="esign-btn esign-secondary" id="esign-decline">Decline</button><button type="button" class="esign-btn" id="esign-finish">Finish signing</button></div>`
+    : `<div class="esign-bar"><span class="esign-grow">${escapeHtml(submission.name)}</span><span>${banner(submission, submitter)}</span></div>`
+
+  return injectIntoDocument(body, {
+    head: `<meta name="viewport" content="width=device-width, initial-scale=1"/><style>${FLAT_STYLES}${PAGE_STYLES}</style>`,
+    bodyStart: bar,
+    bodyEnd: active
+      ? `${dialogMarkup()}<script type="application/json" id="esign-data">${data}</script><script>${SCRIPT}</script>`
+      : '',
+  })
+}
@@ -0,0 +1,8 @@
+// Submission statuses every e-signature provider reports in
+export const ESIGN_STATUS = Object.freeze({
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+})
@@ -0,0 +1,575 @@
+import crypto from 'node:crypto'
+
+// In-memory stand-in for the parts of the Stripe SDK this app uses, for local
+// development, demos and tests without a Stripe account or network. Objects
+// carry Stripe's field names and statuses, errors carry Stripe's `type` and
+// `code`, and every state change emits the matching Stripe event to
+// `onEvent`. Events are delivered in order after the call that caused them
+// returns, as Stripe's webhooks would be; `flushEvents()` waits for them.
+//
+// Test payment methods follow Stripe's test tokens:
+//   pm_card_visa                     succeeds
+//   pm_card_chargeDeclined           declines (StripeCardError card_declined)
+//   pm_card_authenticationRequired   stops at requires_action (3-D Secure)
+//   pm_usBankAccount                 ACH debit: setup needs microdeposit
+//                                    verification, payments settle later
+// Microdeposits verify with amounts [32, 45] or descriptor code SM11AA.
+// The `testHelpers` namespace drives what would happen outside the API:
+// settling ACH debits, receiving bank transfers and (in the browser) the
+// buyer confirming an intent.
+
+const TEST_CARDS = {
+  pm_card_visa: { brand: 'visa', last4: '4242' },
+  pm_card_chargeDeclined: { brand: 'visa', last4: '0002', decline: 'card_declined' },
+  pm_card_authenticationRequired: { brand: 'visa', last4: '3184', authenticate: true },
+}
+const MICRODEPOSIT_AMOUNTS = [32, 45]
+const MICRODEPOSIT_DESCRIPTOR = 'SM11AA'
+
+export function fakeStripeError(type, message, extra = {}) {
+  const err = new Error(message)
+  err.type = type
+  err.statusCode = type === 'StripeCardError' ? 402 : 400
+  Object.assign(err, extra)
+  err.raw = { type, message, ...extra }
+  return err
+}
+
+const notFound = (what, id) => fakeStripeError('StripeInvalidRequestError', `No such ${what}: '${id}'`, { code: 'resource_missing' })
+
+/** Stripe-style webhook signature header: "t=<ts>,v1=<hmac of ts.payload>". */
+export function signFakePayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${payload}`).digest('hex')
+  return `t=${timestamp},v1=${signature}`
+}
+
+// Stripe search queries as used here: clauses joined by AND, each
+// metadata['key']:'value' or field:'value'
+function matchesSearch(object, query) {
+  return String(query || '').split(/\s+AND\s+/i).filter(Boolean).every(clause => {
+    const meta = clause.match(/^metadata\['([^']+)'\]:'([^']*)'$/)
+    if (meta) return object.metadata?.[meta[1]] === meta[2]
+    const field = clause.match(/^(\w+):'([^']*)'$/)
+    return field ? String(object[field[1]]) === field[2] : false
+  })
+}
+
+/**
+ * @param {Object} opts
+ * @param {Function} opts.onEvent - Called with each emitted Stripe event
+ * @param {Function} opts.now - Clock, for tests
+ */
+export function createFakeStripe({ onEvent = null, now = () => Date.now() } = {}) {
+  const store = new Map()
+  const events = []
+  let delivery = Promise.resolve()
+
+  const created = () => Math.floor(now() / 1000)
+  const newId = (prefix) => `${prefix}_fake${crypto.randomBytes(8).toString('hex')}`
+  const save = (object) => { store.set(object.id, object); return object }
+  const copy = (object) => structuredClone(object)
+  const get = (id, object, what) => {
+    const found = store.get(id)
+    if (!found || found.object !== object) throw notFound(what, id)
+    return found
+  }
+  const list = (object, filter = () => true) => [...store.values()].filter(o => o.object === object && filter(o))
+
+  function emit(type, object) {
+    const event = { id: newId('evt'), object: 'event', type, created: created(), livemode: false, data: { object: copy(object) } }
+    events.push(event)
+    if (onEvent) {
+      delivery = delivery
+        .then(() => new Promise(resolve => setTimeout(resolve, 0)))
+        .then(() => onEvent(event))
+        .catch(err => console.error(`[FAKE_STRIPE] Delivering ${type} failed:`, err?.message || err))
+    }
+    return event
+  }
+
+  // ----- Payment methods -----
+
+  function paymentMethod(id) {
+    if (store.has(id)) return get(id, 'payment_method', 'payment_method')
+    if (TEST_CARDS[id]) {
+      const { brand, last4 } = TEST_CARDS[id]
+      return save({ id, object: 'payment_method', type: 'card', customer: null, card: { brand, last4, exp_month: 12, exp_year: new Date(now()).getUTCFullYear() + 3 }, metadata: {} })
+    }
+    if (id === 'pm_usBankAccount') {
+      return save({ id, object: 'payment_method', type: 'us_bank_account', customer: null, us_bank_account: { bank_name: 'STRIPE TEST BANK', last4: '6789', account_type: 'checking' }, metadata: {} })
+    }
+    throw notFound('payment_method', id)
+  }
+
+  // Card behaviour is keyed by the token the method was made from
+  const behaviour = (pm) => TEST_CARDS[pm.testToken || pm.id] || {}
+
+  const paymentMethods = {
+    async create({ type = 'card', card = {}, billing_details = {}, metadata = {} } = {}) {
+      const token = card.token && TEST_CARDS[card.token] ? card.token : 'pm_card_visa'
+      const base = type === 'us_bank_account' ? paymentMethod('pm_usBankAccount') : paymentMethod(token)
+      return copy(save({ ...copy(base), id: newId('pm'), testToken: base.id, billing_details, metadata }))
+    },
+    async retrieve(id) {
+      return copy(paymentMethod(id))
+    },
+    async attach(id, { customer } = {}) {
+      const pm = paymentMethod(id)
+      get(customer, 'customer', 'customer')
+      pm.customer = customer
+      emit('payment_method.attached', pm)
+      return copy(pm)
+    },
+  }
+
+  // ----- Customers -----
+
+  const customers = {
+    async create(params = {}) {
+      const customer = save({ id: newId('cus'), object: 'customer', created: created(), email: params.email || null, name: params.name || null, metadata: { ...(params.metadata || {}) } })
+      emit('customer.created', customer)
+      return copy(customer)
+    },
+    async retrieve(id) {
+      return copy(get(id, 'customer', 'customer'))
+    },
+  }
+
+  // ----- Setup intents -----
+
+  function confirmSetup(intent, paymentMethodId) {
+    if (paymentMethodId) intent.payment_method = paymentMethodId
+    if (!intent.payment_method) throw fakeStripeError('StripeInvalidRequestError', 'You must provide a payment method to confirm this SetupIntent', { code: 'payment_method_missing' })
+    const pm = paymentMethod(intent.payment_method)
+    if (pm.type === 'us_bank_account') {
+      intent.status = 'requires_action'
+      intent.next_action = { type: 'verify_with_microdeposits', verify_with_microdeposits: { microdeposit_type: 'amounts', arrival_date: created() + 2 * 86400 } }
+      emit('setup_intent.requires_action', intent)
+      return intent
+    }
+    const card = behaviour(pm)
+    if (card.decline) {
+      intent.status = 'requires_payment_method'
+      intent.last_setup_error = { type: 'card_error', code: card.decline, message: 'Your card was declined.' }
+      emit('setup_intent.setup_failed', intent)
+      throw fakeStripeError('StripeCardError', 'Your card was declined.', { code: card.decline, decline_code: 'generic_decline' })
+    }
+    if (card.authenticate && intent.status !== 'requires_action') {
+      intent.status = 'requires_action'
+      intent.next_action = { type: 'use_stripe_sdk' }
+      return intent
+    }
+    return succeedSetup(intent)
+  }
+
+  function succeedSetup(intent) {
+    intent.status = 'succeeded'
+    intent.next_action = null
+    const pm = paymentMethod(intent.payment_method)
+    if (intent.customer && !pm.customer) pm.customer = intent.customer
+    emit('setup_intent.succeeded', intent)
+    return intent
+  }
+
+  const setupIntents = {
+    async create(params = {}) {
+      if (params.customer) get(params.customer, 'customer', 'customer')
+      const id = newId('seti')
+      const intent = save({
+        id,
+        object: 'setup_intent',
+        client_secret: `${id}_secret_${crypto.randomBytes(6).toString('hex')}`,
+        created: created(),
+        customer: params.customer || null,
+        payment_method: params.payment_method || null,
+        payment_method_types: params.payment_method_types || ['card'],
+        usage: params.usage || 'off_session',
+        status: params.payment_method ? 'requires_confirmation' : 'requires_payment_method',
+        next_action: null,
+        last_setup_error: null,
+        metadata: { ...(params.metadata || {}) },
+      })
+      emit('setup_intent.created', intent)
+      if (params.confirm) confirmSetup(intent)
+      return copy(intent)
+    },
+    async retrieve(id) {
+      return copy(get(id, 'setup_intent', 'setup_intent'))
+    },
+    async confirm(id, params = {}) {
+      return copy(confirmSetup(get(id, 'setup_intent', 'setup_intent'), params.payment_method))
+    },
+    async verifyMicrodeposits(id, { amounts, descriptor_code } = {}) {
+      const intent = get(id, 'setup_intent', 'setup_intent')
+      if (intent.next_action?.type !== 'verify_with_microdeposits') {
+        throw fakeStripeError('StripeInvalidRequestError', 'This SetupIntent is not awaiting microdeposit verification', { code: 'setup_intent_unexpected_state' })
+      }
+      const ok = descriptor_code ? descriptor_code === MICRODEPOSIT_DESCRIPTOR : JSON.stringify(amounts) === JSON.stringify(MICRODEPOSIT_AMOUNTS)
+      if (!ok) throw fakeStripeError('StripeInvalidRequestError', 'The amounts provided do not match the amounts that were sent to the bank account', { code: 'payment_method_microdeposit_verification_amounts_mismatch' })
+      return copy(succeedSetup(intent))
+    },
+  }
+
+  // ----- Payment intents and charges -----
+
+  function succeedPayment(intent) {
+    const charge = save({
+      id: newId('ch'),
+      object: 'charge',
+      created: created(),
+      amount: intent.amount,
+      amount_refunded: 0,
+      refunded: false,
+      currency: intent.currency,
+      customer: intent.customer,
+      payment_intent: intent.id,
+      payment_method: intent.payment_method,
+      invoice: intent.invoice || null,
+      metadata: { ...intent.metadata },
+      status: 'succeeded',
+    })
+    intent.status = 'succeeded'
+    intent.amount_received = intent.amount
+    intent.latest_charge = charge.id
+    intent.next_action = null
+    emit('charge.succeeded', charge)
+    emit('payment_intent.succeeded', intent)
+    return intent
+  }
+
+  function failPayment(intent, code, message) {
+    intent.status = 'requires_payment_method'
+    intent.last_payment_error = { type: 'card_error', code, message }
+    emit('payment_intent.payment_failed', intent)
+    return intent
+  }
+
+  function confirmPayment(intent, paymentMethodId) {
+    if (paymentMethodId) intent.payment_method = paymentMethodId
+    if (!intent.payment_method) throw fakeStripeError('StripeInvalidRequestError', 'You must provide a payment method to confirm this PaymentIntent', { code: 'payment_intent_unexpected_state' })
+    const pm = paymentMethod(intent.payment_method)
+    if (pm.type === 'us_bank_account') {
+      // ACH debits settle days later; testHelpers.settlePaymentIntent finishes them
+      intent.status = 'processing'
+      emit('payment_intent.processing', intent)
+      return intent
+    }
+    const card = behaviour(pm)
+    if (card.decline) {
+      failPayment(intent, card.decline, 'Your card was declined.')
+      throw fakeStripeError('StripeCardError', 'Your card was declined.', { code: card.decline, decline_code: 'generic_decline', payment_intent: copy(intent) })
+    }
+    if (card.authenticate && intent.status !== 'requires_action') {
+      intent.status = 'requires_action'
+      intent.next_action = { type: 'use_stripe_sdk' }
+      emit('payment_intent.requires_action', intent)
+      return intent
+    }
+    return succeedPayment(intent)
+  }
+
+  function createPaymentIntent(params = {}) {
+    if (!Number.isInteger(params.amount) || params.amount < 50) {
+      throw fakeStripeError('StripeInvalidRequestError', 'Amount must be at least 50 cents', { code: 'amount_too_small', param: 'amount' })
+    }
+    if (params.customer) get(params.customer, 'customer', 'customer')
+    const id = newId('pi')
+    const intent = save({
+      id,
+      object: 'payment_intent',
+      client_secret: `${id}_secret_${crypto.randomBytes(6).toString('hex')}`,
+      created: created(),
+      amount: params.amount,
+      amount_received: 0,
+      currency: params.currency || 'usd',
+      customer: params.customer || null,
+      description: params.description || null,
+      invoice: params.invoice || null,
+      payment_method: params.payment_method || null,
+      status: params.payment_method ? 'requires_confirmation' : 'requires_payment_method',
+      latest_charge: null,
+      last_payment_error: null,
+      next_action: null,
+      metadata: { ...(params.metadata || {}) },
+    })
+    emit('payment_intent.created', intent)
+    if (params.confirm) confirmPayment(intent)
+    return intent
+  }
+
+  const paymentIntents = {
+    async create(params) {
+      return copy(createPaymentIntent(params))
+    },
+    async retrieve(id) {
+      return copy(get(id, 'payment_intent', 'payment_intent'))
+    },
+    async confirm(id, params = {}) {
+      return copy(confirmPayment(get(id, 'payment_intent', 'payment_intent'), params.payment_method))
+    },
+    async search({ query, limit = 10 } = {}) {
+      const data = list('payment_intent', pi => matchesSearch(pi, query)).slice(0, limit).map(copy)
+      return { object: 'search_result', data, has_more: false }
+    },
+  }
+
+  const charges = {
+    async retrieve(id) {
+      return copy(get(id, 'charge', 'charge'))
+    },
+  }
+
+  // ----- Invoices -----
+
+  function payInvoice(invoice, { paidOutOfBand = false, paymentMethod = null } = {}) {
+    if (invoice.status === 'paid') return invoice
+    if (!paidOutOfBand) {
+      const intent = createPaymentIntent({
+        amount: invoice.amount_due,
+        currency: invoice.currency,
+        customer: invoice.customer,
+        invoice: invoice.id,
+        payment_method: paymentMethod || invoice.default_payment_method || 'pm_card_visa',
+        metadata: {},
+      })
+      invoice.payment_intent = intent.id
+      try {
+        confirmPayment(intent)
+      } catch (err) {
+        emit('invoice.payment_failed', invoice)
+        throw err
+      }
+      // ACH-funded invoices wait for the debit to settle
+      if (intent.status !== 'succeeded') return invoice
+    }
+    markInvoicePaid(invoice)
+    return invoice
+  }
+
+  function markInvoicePaid(invoice) {
+    invoice.status = 'paid'
+    invoice.amount_paid = invoice.amount_due
+    invoice.amount_remaining = 0
+    invoice.status_transitions.paid_at = created()
+    emit('invoice.paid', invoice)
+    emit('invoice.payment_succeeded', invoice)
+  }
+
+  function finalize(invoice) {
+    if (invoice.status !== 'draft') return invoice
+    invoice.status = 'open'
+    invoice.status_transitions.finalized_at = created()
+    invoice.hosted_invoice_url = `https://invoice.stripe.test/${invoice.id}`
+    emit('invoice.finalized', invoice)
+    if (invoice.collection_method === 'charge_automatically' && invoice.auto_advance && invoice.default_payment_method) {
+      try {
+        payInvoice(invoice)
+      } catch (err) {
+        if (err.type !== 'StripeCardError') throw err
+      }
+    }
+    return invoice
+  }
+
+  const invoices = {
+    async create(params = {}) {
+      get(params.customer, 'customer', 'customer')
+      const invoice = save({
+        id: newId('in'),
+        object: 'invoice',
+        created: created(),
+        customer: params.customer,
+        collection_method: params.collection_method || 'charge_automatically',
+        default_payment_method: params.default_payment_method || null,
+        auto_advance: !!params.auto_advance,
+        days_until_due: params.days_until_due ?? null,
+        due_date: params.days_until_due ? created() + params.days_until_due * 86400 : null,
+        currency: 'usd',
+        amount_due: 0,
+        amount_paid: 0,
+        amount_remaining: 0,
+        lines: { object: 'list', data: [] },
+        payment_intent: null,
+        hosted_invoice_url: null,
+        status: 'draft',
+        status_transitions: { finalized_at: null, paid_at: null },
+        metadata: { ...(params.metadata || {}) },
+      })
+      emit('invoice.created', invoice)
+      return copy(invoice)
+    },
+    async retrieve(id) {
+      return copy(get(id, 'invoice', 'invoice'))
+    },
+    async finalizeInvoice(id) {
+      return copy(finalize(get(id, 'invoice', 'invoice')))
+    },
+    async sendInvoice(id) {
+      const invoice = finalize(get(id, 'invoice', 'invoice'))
+      emit('invoice.sent', invoice)
+      return copy(invoice)
+    },
+    async pay(id, { paid_out_of_band = false, payment_method = null } = {}) {
+      const invoice = finalize(get(id, 'invoice', 'invoice'))
+      return copy(payInvoice(invoice, { paidOutOfBand: paid_out_of_band, paymentMethod: payment_method }))
+    },
+  }
+
+  const invoiceItems = {
+    async create({ customer, invoice: invoiceId, amount, currency = 'usd', description = null } = {}) {
+      const invoice = get(invoiceId, 'invoice', 'invoice')
+      if (invoice.status !== 'draft') throw fakeStripeError('StripeInvalidRequestError', 'Invoice items can only be added to draft invoices', { code: 'invoice_not_editable' })
+      const item = save({ id: newId('ii'), object: 'invoiceitem', customer, invoice: invoiceId, amount, currency, description })
+      invoice.lines.data.push({ id: item.id, amount, description })
+      invoice.amount_due += amount
+      invoice.amount_remaining = invoice.amount_due
+      return copy(item)
+    },
+  }
+
+  // ----- Refunds -----
+
+  // Refund ids by idempotency key: a retried request gets the same refund back
+  const refundKeys = new Map()
+
+  const refunds = {
+    async create({ payment_intent, charge: chargeId, amount, reason = null, metadata = {} } = {}, { idempotencyKey } = {}) {
+      if (idempotencyKey && refundKeys.has(idempotencyKey)) return copy(get(refundKeys.get(idempotencyKey), 'refund', 'refund'))
+      const intent = payment_intent ? get(payment_intent, 'payment_intent', 'payment_intent') : null
+      const charge = get(chargeId || intent?.latest_charge, 'charge', 'charge')
+      const refundable = charge.amount - charge.amount_refunded
+      const value = amount ?? refundable
+      if (value > refundable) {
+        throw fakeStripeError('StripeInvalidRequestError', `Refund amount (${value}) is greater than unrefunded amount on charge (${refundable})`, { code: 'amount_too_large' })
+      }
+      const refund = save({ id: newId('re'), object: 'refund', created: created(), amount: value, charge: charge.id, payment_intent: charge.payment_intent, reason, status: 'succeeded', metadata: { ...metadata } })
+      if (idempotencyKey) refundKeys.set(idempotencyKey, refund.id)
+      charge.amount_refunded += value
+      charge.refunded = charge.amount_refunded === charge.amount
+      emit('refund.created', refund)
+      emit('charge.refunded', charge)
+      return copy(refund)
+    },
+    async retrieve(id) {
+      return copy(get(id, 'refund', 'refund'))
+    },
+    async list({ charge, limit = 10 } = {}) {
+      return { object: 'list', data: list('refund', r => !charge || r.charge === charge).slice(0, limit).map(copy), has_more: false }
+    },
+  }
+
+  // ----- Treasury (bank transfers) -----
+
+  const treasury = {
+    financialAccounts: {
+      async retrieve(id) {
+        return { id, object: 'treasury.financial_account', status: 'open', supported_currencies: ['usd'] }
+      },
+    },
+    inboundTransfers: {
+      async list({ financial_account, status, limit = 10 } = {}) {
+        const data = list('treasury.inbound_transfer', t => (!financial_account || t.financial_account === financial_account) && (!status || t.status === status))
+        return { object: 'list', data: data.slice(0, limit).map(copy), has_more: false }
+      },
+    },
+  }
+
+  // ----- Checkout -----
+
+  const checkout = {
+    sessions: {
+      async create(params = {}) {
+        const id = newId('cs')
+        const amount = (params.line_items || []).reduce((sum, li) => sum + (li.price_data?.unit_amount || 0) * (li.quantity || 1), 0)
+        const session = save({ id, object: 'checkout.session', mode: params.mode, amount_total: amount, status: 'open', metadata: { ...(params.metadata || {}) }, url: String(params.success_url || '').replace('{CHECKOUT_SESSION_ID}', id) })
+        return copy(session)
+      },
+    },
+  }
+
+  // ----- Webhooks and events -----
+
+  const webhooks = {
+    constructEvent(payload, header, secret, tolerance = 300) {
+      const body = typeof payload === 'string' ? payload : payload.toString('utf8')
+      const pairs = String(header || '').split(',').map(p => p.split('='))
+      const timestamp = pairs.find(([k]) => k === 't')?.[1]
+      const expected = timestamp && signFakePayload(body, secret, timestamp).split('v1=')[1]
+      if (!expected || !pairs.some(([k, v]) => k === 'v1' && v === expected)) {
+        throw fakeStripeError('StripeSignatureVerificationError', 'No signatures found matching the expected signature for payload')
+      }
+      if (Math.abs(created() - Number(timestamp)) > tolerance) {
+        throw fakeStripeError('StripeSignatureVerificationError', 'Timestamp outside the tolerance zone')
+      }
+      return JSON.parse(body)
+    },
+    generateTestHeaderString({ payload, secret, timestamp }) {
+      return signFakePayload(payload, secret, timestamp)
+    },
+  }
+
+  const testHelpers = {
+    /** The buyer confirming an intent in the browser (Stripe.js confirmSetup / confirmPayment). */
+    async confirmSetupIntent(id, { payment_method = 'pm_card_visa' } = {}) {
+      const intent = get(id, 'setup_intent', 'setup_intent')
+      return copy(intent.status === 'requires_action' && intent.next_action?.type === 'use_stripe_sdk' ? succeedSetup(intent) : confirmSetup(intent, intent.payment_method || payment_method))
+    },
+    async confirmPaymentIntent(id, { payment_method = 'pm_card_visa' } = {}) {
+      const intent = get(id, 'payment_intent', 'payment_intent')
+      return copy(intent.status === 'requires_action' ? succeedPayment(intent) : confirmPayment(intent, intent.payment_method || payment_method))
+    },
+    /** An ACH debit clearing (or being returned) at the bank. */
+    async settlePaymentIntent(id, { succeed = true } = {}) {
+      const intent = get(id, 'payment_intent', 'payment_intent')
+      if (intent.status !== 'processing') throw fakeStripeError('StripeInvalidRequestError', `PaymentIntent ${id} is not processing`, { code: 'payment_intent_unexpected_state' })
+      if (!succeed) {
+        failPayment(intent, 'insufficient_funds', 'The bank account has insufficient funds.')
+        if (intent.invoice) emit('invoice.payment_failed', get(intent.invoice, 'invoice', 'invoice'))
+        return copy(intent)
+      }
+      succeedPayment(intent)
+      if (intent.invoice) markInvoicePaid(get(intent.invoice, 'invoice', 'invoice'))
+      return copy(intent)
+    },
+    /** A wire or ACH credit arriving in the treasury account. */
+    async receiveBankTransfer({ amount, reference = null, senderName = null, financial_account = 'fa_fake_default' } = {}) {
+      const transfer = save({
+        id: newId('ibt'),
+        object: 'treasury.inbound_transfer',
+        created: created(),
+        amount,
+        currency: 'usd',
+        financial_account,
+        statement_descriptor: reference,
+        description: null,
+        origin_payment_method_details: { type: 'us_bank_account', billing_details: { name: senderName } },
+        status: 'succeeded',
+      })
+      emit('treasury.inbound_transfer.succeeded', transfer)
+      return copy(transfer)
+    },
+  }
+
+  return {
+    fake: true,
+    customers,
+    paymentMethods,
+    setupIntents,
+    paymentIntents,
+    charges,
+    invoices,
+    invoiceItems,
+    refunds,
+    treasury,
+    checkout,
+    webhooks,
+    testHelpers,
+    events: {
+      async list({ type, limit = 100 } = {}) {
+        return { object: 'list', data: events.filter(e => !type || e.type === type).slice(-limit).reverse().map(copy), has_more: false }
+      },
+    },
+    /** Resolves once every event emitted so far has been delivered. */
+    flushEvents: () => delivery,
+  }
+}
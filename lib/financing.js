@@ -0,0 +1,406 @@
+import { getDb } from './db.js'
+import { updateBuild } from './builds.js'
+
+// Financing: lender programs configured by admins, the payment calculator
+// that produces a full amortization schedule, pre-qualification applications
+// stored against a build, and pluggable lender-submission adapters. Money is
+// in cents; APRs are annual percentages (7.49 means 7.49%).
+export const FINANCING_PROGRAMS_COLLECTION = process.env.FINANCING_PROGRAMS_COLLECTION || 'financing_programs'
+export const FINANCING_APPLICATIONS_COLLECTION = process.env.FINANCING_APPLICATIONS_COLLECTION || 'financing_applications'
+
+// Self-reported credit bands, best first. Programs price each band they accept.
+export const CREDIT_TIERS = Object.freeze([
+  { id: 'excellent', label: 'Excellent (740+)', minScore: 740 },
+  { id: 'good', label: 'Good (680-739)', minScore: 680 },
+  { id: 'fair', label: 'Fair (620-679)', minScore: 620 },
+  { id: 'poor', label: 'Below 620', minScore: 300 },
+])
+
+export const APPLICATION_STATUS = Object.freeze({
+  SUBMITTED: 'submitted',
+  PREQUALIFIED: 'prequalified',
+  REVIEW: 'review',
+  DECLINED: 'declined',
+  ERROR: 'error',
+})
+
+const PREQUALIFICATION_DAYS = 30
+
+export function creditTierForScore(score) {
+  const n = Number(score)
+  if (!Number.isFinite(n) || n < 300 || n > 850) return null
+  return CREDIT_TIERS.find(t => n >= t.minScore).id
+}
+
+const num = (v, fallback = 0) => (v === undefined || v === null || v === '' ? fallback : Number(v))
+
+/**
+ * Check and normalize an admin-edited lender program.
+ * @returns {{ program: Object } | { error: 'invalid_program', message: string }}
+ */
+export function validateFinancingProgram(input) {
+  const fail = (message) => ({ error: 'invalid_program', message })
+  const id = String(input?.id || '').trim().toLowerCase()
+  if (!/^[a-z0-9][a-z0-9-]{1,40}$/.test(id)) return fail('Program id must be 2-41 lowercase letters, digits or dashes')
+  const name = String(input?.name || '').trim().slice(0, 120)
+  if (!name) return fail('Program name is required')
+
+  const termsMonths = [...new Set((input?.termsMonths || []).map(Number))].sort((a, b) => a - b)
+  if (!termsMonths.length) return fail('Offer at least one term')
+  if (termsMonths.some(t => !Number.isInteger(t) || t < 12 || t > 360)) return fail('Terms must be whole months between 12 and 360')
+
+  const aprTiers = []
+  for (const tier of input?.aprTiers || []) {
+    if (!CREDIT_TIERS.some(t => t.id === tier?.tier)) return fail(`Unknown credit tier "${tier?.tier}"`)
+    const apr = Number(tier.apr)
+    if (!Number.isFinite(apr) || apr < 0 || apr > 36) return fail(`APR for ${tier.tier} must be between 0 and 36`)
+    if (aprTiers.some(t => t.tier === tier.tier)) return fail(`Credit tier "${tier.tier}" is priced twice`)
+    aprTiers.push({ tier: tier.tier, apr })
+  }
+  if (!aprTiers.length) return fail('Price at least one credit tier')
+
+  const minDownPercent = num(input?.minDownPercent)
+  if (!(minDownPercent >= 0 && minDownPercent < 100)) return fail('Minimum down payment must be between 0 and 99 percent')
+  const originationPercent = num(input?.fees?.originationPercent)
+  if (!(originationPercent >= 0 && originationPercent <= 10)) return fail('Origination fee must be between 0 and 10 percent')
+  const documentFee = Math.round(num(input?.fees?.documentFee))
+  if (!(documentFee >= 0)) return fail('Document fee cannot be negative')
+
+  const minAmount = Math.round(num(input?.minAmount))
+  const maxAmount = input?.maxAmount == null || input.maxAmount === '' ? null : Math.round(Number(input.maxAmount))
+  if (!(minAmount >= 0) || (maxAmount !== null && !(maxAmount > minAmount))) return fail('Maximum amount must be above the minimum')
+
+  return {
+    program: {
+      id,
+      name,
+      lender: String(input?.lender || name).trim().slice(0, 120),
+      adapter: String(input?.adapter || 'stub').trim(),
+      active: input?.active !== false,
+      description: String(input?.description || '').trim().slice(0, 500),
+      termsMonths,
+      aprTiers: CREDIT_TIERS.map(t => aprTiers.find(a => a.tier === t.id)).filter(Boolean),
+      minDownPercent,
+      fees: { originationPercent, documentFee },
+      minAmount,
+      maxAmount,
+    },
+  }
+}
+
+/** What buyers see before applying: the APR range, terms and minimum down. */
+export function programSummary(program) {
+  const aprs = program.aprTiers.map(t => t.apr)
+  return {
+    id: program.id,
+    name: program.name,
+    lender: program.lender,
+    description: program.description,
+    termsMonths: program.termsMonths,
+    aprTiers: program.aprTiers,
+    aprFrom: Math.min(...aprs),
+    aprTo: Math.max(...aprs),
+    minDownPercent: program.minDownPercent,
+    fees: program.fees,
+    minAmount: program.minAmount,
+    maxAmount: program.maxAmount,
+  }
+}
+
+/**
+ * Level-payment amortization in cents. Interest is rounded each month and
+ * the last payment absorbs the rounding so the balance ends at exactly zero.
+ */
+export function amortizationSchedule({ principal, apr, termMonths }) {
+  const n = Math.max(1, Math.round(Number(termMonths)))
+  const r = Number(apr) / 100 / 12
+  const amount = Math.max(0, Math.round(Number(principal) || 0))
+  const payment = Math.round(r > 0 ? (amount * r) / (1 - Math.pow(1 + r, -n)) : amount / n)
+
+  const rows = []
+  let balance = amount
+  let totalInterest = 0
+  for (let period = 1; period <= n; period++) {
+    const interest = Math.round(balance * r)
+    const principalPaid = period === n ? balance : Math.min(balance, payment - interest)
+    balance -= principalPaid
+    totalInterest += interest
+    rows.push({ period, payment: principalPaid + interest, interest, principal: principalPaid, balance })
+  }
+  return { payment, totalInterest, totalPaid: amount + totalInterest, rows }
+}
+
+/**
+ * Price a build under a program: down payment, fees (financed with the
+ * balance), APR for the buyer's credit tier and the amortization schedule.
+ * Defaults to the program's longest term and its minimum down payment.
+ * @returns {Object} the quote, or { error, message }
+ */
+export function calculateFinancing(program, { priceCents, downPayment, creditTier, termMonths } = {}) {
+  const price = Math.round(Number(priceCents) || 0)
+  if (!(price > 0)) return { error: 'invalid_price', message: 'The build has no price to finance' }
+
+  const tier = creditTier || CREDIT_TIERS[0].id
+  const aprTier = program.aprTiers.find(t => t.tier === tier)
+  if (!aprTier) return { error: 'tier_not_eligible', message: `${program.name} does not lend to the ${tier} credit tier` }
+
+  const term = termMonths ? Number(termMonths) : program.termsMonths[program.termsMonths.length - 1]
+  if (!program.termsMonths.includes(term)) {
+    return { error: 'invalid_term', message: `${program.name} offers ${program.termsMonths.join(', ')} month terms` }
+  }
+
+  const minDownPayment = Math.ceil(price * program.minDownPercent / 100)
+  const down = downPayment == null || downPayment === '' ? minDownPayment : Math.round(Number(downPayment))
+  if (!Number.isFinite(down) || down < minDownPayment) {
+    return { error: 'down_payment_too_low', message: `${program.name} needs at least ${program.minDownPercent}% down` }
+  }
+  if (down >= price) return { error: 'nothing_to_finance', message: 'The down payment covers the whole price' }
+
+  const base = price - down
+  const origination = Math.round(base * program.fees.originationPercent / 100)
+  const fees = { origination, document: program.fees.documentFee, total: origination + program.fees.documentFee }
+  const amountFinanced = base + fees.total
+  if (amountFinanced < program.minAmount || (program.maxAmount != null && amountFinanced > program.maxAmount)) {
+    return { error: 'amount_out_of_range', message: `${program.name} finances between ${program.minAmount / 100} and ${program.maxAmount == null ? 'any amount' : program.maxAmount / 100} dollars` }
+  }
+
+  const schedule = amortizationSchedule({ principal: amountFinanced, apr: aprTier.apr, termMonths: term })
+  return {
+    programId: program.id,
+    lender: program.lender,
+    creditTier: tier,
+    apr: aprTier.apr,
+    termMonths: term,
+    price,
+    downPayment: down,
+    minDownPayment,
+    fees,
+    amountFinanced,
+    monthlyPayment: schedule.payment,
+    totalInterest: schedule.totalInterest,
+    totalOfPayments: schedule.totalPaid,
+    schedule: schedule.rows,
+  }
+}
+
+// ----- Lender adapters -----
+// An adapter is { name, submit({ application, program, quote }) } and
+// resolves to { status, referenceId, message, approvedAmount?, expiresAt? }
+// with status one of APPLICATION_STATUS prequalified/review/declined.
+
+/**
+ * Local lender used in development and tests. It decides from the
+ * applicant's credit tier and debt-to-income ratio so every outcome can be
+ * reproduced: below 620 or DTI over 50% is declined, DTI over 43% goes to
+ * review, anything else pre-qualifies.
+ */
+export const stubLenderAdapter = {
+  name: 'stub',
+  async submit({ application, quote }) {
+    const monthlyIncome = application.applicant.annualIncome / 12
+    const dti = monthlyIncome > 0 ? (application.applicant.monthlyDebts + quote.monthlyPayment) / monthlyIncome : Infinity
+    const referenceId = `stub_${application._id}`
+    if (quote.creditTier === 'poor' || dti > 0.5) {
+      return { status: APPLICATION_STATUS.DECLINED, referenceId, message: 'Debt-to-income or credit tier is outside program guidelines', dti }
+    }
+    if (dti > 0.43) {
+      return { status: APPLICATION_STATUS.REVIEW, referenceId, message: 'A loan officer will review this application', dti }
+    }
+    const expiresAt = new Date(new Date(application.createdAt).getTime() + PREQUALIFICATION_DAYS * 24 * 60 * 60 * 1000)
+    return { status: APPLICATION_STATUS.PREQUALIFIED, referenceId, message: 'Pre-qualified', approvedAmount: quote.amountFinanced, dti, expiresAt }
+  },
+}
+
+const adapters = new Map([[stubLenderAdapter.name, stubLenderAdapter]])
+
+export function registerLenderAdapter(adapter) {
+  if (!adapter?.name || typeof adapter.submit !== 'function') {
+    throw new Error('Lender adapters need a name and a submit() function')
+  }
+  adapters.set(adapter.name, adapter)
+}
+
+export function getLenderAdapter(name) {
+  return adapters.get(name) || null
+}
+
+export function listLenderAdapters() {
+  return [...adapters.keys()]
+}
+
+// ----- Storage -----
+
+let indexesReady = null
+export async function ensureFinancingIndexes() {
+  if (!indexesReady) {
+    indexesReady = (async () => {
+      const db = await getDb()
+      await Promise.all([
+        db.collection(FINANCING_PROGRAMS_COLLECTION).createIndex({ id: 1 }, { unique: true }),
+        db.collection(FINANCING_APPLICATIONS_COLLECTION).createIndex({ buildId: 1, createdAt: -1 }),
+        db.collection(FINANCING_APPLICATIONS_COLLECTION).createIndex({ status: 1, createdAt: -1 }),
+      ])
+    })().catch(err => { indexesReady = null; throw err })
+  }
+  return indexesReady
+}
+
+export async function listFinancingPrograms({ activeOnly = false } = {}) {
+  const db = await getDb()
+  return db.collection(FINANCING_PROGRAMS_COLLECTION)
+    .find(activeOnly ? { active: true } : {}, { projection: { _id: 0 } })
+    .sort({ name: 1 })
+    .toArray()
+}
+
+export async function getFinancingProgram(id) {
+  const db = await getDb()
+  return db.collection(FINANCING_PROGRAMS_COLLECTION).findOne({ id: String(id || '') }, { projection: { _id: 0 } })
+}
+
+/** Create or replace a program by id. Returns { program } or the validation error. */
+export async function saveFinancingProgram(input, { userId = null } = {}) {
+  const result = validateFinancingProgram(input)
+  if (result.error) return result
+  if (!getLenderAdapter(result.program.adapter)) {
+    return { error: 'invalid_program', message: `No lender adapter named "${result.program.adapter}"` }
+  }
+  await ensureFinancingIndexes()
+  const db = await getDb()
+  const now = new Date()
+  const program = await db.collection(FINANCING_PROGRAMS_COLLECTION).findOneAndUpdate(
+    { id: result.program.id },
+    { $set: { ...result.program, updatedAt: now, updatedBy: userId }, $setOnInsert: { createdAt: now } },
+    { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+  )
+  return { program }
+}
+
+export async function deleteFinancingProgram(id) {
+  const db = await getDb()
+  const { deletedCount } = await db.collection(FINANCING_PROGRAMS_COLLECTION).deleteOne({ id: String(id || '') })
+  return deletedCount > 0
+}
+
+/**
+ * Check the applicant section of a pre-qualification. Income and debts are
+ * in cents; a self-reported score picks the credit tier when given.
+ * @returns {{ applicant: Object } | { error: 'invalid_applicant', message: string }}
+ */
+export function validateApplicant(input) {
+  const fail = (message) => ({ error: 'invalid_applicant', message })
+  const firstName = String(input?.firstName || '').trim().slice(0, 100)
+  const lastName = String(input?.lastName || '').trim().slice(0, 100)
+  const email = String(input?.email || '').trim().toLowerCase().slice(0, 200)
+  if (!firstName || !lastName) return fail('First and last name are required')
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return fail('A valid email is required')
+  const annualIncome = Math.round(num(input?.annualIncome, NaN))
+  if (!(annualIncome > 0)) return fail('Annual income is required')
+  const monthlyDebts = Math.round(num(input?.monthlyDebts))
+  if (!(monthlyDebts >= 0)) return fail('Monthly debts cannot be negative')
+
+  const creditScore = input?.creditScore == null || input.creditScore === '' ? null : Number(input.creditScore)
+  const creditTier = creditScore != null ? creditTierForScore(creditScore) : input?.creditTier
+  if (!CREDIT_TIERS.some(t => t.id === creditTier)) return fail('Give a credit score between 300 and 850 or pick a credit tier')
+  if (input?.consent !== true) return fail('Consent to a soft credit check is required')
+
+  return {
+    applicant: {
+      firstName,
+      lastName,
+      email,
+      phone: String(input?.phone || '').trim().slice(0, 40) || null,
+      annualIncome,
+      monthlyDebts,
+      employmentStatus: String(input?.employmentStatus || '').trim().slice(0, 60) || null,
+      creditScore,
+      creditTier,
+      consentAt: new Date(),
+    },
+  }
+}
+
+/**
+ * Store a pre-qualification against the build, hand it to the program's
+ * lender adapter and record the decision on both the application and
+ * build.financing. Adapter failures are kept on the application as status
+ * "error" instead of being thrown.
+ * @returns {Promise<{ application, quote } | { error, message }>}
+ */
+export async function submitPrequalification({ build, program, applicant: input, downPayment, termMonths, priceCents, userId = null, now = new Date() }) {
+  if (!program?.active) return { error: 'program_unavailable', message: 'That financing program is not available' }
+  const checked = validateApplicant(input)
+  if (checked.error) return checked
+  const { applicant } = checked
+
+  const quote = calculateFinancing(program, { priceCents, downPayment, termMonths, creditTier: applicant.creditTier })
+  if (quote.error) return quote
+  const { schedule: _rows, ...quoteSummary } = quote
+
+  await ensureFinancingIndexes()
+  const db = await getDb()
+  const col = db.collection(FINANCING_APPLICATIONS_COLLECTION)
+  const application = {
+    buildId: String(build._id),
+    userId,
+    programId: program.id,
+    lender: program.lender,
+    adapter: program.adapter,
+    applicant,
+    quote: quoteSummary,
+    status: APPLICATION_STATUS.SUBMITTED,
+    decision: null,
+    createdAt: now,
+    updatedAt: now,
+  }
+  const { insertedId } = await col.insertOne(application)
+  application._id = insertedId
+
+  let update
+  const adapter = getLenderAdapter(program.adapter)
+  try {
+    if (!adapter) throw new Error(`No lender adapter named "${program.adapter}"`)
+    const decision = await adapter.submit({ application, program, quote })
+    if (![APPLICATION_STATUS.PREQUALIFIED, APPLICATION_STATUS.REVIEW, APPLICATION_STATUS.DECLINED].includes(decision?.status)) {
+      throw new Error(`Lender adapter "${program.adapter}" returned status "${decision?.status}"`)
+    }
+    update = { status: decision.status, decision: { ...decision, decidedAt: new Date() } }
+  } catch (err) {
+    console.error('Financing submission failed:', err?.message || err)
+    update = { status: APPLICATION_STATUS.ERROR, decision: null, lastError: { message: err?.message || String(err), at: new Date() } }
+  }
+  await col.updateOne({ _id: insertedId }, { $set: { ...update, updatedAt: new Date() } })
+  Object.assign(application, update)
+
+  await updateBuild(String(build._id), {
+    financing: {
+      ...(build.financing || {}),
+      method: 'finance',
+      lender: program.lender,
+      programId: program.id,
+      applicationId: String(insertedId),
+      status: application.status,
+      preapprovalId: application.decision?.referenceId || build.financing?.preapprovalId,
+      apr: quote.apr,
+      termMonths: quote.termMonths,
+      downPayment: quote.downPayment,
+      amountFinanced: quote.amountFinanced,
+      // estMonthly stays in dollars like the rest of the build's pricing fields
+      estMonthly: quote.monthlyPayment / 100,
+    },
+  })
+
+  return { application, quote }
+}
+
+export async function listFinancingApplications({ buildId, status, limit = 50 } = {}) {
+  const db = await getDb()
+  const query = {}
+  if (buildId) query.buildId = String(buildId)
+  if (status) query.status = status
+  return db.collection(FINANCING_APPLICATIONS_COLLECTION)
+    .find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .toArray()
+}
@@ -0,0 +1,338 @@
+import { getDb } from './db.js'
+import { getOrgSettings } from './settings.js'
+import { BUILDS_COLLECTION, getBuildById } from './builds.js'
+import { BUILD_STATUS, onBuildTransition } from './build-lifecycle.js'
+import { calculateBuildPricing } from '../src/utils/pricing.js'
+import { buildMilestoneKeys } from './payment-schedules.js'
+
+// Payment ledger. Every amount a buyer owes or pays on a build is an entry
+// with a debit and a credit account, so the balance due is simply what is
+// left on the buyer's receivable account. Entries carry a unique `key`
+// (usually derived from the Stripe object), which lets a payment route and
+// the webhook for the same payment both post without double counting.
+// Amounts are in cents.
+
+export const LEDGER_COLLECTION = process.env.LEDGER_COLLECTION || 'ledger_entries'
+
+export const LEDGER_ACCOUNTS = Object.freeze({
+  RECEIVABLE: 'customer_receivable',
+  CASH: 'cash',
+  SALES: 'sales',
+  FEE_INCOME: 'fee_income',
+  DISCOUNTS: 'discounts',
+})
+
+export const LEDGER_ENTRY_TYPES = ['charge', 'fee', 'payment', 'refund', 'adjustment']
+
+const { RECEIVABLE, CASH, SALES, FEE_INCOME, DISCOUNTS } = LEDGER_ACCOUNTS
+
+// [debit, credit] for each entry type. Adjustments depend on their sign.
+const POSTINGS = {
+  charge: [RECEIVABLE, SALES],
+  fee: [RECEIVABLE, FEE_INCOME],
+  payment: [CASH, RECEIVABLE],
+  refund: [RECEIVABLE, CASH],
+}
+
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100)
+
+/**
+ * Build a ledger entry. `amount` is positive except for adjustments, where a
+ * negative amount is a credit to the buyer and a positive one adds to what
+ * they owe.
+ * @returns {Object} Entry or { error, message }
+ */
+export function createLedgerEntry({ key, type, amount, buildId, milestone = null, description, source = 'system', externalId = null, occurredAt = new Date(), createdBy = null, metadata = {} }) {
+  if (!LEDGER_ENTRY_TYPES.includes(type)) return { error: 'invalid_type', message: `Entry type must be one of ${LEDGER_ENTRY_TYPES.join(', ')}` }
+  const cents = Math.round(Number(amount))
+  if (!Number.isFinite(cents) || cents === 0 || (type !== 'adjustment' && cents < 0)) {
+    return { error: 'invalid_amount', message: 'Amount must be a non-zero number of cents' }
+  }
+  if (!key) return { error: 'invalid_key', message: 'A ledger entry needs a unique key' }
+  const [debit, credit] = type === 'adjustment'
+    ? (cents > 0 ? [RECEIVABLE, SALES] : [DISCOUNTS, RECEIVABLE])
+    : POSTINGS[type]
+  return {
+    key: String(key),
+    buildId: buildId ? String(buildId) : null,
+    type,
+    amount: Math.abs(cents),
+    debit,
+    credit,
+    milestone,
+    description: description || type,
+    source,
+    externalId,
+    occurredAt: new Date(occurredAt),
+    createdAt: new Date(),
+    createdBy,
+    metadata,
+  }
+}
+
+/** Signed effect of an entry on the buyer's balance (positive = owes more). */
+export function balanceEffect(entry) {
+  if (entry.debit === RECEIVABLE) return entry.amount
+  if (entry.credit === RECEIVABLE) return -entry.amount
+  return 0
+}
+
+/**
+ * Totals for a set of entries. `paid` is payments net of refunds.
+ * @returns {{ charges: number, fees: number, payments: number, refunds: number, adjustments: number, paid: number, balanceDue: number }}
+ */
+export function computeLedgerBalance(entries = []) {
+  const totals = { charges: 0, fees: 0, payments: 0, refunds: 0, adjustments: 0 }
+  let balanceDue = 0
+  for (const entry of entries) {
+    balanceDue += balanceEffect(entry)
+    if (entry.type === 'charge') totals.charges += entry.amount
+    else if (entry.type === 'fee') totals.fees += entry.amount
+    else if (entry.type === 'payment') totals.payments += entry.amount
+    else if (entry.type === 'refund') totals.refunds += entry.amount
+    else if (entry.type === 'adjustment') totals.adjustments += balanceEffect(entry)
+  }
+  return { ...totals, paid: totals.payments - totals.refunds, balanceDue }
+}
+
+/**
+ * Buyer-facing statement: entries in date order with a running balance and
+ * nothing internal (accounts, metadata, who posted it).
+ */
+export function toStatement(entries = []) {
+  let balance = 0
+  const lines = [...entries]
+    .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt))
+    .map(entry => {
+      const effect = balanceEffect(entry)
+      balance += effect
+      return {
+        date: entry.occurredAt,
+        type: entry.type,
+        description: entry.description,
+        milestone: entry.milestone || null,
+        charge: effect > 0 ? effect : 0,
+        credit: effect < 0 ? -effect : 0,
+        balance,
+      }
+    })
+  return { lines, ...computeLedgerBalance(entries) }
+}
+
+let indexesReady = null
+export async function ensureLedgerIndexes() {
+  if (!indexesReady) {
+    indexesReady = (async () => {
+      const db = await getDb()
+      const col = db.collection(LEDGER_COLLECTION)
+      await Promise.all([
+        col.createIndex({ key: 1 }, { unique: true }),
+        col.createIndex({ buildId: 1, occurredAt: 1 }),
+        col.createIndex({ externalId: 1 }),
+      ])
+    })().catch(err => {
+      indexesReady = null
+      throw err
+    })
+  }
+  return indexesReady
+}
+
+/**
+ * Post an entry. Posting the same key again returns the existing entry.
+ * @returns {Promise<{ entry: Object, duplicate: boolean } | { error: string, message: string }>}
+ */
+export async function postLedgerEntry(fields) {
+  const entry = createLedgerEntry(fields)
+  if (entry.error) return entry
+  await ensureLedgerIndexes()
+  const db = await getDb()
+  const col = db.collection(LEDGER_COLLECTION)
+  try {
+    const result = await col.insertOne(entry)
+    return { entry: { ...entry, _id: result.insertedId }, duplicate: false }
+  } catch (err) {
+    if (err?.code !== 11000) throw err
+    return { entry: await col.findOne({ key: entry.key }), duplicate: true }
+  }
+}
+
+export async function listLedgerEntries(buildId) {
+  const db = await getDb()
+  return db.collection(LEDGER_COLLECTION).find({ buildId: String(buildId) }).sort({ occurredAt: 1, createdAt: 1 }).toArray()
+}
+
+export async function getBuildLedger(buildId) {
+  const entries = await listLedgerEntries(buildId)
+  return { entries, balance: computeLedgerBalance(entries) }
+}
+
+/**
+ * Charge the contract price once the purchase agreement is signed. Uses the
+ * amount the payment plan was set up with when there is one.
+ */
+export async function recordContractCharge(build) {
+  let amount = Number(build.payment?.amounts?.total) || 0
+  if (!amount) amount = toCents(calculateBuildPricing(build, await getOrgSettings()).total)
+  if (!amount) return { error: 'invalid_amount', message: 'Build has no contract total' }
+  return postLedgerEntry({
+    key: `charge:contract:${build._id}`,
+    type: 'charge',
+    amount,
+    buildId: build._id,
+    description: `Purchase agreement – ${build.modelName || build.modelSlug || 'home'}`,
+    occurredAt: build.signedAt || build.contract?.signedAt || new Date(),
+  })
+}
+
+onBuildTransition(BUILD_STATUS.SIGNED, async ({ build }) => {
+  await recordContractCharge(build)
+})
+
+/**
+ * Record money received for a milestone. The contract charge is posted first
+ * if the build never went through SIGNED (older builds).
+ */
+export async function recordPayment({ buildId, milestone, amount, externalId, source = 'stripe', occurredAt, description }) {
+  const build = await getBuildById(buildId)
+  if (build) await recordContractCharge(build)
+  return postLedgerEntry({
+    key: `payment:${externalId}`,
+    type: 'payment',
+    amount,
+    buildId,
+    milestone,
+    description: description || `${milestone ? `${milestone[0].toUpperCase()}${milestone.slice(1)} payment` : 'Payment'} received`,
+    source,
+    externalId,
+    occurredAt,
+  })
+}
+
+/** Post the price difference of a signed change order. */
+export async function recordChangeOrder(build, changeOrder) {
+  const amount = toCents(changeOrder.delta?.total)
+  if (!amount) return null
+  return postLedgerEntry({
+    key: `change_order:${changeOrder.id}`,
+    type: amount > 0 ? 'charge' : 'adjustment',
+    amount,
+    buildId: build._id,
+    description: `Change order ${changeOrder.number}`,
+    externalId: changeOrder.id,
+    occurredAt: changeOrder.signedAt || new Date(),
+  })
+}
+
+// Flags written before payment schedules; reconciliation looks for any of them
+const PAYMENT_MILESTONES = ['deposit', 'final', 'full']
+
+/**
+ * Checks that need nothing but the build and its ledger: payment flags
+ * against ledger payments, and overpayment.
+ * @returns {Array<{ code: string, message: string, milestone?: string }>}
+ */
+export function findLedgerIssues(build, entries) {
+  const issues = []
+  for (const milestone of buildMilestoneKeys(build)) {
+    const net = entries
+      .filter(e => e.milestone === milestone && (e.type === 'payment' || e.type === 'refund'))
+      .reduce((sum, e) => sum + (e.type === 'payment' ? e.amount : -e.amount), 0)
+    const flagged = !!build.payment?.[`${milestone}Paid`]
+    if (flagged && net <= 0) issues.push({ code: 'flag_without_payment', milestone, message: `payment.${milestone}Paid is set but the ledger has no net ${milestone} payment` })
+    if (!flagged && net > 0) issues.push({ code: 'payment_without_flag', milestone, message: `The ledger holds ${net} cents for ${milestone} but payment.${milestone}Paid is not set` })
+  }
+  const { balanceDue, charges } = computeLedgerBalance(entries)
+  if (balanceDue < 0) issues.push({ code: 'overpaid', message: `Buyer has paid ${-balanceDue} cents more than they owe` })
+  if (entries.some(e => e.type === 'payment') && !charges) issues.push({ code: 'payment_without_charge', message: 'Payments were posted but nothing was charged' })
+  return issues
+}
+
+/**
+ * Compare ledger entries that came from Stripe with the Stripe objects, and
+ * look for succeeded Stripe payments for the build that never reached the
+ * ledger.
+ */
+export async function findStripeIssues(stripe, build, entries) {
+  const issues = []
+  for (const entry of entries) {
+    const id = String(entry.externalId || '')
+    try {
+      if (entry.type === 'payment' && id.startsWith('pi_')) {
+        const pi = await stripe.paymentIntents.retrieve(id)
+        if (pi.status !== 'succeeded') issues.push({ code: 'stripe_status_mismatch', externalId: id, message: `PaymentIntent is ${pi.status}` })
+        else if (pi.amount_received !== entry.amount) issues.push({ code: 'stripe_amount_mismatch', externalId: id, message: `Stripe received ${pi.amount_received}, ledger has ${entry.amount}` })
+      } else if (entry.type === 'refund' && id.startsWith('re_')) {
+        const refund = await stripe.refunds.retrieve(id)
+        if (refund.status !== 'succeeded') issues.push({ code: 'stripe_status_mismatch', externalId: id, message: `Refund is ${refund.status}` })
+        else if (refund.amount !== entry.amount) issues.push({ code: 'stripe_amount_mismatch', externalId: id, message: `Stripe refunded ${refund.amount}, ledger has ${entry.amount}` })
+      }
+    } catch (err) {
+      issues.push({ code: 'stripe_lookup_failed', externalId: id, message: String(err?.message || err) })
+    }
+  }
+
+  try {
+    const found = await stripe.paymentIntents.search({ query: `metadata['buildId']:'${String(build._id)}' AND status:'succeeded'`, limit: 100 })
+    const posted = new Set(entries.map(e => e.externalId))
+    for (const pi of found.data || []) {
+      if (!posted.has(pi.id)) issues.push({ code: 'missing_in_ledger', externalId: pi.id, milestone: pi.metadata?.milestone, message: `Succeeded PaymentIntent for ${pi.amount_received} cents is not in the ledger` })
+    }
+  } catch (err) {
+    issues.push({ code: 'stripe_lookup_failed', message: String(err?.message || err) })
+  }
+  return issues
+}
+
+/**
+ * Admin reconciliation across builds that have taken money.
+ * @param {Object} opts
+ * @param {Object} opts.stripe - Stripe client; Stripe checks are skipped without one
+ * @param {string} opts.buildId - Limit to one build
+ * @param {number} opts.limit - Builds to check (most recently updated first)
+ * @returns {Promise<{ builds: Array, summary: Object }>}
+ */
+export async function reconcileLedgers({ stripe = null, buildId, limit = 50 } = {}) {
+  const db = await getDb()
+  const { ObjectId } = await import('mongodb')
+  const ledgerBuildIds = buildId ? [] : await db.collection(LEDGER_COLLECTION).distinct('buildId')
+  const filter = buildId
+    ? { _id: new ObjectId(String(buildId)) }
+    : {
+        $or: [
+          { _id: { $in: ledgerBuildIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) } },
+          ...PAYMENT_MILESTONES.map(m => ({ [`payment.${m}Paid`]: true })),
+          { 'payment.schedule.milestones.0': { $exists: true } },
+        ],
+      }
+  const builds = await db.collection(BUILDS_COLLECTION)
+    .find(filter)
+    .sort({ updatedAt: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .toArray()
+
+  const report = []
+  for (const build of builds) {
+    const entries = await listLedgerEntries(build._id)
+    const issues = findLedgerIssues(build, entries)
+    if (stripe) issues.push(...await findStripeIssues(stripe, build, entries))
+    report.push({
+      buildId: String(build._id),
+      modelName: build.modelName || build.modelSlug,
+      buyer: [build.buyerInfo?.firstName, build.buyerInfo?.lastName].filter(Boolean).join(' ') || null,
+      status: build.status,
+      balance: computeLedgerBalance(entries),
+      entryCount: entries.length,
+      issues,
+    })
+  }
+  return {
+    builds: report,
+    summary: {
+      checked: report.length,
+      withIssues: report.filter(r => r.issues.length).length,
+      issues: report.reduce((n, r) => n + r.issues.length, 0),
+      stripeChecked: !!stripe,
+    },
+  }
+}
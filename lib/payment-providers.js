@@ -0,0 +1,55 @@
+import Stripe from 'stripe'
+import { createFakeStripe } from './fake-stripe.js'
+import { ingestWebhookEvent } from './webhook-events.js'
+
+// Payment providers. The app talks to payments through a Stripe-shaped client
+// (customers, setupIntents, paymentIntents, invoices, refunds, webhooks ...).
+// Each provider is { name, isAvailable(), createClient() }: `stripe` is the
+// real SDK, `fake` is the in-memory client from fake-stripe.js, whose events
+// go through the same webhook event log as Stripe's deliveries. PAYMENT_PROVIDER
+// picks one; it defaults to stripe. The fake is refused in production, where
+// it would let anyone settle payments that never happened.
+
+export const stripeProvider = {
+  name: 'stripe',
+  isAvailable: () => !!process.env.STRIPE_SECRET_KEY,
+  createClient: () => new Stripe(process.env.STRIPE_SECRET_KEY),
+}
+
+export const fakeProvider = {
+  name: 'fake',
+  isAvailable: () => true,
+  createClient: () => createFakeStripe({
+    onEvent: (event) => ingestWebhookEvent({ provider: 'stripe', eventId: event.id, type: event.type, payload: event, headers: {}, meta: { fake: true } }),
+  }),
+}
+
+const PROVIDERS = { stripe: stripeProvider, fake: fakeProvider }
+
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'stripe') {
+  const provider = PROVIDERS[String(name).toLowerCase()]
+  if (!provider) throw new Error(`Unknown payment provider "${name}"`)
+  if (provider === fakeProvider && isProduction()) throw new Error('The fake payment provider cannot be used in production')
+  return provider
+}
+
+function isProduction() {
+  return process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production'
+}
+
+// One client per process: the fake keeps its state in memory
+let client = null
+
+export function getPaymentClient() {
+  if (!client) {
+    const provider = getPaymentProvider()
+    if (!provider.isAvailable()) console.error(`Payment provider "${provider.name}" is not configured (STRIPE_SECRET_KEY missing).`)
+    client = provider.createClient()
+  }
+  return client
+}
+
+/** Whether the selected provider can take payments (the fake always can). */
+export function paymentsConfigured() {
+  return getPaymentProvider().isAvailable()
+}
@@ -0,0 +1,406 @@
+import { getDb } from './db.js'
+import { BUILDS_COLLECTION } from './builds.js'
+import { BUILD_STATUS } from './build-lifecycle.js'
+import { resolvePricingSettings } from '../src/utils/pricing.js'
+
+// Payment schedules. A schedule is an ordered list of milestones, each a
+// percent or fixed dollar amount (the last may be `remainder`) that falls due
+// when the build reaches its trigger status. Org settings hold custom
+// schedules under `payments.schedules`; the built-in `deposit` and `full`
+// schedules reproduce the original deposit-or-full choice and keep the
+// `deposit` / `final` / `full` milestone keys older builds were paid under.
+//
+// Milestone keys name the build's payment fields (`payment.{key}Paid`,
+// `{key}PaidAt`, `{key}Amount`, `{key}PaymentIntentId`). Amounts stored on
+// the build are in cents.
+
+export const SCHEDULE_MILESTONE_TYPES = ['percent', 'fixed', 'remainder']
+
+// Days a buyer has to pay a milestone invoice once it is issued
+export const INVOICE_DAYS_UNTIL_DUE = 30
+
+// Statuses a milestone can be triggered by, in lifecycle order
+export const SCHEDULE_TRIGGERS = [
+  BUILD_STATUS.SIGNED,
+  BUILD_STATUS.IN_PRODUCTION,
+  BUILD_STATUS.FACTORY_COMPLETE,
+  BUILD_STATUS.IN_TRANSIT,
+  BUILD_STATUS.DELIVERED,
+]
+
+const STATUS_ORDER = [
+  BUILD_STATUS.SIGNED,
+  BUILD_STATUS.DEPOSIT_PAID,
+  BUILD_STATUS.IN_PRODUCTION,
+  BUILD_STATUS.FACTORY_COMPLETE,
+  BUILD_STATUS.IN_TRANSIT,
+  BUILD_STATUS.DELIVERED,
+  BUILD_STATUS.CLOSED,
+]
+
+// Milestones before schedules existed
+const LEGACY_MILESTONES = ['deposit', 'final', 'full']
+
+const MAX_MILESTONES = 12
+
+export function builtInSchedules(settings = {}) {
+  const depositPercent = resolvePricingSettings(settings).deposit_percent
+  return [
+    {
+      id: 'deposit',
+      name: `${depositPercent}% deposit`,
+      description: 'Deposit at signing, balance due when the home is complete at the factory.',
+      milestones: [
+        { key: 'deposit', label: 'Deposit', type: 'percent', value: depositPercent, trigger: BUILD_STATUS.SIGNED },
+        { key: 'final', label: 'Final payment', type: 'remainder', trigger: BUILD_STATUS.FACTORY_COMPLETE },
+      ],
+    },
+    {
+      id: 'full',
+      name: 'Pay in full',
+      description: 'One payment at signing.',
+      milestones: [
+        { key: 'full', label: 'Full payment', type: 'remainder', trigger: BUILD_STATUS.SIGNED },
+      ],
+    },
+  ]
+}
+
+/**
+ * Schedules offered at checkout: the built-ins, replaced or extended by the
+ * schedules saved in org settings.
+ */
+export function listPaymentSchedules(settings = {}) {
+  const custom = Array.isArray(settings?.payments?.schedules) ? settings.payments.schedules : []
+  const byId = new Map(builtInSchedules(settings).map(s => [s.id, s]))
+  for (const schedule of custom) {
+    if (schedule?.id) byId.set(schedule.id, schedule)
+  }
+  return [...byId.values()].filter(s => !s.disabled)
+}
+
+export function getPaymentSchedule(settings, id) {
+  return listPaymentSchedules(settings).find(s => s.id === id) || null
+}
+
+export function defaultScheduleId(settings = {}) {
+  const configured = settings?.payments?.default_schedule
+  return configured && getPaymentSchedule(settings, configured) ? configured : 'deposit'
+}
+
+/**
+ * Check a schedule before it is saved to settings.
+ * @returns {{ schedule: Object } | { error: string, message: string }}
+ */
+export function validatePaymentSchedule(input) {
+  const fail = (message) => ({ error: 'invalid_schedule', message })
+  const id = String(input?.id || '').trim()
+  const name = String(input?.name || '').trim()
+  if (!/^[a-z0-9][a-z0-9_-]{0,39}$/.test(id)) return fail('Schedule id must be lowercase letters, digits, "-" or "_"')
+  if (!name) return fail(`Schedule "${id}" needs a name`)
+  const list = Array.isArray(input.milestones) ? input.milestones : []
+  if (!list.length || list.length > MAX_MILESTONES) return fail(`Schedule "${id}" needs between 1 and ${MAX_MILESTONES} milestones`)
+
+  const keys = new Set()
+  let percentTotal = 0
+  let previousTrigger = -1
+  const milestones = []
+  for (const [i, m] of list.entries()) {
+    const key = String(m?.key || '').trim()
+    const label = String(m?.label || '').trim() || key
+    const type = m?.type
+    const trigger = m?.trigger
+    if (!/^[a-z][a-zA-Z0-9]{0,29}$/.test(key)) return fail(`Milestone key "${key}" must start with a letter and contain only letters and digits`)
+    if (keys.has(key)) return fail(`Milestone key "${key}" is used twice`)
+    keys.add(key)
+    if (!SCHEDULE_MILESTONE_TYPES.includes(type)) return fail(`Milestone "${key}" type must be one of ${SCHEDULE_MILESTONE_TYPES.join(', ')}`)
+    if (type === 'remainder' && i !== list.length - 1) return fail('Only the last milestone can be the remainder')
+    const triggerIndex = SCHEDULE_TRIGGERS.indexOf(trigger)
+    if (triggerIndex < 0) return fail(`Milestone "${key}" trigger must be one of ${SCHEDULE_TRIGGERS.join(', ')}`)
+    if (i === 0 && trigger !== BUILD_STATUS.SIGNED) return fail('The first milestone must be due at signing')
+    if (triggerIndex < previousTrigger) return fail('Milestones must be in lifecycle order')
+    previousTrigger = triggerIndex
+
+    const milestone = { key, label, type, trigger }
+    if (type !== 'remainder') {
+      const value = Number(m.value)
+      if (!Number.isFinite(value) || value <= 0) return fail(`Milestone "${key}" needs a positive value`)
+      if (type === 'percent' && value > 100) return fail(`Milestone "${key}" cannot be more than 100%`)
+      if (type === 'percent') percentTotal += value
+      milestone.value = value
+    }
+    milestones.push(milestone)
+  }
+
+  const hasRemainder = milestones[milestones.length - 1].type === 'remainder'
+  if (hasRemainder && percentTotal >= 100) return fail('Percentages must leave something for the remainder')
+  if (!hasRemainder) {
+    if (milestones.some(m => m.type === 'fixed')) return fail('Schedules with fixed amounts must end with a remainder milestone')
+    if (Math.abs(percentTotal - 100) > 0.001) return fail(`Percentages add up to ${percentTotal}%, not 100%`)
+  }
+
+  return {
+    schedule: {
+      id,
+      name,
+      description: String(input.description || '').trim().slice(0, 300) || undefined,
+      disabled: input.disabled === true || undefined,
+      milestones,
+    },
+  }
+}
+
+/**
+ * Split a contract total over a schedule's milestones. The last milestone
+ * takes the rounding difference so the amounts always add up to the total.
+ * @param {Object} schedule
+ * @param {number} totalCents
+ * @returns {{ milestones: Array<Object> } | { error: string, message: string }}
+ */
+export function computeMilestoneAmounts(schedule, totalCents) {
+  const total = Math.round(Number(totalCents) || 0)
+  if (total <= 0) return { error: 'invalid_amount', message: 'The contract total must be positive' }
+  const milestones = schedule.milestones.map(m => ({
+    ...m,
+    amount: m.type === 'percent' ? Math.round(total * (m.value / 100)) : m.type === 'fixed' ? Math.round(m.value * 100) : 0,
+  }))
+  const last = milestones[milestones.length - 1]
+  last.amount += total - milestones.reduce((sum, m) => sum + m.amount, 0)
+  if (milestones.some(m => m.amount <= 0)) {
+    return { error: 'invalid_schedule', message: `The "${schedule.name}" schedule does not fit a total of ${(total / 100).toFixed(2)}` }
+  }
+  return { milestones }
+}
+
+/**
+ * The payment fields written to a build when the buyer picks a schedule at
+ * checkout. `amounts.deposit` / `amounts.final` keep their old meaning for
+ * code that predates schedules: the first milestone and everything after it,
+ * or for a single payment the deposit it includes (`depositPercent`).
+ * @returns {{ plan: Object, schedule: Object, amounts: Object } | { error: string, message: string }}
+ */
+export function applyPaymentSchedule(schedule, totalCents, { settingsVersion, depositPercent = 0, now = new Date() } = {}) {
+  const computed = computeMilestoneAmounts(schedule, totalCents)
+  if (computed.error) return computed
+  const milestones = computed.milestones.map(m => ({ ...m, activatedAt: null, dueAt: null, invoiceId: null }))
+  const first = milestones[0]
+  const total = Math.round(totalCents)
+  const deposit = milestones.length > 1 ? first.amount : Math.round(total * (Number(depositPercent) || 0) / 100)
+  return {
+    plan: {
+      type: schedule.id,
+      ...(first.type === 'percent' && milestones.length > 1 ? { percent: first.value } : {}),
+    },
+    schedule: { id: schedule.id, name: schedule.name, milestones, appliedAt: now, settingsVersion },
+    amounts: { total, deposit, final: total - deposit, settingsVersion },
+  }
+}
+
+/**
+ * The build's schedule. Builds that chose a plan before schedules existed get
+ * an equivalent one derived from their plan type and stored amounts.
+ * @returns {Object|null}
+ */
+export function getBuildSchedule(build) {
+  const payment = build?.payment || {}
+  if (Array.isArray(payment.schedule?.milestones)) return payment.schedule
+  const amounts = payment.amounts || {}
+  if (payment.plan?.type === 'deposit') {
+    return {
+      id: 'deposit',
+      name: 'Deposit',
+      legacy: true,
+      milestones: [
+        { key: 'deposit', label: 'Deposit', type: 'percent', value: payment.plan.percent, trigger: BUILD_STATUS.SIGNED, amount: amounts.deposit || 0 },
+        { key: 'final', label: 'Final payment', type: 'remainder', trigger: BUILD_STATUS.FACTORY_COMPLETE, amount: amounts.final || 0 },
+      ],
+    }
+  }
+  if (payment.plan?.type === 'full') {
+    return {
+      id: 'full',
+      name: 'Pay in full',
+      legacy: true,
+      milestones: [{ key: 'full', label: 'Full payment', type: 'remainder', trigger: BUILD_STATUS.SIGNED, amount: amounts.total || 0 }],
+    }
+  }
+  return null
+}
+
+/** Milestone keys a build can be paid (or refunded) under. */
+export function buildMilestoneKeys(build) {
+  return getBuildSchedule(build)?.milestones.map(m => m.key) || LEGACY_MILESTONES
+}
+
+export function getBuildMilestone(build, key) {
+  return getBuildSchedule(build)?.milestones.find(m => m.key === key) || null
+}
+
+/** Paying this milestone moves the build to DEPOSIT_PAID. */
+export function isOpeningMilestone(build, key) {
+  const schedule = getBuildSchedule(build)
+  return schedule ? schedule.milestones[0].key === key : key === 'deposit' || key === 'full'
+}
+
+/**
+ * Whether every milestone is paid, counting `justPaid` as paid (the caller
+ * usually has the build from before its own update).
+ */
+export function isScheduleFullyPaid(build, justPaid) {
+  const schedule = getBuildSchedule(build)
+  if (!schedule) return false
+  return schedule.milestones.every(m => m.key === justPaid || build.payment?.[`${m.key}Paid`] === true)
+}
+
+/** 'paid' | 'due' | 'upcoming' */
+export function milestoneStatus(build, milestone) {
+  if (build?.payment?.[`${milestone.key}Paid`]) return 'paid'
+  if (milestone.activatedAt || milestone.trigger === BUILD_STATUS.SIGNED) {
+    return STATUS_ORDER.includes(build?.status) ? 'due' : 'upcoming'
+  }
+  return 'upcoming'
+}
+
+/**
+ * Unpaid milestones that become due once the build is in `status` and have
+ * not been activated yet. Milestones due at signing are collected by the
+ * checkout payment flow and are never activated here.
+ */
+export function milestonesToActivate(build, status) {
+  const reached = STATUS_ORDER.indexOf(status)
+  if (reached < 0) return []
+  const schedule = getBuildSchedule(build)
+  if (!schedule) return []
+  return schedule.milestones.filter(m =>
+    m.trigger !== BUILD_STATUS.SIGNED &&
+    STATUS_ORDER.indexOf(m.trigger) <= reached &&
+    !m.activatedAt &&
+    !build.payment?.[`${m.key}Paid`]
+  )
+}
+
+/**
+ * Issue the Stripe invoice for a milestone. Bank transfer builds get an
+ * invoice sent to the buyer (the same flow as the bank transfer instructions);
+ * card builds get one charged to the saved card. Re-uses an invoice already
+ * attached to the milestone's bank transfer intent.
+ * @returns {Promise<{ invoiceId: string, intentId?: string } | { error: string, message: string }>}
+ */
+export async function issueMilestoneInvoice(stripe, build, milestone) {
+  if (!build.customerId) return { error: 'no_customer', message: 'Build has no Stripe customer' }
+  const db = await getDb()
+  const byCard = build.payment?.method === 'card' && build.payment?.card?.paymentMethodId
+  let intent = null
+  if (!byCard) {
+    intent = await db.collection('bankTransferIntents').findOne({ buildId: build._id, milestone: milestone.key })
+    if (intent?.stripeInvoiceId) return { invoiceId: intent.stripeInvoiceId, intentId: String(intent._id) }
+    if (!intent) {
+      const now = new Date()
+      intent = {
+        buildId: build._id,
+        userId: build.userId,
+        milestone: milestone.key,
+        expectedAmount: milestone.amount,
+        status: 'pending_contract',
+        payerInfo: build.payment?.bankTransfer?.payerInfo || null,
+        commitments: build.payment?.bankTransfer?.commitments || null,
+        createdAt: now,
+        updatedAt: now,
+      }
+      intent._id = (await db.collection('bankTransferIntents').insertOne(intent)).insertedId
+    }
+  }
+
+  const invoice = await stripe.invoices.create({
+    customer: build.customerId,
+    ...(byCard
+      ? { collection_method: 'charge_automatically', default_payment_method: build.payment.card.paymentMethodId, auto_advance: true }
+      : { collection_method: 'send_invoice', days_until_due: INVOICE_DAYS_UNTIL_DUE }),
+    metadata: {
+      buildId: String(build._id),
+      userId: build.userId,
+      milestone: milestone.key,
+      ...(intent ? { intentId: String(intent._id) } : {}),
+    },
+  })
+  await stripe.invoiceItems.create({
+    customer: invoice.customer,
+    invoice: invoice.id,
+    amount: intent?.expectedAmount || milestone.amount,
+    currency: 'usd',
+    description: `${milestone.label} - Tiny Home Build`,
+  })
+  if (byCard) await stripe.invoices.finalizeInvoice(invoice.id)
+  else await stripe.invoices.sendInvoice(invoice.id)
+
+  if (intent) {
+    await db.collection('bankTransferIntents').updateOne(
+      { _id: intent._id },
+      { $set: { stripeInvoiceId: invoice.id, status: 'awaiting_funds', updatedAt: new Date() } }
+    )
+  }
+  return { invoiceId: invoice.id, ...(intent ? { intentId: String(intent._id) } : {}) }
+}
+
+/**
+ * Lifecycle hook: activate and invoice the milestones a status change made
+ * due, and tell the buyer. The whole schedule is written back so builds on a
+ * derived legacy schedule get it stored.
+ * @returns {Promise<Array<{ key: string, invoiceId?: string, error?: string }>>}
+ */
+export async function activateDueMilestones(stripe, build, status) {
+  const due = milestonesToActivate(build, status)
+  if (!due.length) return []
+
+  const results = []
+  const activated = new Map()
+  for (const milestone of due) {
+    try {
+      const issued = await issueMilestoneInvoice(stripe, build, milestone)
+      if (issued.error) {
+        console.warn(`[PAYMENT_SCHEDULE] Could not invoice ${milestone.key} for build ${build._id}: ${issued.message}`)
+        results.push({ key: milestone.key, error: issued.error })
+        continue
+      }
+      const activatedAt = new Date()
+      const dueAt = new Date(activatedAt.getTime() + INVOICE_DAYS_UNTIL_DUE * 24 * 60 * 60 * 1000)
+      activated.set(milestone.key, { activatedAt, dueAt, invoiceId: issued.invoiceId })
+      results.push({ key: milestone.key, invoiceId: issued.invoiceId })
+    } catch (err) {
+      console.error(`[PAYMENT_SCHEDULE] Invoice for ${milestone.key} on build ${build._id} failed:`, err?.message || err)
+      results.push({ key: milestone.key, error: 'invoice_failed' })
+    }
+  }
+  if (!activated.size) return results
+
+  const schedule = getBuildSchedule(build)
+  const { legacy, ...stored } = schedule
+  const milestones = stored.milestones.map(m => (activated.has(m.key) ? { ...m, ...activated.get(m.key) } : m))
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id },
+    { $set: { 'payment.schedule': { ...stored, milestones, ...(legacy ? { derivedAt: new Date() } : {}) }, 'payment.updatedAt': new Date() } }
+  )
+
+  if (build.userId) {
+    const nowDue = milestones.filter(m => activated.has(m.key))
+    await db.collection('notifications').insertOne({
+      title: `${build.modelName || 'Build'}: payment due`,
+      message: `${nowDue.map(m => `${m.label} (${formatCents(m.amount)})`).join(', ')} ${nowDue.length === 1 ? 'is' : 'are'} now due. ${build.payment?.method === 'card' ? 'It will be charged to your saved card.' : 'An invoice has been emailed to you.'}`,
+      type: 'info',
+      category: 'order',
+      priority: 'high',
+      targetUsers: [build.userId],
+      metadata: { buildId: String(build._id), milestones: nowDue.map(m => m.key) },
+      createdBy: 'system',
+      createdAt: new Date(),
+      readBy: [],
+      status: 'active',
+    })
+  }
+  return results
+}
+
+function formatCents(cents) {
+  return `$${(Number(cents || 0) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
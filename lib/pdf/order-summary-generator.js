@@ -1,84 +1,18 @@
 /**
  * Order Summary PDF Generator
- * Uses Puppeteer to convert HTML to PDF
+ * Uses the shared Puppeteer renderer (lib/pdf/renderer.js)
  */
 
 import { buildOrderSummaryHtml } from '../contracts/html/order-summary.js'
+import { renderPdfFromHtml } from './renderer.js'
 
 export async function generateOrderSummaryPDF(order) {
   console.log('[PDF_GENERATOR] Starting Order Summary PDF generation for order:', order.id)
   
   try {
-    // Generate HTML
-    const html = buildOrderSummaryHtml(order)
-    
-    // Check if we're in a serverless environment
-    const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME
-    
-    if (isServerless) {
-      console.log('[PDF_GENERATOR] Serverless environment detected, using @sparticuz/chromium')
-      
-      // Use @sparticuz/chromium for Vercel/serverless environments
-      const chromium = await import('@sparticuz/chromium')
-      const puppeteer = await import('puppeteer-core')
-      
-      const browser = await puppeteer.default.launch({
-        args: chromium.default.args,
-        defaultViewport: chromium.default.defaultViewport,
-        executablePath: await chromium.default.executablePath(),
-        headless: chromium.default.headless,
-      })
-      
-      const page = await browser.newPage()
-      await page.setContent(html, { waitUntil: 'networkidle0' })
-      
-      const pdfBuffer = await page.pdf({
-        format: 'Letter',
-        margin: {
-          top: '1in',
-          right: '1in', 
-          bottom: '1in',
-          left: '1in'
-        },
-        printBackground: true
-      })
-      
-      await browser.close()
-      
-      console.log('[PDF_GENERATOR] Serverless PDF generated successfully, size:', Math.round(pdfBuffer.length / 1024), 'KB')
-      return Buffer.from(pdfBuffer)
-      
-    } else {
-      console.log('[PDF_GENERATOR] Local environment detected, using regular puppeteer')
-      
-      // Use regular puppeteer for local development
-      const puppeteer = await import('puppeteer')
-      
-      const browser = await puppeteer.default.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-      })
-      
-      const page = await browser.newPage()
-      await page.setContent(html, { waitUntil: 'networkidle0' })
-      
-      const pdfBuffer = await page.pdf({
-        format: 'Letter',
-        margin: {
-          top: '1in',
-          right: '1in',
-          bottom: '1in', 
-          left: '1in'
-        },
-        printBackground: true
-      })
-      
-      await browser.close()
-      
-      console.log('[PDF_GENERATOR] Local PDF generated successfully, size:', Math.round(pdfBuffer.length / 1024), 'KB')
-      return Buffer.from(pdfBuffer)
-    }
-    
+    const pdfBuffer = await renderPdfFromHtml(buildOrderSummaryHtml(order))
+    console.log('[PDF_GENERATOR] PDF generated successfully, size:', Math.round(pdfBuffer.length / 1024), 'KB')
+    return pdfBuffer
   } catch (error) {
     console.error('[PDF_GENERATOR] Order Summary PDF generation failed:', error)
     
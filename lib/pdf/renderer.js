@@ -0,0 +1,48 @@
+/**
+ * HTML to PDF renderer
+ * Uses @sparticuz/chromium on serverless hosts and regular Puppeteer locally.
+ * Throws when no browser is available; callers decide on a fallback.
+ */
+
+import { Buffer } from 'node:buffer'
+
+const PAGE_OPTIONS = {
+  format: 'Letter',
+  margin: { top: '1in', right: '1in', bottom: '1in', left: '1in' },
+  printBackground: true,
+}
+
+async function launchBrowser() {
+  const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME
+  if (isServerless) {
+    const chromium = await import('@sparticuz/chromium')
+    const puppeteer = await import('puppeteer-core')
+    return puppeteer.default.launch({
+      args: chromium.default.args,
+      defaultViewport: chromium.default.defaultViewport,
+      executablePath: await chromium.default.executablePath(),
+      headless: chromium.default.headless,
+    })
+  }
+  const puppeteer = await import('puppeteer')
+  return puppeteer.default.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+  })
+}
+
+/**
+ * @param {string} html - Complete HTML document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export async function renderPdfFromHtml(html) {
+  const browser = await launchBrowser()
+  try {
+    const page = await browser.newPage()
+    await page.setContent(html, { waitUntil: 'networkidle0' })
+    const pdf = await page.pdf(PAGE_OPTIONS)
+    return Buffer.from(pdf)
+  } finally {
+    await browser.close()
+  }
+}
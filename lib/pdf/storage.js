@@ -0,0 +1,61 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { downloadFile, signedCloudinaryUrl, uploadPdfToCloudinary } from '../docuseal.js'
+
+// Where generated PDFs are kept. An adapter is
+// { name, save({ buffer, key }) -> ref, read(ref) -> Buffer }; the ref is what
+// gets stored on the build, so documents stay readable after the default
+// adapter changes as long as the old one is still configured.
+
+export const cloudinaryStorage = {
+  name: 'cloudinary',
+  isAvailable: () => !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET),
+  async save({ buffer, key }) {
+    const folder = path.posix.join('firefly-estimator/documents', path.posix.dirname(key))
+    const upload = await uploadPdfToCloudinary({ buffer, folder, publicId: path.posix.basename(key, '.pdf') })
+    return upload.public_id
+  },
+  async read(ref) {
+    return downloadFile(signedCloudinaryUrl(ref))
+  },
+}
+
+function localRoot() {
+  return path.resolve(process.env.PDF_STORAGE_DIR || path.join(process.cwd(), 'storage', 'documents'))
+}
+
+// Refs are relative to the storage root and may not escape it
+function localPath(ref) {
+  const root = localRoot()
+  const file = path.resolve(root, ref)
+  if (!file.startsWith(root + path.sep)) throw new Error('Invalid document reference')
+  return file
+}
+
+export const localDiskStorage = {
+  name: 'local',
+  isAvailable: () => true,
+  async save({ buffer, key }) {
+    const file = localPath(key)
+    await fs.mkdir(path.dirname(file), { recursive: true })
+    await fs.writeFile(file, buffer)
+    return key
+  },
+  async read(ref) {
+    return fs.readFile(localPath(ref))
+  },
+}
+
+const adapters = new Map([cloudinaryStorage, localDiskStorage].map(a => [a.name, a]))
+
+export function getStorageAdapter(name) {
+  const adapter = adapters.get(name)
+  if (!adapter) throw new Error(`Unknown document storage "${name}"`)
+  return adapter
+}
+
+/** PDF_STORAGE picks the adapter; otherwise Cloudinary when configured, else local disk. */
+export function getDefaultStorage() {
+  if (process.env.PDF_STORAGE) return getStorageAdapter(process.env.PDF_STORAGE)
+  return cloudinaryStorage.isAvailable() ? cloudinaryStorage : localDiskStorage
+}
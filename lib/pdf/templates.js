@@ -0,0 +1,178 @@
+/**
+ * Build Document Templates
+ * One layout for the quote, order summary and invoice PDFs. Each document
+ * kind adds its own sections; prices always come from the pricing snapshot
+ * passed in, so a stored document matches what the buyer saw.
+ */
+
+import { formatOptionQuantity } from '../../src/utils/optionUnits.js'
+import { optionLineTotal } from '../../src/utils/pricing.js'
+
+export const DOCUMENT_KINDS = Object.freeze({
+  quote: { title: 'Quote', prefix: 'Q' },
+  order_summary: { title: 'Order Summary', prefix: 'OS' },
+  invoice: { title: 'Invoice', prefix: 'INV' },
+})
+
+const COMPANY = {
+  name: 'Firefly Tiny Homes',
+  address: '6150 TX-16, Pipe Creek, TX 78063',
+  phone: '830-328-6109',
+  email: 'office@fireflytinyhomes.com',
+}
+
+const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const money = (n) => `${Number(n) < 0 ? '-' : ''}$${Math.abs(Number(n || 0)).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatDate = (d) => (d ? new Date(d).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : 'TBD')
+
+function buyerBlock(build) {
+  const b = build.buyerInfo || {}
+  const address = [b.address, b.address2, b.city, b.state, b.zip].filter(Boolean).join(', ')
+  return `<div class="box">
+    <div class="kv"><span>Buyer:</span> ${escapeHtml(`${b.firstName || ''} ${b.lastName || ''}`.trim() || '—')}</div>
+    <div class="kv"><span>Email:</span> ${escapeHtml(b.email || '—')}</div>
+    <div class="kv"><span>Phone:</span> ${escapeHtml(b.phone || '—')}</div>
+    <div class="kv"><span>Delivery Address:</span> ${escapeHtml(address || 'Not specified')}</div>
+  </div>`
+}
+
+function optionsTable(build) {
+  const options = build.selections?.options || []
+  if (!options.length) return '<p class="muted">No options selected.</p>'
+  return `<table>
+    <thead><tr><th>Option</th><th>Qty</th><th class="num">Amount</th></tr></thead>
+    <tbody>
+      ${options.map(o => `<tr><td>${escapeHtml(o.name || o.id)}</td><td>${escapeHtml(formatOptionQuantity(o))}</td><td class="num">${money(optionLineTotal(o))}</td></tr>`).join('\n      ')}
+    </tbody>
+  </table>`
+}
+
+function priceTable(pricing) {
+  const lines = (pricing.lineItems || []).filter(li => li.key !== 'tax' || Number(li.amount))
+  return `<table>
+    <tbody>
+      ${lines.map(li => `<tr><td>${escapeHtml(li.label)}</td><td class="num">${money(li.amount)}</td></tr>`).join('\n      ')}
+      <tr class="total"><td>Total Purchase Price</td><td class="num">${money(pricing.total)}</td></tr>
+    </tbody>
+  </table>`
+}
+
+function paymentsReceived(build, pricing) {
+  const payment = build.payment || {}
+  if (payment.fullPaid || payment.status === 'fully_paid' || (payment.depositPaid && payment.finalPaid)) return Number(pricing.total || 0)
+  if (payment.depositPaid) return Number(pricing.deposit || 0)
+  return 0
+}
+
+function kindSections(kind, build, pricing, meta) {
+  if (kind === 'quote') {
+    return `<h2>QUOTE TERMS</h2>
+<div class="box">
+  <div class="kv"><span>Deposit (${escapeHtml(pricing.depositPercent)}%):</span> ${money(pricing.deposit)}</div>
+  <div class="kv"><span>Balance at Delivery:</span> ${money(pricing.balance)}</div>
+  <div class="kv"><span>Prices Valid Until:</span> ${formatDate(build.catalog?.expiresAt)}</div>
+  ${build.catalog?.version != null ? `<div class="kv"><span>Price Catalog:</span> v${escapeHtml(build.catalog.version)}</div>` : ''}
+</div>
+<p class="muted">This quote is an estimate. Final pricing is set by the signed purchase agreement.</p>`
+  }
+  if (kind === 'invoice') {
+    const received = paymentsReceived(build, pricing)
+    const due = Math.max(0, Number(pricing.total || 0) - received)
+    return `<h2>AMOUNT DUE</h2>
+<table>
+  <tbody>
+    <tr><td>Total Purchase Price</td><td class="num">${money(pricing.total)}</td></tr>
+    <tr><td>Payments Received</td><td class="num">-${money(received)}</td></tr>
+    <tr class="total"><td>Balance Due</td><td class="num">${money(due)}</td></tr>
+  </tbody>
+</table>
+<div class="box">
+  <div class="kv"><span>Payment Method:</span> ${escapeHtml(build.payment?.method || build.financing?.method || 'Not selected')}</div>
+  ${meta.dueDate ? `<div class="kv"><span>Due Date:</span> ${formatDate(meta.dueDate)}</div>` : ''}
+</div>`
+  }
+  return `<h2>ORDER STATUS</h2>
+<div class="box">
+  <div class="kv"><span>Status:</span> ${escapeHtml(build.status || 'DRAFT')}</div>
+  <div class="kv"><span>Contract:</span> ${escapeHtml(build.contract?.status || 'none')}</div>
+  <div class="kv"><span>Deposit (${escapeHtml(pricing.depositPercent)}%):</span> ${money(pricing.deposit)}</div>
+</div>`
+}
+
+/**
+ * @param {string} kind - 'quote' | 'order_summary' | 'invoice'
+ * @param {Object} params
+ * @param {Object} params.build - Build document
+ * @param {Object} params.pricing - Pricing breakdown from the shared engine
+ * @param {string} params.number - Document number printed in the header
+ * @param {Date} params.issuedAt - Issue date
+ * @param {Date} params.dueDate - Invoice due date (optional)
+ * @returns {string} Complete HTML document
+ */
+export function renderDocumentHtml(kind, { build, pricing, number, issuedAt = new Date(), dueDate } = {}) {
+  const spec = DOCUMENT_KINDS[kind]
+  if (!spec) throw new Error(`Unknown document kind "${kind}"`)
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(spec.title)} ${escapeHtml(number)}</title>
+<style>
+  @page { size: Letter; margin: 1in; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color:#111; line-height:1.4; margin:0; }
+  .header { display:flex; justify-content:space-between; border-bottom:2px solid #333; padding-bottom:12px; margin-bottom:20px; }
+  .header h1 { font-size:22px; margin:0 0 4px; }
+  .muted { color:#555; }
+  h2 { font-size:14px; margin:18px 0 6px; border-bottom:1px solid #ddd; padding-bottom:4px; }
+  .box { border:1px solid #aaa; border-radius:4px; padding:10px 12px; margin:8px 0; background-color:#f9f9f9; }
+  .kv { margin:4px 0; }
+  .kv span:first-child { display:inline-block; width:170px; color:#333; font-weight:500; }
+  table { width:100%; border-collapse:collapse; }
+  th, td { text-align:left; padding:4px; border-bottom:1px solid #ddd; }
+  .num { text-align:right; }
+  tr.total td { font-weight:bold; font-size:14px; border-top:2px solid #333; }
+  .footer { margin-top:30px; font-size:10px; color:#666; text-align:center; }
+</style>
+</head>
+<body>
+
+<div class="header">
+  <div>
+    <h1>${escapeHtml(COMPANY.name)}</h1>
+    <div class="muted">${escapeHtml(COMPANY.address)}<br>${escapeHtml(COMPANY.phone)} · ${escapeHtml(COMPANY.email)}</div>
+  </div>
+  <div style="text-align:right">
+    <h1>${escapeHtml(spec.title.toUpperCase())}</h1>
+    <div class="muted">No. ${escapeHtml(number)}<br>Issued ${formatDate(issuedAt)}</div>
+  </div>
+</div>
+
+${buyerBlock(build)}
+
+<h2>MODEL</h2>
+<div class="box">
+  <div class="kv"><span>Model:</span> ${escapeHtml(build.modelName || build.modelSlug)}</div>
+  <div class="kv"><span>Base Price:</span> ${money(pricing.base)}</div>
+</div>
+
+<h2>SELECTED OPTIONS</h2>
+${optionsTable(build)}
+
+<h2>PRICE SUMMARY</h2>
+${priceTable(pricing)}
+
+${kindSections(kind, build, pricing, { dueDate })}
+
+<div class="footer">Build ${escapeHtml(build._id)} · Generated ${escapeHtml(new Date(issuedAt).toISOString())}</div>
+
+</body>
+</html>
+`
+}
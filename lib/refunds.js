@@ -0,0 +1,436 @@
+import crypto from 'node:crypto'
+import { getDb } from './db.js'
+import { BUILDS_COLLECTION, getBuildById } from './builds.js'
+import { BUILD_STATUS, normalizeBuildStatus } from './build-lifecycle.js'
+import { postLedgerEntry } from './ledger.js'
+import { buildMilestoneKeys, getBuildMilestone, getBuildSchedule } from './payment-schedules.js'
+
+// Refunds and disputes on build milestone payments. Admin refunds follow the
+// Refund & Cancellation Policy published on the policies page
+// ('other-policies'); Stripe's charge.refunded and charge.dispute.* webhooks
+// record what actually happened under payment.refunds / payment.disputes.
+// Amounts are in cents, like payment.amounts. Milestones are the keys of the
+// build's payment schedule (lib/payment-schedules.js).
+
+// Milestone keys from before payment schedules, used to find a payment by its PaymentIntent
+export const PAYMENT_MILESTONES = ['deposit', 'final', 'full']
+
+export const CANCELLATION_POLICY = Object.freeze({
+  // Full refund within this many hours of the order being placed (signed)
+  fullRefundHours: 24,
+  // Kept from any later refund
+  cancellationFeePercent: 25,
+  depositRefundable: false,
+  // Production has begun; orders can no longer be cancelled
+  lockedStatuses: [
+    BUILD_STATUS.IN_PRODUCTION,
+    BUILD_STATUS.FACTORY_COMPLETE,
+    BUILD_STATUS.IN_TRANSIT,
+    BUILD_STATUS.DELIVERED,
+    BUILD_STATUS.CLOSED,
+  ],
+})
+
+const POLICY_MESSAGES = {
+  production_started: 'Orders cannot be cancelled once production has begun',
+  deposit_non_refundable: 'Deposits are non-refundable after the first 24 hours',
+}
+
+/** Amount received for a milestone, in cents (0 when it is not paid). */
+export function milestonePaidAmount(build, milestone) {
+  const payment = build?.payment || {}
+  if (!payment[`${milestone}Paid`]) return 0
+  if (payment[`${milestone}Amount`] != null) return Number(payment[`${milestone}Amount`]) || 0
+  const scheduled = getBuildMilestone(build, milestone)
+  if (scheduled?.amount) return Number(scheduled.amount) || 0
+  const amounts = payment.amounts || {}
+  return Number(milestone === 'full' ? amounts.total : amounts[milestone]) || 0
+}
+
+/** Amount already refunded (or being refunded) for a milestone, in cents. */
+export function milestoneRefundedAmount(build, milestone) {
+  return (build?.payment?.refunds || [])
+    .filter(r => r.milestone === milestone && !['failed', 'canceled'].includes(r.status))
+    .reduce((sum, r) => sum + Number(r.amount || 0), 0)
+}
+
+/**
+ * Work out how much of a milestone payment may be refunded under the
+ * cancellation policy. An admin override (with a reason) refunds whatever is
+ * left regardless of the policy, for the "at our discretion" exceptions.
+ * @param {Object} build - Build document
+ * @param {Object} opts
+ * @param {string} opts.milestone - Milestone key from the build's payment schedule
+ * @param {number} opts.amount - Requested amount in cents (defaults to the maximum allowed)
+ * @param {boolean} opts.override - Ignore the policy
+ * @param {string} opts.reason - Required with override
+ * @param {Date} opts.now
+ * @returns {Object} { milestone, paid, refunded, remaining, fee, maxRefundable, amount, rule, overridden } or { error, message }
+ */
+export function evaluateRefund(build, { milestone, amount, override = false, reason, now = new Date() } = {}) {
+  const milestones = buildMilestoneKeys(build)
+  if (!milestones.includes(milestone)) {
+    return { error: 'invalid_milestone', message: `Milestone must be one of ${milestones.join(', ')}` }
+  }
+  const paid = milestonePaidAmount(build, milestone)
+  if (!paid) return { error: 'not_paid', message: `The ${milestone} payment has not been received` }
+  const refunded = milestoneRefundedAmount(build, milestone)
+  const remaining = Math.max(0, paid - refunded)
+  if (!remaining) return { error: 'already_refunded', message: `The ${milestone} payment has already been refunded` }
+  if (override && !String(reason || '').trim()) {
+    return { error: 'reason_required', message: 'A reason is required to override the cancellation policy' }
+  }
+
+  const policy = CANCELLATION_POLICY
+  // The first of several milestones is the deposit; a schedule with a single milestone is payment in full
+  const schedule = getBuildSchedule(build)
+  const isDeposit = schedule ? schedule.milestones.length > 1 && schedule.milestones[0].key === milestone : milestone === 'deposit'
+  const isFull = schedule ? schedule.milestones.length === 1 : milestone === 'full'
+  const placedAt = build.signedAt || build.contract?.signedAt || build.payment?.[`${milestone}PaidAt`]
+  const withinWindow = !!placedAt && now - new Date(placedAt) <= policy.fullRefundHours * 3600 * 1000
+
+  let rule
+  let fee = 0
+  let maxRefundable = remaining
+  if (withinWindow) {
+    rule = 'within_window'
+  } else if (policy.lockedStatuses.includes(normalizeBuildStatus(build.status))) {
+    rule = 'production_started'
+    maxRefundable = 0
+  } else if (isDeposit && !policy.depositRefundable) {
+    rule = 'deposit_non_refundable'
+    maxRefundable = 0
+  } else {
+    rule = 'cancellation_fee'
+    fee = Math.round(paid * policy.cancellationFeePercent / 100)
+    // A payment in full includes the deposit, which is kept either way
+    if (isFull && !policy.depositRefundable) fee = Math.max(fee, Number(build.payment?.amounts?.deposit) || 0)
+    maxRefundable = Math.max(0, paid - fee - refunded)
+  }
+  if (override) maxRefundable = remaining
+
+  const requested = amount == null || amount === '' ? maxRefundable : Math.round(Number(amount))
+  if (!maxRefundable) {
+    return { error: 'not_refundable', message: POLICY_MESSAGES[rule] || 'Nothing is refundable under the cancellation policy', rule }
+  }
+  if (!Number.isFinite(requested) || requested <= 0) {
+    return { error: 'invalid_amount', message: 'Refund amount must be a positive number of cents' }
+  }
+  if (requested > maxRefundable) {
+    return { error: 'exceeds_policy', message: `At most ${maxRefundable} cents can be refunded (${rule.replace(/_/g, ' ')})`, rule, maxRefundable }
+  }
+  return { milestone, paid, refunded, remaining, fee, maxRefundable, amount: requested, rule, overridden: !!override }
+}
+
+async function notifyAdmins(db, { title, message, priority = 'normal', metadata }) {
+  await db.collection('notifications').insertOne({
+    title,
+    message,
+    type: 'warning',
+    category: 'order',
+    priority,
+    // Empty targetUsers goes to every admin
+    targetUsers: [],
+    metadata,
+    createdBy: 'system',
+    createdAt: new Date(),
+    readBy: [],
+    status: 'active',
+  })
+}
+
+const formatCents = (cents) => `$${(Number(cents || 0) / 100).toLocaleString('en-US', { minimumFractionDigits: 2 })}`
+
+// The Stripe payment behind a milestone: the stored PaymentIntent, the
+// invoice of a paid bank transfer, or a metadata search as a last resort
+async function findMilestonePaymentIntent(stripe, build, milestone) {
+  const stored = build.payment?.[`${milestone}PaymentIntentId`]
+  if (stored) return stored
+
+  const db = await getDb()
+  const intent = await db.collection('bankTransferIntents').findOne({ buildId: build._id, milestone, status: 'paid' })
+  if (intent?.stripeInvoiceId) {
+    const invoice = await stripe.invoices.retrieve(intent.stripeInvoiceId)
+    if (invoice?.payment_intent) return typeof invoice.payment_intent === 'string' ? invoice.payment_intent : invoice.payment_intent.id
+  }
+
+  const found = await stripe.paymentIntents.search({
+    query: `metadata['buildId']:'${String(build._id)}' AND metadata['milestone']:'${milestone}' AND status:'succeeded'`,
+  })
+  return found?.data?.[0]?.id || null
+}
+
+// Sum of a milestone's refunds that count against it, as milestoneRefundedAmount()
+// computes it, for use in a query filter
+const refundedAmountExpr = (milestone) => ({
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ['$payment.refunds', []] },
+          as: 'r',
+          cond: { $and: [{ $eq: ['$$r.milestone', milestone] }, { $not: [{ $in: ['$$r.status', ['failed', 'canceled']] }] }] },
+        },
+      },
+      as: 'r',
+      in: { $ifNull: ['$$r.amount', 0] },
+    },
+  },
+})
+
+/**
+ * Refund a milestone payment through Stripe after checking the policy.
+ * The amount is reserved on the build as a pending refund first, on the
+ * condition that the milestone's refunds are still what the check saw, so a
+ * double-submitted or concurrent refund cannot pass the check twice.
+ * @param {string} buildId
+ * @param {Object} opts - evaluateRefund options plus { stripe, userId }
+ * @returns {Promise<{ refund: Object, evaluation: Object } | { error: string, message: string }>}
+ */
+export async function refundMilestone(buildId, { stripe, milestone, amount, reason, override = false, userId = null } = {}) {
+  const build = await getBuildById(buildId)
+  if (!build) return { error: 'not_found', message: 'Build not found' }
+
+  const evaluation = evaluateRefund(build, { milestone, amount, reason, override })
+  if (evaluation.error) return evaluation
+
+  const paymentIntentId = await findMilestonePaymentIntent(stripe, build, milestone)
+  if (!paymentIntentId) return { error: 'payment_not_found', message: `No Stripe payment found for the ${milestone} milestone` }
+
+  const db = await getDb()
+  const col = db.collection(BUILDS_COLLECTION)
+  const reservationId = `pending_${crypto.randomUUID()}`
+  const reserved = await col.updateOne(
+    { _id: build._id, [`payment.${milestone}Paid`]: true, $expr: { $eq: [refundedAmountExpr(milestone), evaluation.refunded] } },
+    { $push: { 'payment.refunds': { id: reservationId, milestone, amount: evaluation.amount, status: 'pending', paymentIntentId, requestedBy: userId, createdAt: new Date() } } }
+  )
+  if (!reserved.matchedCount) {
+    return { error: 'refund_in_progress', message: `The ${milestone} payment changed while refunding. Reload and try again.` }
+  }
+
+  let refund
+  try {
+    refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount: evaluation.amount,
+      reason: 'requested_by_customer',
+      metadata: { buildId: String(build._id), milestone, requestedBy: userId || '', policyRule: evaluation.rule },
+    }, { idempotencyKey: `refund:${reservationId}` })
+  } catch (err) {
+    await col.updateOne({ _id: build._id }, { $pull: { 'payment.refunds': { id: reservationId } } })
+    throw err
+  }
+
+  await recordRefund(build._id, {
+    id: refund.id,
+    milestone,
+    amount: refund.amount,
+    status: refund.status,
+    paymentIntentId,
+    reason: reason || null,
+    rule: evaluation.rule,
+    overridden: evaluation.overridden,
+    requestedBy: userId,
+  }, { reservationId })
+  return { refund, evaluation }
+}
+
+/**
+ * Add or update a refund on the build (keyed by the Stripe refund id) and
+ * clear the milestone's paid flag once it is fully refunded. `reservationId`
+ * names the pending refund refundMilestone() reserved; it is replaced by this
+ * refund, or dropped when a webhook already recorded it.
+ */
+export async function recordRefund(buildId, refund, { reservationId = null } = {}) {
+  const db = await getDb()
+  const { ObjectId } = await import('mongodb')
+  const col = db.collection(BUILDS_COLLECTION)
+  const _id = new ObjectId(String(buildId))
+  const build = await col.findOne({ _id })
+  if (!build) return { error: 'not_found', message: 'Build not found' }
+
+  const now = new Date()
+  const stored = build.payment?.refunds || []
+  const existing = stored.find(r => r.id === refund.id)
+  const reservation = reservationId ? stored.find(r => r.id === reservationId) : null
+  const paid = milestonePaidAmount(build, refund.milestone)
+  if (existing) {
+    await col.updateOne({ _id, 'payment.refunds.id': refund.id }, { $set: { 'payment.refunds.$.status': refund.status, 'payment.refunds.$.updatedAt': now } })
+    if (reservation) await col.updateOne({ _id }, { $pull: { 'payment.refunds': { id: reservationId } } })
+  } else if (reservation) {
+    await col.updateOne({ _id, 'payment.refunds.id': reservationId }, { $set: { 'payment.refunds.$': { ...refund, createdAt: now } } })
+  } else {
+    await col.updateOne({ _id }, { $push: { 'payment.refunds': { ...refund, createdAt: now } } })
+  }
+
+  const others = stored.filter(r => r.id !== reservationId)
+  const refunds = existing
+    ? others.map(r => (r.id === refund.id ? { ...r, status: refund.status } : r))
+    : [...others, refund]
+  const refunded = milestoneRefundedAmount({ payment: { refunds } }, refund.milestone)
+  const $set = { 'payment.updatedAt': now }
+  if (paid && refunded >= paid) {
+    $set[`payment.${refund.milestone}Paid`] = false
+    $set[`payment.${refund.milestone}RefundedAt`] = now
+    const stillPaid = buildMilestoneKeys(build).some(m => m !== refund.milestone && build.payment?.[`${m}Paid`])
+    $set['payment.status'] = stillPaid ? 'partially_refunded' : 'refunded'
+  } else if (refunded > 0) {
+    $set['payment.status'] = 'partially_refunded'
+  }
+  await col.updateOne({ _id }, { $set })
+
+  // Money only leaves the ledger once Stripe reports the refund succeeded
+  if (refund.status === 'succeeded') {
+    await postLedgerEntry({
+      key: `refund:${refund.id}`,
+      type: 'refund',
+      amount: refund.amount,
+      buildId: _id,
+      milestone: refund.milestone,
+      description: `Refund of ${refund.milestone} payment`,
+      source: 'stripe',
+      externalId: refund.id,
+      createdBy: refund.requestedBy || null,
+    })
+  }
+
+  if (!existing) {
+    await notifyAdmins(db, {
+      title: `Refund ${refund.status === 'failed' ? 'failed' : 'issued'}: ${build.modelName || 'Build'}`,
+      message: `${formatCents(refund.amount)} of the ${refund.milestone} payment${refund.reason ? ` (${refund.reason})` : ''}.`,
+      metadata: { buildId: String(_id), refundId: refund.id, milestone: refund.milestone },
+    })
+  }
+  return { build: await col.findOne({ _id }) }
+}
+
+/**
+ * Add or update a dispute on the build (keyed by the Stripe dispute id). A
+ * lost dispute means the funds are gone, so the milestone is no longer paid.
+ */
+export async function recordDispute(buildId, dispute) {
+  const db = await getDb()
+  const { ObjectId } = await import('mongodb')
+  const col = db.collection(BUILDS_COLLECTION)
+  const _id = new ObjectId(String(buildId))
+  const build = await col.findOne({ _id })
+  if (!build) return { error: 'not_found', message: 'Build not found' }
+
+  const now = new Date()
+  const existing = (build.payment?.disputes || []).find(d => d.id === dispute.id)
+  if (existing) {
+    await col.updateOne(
+      { _id, 'payment.disputes.id': dispute.id },
+      { $set: { 'payment.disputes.$.status': dispute.status, 'payment.disputes.$.updatedAt': now } }
+    )
+  } else {
+    await col.updateOne({ _id }, { $push: { 'payment.disputes': { ...dispute, createdAt: now } } })
+  }
+
+  const open = !['won', 'lost', 'warning_closed'].includes(dispute.status)
+  const $set = { 'payment.disputed': open, 'payment.updatedAt': now }
+  if (dispute.status === 'lost' && dispute.milestone) {
+    $set[`payment.${dispute.milestone}Paid`] = false
+    $set['payment.status'] = 'dispute_lost'
+  }
+  await col.updateOne({ _id }, { $set })
+  if (dispute.status === 'lost') {
+    await postLedgerEntry({
+      key: `dispute:${dispute.id}`,
+      type: 'refund',
+      amount: dispute.amount,
+      buildId: _id,
+      milestone: dispute.milestone || null,
+      description: 'Chargeback (dispute lost)',
+      source: 'stripe',
+      externalId: dispute.id,
+    })
+  }
+
+  if (!existing || existing.status !== dispute.status) {
+    await notifyAdmins(db, {
+      title: `Payment dispute ${open ? (existing ? 'updated' : 'opened') : dispute.status.replace(/_/g, ' ')}: ${build.modelName || 'Build'}`,
+      message: `${formatCents(dispute.amount)} on the ${dispute.milestone || 'unknown'} payment (${dispute.reason || 'no reason given'}).${dispute.evidenceDueBy ? ` Evidence due ${dispute.evidenceDueBy.toISOString().slice(0, 10)}.` : ''}`,
+      priority: open ? 'high' : 'normal',
+      metadata: { buildId: String(_id), disputeId: dispute.id, milestone: dispute.milestone || null },
+    })
+  }
+  return { build: await col.findOne({ _id }) }
+}
+
+// Which build and milestone a Stripe payment belongs to
+async function resolvePaymentOwner(stripe, { metadata, paymentIntentId, invoiceId }) {
+  if (metadata?.buildId && metadata?.milestone) return { buildId: metadata.buildId, milestone: metadata.milestone }
+
+  if (paymentIntentId) {
+    const db = await getDb()
+    const build = await db.collection(BUILDS_COLLECTION).findOne({
+      $or: PAYMENT_MILESTONES.map(m => ({ [`payment.${m}PaymentIntentId`]: paymentIntentId })),
+    })
+    if (build) {
+      return { buildId: String(build._id), milestone: PAYMENT_MILESTONES.find(m => build.payment[`${m}PaymentIntentId`] === paymentIntentId) }
+    }
+    const pi = await stripe.paymentIntents.retrieve(paymentIntentId)
+    if (pi?.metadata?.buildId) return { buildId: pi.metadata.buildId, milestone: pi.metadata.milestone }
+    if (pi?.invoice && !invoiceId) invoiceId = typeof pi.invoice === 'string' ? pi.invoice : pi.invoice.id
+  }
+
+  if (invoiceId) {
+    const invoice = await stripe.invoices.retrieve(invoiceId)
+    if (invoice?.metadata?.buildId) return { buildId: invoice.metadata.buildId, milestone: invoice.metadata.milestone }
+  }
+  return null
+}
+
+const idOf = (v) => (v && typeof v === 'object' ? v.id : v) || null
+
+/**
+ * Stripe webhook handling for charge.refunded and charge.dispute.* events.
+ * @returns {Promise<boolean>} false when the payment is not tied to a build
+ */
+export async function handleRefundWebhookEvent(stripe, event) {
+  const object = event.data.object
+
+  if (event.type === 'charge.refunded') {
+    const owner = await resolvePaymentOwner(stripe, { metadata: object.metadata, paymentIntentId: idOf(object.payment_intent), invoiceId: idOf(object.invoice) })
+    if (!owner) return false
+    const refunds = await stripe.refunds.list({ charge: object.id, limit: 100 })
+    for (const refund of refunds.data) {
+      await recordRefund(owner.buildId, {
+        id: refund.id,
+        milestone: owner.milestone,
+        amount: refund.amount,
+        status: refund.status,
+        paymentIntentId: idOf(object.payment_intent),
+        reason: refund.metadata?.reason || refund.reason || null,
+        rule: refund.metadata?.policyRule || null,
+        requestedBy: refund.metadata?.requestedBy || null,
+      })
+    }
+    return true
+  }
+
+  if (event.type.startsWith('charge.dispute.')) {
+    let paymentIntentId = idOf(object.payment_intent)
+    let metadata = object.metadata
+    if (!paymentIntentId && object.charge) {
+      const charge = await stripe.charges.retrieve(idOf(object.charge))
+      paymentIntentId = idOf(charge.payment_intent)
+      metadata = { ...charge.metadata, ...metadata }
+    }
+    const owner = await resolvePaymentOwner(stripe, { metadata, paymentIntentId })
+    if (!owner) return false
+    await recordDispute(owner.buildId, {
+      id: object.id,
+      milestone: owner.milestone,
+      amount: object.amount,
+      status: object.status,
+      reason: object.reason,
+      chargeId: idOf(object.charge),
+      paymentIntentId,
+      evidenceDueBy: object.evidence_details?.due_by ? new Date(object.evidence_details.due_by * 1000) : null,
+    })
+    return true
+  }
+  return false
+}
@@ -11,6 +11,7 @@ export async function getOrgSettings() {
   const now = new Date()
   const fallback = {
     key: SETTINGS_KEY,
+    version: 1,
     factory: {
       name: 'Champion Homes of Mansfield, TX',
       address: '606 S 2nd Ave, Mansfield, TX 76063',
@@ -22,6 +23,7 @@ export async function getOrgSettings() {
       delivery_minimum: 2000,
       title_fee_default: 500,
       setup_fee_default: 3000,
+      quote_expiry_days: 30,
     },
     createdAt: now,
     updatedAt: now,
@@ -52,17 +54,36 @@ export async function updateOrgSettings(patch, updatedBy) {
       delivery_minimum: numOrUndefined(p.delivery_minimum),
       title_fee_default: numOrUndefined(p.title_fee_default),
       setup_fee_default: numOrUndefined(p.setup_fee_default),
+      quote_expiry_days: numOrUndefined(p.quote_expiry_days),
     }
   }
+  if (patch?.payments && typeof patch.payments === 'object') {
+    // Schedules and the default are checked by the admin route. Fields left
+    // out of the patch keep their stored values.
+    const current = await col.findOne({ key: SETTINGS_KEY }, { projection: { payments: 1 } })
+    next.payments = { ...(current?.payments || {}) }
+    if (Array.isArray(patch.payments.schedules)) next.payments.schedules = patch.payments.schedules
+    if ('default_schedule' in patch.payments) {
+      next.payments.default_schedule = String(patch.payments.default_schedule || '').trim() || undefined
+    }
+  }
+  if (patch?.dunning && typeof patch.dunning === 'object') {
+    // Checked with validateDunningSettings by the admin route
+    next.dunning = patch.dunning
+  }
 
   const update = {
     $set: {
       ...(next.factory ? { factory: next.factory } : {}),
       ...(next.pricing ? { pricing: next.pricing } : {}),
+      ...(next.payments ? { payments: next.payments } : {}),
+      ...(next.dunning ? { dunning: next.dunning } : {}),
       updatedAt: now,
       updatedBy: updatedBy || null,
     },
     $setOnInsert: { key: SETTINGS_KEY, createdAt: now },
+    // Every change bumps the version so pricing breakdowns can record which settings they used
+    $inc: { version: 1 },
   }
 
   await col.updateOne({ key: SETTINGS_KEY }, update, { upsert: true })
@@ -0,0 +1,123 @@
+import crypto from 'node:crypto'
+import { Buffer } from 'node:buffer'
+import { getDb } from './db.js'
+import { BUILDS_COLLECTION, getBuildById } from './builds.js'
+
+// Public quote links. A share token is `<payload>.<signature>`, where the
+// payload is base64url JSON { b: buildId, v: shareVersion, e: expiresAt ms }
+// signed with HMAC-SHA256. Tokens are stateless; bumping `share.version` on
+// the build revokes every link issued before.
+const DEFAULT_TTL_DAYS = 14
+const MAX_TTL_DAYS = 90
+
+function shareSecret() {
+  const secret = process.env.SHARE_LINK_SECRET
+  if (!secret) throw new Error('SHARE_LINK_SECRET is not configured')
+  return secret
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url')
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.buildId - Build to share
+ * @param {number} params.version - Current share version of the build
+ * @param {number} params.ttlDays - Days until the link expires (max 90)
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+export function createShareToken({ buildId, version = 0, ttlDays = DEFAULT_TTL_DAYS, now = Date.now(), secret = shareSecret() }) {
+  const days = Math.min(MAX_TTL_DAYS, Math.max(1, Number(ttlDays) || DEFAULT_TTL_DAYS))
+  const expiresAt = now + days * 24 * 60 * 60 * 1000
+  const payload = Buffer.from(JSON.stringify({ b: String(buildId), v: Number(version) || 0, e: expiresAt })).toString('base64url')
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt: new Date(expiresAt) }
+}
+
+/**
+ * @returns {{ buildId: string, version: number, expiresAt: Date } | { error: 'invalid_token' | 'expired_token' }}
+ */
+export function verifyShareToken(token, { now = Date.now(), secret = shareSecret() } = {}) {
+  const [payload, signature] = String(token || '').split('.')
+  if (!payload || !signature) return { error: 'invalid_token' }
+  const expected = Buffer.from(sign(payload, secret))
+  const given = Buffer.from(signature)
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return { error: 'invalid_token' }
+  let data
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  } catch {
+    return { error: 'invalid_token' }
+  }
+  if (!data?.b || !Number.isFinite(data.e)) return { error: 'invalid_token' }
+  if (data.e <= now) return { error: 'expired_token' }
+  return { buildId: data.b, version: Number(data.v) || 0, expiresAt: new Date(data.e) }
+}
+
+/**
+ * Read-only view of a build for people without an account (spouse, lender):
+ * model, options and pricing, with the buyer's contact details left out.
+ */
+export function toSharedQuote(build) {
+  const buyer = build?.buyerInfo || {}
+  return {
+    buildId: String(build._id),
+    modelSlug: build.modelSlug,
+    modelName: build.modelName,
+    preparedFor: buyer.firstName || null,
+    deliveryArea: [buyer.city, buyer.state].filter(Boolean).join(', ') || null,
+    selections: {
+      basePrice: build.selections?.basePrice,
+      packagePrice: build.selections?.packagePrice,
+      options: (build.selections?.options || []).map(o => ({ id: o.id || o.code, name: o.name, price: o.price, quantity: o.quantity, unit: o.unit })),
+    },
+    pricing: build.pricing || {},
+    // Enough for the pricing engine to reproduce the line items; trade-in details stay private
+    adjustments: build.adjustments ? {
+      promo: build.adjustments.promo || null,
+      manual: (build.adjustments.manual || []).map(a => ({ id: a.id, label: a.label, amount: a.amount })),
+      tradeIn: build.adjustments.tradeIn ? { allowance: build.adjustments.tradeIn.allowance, payoff: build.adjustments.tradeIn.payoff } : null,
+    } : undefined,
+    // Only the status matters to the engine; the certificate stays private
+    taxExemption: build.taxExemption ? { status: build.taxExemption.status } : undefined,
+    payment: { plan: build.payment?.plan ? { type: build.payment.plan.type, percent: build.payment.plan.percent } : undefined },
+    financing: { estMonthly: build.financing?.estMonthly },
+    catalog: build.catalog ? { version: build.catalog.version, quotedAt: build.catalog.quotedAt, expiresAt: build.catalog.expiresAt } : undefined,
+    updatedAt: build.updatedAt,
+  }
+}
+
+/** Issue a share link for a build and remember when it was last shared. */
+export async function issueShareLink(build, { ttlDays } = {}) {
+  const version = Number(build?.share?.version) || 0
+  const { token, expiresAt } = createShareToken({ buildId: build._id, version, ttlDays })
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id },
+    { $set: { 'share.version': version, 'share.lastIssuedAt': new Date(), 'share.expiresAt': expiresAt } }
+  )
+  return { token, expiresAt }
+}
+
+/** Invalidate every share link issued so far for a build. */
+export async function revokeShareLinks(buildId) {
+  const db = await getDb()
+  const { ObjectId } = await import('mongodb')
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: new ObjectId(String(buildId)) },
+    { $inc: { 'share.version': 1 }, $set: { 'share.revokedAt': new Date() }, $unset: { 'share.expiresAt': '' } }
+  )
+}
+
+/**
+ * Resolve a share token to the build it was issued for.
+ * @returns {Promise<{ build: Object, expiresAt: Date } | { error: string }>}
+ */
+export async function getSharedBuild(token) {
+  const verified = verifyShareToken(token)
+  if (verified.error) return verified
+  const build = await getBuildById(verified.buildId)
+  if (!build) return { error: 'invalid_token' }
+  if ((Number(build.share?.version) || 0) !== verified.version) return { error: 'revoked_token' }
+  return { build, expiresAt: verified.expiresAt }
+}
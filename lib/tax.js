@@ -0,0 +1,240 @@
+import crypto from 'node:crypto'
+import { Buffer } from 'node:buffer'
+import { getDb } from './db.js'
+import { getOrgSettings } from './settings.js'
+import { BUILDS_COLLECTION, getBuildById, reprice } from './builds.js'
+import { canAdjust } from './adjustments.js'
+import { normalizeCounty } from './delivery-zones.js'
+import { getDefaultStorage, getStorageAdapter } from './pdf/storage.js'
+import { DEFAULT_TAXABILITY } from '../src/utils/pricing.js'
+
+// Sales tax by delivery jurisdiction. Admins keep a rate table in
+// `tax_rates`: one row per state, optionally overridden per county, each with
+// a combined rate, per-line taxability flags and the share of the price that
+// is taxable. The matching row is snapshotted onto the build's pricing as
+// `taxJurisdiction` when the delivery address is priced; the pricing engine
+// does the math. Buyers can also upload an exemption certificate, which an
+// admin approves before tax is removed.
+export const TAX_RATES_COLLECTION = process.env.TAX_RATES_COLLECTION || 'tax_rates'
+
+export const EXEMPTION_STATUS = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+})
+
+const MAX_CERTIFICATE_BYTES = 1024 * 1024
+
+export function taxRateId(state, county) {
+  const code = String(state || '').trim().toUpperCase()
+  const name = normalizeCounty(county)
+  return name ? `${code}-${name.replace(/[^a-z0-9]+/g, '-')}` : code
+}
+
+/**
+ * Check and normalize an admin-edited rate table row.
+ * @returns {{ rate: Object } | { error: 'invalid_tax_rate', message: string }}
+ */
+export function validateTaxRate(input) {
+  const fail = (message) => ({ error: 'invalid_tax_rate', message })
+  const state = String(input?.state || '').trim().toUpperCase()
+  if (!/^[A-Z]{2}$/.test(state)) return fail('State must be a two-letter code')
+  const county = String(input?.county || '').replace(/\s+county$/i, '').trim() || null
+  const rate = Number(input?.rate)
+  if (!Number.isFinite(rate) || rate < 0 || rate > 20) return fail('Rate must be a percentage between 0 and 20')
+  const taxableBasePercent = input?.taxableBasePercent === undefined || input?.taxableBasePercent === '' ? 100 : Number(input.taxableBasePercent)
+  if (!Number.isFinite(taxableBasePercent) || taxableBasePercent < 0 || taxableBasePercent > 100) {
+    return fail('Taxable share of the price must be between 0 and 100')
+  }
+  const taxable = {}
+  for (const line of Object.keys(DEFAULT_TAXABILITY)) {
+    taxable[line] = input?.taxable?.[line] === undefined ? DEFAULT_TAXABILITY[line] : !!input.taxable[line]
+  }
+  return {
+    rate: {
+      id: taxRateId(state, county),
+      state,
+      county,
+      label: String(input?.label || '').trim().slice(0, 80) || (county ? `${county} County, ${state}` : state),
+      rate,
+      taxable,
+      taxableBasePercent,
+      notes: String(input?.notes || '').trim().slice(0, 500),
+      active: input?.active !== false,
+    },
+  }
+}
+
+/** Most specific active row for a destination: the county, then the state. */
+export function selectTaxRate(rates, { state, county } = {}) {
+  const active = (rates || []).filter(r => r.active !== false)
+  const code = String(state || '').trim().toUpperCase()
+  if (!code) return null
+  const wanted = normalizeCounty(county)
+  return (wanted && active.find(r => r.state === code && normalizeCounty(r.county) === wanted)) ||
+    active.find(r => r.state === code && !r.county) ||
+    null
+}
+
+// What the pricing engine reads from `pricing.taxJurisdiction`
+export function jurisdictionSnapshot(row) {
+  if (!row) return null
+  return {
+    id: row.id,
+    label: row.label,
+    state: row.state,
+    county: row.county || null,
+    rate: row.rate,
+    taxable: { ...row.taxable },
+    taxableBasePercent: row.taxableBasePercent,
+  }
+}
+
+// ----- Rate table -----
+
+let indexesReady = null
+export async function ensureTaxIndexes() {
+  if (!indexesReady) {
+    indexesReady = (async () => {
+      const db = await getDb()
+      await Promise.all([
+        db.collection(TAX_RATES_COLLECTION).createIndex({ id: 1 }, { unique: true }),
+        db.collection(TAX_RATES_COLLECTION).createIndex({ state: 1, county: 1 }),
+      ])
+    })().catch(err => { indexesReady = null; throw err })
+  }
+  return indexesReady
+}
+
+export async function listTaxRates() {
+  const db = await getDb()
+  return db.collection(TAX_RATES_COLLECTION).find({}, { projection: { _id: 0 } }).sort({ state: 1, county: 1 }).toArray()
+}
+
+export async function saveTaxRate(input, { userId = null } = {}) {
+  const result = validateTaxRate(input)
+  if (result.error) return result
+  await ensureTaxIndexes()
+  const db = await getDb()
+  const now = new Date()
+  const rate = await db.collection(TAX_RATES_COLLECTION).findOneAndUpdate(
+    { id: result.rate.id },
+    { $set: { ...result.rate, updatedAt: now, updatedBy: userId }, $setOnInsert: { createdAt: now } },
+    { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+  )
+  return { rate }
+}
+
+export async function deleteTaxRate(id) {
+  const db = await getDb()
+  const { deletedCount } = await db.collection(TAX_RATES_COLLECTION).deleteOne({ id: String(id) })
+  return deletedCount > 0
+}
+
+/**
+ * Jurisdiction snapshot for a delivery destination, or null when the table
+ * has no row for it (the org-wide rate then applies).
+ */
+export async function resolveTaxJurisdiction({ state, county } = {}) {
+  if (!state) return null
+  const db = await getDb()
+  const rows = await db.collection(TAX_RATES_COLLECTION)
+    .find({ state: String(state).trim().toUpperCase() }, { projection: { _id: 0 } })
+    .toArray()
+  return jurisdictionSnapshot(selectTaxRate(rows, { state, county }))
+}
+
+// ----- Exemption certificates -----
+
+async function saveExemption(build, taxExemption) {
+  const settings = await getOrgSettings()
+  const pricing = reprice({ ...build, taxExemption }, settings)
+  const db = await getDb()
+  await db.collection(BUILDS_COLLECTION).updateOne(
+    { _id: build._id },
+    { $set: { taxExemption, pricing, updatedAt: new Date() } }
+  )
+  return { build: await getBuildById(String(build._id)) }
+}
+
+/**
+ * Store a buyer's exemption certificate (a base64 PDF) for review. Tax keeps
+ * being charged until an admin approves it.
+ */
+export async function submitTaxExemption(build, input = {}, { userId = null } = {}) {
+  const locked = canAdjust(build)
+  if (locked) return locked
+  const fail = (message) => ({ error: 'invalid_exemption', message })
+  const certificateNumber = String(input.certificateNumber || '').trim().slice(0, 60)
+  if (!certificateNumber) return fail('Certificate or permit number is required')
+  const issuingState = String(input.issuingState || '').trim().toUpperCase()
+  if (!/^[A-Z]{2}$/.test(issuingState)) return fail('Issuing state must be a two-letter code')
+  const reason = String(input.reason || '').trim().slice(0, 200)
+  if (!reason) return fail('Give the reason for the exemption')
+
+  const buffer = Buffer.from(String(input.data || ''), 'base64')
+  if (!buffer.length) return fail('Attach the exemption certificate')
+  if (buffer.length > MAX_CERTIFICATE_BYTES) return fail('Certificate must be 1 MB or smaller')
+  if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') return fail('Certificate must be a PDF')
+
+  const storage = getDefaultStorage()
+  const ref = await storage.save({ buffer, key: `builds/${String(build._id)}/tax-exemption-${Date.now()}.pdf` })
+  return saveExemption(build, {
+    status: EXEMPTION_STATUS.PENDING,
+    certificateNumber,
+    issuingState,
+    reason,
+    certificate: {
+      storage: storage.name,
+      ref,
+      fileName: String(input.fileName || 'certificate.pdf').slice(0, 120),
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    },
+    submittedBy: userId,
+    submittedAt: new Date(),
+    reviewedBy: null,
+    reviewedAt: null,
+    reviewNote: null,
+  })
+}
+
+/** Approve or reject a pending certificate; approval removes sales tax. */
+export async function reviewTaxExemption(build, { decision, note } = {}, { userId = null } = {}) {
+  const locked = canAdjust(build)
+  if (locked) return locked
+  const current = build.taxExemption
+  if (!current) return { error: 'not_found', message: 'No exemption certificate on this build' }
+  if (![EXEMPTION_STATUS.APPROVED, EXEMPTION_STATUS.REJECTED].includes(decision)) {
+    return { error: 'invalid_decision', message: 'Decision must be approved or rejected' }
+  }
+  const reviewNote = String(note || '').trim().slice(0, 500) || null
+  if (decision === EXEMPTION_STATUS.REJECTED && !reviewNote) {
+    return { error: 'note_required', message: 'Tell the buyer why the certificate was rejected' }
+  }
+  return saveExemption(build, { ...current, status: decision, reviewedBy: userId, reviewedAt: new Date(), reviewNote })
+}
+
+export async function withdrawTaxExemption(build) {
+  const locked = canAdjust(build)
+  if (locked) return locked
+  if (!build.taxExemption) return { error: 'not_found', message: 'No exemption certificate on this build' }
+  return saveExemption(build, null)
+}
+
+export async function readExemptionCertificate(build) {
+  const certificate = build?.taxExemption?.certificate
+  if (!certificate) return { error: 'not_found' }
+  const buffer = await getStorageAdapter(certificate.storage).read(certificate.ref)
+  return { certificate, buffer }
+}
+
+export async function listTaxExemptions({ status, limit = 100 } = {}) {
+  const db = await getDb()
+  const query = status ? { 'taxExemption.status': status } : { taxExemption: { $type: 'object' } }
+  return db.collection(BUILDS_COLLECTION)
+    .find(query, { projection: { modelName: 1, buyerInfo: 1, status: 1, taxExemption: 1, 'pricing.tax': 1, 'pricing.taxJurisdiction': 1 } })
+    .sort({ 'taxExemption.submittedAt': -1 })
+    .limit(Math.min(Number(limit) || 100, 500))
+    .toArray()
+}
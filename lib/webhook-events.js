@@ -0,0 +1,287 @@
+import crypto from 'node:crypto'
+import { Buffer } from 'node:buffer'
+import { getDb } from './db.js'
+
+// Inbound webhook log. Every Stripe, DocuSeal, e-sign and Clerk delivery is
+// stored in webhook_events keyed by (provider, eventId) before anything else
+// happens, so redeliveries are recognised and skipped, failures are retried
+// with backoff, and any event can be inspected and replayed from the admin.
+
+export const WEBHOOK_EVENTS_COLLECTION = process.env.WEBHOOK_EVENTS_COLLECTION || 'webhook_events'
+
+export const WEBHOOK_EVENT_STATUS = Object.freeze({
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  DEAD_LETTER: 'dead_letter',
+})
+
+export const MAX_WEBHOOK_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5)
+
+// A claim older than this is treated as a crashed run and can be taken again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000
+
+/** Delay before retry number `attempt` (1-based): 1m, 2m, 4m ... capped at 6h. */
+export function retryDelayMs(attempt) {
+  return Math.min(60 * 1000 * 2 ** Math.max(0, attempt - 1), 6 * 60 * 60 * 1000)
+}
+
+/**
+ * Providers without their own delivery id get one derived from the payload,
+ * so an identical redelivery maps to the same event.
+ */
+export function payloadEventId(payload) {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload ?? null)
+  return `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`
+}
+
+/**
+ * Check a Svix-signed delivery (Clerk webhooks): HMAC-SHA256 over
+ * "id.timestamp.body" keyed with the base64 part of the whsec_ secret.
+ * svix-signature holds space-separated "v1,<base64>" entries.
+ * @returns {boolean}
+ */
+export function verifySvixSignature(rawBody, headers, secret, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const id = headers?.['svix-id']
+  const timestamp = headers?.['svix-timestamp']
+  const signatures = headers?.['svix-signature']
+  if (!secret || !id || !timestamp || !signatures) return false
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return false
+
+  const key = Buffer.from(String(secret).replace(/^whsec_/, ''), 'base64')
+  const expected = Buffer.from(crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64'))
+  return String(signatures).split(' ').some(entry => {
+    const [version, signature] = entry.split(',')
+    const candidate = Buffer.from(signature || '')
+    return version === 'v1' && candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)
+  })
+}
+
+const handlers = new Map()
+
+/**
+ * Register the function that processes a provider's events. It is called
+ * with (payload, event) and may return a small result object that is stored
+ * on the event; throwing marks the attempt as failed.
+ */
+export function registerWebhookHandler(provider, handler) {
+  if (typeof handler !== 'function') throw new Error(`Webhook handler for "${provider}" must be a function`)
+  handlers.set(provider, handler)
+}
+
+export function getWebhookHandler(provider) {
+  return handlers.get(provider) || null
+}
+
+let indexesReady = null
+export async function ensureWebhookEventIndexes() {
+  if (!indexesReady) {
+    indexesReady = (async () => {
+      const db = await getDb()
+      const col = db.collection(WEBHOOK_EVENTS_COLLECTION)
+      await Promise.all([
+        col.createIndex({ provider: 1, eventId: 1 }, { unique: true }),
+        col.createIndex({ status: 1, nextAttemptAt: 1 }),
+        col.createIndex({ receivedAt: -1 }),
+      ])
+    })().catch(err => {
+      indexesReady = null
+      throw err
+    })
+  }
+  return indexesReady
+}
+
+// Only the headers worth keeping for debugging; never auth secrets
+function pickHeaders(headers = {}) {
+  const keep = ['content-type', 'user-agent', 'stripe-signature', 'svix-id', 'svix-timestamp']
+  return Object.fromEntries(keep.filter(k => headers[k] != null).map(k => [k, String(headers[k])]))
+}
+
+function errorInfo(err) {
+  return { message: String(err?.message || err), stack: err?.stack ? String(err.stack).split('\n').slice(0, 5).join('\n') : undefined }
+}
+
+/**
+ * Run the registered handler for a stored event. The event is claimed first,
+ * so two workers (or a redelivery racing a retry) never process it together.
+ * @param {Object} event - Stored webhook event
+ * @param {Object} opts
+ * @param {boolean} opts.replay - Also process events that already succeeded or were dead-lettered
+ * @returns {Promise<Object>} The event after this attempt, or { error } when it could not be claimed
+ */
+export async function processWebhookEvent(event, { replay = false, now = new Date() } = {}) {
+  const db = await getDb()
+  const col = db.collection(WEBHOOK_EVENTS_COLLECTION)
+  const claimable = replay
+    ? [WEBHOOK_EVENT_STATUS.RECEIVED, WEBHOOK_EVENT_STATUS.FAILED, WEBHOOK_EVENT_STATUS.PROCESSED, WEBHOOK_EVENT_STATUS.DEAD_LETTER]
+    : [WEBHOOK_EVENT_STATUS.RECEIVED, WEBHOOK_EVENT_STATUS.FAILED]
+
+  const current = await col.findOneAndUpdate(
+    {
+      _id: event._id,
+      $or: [
+        { status: { $in: claimable } },
+        { status: WEBHOOK_EVENT_STATUS.PROCESSING, lockedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: WEBHOOK_EVENT_STATUS.PROCESSING, lockedAt: now }, $inc: { attempts: 1 } },
+    { returnDocument: 'after' }
+  )
+  if (!current) return { error: 'not_claimable', message: 'Event is already being processed or is finished' }
+
+  const handler = getWebhookHandler(current.provider)
+  let $set
+  let $push
+  try {
+    if (!handler) throw new Error(`No webhook handler registered for "${current.provider}"`)
+    const result = await handler(current.payload, current)
+    $set = { status: WEBHOOK_EVENT_STATUS.PROCESSED, processedAt: new Date(), result: result ?? null, nextAttemptAt: null, lastError: null }
+  } catch (err) {
+    const info = errorInfo(err)
+    const dead = current.attempts >= MAX_WEBHOOK_ATTEMPTS
+    console.error(`[WEBHOOKS] ${current.provider} ${current.type || ''} ${current.eventId} failed (attempt ${current.attempts}):`, info.message)
+    $set = {
+      status: dead ? WEBHOOK_EVENT_STATUS.DEAD_LETTER : WEBHOOK_EVENT_STATUS.FAILED,
+      lastError: info,
+      nextAttemptAt: dead ? null : new Date(now.getTime() + retryDelayMs(current.attempts)),
+    }
+    $push = { errors: { $each: [{ ...info, attempt: current.attempts, at: new Date() }], $slice: -MAX_WEBHOOK_ATTEMPTS * 2 } }
+  }
+  await col.updateOne({ _id: current._id }, { $set: { ...$set, lockedAt: null }, ...($push ? { $push } : {}) })
+  return { ...current, ...$set, lockedAt: null }
+}
+
+/**
+ * Store an inbound event and process it. A redelivery of an event that was
+ * already processed (or is in flight) is not processed again; a redelivery
+ * of a failed one counts as an early retry.
+ * @param {Object} params
+ * @param {string} params.provider - Handler registry key ('stripe', 'docuseal', ...)
+ * @param {string} params.eventId - Provider event id (or payloadEventId())
+ * @param {string} params.type - Event type, for filtering
+ * @param {Object} params.payload - Parsed event body, handed to the handler
+ * @param {Object} params.headers - Request headers (a safe subset is stored)
+ * @param {Object} params.meta - Extra request details (e.g. ip)
+ * @returns {Promise<{ event: Object, duplicate: boolean }>}
+ */
+export async function ingestWebhookEvent({ provider, eventId, type = null, payload, headers, meta = {} }) {
+  await ensureWebhookEventIndexes()
+  const db = await getDb()
+  const col = db.collection(WEBHOOK_EVENTS_COLLECTION)
+  const now = new Date()
+  const doc = {
+    provider,
+    eventId: String(eventId || payloadEventId(payload)),
+    type,
+    payload,
+    headers: pickHeaders(headers),
+    meta,
+    status: WEBHOOK_EVENT_STATUS.RECEIVED,
+    attempts: 0,
+    deliveries: 1,
+    receivedAt: now,
+    lastReceivedAt: now,
+    nextAttemptAt: null,
+    errors: [],
+    replays: [],
+  }
+
+  let event
+  let duplicate = false
+  try {
+    const inserted = await col.insertOne(doc)
+    event = { ...doc, _id: inserted.insertedId }
+  } catch (err) {
+    if (err?.code !== 11000) throw err
+    duplicate = true
+    event = await col.findOneAndUpdate(
+      { provider, eventId: doc.eventId },
+      { $inc: { deliveries: 1 }, $set: { lastReceivedAt: now } },
+      { returnDocument: 'after' }
+    )
+  }
+
+  if (!duplicate || event?.status === WEBHOOK_EVENT_STATUS.FAILED) {
+    const processed = await processWebhookEvent(event)
+    if (!processed.error) event = processed
+  }
+  return { event, duplicate }
+}
+
+/**
+ * Retry failed events whose backoff has elapsed. Meant for a scheduled job.
+ * @returns {Promise<{ retried: number, processed: number, failed: number, deadLettered: number }>}
+ */
+export async function retryDueWebhookEvents({ limit = 25, now = new Date() } = {}) {
+  const db = await getDb()
+  const due = await db.collection(WEBHOOK_EVENTS_COLLECTION)
+    .find({ status: WEBHOOK_EVENT_STATUS.FAILED, nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(Math.min(Number(limit) || 25, 100))
+    .toArray()
+
+  const summary = { retried: 0, processed: 0, failed: 0, deadLettered: 0 }
+  for (const event of due) {
+    const result = await processWebhookEvent(event, { now })
+    if (result.error) continue
+    summary.retried += 1
+    if (result.status === WEBHOOK_EVENT_STATUS.PROCESSED) summary.processed += 1
+    else if (result.status === WEBHOOK_EVENT_STATUS.DEAD_LETTER) summary.deadLettered += 1
+    else summary.failed += 1
+  }
+  return summary
+}
+
+async function findEvent(id) {
+  const { ObjectId } = await import('mongodb')
+  if (!ObjectId.isValid(String(id))) return null
+  const db = await getDb()
+  return db.collection(WEBHOOK_EVENTS_COLLECTION).findOne({ _id: new ObjectId(String(id)) })
+}
+
+export async function getWebhookEvent(id) {
+  return findEvent(id)
+}
+
+/**
+ * Admin list, newest first. The payload is left out; fetch one event for it.
+ */
+export async function listWebhookEvents({ provider, status, type, q, limit = 50, skip = 0 } = {}) {
+  const db = await getDb()
+  const filter = {}
+  if (provider) filter.provider = provider
+  if (status) filter.status = status
+  if (type) filter.type = type
+  if (q) filter.eventId = String(q)
+  const col = db.collection(WEBHOOK_EVENTS_COLLECTION)
+  const [events, total, counts] = await Promise.all([
+    col.find(filter, { projection: { payload: 0, headers: 0 } })
+      .sort({ receivedAt: -1 })
+      .skip(Math.max(0, Number(skip) || 0))
+      .limit(Math.min(Math.max(1, Number(limit) || 50), 200))
+      .toArray(),
+    col.countDocuments(filter),
+    col.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]).toArray(),
+  ])
+  return { events, total, counts: Object.fromEntries(counts.map(c => [c._id, c.count])) }
+}
+
+/**
+ * Process an event again on an admin's request, whatever its status.
+ * @returns {Promise<Object>} The event after the replay, or { error, message }
+ */
+export async function replayWebhookEvent(id, { userId = null } = {}) {
+  const event = await findEvent(id)
+  if (!event) return { error: 'not_found', message: 'Webhook event not found' }
+  if (event.status === WEBHOOK_EVENT_STATUS.PROCESSING) {
+    return { error: 'in_progress', message: 'Event is being processed right now' }
+  }
+  const db = await getDb()
+  await db.collection(WEBHOOK_EVENTS_COLLECTION).updateOne(
+    { _id: event._id },
+    { $push: { replays: { at: new Date(), userId, previousStatus: event.status } } }
+  )
+  return processWebhookEvent(event, { replay: true })
+}
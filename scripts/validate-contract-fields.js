@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Check contract templates against FIELD_MAPS and the prefill for a fixture
+ * build, and optionally render a filled preview for visual review.
+ *
+ *   node scripts/validate-contract-fields.js
+ *   node scripts/validate-contract-fields.js --template delivery --preview ./tmp
+ *   node scripts/validate-contract-fields.js --template masterRetail --file ./agreement.pdf
+ *
+ * Options:
+ *   --template <key>  Template to check (repeatable; default every template)
+ *   --build <file>    Build JSON to prefill from (default scripts/fixtures/contract-build.json)
+ *   --file <file>     Check this HTML or PDF instead of the template's own HTML (one --template)
+ *   --preview <dir>   Write <key>-preview.pdf with the prefill filled in (HTML without a browser)
+ *   --json            Print the full report as JSON
+ *
+ * Exits with 1 when any template has errors.
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { TEMPLATES } from '../lib/docuseal/templates.js'
+import { renderPrefillPreview, renderPrefillPreviewPdf, validateContractTemplate } from '../lib/docuseal/fieldValidator.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const DEFAULT_BUILD = path.join(__dirname, 'fixtures', 'contract-build.json')
+
+const WARNING_LABELS = {
+  untagged: 'mapped but not tagged',
+  unused: 'prefilled but not tagged',
+  missing: 'blank for this build',
+  wrong_type: 'prefilled signer fields',
+}
+
+function groupByKind(issues) {
+  const groups = {}
+  for (const issue of issues) (groups[issue.kind || 'field_map'] ||= []).push(issue.field)
+  return groups
+}
+
+function printReport(report) {
+  console.log(`\n${report.name} (${report.key}, ${report.format})`)
+  console.log(`  signers: ${report.roles.join(', ')}`)
+  console.log(`  tags:    ${report.template.fields.length} fields, ${report.template.errors.length} errors, ${report.template.warnings.length} warnings`)
+  console.log(`  prefill: ${report.prefill.fields.length} values, ${report.prefill.errors.length} errors, ${report.prefill.warnings.length} warnings`)
+  for (const issue of [...report.template.errors, ...report.prefill.errors]) {
+    console.log(`  ✗ ${issue.message}`)
+  }
+  const warnings = {
+    ...Object.fromEntries(Object.entries(groupByKind(report.template.warnings)).map(([, fields]) => ['untagged', fields])),
+    ...groupByKind(report.prefill.warnings),
+  }
+  for (const [kind, fields] of Object.entries(warnings)) {
+    console.log(`  ! ${WARNING_LABELS[kind] || kind} (${fields.length}): ${fields.join(', ')}`)
+  }
+}
+
+async function writePreview(report, dir) {
+  if (!report.html) {
+    console.log(`  preview skipped: ${report.format} sources cannot be rendered`)
+    return
+  }
+  await fs.mkdir(dir, { recursive: true })
+  try {
+    const pdf = await renderPrefillPreviewPdf(report.html, report.prefill.fields)
+    const file = path.join(dir, `${report.key}-preview.pdf`)
+    await fs.writeFile(file, pdf)
+    console.log(`  preview: ${file}`)
+  } catch (error) {
+    const values = Object.fromEntries(report.prefill.fields.map(f => [f.name, f.default_value]))
+    const file = path.join(dir, `${report.key}-preview.html`)
+    await fs.writeFile(file, renderPrefillPreview(report.html, values))
+    console.log(`  preview: ${file} (no PDF: ${String(error.message).split('\n')[0]})`)
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      template: { type: 'string', multiple: true },
+      build: { type: 'string', default: DEFAULT_BUILD },
+      file: { type: 'string' },
+      preview: { type: 'string' },
+      json: { type: 'boolean', default: false },
+    },
+  })
+
+  const keys = values.template?.length ? values.template : Object.keys(TEMPLATES)
+  const unknown = keys.filter(key => !TEMPLATES[key])
+  if (unknown.length) throw new Error(`Unknown template: ${unknown.join(', ')} (expected ${Object.keys(TEMPLATES).join(', ')})`)
+  if (values.file && keys.length !== 1) throw new Error('--file needs exactly one --template')
+
+  const build = JSON.parse(await fs.readFile(values.build, 'utf8'))
+  const source = values.file ? await fs.readFile(values.file) : null
+
+  const reports = []
+  for (const key of keys) {
+    // Text files are read as text so HTML keeps its encoding; PDFs stay bytes
+    const input = source && !values.file.toLowerCase().endsWith('.pdf') ? source.toString('utf8') : source
+    const report = await validateContractTemplate(key, { build, source: input })
+    reports.push(report)
+    if (!values.json) printReport(report)
+    if (values.preview) await writePreview(report, values.preview)
+  }
+
+  if (values.json) console.log(JSON.stringify(reports.map(r => ({ ...r, html: undefined })), null, 2))
+  const failed = reports.filter(r => !r.ok)
+  if (!values.json) console.log(failed.length ? `\n${failed.length} template(s) have errors` : '\nAll templates match their field maps')
+  return failed.length ? 1 : 0
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message)
+    process.exit(2)
+  })
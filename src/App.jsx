@@ -12,6 +12,7 @@ const FAQPage = lazy(() => import('./pages/FAQ'))
 const ModelsPage = lazy(() => import('./pages/Models'))
 const PaymentMethod = lazy(() => import('./pages/checkout/PaymentMethod'))
 const CashPayment = lazy(() => import('./pages/checkout/CashPayment'))
+const CheckoutFinancing = lazy(() => import('./pages/checkout/Financing'))
 const Buyer = lazy(() => import('./pages/checkout/Buyer'))
 const Review = lazy(() => import('./pages/checkout/Review'))
 const ContractNew = lazy(() => import('./pages/checkout/ContractNew'))
@@ -24,6 +25,7 @@ const Warranty = lazy(() => import('./pages/how/Warranty'))
 const WhyOnline = lazy(() => import('./pages/how/WhyOnline'))
 const PortalOrders = lazy(() => import('./pages/portal/Orders'))
 const PortalDashboard = lazy(() => import('./pages/portal/Dashboard'))
+const PortalStatement = lazy(() => import('./pages/portal/Statement'))
 const AdminOrders = lazy(() => import('./pages/admin/Orders'))
 const AdminModels = lazy(() => import('./pages/admin/Models'))
 const AdminDashboard = lazy(() => import('./pages/admin/Dashboard'))
@@ -39,6 +41,8 @@ const PublicModelDetail = lazy(() => import('./public/PublicModelDetail'))
 const PackageDetail = lazy(() => import('./public/PackageDetail'))
 const BuildsDashboard = lazy(() => import('./pages/builds/Builds'))
 const BuildCustomize = lazy(() => import('./pages/builds/Customize'))
+const CompareBuilds = lazy(() => import('./pages/builds/Compare'))
+const SharedQuote = lazy(() => import('./pages/SharedQuote'))
 const About = lazy(() => import('./pages/About'))
 const Manufacturer = lazy(() => import('./pages/about/Manufacturer'))
 const Contact = lazy(() => import('./pages/Contact'))
@@ -55,6 +59,14 @@ const AdvancedReports = lazy(() => import('./pages/admin/AdvancedReports'))
 const Integrations = lazy(() => import('./pages/admin/Integrations'))
 const Security = lazy(() => import('./pages/admin/Security'))
 const Workflows = lazy(() => import('./pages/admin/Workflows'))
+const AdminWebhooks = lazy(() => import('./pages/admin/Webhooks'))
+const AdminReconciliation = lazy(() => import('./pages/admin/Reconciliation'))
+const AdminBankTransfers = lazy(() => import('./pages/admin/BankTransfers'))
+const AdminCountersign = lazy(() => import('./pages/admin/Countersign'))
+const AdminContractTemplates = lazy(() => import('./pages/admin/ContractTemplates'))
+const AdminFinancing = lazy(() => import('./pages/admin/Financing'))
+const AdminPromotions = lazy(() => import('./pages/admin/Promotions'))
+const AdminTax = lazy(() => import('./pages/admin/Tax'))
 const Monitoring = lazy(() => import('./pages/admin/Monitoring'))
 const DataExport = lazy(() => import('./pages/admin/DataExport'))
 const Content = lazy(() => import('./pages/admin/Content'))
@@ -373,6 +385,12 @@ function App() {
                   <BuildsDashboard />
                 </ProtectedRoute>
               } />
+              <Route path="/builds/compare" element={
+                <ProtectedRoute>
+                  <CompareBuilds />
+                </ProtectedRoute>
+              } />
+              <Route path="/quote/:token" element={<SharedQuote />} />
               <Route path="/builds/:buildId" element={
                 <ProtectedRoute>
                   <BuildCustomize />
@@ -393,6 +411,11 @@ function App() {
                   <CashPayment />
                 </ProtectedRoute>
               } />
+              <Route path="/checkout/:buildId/financing" element={
+                <ProtectedRoute>
+                  <CheckoutFinancing />
+                </ProtectedRoute>
+              } />
               <Route path="/checkout/:buildId/buyer" element={
                 <ProtectedRoute>
                   <Buyer />
@@ -461,6 +484,11 @@ function App() {
                   <PortalDashboard />
                 </ProtectedRoute>
               } />
+              <Route path="/portal/statement/:buildId" element={
+                <ProtectedRoute>
+                  <PortalStatement />
+                </ProtectedRoute>
+              } />
               <Route path="/admin" element={
                 <ProtectedRoute requireAdmin={true}>
                   <AdminDashboard />
@@ -526,6 +554,46 @@ function App() {
                   <Workflows />
                 </ProtectedRoute>
               } />
+              <Route path="/admin/reconciliation" element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminReconciliation />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/bank-transfers" element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminBankTransfers />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/countersign" element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminCountersign />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/contract-templates" element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminContractTemplates />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/tax" element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminTax />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/promotions" element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminPromotions />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/financing" element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminFinancing />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/webhooks" element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminWebhooks />
+                </ProtectedRoute>
+              } />
               <Route path="/admin/monitoring" element={
                 <ProtectedRoute requireAdmin={true}>
                   <Monitoring />
@@ -13,6 +13,9 @@ import {
   DocumentTextIcon,
   TruckIcon,
   CurrencyDollarIcon,
+  BanknotesIcon,
+  TagIcon,
+  ReceiptPercentIcon,
   BellIcon,
   UserCircleIcon,
   Bars3Icon,
@@ -24,7 +27,12 @@ import {
   ChartPieIcon,
   WrenchScrewdriverIcon,
   EyeIcon,
-  SparklesIcon
+  SparklesIcon,
+  ArrowPathIcon,
+  ScaleIcon,
+  BuildingLibraryIcon,
+  PencilSquareIcon,
+  DocumentDuplicateIcon
 } from '@heroicons/react/24/outline'
 import { useUser, useAuth } from '@clerk/clerk-react'
 
@@ -76,12 +84,48 @@ const AdminLayout = ({ children, title = 'Admin Panel' }) => {
       icon: ShoppingCartIcon,
       permission: 'orders:view'
     },
+    {
+      name: 'Countersign',
+      href: '/admin/countersign',
+      icon: PencilSquareIcon,
+      permission: 'orders:edit'
+    },
     {
       name: 'Financial',
       href: '/admin/financial',
       icon: CurrencyDollarIcon,
       permission: 'financial:view'
     },
+    {
+      name: 'Reconciliation',
+      href: '/admin/reconciliation',
+      icon: ScaleIcon,
+      permission: 'financial:view'
+    },
+    {
+      name: 'Bank Transfers',
+      href: '/admin/bank-transfers',
+      icon: BuildingLibraryIcon,
+      permission: 'financial:view'
+    },
+    {
+      name: 'Sales Tax',
+      href: '/admin/tax',
+      icon: ReceiptPercentIcon,
+      permission: 'financial:view'
+    },
+    {
+      name: 'Promotions',
+      href: '/admin/promotions',
+      icon: TagIcon,
+      permission: 'financial:view'
+    },
+    {
+      name: 'Financing',
+      href: '/admin/financing',
+      icon: BanknotesIcon,
+      permission: 'financial:view'
+    },
     {
       name: 'Customers',
       href: '/admin/customers',
@@ -100,6 +144,12 @@ const AdminLayout = ({ children, title = 'Admin Panel' }) => {
       icon: DocumentTextIcon,
       permission: 'content:view'
     },
+    {
+      name: 'Contract Templates',
+      href: '/admin/contract-templates',
+      icon: DocumentDuplicateIcon,
+      permission: 'content:edit'
+    },
     {
       name: 'Notifications',
       href: '/admin/notifications',
@@ -124,6 +174,12 @@ const AdminLayout = ({ children, title = 'Admin Panel' }) => {
       icon: WrenchScrewdriverIcon,
       permission: 'workflows:view'
     },
+    {
+      name: 'Webhook Events',
+      href: '/admin/webhooks',
+      icon: ArrowPathIcon,
+      permission: 'monitoring:view'
+    },
     {
       name: 'Monitoring',
       href: '/admin/monitoring',
@@ -1,8 +1,12 @@
 import { useState } from 'react'
+import { OPTION_UNITS, applyOptionUnits, formatOptionQuantity, getOptionUnit, isBuyerQuantity, unitPriceSuffix } from '../utils/optionUnits'
+import { applyOptionRules, getOptionRestriction } from '../utils/optionRules'
 
-const OptionSelector = ({ options, selectedItems, onSelectionChange }) => {
+const OptionSelector = ({ options, selectedItems, onSelectionChange, model }) => {
   // Track which subjects are currently expanded (multiple can be open)
   const [expandedSubjects, setExpandedSubjects] = useState(new Set())
+  // Messages for options the compatibility rules removed on the last change
+  const [notices, setNotices] = useState([])
 
   const isSelected = (option) => {
     return selectedItems.find(item => item.id === option.id) !== undefined
@@ -20,15 +24,34 @@ const OptionSelector = ({ options, selectedItems, onSelectionChange }) => {
     })
   }
 
+  const getSelected = (option) => selectedItems.find(item => item.id === option.id)
+
+  // Quantities of derived options (e.g. tires per axle) depend on the rest of
+  // the selection, so re-apply rules and units to the whole list on every change
+  const commit = (items) => {
+    const { selections, removed } = applyOptionRules(items, { model })
+    setNotices(removed.map(r => r.message))
+    onSelectionChange(applyOptionUnits(selections, { model }))
+  }
+
   const handleOptionToggle = (option, subject) => {
     const newSelection = isSelected(option)
       ? selectedItems.filter(item => item.id !== option.id)
       : [...selectedItems, { ...option, subject }]
-    onSelectionChange(newSelection)
+    commit(newSelection)
+  }
+
+  const handleQuantityChange = (option, quantity) => {
+    commit(selectedItems.map(item => item.id === option.id ? { ...item, quantity } : item))
   }
 
   return (
     <div className="space-y-4">
+      {notices.length > 0 && (
+        <div className="text-sm rounded border border-yellow-500/40 bg-yellow-500/10 p-3 space-y-1">
+          {notices.map(message => <div key={message}>{message}</div>)}
+        </div>
+      )}
       {options.map((category) => (
         <div
           key={category.subject}
@@ -49,26 +72,56 @@ const OptionSelector = ({ options, selectedItems, onSelectionChange }) => {
           {/* Accordion Body - Expanded Content */}
           {expandedSubjects.has(category.subject) && (
             <div className="p-4 space-y-3">
-              {category.items.map((option) => (
-                <div key={option.id} className="flex items-start space-x-3">
-                  <input
-                    type="checkbox"
-                    checked={isSelected(option)}
-                    onChange={() => handleOptionToggle(option, category.subject)}
-                    className="mt-1 h-4 w-4 text-yellow-500 border-gray-300 dark:border-gray-600 rounded focus:ring-yellow-500"
-                  />
-                  <div className="flex-1">
-                    <div className={`font-medium ${option.isPackage ? 'text-blue-500' : 'text-current'}`}>
-                      {option.name} - ${option.price.toLocaleString()}
-                    </div>
-                    {option.description && (
-                      <div className="text-sm opacity-80 bg-black/5 dark:bg-white/5 p-2 rounded mt-1">
-                        {option.description}
+              {category.items.map((option) => {
+                const restriction = getOptionRestriction(option, selectedItems, { model })
+                const disabled = !!restriction && !isSelected(option)
+                return (
+                  <div key={option.id} className={`flex items-start space-x-3 ${disabled ? 'opacity-50' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={isSelected(option)}
+                      disabled={disabled}
+                      onChange={() => handleOptionToggle(option, category.subject)}
+                      className="mt-1 h-4 w-4 text-yellow-500 border-gray-300 dark:border-gray-600 rounded focus:ring-yellow-500"
+                    />
+                    <div className="flex-1">
+                      <div className={`font-medium ${option.isPackage ? 'text-blue-500' : 'text-current'}`}>
+                        {option.name} - ${option.price.toLocaleString()}{unitPriceSuffix(option)}
                       </div>
-                    )}
+                      {restriction && (
+                        <div className={`text-xs mt-1 ${isSelected(option) ? 'text-red-500' : 'opacity-80'}`}>
+                          {restriction.message}
+                        </div>
+                      )}
+                      {isSelected(option) && (option.unit || option.maxQty) && (
+                        isBuyerQuantity(option) ? (
+                          <label className="flex items-center gap-2 text-sm mt-1">
+                            <span className="opacity-80">Quantity</span>
+                            <input
+                              type="number"
+                              min={option.minQty ?? 1}
+                              max={option.maxQty}
+                              value={getSelected(option)?.quantity ?? ''}
+                              onChange={(e) => handleQuantityChange(option, parseInt(e.target.value, 10))}
+                              className="w-20 px-2 py-1 rounded border border-gray-300 dark:border-gray-600 bg-transparent"
+                            />
+                            <span className="opacity-60">{OPTION_UNITS[getOptionUnit(option)].label}</span>
+                          </label>
+                        ) : (
+                          <div className="text-sm opacity-80 mt-1">
+                            {formatOptionQuantity(getSelected(option))} for this model
+                          </div>
+                        )
+                      )}
+                      {option.description && (
+                        <div className="text-sm opacity-80 bg-black/5 dark:bg-white/5 p-2 rounded mt-1">
+                          {option.description}
+                        </div>
+                      )}
+                    </div>
                   </div>
-                </div>
-              ))}
+                )
+              })}
             </div>
           )}
         </div>
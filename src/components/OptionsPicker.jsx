@@ -1,8 +1,12 @@
 import { useMemo, useState } from 'react'
+import { formatOptionQuantity, isBuyerQuantity, resolveOptionQuantity, unitPriceSuffix } from '../utils/optionUnits'
+import { applyOptionRules, getOptionRestriction } from '../utils/optionRules'
 
-// optionsCatalog: Array<{ id, name, price, description?, group }>
-export default function OptionsPicker({ optionsCatalog = [], value = [], onChange }) {
+// optionsCatalog: Array<{ id, name, price, description?, group, unit?, quantitySource?, minQty?, maxQty? }>
+// Derived quantities (sq ft, linear ft, axles) are filled in by the server from the model specs
+export default function OptionsPicker({ optionsCatalog = [], value = [], onChange, model }) {
   const [expanded, setExpanded] = useState({})
+  const [notices, setNotices] = useState([])
   const groups = useMemo(() => {
     const map = new Map()
     for (const opt of optionsCatalog) {
@@ -33,10 +37,16 @@ export default function OptionsPicker({ optionsCatalog = [], value = [], onChang
     return '⚙️'
   }
 
+  function commit(next) {
+    const { selections, removed } = applyOptionRules(next, { model })
+    setNotices(removed.map(r => r.message))
+    onChange(selections)
+  }
   function isChecked(opt) { return value.some(v => (v.code || v.id) === opt.id) }
-  function getQuantity(opt) { return (value.find(v => (v.code || v.id) === opt.id)?.quantity) || 1 }
+  function getSelected(opt) { return value.find(v => (v.code || v.id) === opt.id) }
+  function getQuantity(opt) { return getSelected(opt)?.quantity || 1 }
   function setQuantity(opt, qty) {
-    const q = Math.max(1, Number.isFinite(qty) ? qty : 1)
+    const q = resolveOptionQuantity({ ...opt, quantitySource: 'buyer' }, {}, qty)
     const exists = isChecked(opt)
     let next
     if (!exists) {
@@ -44,18 +54,23 @@ export default function OptionsPicker({ optionsCatalog = [], value = [], onChang
     } else {
       next = value.map(v => (v.code === opt.id || v.id === opt.id) ? { ...v, quantity: q } : v)
     }
-    onChange(next)
+    commit(next)
   }
   function toggle(opt) {
     const exists = isChecked(opt)
     const next = exists
       ? value.filter(v => (v.code || v.id) !== opt.id)
-      : [...value, { code: opt.id, name: opt.name, price: Number(opt.price||0), quantity: 1 }]
-    onChange(next)
+      : [...value, { code: opt.id, name: opt.name, price: Number(opt.price||0), quantity: resolveOptionQuantity({ ...opt, quantitySource: 'buyer' }, {}) }]
+    commit(next)
   }
 
   return (
     <div className="space-y-4">
+      {notices.length > 0 && (
+        <div className="text-sm rounded border border-yellow-500/40 bg-yellow-500/10 p-3 space-y-1">
+          {notices.map(message => <div key={message}>{message}</div>)}
+        </div>
+      )}
       {groups.map(({ group, items }) => (
         <div key={group} className="card overflow-hidden">
           <button type="button" onClick={()=>setExpanded(e=>({...e,[group]:!e[group]}))} className="w-full px-4 py-3 text-left font-semibold border-b border-white/10 flex items-center justify-between">
@@ -64,33 +79,42 @@ export default function OptionsPicker({ optionsCatalog = [], value = [], onChang
           </button>
           {expanded[group] && (
             <div className="p-3 space-y-2">
-              {items.map(opt => (
-                <div
-                  key={opt.id}
-                  className="flex items-start gap-3 outline-none"
-                  role="checkbox"
-                  aria-checked={isChecked(opt)}
-                  tabIndex={0}
-                  onKeyDown={(e)=>{ if (e.key === ' ' || e.key === 'Enter') { e.preventDefault(); toggle(opt) } }}
-                >
-                  <input type="checkbox" className="mt-1 h-4 w-4" checked={isChecked(opt)} onChange={()=>toggle(opt)} />
-                  <div className="flex-1">
-                    <div className="font-medium flex items-center justify-between">
-                      <span>{opt.name} <span className="opacity-70">${Number(opt.price||0).toLocaleString()}</span></span>
-                      {isChecked(opt) && (
-                        <div className="flex items-center gap-2 text-xs">
-                          <button className="px-2 py-1 rounded border border-gray-700" onClick={()=>setQuantity(opt, getQuantity(opt)-1)}>-</button>
-                          <input className="w-12 px-2 py-1 rounded border border-gray-700 bg-transparent"
-                                 value={getQuantity(opt)}
-                                 onChange={(e)=>setQuantity(opt, parseInt(e.target.value, 10)||1)} />
-                          <button className="px-2 py-1 rounded border border-gray-700" onClick={()=>setQuantity(opt, getQuantity(opt)+1)}>+</button>
-                        </div>
-                      )}
+              {items.map(opt => {
+                const restriction = getOptionRestriction(opt, value, { model })
+                const disabled = !!restriction && !isChecked(opt)
+                return (
+                  <div
+                    key={opt.id}
+                    className={`flex items-start gap-3 outline-none ${disabled ? 'opacity-50' : ''}`}
+                    role="checkbox"
+                    aria-checked={isChecked(opt)}
+                    aria-disabled={disabled}
+                    tabIndex={0}
+                    onKeyDown={(e)=>{ if (!disabled && (e.key === ' ' || e.key === 'Enter')) { e.preventDefault(); toggle(opt) } }}
+                  >
+                    <input type="checkbox" className="mt-1 h-4 w-4" checked={isChecked(opt)} disabled={disabled} onChange={()=>toggle(opt)} />
+                    <div className="flex-1">
+                      <div className="font-medium flex items-center justify-between">
+                        <span>{opt.name} <span className="opacity-70">${Number(opt.price||0).toLocaleString()}{unitPriceSuffix(opt)}</span></span>
+                        {isChecked(opt) && !isBuyerQuantity(opt) && (
+                          <span className="text-xs opacity-70">{formatOptionQuantity(getSelected(opt))}</span>
+                        )}
+                        {isChecked(opt) && isBuyerQuantity(opt) && (
+                          <div className="flex items-center gap-2 text-xs">
+                            <button className="px-2 py-1 rounded border border-gray-700" onClick={()=>setQuantity(opt, getQuantity(opt)-1)}>-</button>
+                            <input className="w-12 px-2 py-1 rounded border border-gray-700 bg-transparent"
+                                   value={getQuantity(opt)}
+                                   onChange={(e)=>setQuantity(opt, parseInt(e.target.value, 10)||1)} />
+                            <button className="px-2 py-1 rounded border border-gray-700" onClick={()=>setQuantity(opt, getQuantity(opt)+1)}>+</button>
+                          </div>
+                        )}
+                      </div>
+                      {restriction && <div className={`text-xs ${isChecked(opt) ? 'text-red-500' : 'opacity-80'}`}>{restriction.message}</div>}
+                      {opt.description && <div className="text-sm opacity-80">{opt.description}</div>}
                     </div>
-                    {opt.description && <div className="text-sm opacity-80">{opt.description}</div>}
                   </div>
-                </div>
-              ))}
+                )
+              })}
             </div>
           )}
         </div>
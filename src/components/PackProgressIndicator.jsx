@@ -6,9 +6,23 @@ import {
   DocumentTextIcon
 } from '@heroicons/react/24/outline'
 
+const SIGNER_LABELS = {
+  buyer: 'Buyer',
+  cobuyer: 'Co-buyer',
+  firefly_signer: 'Firefly'
+}
+
+const SIGNER_STATUS = {
+  pending: { label: 'Waiting', className: 'text-gray-500' },
+  opened: { label: 'Signing', className: 'text-yellow-600' },
+  completed: { label: 'Signed', className: 'text-green-600' },
+  declined: { label: 'Declined', className: 'text-red-600' }
+}
+
 /**
  * Pack Progress Indicator Component
- * Shows real-time progress and status for contract packs
+ * Shows real-time progress and status for contract packs, and for packs
+ * with more than one signer, where each of them is
  */
 export default function PackProgressIndicator({ 
   packId, 
@@ -16,7 +30,11 @@ export default function PackProgressIndicator({
   progress = null,
   templateName = '',
   startedAt = null,
-  completedAt = null 
+  completedAt = null,
+  signers = [],
+  signingOrder = 'sequential',
+  onRemind = null,
+  remindingRole = null
 }) {
   
   const getStatusConfig = (status) => {
@@ -39,6 +57,15 @@ export default function PackProgressIndicator({
           label: 'In Progress',
           description: 'Signing in progress'
         }
+      case 'awaiting_countersignature':
+        return {
+          icon: ClockIcon,
+          color: 'text-yellow-500',
+          bgColor: 'bg-yellow-50',
+          borderColor: 'border-yellow-300',
+          label: 'Countersigning',
+          description: 'Signed by every buyer, waiting for Firefly'
+        }
       case 'completed':
         return {
           icon: CheckCircleIcon,
@@ -170,6 +197,47 @@ export default function PackProgressIndicator({
             </div>
           )}
 
+          {/* Per-signer status */}
+          {signers.length > 1 && (
+            <ul className="mt-3 space-y-2 border-t border-gray-200 pt-3">
+              {signers.map((signer, index) => {
+                const signerStatus = SIGNER_STATUS[signer.status] || SIGNER_STATUS.pending
+                // Firefly countersigns after every buyer, whatever the order
+                const isDealer = signer.role === 'firefly_signer'
+                const waitingOnEarlier = (signingOrder === 'sequential' || isDealer) &&
+                  signers.slice(0, index).some(s => s.status !== 'completed')
+                const canRemind = onRemind && signer.role !== 'buyer' && !isDealer && !waitingOnEarlier &&
+                  (signer.status === 'pending' || signer.status === 'opened') && status !== 'voided'
+                return (
+                  <li key={signer.role} className="flex items-center justify-between text-xs">
+                    <div className="min-w-0">
+                      <span className="font-medium text-gray-900">{SIGNER_LABELS[signer.role] || signer.role}</span>
+                      {signer.name && <span className="text-gray-600"> · {signer.name}</span>}
+                      {signer.status === 'completed' && signer.completedAt && (
+                        <span className="text-gray-500"> · {formatCompletionTime(signer.completedAt)}</span>
+                      )}
+                      {signer.status === 'pending' && waitingOnEarlier && (
+                        <span className="text-gray-500"> · signs next</span>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <span className={signerStatus.className}>{signerStatus.label}</span>
+                      {canRemind && (
+                        <button
+                          onClick={() => onRemind(signer.role)}
+                          disabled={remindingRole === signer.role}
+                          className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                        >
+                          {remindingRole === signer.role ? 'Sending…' : signer.invitedAt ? 'Resend link' : 'Send link'}
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+
           {/* Completion Summary */}
           {status === 'completed' && (
             <div className="flex items-center space-x-4 text-xs text-gray-600 mt-2">
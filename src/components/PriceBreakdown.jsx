@@ -1,4 +1,8 @@
-const PriceBreakdown = ({ subtotal, tax, deliveryFee, total }) => {
+import { estimateMonthlyPayment } from '../utils/buildCompare'
+
+// financingTerms ({ apr, years, lender }) comes from an admin-configured
+// lender program when one is offered; the env defaults cover everything else
+const PriceBreakdown = ({ breakdown, financingTerms }) => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -6,32 +10,26 @@ const PriceBreakdown = ({ subtotal, tax, deliveryFee, total }) => {
     }).format(amount)
   }
 
+  const lineItems = breakdown?.lineItems || []
+  const total = Number(breakdown?.total || 0)
+
   // Simple amortized monthly payment using APR if provided
-  const apr = parseFloat(import.meta.env.VITE_FINANCING_APR || '0.075')
-  const years = parseFloat(import.meta.env.VITE_FINANCING_YEARS || '10')
+  const apr = financingTerms?.apr ?? parseFloat(import.meta.env.VITE_FINANCING_APR || '0.075')
+  const years = financingTerms?.years ?? parseFloat(import.meta.env.VITE_FINANCING_YEARS || '10')
   const n = Math.max(1, Math.round(years * 12))
-  const r = apr / 12
-  const monthlyPayment = r > 0 ? (total * r) / (1 - Math.pow(1 + r, -n)) : total / n
+  const monthlyPayment = estimateMonthlyPayment(total, { apr, years })
 
   return (
     <div className="card">
       <h3 className="section-header">Price Breakdown</h3>
       
       <div className="space-y-3">
-        <div className="flex justify-between items-center py-2 border-b border-gray-700">
-          <div className="font-medium">Subtotal</div>
-          <div className="font-semibold">{formatCurrency(subtotal)}</div>
-        </div>
-
-        <div className="flex justify-between items-center py-2 border-b border-gray-700">
-          <div className="font-medium">Tax</div>
-          <div className="font-semibold">{formatCurrency(tax)}</div>
-        </div>
-
-        <div className="flex justify-between items-center py-2 border-b border-gray-700">
-          <div className="font-medium">Delivery Fee</div>
-          <div className="font-semibold">{formatCurrency(deliveryFee)}</div>
-        </div>
+        {lineItems.map(item => (
+          <div key={item.key} className="flex justify-between items-center py-2 border-b border-gray-700">
+            <div className="font-medium">{item.label}</div>
+            <div className="font-semibold">{formatCurrency(item.amount)}</div>
+          </div>
+        ))}
 
         <div className="flex justify-between items-center pt-2">
           <div className="text-lg font-semibold">Total</div>
@@ -44,7 +42,7 @@ const PriceBreakdown = ({ subtotal, tax, deliveryFee, total }) => {
           <div className="text-sm">
             <div className="font-medium">Estimated Monthly Payment:</div>
             <div className="text-lg font-semibold">
-              {formatCurrency(monthlyPayment)} <span className="text-sm font-normal">({n} months at {(apr * 100).toFixed(1)}% APR)</span>
+              {formatCurrency(monthlyPayment)} <span className="text-sm font-normal">({n} months at {(apr * 100).toFixed(2)}% APR{financingTerms?.lender ? ` with ${financingTerms.lender}` : ''})</span>
             </div>
           </div>
         </div>
@@ -53,4 +51,4 @@ const PriceBreakdown = ({ subtotal, tax, deliveryFee, total }) => {
   )
 }
 
-export default PriceBreakdown 
\ No newline at end of file
+export default PriceBreakdown
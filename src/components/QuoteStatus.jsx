@@ -0,0 +1,111 @@
+import { useState } from 'react'
+
+const money = (n) => `$${Number(n || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+// Shows which catalog version a build is priced on and lets the buyer review
+// and accept the current catalog prices ("reprice") after seeing the diff.
+export default function QuoteStatus({ build, getToken, onRepriced }) {
+  const [preview, setPreview] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const pin = build?.catalog
+  if (!build || build?.contract?.status === 'signed') return null
+  const expiresAt = pin?.expiresAt ? new Date(pin.expiresAt) : null
+  const expired = !!expiresAt && expiresAt.getTime() < Date.now()
+
+  async function authHeaders() {
+    const token = await getToken?.()
+    return token ? { Authorization: `Bearer ${token}` } : {}
+  }
+
+  async function loadPreview() {
+    setLoading(true); setError(null)
+    try {
+      const res = await fetch(`/api/builds/${build._id}/reprice-preview`, { headers: await authHeaders() })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data?.message || 'Unable to load current prices')
+      setPreview(data)
+    } catch (e) {
+      setError(e.message)
+    } finally { setLoading(false) }
+  }
+
+  async function accept() {
+    setLoading(true); setError(null)
+    try {
+      const res = await fetch(`/api/builds/${build._id}/reprice`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+        body: JSON.stringify({ catalogVersion: preview.toVersion }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (res.status === 409 && data?.preview) { setPreview(data.preview); throw new Error(data.message) }
+      if (!res.ok) throw new Error(data?.message || 'Unable to update prices')
+      setPreview(null)
+      onRepriced?.(data)
+    } catch (e) {
+      setError(e.message)
+    } finally { setLoading(false) }
+  }
+
+  return (
+    <>
+      <div className={`text-sm rounded border p-3 mb-3 flex items-center justify-between gap-3 ${expired ? 'border-red-500/50 bg-red-500/10' : 'border-white/10'}`}>
+        <span>
+          {expired
+            ? `This quote expired on ${expiresAt.toLocaleDateString()}. Review the current prices to continue.`
+            : expiresAt
+              ? `Prices guaranteed until ${expiresAt.toLocaleDateString()}${pin?.version != null ? ` (catalog v${pin.version})` : ''}.`
+              : 'Prices are based on the current catalog.'}
+        </span>
+        <button type="button" className={expired ? 'btn-primary' : 'px-3 py-1 rounded border border-gray-700'} onClick={loadPreview} disabled={loading}>
+          {loading && !preview ? 'Loading…' : 'Review current prices'}
+        </button>
+      </div>
+      {error && !preview && <div className="text-sm text-red-500 mb-3">{error}</div>}
+
+      {preview && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60" role="dialog" aria-modal="true">
+          <div className="w-full max-w-lg rounded-lg border border-gray-700 bg-gray-900 p-5 text-gray-100 shadow-xl">
+            <h2 className="text-lg font-semibold mb-2">Update to current prices?</h2>
+            <p className="text-sm text-gray-300 mb-4">
+              Catalog v{preview.fromVersion ?? '–'} → v{preview.toVersion}
+            </p>
+            {preview.changes.length === 0 && preview.unavailable.length === 0 ? (
+              <p className="text-sm mb-4">Your price does not change.</p>
+            ) : (
+              <table className="w-full text-sm mb-4">
+                <thead>
+                  <tr className="text-gray-400"><th className="text-left">Line</th><th className="text-right">Was</th><th className="text-right">Now</th></tr>
+                </thead>
+                <tbody>
+                  {preview.changes.map(line => (
+                    <tr key={line.key} className={line.key === 'total' ? 'font-semibold border-t border-gray-700' : ''}>
+                      <td>{line.label}</td><td className="text-right">{money(line.from)}</td><td className="text-right">{money(line.to)}</td>
+                    </tr>
+                  ))}
+                  {preview.optionChanges.map(opt => (
+                    <tr key={opt.id} className="text-gray-400">
+                      <td className="pl-3">{opt.name}</td><td className="text-right">{money(opt.from)}</td><td className="text-right">{money(opt.to)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {preview.unavailable.length > 0 && (
+              <div className="text-sm text-yellow-400 mb-4">
+                No longer available and will be removed: {preview.unavailable.map(o => o.name).join(', ')}
+              </div>
+            )}
+            {error && <div className="text-sm text-red-500 mb-3">{error}</div>}
+            <div className="flex items-center justify-end gap-2">
+              <button className="px-3 py-2 rounded border border-gray-700" onClick={() => { setPreview(null); setError(null) }}>Cancel</button>
+              <button className="btn-primary" onClick={accept} disabled={loading}>{loading ? 'Updating…' : 'Accept new prices'}</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
@@ -42,7 +42,7 @@ export default function ResumeBanner() {
         if (res.ok) {
           const builds = await res.json()
           const incomplete = builds.find(b => 
-            b.status === 'DRAFT' || b.status === 'CHECKOUT_IN_PROGRESS'
+            b.status === 'DRAFT' || b.status === 'CONFIGURED' || b.status === 'CHECKOUT_IN_PROGRESS'
           )
           if (incomplete) {
             setIncompleteBuild(incomplete)
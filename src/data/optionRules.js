@@ -0,0 +1,35 @@
+// src/data/optionRules.js
+// Compatibility rules over the option catalog in src/data/options.js.
+// Evaluated by src/utils/optionRules.js in the configurators and on PATCH /api/builds/:id.
+//
+//   exclusive:  at most one of `options` may be selected
+//   requires:   `option` needs at least one of `anyOf` selected
+//   includes:   `package` already contains `options`, so they are removed when it is selected
+//   modelWidth: `options` are only offered on models whose nominal width is in `widths` (feet)
+
+const LOFTS = ["single-loft-12-wide", "double-loft-12-ft-wide-models", "single-loft-15-wide"];
+
+export const OPTION_RULES = [
+  {
+    type: "exclusive",
+    options: ["install-1-head-ductless-ac-heat-system", "install-2-head-ductless-ac-heat-system", "install-3-head-ductless-ac-heat-system"]
+  },
+  {
+    type: "exclusive",
+    options: ["prep-for-ductless-1head-ac-hp-split", "prep-for-ductless-2head-ac-hp-split", "prep-for-ductless-3head-ac-hp-split"]
+  },
+  { type: "exclusive", options: LOFTS },
+  { type: "requires", option: "black-pipe-handrail-to-loft", anyOf: LOFTS },
+  { type: "requires", option: "extend-loft-high-wall", anyOf: LOFTS },
+  {
+    type: "includes",
+    package: "anniversary-energy-package-park",
+    options: ["r-33-ipo-r22-roof-insulation", "r-22-floor-insulation", "r-13-wall-insulation"]
+  },
+  {
+    type: "modelWidth",
+    options: ["single-loft-12-wide", "double-loft-12-ft-wide-models", "side-to-side-monoslope-12w-park"],
+    widths: [12]
+  },
+  { type: "modelWidth", options: ["single-loft-15-wide"], widths: [15] }
+];
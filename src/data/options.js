@@ -1,4 +1,5 @@
 // src/data/options.js
+// Per-unit items carry unit/quantitySource/minQty/maxQty metadata; see src/utils/optionUnits.js
 export const OPTIONS = [
   {
     subject: "Construction",
@@ -8,19 +9,19 @@ export const OPTIONS = [
       { id: "r-13-wall-insulation",                      name: "R-13 Wall Insulation",                     price: 550.0,  description: "" },
       { id: "16-on-center-rafter-trusses",               name: "16\" on Center Rafter Trusses",            price: 1125.0, description: "" },
       { id: "dbl-trusses-on-16-on-centers",              name: "Dbl Trusses on 16\" on Centers",           price: 3295.0, description: "" },
-      { id: "f-r-covered-porch-per-sq-ft",               name: "F/R Covered Porch (per sq ft)",            price: 42.0,   description: "" },
-      { id: "omit-standard-porch-per-lf",                name: "Omit Standard Porch per LF",               price: -13.0,  description: "" },
-      { id: "8-high-wd-slat-screen-painted-per-lf",      name: "8' High Wd Slat Screen Painted per LF",   price: 41.0,   description: "" },
+      { id: "f-r-covered-porch-per-sq-ft",               name: "F/R Covered Porch (per sq ft)",            price: 42.0,   description: "", unit: "sqft", quantitySource: "buyer", minQty: 40, maxQty: 400, defaultQty: 80 },
+      { id: "omit-standard-porch-per-lf",                name: "Omit Standard Porch per LF",               price: -13.0,  description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 40 },
+      { id: "8-high-wd-slat-screen-painted-per-lf",      name: "8' High Wd Slat Screen Painted per LF",   price: 41.0,   description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 40 },
       { id: "single-loft-12-wide",                       name: "Single Loft 12 Wide",                      price: 5500.0, description: "" },
       { id: "double-loft-12-ft-wide-models",             name: "Double Loft 12 ft wide models",            price: 9700.0, description: "" },
       { id: "single-loft-15-wide",                       name: "Single Loft 15 Wide",                      price: 5500.0, description: "" },
-      { id: "19-32-plywood-t-g-floor-decking-per-sq-ft", name: "19/32\" Plywood T&G Floor Decking (per sq. ft.)", price: 0.95,  description: "" },
-      { id: "add-axle",                                  name: "Add Axle",                                 price: 450.0,  description: "" },
+      { id: "19-32-plywood-t-g-floor-decking-per-sq-ft", name: "19/32\" Plywood T&G Floor Decking (per sq. ft.)", price: 0.95,  description: "", unit: "sqft", quantitySource: "floorArea" },
+      { id: "add-axle",                                  name: "Add Axle",                                 price: 450.0,  description: "", addsAxles: 1, maxQty: 1 },
       { id: "tray-ceiling-6",                            name: "Tray Ceiling 6'",                          price: 595.0,  description: "" },
       { id: "extended-hitch-ipo-std-length",             name: "Extended Hitch IPO Std Length",            price: 45.0,   description: "" },
       { id: "side-to-side-monoslope-12w-park",           name: "Side to Side Monoslope 12W Park",          price: 1750.0, description: "" },
       { id: "porch-post-2x6-cedar-wrapped",              name: "Porch Post 2x6 Cedar Wrapped",             price: 250.0,  description: "" },
-      { id: "new-tires-per-number-of-axles",             name: "New Tires per Number of Axles",            price: 110.0,  description: "" },
+      { id: "new-tires-per-number-of-axles",             name: "New Tires per Number of Axles",            price: 110.0,  description: "", unit: "axle", quantitySource: "axles" },
       {
         id: "anniversary-energy-package-park",
         name: "ANNIVERSARY ENERGY PACKAGE PARK",
@@ -33,16 +34,16 @@ export const OPTIONS = [
   {
     subject: "Flooring",
     items: [
-      { id: "omit-all-floor-covering-per-lf",            name: "Omit all Floor Covering (per LF)",         price: -8.9,  description: "" },
-      { id: "flrshaw-coretec-ipo-std-carpet-per-sf",     name: "FlrShaw Coretec IPO STD Carpet (per SF)",  price: 9.0,   description: "" },
-      { id: "floorshaw-coretec-plk-ipo-lino-per-sf",     name: "FloorShaw Coretec PLK IPO Lino (per SF)",  price: 9.0,   description: "" },
-      { id: "lvt-endura-plis-plk-ipo-carpet-per-sf",      name: "LVT Endura Plis PLK IPO Carpet (per SF)",  price: 4.0,   description: "" }
+      { id: "omit-all-floor-covering-per-lf",            name: "Omit all Floor Covering (per LF)",         price: -8.9,  description: "", unit: "lf", quantitySource: "length" },
+      { id: "flrshaw-coretec-ipo-std-carpet-per-sf",     name: "FlrShaw Coretec IPO STD Carpet (per SF)",  price: 9.0,   description: "", unit: "sqft", quantitySource: "floorArea" },
+      { id: "floorshaw-coretec-plk-ipo-lino-per-sf",     name: "FloorShaw Coretec PLK IPO Lino (per SF)",  price: 9.0,   description: "", unit: "sqft", quantitySource: "floorArea" },
+      { id: "lvt-endura-plis-plk-ipo-carpet-per-sf",      name: "LVT Endura Plis PLK IPO Carpet (per SF)",  price: 4.0,   description: "", unit: "sqft", quantitySource: "floorArea" }
     ]
   },
   {
     subject: "Plumbing Options",
     items: [
-      { id: "outside-water-faucets-each",              name: "Outside water faucets (each)",           price: 60.0,   description: "" },
+      { id: "outside-water-faucets-each",              name: "Outside water faucets (each)",           price: 60.0,   description: "", unit: "each", maxQty: 4 },
       { id: "prep-for-ductless-1head-ac-hp-split",      name: "Prep for Ductless 1head AC/HP Split",    price: 75.0,   description: "" },
       { id: "prep-for-ductless-2head-ac-hp-split",      name: "Prep for Ductless 2head AC/HP Split",    price: 130.0,  description: "" },
       { id: "prep-for-ductless-3head-ac-hp-split",      name: "Prep for Ductless 3head AC/HP Split",    price: 200.0,  description: "" },
@@ -71,8 +72,8 @@ export const OPTIONS = [
       { id: "bedroom-w-overhead-cabs",                                name: "Bedroom W/OVERHEAD Cabs",                       price: 525.0, description: "" },
       { id: "omit-std-entertainment-center",                          name: "Omit Std Entertainment Center",                price: -50.0, description: "" },
       { id: "76-ent-center-ipo-std-48-w-fireplace-opening",           name: "76\" Ent. Center IPO STD 48\" w/Fireplace Opening", price: 155.0, description: "" },
-      { id: "nightstands-each",                                       name: "Nightstands each",                              price: 165.0, description: "" },
-      { id: "plant-shelf-bedroom-closets-ea",                         name: "Plant Shelf Bedroom Closets Ea",                price: 400.0, description: "" },
+      { id: "nightstands-each",                                       name: "Nightstands each",                              price: 165.0, description: "", unit: "each", maxQty: 4 },
+      { id: "plant-shelf-bedroom-closets-ea",                         name: "Plant Shelf Bedroom Closets Ea",                price: 400.0, description: "", unit: "each", maxQty: 4 },
       { id: "omit-park-bedroom-dresser",                              name: "Omit Park Bedroom Dresser",                     price: -50.0, description: "" },
       { id: "3-dr-linen-cab-per-print",                               name: "3 Dr Linen Cab (per print)",                   price: 455.0, description: "" },
       {
@@ -90,19 +91,19 @@ export const OPTIONS = [
       { id: "bnickel-uk3-pull-faucet-ipo-std",             name: "BNickel UK3 Pull Faucet IPO STD",           price: 115.0,  description: "" },
       { id: "2x4-rolling-island-on-casters",                name: "2x4 Rolling Island on Casters",              price: 750.0,  description: "" },
       { id: "upg-glass-mosaic-behind-range",                name: "Upg Glass/Mosaic Behind Range",              price: 365.0,  description: "" },
-      { id: "glass-mosaic-tile-18-high-ipo-6-tile-per-lf",  name: "Glass/Mosaic Tile 18\" High IPO 6\" Tile (per LF)", price: 68.0, description: "" },
-      { id: "glass-mosaic-bsplash-6-ipo-standard-per-lf",   name: "Glass/Mosaic Bsplash 6\" IPO Standard (per LF)", price: 12.0, description: "" },
-      { id: "ceramic-18-high-bsplash-ipo-standard-6-per-lf",name: "Ceramic 18\" High Bsplash IPO Standard 6\" (per LF)", price: 18.0, description: "" },
-      { id: "1-row-tile-accent-band-per-lf-any-color",      name: "1 Row Tile Accent Band (per LF) any color",   price: 28.0,  description: "" },
+      { id: "glass-mosaic-tile-18-high-ipo-6-tile-per-lf",  name: "Glass/Mosaic Tile 18\" High IPO 6\" Tile (per LF)", price: 68.0, description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
+      { id: "glass-mosaic-bsplash-6-ipo-standard-per-lf",   name: "Glass/Mosaic Bsplash 6\" IPO Standard (per LF)", price: 12.0, description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
+      { id: "ceramic-18-high-bsplash-ipo-standard-6-per-lf",name: "Ceramic 18\" High Bsplash IPO Standard 6\" (per LF)", price: 18.0, description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
+      { id: "1-row-tile-accent-band-per-lf-any-color",      name: "1 Row Tile Accent Band (per LF) any color",   price: 28.0,  description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
       { id: "s-s-uk3-farmhouse-sink-w-faucet",               name: "S/S UK3 Farmhouse Sink w/Faucet",             price: 655.0, description: "" },
-      { id: "grunge-bckspl-ipo-std-per-lf",                  name: "Grunge Bckspl IPO STD (per LF)",              price: 5.0,   description: "" },
+      { id: "grunge-bckspl-ipo-std-per-lf",                  name: "Grunge Bckspl IPO STD (per LF)",              price: 5.0,   description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
       { id: "grunge-bckspl-behind-range-ea",                 name: "Grunge Bckspl Behind Range (ea)",             price: 75.0,  description: "" },
-      { id: "grunge-bckspl-18-high-per-lf",                  name: "Grunge Bckspl 18\" High (per LF)",             price: 15.0,  description: "" },
-      { id: "18-high-syp-backsplash-per-lf",                 name: "18\" High SYP Backsplash (per LF)",           price: 150.0, description: "" },
+      { id: "grunge-bckspl-18-high-per-lf",                  name: "Grunge Bckspl 18\" High (per LF)",             price: 15.0,  description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
+      { id: "18-high-syp-backsplash-per-lf",                 name: "18\" High SYP Backsplash (per LF)",           price: 150.0, description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
       { id: "laminate-backsplash-ipo-tile-aps",              name: "Laminate Backsplash IPO Tile APS",            price: 50.0,  description: "" },
-      { id: "backsplash-18-high-ipo-std-apx-per-lf",         name: "Backsplash 18\"High IPO STD APX (per LF)",     price: 24.0,  description: "" },
-      { id: "grunge-bckspl-ipo-hp-lam-apx-per-lf",           name: "Grunge Bckspl IPO HP Lam APX (per LF)",       price: 10.0,  description: "" },
-      { id: "grunge-bckspl-18-high-ipo-hp-lam-apx-per-lf",   name: "Grunge Bckspl 18\" High IPO HP Lam APX (per LF)", price: 30.0, description: "" },
+      { id: "backsplash-18-high-ipo-std-apx-per-lf",         name: "Backsplash 18\"High IPO STD APX (per LF)",     price: 24.0,  description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
+      { id: "grunge-bckspl-ipo-hp-lam-apx-per-lf",           name: "Grunge Bckspl IPO HP Lam APX (per LF)",       price: 10.0,  description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
+      { id: "grunge-bckspl-18-high-ipo-hp-lam-apx-per-lf",   name: "Grunge Bckspl 18\" High IPO HP Lam APX (per LF)", price: 30.0, description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 30, defaultQty: 8 },
       { id: "grunge-bckspl-behind-range-apx-ea",            name: "Grunge Bckspl Behind Range APX (ea)",         price: 100.0, description: "" },
       { id: "syp-backsplash-behind-range",                  name: "SYP Backsplash Behind Range",                 price: 50.0,  description: "" }
     ]
@@ -124,11 +125,11 @@ export const OPTIONS = [
   {
     subject: "Interior Options",
     items: [
-      { id: "syp-32-high-wainscote-per-lf",                name: "SYP 32\" High Wainscote per LF",              price: 24.0,  description: "" },
-      { id: "syp-t-g-ceiling-per-lf",                      name: "SYP T&G Ceiling per LF",                     price: 85.0,  description: "" },
+      { id: "syp-32-high-wainscote-per-lf",                name: "SYP 32\" High Wainscote per LF",              price: 24.0,  description: "", unit: "lf", quantitySource: "buyer", minQty: 1, maxQty: 150 },
+      { id: "syp-t-g-ceiling-per-lf",                      name: "SYP T&G Ceiling per LF",                     price: 85.0,  description: "", unit: "lf", quantitySource: "length" },
       { id: "wood-ceiling-ipo-t-t",                        name: "Wood Ceiling IPO T&T",                       price: 2150.0,description: "" },
-      { id: "6-white-shiplap-interior-walls-per-sf",       name: "6\" White Shiplap Interior Walls per SF",    price: 10.0, description: "" },
-      { id: "6-syp-shiplap-int-walls-per-sf",              name: "6\" SYP Shiplap Int Walls per SF",           price: 5.0,  description: "" },
+      { id: "6-white-shiplap-interior-walls-per-sf",       name: "6\" White Shiplap Interior Walls per SF",    price: 10.0, description: "", unit: "sqft", quantitySource: "buyer", minQty: 1, maxQty: 1200 },
+      { id: "6-syp-shiplap-int-walls-per-sf",              name: "6\" SYP Shiplap Int Walls per SF",           price: 5.0,  description: "", unit: "sqft", quantitySource: "buyer", minQty: 1, maxQty: 1200 },
       { id: "black-pipe-handrail-to-loft",                 name: "Black Pipe Handrail to Loft",               price: 85.0, description: "" },
       { id: "plank-4x6-beam-across",                       name: "Plank 4x6 Beam Across",                     price: 195.0,description: "" },
       { id: "4-1-4-white-crown-thruout",                   name: "4-1/4\" White Crown Thruout",                price: 295.0,description: "" },
@@ -171,7 +172,7 @@ export const OPTIONS = [
     items: [
       { id: "add-window",                       name: "Add Window",                     price: 125.0,  description: "" },
       { id: "omit-window-pp",                   name: "Omit Window - PP",               price: -100.0, description: "" },
-      { id: "transom-windows-ea",               name: "Transom Windows (EA)",           price: 265.0,  description: "" },
+      { id: "transom-windows-ea",               name: "Transom Windows (EA)",           price: 265.0,  description: "", unit: "each", maxQty: 6 },
       { id: "add-pentizoid-window",             name: "Add Pentizoid Window",           price: 825.0,  description: "" },
       { id: "park-1-window-clerestory",         name: "Park 1 Window Clerestory",       price: 1350.0, description: "" },
       { id: "park-2-window-clerestory",         name: "Park 2 Window Clerestory",       price: 1700.0, description: "" },
@@ -222,11 +223,11 @@ export const OPTIONS = [
       { id: "ceiling-fan-led-3-blade-bn-wht-blk",     name: "Ceiling Fan LED 3 Blade BN WHT/BLK",  price: 225.0, description: "" },
       { id: "wire-and-brace-for-ceiling-fan",         name: "Wire and brace for ceiling fan",      price: 65.0,  description: "" },
       { id: "wire-and-brace-for-ext-flood-light",     name: "Wire and brace for Ext. Flood Light", price: 75.0,  description: "" },
-      { id: "tv-jack-each",                           name: "TV jack (each)",                      price: 50.0,  description: "" },
+      { id: "tv-jack-each",                           name: "TV jack (each)",                      price: 50.0,  description: "", unit: "each", maxQty: 6 },
       { id: "extra-exterior-gfi-receptacle",          name: "Extra exterior GFI receptacle",       price: 100.0, description: "" },
       { id: "tv-jack-receptacle-sxs-w-blocking",      name: "TV Jack + Receptacle SxS w/Blocking",price: 125.0, description: "" },
       { id: "omit-ac-quick-disconnect-box",           name: "OMIT A/C Quick Disconnect Box",       price: -30.0, description: "" },
-      { id: "phone-jack-each",                        name: "Phone jack (each)",                  price: 45.0,  description: "" },
+      { id: "phone-jack-each",                        name: "Phone jack (each)",                  price: 45.0,  description: "", unit: "each", maxQty: 6 },
       { id: "8-wire-thermostat",                      name: "8 Wire Thermostat",                  price: 40.0,  description: "" },
       { id: "add-interior-receptacle",                name: "Add Interior Receptacle",            price: 50.0,  description: "" },
       { id: "wire-prep-for-doorbell",                 name: "Wire Prep for Doorbell",             price: 75.0,  description: "" }
@@ -237,7 +238,7 @@ export const OPTIONS = [
     items: [
       { id: "4-inch-led-can-light-ea-pp",             name: "4\" LED Can Light  (ea.) PP",          price: 70.0,  description: "" },
       { id: "extra-outside-light",                    name: "Extra Outside Light",                price: 80.0,  description: "" },
-      { id: "exterior-flood-light-ea",                name: "Exterior Flood Light EA",             price: 150.0, description: "" },
+      { id: "exterior-flood-light-ea",                name: "Exterior Flood Light EA",             price: 150.0, description: "", unit: "each", maxQty: 6 },
       { id: "directional-reading-light",              name: "Directional Reading Light",          price: 105.0, description: "" }
     ]
   },
@@ -15,6 +15,7 @@ import { navigateToStep, updateBuildStep } from '../utils/checkoutNavigation'
 import { useUserProfile } from '../hooks/useUserProfile'
 import { useBuildData, buildCache } from '../hooks/useBuildData'
 import { formatCurrency, roundToCents } from '../utils/currency'
+import { calculateBuildPricing, optionLineTotal, resolvePricingSettings } from '../utils/pricing'
 import { 
   saveAnonymousCustomization, 
   loadAnonymousCustomization, 
@@ -415,40 +416,32 @@ const Customize = () => {
       }
     }
 
-    const base = roundToCents(Number(model.basePrice || 0))
-    const optionsTotal = roundToCents(selectedOptions.reduce((s, o) => s + (o.price || 0), 0))
+    const optionsTotal = roundToCents(selectedOptions.reduce((s, o) => s + optionLineTotal(o), 0))
     const pkgDelta = roundToCents((() => {
       const pkg = (model.packages || []).find(p => (p.key || p.name) === selectedPackage)
       return pkg ? Number(pkg.priceDelta || 0) : 0
     })())
     
-    // Calculate subtotal before fees and taxes
-    const subtotal = roundToCents(base + optionsTotal + pkgDelta)
-    
     // Delivery cost (will be calculated based on address for signed-in users)
     const delivery = isSignedIn && deliveryCost !== null ? roundToCents(deliveryCost) : 0
     
-    // Get fees from settings
-    const titleFee = roundToCents(Number(settings?.pricing?.title_fee_default || 500))
-    const setupFee = roundToCents(Number(settings?.pricing?.setup_fee_default || 3000))
-    
-    // Calculate taxes (from settings or default 6.25% for Texas)
-    const taxRate = Number(settings?.pricing?.tax_rate_percent || 6.25) / 100
-    const taxableAmount = roundToCents(subtotal + delivery + titleFee + setupFee)
-    const taxes = roundToCents(taxableAmount * taxRate)
-    
-    const total = roundToCents(subtotal + delivery + titleFee + setupFee + taxes)
+    // Fees, taxes and total come from the shared pricing engine used by checkout and the API
+    const breakdown = calculateBuildPricing({
+      selections: { basePrice: model.basePrice, options: selectedOptions, packagePrice: pkgDelta },
+      pricing: { delivery }
+    }, settings)
     
     return { 
-      base, 
+      base: breakdown.base, 
       options: optionsTotal, 
       package: pkgDelta, 
-      subtotal,
+      subtotal: roundToCents(breakdown.base + breakdown.options),
       delivery, 
-      titleFee,
-      setupFee,
-      taxes, 
-      total 
+      titleFee: breakdown.title,
+      setupFee: breakdown.setup,
+      taxes: breakdown.tax, 
+      total: breakdown.total,
+      settingsVersion: breakdown.settingsVersion
     }
   }, [model, selectedOptions, selectedPackage, isSignedIn, deliveryCost, settings])
 
@@ -472,7 +465,8 @@ const Customize = () => {
           await updateBuild({
             selections: {
               options: selectedOptions,
-              package: selectedPackage
+              package: selectedPackage,
+              packagePrice: pricing.package
             },
             pricing
           }, { skipRefetch: true }) // Skip refetch to prevent infinite loops
@@ -544,7 +538,7 @@ const Customize = () => {
           'Content-Type': 'application/json',
           ...(token ? { Authorization: `Bearer ${token}` } : {})
         },
-        body: JSON.stringify(addressData)
+        body: JSON.stringify({ ...addressData, modelSlug: modelId })
       })
 
       if (response.ok) {
@@ -722,7 +716,8 @@ const Customize = () => {
         basePrice: Number(model.basePrice || 0),
         selections: {
           options: selectedOptions,
-          package: selectedPackage
+          package: selectedPackage,
+          packagePrice: pricing.package
         },
         pricing
       }
@@ -853,10 +848,12 @@ const Customize = () => {
         }
       })
       
+      const pkg = (model.packages || []).find(p => (p.key || p.name) === selectedPkg)
       await updateBuild({
         selections: {
           options: options,
-          package: selectedPkg
+          package: selectedPkg,
+          packagePrice: pkg ? Number(pkg.priceDelta || 0) : 0
         },
         pricing
       }, { skipRefetch: true })
@@ -1038,7 +1035,7 @@ const Customize = () => {
             {/* Additional Add-Ons */}
             <div className="card">
               <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">Additional Add-Ons</h2>
-              <PublicOptionSelector options={OPTIONS} value={selectedOptions} onChange={handleOptionsChange} />
+              <PublicOptionSelector options={OPTIONS} value={selectedOptions} onChange={handleOptionsChange} model={model} />
             </div>
           </div>
 
@@ -1112,7 +1109,7 @@ const Customize = () => {
                 
                 {/* Taxes */}
                 <div className="flex justify-between">
-                  <span className="text-gray-600 dark:text-gray-400">Taxes ({(Number(settings?.pricing?.tax_rate_percent || 6.25)).toFixed(2)}%)</span>
+                  <span className="text-gray-600 dark:text-gray-400">Taxes ({resolvePricingSettings(settings).tax_rate_percent.toFixed(2)}%)</span>
                   <span className="font-medium">{formatCurrency(pricing.taxes)}</span>
                 </div>
                 
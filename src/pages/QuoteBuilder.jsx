@@ -8,6 +8,7 @@ import ModelSelector from '../components/ModelSelector'
 import OptionSelector from '../components/OptionSelector'
 import PriceBreakdown from '../components/PriceBreakdown'
 import { generatePDF } from '../utils/generatePDF'
+import { calculateBuildPricing } from '../utils/pricing'
 
 const QuoteBuilder = () => {
   // Component State
@@ -16,8 +17,34 @@ const QuoteBuilder = () => {
   const [selectedOptions, setSelectedOptions] = useState([])
   const [clientInfo, setClientInfo] = useState({})
   const [deliveryFee, setDeliveryFee] = useState(0)
+  const [settings, setSettings] = useState(null)
+  const [financingTerms, setFinancingTerms] = useState(null)
   const [searchParams] = useSearchParams()
-  const taxRate = parseFloat(import.meta.env.VITE_TAX_RATE) || 0.0625 // Default 6.25% tax rate
+
+  // Load org pricing settings so quotes match checkout and the contract
+  useEffect(() => {
+    let cancelled = false
+    fetch('/api/settings')
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => { if (!cancelled && data) setSettings(data) })
+      .catch(() => {})
+    return () => { cancelled = true }
+  }, [])
+
+  // Estimate the monthly payment from the lowest-rate lender program, at its longest term
+  useEffect(() => {
+    let cancelled = false
+    fetch('/api/financing/programs')
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        const best = [...(data?.programs || [])].sort((a, b) => a.aprFrom - b.aprFrom)[0]
+        if (!cancelled && best) {
+          setFinancingTerms({ apr: best.aprFrom / 100, years: Math.max(...best.termsMonths) / 12, lender: best.lender })
+        }
+      })
+      .catch(() => {})
+    return () => { cancelled = true }
+  }, [])
 
   // Load latest model data from API and merge over local definitions
   useEffect(() => {
@@ -86,12 +113,12 @@ const QuoteBuilder = () => {
     setDeliveryFee(0)
   }
 
-  // Compute pricing
-  const base = selectedModel?.basePrice || 0
-  const optionsTotal = selectedOptions.reduce((sum, o) => sum + o.price, 0)
-  const subtotal = base + optionsTotal
-  const tax = subtotal * taxRate
-  const total = subtotal + tax + deliveryFee
+  // Compute pricing with the shared pricing engine
+  const breakdown = calculateBuildPricing({
+    selections: { basePrice: selectedModel?.basePrice || 0, options: selectedOptions },
+    pricing: { delivery: deliveryFee }
+  }, settings || {})
+  const { subtotal, tax, total } = breakdown
 
   // Validation for PDF generation
   const canGeneratePDF = selectedModel && selectedOptions.length > 0 && clientInfo.fullName && clientInfo.zip
@@ -127,6 +154,7 @@ const QuoteBuilder = () => {
             options={OPTIONS}
             selectedItems={selectedOptions}
             onSelectionChange={items => setSelectedOptions(items)}
+            model={selectedModel}
           />
         </div>
 
@@ -142,12 +170,7 @@ const QuoteBuilder = () => {
       {/* Right Column - Price Breakdown */}
       <div className="lg:col-span-1">
         <div className="sticky top-8">
-          <PriceBreakdown
-            subtotal={subtotal}
-            tax={tax}
-            deliveryFee={deliveryFee}
-            total={total}
-          />
+          <PriceBreakdown breakdown={breakdown} financingTerms={financingTerms} />
           
           <button
             onClick={handleGeneratePDF}
@@ -0,0 +1,134 @@
+import { useEffect, useState } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { Helmet } from 'react-helmet-async'
+import { formatCurrency, formatMiles } from '../utils/formatCurrency'
+import { calculateBuildPricing, optionLineTotal } from '../utils/pricing'
+import { estimateMonthlyPayment } from '../utils/buildCompare'
+
+// Read-only quote opened from a share link; no account needed
+export default function SharedQuote() {
+  const { token } = useParams()
+  const [quote, setQuote] = useState(null)
+  const [settings, setSettings] = useState({})
+  const [expiresAt, setExpiresAt] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+    ;(async () => {
+      try {
+        const [quoteRes, settingsRes] = await Promise.all([
+          fetch(`/api/share/${encodeURIComponent(token)}`),
+          fetch('/api/settings'),
+        ])
+        const json = await quoteRes.json().catch(() => ({}))
+        if (cancelled) return
+        if (!quoteRes.ok) {
+          setError(json?.message || 'This quote link is no longer valid')
+          return
+        }
+        setQuote(json.quote)
+        setExpiresAt(json.expiresAt)
+        if (settingsRes.ok) setSettings(await settingsRes.json())
+      } catch {
+        if (!cancelled) setError('Unable to load this quote. Please try again.')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    })()
+    return () => { cancelled = true }
+  }, [token])
+
+  if (loading) {
+    return (
+      <div className="max-w-3xl mx-auto card text-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-yellow-500 mx-auto mb-3"></div>
+        <p className="text-gray-400 text-sm">Loading quote...</p>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-3xl mx-auto card text-center">
+        <h1 className="section-header">Quote Unavailable</h1>
+        <p className="text-gray-300 mb-6">{error}</p>
+        <p className="text-gray-400 text-sm mb-6">Ask the person who shared it to send you a new link.</p>
+        <Link to="/models" className="btn-primary">Explore Models</Link>
+      </div>
+    )
+  }
+
+  const pricing = calculateBuildPricing(quote, settings)
+  const monthly = Number(quote.financing?.estMonthly) || estimateMonthlyPayment(pricing.total, {
+    apr: parseFloat(import.meta.env.VITE_FINANCING_APR || '0.075'),
+    years: parseFloat(import.meta.env.VITE_FINANCING_YEARS || '10'),
+  })
+  const options = quote.selections?.options || []
+
+  return (
+    <>
+      <Helmet>
+        <title>{`${quote.modelName || 'Tiny Home'} Quote | Firefly Tiny Homes`}</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-yellow-500 mb-2">{quote.modelName || quote.modelSlug}</h1>
+          <p className="text-gray-400 text-sm">
+            {quote.preparedFor ? `Prepared for ${quote.preparedFor}. ` : ''}
+            {quote.deliveryArea ? `Delivery to ${quote.deliveryArea}. ` : ''}
+            {expiresAt ? `This link expires ${new Date(expiresAt).toLocaleDateString()}.` : ''}
+          </p>
+        </div>
+
+        <div className="card">
+          <h2 className="section-header">Selected Options</h2>
+          {options.length === 0 ? (
+            <p className="text-gray-400">No options selected</p>
+          ) : (
+            <div className="space-y-2">
+              {options.map(opt => (
+                <div key={opt.id} className="flex justify-between text-sm border-b border-gray-700 py-2">
+                  <span className="text-gray-200">
+                    {opt.name}{opt.quantity > 1 ? ` × ${opt.quantity}` : ''}
+                  </span>
+                  <span className="text-gray-300">{formatCurrency(optionLineTotal(opt))}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          <h2 className="section-header">Price Summary</h2>
+          <div className="space-y-2">
+            {pricing.lineItems.map(item => (
+              <div key={item.key} className="flex justify-between text-sm border-b border-gray-700 py-2">
+                <span className="text-gray-300">
+                  {item.label}
+                  {item.key === 'delivery' && quote.pricing?.deliveryMiles ? ` (${formatMiles(quote.pricing.deliveryMiles)})` : ''}
+                </span>
+                <span className="text-gray-200">{formatCurrency(item.amount)}</span>
+              </div>
+            ))}
+            <div className="flex justify-between pt-2 text-lg font-semibold">
+              <span className="text-white">Total</span>
+              <span className="text-yellow-400">{formatCurrency(pricing.total)}</span>
+            </div>
+            <div className="flex justify-between text-sm text-gray-400">
+              <span>Estimated monthly payment</span>
+              <span>{formatCurrency(monthly)}</span>
+            </div>
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500">
+          This is a read-only quote. Prices are estimates until a purchase agreement is signed.
+        </p>
+      </div>
+    </>
+  )
+}
@@ -13,6 +13,7 @@ export default function AdminOverview() {
   const { getToken } = useAuth()
   const [settings, setSettings] = useState(null)
   const [saving, setSaving] = useState(false)
+  const [saveError, setSaveError] = useState('')
   const [dashboardData, setDashboardData] = useState(null)
 
   React.useEffect(() => {
@@ -58,11 +59,18 @@ export default function AdminOverview() {
   async function save() {
     try {
       setSaving(true)
+      setSaveError('')
       const token = await getToken()
-      await fetch('/api/admin/settings', { method:'PUT', headers: { 'Content-Type':'application/json', ...(token?{Authorization:`Bearer ${token}`}:{}) }, body: JSON.stringify({
+      const res = await fetch('/api/admin/settings', { method:'PUT', headers: { 'Content-Type':'application/json', ...(token?{Authorization:`Bearer ${token}`}:{}) }, body: JSON.stringify({
         pricing: settings?.pricing,
         factory: settings?.factory,
+        payments: settings?.payments,
+        dunning: settings?.dunning,
       }) })
+      if (!res.ok) {
+        const payload = await res.json().catch(() => ({}))
+        setSaveError(payload.error || 'Failed to save settings')
+      }
     } catch {} finally { setSaving(false) }
   }
 
@@ -70,6 +78,27 @@ export default function AdminOverview() {
     setSettings(s => ({ ...s, pricing: { ...(s?.pricing||{}), [key]: val } }))
   }
 
+  // Custom payment schedules (settings.payments.schedules)
+  const schedules = settings?.payments?.schedules || []
+  function setSchedules(next) {
+    setSettings(s => ({ ...s, payments: { ...(s?.payments||{}), schedules: next } }))
+  }
+  function updateSchedule(i, patch) {
+    setSchedules(schedules.map((sch, idx) => idx === i ? { ...sch, ...patch } : sch))
+  }
+  function updateMilestone(i, j, patch) {
+    updateSchedule(i, { milestones: schedules[i].milestones.map((m, idx) => idx === j ? { ...m, ...patch } : m) })
+  }
+
+  // Payment reminders (settings.dunning); blank templates use the built-in wording
+  const dunning = settings?.dunning || {}
+  function setDunning(patch) {
+    setSettings(s => ({ ...s, dunning: { ...(s?.dunning||{}), ...patch } }))
+  }
+  function setDunningTemplate(stage, field, value) {
+    setDunning({ templates: { ...(dunning.templates||{}), [stage]: { ...(dunning.templates?.[stage]||{}), [field]: value } } })
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -479,6 +508,9 @@ export default function AdminOverview() {
               <label className="text-sm text-gray-300">Setup fee (USD)
                 <input className="input-field" type="number" step="1" value={settings?.pricing?.setup_fee_default||''} onChange={e=>setPricingField('setup_fee_default', Number(e.target.value))} />
               </label>
+              <label className="text-sm text-gray-300">Quote expiry (days)
+                <input className="input-field" type="number" step="1" value={settings?.pricing?.quote_expiry_days||''} onChange={e=>setPricingField('quote_expiry_days', Number(e.target.value))} />
+              </label>
               <label className="text-sm text-gray-300 md:col-span-2">Factory address (origin)
                 <input className="input-field" type="text" value={settings?.factory?.address||''} onChange={e=>setSettings(s => ({ ...s, factory: { ...(s?.factory||{}), address: e.target.value } }))} />
               </label>
@@ -487,6 +519,87 @@ export default function AdminOverview() {
               <button className="btn-primary" disabled={saving} onClick={save}>{saving?'Saving…':'Save Settings'}</button>
             </div>
           </div>
+
+          {/* Payment Schedules */}
+          <div className="card mt-6">
+            <h2 className="text-lg font-semibold text-gray-100">Payment Schedules</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              Buyers choose a schedule at checkout. The built-in deposit ({settings?.pricing?.deposit_percent ?? 25}%) and pay-in-full plans are always offered unless a schedule below reuses their id (<code>deposit</code>, <code>full</code>).
+              Milestones after signing are invoiced automatically when the build reaches their trigger status. The last milestone may be the remainder.
+            </p>
+            <label className="text-sm text-gray-300 block mt-3">Default schedule
+              <select className="input-field" value={settings?.payments?.default_schedule || 'deposit'} onChange={e=>setSettings(s => ({ ...s, payments: { ...(s?.payments||{}), default_schedule: e.target.value } }))}>
+                {['deposit', 'full', ...schedules.map(sch => sch.id).filter(id => id && !['deposit', 'full'].includes(id))].map(id => <option key={id} value={id}>{id}</option>)}
+              </select>
+            </label>
+            {schedules.map((sch, i) => (
+              <div key={i} className="mt-4 border border-gray-700 rounded p-3 space-y-2">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                  <input className="input-field" placeholder="id (e.g. dealer-10-40-50)" value={sch.id||''} onChange={e=>updateSchedule(i, { id: e.target.value })} />
+                  <input className="input-field" placeholder="Name shown to buyers" value={sch.name||''} onChange={e=>updateSchedule(i, { name: e.target.value })} />
+                  <input className="input-field" placeholder="Description" value={sch.description||''} onChange={e=>updateSchedule(i, { description: e.target.value })} />
+                </div>
+                {(sch.milestones||[]).map((m, j) => (
+                  <div key={j} className="grid grid-cols-2 md:grid-cols-6 gap-2 items-center">
+                    <input className="input-field" placeholder="key" value={m.key||''} onChange={e=>updateMilestone(i, j, { key: e.target.value })} />
+                    <input className="input-field md:col-span-2" placeholder="Label" value={m.label||''} onChange={e=>updateMilestone(i, j, { label: e.target.value })} />
+                    <select className="input-field" value={m.type||'percent'} onChange={e=>updateMilestone(i, j, { type: e.target.value })}>
+                      <option value="percent">% of total</option>
+                      <option value="fixed">Fixed (USD)</option>
+                      <option value="remainder">Remainder</option>
+                    </select>
+                    <input className="input-field" type="number" step="0.01" disabled={m.type==='remainder'} value={m.type==='remainder' ? '' : (m.value ?? '')} onChange={e=>updateMilestone(i, j, { value: Number(e.target.value) })} />
+                    <div className="flex gap-2 items-center">
+                      <select className="input-field" value={m.trigger||'SIGNED'} onChange={e=>updateMilestone(i, j, { trigger: e.target.value })}>
+                        {['SIGNED', 'IN_PRODUCTION', 'FACTORY_COMPLETE', 'IN_TRANSIT', 'DELIVERED'].map(t => <option key={t} value={t}>{t.replace(/_/g, ' ').toLowerCase()}</option>)}
+                      </select>
+                      <button className="text-red-400 text-sm" onClick={()=>updateSchedule(i, { milestones: sch.milestones.filter((_, idx) => idx !== j) })}>✕</button>
+                    </div>
+                  </div>
+                ))}
+                <div className="flex gap-4 text-sm">
+                  <button className="text-yellow-400" onClick={()=>updateSchedule(i, { milestones: [...(sch.milestones||[]), { key: '', label: '', type: 'percent', value: 0, trigger: 'SIGNED' }] })}>+ Milestone</button>
+                  <button className="text-red-400" onClick={()=>setSchedules(schedules.filter((_, idx) => idx !== i))}>Remove schedule</button>
+                </div>
+              </div>
+            ))}
+            <div className="mt-4 flex items-center gap-4">
+              <button className="px-3 py-1.5 rounded border border-gray-700 text-white hover:bg-white/10 text-sm" onClick={()=>setSchedules([...schedules, { id: '', name: '', milestones: [{ key: 'signing', label: 'Due at signing', type: 'percent', value: 10, trigger: 'SIGNED' }] }])}>Add schedule</button>
+              <button className="btn-primary" disabled={saving} onClick={save}>{saving?'Saving…':'Save Settings'}</button>
+            </div>
+            {saveError && <div className="mt-2 text-sm text-red-400">{saveError}</div>}
+          </div>
+
+          {/* Payment Reminders */}
+          <div className="card mt-6">
+            <h2 className="text-lg font-semibold text-gray-100">Payment Reminders</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              Buyers are reminded about unpaid milestones at each offset from the due date (negative numbers are days before it).
+              Balances overdue past the escalation point raise an admin notification, and builds cannot go in transit or be delivered until earlier milestones are paid.
+              Templates can use {'{buyer}'}, {'{model}'}, {'{milestone}'}, {'{amount}'}, {'{dueDate}'} and {'{days}'}.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-3">
+              <label className="text-sm text-gray-300 flex items-center gap-2">
+                <input type="checkbox" checked={dunning.enabled !== false} onChange={e=>setDunning({ enabled: e.target.checked })} />
+                Send reminders
+              </label>
+              <label className="text-sm text-gray-300">Reminder offsets (days)
+                <input className="input-field" type="text" placeholder="-3, 0, 3, 7, 14" value={(dunning.offsets_days||[]).join(', ')} onChange={e=>setDunning({ offsets_days: e.target.value.split(',').map(v => v.trim()).filter(Boolean).map(Number) })} />
+              </label>
+              <label className="text-sm text-gray-300">Escalate after (days overdue)
+                <input className="input-field" type="number" step="1" placeholder="7" value={dunning.escalate_after_days ?? ''} onChange={e=>setDunning({ escalate_after_days: e.target.value === '' ? undefined : Number(e.target.value) })} />
+              </label>
+            </div>
+            {['upcoming', 'due', 'overdue'].map(stage => (
+              <div key={stage} className="grid grid-cols-1 md:grid-cols-3 gap-2 mt-3">
+                <input className="input-field" placeholder={`${stage} title (default wording)`} value={dunning.templates?.[stage]?.title||''} onChange={e=>setDunningTemplate(stage, 'title', e.target.value)} />
+                <input className="input-field md:col-span-2" placeholder={`${stage} message (default wording)`} value={dunning.templates?.[stage]?.message||''} onChange={e=>setDunningTemplate(stage, 'message', e.target.value)} />
+              </div>
+            ))}
+            <div className="mt-4">
+              <button className="btn-primary" disabled={saving} onClick={save}>{saving?'Saving…':'Save Settings'}</button>
+            </div>
+          </div>
         </div>
       </div>
     </>
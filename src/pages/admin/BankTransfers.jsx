@@ -0,0 +1,360 @@
+// Admin Bank Transfer Reconciliation Page
+// Match inbound ACH and wire transfers to build milestones, split them across milestones, or set them aside
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { ArrowPathIcon, ExclamationTriangleIcon, PlusIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import AdminLayout from '../../components/AdminLayout'
+
+const money = (cents) => `$${(Number(cents || 0) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100)
+
+const REASON_LABELS = { reference: 'Reference code', exact_amount: 'Exact amount', close_amount: 'Amount within 1%', customer_name: 'Customer name' }
+
+const STATUS_STYLES = {
+  unmatched: 'bg-yellow-100 text-yellow-800',
+  partially_applied: 'bg-blue-100 text-blue-800',
+  applied: 'bg-green-100 text-green-800',
+  ignored: 'bg-gray-100 text-gray-600'
+}
+
+const emptyManual = () => ({ amount: '', bankReference: '', reference: '', senderName: '', receivedAt: '' })
+
+const AdminBankTransfers = () => {
+  const { getToken } = useAuth()
+  const [status, setStatus] = useState('unmatched,partially_applied')
+  const [transfers, setTransfers] = useState([])
+  const [openIntents, setOpenIntents] = useState([])
+  const [selected, setSelected] = useState(null)
+  const [suggestions, setSuggestions] = useState([])
+  const [allocations, setAllocations] = useState([])
+  const [note, setNote] = useState('')
+  const [manual, setManual] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = await getToken()
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.message || data.error || `Request failed (${response.status})`)
+    return data
+  }, [getToken])
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const [transferRes, intentRes] = await Promise.all([
+        request(`/api/admin/bank-transfers?status=${encodeURIComponent(status)}`),
+        request('/api/admin/bank-transfers/open-intents')
+      ])
+      setTransfers(transferRes.data)
+      setOpenIntents(intentRes.data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [request, status])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const run = async (fn) => {
+    try {
+      setError('')
+      await fn()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const select = (transfer) => run(async () => {
+    setSelected(transfer)
+    setAllocations([])
+    setNote('')
+    setSuggestions([])
+    if (transfer.status === 'ignored' || transfer.status === 'applied') return
+    const { data } = await request(`/api/admin/bank-transfers/${encodeURIComponent(transfer.transferId)}/suggestions`)
+    setSuggestions(data)
+  })
+
+  const addAllocation = (intent, amount) => {
+    setAllocations(list => [...list, { key: `${intent.buildId}:${intent.milestone}:${Date.now()}`, intent: `${intent.buildId}:${intent.milestone}`, amount: (amount / 100).toFixed(2) }])
+  }
+
+  const allocatedCents = allocations.reduce((sum, a) => sum + toCents(a.amount), 0)
+  const remainingCents = selected ? Number(selected.unappliedAmount ?? selected.amount) - allocatedCents : 0
+
+  const afterChange = async (transfer) => {
+    setSelected(transfer)
+    setAllocations([])
+    setNote('')
+    await load()
+  }
+
+  const apply = () => run(async () => {
+    const body = {
+      note,
+      allocations: allocations.map(a => {
+        const [buildId, milestone] = a.intent.split(':')
+        return { buildId, milestone, amount: toCents(a.amount) }
+      })
+    }
+    const { data } = await request(`/api/admin/bank-transfers/${encodeURIComponent(selected.transferId)}/apply`, { method: 'POST', body: JSON.stringify(body) })
+    await afterChange(data)
+  })
+
+  const setIgnored = (ignored) => run(async () => {
+    const action = ignored ? 'ignore' : 'restore'
+    const { data } = await request(`/api/admin/bank-transfers/${encodeURIComponent(selected.transferId)}/${action}`, { method: 'POST', body: JSON.stringify({ note }) })
+    await afterChange(data)
+  })
+
+  const saveManual = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const { data } = await request('/api/admin/bank-transfers', {
+        method: 'POST',
+        body: JSON.stringify({ ...manual, amount: toCents(manual.amount), receivedAt: manual.receivedAt || undefined })
+      })
+      setManual(null)
+      await load()
+      await select(data)
+    })
+  }
+
+  const input = 'mt-1 w-full border border-gray-300 rounded-md px-3 py-2 text-sm'
+  const intentLabel = (i) => `${i.buyer || 'Buyer'} · ${i.modelName || i.buildId.slice(-6)} · ${i.milestone} (${money(i.outstanding)} due)`
+
+  return (
+    <AdminLayout title="Bank Transfers">
+      <div className="space-y-6">
+        <div className="bg-white shadow rounded-lg p-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Bank Transfer Reconciliation</h1>
+            <p className="text-gray-600 mt-1">
+              Transfers whose reference code and amount match a milestone are applied automatically. Match the rest here.
+            </p>
+          </div>
+          <div className="flex gap-3">
+            <button onClick={() => setManual(emptyManual())} className="inline-flex items-center px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Record transfer
+            </button>
+            <button onClick={load} disabled={loading} className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+              <ArrowPathIcon className="h-4 w-4 mr-2" />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center text-red-700">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {manual && (
+          <form onSubmit={saveManual} className="bg-white shadow rounded-lg p-6 grid grid-cols-1 md:grid-cols-5 gap-4 text-sm">
+            <label className="block text-gray-700">Amount ($)
+              <input className={input} type="number" min="0.01" step="0.01" value={manual.amount} onChange={e => setManual(m => ({ ...m, amount: e.target.value }))} required />
+            </label>
+            <label className="block text-gray-700">Bank reference (IMAD / trace)
+              <input className={input} value={manual.bankReference} onChange={e => setManual(m => ({ ...m, bankReference: e.target.value }))} required />
+            </label>
+            <label className="block text-gray-700">Memo / reference text
+              <input className={input} value={manual.reference} onChange={e => setManual(m => ({ ...m, reference: e.target.value }))} />
+            </label>
+            <label className="block text-gray-700">Sender
+              <input className={input} value={manual.senderName} onChange={e => setManual(m => ({ ...m, senderName: e.target.value }))} />
+            </label>
+            <label className="block text-gray-700">Received
+              <input className={input} type="date" value={manual.receivedAt} onChange={e => setManual(m => ({ ...m, receivedAt: e.target.value }))} />
+            </label>
+            <div className="md:col-span-5 flex gap-3">
+              <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Record</button>
+              <button type="button" onClick={() => setManual(null)} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">Cancel</button>
+            </div>
+          </form>
+        )}
+
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div className="bg-white shadow rounded-lg overflow-x-auto">
+            <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">Inbound transfers</h2>
+              <select className="border border-gray-300 rounded-md px-3 py-2 text-sm" value={status} onChange={e => setStatus(e.target.value)}>
+                <option value="unmatched,partially_applied">Needs matching</option>
+                <option value="applied">Applied</option>
+                <option value="ignored">Ignored</option>
+                <option value="">All</option>
+              </select>
+            </div>
+            {loading ? (
+              <div className="flex items-center justify-center h-32">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              </div>
+            ) : transfers.length === 0 ? (
+              <p className="p-6 text-center text-gray-500">Nothing to reconcile.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Received</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Sender / reference</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Amount</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {transfers.map(t => (
+                    <tr
+                      key={t.transferId}
+                      onClick={() => select(t)}
+                      className={`cursor-pointer hover:bg-gray-50 ${selected?.transferId === t.transferId ? 'bg-blue-50' : ''}`}
+                    >
+                      <td className="px-4 py-2 text-gray-700 whitespace-nowrap">{new Date(t.receivedAt).toLocaleDateString()}</td>
+                      <td className="px-4 py-2">
+                        <div className="text-gray-900">{t.senderName || 'Unknown sender'}</div>
+                        <div className="text-xs text-gray-500">{t.reference || t.transferId}</div>
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-900">
+                        {money(t.amount)}
+                        {t.unappliedAmount > 0 && t.unappliedAmount !== t.amount && (
+                          <div className="text-xs text-gray-500">{money(t.unappliedAmount)} left</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[t.status] || ''}`}>{t.status.replace('_', ' ')}</span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {selected && (
+            <div className="bg-white shadow rounded-lg p-6 space-y-5 text-sm">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">{money(selected.amount)} from {selected.senderName || 'unknown sender'}</h2>
+                <p className="text-gray-500">
+                  {selected.transferId} · {selected.source} · {money(selected.unappliedAmount)} unapplied
+                </p>
+              </div>
+
+              {suggestions.length > 0 && (
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-2">Suggested matches</h3>
+                  <ul className="space-y-2">
+                    {suggestions.map(s => (
+                      <li key={`${s.candidate.buildId}:${s.candidate.milestone}`} className="flex items-center justify-between border border-gray-200 rounded-md p-2">
+                        <div>
+                          <div className="text-gray-900">{intentLabel(s.candidate)}</div>
+                          <div className="text-xs text-gray-500">{s.reasons.map(r => REASON_LABELS[r] || r).join(' · ')}</div>
+                        </div>
+                        <button onClick={() => addAllocation(s.candidate, s.amount)} className="text-blue-600 hover:text-blue-800">Use</button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {selected.status !== 'ignored' && selected.unappliedAmount > 0 && (
+                <div className="space-y-3">
+                  <h3 className="font-medium text-gray-900">Apply to milestones</h3>
+                  {allocations.map((a, idx) => (
+                    <div key={a.key} className="flex gap-2 items-center">
+                      <select
+                        className="flex-1 border border-gray-300 rounded-md px-2 py-2"
+                        value={a.intent}
+                        onChange={e => setAllocations(list => list.map((x, i) => (i === idx ? { ...x, intent: e.target.value } : x)))}
+                      >
+                        {openIntents.map(i => <option key={`${i.buildId}:${i.milestone}`} value={`${i.buildId}:${i.milestone}`}>{intentLabel(i)}</option>)}
+                      </select>
+                      <input
+                        className="w-32 border border-gray-300 rounded-md px-2 py-2"
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        value={a.amount}
+                        onChange={e => setAllocations(list => list.map((x, i) => (i === idx ? { ...x, amount: e.target.value } : x)))}
+                      />
+                      <button onClick={() => setAllocations(list => list.filter((_, i) => i !== idx))} className="text-gray-400 hover:text-red-600" title="Remove">
+                        <XMarkIcon className="h-5 w-5" />
+                      </button>
+                    </div>
+                  ))}
+                  {openIntents.length > 0 && (
+                    <button
+                      onClick={() => addAllocation(openIntents[0], Math.max(0, Math.min(remainingCents, openIntents[0].outstanding)))}
+                      className="inline-flex items-center text-blue-600 hover:text-blue-800"
+                    >
+                      <PlusIcon className="h-4 w-4 mr-1" />
+                      Add milestone
+                    </button>
+                  )}
+                  <p className={remainingCents < 0 ? 'text-red-600' : 'text-gray-500'}>
+                    {money(allocatedCents)} allocated · {money(remainingCents)} left on the transfer
+                  </p>
+                </div>
+              )}
+
+              <input className="w-full border border-gray-300 rounded-md px-3 py-2" placeholder="Note for the audit trail" value={note} onChange={e => setNote(e.target.value)} />
+
+              <div className="flex gap-3">
+                {selected.status !== 'ignored' && selected.unappliedAmount > 0 && (
+                  <button onClick={apply} disabled={!allocations.length || remainingCents < 0} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                    Apply transfer
+                  </button>
+                )}
+                {selected.status === 'unmatched' && (
+                  <button onClick={() => setIgnored(true)} disabled={!note.trim()} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50">
+                    Ignore (not a build payment)
+                  </button>
+                )}
+                {selected.status === 'ignored' && (
+                  <button onClick={() => setIgnored(false)} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">
+                    Restore
+                  </button>
+                )}
+              </div>
+
+              {selected.applications?.length > 0 && (
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-2">Applied</h3>
+                  <ul className="space-y-1 text-gray-700">
+                    {selected.applications.map(a => (
+                      <li key={a.id}>{money(a.amount)} → build {a.buildId.slice(-6)} {a.milestone} <span className="text-xs text-gray-500">by {a.appliedBy}</span></li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div>
+                <h3 className="font-medium text-gray-900 mb-2">History</h3>
+                <ul className="space-y-1 text-xs text-gray-500">
+                  {(selected.history || []).map((h, idx) => (
+                    <li key={idx}>
+                      {new Date(h.at).toLocaleString()} · {h.action.replace('_', ' ')} by {h.userId}
+                      {h.amount ? ` · ${money(h.amount)}` : ''}
+                      {h.note ? ` · ${h.note}` : ''}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </AdminLayout>
+  )
+}
+
+export default AdminBankTransfers
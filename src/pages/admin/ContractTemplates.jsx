@@ -0,0 +1,286 @@
+// Admin Contract Templates Page
+// Edit contract pack HTML as immutable versions, check the field tags against the field map, preview and schedule them
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { ArrowPathIcon, ExclamationTriangleIcon, EyeIcon } from '@heroicons/react/24/outline'
+import AdminLayout from '../../components/AdminLayout'
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  superseded: 'bg-gray-100 text-gray-600',
+  draft: 'bg-yellow-100 text-yellow-800'
+}
+
+const versionStatus = (version, activeVersion) => {
+  if (version.version === activeVersion) return 'active'
+  if (!version.effectiveAt) return 'draft'
+  return new Date(version.effectiveAt) > new Date() ? 'scheduled' : 'superseded'
+}
+
+const emptyDraft = () => ({ name: '', notes: '', html: '' })
+
+const AdminContractTemplates = () => {
+  const { getToken } = useAuth()
+  const [templates, setTemplates] = useState([])
+  const [key, setKey] = useState('')
+  const [versions, setVersions] = useState([])
+  const [draft, setDraft] = useState(emptyDraft())
+  const [check, setCheck] = useState(null)
+  const [effectiveAt, setEffectiveAt] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = await getToken()
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const err = new Error(data.message || data.error || `Request failed (${response.status})`)
+      err.issues = data.issues
+      throw err
+    }
+    return data
+  }, [getToken])
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const { data } = await request('/api/admin/contracts/templates')
+      setTemplates(data)
+      const current = key || data[0]?.key
+      if (current) {
+        setKey(current)
+        const res = await request(`/api/admin/contracts/templates/${encodeURIComponent(current)}/versions`)
+        setVersions(res.data)
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [request, key])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const run = async (fn) => {
+    try {
+      setError('')
+      setNotice('')
+      setBusy(true)
+      await fn()
+    } catch (err) {
+      setError(err.message)
+      if (err.issues) setCheck({ errors: err.issues, warnings: [], html: null })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const selectKey = (next) => {
+    setKey(next)
+    setDraft(emptyDraft())
+    setCheck(null)
+  }
+
+  const openVersion = (version) => run(async () => {
+    const { data } = await request(`/api/admin/contracts/templates/${encodeURIComponent(key)}/versions/${version}`)
+    setDraft({ name: data.name, notes: '', html: data.html })
+    setCheck(null)
+  })
+
+  const preview = () => run(async () => {
+    const { data } = await request(`/api/admin/contracts/templates/${encodeURIComponent(key)}/preview`, {
+      method: 'POST',
+      body: JSON.stringify({ html: draft.html })
+    })
+    setCheck(data)
+  })
+
+  const save = () => run(async () => {
+    const res = await request(`/api/admin/contracts/templates/${encodeURIComponent(key)}/versions`, {
+      method: 'POST',
+      body: JSON.stringify(draft)
+    })
+    setNotice(res.reused ? `Nothing changed since version ${res.data.version}` : `Saved version ${res.data.version}. Activate it to use it for new contracts.`)
+    await load()
+  })
+
+  const activate = (version) => run(async () => {
+    const at = effectiveAt[version]
+    await request(`/api/admin/contracts/templates/${encodeURIComponent(key)}/versions/${version}/activate`, {
+      method: 'POST',
+      body: JSON.stringify({ effectiveAt: at ? new Date(at).toISOString() : null })
+    })
+    setNotice(at ? `Version ${version} takes effect ${new Date(at).toLocaleString()}` : `Version ${version} is now in effect`)
+    await load()
+  })
+
+  const summary = templates.find(t => t.key === key)
+  const input = 'mt-1 w-full border border-gray-300 rounded-md px-3 py-2 text-sm'
+
+  return (
+    <AdminLayout title="Contract Templates">
+      <div className="space-y-6">
+        <div className="bg-white shadow rounded-lg p-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Contract Templates</h1>
+            <p className="text-gray-600 mt-1">
+              Saved versions never change. New contracts use the version in effect when they are started, and each pack records which one it was.
+            </p>
+          </div>
+          <div className="flex gap-3">
+            <select className="border border-gray-300 rounded-md px-3 py-2 text-sm" value={key} onChange={e => selectKey(e.target.value)}>
+              {templates.map(t => <option key={t.key} value={t.key}>{t.name}</option>)}
+            </select>
+            <button onClick={load} disabled={loading} className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+              <ArrowPathIcon className="h-4 w-4 mr-2" />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center text-red-700">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            {error}
+          </div>
+        )}
+        {notice && <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-green-800 text-sm">{notice}</div>}
+
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div className="bg-white shadow rounded-lg overflow-x-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Versions</h2>
+              <p className="text-xs text-gray-500">
+                {summary?.activeVersion ? `Version ${summary.activeVersion} is in effect.` : 'No version is in effect; contracts use the built-in template.'}
+              </p>
+            </div>
+            {loading ? (
+              <div className="flex items-center justify-center h-32">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              </div>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Version</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Activate</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {versions.map(v => {
+                    const status = versionStatus(v, summary?.activeVersion)
+                    return (
+                      <tr key={v._id}>
+                        <td className="px-4 py-2">
+                          <div className="text-gray-900">v{v.version} · {v.name}</div>
+                          <div className="text-xs text-gray-500">
+                            {new Date(v.createdAt).toLocaleDateString()} by {v.createdBy || 'unknown'}{v.notes ? ` · ${v.notes}` : ''}
+                          </div>
+                        </td>
+                        <td className="px-4 py-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[status]}`}>{status}</span>
+                          {v.effectiveAt && <div className="text-xs text-gray-500 mt-1">from {new Date(v.effectiveAt).toLocaleString()}</div>}
+                        </td>
+                        <td className="px-4 py-2">
+                          {(status === 'draft' || status === 'scheduled') && (
+                            <div className="flex gap-2 items-center">
+                              <input
+                                type="datetime-local"
+                                className="border border-gray-300 rounded-md px-2 py-1 text-xs"
+                                value={effectiveAt[v.version] || ''}
+                                onChange={e => setEffectiveAt(m => ({ ...m, [v.version]: e.target.value }))}
+                              />
+                              <button onClick={() => activate(v.version)} disabled={busy} className="text-blue-600 hover:text-blue-800 disabled:text-gray-400">
+                                {effectiveAt[v.version] ? 'Schedule' : 'Activate now'}
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-right">
+                          <button onClick={() => openVersion(v.version)} className="text-blue-600 hover:text-blue-800">Open</button>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                  <tr>
+                    <td className="px-4 py-2 text-gray-700" colSpan={3}>Built-in template (shipped with the app)</td>
+                    <td className="px-4 py-2 text-right">
+                      <button onClick={() => openVersion('builtin')} className="text-blue-600 hover:text-blue-800">Open</button>
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="bg-white shadow rounded-lg p-6 space-y-4 text-sm">
+            <h2 className="text-lg font-semibold text-gray-900">Editor</h2>
+            <p className="text-gray-500">
+              Open a version to start from it. Field tags can be written as {'{{name;type=text;role=buyer}}'} or as &lt;text-field&gt; elements, and must match the template&apos;s field map.
+            </p>
+            <label className="block text-gray-700">Name
+              <input className={input} value={draft.name} onChange={e => setDraft(d => ({ ...d, name: e.target.value }))} />
+            </label>
+            <label className="block text-gray-700">What changed
+              <input className={input} value={draft.notes} onChange={e => setDraft(d => ({ ...d, notes: e.target.value }))} />
+            </label>
+            <textarea
+              className="w-full h-96 border border-gray-300 rounded-md px-3 py-2 font-mono text-xs"
+              value={draft.html}
+              onChange={e => {
+                setDraft(d => ({ ...d, html: e.target.value }))
+                setCheck(null)
+              }}
+              spellCheck={false}
+            />
+            <div className="flex gap-3">
+              <button onClick={preview} disabled={busy || !draft.html.trim()} className="inline-flex items-center px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50">
+                <EyeIcon className="h-4 w-4 mr-2" />
+                Check &amp; preview
+              </button>
+              <button onClick={save} disabled={busy || !check || check.errors.length > 0} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                Save as new version
+              </button>
+            </div>
+
+            {check && (
+              <div className="space-y-2">
+                {check.errors.length === 0 ? (
+                  <p className="text-green-700">Every field tag matches the field map{check.fields ? ` (${check.fields} fields)` : ''}.</p>
+                ) : (
+                  <ul className="text-red-700 list-disc ml-5">
+                    {check.errors.map(i => <li key={i.message}>{i.message}</li>)}
+                  </ul>
+                )}
+                {check.warnings.length > 0 && (
+                  <details className="text-gray-500">
+                    <summary>{check.warnings.length} mapped field(s) not tagged</summary>
+                    <ul className="list-disc ml-5">
+                      {check.warnings.map(i => <li key={i.message}>{i.message}</li>)}
+                    </ul>
+                  </details>
+                )}
+                {check.html && <iframe title="Template preview" sandbox="" srcDoc={check.html} className="w-full h-96 border border-gray-200 rounded-md" />}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </AdminLayout>
+  )
+}
+
+export default AdminContractTemplates
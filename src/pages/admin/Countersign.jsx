@@ -0,0 +1,154 @@
+// Admin Countersignature Queue Page
+// Contracts every buyer has signed, waiting for Firefly's signature to be executed
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { ArrowPathIcon, ExclamationTriangleIcon, PencilSquareIcon } from '@heroicons/react/24/outline'
+import AdminLayout from '../../components/AdminLayout'
+
+const SIGNER_LABELS = { buyer: 'Buyer', cobuyer: 'Co-buyer' }
+
+const waitingFor = (since) => {
+  if (!since) return ''
+  const hours = Math.floor((Date.now() - new Date(since).getTime()) / (60 * 60 * 1000))
+  return hours >= 24 ? `${Math.floor(hours / 24)}d` : `${hours}h`
+}
+
+const AdminCountersign = () => {
+  const { getToken } = useAuth()
+  const [queue, setQueue] = useState([])
+  const [opening, setOpening] = useState(null)
+  const [opened, setOpened] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = await getToken()
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.message || data.error || `Request failed (${response.status})`)
+    return data
+  }, [getToken])
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const { data } = await request('/api/admin/contracts/countersign')
+      setQueue(data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [request])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const countersign = async (row) => {
+    const key = `${row.contractId}:${row.packId}`
+    // Open the tab before the request so popup blockers allow it
+    const tab = window.open('', '_blank')
+    try {
+      setError('')
+      setOpening(key)
+      const { data } = await request(`/api/admin/contracts/${encodeURIComponent(row.contractId)}/countersign`, {
+        method: 'POST',
+        body: JSON.stringify({ packId: row.packId })
+      })
+      if (tab) tab.location.href = data.url
+      else window.location.href = data.url
+      setOpened(o => ({ ...o, [key]: true }))
+    } catch (err) {
+      tab?.close()
+      setError(err.message)
+    } finally {
+      setOpening(null)
+    }
+  }
+
+  return (
+    <AdminLayout title="Countersign">
+      <div className="space-y-6">
+        <div className="bg-white shadow rounded-lg p-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Awaiting Countersignature</h1>
+            <p className="text-gray-600 mt-1">
+              Every buyer has signed these contracts. Your signature executes them, advances the build and emails the executed PDF to everyone.
+            </p>
+          </div>
+          <button onClick={load} disabled={loading} className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+            <ArrowPathIcon className="h-4 w-4 mr-2" />
+            Refresh
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center text-red-700">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : queue.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No contracts are waiting for a countersignature.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Contract</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Signed by</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Waiting</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {queue.map(row => {
+                  const key = `${row.contractId}:${row.packId}`
+                  return (
+                    <tr key={key}>
+                      <td className="px-4 py-2">
+                        <div className="text-gray-900">{row.templateName || row.packId}</div>
+                        <div className="text-xs text-gray-500">{row.modelName || 'Build'} · {String(row.buildId).slice(-6)}</div>
+                      </td>
+                      <td className="px-4 py-2 text-gray-700">
+                        {row.buyers.map(b => (
+                          <div key={b.role}>
+                            {b.name || b.email} <span className="text-xs text-gray-500">{SIGNER_LABELS[b.role] || b.role}{b.completedAt ? ` · ${new Date(b.completedAt).toLocaleDateString()}` : ''}</span>
+                          </div>
+                        ))}
+                      </td>
+                      <td className="px-4 py-2 text-gray-700 whitespace-nowrap">{waitingFor(row.waitingSince)}</td>
+                      <td className="px-4 py-2 text-right">
+                        <button
+                          onClick={() => countersign(row)}
+                          disabled={opening === key}
+                          className="inline-flex items-center bg-blue-600 text-white px-3 py-1.5 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          <PencilSquareIcon className="h-4 w-4 mr-1" />
+                          {opening === key ? 'Opening…' : opened[key] || row.dealer?.invitedAt ? 'Continue signing' : 'Countersign'}
+                        </button>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </AdminLayout>
+  )
+}
+
+export default AdminCountersign
@@ -0,0 +1,314 @@
+// Admin Financing Page
+// Lender programs (APR tiers, terms, minimum down, fees) and recent pre-qualification applications
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { PlusIcon, PencilSquareIcon, TrashIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import AdminLayout from '../../components/AdminLayout'
+
+const money = (cents) => `$${(Number(cents || 0) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+const dollars = (cents) => (cents == null ? '' : String(cents / 100))
+const cents = (value) => (value === '' || value == null ? null : Math.round(Number(value) * 100))
+
+const STATUS_STYLES = {
+  prequalified: 'bg-green-100 text-green-800',
+  review: 'bg-yellow-100 text-yellow-800',
+  declined: 'bg-red-100 text-red-700',
+  error: 'bg-red-100 text-red-700',
+  submitted: 'bg-gray-100 text-gray-700'
+}
+
+const emptyForm = () => ({
+  id: '', name: '', lender: '', adapter: 'stub', active: true, description: '',
+  termsMonths: '120, 180, 240', aprs: {}, minDownPercent: '10', originationPercent: '0', documentFee: '0', minAmount: '', maxAmount: ''
+})
+
+const toForm = (p) => ({
+  existing: true,
+  id: p.id,
+  name: p.name,
+  lender: p.lender,
+  adapter: p.adapter,
+  active: p.active,
+  description: p.description || '',
+  termsMonths: p.termsMonths.join(', '),
+  aprs: Object.fromEntries(p.aprTiers.map(t => [t.tier, String(t.apr)])),
+  minDownPercent: String(p.minDownPercent),
+  originationPercent: String(p.fees?.originationPercent ?? 0),
+  documentFee: dollars(p.fees?.documentFee ?? 0),
+  minAmount: dollars(p.minAmount || null),
+  maxAmount: dollars(p.maxAmount)
+})
+
+const AdminFinancing = () => {
+  const { getToken } = useAuth()
+  const [programs, setPrograms] = useState([])
+  const [creditTiers, setCreditTiers] = useState([])
+  const [adapters, setAdapters] = useState([])
+  const [applications, setApplications] = useState([])
+  const [form, setForm] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const request = useCallback(async (path, options = {}) => {
+    const token = await getToken()
+    const response = await fetch(`/api/admin/financing${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.message || data.error || `Request failed (${response.status})`)
+    return data.data
+  }, [getToken])
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const [programData, applicationData] = await Promise.all([request('/programs'), request('/applications')])
+      setPrograms(programData.programs)
+      setCreditTiers(programData.creditTiers)
+      setAdapters(programData.adapters)
+      setApplications(applicationData)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [request])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const save = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      setError('')
+      await request(`/programs/${encodeURIComponent(form.id)}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          name: form.name,
+          lender: form.lender,
+          adapter: form.adapter,
+          active: form.active,
+          description: form.description,
+          termsMonths: form.termsMonths.split(',').map(s => Number(s.trim())).filter(Boolean),
+          aprTiers: creditTiers.filter(t => form.aprs[t.id] !== undefined && form.aprs[t.id] !== '').map(t => ({ tier: t.id, apr: Number(form.aprs[t.id]) })),
+          minDownPercent: Number(form.minDownPercent),
+          fees: { originationPercent: Number(form.originationPercent), documentFee: cents(form.documentFee) || 0 },
+          minAmount: cents(form.minAmount) || 0,
+          maxAmount: cents(form.maxAmount)
+        })
+      })
+      setForm(null)
+      await load()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const remove = async (program) => {
+    if (!window.confirm(`Delete the ${program.name} program? Existing applications are kept.`)) return
+    try {
+      await request(`/programs/${encodeURIComponent(program.id)}`, { method: 'DELETE' })
+      await load()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const input = 'mt-1 w-full border border-gray-300 rounded-md px-3 py-2 text-sm'
+  const set = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }))
+
+  return (
+    <AdminLayout title="Financing">
+      <div className="space-y-6">
+        <div className="bg-white shadow rounded-lg p-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Financing Programs</h1>
+            <p className="text-gray-600 mt-1">
+              Programs buyers can pre-qualify for at checkout. A credit tier without an APR is not eligible for that program.
+            </p>
+          </div>
+          <button
+            onClick={() => setForm(emptyForm())}
+            className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            New program
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center text-red-700">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={save} className="bg-white shadow rounded-lg p-6 space-y-4 text-sm">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <label className="block text-gray-700">Id
+                <input className={input} value={form.id} onChange={set('id')} disabled={form.existing} required />
+              </label>
+              <label className="block text-gray-700">Name
+                <input className={input} value={form.name} onChange={set('name')} required />
+              </label>
+              <label className="block text-gray-700">Lender
+                <input className={input} value={form.lender} onChange={set('lender')} />
+              </label>
+              <label className="block text-gray-700">Submission adapter
+                <select className={input} value={form.adapter} onChange={set('adapter')}>
+                  {adapters.map(a => <option key={a} value={a}>{a}</option>)}
+                </select>
+              </label>
+              <label className="block text-gray-700">Terms (months, comma separated)
+                <input className={input} value={form.termsMonths} onChange={set('termsMonths')} />
+              </label>
+              <label className="block text-gray-700">Minimum down (%)
+                <input className={input} type="number" min="0" max="99" step="0.1" value={form.minDownPercent} onChange={set('minDownPercent')} />
+              </label>
+              <label className="block text-gray-700">Origination fee (%)
+                <input className={input} type="number" min="0" max="10" step="0.01" value={form.originationPercent} onChange={set('originationPercent')} />
+              </label>
+              <label className="block text-gray-700">Document fee ($)
+                <input className={input} type="number" min="0" step="0.01" value={form.documentFee} onChange={set('documentFee')} />
+              </label>
+              <label className="block text-gray-700">Amount financed ($, min / max)
+                <div className="flex gap-2">
+                  <input className={input} type="number" min="0" value={form.minAmount} onChange={set('minAmount')} placeholder="0" />
+                  <input className={input} type="number" min="0" value={form.maxAmount} onChange={set('maxAmount')} placeholder="No cap" />
+                </div>
+              </label>
+            </div>
+            <div>
+              <div className="text-gray-700 mb-1">APR by credit tier (%)</div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {creditTiers.map(t => (
+                  <label key={t.id} className="block text-gray-500 text-xs">{t.label}
+                    <input
+                      className={input}
+                      type="number"
+                      min="0"
+                      max="36"
+                      step="0.01"
+                      value={form.aprs[t.id] ?? ''}
+                      onChange={e => setForm(f => ({ ...f, aprs: { ...f.aprs, [t.id]: e.target.value } }))}
+                      placeholder="Not eligible"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+            <label className="block text-gray-700">Description
+              <input className={input} value={form.description} onChange={set('description')} />
+            </label>
+            <label className="inline-flex items-center gap-2 text-gray-700">
+              <input type="checkbox" checked={form.active} onChange={set('active')} />
+              Offered to buyers
+            </label>
+            <div className="flex gap-3">
+              <button type="submit" disabled={saving} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                {saving ? 'Saving…' : 'Save program'}
+              </button>
+              <button type="button" onClick={() => setForm(null)} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : programs.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No financing programs yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Program</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">APR tiers</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Terms</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Min down</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Fees</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {programs.map(p => (
+                  <tr key={p.id} className="align-top">
+                    <td className="px-4 py-2">
+                      <div className="text-gray-900">{p.name} {!p.active && <span className="text-xs text-gray-400">(inactive)</span>}</div>
+                      <div className="text-xs text-gray-500">{p.lender} · {p.adapter} · {p.id}</div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{p.aprTiers.map(t => `${t.tier} ${t.apr}%`).join(', ')}</td>
+                    <td className="px-4 py-2 text-gray-700">{p.termsMonths.join(', ')} mo</td>
+                    <td className="px-4 py-2 text-gray-700">{p.minDownPercent}%</td>
+                    <td className="px-4 py-2 text-gray-700">{p.fees.originationPercent}% + {money(p.fees.documentFee)}</td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                      <button onClick={() => setForm(toForm(p))} className="text-blue-600 hover:text-blue-800 mr-3" title="Edit">
+                        <PencilSquareIcon className="h-5 w-5" />
+                      </button>
+                      <button onClick={() => remove(p)} className="text-red-600 hover:text-red-800" title="Delete">
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          <h2 className="px-4 pt-4 text-lg font-semibold text-gray-900">Recent pre-qualifications</h2>
+          {applications.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No applications yet.</p>
+          ) : (
+            <table className="mt-2 min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Applicant</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Program</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500">Financed</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500">Monthly</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Submitted</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {applications.map(a => (
+                  <tr key={a._id}>
+                    <td className="px-4 py-2">
+                      <div className="text-gray-900">{a.applicant.firstName} {a.applicant.lastName}</div>
+                      <div className="text-xs text-gray-500">{a.applicant.email} · {a.buildId}</div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{a.programId} · {a.quote.apr}% / {a.quote.termMonths} mo</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{money(a.quote.amountFinanced)}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{money(a.quote.monthlyPayment)}</td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[a.status] || STATUS_STYLES.submitted}`}>{a.status}</span>
+                      {(a.decision?.message || a.lastError?.message) && <div className="text-xs text-gray-500 mt-1">{a.decision?.message || a.lastError?.message}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{new Date(a.createdAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </AdminLayout>
+  )
+}
+
+export default AdminFinancing
@@ -37,6 +37,7 @@ const AdminOrders = () => {
     status: '',
     stage: '',
     paymentStatus: '',
+    deliveryEstimated: '',
     search: ''
   })
   const [sortConfig, setSortConfig] = useState({
@@ -228,7 +229,7 @@ const AdminOrders = () => {
           <h3 className="text-lg font-medium text-gray-900">Filters & Search</h3>
         </div>
         <div className="p-6">
-          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-6 gap-4">
             {/* Search */}
             <div>
               <label htmlFor="search" className="block text-sm font-medium text-gray-700 mb-1">
@@ -308,6 +309,23 @@ const AdminOrders = () => {
               </select>
             </div>
 
+            {/* Delivery Pricing Filter */}
+            <div>
+              <label htmlFor="deliveryEstimated" className="block text-sm font-medium text-gray-700 mb-1">
+                Delivery Pricing
+              </label>
+              <select
+                id="deliveryEstimated"
+                value={filters.deliveryEstimated}
+                onChange={(e) => handleFilterChange('deliveryEstimated', e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md leading-5 bg-white focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All Orders</option>
+                <option value="true">Estimated distance</option>
+                <option value="false">Routed distance</option>
+              </select>
+            </div>
+
             {/* Search Button */}
             <div className="flex items-end">
               <button
@@ -457,6 +475,13 @@ const AdminOrders = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     {order.deliveryDate ? formatDate(order.deliveryDate) : 'Not set'}
+                    {order.deliveryEstimated && (
+                      <div>
+                        <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800" title="Delivery fee priced from an offline distance estimate, not a routing API">
+                          Estimated distance
+                        </span>
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     {formatDate(order.createdAt)}
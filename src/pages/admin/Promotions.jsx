@@ -0,0 +1,334 @@
+// Admin Promotions Page
+// Promo codes, plus reason-coded price adjustments and trade-in credits on a single build
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { PlusIcon, PencilSquareIcon, TrashIcon, ExclamationTriangleIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline'
+import AdminLayout from '../../components/AdminLayout'
+import { formatCurrency } from '../../utils/formatCurrency'
+
+const emptyPromo = () => ({
+  code: '', description: '', type: 'percent', value: '', models: '', options: '', maxUses: '', maxUsesPerBuyer: '1', startsAt: '', expiresAt: '', active: true
+})
+
+const dateInput = (d) => (d ? new Date(d).toISOString().slice(0, 10) : '')
+
+const toForm = (p) => ({
+  existing: true,
+  code: p.code,
+  description: p.description || '',
+  type: p.type,
+  value: String(p.value),
+  models: (p.models || []).join(', '),
+  options: (p.options || []).join(', '),
+  maxUses: p.maxUses ?? '',
+  maxUsesPerBuyer: p.maxUsesPerBuyer ?? '',
+  startsAt: dateInput(p.startsAt),
+  expiresAt: dateInput(p.expiresAt),
+  active: p.active
+})
+
+const AdminPromotions = () => {
+  const { getToken } = useAuth()
+  const [promos, setPromos] = useState([])
+  const [reasons, setReasons] = useState({})
+  const [form, setForm] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [buildId, setBuildId] = useState('')
+  const [build, setBuild] = useState(null)
+  const [adjustment, setAdjustment] = useState({ reasonCode: 'dealer_incentive', amount: '', note: '' })
+  const [tradeIn, setTradeIn] = useState({ description: '', vin: '', allowance: '', payoff: '', lienholder: '' })
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = await getToken()
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.message || data.error || `Request failed (${response.status})`)
+    return data
+  }, [getToken])
+
+  const loadPromos = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const { data } = await request('/api/admin/promotions')
+      setPromos(data.promos)
+      setReasons(data.reasons)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [request])
+
+  useEffect(() => {
+    loadPromos()
+  }, [loadPromos])
+
+  const run = async (fn) => {
+    try {
+      setError('')
+      await fn()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const savePromo = (e) => {
+    e.preventDefault()
+    run(async () => {
+      await request(`/api/admin/promotions/${encodeURIComponent(form.code)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ ...form, existing: undefined, startsAt: form.startsAt || null, expiresAt: form.expiresAt || null })
+      })
+      setForm(null)
+      await loadPromos()
+    })
+  }
+
+  const deletePromo = (promo) => {
+    if (!window.confirm(`Delete promo code ${promo.code}? Builds that already use it keep their discount.`)) return
+    run(async () => {
+      await request(`/api/admin/promotions/${encodeURIComponent(promo.code)}`, { method: 'DELETE' })
+      await loadPromos()
+    })
+  }
+
+  const loadBuild = (id = buildId) => run(async () => {
+    const { data } = await request(`/api/admin/promotions/builds/${encodeURIComponent(id.trim())}`)
+    setBuild(data)
+    const t = data.adjustments?.tradeIn
+    setTradeIn(t ? { description: t.description, vin: t.vin || '', allowance: String(t.allowance), payoff: String(t.payoff || ''), lienholder: t.lienholder || '' } : { description: '', vin: '', allowance: '', payoff: '', lienholder: '' })
+  })
+
+  const changeBuild = (url, method, body) => run(async () => {
+    await request(url, { method, body: body ? JSON.stringify(body) : undefined })
+    await loadBuild(String(build._id))
+  })
+
+  const input = 'mt-1 w-full border border-gray-300 rounded-md px-3 py-2 text-sm'
+  const set = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }))
+  const locked = build?.contractStatus === 'signed'
+
+  return (
+    <AdminLayout title="Promotions">
+      <div className="space-y-6">
+        <div className="bg-white shadow rounded-lg p-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Promotions & Adjustments</h1>
+            <p className="text-gray-600 mt-1">
+              Discounts, adjustments and trade-ins are applied before sales tax and are locked once the contract is signed.
+            </p>
+          </div>
+          <button
+            onClick={() => setForm(emptyPromo())}
+            className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            New promo code
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center text-red-700">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={savePromo} className="bg-white shadow rounded-lg p-6 space-y-4 text-sm">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <label className="block text-gray-700">Code
+                <input className={input} value={form.code} onChange={e => setForm(f => ({ ...f, code: e.target.value.toUpperCase() }))} disabled={form.existing} required />
+              </label>
+              <label className="block text-gray-700">Type
+                <select className={input} value={form.type} onChange={set('type')}>
+                  <option value="percent">Percent off</option>
+                  <option value="fixed">Fixed amount off ($)</option>
+                </select>
+              </label>
+              <label className="block text-gray-700">{form.type === 'percent' ? 'Percent' : 'Amount ($)'}
+                <input className={input} type="number" min="0" step="0.01" value={form.value} onChange={set('value')} required />
+              </label>
+              <label className="block text-gray-700">Models (slugs, blank = all)
+                <input className={input} value={form.models} onChange={set('models')} placeholder="magnolia, oak" />
+              </label>
+              <label className="block text-gray-700">Options (ids, blank = whole home)
+                <input className={input} value={form.options} onChange={set('options')} />
+              </label>
+              <label className="block text-gray-700">Description
+                <input className={input} value={form.description} onChange={set('description')} />
+              </label>
+              <label className="block text-gray-700">Total uses (blank = unlimited)
+                <input className={input} type="number" min="1" value={form.maxUses} onChange={set('maxUses')} />
+              </label>
+              <label className="block text-gray-700">Uses per buyer
+                <input className={input} type="number" min="1" value={form.maxUsesPerBuyer} onChange={set('maxUsesPerBuyer')} />
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                <label className="block text-gray-700">Starts
+                  <input className={input} type="date" value={form.startsAt} onChange={set('startsAt')} />
+                </label>
+                <label className="block text-gray-700">Expires
+                  <input className={input} type="date" value={form.expiresAt} onChange={set('expiresAt')} />
+                </label>
+              </div>
+            </div>
+            <label className="inline-flex items-center gap-2 text-gray-700">
+              <input type="checkbox" checked={form.active} onChange={set('active')} />
+              Active
+            </label>
+            <div className="flex gap-3">
+              <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Save promo code</button>
+              <button type="button" onClick={() => setForm(null)} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">Cancel</button>
+            </div>
+          </form>
+        )}
+
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : promos.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No promo codes yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Code</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Discount</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Scope</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Used</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Valid</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {promos.map(p => (
+                  <tr key={p.code} className="align-top">
+                    <td className="px-4 py-2">
+                      <div className="font-mono text-gray-900">{p.code} {!p.active && <span className="font-sans text-xs text-gray-400">(inactive)</span>}</div>
+                      <div className="text-xs text-gray-500">{p.description}</div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{p.type === 'percent' ? `${p.value}%` : formatCurrency(p.value)}</td>
+                    <td className="px-4 py-2 text-gray-700">
+                      {p.models?.length ? `Models: ${p.models.join(', ')}` : 'All models'}
+                      {p.options?.length ? <div className="text-xs text-gray-500">Options: {p.options.join(', ')}</div> : null}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{p.uses || 0}{p.maxUses ? ` / ${p.maxUses}` : ''}</td>
+                    <td className="px-4 py-2 text-gray-700">
+                      {p.startsAt ? new Date(p.startsAt).toLocaleDateString() : 'Now'} – {p.expiresAt ? new Date(p.expiresAt).toLocaleDateString() : 'No expiry'}
+                    </td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                      <button onClick={() => setForm(toForm(p))} className="text-blue-600 hover:text-blue-800 mr-3" title="Edit">
+                        <PencilSquareIcon className="h-5 w-5" />
+                      </button>
+                      <button onClick={() => deletePromo(p)} className="text-red-600 hover:text-red-800" title="Delete">
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6 space-y-4 text-sm">
+          <h2 className="text-lg font-semibold text-gray-900">Build adjustments</h2>
+          <form onSubmit={e => { e.preventDefault(); loadBuild() }} className="flex gap-2 max-w-lg">
+            <input className="flex-1 border border-gray-300 rounded-md px-3 py-2" placeholder="Build ID" value={buildId} onChange={e => setBuildId(e.target.value)} />
+            <button type="submit" disabled={!buildId.trim()} className="inline-flex items-center px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">
+              <MagnifyingGlassIcon className="h-4 w-4 mr-2" />
+              Load
+            </button>
+          </form>
+
+          {build && (
+            <div className="space-y-6">
+              <div className="text-gray-700">
+                <span className="font-medium text-gray-900">{build.modelName || '—'}</span> · {build.buyer || 'No buyer'} · {build.status}
+                {locked && <span className="ml-2 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 text-xs">Contract signed — use a change order</span>}
+              </div>
+
+              <table className="min-w-full divide-y divide-gray-200">
+                <tbody className="divide-y divide-gray-100">
+                  {(build.pricing.lineItems || []).map(li => (
+                    <tr key={li.key}>
+                      <td className="py-1 text-gray-700">{li.label}</td>
+                      <td className="py-1 text-right text-gray-900">{formatCurrency(li.amount)}</td>
+                      <td className="py-1 pl-3 w-8">
+                        {!locked && li.key.startsWith('adjustment:') && (
+                          <button onClick={() => changeBuild(`/api/builds/${build._id}/adjustments/${li.key.slice('adjustment:'.length)}`, 'DELETE')} className="text-red-600 hover:text-red-800" title="Remove adjustment">
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        )}
+                        {!locked && li.key === 'promo' && (
+                          <button onClick={() => changeBuild(`/api/builds/${build._id}/promo`, 'DELETE')} className="text-red-600 hover:text-red-800" title="Remove promo code">
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="py-1 text-gray-900">Total</td>
+                    <td className="py-1 text-right text-gray-900">{formatCurrency(build.pricing.total)}</td>
+                    <td></td>
+                  </tr>
+                </tbody>
+              </table>
+
+              {!locked && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <form
+                    onSubmit={e => { e.preventDefault(); changeBuild(`/api/builds/${build._id}/adjustments`, 'POST', { ...adjustment, amount: Number(adjustment.amount) }) }}
+                    className="space-y-3"
+                  >
+                    <h3 className="font-medium text-gray-900">Add adjustment</h3>
+                    <select className={input} value={adjustment.reasonCode} onChange={e => setAdjustment(a => ({ ...a, reasonCode: e.target.value }))}>
+                      {Object.entries(reasons).map(([code, r]) => <option key={code} value={code}>{r.label}</option>)}
+                    </select>
+                    <input className={input} type="number" step="0.01" placeholder="Amount ($, negative for a credit)" value={adjustment.amount} onChange={e => setAdjustment(a => ({ ...a, amount: e.target.value }))} />
+                    <input className={input} placeholder="Note (kept for audit)" value={adjustment.note} onChange={e => setAdjustment(a => ({ ...a, note: e.target.value }))} />
+                    <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Add adjustment</button>
+                  </form>
+
+                  <form
+                    onSubmit={e => { e.preventDefault(); changeBuild(`/api/builds/${build._id}/trade-in`, 'PUT', { ...tradeIn, allowance: Number(tradeIn.allowance), payoff: Number(tradeIn.payoff || 0) }) }}
+                    className="space-y-3"
+                  >
+                    <h3 className="font-medium text-gray-900">Trade-in</h3>
+                    <input className={input} placeholder="Year, make and model" value={tradeIn.description} onChange={e => setTradeIn(t => ({ ...t, description: e.target.value }))} />
+                    <input className={input} placeholder="VIN / serial" value={tradeIn.vin} onChange={e => setTradeIn(t => ({ ...t, vin: e.target.value }))} />
+                    <div className="grid grid-cols-2 gap-2">
+                      <input className={input} type="number" min="0" step="0.01" placeholder="Allowance ($)" value={tradeIn.allowance} onChange={e => setTradeIn(t => ({ ...t, allowance: e.target.value }))} />
+                      <input className={input} type="number" min="0" step="0.01" placeholder="Payoff owed ($)" value={tradeIn.payoff} onChange={e => setTradeIn(t => ({ ...t, payoff: e.target.value }))} />
+                    </div>
+                    <input className={input} placeholder="Lienholder" value={tradeIn.lienholder} onChange={e => setTradeIn(t => ({ ...t, lienholder: e.target.value }))} />
+                    <div className="flex gap-3">
+                      <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Save trade-in</button>
+                      {build.adjustments?.tradeIn && (
+                        <button type="button" onClick={() => changeBuild(`/api/builds/${build._id}/trade-in`, 'DELETE')} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">
+                          Remove trade-in
+                        </button>
+                      )}
+                    </div>
+                  </form>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </AdminLayout>
+  )
+}
+
+export default AdminPromotions
@@ -0,0 +1,153 @@
+// Admin Ledger Reconciliation Page
+// Compares build payment flags, ledger entries and Stripe objects and lists mismatches
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { ArrowPathIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import AdminLayout from '../../components/AdminLayout'
+
+const money = (cents) => `$${(Number(cents || 0) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const AdminReconciliation = () => {
+  const { getToken } = useAuth()
+  const [options, setOptions] = useState({ issuesOnly: true, stripe: true })
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const token = await getToken()
+      const params = new URLSearchParams({ issuesOnly: String(options.issuesOnly), stripe: String(options.stripe) })
+      const response = await fetch(`/api/admin/financial/reconciliation?${params}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`)
+      setReport(data.data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [getToken, options])
+
+  useEffect(() => {
+    loadReport()
+  }, [loadReport])
+
+  const summary = report?.summary || {}
+
+  return (
+    <AdminLayout title="Reconciliation">
+      <div className="space-y-6">
+        <div className="bg-white shadow rounded-lg p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Ledger Reconciliation</h1>
+              <p className="text-gray-600 mt-1">
+                Checks each build's payment flags against its ledger and, when enabled, against the PaymentIntents and refunds in Stripe.
+              </p>
+            </div>
+            <button
+              onClick={loadReport}
+              disabled={loading}
+              className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              <ArrowPathIcon className="h-4 w-4 mr-2" />
+              Run again
+            </button>
+          </div>
+          <div className="mt-4 flex flex-wrap gap-6 text-sm text-gray-700">
+            <label className="inline-flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={options.issuesOnly}
+                onChange={e => setOptions(o => ({ ...o, issuesOnly: e.target.checked }))}
+              />
+              Only builds with issues
+            </label>
+            <label className="inline-flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={options.stripe}
+                onChange={e => setOptions(o => ({ ...o, stripe: e.target.checked }))}
+              />
+              Compare with Stripe
+            </label>
+          </div>
+          {report && (
+            <div className="mt-4 flex flex-wrap gap-2 text-sm">
+              <span className="px-2 py-1 rounded-full bg-gray-100 text-gray-700">Builds checked: {summary.checked}</span>
+              <span className="px-2 py-1 rounded-full bg-yellow-100 text-yellow-800">With issues: {summary.withIssues}</span>
+              <span className="px-2 py-1 rounded-full bg-red-100 text-red-700">Issues: {summary.issues}</span>
+              {!summary.stripeChecked && <span className="px-2 py-1 rounded-full bg-gray-100 text-gray-500">Stripe not checked</span>}
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center text-red-700">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : !report?.builds?.length ? (
+            <p className="p-6 text-center text-gray-500">No mismatches found.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Build</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500">Charged</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500">Paid</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500">Balance due</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Issues</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {report.builds.map(b => (
+                  <tr key={b.buildId} className="align-top">
+                    <td className="px-4 py-2">
+                      <div className="text-gray-900">{b.modelName || '—'}</div>
+                      <div className="text-xs text-gray-500">{b.buyer || 'No buyer'} · {b.buildId}</div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{b.status}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{money(b.balance.charges + b.balance.fees + b.balance.adjustments)}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{money(b.balance.paid)}</td>
+                    <td className="px-4 py-2 text-right text-gray-900">{money(b.balance.balanceDue)}</td>
+                    <td className="px-4 py-2">
+                      {b.issues.length === 0 ? (
+                        <span className="text-green-700">OK</span>
+                      ) : (
+                        <ul className="space-y-1">
+                          {b.issues.map((issue, i) => (
+                            <li key={i} className="text-red-700">
+                              <span className="font-mono text-xs">{issue.code}</span> {issue.message}
+                              {issue.externalId && <span className="text-xs text-gray-500"> ({issue.externalId})</span>}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </AdminLayout>
+  )
+}
+
+export default AdminReconciliation
@@ -0,0 +1,310 @@
+// Admin Sales Tax Page
+// Jurisdiction rate table, option taxability and the tax exemption certificate review queue
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { PlusIcon, PencilSquareIcon, TrashIcon, ExclamationTriangleIcon, DocumentTextIcon } from '@heroicons/react/24/outline'
+import AdminLayout from '../../components/AdminLayout'
+
+const LINE_LABELS = { base: 'Home', options: 'Options', delivery: 'Delivery', title: 'Title', setup: 'Setup' }
+
+const emptyRate = () => ({
+  state: '', county: '', label: '', rate: '', taxableBasePercent: '100',
+  taxable: { base: true, options: true, delivery: true, title: true, setup: true },
+  notes: '', active: true
+})
+
+const toForm = (r) => ({
+  existing: true,
+  state: r.state,
+  county: r.county || '',
+  label: r.label || '',
+  rate: String(r.rate),
+  taxableBasePercent: String(r.taxableBasePercent ?? 100),
+  taxable: { ...r.taxable },
+  notes: r.notes || '',
+  active: r.active
+})
+
+const AdminTax = () => {
+  const { getToken } = useAuth()
+  const [rates, setRates] = useState([])
+  const [exemptions, setExemptions] = useState([])
+  const [options, setOptions] = useState([])
+  const [status, setStatus] = useState('pending')
+  const [form, setForm] = useState(null)
+  const [notes, setNotes] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = await getToken()
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.message || data.error || `Request failed (${response.status})`)
+    return data
+  }, [getToken])
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const [rateRes, exemptionRes, optionRes] = await Promise.all([
+        request('/api/admin/tax/rates'),
+        request(`/api/admin/tax/exemptions${status ? `?status=${status}` : ''}`),
+        request('/api/admin/catalog/options')
+      ])
+      setRates(rateRes.data.rates)
+      setExemptions(exemptionRes.data)
+      setOptions(optionRes.data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [request, status])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const run = async (fn) => {
+    try {
+      setError('')
+      await fn()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const saveRate = (e) => {
+    e.preventDefault()
+    run(async () => {
+      await request('/api/admin/tax/rates', { method: 'POST', body: JSON.stringify({ ...form, existing: undefined }) })
+      setForm(null)
+      await load()
+    })
+  }
+
+  const deleteRate = (rate) => {
+    if (!window.confirm(`Delete the ${rate.label} rate? Builds already priced keep their tax until the address changes.`)) return
+    run(async () => {
+      await request(`/api/admin/tax/rates/${encodeURIComponent(rate.id)}`, { method: 'DELETE' })
+      await load()
+    })
+  }
+
+  const setOptionTaxable = (option, taxable) => run(async () => {
+    const { data } = await request(`/api/admin/catalog/options/${encodeURIComponent(option.id)}`, { method: 'PATCH', body: JSON.stringify({ taxable }) })
+    setOptions(list => list.map(o => (o.id === option.id ? data.option : o)))
+  })
+
+  const review = (build, decision) => run(async () => {
+    await request(`/api/builds/${build._id}/tax-exemption/review`, { method: 'POST', body: JSON.stringify({ decision, note: notes[build._id] }) })
+    await load()
+  })
+
+  const openCertificate = (build) => run(async () => {
+    const token = await getToken()
+    const response = await fetch(`/api/builds/${build._id}/tax-exemption/certificate`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
+    if (!response.ok) throw new Error('Certificate could not be loaded')
+    window.open(URL.createObjectURL(await response.blob()), '_blank')
+  })
+
+  const input = 'mt-1 w-full border border-gray-300 rounded-md px-3 py-2 text-sm'
+  const set = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }))
+
+  return (
+    <AdminLayout title="Sales Tax">
+      <div className="space-y-6">
+        <div className="bg-white shadow rounded-lg p-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Sales Tax</h1>
+            <p className="text-gray-600 mt-1">
+              Builds are taxed by their delivery county, then state. Anywhere without a row uses the rate in Settings.
+            </p>
+          </div>
+          <button
+            onClick={() => setForm(emptyRate())}
+            className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            New rate
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center text-red-700">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={saveRate} className="bg-white shadow rounded-lg p-6 space-y-4 text-sm">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <label className="block text-gray-700">State
+                <input className={input} value={form.state} onChange={e => setForm(f => ({ ...f, state: e.target.value.toUpperCase().slice(0, 2) }))} disabled={form.existing} required />
+              </label>
+              <label className="block text-gray-700">County (blank = whole state)
+                <input className={input} value={form.county} onChange={set('county')} disabled={form.existing} />
+              </label>
+              <label className="block text-gray-700">Label
+                <input className={input} value={form.label} onChange={set('label')} placeholder="Travis County, TX" />
+              </label>
+              <label className="block text-gray-700">Combined rate (%)
+                <input className={input} type="number" min="0" max="20" step="0.001" value={form.rate} onChange={set('rate')} required />
+              </label>
+              <label className="block text-gray-700">Taxable share of the price (%)
+                <input className={input} type="number" min="0" max="100" step="0.01" value={form.taxableBasePercent} onChange={set('taxableBasePercent')} />
+              </label>
+              <label className="block text-gray-700">Notes
+                <input className={input} value={form.notes} onChange={set('notes')} placeholder="e.g. manufactured housing rule" />
+              </label>
+            </div>
+            <div className="flex flex-wrap gap-4 text-gray-700">
+              <span className="font-medium">Taxed lines:</span>
+              {Object.entries(LINE_LABELS).map(([line, label]) => (
+                <label key={line} className="inline-flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={!!form.taxable[line]}
+                    onChange={e => setForm(f => ({ ...f, taxable: { ...f.taxable, [line]: e.target.checked } }))}
+                  />
+                  {label}
+                </label>
+              ))}
+              <label className="inline-flex items-center gap-2 ml-auto">
+                <input type="checkbox" checked={form.active} onChange={set('active')} />
+                Active
+              </label>
+            </div>
+            <div className="flex gap-3">
+              <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Save rate</button>
+              <button type="button" onClick={() => setForm(null)} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">Cancel</button>
+            </div>
+          </form>
+        )}
+
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : rates.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No jurisdiction rates yet; every build uses the Settings rate.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Jurisdiction</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Rate</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Taxable share</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Taxed lines</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rates.map(r => (
+                  <tr key={r.id} className="align-top">
+                    <td className="px-4 py-2">
+                      <div className="text-gray-900">{r.label} {!r.active && <span className="text-xs text-gray-400">(inactive)</span>}</div>
+                      <div className="text-xs text-gray-500">{r.notes}</div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{r.rate}%</td>
+                    <td className="px-4 py-2 text-gray-700">{r.taxableBasePercent}%</td>
+                    <td className="px-4 py-2 text-gray-700">
+                      {Object.entries(LINE_LABELS).filter(([line]) => r.taxable?.[line]).map(([, label]) => label).join(', ') || 'None'}
+                    </td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                      <button onClick={() => setForm(toForm(r))} className="text-blue-600 hover:text-blue-800 mr-3" title="Edit">
+                        <PencilSquareIcon className="h-5 w-5" />
+                      </button>
+                      <button onClick={() => deleteRate(r)} className="text-red-600 hover:text-red-800" title="Delete">
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6 space-y-4 text-sm">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Option taxability</h2>
+            <p className="text-gray-600 mt-1">
+              Unchecked options are left out of the taxable amount wherever options are taxed. Each change publishes a new catalog version; existing quotes keep theirs.
+            </p>
+          </div>
+          {options.length === 0 ? (
+            <p className="text-gray-500">No options in the catalog.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+              {options.map(o => (
+                <label key={o.id} className="inline-flex items-center gap-2 text-gray-700">
+                  <input type="checkbox" checked={o.taxable !== false} onChange={e => setOptionTaxable(o, e.target.checked)} />
+                  <span>{o.name}</span>
+                  <span className="text-xs text-gray-400">{o.group}</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6 space-y-4 text-sm">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">Exemption certificates</h2>
+            <select className="border border-gray-300 rounded-md px-3 py-2" value={status} onChange={e => setStatus(e.target.value)}>
+              <option value="pending">Pending review</option>
+              <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
+              <option value="">All</option>
+            </select>
+          </div>
+          {exemptions.length === 0 ? (
+            <p className="text-gray-500">No certificates to show.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {exemptions.map(b => (
+                <li key={b._id} className="py-3 flex flex-wrap items-center gap-3">
+                  <div className="flex-1 min-w-[16rem]">
+                    <div className="text-gray-900">
+                      {[b.buyerInfo?.firstName, b.buyerInfo?.lastName].filter(Boolean).join(' ') || 'Buyer'} · {b.modelName || '—'}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      #{b.taxExemption.certificateNumber} ({b.taxExemption.issuingState}) · {b.taxExemption.reason} · {b.taxExemption.status}
+                      {b.taxExemption.submittedAt && ` · submitted ${new Date(b.taxExemption.submittedAt).toLocaleDateString()}`}
+                    </div>
+                  </div>
+                  <button onClick={() => openCertificate(b)} className="inline-flex items-center text-blue-600 hover:text-blue-800">
+                    <DocumentTextIcon className="h-4 w-4 mr-1" />
+                    Certificate
+                  </button>
+                  {b.taxExemption.status === 'pending' && (
+                    <>
+                      <input
+                        className="border border-gray-300 rounded-md px-2 py-1"
+                        placeholder="Note (required to reject)"
+                        value={notes[b._id] || ''}
+                        onChange={e => setNotes(n => ({ ...n, [b._id]: e.target.value }))}
+                      />
+                      <button onClick={() => review(b, 'approved')} className="px-3 py-1 rounded bg-green-600 text-white hover:bg-green-700">Approve</button>
+                      <button onClick={() => review(b, 'rejected')} className="px-3 py-1 rounded border border-red-300 text-red-700 hover:bg-red-50">Reject</button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </AdminLayout>
+  )
+}
+
+export default AdminTax
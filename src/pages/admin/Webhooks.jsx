@@ -0,0 +1,270 @@
+// Admin Webhook Events Page
+// Inspect stored Stripe, DocuSeal and Clerk webhook deliveries and replay them
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import { ArrowPathIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import AdminLayout from '../../components/AdminLayout'
+
+const PROVIDERS = ['stripe', 'docuseal', 'docuseal_orders', 'esign', 'local_signer', 'clerk']
+const STATUSES = ['received', 'processing', 'processed', 'failed', 'dead_letter']
+
+const STATUS_STYLES = {
+  received: 'bg-gray-100 text-gray-700',
+  processing: 'bg-blue-100 text-blue-700',
+  processed: 'bg-green-100 text-green-700',
+  failed: 'bg-yellow-100 text-yellow-800',
+  dead_letter: 'bg-red-100 text-red-700',
+}
+
+const formatDate = (d) => (d ? new Date(d).toLocaleString() : '—')
+
+const AdminWebhooks = () => {
+  const { getToken } = useAuth()
+  const [filters, setFilters] = useState({ provider: '', status: '', q: '' })
+  const [events, setEvents] = useState([])
+  const [counts, setCounts] = useState({})
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [selected, setSelected] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = await getToken()
+    const response = await fetch(url, { ...options, headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...options.headers } })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`)
+    return data.data
+  }, [getToken])
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v))
+      const data = await request(`/api/admin/webhooks?${params}`)
+      setEvents(data.events || [])
+      setCounts(data.counts || {})
+      setTotal(data.total || 0)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [filters, request])
+
+  useEffect(() => {
+    loadEvents()
+  }, [loadEvents])
+
+  const openEvent = async (id) => {
+    try {
+      setSelected(await request(`/api/admin/webhooks/${id}`))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const replay = async (id) => {
+    if (!window.confirm('Process this event again? Its handler will run with the stored payload.')) return
+    try {
+      setBusy(true)
+      setSelected(await request(`/api/admin/webhooks/${id}/replay`, { method: 'POST' }))
+      await loadEvents()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const retryDue = async () => {
+    try {
+      setBusy(true)
+      await request('/api/admin/webhooks/retry-due', { method: 'POST' })
+      await loadEvents()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <AdminLayout title="Webhook Events">
+      <div className="space-y-6">
+        <div className="bg-white shadow rounded-lg p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Webhook Events</h1>
+              <p className="text-gray-600 mt-1">
+                Every inbound webhook is stored here. Failed events are retried with backoff and end up as dead letters after repeated failures.
+              </p>
+            </div>
+            <button
+              onClick={retryDue}
+              disabled={busy}
+              className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              <ArrowPathIcon className="h-4 w-4 mr-2" />
+              Retry due now
+            </button>
+          </div>
+          <div className="mt-4 flex flex-wrap gap-2 text-sm">
+            {STATUSES.map(s => (
+              <span key={s} className={`px-2 py-1 rounded-full ${STATUS_STYLES[s]}`}>
+                {s.replace('_', ' ')}: {counts[s] || 0}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-4 flex flex-wrap gap-3 items-end">
+          <label className="text-sm text-gray-700">
+            Provider
+            <select
+              value={filters.provider}
+              onChange={e => setFilters(f => ({ ...f, provider: e.target.value }))}
+              className="block mt-1 border border-gray-300 rounded-md px-2 py-1"
+            >
+              <option value="">All</option>
+              {PROVIDERS.map(p => <option key={p} value={p}>{p}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Status
+            <select
+              value={filters.status}
+              onChange={e => setFilters(f => ({ ...f, status: e.target.value }))}
+              className="block mt-1 border border-gray-300 rounded-md px-2 py-1"
+            >
+              <option value="">All</option>
+              {STATUSES.map(s => <option key={s} value={s}>{s.replace('_', ' ')}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700 flex-1 min-w-[200px]">
+            Event id
+            <input
+              value={filters.q}
+              onChange={e => setFilters(f => ({ ...f, q: e.target.value.trim() }))}
+              placeholder="evt_… or sha256:…"
+              className="block w-full mt-1 border border-gray-300 rounded-md px-2 py-1"
+            />
+          </label>
+          <span className="text-sm text-gray-500">{total} event{total === 1 ? '' : 's'}</span>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center text-red-700">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : events.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No webhook events match these filters.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Received</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Provider</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Type</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Attempts</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Deliveries</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Last error</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {events.map(ev => (
+                  <tr key={ev._id} onClick={() => openEvent(ev._id)} className="hover:bg-gray-50 cursor-pointer">
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-700">{formatDate(ev.receivedAt)}</td>
+                    <td className="px-4 py-2 text-gray-900">{ev.provider}</td>
+                    <td className="px-4 py-2 text-gray-700">{ev.type || '—'}</td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[ev.status] || ''}`}>{ev.status.replace('_', ' ')}</span>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{ev.attempts}</td>
+                    <td className="px-4 py-2 text-gray-700">{ev.deliveries}</td>
+                    <td className="px-4 py-2 text-red-600 truncate max-w-xs">{ev.lastError?.message || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {selected && (
+          <div className="bg-white shadow rounded-lg p-6 space-y-4">
+            <div className="flex items-start justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">{selected.provider} · {selected.type || 'event'}</h2>
+                <p className="text-xs text-gray-500 break-all">{selected.eventId}</p>
+                <p className="text-sm text-gray-600 mt-1">
+                  Received {formatDate(selected.receivedAt)} · processed {formatDate(selected.processedAt)}
+                  {selected.nextAttemptAt ? ` · next retry ${formatDate(selected.nextAttemptAt)}` : ''}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => replay(selected._id)}
+                  disabled={busy || selected.status === 'processing'}
+                  className="inline-flex items-center px-3 py-2 rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 text-sm"
+                >
+                  <ArrowPathIcon className="h-4 w-4 mr-1" />
+                  Replay
+                </button>
+                <button onClick={() => setSelected(null)} className="px-3 py-2 rounded-md border border-gray-300 text-sm text-gray-700">
+                  Close
+                </button>
+              </div>
+            </div>
+
+            {selected.result && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700">Result</h3>
+                <pre className="bg-gray-50 rounded p-3 text-xs overflow-x-auto">{JSON.stringify(selected.result, null, 2)}</pre>
+              </div>
+            )}
+
+            {selected.errors?.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700">Errors</h3>
+                <ul className="text-xs text-red-700 space-y-1">
+                  {selected.errors.map((e, i) => (
+                    <li key={i}>Attempt {e.attempt} · {formatDate(e.at)} · {e.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {selected.replays?.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700">Replays</h3>
+                <ul className="text-xs text-gray-600 space-y-1">
+                  {selected.replays.map((r, i) => (
+                    <li key={i}>{formatDate(r.at)} by {r.userId || 'unknown'} (was {r.previousStatus})</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-700">Payload</h3>
+              <pre className="bg-gray-50 rounded p-3 text-xs overflow-x-auto max-h-96">{JSON.stringify(selected.payload, null, 2)}</pre>
+            </div>
+          </div>
+        )}
+      </div>
+    </AdminLayout>
+  )
+}
+
+export default AdminWebhooks
@@ -8,6 +8,7 @@ import BankTransferInstructions from '../../components/BankTransferInstructions'
 import CreditCardPayment from '../../components/CreditCardPayment'
 import { useToast } from '../../components/ToastProvider'
 import { calculateTotalPurchasePrice } from '../../utils/calculateTotal'
+import { MAX_COMPARE_BUILDS } from '../../utils/buildCompare'
 import { 
   ChevronDownIcon, 
   XMarkIcon,
@@ -56,6 +57,7 @@ export default function BuildsDashboard() {
   const [bankTransferModal, setBankTransferModal] = useState({ isOpen: false, build: null, milestone: null })
   const [creditCardModal, setCreditCardModal] = useState({ isOpen: false, build: null, milestone: null })
   const [sortBy, setSortBy] = useState('newest')
+  const [compareIds, setCompareIds] = useState([])
   const [showInfoBanner, setShowInfoBanner] = useState(() => {
     // Check sessionStorage to see if banner was dismissed this session
     return sessionStorage.getItem('myHomeTipDismissed') !== 'true'
@@ -123,7 +125,7 @@ export default function BuildsDashboard() {
           color: 'red',
           actionRequired: true
         }
-      } else if (!finalPaid && build.status === 'factory_complete') {
+      } else if (!finalPaid && ['FACTORY_COMPLETE', 'IN_TRANSIT', 'factory_complete'].includes(build.status)) {
         return {
           phase: 'post_contract',
           status: 'final_due',
@@ -171,6 +173,40 @@ export default function BuildsDashboard() {
     }
   }
 
+  const toggleCompare = (buildId) => {
+    setCompareIds(ids => {
+      if (ids.includes(buildId)) return ids.filter(id => id !== buildId)
+      if (ids.length >= MAX_COMPARE_BUILDS) {
+        addToast({ type: 'warning', title: 'Compare', message: `You can compare up to ${MAX_COMPARE_BUILDS} designs at a time.` })
+        return ids
+      }
+      return [...ids, buildId]
+    })
+  }
+
+  // Create a read-only quote link (no sign-in needed) and copy it
+  const shareBuild = async (build) => {
+    try {
+      const token = await getToken()
+      const res = await fetch(`/api/builds/${build._id}/share`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify({})
+      })
+      const json = await res.json()
+      if (!res.ok) throw new Error(json?.message || 'Unable to create share link')
+      await navigator.clipboard?.writeText(json.url).catch(() => {})
+      addToast({
+        type: 'success',
+        title: 'Share Link Copied',
+        message: `Anyone with the link can view this quote until ${new Date(json.expiresAt).toLocaleDateString()}.`,
+        duration: 6000
+      })
+    } catch (error) {
+      addToast({ type: 'error', title: 'Share Failed', message: error.message })
+    }
+  }
+
   const openPaymentModal = (build, milestone) => {
     if (build.payment?.method === 'bank_transfer') {
       setBankTransferModal({ isOpen: true, build, milestone })
@@ -399,8 +435,18 @@ export default function BuildsDashboard() {
         {/* Sort & Filter Controls */}
         {!loading && builds.length > 0 && (
           <div className="flex justify-between items-center mb-6">
-            <div className="text-sm text-gray-400">
+            <div className="flex items-center gap-3 text-sm text-gray-400">
               {builds.length} saved design{builds.length !== 1 ? 's' : ''}
+              {builds.length > 1 && (
+                <button
+                  className="px-3 py-1 text-sm rounded border border-yellow-600 text-yellow-400 hover:bg-yellow-900/30 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                  disabled={compareIds.length < 2}
+                  onClick={() => navigate(`/builds/compare?ids=${compareIds.join(',')}`)}
+                  title="Select two or three designs to compare"
+                >
+                  Compare{compareIds.length ? ` (${compareIds.length})` : ''}
+                </button>
+              )}
             </div>
             <div className="relative">
               <select
@@ -599,6 +645,26 @@ export default function BuildsDashboard() {
                     Set Primary
                   </button>
                   
+                  <button 
+                    className="px-3 py-2 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700 transition-colors"
+                    onClick={() => shareBuild(build)}
+                    title="Copy a read-only quote link for a spouse or lender"
+                    aria-label={`Share ${build.modelName || build.modelSlug} quote`}
+                  >
+                    Share
+                  </button>
+
+                  <label className="px-3 py-2 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700 transition-colors flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      className="accent-yellow-500"
+                      checked={compareIds.includes(build._id)}
+                      onChange={() => toggleCompare(build._id)}
+                      aria-label={`Compare ${build.modelName || build.modelSlug} design`}
+                    />
+                    Compare
+                  </label>
+                  
                   <button 
                     className="px-3 py-2 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700 transition-colors"
                     onClick={() => setRenameModal({ isOpen: true, build })}
@@ -617,6 +683,7 @@ export default function BuildsDashboard() {
                         headers: token ? { Authorization: `Bearer ${token}` } : {} 
                       }); 
                       setBuilds(list => list.filter(x => x._id !== build._id)); 
+                      setCompareIds(ids => ids.filter(id => id !== build._id));
                       
                       // Check if we're currently on this build's pages and redirect
                       const currentPath = window.location.pathname;
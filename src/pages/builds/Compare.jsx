@@ -0,0 +1,145 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { useAuth } from '@clerk/clerk-react'
+import { Helmet } from 'react-helmet-async'
+import { formatCurrency, formatMiles } from '../../utils/formatCurrency'
+import { compareBuilds, MAX_COMPARE_BUILDS } from '../../utils/buildCompare'
+
+const financingTerms = {
+  apr: parseFloat(import.meta.env.VITE_FINANCING_APR || '0.075'),
+  years: parseFloat(import.meta.env.VITE_FINANCING_YEARS || '10'),
+}
+
+export default function CompareBuilds() {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const { getToken } = useAuth()
+  const [builds, setBuilds] = useState([])
+  const [settings, setSettings] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const idsParam = searchParams.get('ids') || ''
+
+  useEffect(() => {
+    let cancelled = false
+    const ids = idsParam.split(',').filter(Boolean).slice(0, MAX_COMPARE_BUILDS)
+    ;(async () => {
+      try {
+        const token = await getToken()
+        const headers = token ? { Authorization: `Bearer ${token}` } : {}
+        const [buildsRes, settingsRes] = await Promise.all([
+          fetch('/api/builds', { headers, cache: 'no-cache' }),
+          fetch('/api/settings'),
+        ])
+        const all = buildsRes.ok ? await buildsRes.json() : []
+        if (cancelled) return
+        setBuilds(ids.map(id => all.find(b => b._id === id)).filter(Boolean))
+        if (settingsRes.ok) setSettings(await settingsRes.json())
+      } catch (error) {
+        console.error('[CompareBuilds] Failed to load builds:', error)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    })()
+    return () => { cancelled = true }
+  }, [idsParam, getToken])
+
+  const comparison = useMemo(() => compareBuilds(builds, settings || {}, financingTerms), [builds, settings])
+
+  if (loading) {
+    return (
+      <div className="max-w-3xl mx-auto card text-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-yellow-500 mx-auto mb-3"></div>
+        <p className="text-gray-400 text-sm">Loading builds...</p>
+      </div>
+    )
+  }
+
+  if (builds.length < 2) {
+    return (
+      <div className="max-w-3xl mx-auto card text-center">
+        <h1 className="section-header">Compare Builds</h1>
+        <p className="text-gray-300 mb-6">Select two or three saved designs on My Home to compare them side by side.</p>
+        <button className="btn-primary" onClick={() => navigate('/builds')}>Back to My Home</button>
+      </div>
+    )
+  }
+
+  const { columns, options, totals } = comparison
+  const cell = (key, amount, differs) => (
+    <td key={key} className={`px-3 py-2 text-right ${differs ? 'text-yellow-300' : 'text-gray-300'}`}>
+      {amount == null ? <span className="text-gray-600">—</span> : formatCurrency(amount)}
+    </td>
+  )
+
+  return (
+    <>
+      <Helmet>
+        <title>Compare Builds | Firefly Tiny Homes</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-yellow-500">Compare Builds</h1>
+          <button
+            className="px-3 py-2 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700 transition-colors"
+            onClick={() => navigate('/builds')}
+          >
+            Back to My Home
+          </button>
+        </div>
+
+        <div className="overflow-x-auto bg-gray-800/50 rounded-xl border border-gray-700">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-700">
+                <th className="px-3 py-3 text-left text-gray-400 font-medium"></th>
+                {columns.map(c => (
+                  <th key={c.buildId} className="px-3 py-3 text-right">
+                    <div className="font-semibold text-white">{c.modelName}</div>
+                    <button className="text-xs text-yellow-400 hover:text-yellow-300" onClick={() => navigate(`/checkout/${c.buildId}/review`)}>
+                      View
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b border-gray-800">
+                <td className="px-3 py-2 text-gray-400">Delivery</td>
+                {columns.map(c => (
+                  <td key={c.buildId} className="px-3 py-2 text-right text-gray-300">
+                    {c.deliveryMiles ? formatMiles(c.deliveryMiles) : 'Address needed'}
+                    {c.deliveryZone && <div className="text-xs text-gray-500">{c.deliveryZone}</div>}
+                  </td>
+                ))}
+              </tr>
+
+              <tr><td colSpan={columns.length + 1} className="px-3 pt-4 pb-1 text-xs uppercase tracking-wide text-gray-500">Options</td></tr>
+              {options.length === 0 && (
+                <tr><td colSpan={columns.length + 1} className="px-3 py-2 text-gray-500">No options selected</td></tr>
+              )}
+              {options.map(row => (
+                <tr key={row.key} className="border-b border-gray-800">
+                  <td className={`px-3 py-2 ${row.differs ? 'text-white' : 'text-gray-400'}`}>{row.name}</td>
+                  {row.amounts.map((amount, i) => cell(columns[i].buildId, amount, row.differs))}
+                </tr>
+              ))}
+
+              <tr><td colSpan={columns.length + 1} className="px-3 pt-4 pb-1 text-xs uppercase tracking-wide text-gray-500">Totals</td></tr>
+              {totals.map(row => (
+                <tr key={row.key} className={`border-b border-gray-800 ${row.key === 'total' ? 'font-semibold' : ''}`}>
+                  <td className="px-3 py-2 text-gray-300">{row.label}</td>
+                  {row.amounts.map((amount, i) => cell(columns[i].buildId, amount, row.differs))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          Highlighted rows differ between builds. Monthly payments are estimates at {(financingTerms.apr * 100).toFixed(1)}% APR over {financingTerms.years} years unless a financing estimate is saved on the build.
+        </p>
+      </div>
+    </>
+  )
+}
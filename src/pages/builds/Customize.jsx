@@ -8,6 +8,9 @@ import Breadcrumbs from '../../components/Breadcrumbs'
 import { useToast } from '../../components/ToastProvider'
 import { trackEvent } from '../../utils/analytics'
 import ConfirmLeaveModal from '../../components/ConfirmLeaveModal'
+import QuoteStatus from '../../components/QuoteStatus'
+import { MODELS } from '../../data/models'
+import { slugToModelId } from '../../utils/modelUrlMapping'
 
 export default function BuildCustomize() {
   const { buildId } = useParams()
@@ -76,6 +79,7 @@ export default function BuildCustomize() {
   }, [buildId, getToken, addToast])
 
   const price = useMemo(() => build?.pricing?.total || 0, [build])
+  const model = useMemo(() => MODELS.find(m => m.id === (slugToModelId(build?.modelSlug) || build?.modelSlug)) || null, [build?.modelSlug])
 
   async function savePatch(patch) {
     setSaving(true)
@@ -86,7 +90,9 @@ export default function BuildCustomize() {
         headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
         body: JSON.stringify(patch),
       })
-      if (!resp.ok) addToast({ type: 'error', message: 'Save failed' }); else { addToast({ type: 'success', message: 'Saved' }); trackEvent('build_saved', { buildId }) }
+      const result = await resp.json().catch(() => ({}))
+      if (!resp.ok) addToast({ type: 'error', message: result?.error === 'option_conflict' ? result.message : 'Save failed' }); else { addToast({ type: 'success', message: 'Saved' }); trackEvent('build_saved', { buildId }) }
+      for (const notice of result?.optionNotices || []) addToast({ type: 'info', message: notice.message })
       const res = await fetch(`/api/builds/${buildId}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
       if (res.ok) setBuild(await res.json())
     } catch (e) {
@@ -146,17 +152,19 @@ export default function BuildCustomize() {
       <div className="flex items-start justify-between gap-4">
         <div className="card flex-1">
           <h1 className="section-header">Customize: {build.modelName || build.modelSlug}</h1>
+          <QuoteStatus build={build} getToken={getToken} onRepriced={(next) => { setBuild(next); addToast({ type: 'success', message: 'Prices updated' }) }} />
           <OptionsPicker
             optionsCatalog={(build?.optionCatalog)||[]}
             value={(build?.selections?.options)||[]}
             onChange={onOptionsChange}
+            model={model}
           />
           <div className="mt-3">
             <button className="btn-primary" onClick={async ()=>{
               try {
                 const token = await getToken()
                 const res = await fetch(`/api/builds/${buildId}/checkout-step`, { method: 'POST', headers: { 'Content-Type':'application/json', ...(token?{ Authorization:`Bearer ${token}` }: {}) }, body: JSON.stringify({ step: 2 }) })
-                if (!res.ok) { const j = await res.json().catch(()=>({})); addToast({ type:'error', message: j?.error || 'Complete your customization before continuing.' }); return }
+                if (!res.ok) { const j = await res.json().catch(()=>({})); addToast({ type:'error', message: j?.message || j?.error || 'Complete your customization before continuing.' }); return }
                 navigate(`/checkout/${buildId}/payment`)
               } catch { addToast({ type:'error', message:'Unable to continue' }) }
             }}>Continue to Checkout</button>
@@ -196,7 +204,7 @@ export default function BuildCustomize() {
             try {
               const token = await getToken()
               const res = await fetch(`/api/builds/${buildId}/checkout-step`, { method: 'POST', headers: { 'Content-Type':'application/json', ...(token?{ Authorization:`Bearer ${token}` }: {}) }, body: JSON.stringify({ step: 2 }) })
-              if (!res.ok) { const j = await res.json().catch(()=>({})); addToast({ type:'error', message: j?.error || 'Complete your customization before continuing.' }); return }
+              if (!res.ok) { const j = await res.json().catch(()=>({})); addToast({ type:'error', message: j?.message || j?.error || 'Complete your customization before continuing.' }); return }
               navigate(`/checkout/${buildId}/payment`)
             } catch { addToast({ type:'error', message:'Unable to continue' }) }
           }}>Continue</button>
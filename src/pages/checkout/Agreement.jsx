@@ -179,7 +179,7 @@ export default function Agreement() {
           'Content-Type': 'application/json',
           ...(token ? { Authorization: `Bearer ${token}` } : {})
         },
-        body: JSON.stringify({ buildId, coBuyerEnabled: false })
+        body: JSON.stringify({ buildId })
       })
       
       console.log('[AGREEMENT_DEBUG] Create response:', {
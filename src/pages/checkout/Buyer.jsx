@@ -21,7 +21,10 @@ export default function Buyer() {
   const { getAutoFillData, updateBasicInfo, addAddress, setPrimaryAddress } = useUserProfile()
   const [form, setForm] = useState({
     firstName: '', lastName: '', email: '', phone: '',
-    address: '', city: '', state: '', zip: ''
+    address: '', city: '', state: '', zip: '',
+    // Co-buyer signs the contract too, after the buyer or alongside them
+    coBuyer: null,
+    signingOrder: 'sequential'
   })
   const [errors, setErrors] = useState({})
   const [dirty, setDirty] = useState(false)
@@ -155,6 +158,29 @@ export default function Buyer() {
     loadInitialData()
   }, [user, isSignedIn, autoFillLoaded, getAutoFillData, buildLoaded, build])
 
+  // Co-buyer details live on the build, not the buyer's profile
+  useEffect(() => {
+    if (!buildLoaded || !build?.buyerInfo?.coBuyer) return
+    setForm(f => f.coBuyer ? f : {
+      ...f,
+      coBuyer: { firstName: '', lastName: '', email: '', phone: '', ...build.buyerInfo.coBuyer },
+      signingOrder: build.buyerInfo.signingOrder || 'sequential'
+    })
+  }, [buildLoaded, build])
+
+  function setCoBuyerField(k, v) {
+    setForm(f => ({
+      ...f,
+      coBuyer: { ...(f.coBuyer || {}), [k]: k === 'phone' && v ? formatPhoneIfNeeded(v) : v }
+    }))
+    setDirty(true)
+  }
+
+  function toggleCoBuyer(enabled) {
+    setForm(f => ({ ...f, coBuyer: enabled ? { firstName: '', lastName: '', email: '', phone: '' } : null }))
+    setDirty(true)
+  }
+
   function setField(k, v) { 
     setForm(f => {
       let fieldValue = v
@@ -204,6 +230,12 @@ export default function Buyer() {
     if (!form.lastName) e.lastName = 'Required'
     if (!form.email) e.email = 'Required'
     if (!form.address) e.address = 'Required'
+    if (form.coBuyer) {
+      if (!form.coBuyer.firstName) e.coBuyerFirstName = 'Required'
+      if (!form.coBuyer.lastName) e.coBuyerLastName = 'Required'
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.coBuyer.email || '')) e.coBuyerEmail = 'A valid email is required'
+      else if (form.coBuyer.email.trim().toLowerCase() === form.email.trim().toLowerCase()) e.coBuyerEmail = 'The co-buyer needs their own email'
+    }
     setErrors(e)
     return Object.keys(e).length === 0
   }
@@ -277,7 +309,7 @@ export default function Buyer() {
       
       if (!res.ok) { 
         const errorData = await res.json().catch(() => ({}))
-        addToast({ type: 'error', message: errorData.error || 'Please complete required fields' }); 
+        addToast({ type: 'error', message: errorData.message || errorData.error || 'Please complete required fields' }); 
         return 
       }
       
@@ -409,6 +441,35 @@ export default function Buyer() {
           <input className="input-field" placeholder="State" value={form.state} onChange={e=>setField('state', e.target.value)} />
           <input className="input-field" placeholder="ZIP" value={form.zip} onChange={e=>setField('zip', e.target.value)} />
         </div>
+        <div className="card mt-6">
+          <label className="flex items-center gap-2 text-gray-100 font-medium">
+            <input type="checkbox" checked={!!form.coBuyer} onChange={e=>toggleCoBuyer(e.target.checked)} />
+            Add a co-buyer
+          </label>
+          <p className="text-sm text-gray-400 mt-1">A co-buyer is also named on the purchase agreement and signs it with their own link, which we email to them.</p>
+          {form.coBuyer && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                <input className={`input-field ${errors.coBuyerFirstName?'border-red-600':''}`} placeholder="Co-buyer first name" value={form.coBuyer.firstName || ''} onChange={e=>setCoBuyerField('firstName', e.target.value)} />
+                <input className={`input-field ${errors.coBuyerLastName?'border-red-600':''}`} placeholder="Co-buyer last name" value={form.coBuyer.lastName || ''} onChange={e=>setCoBuyerField('lastName', e.target.value)} />
+                <input className={`input-field md:col-span-2 ${errors.coBuyerEmail?'border-red-600':''}`} placeholder="Co-buyer email" value={form.coBuyer.email || ''} onChange={e=>setCoBuyerField('email', e.target.value)} />
+                {errors.coBuyerEmail && <p className="text-sm text-red-400 md:col-span-2 -mt-2">{errors.coBuyerEmail}</p>}
+                <input className="input-field md:col-span-2" placeholder="Co-buyer phone" value={form.coBuyer.phone || ''} onChange={e=>setCoBuyerField('phone', e.target.value)} />
+              </div>
+              <div className="mt-4 space-y-2 text-sm text-gray-300">
+                <div className="font-medium text-gray-100">Signing order</div>
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="signingOrder" checked={form.signingOrder !== 'parallel'} onChange={()=>setField('signingOrder', 'sequential')} />
+                  You sign first, then your co-buyer
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="signingOrder" checked={form.signingOrder === 'parallel'} onChange={()=>setField('signingOrder', 'parallel')} />
+                  Both sign at the same time
+                </label>
+              </div>
+            </>
+          )}
+        </div>
         <div className="mt-6 flex gap-3">
           <button className="btn-primary" onClick={next}>Continue</button>
           {process.env.NODE_ENV === 'development' && (
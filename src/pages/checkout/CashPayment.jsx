@@ -6,12 +6,36 @@ import analytics from '../../utils/analytics'
 import FunnelProgress from '../../components/FunnelProgress'
 import offlineQueue from '../../utils/offlineQueue'
 import { navigateToStep, updateBuildStep } from '../../utils/checkoutNavigation'
-import { calculateTotalPurchasePrice } from '../../utils/calculateTotal'
+import { calculateBuildPricing } from '../../utils/pricing'
 import { loadStripe } from '@stripe/stripe-js'
 import { Elements, useStripe, useElements, PaymentElement, CardElement } from '@stripe/react-stripe-js'
 import CreditCardSteps from '../../components/CreditCardSteps'
 
 // Initialize Stripe
+// When a schedule milestone falls due, in the buyer's terms
+const TRIGGER_LABELS = {
+  SIGNED: 'at signing',
+  IN_PRODUCTION: 'when production starts',
+  FACTORY_COMPLETE: 'when the home is complete at the factory',
+  IN_TRANSIT: 'when the home ships',
+  DELIVERED: 'on delivery'
+}
+
+// Built-in plans, used until the server's schedules have loaded
+function fallbackSchedules(percent, depositCents, totalCents) {
+  return [
+    {
+      id: 'deposit',
+      name: `${percent}% deposit`,
+      milestones: [
+        { key: 'deposit', label: 'Deposit', trigger: 'SIGNED', amount: depositCents },
+        { key: 'final', label: 'Final payment', trigger: 'FACTORY_COMPLETE', amount: totalCents - depositCents }
+      ]
+    },
+    { id: 'full', name: 'Pay in full', milestones: [{ key: 'full', label: 'Full payment', trigger: 'SIGNED', amount: totalCents }] }
+  ]
+}
+
 const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || 'pk_test_51S0QprRfITEPMgPOGN1k6eeR2sGhTPDhW0gAdCjrxK7xaRgMqCDhAeGQGgSq2q4sJdN1u2i5VPjf8xCJlKGHlE5700WgUf9Xrb')
 
 export default function CashPayment() {
@@ -30,10 +54,11 @@ export default function CashPayment() {
 
   // Step 6A: Amount & Method
   const [paymentPlan, setPaymentPlan] = useState({
-    type: 'deposit', // 'deposit' or 'full'
+    type: 'deposit', // payment schedule id ('deposit', 'full' or one from org settings)
     percent: 25,
     amountCents: 0
   })
+  const [schedules, setSchedules] = useState([])
   const [paymentMethod, setPaymentMethod] = useState('ach_debit') // 'ach_debit', 'bank_transfer', 'card'
 
   // Bank Transfer Payer Info (Phase 1)
@@ -92,6 +117,7 @@ export default function CashPayment() {
   useEffect(() => {
     loadBuild()
     loadSettings()
+    loadSchedules()
   }, [buildId])
 
 
@@ -246,6 +272,24 @@ export default function CashPayment() {
     }
   }
 
+  async function loadSchedules() {
+    try {
+      const token = await getToken()
+      const res = await fetch(`/api/payments/schedules?buildId=${buildId}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      })
+      if (!res.ok) return
+      const data = await res.json()
+      setSchedules(data.schedules || [])
+      // Preselect the default schedule unless the buyer already chose one
+      if (!data.current && data.defaultSchedule) {
+        setPaymentPlan(prev => ({ ...prev, type: data.defaultSchedule }))
+      }
+    } catch (error) {
+      console.error('Failed to load payment schedules:', error)
+    }
+  }
+
   async function loadSettings() {
     try {
       const token = await getToken()
@@ -293,20 +337,19 @@ export default function CashPayment() {
 
   // Calculate amounts based on complete total (same as Overview step) and payment plan
   useEffect(() => {
-    if (build && settings?.payments) {
-      // Use the same calculation as the Overview step
-      const totalAmount = calculateTotalPurchasePrice(build, settings)
-      const totalCents = Math.round(totalAmount * 100)
-      const depositPercent = settings.payments.depositPercent || 25
-      const depositCents = Math.round(totalCents * (depositPercent / 100))
+    if (build && settings) {
+      // Use the shared pricing engine so the amount matches what the server charges
+      const breakdown = calculateBuildPricing(build, settings)
+      const totalCents = Math.round(breakdown.total * 100)
+      const depositCents = Math.round(breakdown.deposit * 100)
       
       setPaymentPlan(prev => ({
         ...prev,
-        percent: depositPercent,
-        amountCents: prev.type === 'deposit' ? depositCents : totalCents
+        percent: breakdown.depositPercent,
+        amountCents: schedules.find(s => s.id === prev.type)?.milestones[0]?.amount ?? (prev.type === 'deposit' ? depositCents : totalCents)
       }))
     }
-  }, [build, settings?.payments, paymentPlan.type])
+  }, [build, settings, schedules, paymentPlan.type])
 
   async function setupACH() {
     try {
@@ -694,10 +737,19 @@ export default function CashPayment() {
   }
 
   // Get total using the same calculation as the Overview step (includes all fees)
-  const totalAmount = build ? calculateTotalPurchasePrice(build, settings) : 0
+  const breakdown = build
+    ? calculateBuildPricing({ ...build, payment: { ...(build.payment || {}), plan: { percent: paymentPlan.percent } } }, settings)
+    : null
+  const totalAmount = breakdown ? breakdown.total : 0
   const totalCents = Math.round(totalAmount * 100)
-  const depositCents = Math.round(totalCents * ((paymentPlan.percent || 25) / 100))
-  const currentAmountCents = paymentPlan.type === 'deposit' ? depositCents : totalCents
+  const legacyDepositCents = breakdown ? Math.round(breakdown.deposit * 100) : 0
+  // The chosen schedule's first milestone is what the buyer pays at signing
+  const planOptions = schedules.length ? schedules : fallbackSchedules(paymentPlan.percent, legacyDepositCents, totalCents)
+  const selectedSchedule = planOptions.find(s => s.id === paymentPlan.type) || planOptions[0]
+  const scheduleMilestones = selectedSchedule?.milestones || []
+  const laterMilestones = scheduleMilestones.slice(1)
+  const currentAmountCents = scheduleMilestones[0]?.amount ?? totalCents
+  const depositCents = laterMilestones.length ? currentAmountCents : legacyDepositCents
   
   // Debug logging
   if (build) {
@@ -791,44 +843,32 @@ export default function CashPayment() {
               </p>
               
               <div className="space-y-4">
-                <label className="flex items-start p-4 border border-gray-600 rounded-lg hover:border-yellow-500 transition-colors cursor-pointer">
-                  <input
-                    type="radio"
-                    name="paymentType"
-                    value="deposit"
-                    checked={paymentPlan.type === 'deposit'}
-                    onChange={() => setPaymentPlan(prev => ({ ...prev, type: 'deposit', amountCents: depositCents }))}
-                    className="mr-4 mt-1"
-                  />
-                  <div className="flex-1">
-                    <div className="text-white font-medium">
-                      {paymentPlan.percent}% Deposit - {formatCurrency(depositCents)} 
-                      <span className="ml-2 text-yellow-400 text-sm">Recommended</span>
-                    </div>
-                    <div className="text-gray-400 text-sm mt-1">
-                      Get your build started with a deposit. Remaining balance due before home leaves factory.
-                    </div>
-                  </div>
-                </label>
-                
-                <label className="flex items-start p-4 border border-gray-600 rounded-lg hover:border-yellow-500 transition-colors cursor-pointer">
-                  <input
-                    type="radio"
-                    name="paymentType"
-                    value="full"
-                    checked={paymentPlan.type === 'full'}
-                    onChange={() => setPaymentPlan(prev => ({ ...prev, type: 'full', amountCents: totalCents }))}
-                    className="mr-4 mt-1"
-                  />
-                  <div className="flex-1">
-                    <div className="text-white font-medium">
-                      Pay in Full - {formatCurrency(totalCents)}
-                    </div>
-                    <div className="text-gray-400 text-sm mt-1">
-                      Complete payment now. No additional payments required.
+                {planOptions.map((schedule, index) => (
+                  <label key={schedule.id} className="flex items-start p-4 border border-gray-600 rounded-lg hover:border-yellow-500 transition-colors cursor-pointer">
+                    <input
+                      type="radio"
+                      name="paymentType"
+                      value={schedule.id}
+                      checked={selectedSchedule?.id === schedule.id}
+                      onChange={() => setPaymentPlan(prev => ({ ...prev, type: schedule.id, amountCents: schedule.milestones[0]?.amount || 0 }))}
+                      className="mr-4 mt-1"
+                    />
+                    <div className="flex-1">
+                      <div className="text-white font-medium">
+                        {schedule.name} - {formatCurrency(schedule.milestones[0]?.amount)} at signing
+                        {index === 0 && <span className="ml-2 text-yellow-400 text-sm">Recommended</span>}
+                      </div>
+                      {schedule.description && <div className="text-gray-400 text-sm mt-1">{schedule.description}</div>}
+                      {schedule.milestones.length > 1 && (
+                        <ul className="text-gray-400 text-sm mt-1 space-y-0.5">
+                          {schedule.milestones.map(m => (
+                            <li key={m.key}>{m.label}: {formatCurrency(m.amount)} {TRIGGER_LABELS[m.trigger] || ''}</li>
+                          ))}
+                        </ul>
+                      )}
                     </div>
-                  </div>
-                </label>
+                  </label>
+                ))}
               </div>
             </div>
 
@@ -914,11 +954,11 @@ export default function CashPayment() {
                 <div className="font-semibold text-base mb-2">Payment Summary</div>
                 <div className="text-sm space-y-1">
                   <div><strong>Amount to be charged:</strong> {formatCurrency(currentAmountCents)}</div>
-                  {paymentPlan.type === 'deposit' && (
-                    <div className="text-green-200">
-                      Remaining balance: {formatCurrency(totalCents - depositCents)} (due before delivery)
+                  {laterMilestones.map(m => (
+                    <div key={m.key} className="text-green-200">
+                      {m.label}: {formatCurrency(m.amount)} ({TRIGGER_LABELS[m.trigger] || 'later'})
                     </div>
-                  )}
+                  ))}
                   <div className="text-green-200 mt-2">
                     Selected method: {
                       paymentMethod === 'ach_debit' ? 'Bank Account (ACH Debit)' :
@@ -1007,8 +1047,8 @@ export default function CashPayment() {
                 resetAndRetry={resetAndRetry}
                 needsRefresh={needsRefresh}
                 paymentPlan={paymentPlan}
+                milestones={scheduleMilestones}
                 totalCents={totalCents}
-                depositCents={depositCents}
                 build={build}
                 getToken={getToken}
               />
@@ -1119,19 +1159,19 @@ export default function CashPayment() {
                 {/* Payment Amount - Highlighted */}
                 <div className="flex justify-between py-3 px-4 bg-yellow-900/20 border border-yellow-600 rounded-lg">
                   <span className="text-yellow-200 font-medium">
-                    {paymentPlan.type === 'deposit' ? 'Deposit Amount:' : 'Payment Amount:'}
+                    {laterMilestones.length ? `${scheduleMilestones[0].label}:` : 'Payment Amount:'}
                   </span>
                   <span className="text-yellow-400 font-bold text-lg">{formatCurrency(currentAmountCents)}</span>
                 </div>
 
 
-                {/* Balance Due (if deposit) */}
-                {paymentPlan.type === 'deposit' && (
-                  <div className="flex justify-between py-2 text-gray-300">
-                    <span>Remaining Balance:</span>
-                    <span>{formatCurrency(totalCents - depositCents)} <span className="text-xs">(due before delivery)</span></span>
+                {/* Later milestones */}
+                {laterMilestones.map(m => (
+                  <div key={m.key} className="flex justify-between py-2 text-gray-300">
+                    <span>{m.label}:</span>
+                    <span>{formatCurrency(m.amount)} <span className="text-xs">({TRIGGER_LABELS[m.trigger] || 'later'})</span></span>
                   </div>
-                )}
+                ))}
 
                 {/* Card Payment Status */}
                 {paymentMethod === 'card' && build?.payment?.status === 'succeeded' && (
@@ -1716,8 +1756,8 @@ function BankTransferDetailsStep({
   resetAndRetry,
   needsRefresh,
   paymentPlan,
+  milestones,
   totalCents,
-  depositCents,
   build,
   getToken
 }) {
@@ -1810,7 +1850,7 @@ function BankTransferDetailsStep({
       errors.fundsClearing = 'This acknowledgment is required'
     }
     
-    if (paymentPlan.type === 'deposit' && !commitments.storageFeesAcknowledged) {
+    if (milestones.length > 1 && !commitments.storageFeesAcknowledged) {
       errors.storageFeesAcknowledged = 'This acknowledgment is required for deposit payments'
     }
     
@@ -2052,31 +2092,29 @@ function BankTransferDetailsStep({
         <div className="bg-gray-900/50 border border-gray-700 rounded-lg p-6">
         <h3 className="text-white font-semibold text-lg mb-4">Payment Plan</h3>
         
-        {paymentPlan.type === 'deposit' ? (
+        {milestones.length > 1 ? (
           <div className="space-y-4">
             <div className="bg-yellow-900/20 border border-yellow-600 rounded-lg p-4">
-              <h4 className="text-yellow-300 font-medium mb-3">Deposit + Final (Two Milestones)</h4>
+              <h4 className="text-yellow-300 font-medium mb-3">{milestones.length} Milestones</h4>
               <div className="space-y-2 text-sm">
-                <div className="flex justify-between">
-                  <span className="text-gray-300">Deposit ({paymentPlan.percent}%):</span>
-                  <span className="text-white font-medium">{formatCurrency(depositCents)}</span>
-              </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-300">Final Payment:</span>
-                  <span className="text-white font-medium">{formatCurrency(totalCents - depositCents)}</span>
-              </div>
+                {milestones.map(m => (
+                  <div key={m.key} className="flex justify-between">
+                    <span className="text-gray-300">{m.label} ({TRIGGER_LABELS[m.trigger] || 'later'}):</span>
+                    <span className="text-white font-medium">{formatCurrency(m.amount)}</span>
+                  </div>
+                ))}
                 <div className="border-t border-yellow-600 pt-2 mt-3">
                   <div className="flex justify-between font-medium">
                     <span className="text-yellow-300">Total:</span>
                     <span className="text-yellow-300">{formatCurrency(totalCents)}</span>
-              </div>
-              </div>
+                  </div>
+                </div>
               </div>
             </div>
             <div className="bg-blue-900/20 border border-blue-600 rounded-lg p-3">
               <div className="text-blue-200 text-xs space-y-1">
-                <p>• <strong>Your deposit is required to place your home into the construction process.</strong></p>
-                <p>• <strong>Final payment must be paid in full before the home can leave the factory.</strong></p>
+                <p>• <strong>Your first payment is required to place your home into the construction process.</strong></p>
+                <p>• <strong>Each later payment is invoiced when your build reaches its milestone and must be paid before the home can leave the factory or be delivered.</strong></p>
               </div>
             </div>
           </div>
@@ -2138,8 +2176,8 @@ function BankTransferDetailsStep({
           </div>
           </label>
 
-          {/* Storage Fees (only for deposit payments) */}
-          {paymentPlan.type === 'deposit' && (
+          {/* Storage Fees (only when a balance is owed after signing) */}
+          {milestones.length > 1 && (
             <label className="flex items-start">
               <input
                 type="checkbox"
@@ -6,6 +6,7 @@ import PackagesSelector from '../../components/PackagesSelector'
 import { MODELS } from '../../data/models'
 import CheckoutProgress from '../../components/CheckoutProgress'
 import { OPTIONS } from '../../data/options'
+import { optionLineTotal } from '../../utils/pricing'
 
 export default function Configure() {
   const { slug } = useParams()
@@ -36,7 +37,7 @@ export default function Configure() {
 
   const model = models.find(m => m.id === selectedModelId)
   const base = model?.basePrice || 0
-  const optionsTotal = selectedOptions.reduce((s, o) => s + (o.price || 0), 0)
+  const optionsTotal = selectedOptions.reduce((s, o) => s + optionLineTotal(o), 0)
   const pkgDelta = (packages.find(p => (p.key||p.name) === selectedPackage)?.priceDelta) || 0
   const total = base + optionsTotal + pkgDelta
 
@@ -57,7 +58,7 @@ export default function Configure() {
         </div>
         <div className="card">
           <h2 className="section-header">Customize Your Home</h2>
-          <PublicOptionSelector options={OPTIONS} value={selectedOptions} onChange={setSelectedOptions} />
+          <PublicOptionSelector options={OPTIONS} value={selectedOptions} onChange={setSelectedOptions} model={model} />
         </div>
         <div className="card">
           <PackagesSelector packages={packages} value={selectedPackage} onChange={setSelectedPackage} />
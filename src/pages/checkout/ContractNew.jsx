@@ -45,6 +45,7 @@ export default function ContractNew() {
   const [currentPack, setCurrentPack] = useState('summary')
   const [signingUrl, setSigningUrl] = useState('')
   const [loadingPack, setLoadingPack] = useState(false)
+  const [remindingRole, setRemindingRole] = useState(null)
   
   // Summary PDF state
   const [summaryPdfUrl, setSummaryPdfUrl] = useState('')
@@ -88,6 +89,9 @@ export default function ContractNew() {
         
         if (response.ok) {
           const status = await response.json()
+          if (status.signers) {
+            setContractStatus(prev => ({ ...prev, signers: status.signers, signingOrder: status.signingOrder }))
+          }
           
           // Check if the pack is completed
           if (status.packs?.[packId] === 'completed') {
@@ -252,9 +256,11 @@ export default function ContractNew() {
 
   // Status polling for active signing sessions
   useEffect(() => {
-    // Only poll if pack is in_progress, stop polling when completed
-    if (currentPack !== 'summary' && contractStatus.packs[currentPack] === 'in_progress') {
-      statusPollRef.current = setInterval(pollContractStatus, 5000)
+    // Only poll if pack is in_progress, stop polling when completed. A
+    // countersignature can take a while, so check less often for it
+    const packStatus = contractStatus.packs[currentPack]
+    if (currentPack !== 'summary' && (packStatus === 'in_progress' || packStatus === 'awaiting_countersignature')) {
+      statusPollRef.current = setInterval(pollContractStatus, packStatus === 'in_progress' ? 5000 : 30000)
       return () => {
         if (statusPollRef.current) {
           clearInterval(statusPollRef.current)
@@ -371,7 +377,7 @@ export default function ContractNew() {
         }
         
         // Show completion notification only once when status changes to completed
-        if (status.packs[currentPack] === 'completed' && oldStatus === 'in_progress') {
+        if (status.packs[currentPack] === 'completed' && (oldStatus === 'in_progress' || oldStatus === 'awaiting_countersignature')) {
           const currentIndex = packs.findIndex(p => p.id === currentPack)
           addToast({
             type: 'success',
@@ -511,7 +517,7 @@ export default function ContractNew() {
           'Content-Type': 'application/json',
           ...(token ? { Authorization: `Bearer ${token}` } : {})
         },
-        body: JSON.stringify({ buildId, coBuyerEnabled: false })
+        body: JSON.stringify({ buildId })
       })
       
       if (response.ok) {
@@ -557,6 +563,12 @@ export default function ContractNew() {
         }
       } else {
         const error = await response.json()
+        if (error.error === 'signing_in_progress') {
+          // Signed already; the other signers have their own links
+          await loadContractStatus(token)
+          addToast({ type: 'info', title: 'Already Signed', message: error.message })
+          return
+        }
         throw new Error(error.message || 'Failed to create signing session')
       }
     } catch (error) {
@@ -574,6 +586,33 @@ export default function ContractNew() {
     }
   }
 
+  async function remindSigner(packId, role) {
+    try {
+      setRemindingRole(role)
+      const token = await getToken()
+      const res = await fetch('/api/contracts/signers/remind', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ buildId, packId, role })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        addToast({ type: 'error', title: 'Not Sent', message: data.message || 'Unable to send the signing link' })
+        return
+      }
+      addToast({ type: 'success', title: 'Link Sent', message: `We emailed ${data.signer?.email || 'the signer'} their signing link.` })
+      await loadContractStatus(token)
+    } catch (error) {
+      console.error('Failed to send signer reminder:', error)
+      addToast({ type: 'error', title: 'Not Sent', message: 'Unable to send the signing link' })
+    } finally {
+      setRemindingRole(null)
+    }
+  }
+
   // Enhanced error handling and retry functions
   const handleErrorRetry = async () => {
     if (!retryContext) return
@@ -622,6 +661,8 @@ export default function ContractNew() {
         return <CheckCircleIcon className="w-5 h-5 text-green-400" />
       case 'in_progress':
         return <div className="w-5 h-5 rounded-full border-2 border-yellow-400 bg-yellow-400 animate-pulse" />
+      case 'awaiting_countersignature':
+        return <div className="w-5 h-5 rounded-full border-2 border-yellow-400 bg-yellow-400" />
       case 'reviewed':
         return <CheckCircleIcon className="w-5 h-5 text-green-400" />
       case 'ready':
@@ -639,6 +680,8 @@ export default function ContractNew() {
         return 'Signed'
       case 'in_progress':
         return 'Signing...'
+      case 'awaiting_countersignature':
+        return 'Countersigning'
       case 'reviewed':
         return 'Reviewed'
       case 'ready':
@@ -811,6 +854,10 @@ export default function ContractNew() {
                 <SigningPackContent
                   pack={currentPackData}
                   status={contractStatus.packs[currentPack]}
+                  signers={contractStatus.signers?.[currentPack] || []}
+                  signingOrder={contractStatus.signingOrder || 'sequential'}
+                  onRemind={(role) => remindSigner(currentPack, role)}
+                  remindingRole={remindingRole}
                   signingUrl={signingUrl}
                   onStartSigning={() => startPackSigning(currentPack)}
                   loadingPack={loadingPack}
@@ -990,11 +1037,16 @@ function SummaryPackContent({ build, summaryPdfUrl, onLoadPdf, onMarkReviewed, o
 }
 
 // Enhanced Signing Pack Component with proper state management
-function SigningPackContent({ pack, status, signingUrl, onStartSigning, loadingPack, buildId, onOpenDocumentViewer }) {
+function SigningPackContent({ pack, status, signers = [], signingOrder, onRemind, remindingRole, signingUrl, onStartSigning, loadingPack, buildId, onOpenDocumentViewer }) {
   const [downloadUrl, setDownloadUrl] = useState(null)
   const { getToken } = useAuth()
   
-  const isInProgress = status === 'in_progress'
+  // Once the buyer has signed, the pack waits on the other signers' own links,
+  // then on Firefly's countersignature
+  const buyerSigned = signers.some(s => s.role === 'buyer' && s.status === 'completed')
+  const isAwaitingCountersignature = status === 'awaiting_countersignature'
+  const isWaitingOnOthers = (status === 'in_progress' && buyerSigned) || isAwaitingCountersignature
+  const isInProgress = status === 'in_progress' && !buyerSigned
   const isNotStarted = status === 'not_started'
   const isCompleted = status === 'completed'
   
@@ -1099,6 +1151,43 @@ function SigningPackContent({ pack, status, signingUrl, onStartSigning, loadingP
         </div>
       )}
 
+      {/* Buyer signed, others still to sign */}
+      {isWaitingOnOthers && (
+        <div className="py-8 max-w-lg mx-auto">
+          <div className="text-center mb-6">
+            <CheckCircleIcon className="w-16 h-16 text-yellow-400 mx-auto mb-4" />
+            <h3 className="text-xl font-medium text-white mb-2">
+              You've Signed
+            </h3>
+            <p className="text-gray-300">
+              {isAwaitingCountersignature
+                ? `Everyone has signed. Firefly countersigns your ${pack.title.toLowerCase()} next, and we'll email the fully executed copy to each signer.`
+                : `Your ${pack.title.toLowerCase()} is complete once everyone below has signed. We've emailed each of them their own signing link.`}
+            </p>
+          </div>
+          <PackProgressIndicator
+            packId={pack.id}
+            status={status}
+            templateName={pack.title}
+            signers={signers}
+            signingOrder={signingOrder}
+            onRemind={onRemind}
+            remindingRole={remindingRole}
+          />
+        </div>
+      )}
+
+      {/* Signer list while the buyer is still signing */}
+      {(isNotStarted || isInProgress) && signers.length > 1 && (
+        <PackProgressIndicator
+          packId={pack.id}
+          status={status}
+          templateName={pack.title}
+          signers={signers}
+          signingOrder={signingOrder}
+        />
+      )}
+
       {/* Completed State - Show "Review Signed Document" and download options */}
       {isCompleted && (
         <div className="text-center py-12">
@@ -0,0 +1,258 @@
+import { useCallback, useEffect, useState } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { useAuth } from '@clerk/clerk-react'
+import { useToast } from '../../components/ToastProvider'
+import analytics from '../../utils/analytics'
+
+const money = (cents) => `$${(Number(cents || 0) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+const toCents = (dollars) => (dollars === '' || dollars == null ? undefined : Math.round(Number(dollars) * 100))
+
+const DECISION_COPY = {
+  prequalified: 'You are pre-qualified. The lender will confirm final terms after the contract is signed.',
+  review: 'A loan officer is reviewing your application and will contact you. You can continue to the agreement meanwhile.',
+  declined: 'This program could not pre-qualify you. Try another program or a larger down payment, or switch to cash.',
+  error: 'We could not reach the lender. Please try again in a few minutes.'
+}
+
+export default function Financing() {
+  const navigate = useNavigate()
+  const { buildId } = useParams()
+  const { getToken } = useAuth()
+  const { addToast } = useToast()
+  const [programs, setPrograms] = useState([])
+  const [creditTiers, setCreditTiers] = useState([])
+  const [terms, setTerms] = useState({ programId: '', creditTier: 'good', termMonths: '', downPayment: '' })
+  const [quote, setQuote] = useState(null)
+  const [quoteError, setQuoteError] = useState('')
+  const [showSchedule, setShowSchedule] = useState(false)
+  const [applicant, setApplicant] = useState({ firstName: '', lastName: '', email: '', phone: '', annualIncome: '', monthlyDebts: '', creditScore: '', consent: false })
+  const [application, setApplication] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const [loading, setLoading] = useState(true)
+
+  const authHeaders = useCallback(async () => {
+    const token = await getToken()
+    return token ? { Authorization: `Bearer ${token}` } : {}
+  }, [getToken])
+
+  useEffect(() => {
+    let mounted = true
+    ;(async () => {
+      try {
+        const headers = await authHeaders()
+        const [programsRes, buildRes, financingRes] = await Promise.all([
+          fetch('/api/financing/programs'),
+          fetch(`/api/builds/${buildId}`, { headers }),
+          fetch(`/api/builds/${buildId}/financing`, { headers })
+        ])
+        const data = programsRes.ok ? await programsRes.json() : { programs: [], creditTiers: [] }
+        const build = buildRes.ok ? await buildRes.json() : null
+        const financing = financingRes.ok ? await financingRes.json() : null
+        if (!mounted) return
+        setPrograms(data.programs)
+        setCreditTiers(data.creditTiers)
+        setTerms(t => ({ ...t, programId: build?.financing?.programId || data.programs[0]?.id || '' }))
+        const buyer = build?.buyerInfo || {}
+        setApplicant(a => ({ ...a, firstName: buyer.firstName || '', lastName: buyer.lastName || '', email: buyer.email || '', phone: buyer.phone || '' }))
+        if (financing?.applications?.[0]) setApplication(financing.applications[0])
+      } finally {
+        if (mounted) setLoading(false)
+      }
+    })()
+    return () => { mounted = false }
+  }, [buildId, authHeaders])
+
+  // Re-price whenever the buyer changes the program, tier, term or down payment
+  useEffect(() => {
+    if (!terms.programId) return
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      const res = await fetch(`/api/builds/${buildId}/financing/quote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+        body: JSON.stringify({
+          programId: terms.programId,
+          creditTier: terms.creditTier,
+          termMonths: terms.termMonths ? Number(terms.termMonths) : undefined,
+          downPayment: toCents(terms.downPayment)
+        })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (cancelled) return
+      setQuote(res.ok ? data.quote : null)
+      setQuoteError(res.ok ? '' : data.message || 'Unable to price this build')
+    }, 300)
+    return () => { cancelled = true; clearTimeout(timer) }
+  }, [buildId, terms, authHeaders])
+
+  const program = programs.find(p => p.id === terms.programId)
+
+  async function submitApplication(e) {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      const res = await fetch(`/api/builds/${buildId}/financing/application`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+        body: JSON.stringify({
+          programId: terms.programId,
+          termMonths: quote?.termMonths,
+          downPayment: quote?.downPayment,
+          applicant: {
+            ...applicant,
+            annualIncome: toCents(applicant.annualIncome),
+            monthlyDebts: toCents(applicant.monthlyDebts) || 0,
+            creditScore: applicant.creditScore || null,
+            creditTier: terms.creditTier
+          }
+        })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        addToast({ type: 'error', title: 'Application Not Sent', message: data.message || 'Please check the form and try again.' })
+        return
+      }
+      setApplication(data.application)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  function continueToAgreement() {
+    analytics.stepChanged(buildId, 6, 7)
+    navigate(`/checkout/${buildId}/agreement`)
+  }
+
+  if (loading) {
+    return <div className="max-w-3xl mx-auto text-center py-8 text-gray-400">Loading financing programs...</div>
+  }
+
+  const field = 'w-full px-3 py-2 rounded bg-gray-900 border border-gray-700 text-white'
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div className="card">
+        <h2 className="section-header">Financing</h2>
+        {programs.length === 0 ? (
+          <p className="text-gray-300">
+            Online financing is not available right now. Continue to the agreement and our team will connect you with a lender, or go back and choose cash.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+            <label className="space-y-1">
+              <span className="text-gray-300">Program</span>
+              <select className={field} value={terms.programId} onChange={e => setTerms(t => ({ ...t, programId: e.target.value, termMonths: '' }))}>
+                {programs.map(p => <option key={p.id} value={p.id}>{p.name} · {p.lender} · {p.aprFrom}%–{p.aprTo}% APR</option>)}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span className="text-gray-300">Credit</span>
+              <select className={field} value={terms.creditTier} onChange={e => setTerms(t => ({ ...t, creditTier: e.target.value }))}>
+                {creditTiers.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span className="text-gray-300">Term</span>
+              <select className={field} value={terms.termMonths || quote?.termMonths || ''} onChange={e => setTerms(t => ({ ...t, termMonths: e.target.value }))}>
+                {(program?.termsMonths || []).map(m => <option key={m} value={m}>{m} months ({m / 12} years)</option>)}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span className="text-gray-300">Down payment ($, at least {program?.minDownPercent ?? 0}%)</span>
+              <input
+                type="number"
+                min="0"
+                className={field}
+                placeholder={quote ? String(quote.minDownPayment / 100) : ''}
+                value={terms.downPayment}
+                onChange={e => setTerms(t => ({ ...t, downPayment: e.target.value }))}
+              />
+            </label>
+          </div>
+        )}
+
+        {quoteError && <p className="mt-4 text-sm text-red-400">{quoteError}</p>}
+        {quote && (
+          <div className="mt-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div><div className="text-gray-400">Monthly payment</div><div className="text-lg font-semibold text-yellow-400">{money(quote.monthlyPayment)}</div></div>
+              <div><div className="text-gray-400">APR</div><div className="text-lg text-gray-100">{quote.apr}%</div></div>
+              <div><div className="text-gray-400">Amount financed</div><div className="text-lg text-gray-100">{money(quote.amountFinanced)}</div></div>
+              <div><div className="text-gray-400">Total interest</div><div className="text-lg text-gray-100">{money(quote.totalInterest)}</div></div>
+            </div>
+            <p className="mt-2 text-xs text-gray-400">
+              Price {money(quote.price)} less {money(quote.downPayment)} down, plus {money(quote.fees.total)} in lender fees, over {quote.termMonths} months.
+            </p>
+            <button type="button" className="mt-3 text-sm text-yellow-400 hover:underline" onClick={() => setShowSchedule(s => !s)}>
+              {showSchedule ? 'Hide' : 'Show'} amortization schedule
+            </button>
+            {showSchedule && (
+              <div className="mt-3 max-h-80 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-400 border-b border-gray-800">
+                      <th className="py-1">Month</th>
+                      <th className="py-1 text-right">Payment</th>
+                      <th className="py-1 text-right">Interest</th>
+                      <th className="py-1 text-right">Principal</th>
+                      <th className="py-1 text-right">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-800">
+                    {quote.schedule.map(row => (
+                      <tr key={row.period} className="text-gray-200">
+                        <td className="py-1">{row.period}</td>
+                        <td className="py-1 text-right">{money(row.payment)}</td>
+                        <td className="py-1 text-right">{money(row.interest)}</td>
+                        <td className="py-1 text-right">{money(row.principal)}</td>
+                        <td className="py-1 text-right">{money(row.balance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {application && (
+        <div className={`card border ${application.status === 'prequalified' ? 'border-green-500/40' : application.status === 'declined' || application.status === 'error' ? 'border-red-500/40' : 'border-yellow-500/40'}`}>
+          <h3 className="text-white font-medium mb-1">Pre-qualification: {application.status}</h3>
+          <p className="text-sm text-gray-300">{DECISION_COPY[application.status] || application.decision?.message}</p>
+          {application.decision?.referenceId && <p className="mt-1 text-xs text-gray-500">Reference {application.decision.referenceId} · {application.lender}</p>}
+        </div>
+      )}
+
+      {quote && application?.status !== 'prequalified' && (
+        <form onSubmit={submitApplication} className="card space-y-4 text-sm">
+          <h3 className="text-white font-medium">Check your rate</h3>
+          <p className="text-gray-400">Pre-qualification uses a soft credit check and does not affect your credit score.</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input className={field} placeholder="First name" value={applicant.firstName} onChange={e => setApplicant(a => ({ ...a, firstName: e.target.value }))} />
+            <input className={field} placeholder="Last name" value={applicant.lastName} onChange={e => setApplicant(a => ({ ...a, lastName: e.target.value }))} />
+            <input className={field} type="email" placeholder="Email" value={applicant.email} onChange={e => setApplicant(a => ({ ...a, email: e.target.value }))} />
+            <input className={field} placeholder="Phone" value={applicant.phone} onChange={e => setApplicant(a => ({ ...a, phone: e.target.value }))} />
+            <input className={field} type="number" min="0" placeholder="Annual income ($)" value={applicant.annualIncome} onChange={e => setApplicant(a => ({ ...a, annualIncome: e.target.value }))} />
+            <input className={field} type="number" min="0" placeholder="Monthly debt payments ($)" value={applicant.monthlyDebts} onChange={e => setApplicant(a => ({ ...a, monthlyDebts: e.target.value }))} />
+            <input className={field} type="number" min="300" max="850" placeholder="Credit score (optional)" value={applicant.creditScore} onChange={e => setApplicant(a => ({ ...a, creditScore: e.target.value }))} />
+          </div>
+          <label className="flex items-start gap-2 text-gray-300">
+            <input type="checkbox" className="mt-1" checked={applicant.consent} onChange={e => setApplicant(a => ({ ...a, consent: e.target.checked }))} />
+            I authorize {program?.lender || 'the lender'} to perform a soft credit check to pre-qualify me for financing.
+          </label>
+          <button type="submit" className="btn-primary" disabled={submitting || !applicant.consent}>
+            {submitting ? 'Submitting...' : 'Submit pre-qualification'}
+          </button>
+        </form>
+      )}
+
+      <div className="flex gap-3">
+        <button className="btn-primary" onClick={continueToAgreement}>Continue to agreement</button>
+        <button className="px-4 py-2 rounded border border-gray-700 text-white hover:bg-white/10" onClick={() => navigate(`/checkout/${buildId}/payment-method`)}>
+          Back to payment method
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -123,9 +123,8 @@ export default function PaymentMethod() {
         // Navigate to cash payment form
         navigate(`/checkout/${buildId}/cash-payment`)
       } else {
-        // For financing, navigate to contract - let the contract page handle step update
-        analytics.stepChanged(buildId, 6, 7)
-        navigate(`/checkout/${buildId}/agreement`)
+        // For financing, pre-qualify first; that page continues to the contract
+        navigate(`/checkout/${buildId}/financing`)
       }
       
     } catch (error) {
@@ -146,8 +145,7 @@ export default function PaymentMethod() {
         if (choice === 'cash') {
           navigate(`/checkout/${buildId}/cash-payment`)
         } else {
-          analytics.stepChanged(buildId, 6, 7)
-          navigate(`/checkout/${buildId}/agreement`)
+          navigate(`/checkout/${buildId}/financing`)
         }
       } else {
         addToast({
@@ -7,8 +7,7 @@ import { useToast } from '../../components/ToastProvider'
 import { trackEvent } from '../../utils/analytics'
 import { navigateToStep, updateBuildStep } from '../../utils/checkoutNavigation'
 import { useBuildData, buildCache } from '../../hooks/useBuildData'
-import { calculateTotalPurchasePrice } from '../../utils/calculateTotal'
-import { generateOrderPDF } from '../../utils/generateOrderPDF'
+import { calculateBuildPricing } from '../../utils/pricing'
 
 export default function Review() {
   const { buildId } = useParams()
@@ -32,7 +31,9 @@ export default function Review() {
         address: buyerInfo.address,
         city: buyerInfo.city,
         state: buyerInfo.state,
-        zip: buyerInfo.zip
+        zip: buyerInfo.zip,
+        county: buyerInfo.county,
+        modelSlug: build.modelSlug
       }
       
       console.log('Calculating delivery cost from Review component:', addressData)
@@ -55,7 +56,12 @@ export default function Review() {
         // Update the build with the new delivery cost
         const pricing = {
           ...build.pricing,
-          delivery: calculatedCost
+          delivery: calculatedCost,
+          deliveryMiles: deliveryData.miles,
+          deliveryZone: deliveryData.zone,
+          deliveryLineItems: deliveryData.lineItems,
+          deliveryEstimated: deliveryData.estimated,
+          deliveryDistanceProvider: deliveryData.distanceProvider
         }
         
         await updateBuild({
@@ -76,12 +82,17 @@ export default function Review() {
     loading: buildLoading, 
     error: buildError, 
     updateBuild, 
+    fetchBuild,
     isLoaded: buildLoaded 
   } = useBuildData(buildId, true) // Force refresh to ensure we have latest data
   
   const [settings, setSettings] = useState(null)
   const [settingsLoading, setSettingsLoading] = useState(true)
   const [pdfLoading, setPdfLoading] = useState(false)
+  const [promoCode, setPromoCode] = useState('')
+  const [promoSaving, setPromoSaving] = useState(false)
+  const [exemption, setExemption] = useState({ certificateNumber: '', issuingState: '', reason: '', file: null })
+  const [exemptionSaving, setExemptionSaving] = useState(false)
 
   // Load settings
   useEffect(() => {
@@ -119,28 +130,29 @@ export default function Review() {
   const handleDownloadPDF = async () => {
     try {
       setPdfLoading(true)
-      
-      // Prepare the data for PDF generation
-      const orderData = {
-        build,
-        settings,
-        pricing: {
-          basePrice: Number(build?.selections?.basePrice || 0),
-          optionsSubtotal: optionsSubtotal,
-          deliveryFee: Number(build?.pricing?.delivery || 0),
-          titleFee: Number(settings?.pricing?.title_fee_default || 500),
-          setupFee: Number(settings?.pricing?.setup_fee_default || 3000),
-          taxRate: Number(settings?.pricing?.tax_rate_percent || 6.25) / 100,
-          salesTax: salesTax,
-          total: total
-        }
-      }
-      
-      // Generate PDF using the new utility
-      await generateOrderPDF(orderData)
+      const token = await getToken()
+      const headers = token ? { Authorization: `Bearer ${token}` } : {}
+
+      // Rendered and stored on the server; an unchanged build reuses the last copy
+      const res = await fetch(`/api/builds/${buildId}/documents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ kind: 'order_summary' })
+      })
+      const json = await res.json()
+      if (!res.ok) throw new Error(json?.message || 'PDF generation failed')
+
+      const fileRes = await fetch(`/api/builds/${buildId}/documents/${json.document.id}?download=1`, { headers })
+      if (!fileRes.ok) throw new Error('PDF download failed')
+      const url = URL.createObjectURL(await fileRes.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${json.document.number}.pdf`
+      link.click()
+      URL.revokeObjectURL(url)
       
       addToast({ type: 'success', message: 'PDF downloaded successfully' })
-      trackEvent('pdf_downloaded', { buildId })
+      trackEvent('pdf_downloaded', { buildId, documentId: json.document.id })
     } catch (error) {
       console.error('PDF download error:', error)
       addToast({ type: 'error', message: 'Failed to download PDF' })
@@ -177,6 +189,64 @@ export default function Review() {
     }
   }
 
+  // Promo codes are checked and stored by the server; the build is re-fetched to pick up the new pricing
+  const handlePromo = async (method) => {
+    setPromoSaving(true)
+    try {
+      const token = await getToken()
+      const res = await fetch(`/api/builds/${buildId}/promo`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: method === 'POST' ? JSON.stringify({ code: promoCode }) : undefined
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        addToast({ type: 'error', title: 'Promo Code', message: data.message || 'Unable to update the promo code' })
+        return
+      }
+      setPromoCode('')
+      buildCache.delete(buildId)
+      await fetchBuild(true)
+      addToast({ type: 'success', title: 'Promo Code', message: method === 'POST' ? 'Promo code applied.' : 'Promo code removed.' })
+    } finally {
+      setPromoSaving(false)
+    }
+  }
+
+  // Exemption certificates are uploaded as base64 PDFs and reviewed by an admin before tax is removed
+  const handleExemption = async (method) => {
+    setExemptionSaving(true)
+    try {
+      let body
+      if (method === 'POST') {
+        const data = await new Promise((resolve, reject) => {
+          const reader = new FileReader()
+          reader.onload = () => resolve(String(reader.result).split(',')[1] || '')
+          reader.onerror = () => reject(reader.error)
+          reader.readAsDataURL(exemption.file)
+        })
+        body = JSON.stringify({ ...exemption, file: undefined, fileName: exemption.file.name, data })
+      }
+      const token = await getToken()
+      const res = await fetch(`/api/builds/${buildId}/tax-exemption`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        addToast({ type: 'error', title: 'Tax Exemption', message: data.message || 'Unable to update the exemption' })
+        return
+      }
+      setExemption({ certificateNumber: '', issuingState: '', reason: '', file: null })
+      buildCache.delete(buildId)
+      await fetchBuild(true)
+      addToast({ type: 'success', title: 'Tax Exemption', message: method === 'POST' ? 'Certificate submitted for review.' : 'Exemption withdrawn.' })
+    } finally {
+      setExemptionSaving(false)
+    }
+  }
+
   const handleEditCustomization = () => {
     navigate(`/customize/${build?.modelSlug}?buildId=${buildId}`)
   }
@@ -218,22 +288,22 @@ export default function Review() {
     )
   }
 
-  // Calculate comprehensive pricing breakdown using utility function
-  const basePrice = Number(build?.selections?.basePrice || 0)
+  // Calculate comprehensive pricing breakdown using the shared pricing engine
   const options = build?.selections?.options || []
-  const optionsSubtotal = options.reduce((sum, opt) => sum + Number(opt.price || 0) * (opt.quantity || 1), 0)
-  const subtotalBeforeFees = basePrice + optionsSubtotal
-  
-  // Get fees from settings or build
-  const deliveryFee = Number(build?.pricing?.delivery || 0)
-  const titleFee = Number(settings?.pricing?.title_fee_default || 500)
-  const setupFee = Number(settings?.pricing?.setup_fee_default || 3000)
-  const taxRate = Number(settings?.pricing?.tax_rate_percent || 6.25) / 100
-  
-  const feesSubtotal = deliveryFee + titleFee + setupFee
-  const subtotalBeforeTax = subtotalBeforeFees + feesSubtotal
-  const salesTax = subtotalBeforeTax * taxRate
-  const total = calculateTotalPurchasePrice(build, settings)
+  const breakdown = calculateBuildPricing(build, settings)
+  const basePrice = breakdown.base
+  const optionsSubtotal = breakdown.options
+  const deliveryFee = breakdown.delivery
+  const titleFee = breakdown.title
+  const setupFee = breakdown.setup
+  const taxRate = breakdown.taxRate / 100
+  const salesTax = breakdown.tax
+  const total = breakdown.total
+  // Promo, admin adjustments and trade-in lines from the engine
+  const creditItems = breakdown.lineItems.filter(li => li.key === 'promo' || li.key === 'trade_in' || li.key.startsWith('adjustment:'))
+  const payoffItem = breakdown.lineItems.find(li => li.key === 'trade_in_payoff')
+  const taxExemption = build?.taxExemption
+  const contractSigned = build?.contract?.status === 'signed'
 
   // Group options by category for better organization
   const optionsByCategory = options.reduce((acc, option) => {
@@ -405,15 +475,105 @@ export default function Review() {
             </div>
           </div>
 
+          {/* Discounts, Adjustments & Trade-in */}
+          <div className="border-b border-gray-700 pb-4 mb-4">
+            <h3 className="text-lg font-medium text-gray-100 mb-3">Discounts & Credits</h3>
+            <div className="space-y-3">
+              {creditItems.map(item => (
+                <div key={item.key} className="flex justify-between items-center">
+                  <span className="text-gray-300">{item.label}</span>
+                  <span className={item.amount < 0 ? 'text-green-400' : 'text-gray-100'}>{formatCurrency(item.amount)}</span>
+                </div>
+              ))}
+              {!contractSigned && (build?.adjustments?.promo ? (
+                <button type="button" onClick={() => handlePromo('DELETE')} disabled={promoSaving} className="text-sm text-gray-400 hover:text-white underline">
+                  Remove promo code {build.adjustments.promo.code}
+                </button>
+              ) : (
+                <form onSubmit={e => { e.preventDefault(); handlePromo('POST') }} className="flex gap-2">
+                  <input
+                    value={promoCode}
+                    onChange={e => setPromoCode(e.target.value.toUpperCase())}
+                    placeholder="Promo code"
+                    className="flex-1 px-3 py-2 rounded bg-gray-900 border border-gray-700 text-white text-sm"
+                  />
+                  <button type="submit" disabled={promoSaving || !promoCode.trim()} className="btn-secondary text-sm">
+                    {promoSaving ? 'Applying...' : 'Apply'}
+                  </button>
+                </form>
+              ))}
+            </div>
+          </div>
+
           {/* Tax Calculation */}
           <div className="border-b border-gray-700 pb-4 mb-4">
             <div className="flex justify-between items-center">
               <div>
                 <span className="text-gray-300">Sales Tax</span>
-                <span className="text-sm text-gray-400 ml-2">({(taxRate * 100).toFixed(2)}%)</span>
+                <span className="text-sm text-gray-400 ml-2">
+                  {breakdown.taxExempt ? '(exempt)' : `(${breakdown.taxJurisdiction ? `${breakdown.taxJurisdiction.label}, ` : ''}${(taxRate * 100).toFixed(2)}%)`}
+                </span>
               </div>
               <span className="text-gray-100">{formatCurrency(salesTax)}</span>
             </div>
+            {!breakdown.taxExempt && breakdown.taxableAmount !== breakdown.subtotal && (
+              <p className="text-sm text-gray-400 mt-1">Taxed on {formatCurrency(breakdown.taxableAmount)} under {breakdown.taxJurisdiction?.label || 'local'} rules</p>
+            )}
+            {taxExemption ? (
+              <div className="text-sm text-gray-400 mt-3 flex justify-between items-center">
+                <span>
+                  Exemption certificate {taxExemption.certificateNumber}:{' '}
+                  <span className={taxExemption.status === 'approved' ? 'text-green-400' : taxExemption.status === 'rejected' ? 'text-red-400' : 'text-yellow-400'}>
+                    {taxExemption.status === 'pending' ? 'under review' : taxExemption.status}
+                  </span>
+                  {taxExemption.reviewNote && ` – ${taxExemption.reviewNote}`}
+                </span>
+                {!contractSigned && (
+                  <button type="button" onClick={() => handleExemption('DELETE')} disabled={exemptionSaving} className="underline hover:text-white">
+                    Withdraw
+                  </button>
+                )}
+              </div>
+            ) : !contractSigned && (
+              <details className="mt-3 text-sm">
+                <summary className="text-gray-400 cursor-pointer hover:text-white">Tax-exempt buyer? Upload your certificate</summary>
+                <form onSubmit={e => { e.preventDefault(); handleExemption('POST') }} className="grid md:grid-cols-3 gap-2 mt-3">
+                  <input
+                    value={exemption.certificateNumber}
+                    onChange={e => setExemption(x => ({ ...x, certificateNumber: e.target.value }))}
+                    placeholder="Certificate / permit number"
+                    className="px-3 py-2 rounded bg-gray-900 border border-gray-700 text-white"
+                  />
+                  <input
+                    value={exemption.issuingState}
+                    onChange={e => setExemption(x => ({ ...x, issuingState: e.target.value.toUpperCase().slice(0, 2) }))}
+                    placeholder="Issuing state (TX)"
+                    className="px-3 py-2 rounded bg-gray-900 border border-gray-700 text-white"
+                  />
+                  <input
+                    value={exemption.reason}
+                    onChange={e => setExemption(x => ({ ...x, reason: e.target.value }))}
+                    placeholder="Reason for exemption"
+                    className="px-3 py-2 rounded bg-gray-900 border border-gray-700 text-white"
+                  />
+                  <input
+                    type="file"
+                    accept="application/pdf"
+                    onChange={e => setExemption(x => ({ ...x, file: e.target.files?.[0] || null }))}
+                    className="md:col-span-2 text-gray-300"
+                  />
+                  <button type="submit" disabled={exemptionSaving || !exemption.file} className="btn-secondary text-sm">
+                    {exemptionSaving ? 'Uploading...' : 'Submit certificate'}
+                  </button>
+                </form>
+              </details>
+            )}
+            {payoffItem && (
+              <div className="flex justify-between items-center mt-3">
+                <span className="text-gray-300">{payoffItem.label} <span className="text-sm text-gray-400">(not taxed)</span></span>
+                <span className="text-gray-100">{formatCurrency(payoffItem.amount)}</span>
+              </div>
+            )}
           </div>
 
           {/* Total */}
@@ -444,6 +604,16 @@ export default function Review() {
                     Distance: Approx. {formatMiles(build.pricing.deliveryMiles)} to the factory
                   </p>
                 )}
+                {Array.isArray(build?.pricing?.deliveryLineItems) && build.pricing.deliveryLineItems.length > 0 && (
+                  <div className="text-sm text-gray-400 mt-2 space-y-1">
+                    {build.pricing.deliveryLineItems.map(li => (
+                      <div key={li.key} className="flex justify-between gap-4">
+                        <span>{li.label}</span>
+                        <span>{formatCurrency(li.amount)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -13,11 +13,16 @@ function Card({ title, children, action }) {
   )
 }
 
+// Builds with a signed agreement have a payment statement
+const SIGNED_STATUSES = ['SIGNED', 'DEPOSIT_PAID', 'IN_PRODUCTION', 'FACTORY_COMPLETE', 'IN_TRANSIT', 'DELIVERED', 'CLOSED']
+
 export default function Dashboard() {
   const { user } = useUser()
   const { getToken } = useAuth()
   const [orders, setOrders] = useState([])
   const [drafts, setDrafts] = useState([])
+  const [builds, setBuilds] = useState([])
+  const [buildsError, setBuildsError] = useState(null)
 
   useEffect(() => {
     let mounted = true
@@ -28,6 +33,16 @@ export default function Dashboard() {
         const json = await res.json()
         if (mounted) setOrders(Array.isArray(json) ? json : [])
       } catch {}
+      try {
+        const token = await getToken()
+        const res3 = await fetch('/api/builds', { headers: { Authorization: token ? `Bearer ${token}` : '' } })
+        const json3 = await res3.json()
+        if (!res3.ok) throw new Error(json3?.message || json3?.error || `HTTP ${res3.status}`)
+        if (mounted) setBuilds(Array.isArray(json3) ? json3.filter(b => SIGNED_STATUSES.includes(b.status)) : [])
+      } catch (err) {
+        console.error('Failed to load builds for payment statements:', err)
+        if (mounted) setBuildsError('Could not load your payment statements. Please try again later.')
+      }
       try {
         const res2 = await fetch('/api/orders?status=draft')
         const json2 = await res2.json()
@@ -68,6 +83,22 @@ export default function Dashboard() {
           {orders.length === 0 && <div className="py-6 text-gray-400 text-sm">No orders yet.</div>}
         </div>
       </Card>
+
+      <Card title="Payment Statements">
+        <div className="divide-y divide-gray-800">
+          {builds.map((b) => (
+            <div key={b._id} className="py-3 flex items-center justify-between">
+              <div>
+                <div className="font-medium text-gray-100">{b.modelName || b.modelSlug}</div>
+                <div className="text-sm text-gray-400">Status: {b.status.replace(/_/g, ' ').toLowerCase()}</div>
+              </div>
+              <a href={`/portal/statement/${b._id}`} className="px-3 py-1.5 rounded border border-gray-700 text-white hover:bg-white/10">View statement</a>
+            </div>
+          ))}
+          {buildsError && <div className="py-6 text-red-400 text-sm">{buildsError}</div>}
+          {!buildsError && builds.length === 0 && <div className="py-6 text-gray-400 text-sm">No signed builds yet.</div>}
+        </div>
+      </Card>
     </div>
   )
 }
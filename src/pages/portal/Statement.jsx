@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react'
+import { useParams } from 'react-router-dom'
+import { useAuth } from '@clerk/clerk-react'
+
+const money = (cents) => `$${(Number(cents || 0) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+export default function Statement() {
+  const { buildId } = useParams()
+  const { getToken } = useAuth()
+  const [build, setBuild] = useState(null)
+  const [statement, setStatement] = useState(null)
+  const [schedule, setSchedule] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let mounted = true
+    ;(async () => {
+      try {
+        const token = await getToken()
+        const headers = { Authorization: token ? `Bearer ${token}` : '' }
+        const [buildRes, ledgerRes, scheduleRes] = await Promise.all([
+          fetch(`/api/builds/${buildId}`, { headers }),
+          fetch(`/api/builds/${buildId}/ledger`, { headers }),
+          fetch(`/api/payments/schedules?buildId=${buildId}`, { headers }),
+        ])
+        if (!ledgerRes.ok) throw new Error('Statement not available')
+        const ledger = await ledgerRes.json()
+        const b = buildRes.ok ? await buildRes.json() : null
+        const schedules = scheduleRes.ok ? await scheduleRes.json() : null
+        if (mounted) { setBuild(b); setStatement(ledger.statement); setSchedule(schedules?.current || null) }
+      } catch (err) {
+        if (mounted) setError(err.message)
+      }
+    })()
+    return () => { mounted = false }
+  }, [buildId, getToken])
+
+  if (error) return <div className="card text-red-400">{error}</div>
+  if (!statement) return <div className="text-center text-gray-600 dark:text-gray-300">Loading…</div>
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="section-header">Payment Statement</h2>
+          {build && <div className="text-sm text-gray-400">{build.modelName || build.modelSlug}</div>}
+        </div>
+        <a href="/portal/dashboard" className="px-3 py-1.5 rounded border border-gray-700 text-white hover:bg-white/10 text-sm">Back</a>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mb-6 text-sm">
+        <div>
+          <div className="text-gray-400">Total charged</div>
+          <div className="text-lg text-gray-100">{money(statement.charges + statement.fees + statement.adjustments)}</div>
+        </div>
+        <div>
+          <div className="text-gray-400">Paid</div>
+          <div className="text-lg text-gray-100">{money(statement.paid)}</div>
+        </div>
+        <div>
+          <div className="text-gray-400">Balance due</div>
+          <div className="text-lg font-semibold text-yellow-400">{money(statement.balanceDue)}</div>
+        </div>
+      </div>
+
+      {schedule && (
+        <div className="mb-6">
+          <h3 className="text-sm font-medium text-gray-300 mb-2">Payment schedule</h3>
+          <div className="divide-y divide-gray-800 text-sm">
+            {schedule.milestones.map(m => (
+              <div key={m.key} className="py-2 flex items-center justify-between text-gray-200">
+                <span>{m.label} <span className="text-gray-500">· {m.trigger.replace(/_/g, ' ').toLowerCase()}</span></span>
+                <span>
+                  {money(m.amount)}
+                  <span className={`ml-3 text-xs ${m.status === 'paid' ? 'text-green-400' : m.status === 'due' ? 'text-yellow-400' : 'text-gray-500'}`}>{m.status}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {statement.lines.length === 0 ? (
+        <div className="py-6 text-gray-500">Nothing has been charged or paid on this build yet.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-gray-800">
+                <th className="py-2">Date</th>
+                <th className="py-2">Description</th>
+                <th className="py-2 text-right">Charges</th>
+                <th className="py-2 text-right">Credits</th>
+                <th className="py-2 text-right">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-800">
+              {statement.lines.map((line, i) => (
+                <tr key={i} className="text-gray-200">
+                  <td className="py-2 whitespace-nowrap">{new Date(line.date).toLocaleDateString()}</td>
+                  <td className="py-2">{line.description}</td>
+                  <td className="py-2 text-right">{line.charge ? money(line.charge) : ''}</td>
+                  <td className="py-2 text-right">{line.credit ? money(line.credit) : ''}</td>
+                  <td className="py-2 text-right">{money(line.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,17 +1,32 @@
 import { useState } from 'react'
+import { OPTION_UNITS, applyOptionUnits, formatOptionQuantity, getOptionUnit, isBuyerQuantity, unitPriceSuffix } from '../utils/optionUnits'
+import { applyOptionRules, getOptionRestriction } from '../utils/optionRules'
 
-export default function PublicOptionSelector({ options, value = [], onChange }) {
+export default function PublicOptionSelector({ options, value = [], onChange, model }) {
   const [open, setOpen] = useState(new Set())
+  const [notices, setNotices] = useState([])
   const isSelected = (opt) => value.some(v => v.id === opt.id)
+  const selectedOf = (opt) => value.find(v => v.id === opt.id)
+  const commit = (next) => {
+    const { selections, removed } = applyOptionRules(next, { model })
+    setNotices(removed.map(r => r.message))
+    onChange?.(applyOptionUnits(selections, { model }))
+  }
   const toggle = (opt, subject) => {
     const next = isSelected(opt) ? value.filter(v => v.id !== opt.id) : [...value, { ...opt, subject }]
-    onChange?.(next)
+    commit(next)
   }
+  const setQuantity = (opt, quantity) => commit(value.map(v => v.id === opt.id ? { ...v, quantity } : v))
   const toggleSubject = (s) => {
     const n = new Set(open); n.has(s) ? n.delete(s) : n.add(s); setOpen(n)
   }
   return (
     <div className="space-y-4">
+      {notices.length > 0 && (
+        <div className="text-sm rounded border border-yellow-500/40 bg-yellow-500/10 p-3 space-y-1">
+          {notices.map(message => <div key={message}>{message}</div>)}
+        </div>
+      )}
       {options.map(cat => (
         <div key={cat.subject} className="card overflow-hidden">
           <button className="w-full px-4 py-3 font-semibold text-left flex justify-between items-center" onClick={() => toggleSubject(cat.subject)}>
@@ -20,15 +35,37 @@ export default function PublicOptionSelector({ options, value = [], onChange })
           </button>
           {open.has(cat.subject) && (
             <div className="p-4 space-y-3">
-              {cat.items.map(opt => (
-                <label key={opt.id} className="flex items-start gap-3">
-                  <input type="checkbox" checked={isSelected(opt)} onChange={() => toggle(opt, cat.subject)} />
-                  <div className="flex-1">
-                    <div className="font-medium">{opt.name} - ${opt.price.toLocaleString()}</div>
-                    {opt.description && <div className="text-sm opacity-80">{opt.description}</div>}
-                  </div>
-                </label>
-              ))}
+              {cat.items.map(opt => {
+                const restriction = getOptionRestriction(opt, value, { model })
+                const disabled = !!restriction && !isSelected(opt)
+                return (
+                  <label key={opt.id} className={`flex items-start gap-3 ${disabled ? 'opacity-50' : ''}`}>
+                    <input type="checkbox" checked={isSelected(opt)} disabled={disabled} onChange={() => toggle(opt, cat.subject)} />
+                    <div className="flex-1">
+                      <div className="font-medium">{opt.name} - ${opt.price.toLocaleString()}{unitPriceSuffix(opt)}</div>
+                      {restriction && <div className={`text-xs ${isSelected(opt) ? 'text-red-500' : 'opacity-80'}`}>{restriction.message}</div>}
+                      {opt.description && <div className="text-sm opacity-80">{opt.description}</div>}
+                      {isSelected(opt) && (opt.unit || opt.maxQty) && (
+                        isBuyerQuantity(opt) ? (
+                          <span className="flex items-center gap-2 text-sm mt-1">
+                            <input
+                              type="number"
+                              min={opt.minQty ?? 1}
+                              max={opt.maxQty}
+                              value={selectedOf(opt)?.quantity ?? ''}
+                              onChange={e => setQuantity(opt, parseInt(e.target.value, 10))}
+                              className="w-20 px-2 py-1 rounded border border-gray-300 dark:border-gray-600 bg-transparent"
+                            />
+                            <span className="opacity-60">{OPTION_UNITS[getOptionUnit(opt)].label}</span>
+                          </span>
+                        ) : (
+                          <div className="text-sm opacity-80 mt-1">{formatOptionQuantity(selectedOf(opt))} for this model</div>
+                        )
+                      )}
+                    </div>
+                  </label>
+                )
+              })}
             </div>
           )}
         </div>
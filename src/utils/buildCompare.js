@@ -0,0 +1,74 @@
+// Side-by-side comparison of saved builds, shared by the compare page and the
+// public quote page. Pricing always comes from the shared pricing engine.
+import { calculateBuildPricing, optionLineTotal } from './pricing.js'
+
+export const MAX_COMPARE_BUILDS = 3
+
+/**
+ * Amortized monthly payment.
+ * @param {number} total - Amount financed
+ * @param {Object} terms
+ * @param {number} terms.apr - Annual rate as a fraction (0.075 = 7.5%)
+ * @param {number} terms.years - Loan term in years
+ * @returns {number} Monthly payment rounded to cents
+ */
+export function estimateMonthlyPayment(total, { apr = 0.075, years = 10 } = {}) {
+  const n = Math.max(1, Math.round(Number(years) * 12))
+  const r = Number(apr) / 12
+  const amount = Number(total || 0)
+  const payment = r > 0 ? (amount * r) / (1 - Math.pow(1 + r, -n)) : amount / n
+  return Math.round(payment * 100) / 100
+}
+
+const optionKey = (o) => o?.id || o?.code || o?.name
+
+/**
+ * Diff two or three builds.
+ * @param {Array<Object>} builds - Builds to compare, in column order
+ * @param {Object} settings - Org settings for the pricing engine
+ * @param {Object} financingTerms - { apr, years } used when a build has no financing estimate
+ * @returns {{ columns: Array, options: Array, totals: Array }}
+ *   `options` has one row per option on any build with `amounts[i]` (null when
+ *   build i does not have it) and `differs`; `totals` rows carry the same shape.
+ */
+export function compareBuilds(builds, settings = {}, financingTerms = {}) {
+  const list = (builds || []).slice(0, MAX_COMPARE_BUILDS)
+  const priced = list.map(b => calculateBuildPricing(b, settings))
+
+  const columns = list.map((b, i) => ({
+    buildId: String(b._id),
+    modelName: b.modelName || b.modelSlug,
+    modelSlug: b.modelSlug,
+    deliveryMiles: b.pricing?.deliveryMiles ?? null,
+    deliveryZone: b.pricing?.deliveryZone?.label || null,
+    monthlyPayment: Number(b.financing?.estMonthly) || estimateMonthlyPayment(priced[i].total, financingTerms),
+    pricing: priced[i],
+  }))
+
+  const rows = new Map()
+  list.forEach((b, i) => {
+    for (const opt of b.selections?.options || []) {
+      const key = optionKey(opt)
+      if (!rows.has(key)) rows.set(key, { key, name: opt.name || key, amounts: list.map(() => null) })
+      rows.get(key).amounts[i] = optionLineTotal(opt)
+    }
+  })
+  const options = [...rows.values()]
+    .map(row => ({ ...row, differs: new Set(row.amounts.map(a => (a == null ? 'none' : a))).size > 1 }))
+    .sort((a, b) => Number(b.differs) - Number(a.differs) || a.name.localeCompare(b.name))
+
+  const totalRow = (key, label, pick) => {
+    const amounts = columns.map(pick)
+    return { key, label, amounts, differs: new Set(amounts).size > 1 }
+  }
+  const totals = [
+    totalRow('base', 'Base Price', c => c.pricing.base),
+    totalRow('options', 'Options', c => c.pricing.options),
+    totalRow('delivery', 'Delivery', c => c.pricing.delivery),
+    totalRow('tax', 'Sales Tax', c => c.pricing.tax),
+    totalRow('total', 'Total', c => c.pricing.total),
+    totalRow('monthly', 'Est. Monthly Payment', c => c.monthlyPayment),
+  ]
+
+  return { columns, options, totals }
+}
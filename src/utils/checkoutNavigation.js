@@ -76,6 +76,8 @@ export async function updateBuildStep(buildId, step, token) {
         console.warn('Buyer information incomplete - cannot advance to step', step)
       } else if (errorData.error === 'missing_payment_method') {
         console.warn('Payment method not selected - cannot advance to step', step)
+      } else if (errorData.error === 'quote_expired') {
+        console.warn('Quote expired - build must be repriced before advancing to step', step)
       }
       
       return false
@@ -282,7 +284,7 @@ export function isStepCompleted(stepIndex, currentStep, isSignedIn, build = null
     if (stepIndex === 6) return !!(build.contract?.signed)
     
     // Step 8 (Confirmation): Completed if we have confirmation
-    if (stepIndex === 7) return !!(build.status === 'CONFIRMED')
+    if (stepIndex === 7) return ['CONFIRMED', 'SIGNED', 'DEPOSIT_PAID', 'IN_PRODUCTION', 'FACTORY_COMPLETE', 'IN_TRANSIT', 'DELIVERED', 'CLOSED'].includes(build.status)
   }
   
   // Fallback: All previous steps are completed
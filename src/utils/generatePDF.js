@@ -1,5 +1,7 @@
 import html2canvas from 'html2canvas'
 import jsPDF from 'jspdf'
+import { optionLineTotal } from './pricing'
+import { formatOptionQuantity, getOptionUnit, unitPriceSuffix } from './optionUnits'
 
 export const generatePDF = async (quoteData) => {
   try {
@@ -68,9 +70,10 @@ export const generatePDF = async (quoteData) => {
                     ${option.name}
                   </div>
                   ${option.description ? `<div style="font-size: 11px; color: #6b7280; margin-top: 2px;">${option.description}</div>` : ''}
+                  ${getOptionUnit(option) !== 'each' || Number(option.quantity || 1) !== 1 ? `<div style="font-size: 11px; color: #6b7280; margin-top: 2px;">${formatOptionQuantity(option)} @ $${option.price.toLocaleString()}${unitPriceSuffix(option)}</div>` : ''}
                 </div>
                 <div style="font-weight: bold; color: #0ea5e9;">
-                  $${option.price.toLocaleString()}
+                  $${optionLineTotal(option).toLocaleString()}
                 </div>
               </div>
             `).join('')}
@@ -87,7 +90,7 @@ export const generatePDF = async (quoteData) => {
           </div>
           <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
             <span><strong>Options & Upgrades:</strong></span>
-            <span>$${options.reduce((sum, opt) => sum + opt.price, 0).toLocaleString()}</span>
+            <span>$${options.reduce((sum, opt) => sum + optionLineTotal(opt), 0).toLocaleString()}</span>
           </div>
           <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
             <span><strong>Subtotal:</strong></span>
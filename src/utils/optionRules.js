@@ -0,0 +1,119 @@
+// Option compatibility engine shared by the configurators and the builds API.
+// Rules live in src/data/optionRules.js; every check here works on option ids
+// so it accepts both catalog items ({ id }) and build selections ({ code }).
+
+import { OPTIONS } from '../data/options.js'
+import { OPTION_RULES } from '../data/optionRules.js'
+import { getModelDimensions } from './optionUnits.js'
+
+const OPTION_NAMES = new Map(
+  OPTIONS.flatMap(group => (group.items || []).map(item => [item.id, item.name]))
+)
+
+function optionId(option) {
+  return option?.id || option?.code
+}
+
+function nameOf(id) {
+  return OPTION_NAMES.get(id) || id
+}
+
+function listNames(ids) {
+  const names = ids.map(nameOf)
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0]
+}
+
+function nominalWidth(model) {
+  const { width } = getModelDimensions(model)
+  return width ? Math.floor(width) : null
+}
+
+/**
+ * Why an option cannot be selected alongside the current selections.
+ * @param {Object|string} option - Catalog item or option id
+ * @param {Array} selections - Currently selected options
+ * @param {Object} context
+ * @param {Object} context.model - Selected model (width restrictions are skipped when unknown)
+ * @param {Array} context.rules - Rule list, defaults to OPTION_RULES
+ * @returns {{ code: string, message: string }|null} Null when the option is available
+ */
+export function getOptionRestriction(option, selections = [], { model, rules = OPTION_RULES } = {}) {
+  const id = typeof option === 'string' ? option : optionId(option)
+  const selected = new Set((selections || []).map(optionId).filter(s => s && s !== id))
+  const width = nominalWidth(model)
+
+  for (const rule of rules) {
+    if (rule.type === 'modelWidth' && width && rule.options.includes(id) && !rule.widths.includes(width)) {
+      return { code: 'model_width', message: `Only available on ${rule.widths.map(w => `${w}'`).join(' or ')} wide models` }
+    }
+    if (rule.type === 'includes' && rule.options.includes(id) && selected.has(rule.package)) {
+      return { code: 'included', message: `Already included in ${nameOf(rule.package)}` }
+    }
+    if (rule.type === 'exclusive' && rule.options.includes(id)) {
+      const other = rule.options.find(o => o !== id && selected.has(o))
+      if (other) return { code: 'excludes', message: `Not available with ${nameOf(other)}` }
+    }
+    if (rule.type === 'requires' && rule.option === id && !rule.anyOf.some(o => selected.has(o))) {
+      return { code: 'requires', message: `Requires ${listNames(rule.anyOf)}` }
+    }
+  }
+  return null
+}
+
+/**
+ * Apply the rules to a full selection list. Options included by a selected
+ * package, and options whose requirement is no longer selected, are removed
+ * with a notice; mutually exclusive choices and width restrictions cannot be
+ * resolved automatically and are reported as conflicts.
+ * @param {Array} selections - Selected options
+ * @param {Object} context - { model, rules }
+ * @returns {{ selections: Array, removed: Array<{ id, name, code, message }>, conflicts: Array<{ id, name, code, message }> }}
+ */
+export function applyOptionRules(selections = [], { model, rules = OPTION_RULES } = {}) {
+  let list = Array.isArray(selections) ? [...selections] : []
+  const removed = []
+  const conflicts = []
+  const width = nominalWidth(model)
+
+  for (const rule of rules) {
+    if (rule.type !== 'includes') continue
+    if (!list.some(o => optionId(o) === rule.package)) continue
+    list = list.filter(o => {
+      const id = optionId(o)
+      if (!rule.options.includes(id)) return true
+      removed.push({ id, name: nameOf(id), code: 'included', message: `${nameOf(id)} was removed because it is included in ${nameOf(rule.package)}` })
+      return false
+    })
+  }
+
+  // Removing one option can orphan another, so repeat until nothing changes
+  let changed = true
+  while (changed) {
+    changed = false
+    for (const rule of rules) {
+      if (rule.type !== 'requires') continue
+      const ids = new Set(list.map(optionId))
+      if (!ids.has(rule.option) || rule.anyOf.some(o => ids.has(o))) continue
+      list = list.filter(o => optionId(o) !== rule.option)
+      removed.push({ id: rule.option, name: nameOf(rule.option), code: 'requires', message: `${nameOf(rule.option)} was removed because it requires ${listNames(rule.anyOf)}` })
+      changed = true
+    }
+  }
+
+  const ids = new Set(list.map(optionId))
+  for (const rule of rules) {
+    if (rule.type === 'exclusive') {
+      const chosen = rule.options.filter(o => ids.has(o))
+      if (chosen.length > 1) {
+        conflicts.push({ id: chosen[1], name: nameOf(chosen[1]), code: 'excludes', message: `${chosen.map(nameOf).join(' and ')} cannot be selected together` })
+      }
+    }
+    if (rule.type === 'modelWidth' && width && !rule.widths.includes(width)) {
+      for (const id of rule.options.filter(o => ids.has(o))) {
+        conflicts.push({ id, name: nameOf(id), code: 'model_width', message: `${nameOf(id)} is only available on ${rule.widths.map(w => `${w}'`).join(' or ')} wide models` })
+      }
+    }
+  }
+
+  return { selections: list, removed, conflicts }
+}
@@ -0,0 +1,161 @@
+// Unit-based option pricing shared by the configurator, the builds API and
+// the order summary PDF. Catalog items in src/data/options.js may declare a
+// `unit` plus where their quantity comes from:
+//
+//   unit:           'each' | 'sqft' | 'lf' | 'axle'   (default 'each')
+//   quantitySource: 'buyer' | 'floorArea' | 'length' | 'axles'
+//   minQty/maxQty:  bounds applied to buyer-entered quantities
+//   addsAxles:      number of axles the option adds to the home
+//
+// Derived quantities are always recomputed from the model, so a client can
+// only influence the quantity of buyer-entered options, within bounds.
+
+export const OPTION_UNITS = Object.freeze({
+  each: { label: 'each', short: 'ea' },
+  sqft: { label: 'sq ft', short: 'sf' },
+  lf: { label: 'linear ft', short: 'lf' },
+  axle: { label: 'axle', short: 'axle' },
+})
+
+/** Axle count assumed when a model does not declare one. */
+export const DEFAULT_AXLE_COUNT = 2
+
+/**
+ * Parse a dimension such as 30', 8'6" or 12.5 into decimal feet.
+ * @param {string|number} value - Dimension from model specs
+ * @returns {number|null} Feet, or null if it cannot be parsed
+ */
+export function parseFeet(value) {
+  if (value === null || value === undefined || value === '') return null
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  const match = String(value).match(/^\s*(\d+(?:\.\d+)?)\s*(?:'|ft)?\s*(?:(\d+(?:\.\d+)?)\s*(?:"|in)?)?\s*$/)
+  if (!match) return null
+  const feet = Number(match[1])
+  const inches = match[2] ? Number(match[2]) : 0
+  return Math.round((feet + inches / 12) * 100) / 100
+}
+
+/**
+ * Dimensions used to derive option quantities for a model. Accepts local
+ * catalog models (with `specs`) and API model documents (flat fields).
+ * @param {Object} model - Model definition
+ * @returns {{ length: number|null, width: number|null, floorArea: number|null, axles: number }}
+ */
+export function getModelDimensions(model) {
+  const specs = model?.specs || {}
+  const length = parseFeet(specs.length ?? model?.length)
+  const width = parseFeet(specs.width ?? model?.width)
+  const declaredArea = Number(model?.squareFeet ?? specs.squareFeet)
+  const floorArea = Number.isFinite(declaredArea) && declaredArea > 0
+    ? declaredArea
+    : (length && width ? Math.round(length * width) : null)
+  const declaredAxles = Number(specs.axles ?? model?.axles)
+  const axles = Number.isFinite(declaredAxles) && declaredAxles > 0 ? declaredAxles : DEFAULT_AXLE_COUNT
+  return { length, width, floorArea, axles }
+}
+
+/**
+ * Unit of a catalog option or selection.
+ * @param {Object} option - Catalog item or selected option
+ * @returns {string} One of the OPTION_UNITS keys
+ */
+export function getOptionUnit(option) {
+  return OPTION_UNITS[option?.unit] ? option.unit : 'each'
+}
+
+/**
+ * Whether the buyer enters the quantity for this option.
+ * @param {Object} option - Catalog item
+ * @returns {boolean}
+ */
+export function isBuyerQuantity(option) {
+  return !option?.quantitySource || option.quantitySource === 'buyer'
+}
+
+function clamp(n, min, max) {
+  let out = n
+  if (Number.isFinite(min)) out = Math.max(min, out)
+  if (Number.isFinite(max)) out = Math.min(max, out)
+  return out
+}
+
+/**
+ * Resolve the quantity for an option given the model dimensions.
+ * @param {Object} option - Catalog item (unit metadata)
+ * @param {Object} dims - Result of getModelDimensions()
+ * @param {number} requested - Quantity the buyer asked for (buyer-entered options only)
+ * @returns {number} Quantity to price
+ */
+export function resolveOptionQuantity(option, dims = {}, requested) {
+  const min = option?.minQty != null ? Number(option.minQty) : 1
+  const max = option?.maxQty != null ? Number(option.maxQty) : undefined
+  switch (option?.quantitySource) {
+    case 'floorArea':
+      return clamp(Math.ceil(Number(dims.floorArea || 0)), min, max)
+    case 'length':
+      return clamp(Math.ceil(Number(dims.length || 0)), min, max)
+    case 'axles':
+      return clamp(Number(dims.axles || DEFAULT_AXLE_COUNT), min, max)
+    default: {
+      const n = Number(requested)
+      const fallback = option?.defaultQty != null ? Number(option.defaultQty) : min
+      return clamp(Number.isFinite(n) && n > 0 ? Math.round(n) : fallback, min, max)
+    }
+  }
+}
+
+/**
+ * Apply unit metadata and quantities to a list of selected options.
+ * Catalog metadata wins over whatever the client sent so derived quantities
+ * and bounds cannot be bypassed.
+ * @param {Array} selections - Selected options ({ id|code, price, quantity, ... })
+ * @param {Object} context
+ * @param {Object} context.model - Selected model (for specs)
+ * @param {Array} context.catalog - Flat catalog items with unit metadata
+ * @returns {Array} Selections with `unit` and `quantity` set
+ */
+export function applyOptionUnits(selections = [], { model, catalog = [] } = {}) {
+  const list = Array.isArray(selections) ? selections : []
+  const byId = new Map(catalog.map(item => [item.id, item]))
+  const dims = getModelDimensions(model)
+  const addedAxles = list.reduce((sum, sel) => {
+    const item = byId.get(sel?.id || sel?.code) || sel
+    return sum + Number(item?.addsAxles || 0)
+  }, 0)
+  const context = { ...dims, axles: dims.axles + addedAxles }
+
+  return list.map(sel => {
+    const item = byId.get(sel?.id || sel?.code) || sel
+    const unit = getOptionUnit(item)
+    const quantity = resolveOptionQuantity(item, context, sel?.quantity)
+    return {
+      ...sel,
+      unit,
+      quantitySource: item?.quantitySource || 'buyer',
+      quantity,
+    }
+  })
+}
+
+/**
+ * Human readable quantity, e.g. "240 sq ft" or "2 axle".
+ * @param {Object} option - Selected option with unit/quantity
+ * @returns {string}
+ */
+export function formatOptionQuantity(option) {
+  const unit = getOptionUnit(option)
+  const qty = Number(option?.quantity || 1)
+  if (unit === 'each') return String(qty)
+  const label = OPTION_UNITS[unit].label
+  return `${qty} ${unit === 'axle' && qty !== 1 ? 'axles' : label}`
+}
+
+/**
+ * Unit price suffix for display, e.g. "/ sq ft". Empty for per-each options.
+ * @param {Object} option - Catalog item or selected option
+ * @returns {string}
+ */
+export function unitPriceSuffix(option) {
+  const unit = getOptionUnit(option)
+  return unit === 'each' ? '' : ` / ${OPTION_UNITS[unit].label}`
+}
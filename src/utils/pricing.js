@@ -0,0 +1,235 @@
+// Single pricing engine shared by the API (builds, payments, contracts, PDFs)
+// and the React checkout pages. Every total shown to or charged from a buyer
+// must come from calculateBuildPricing() so the numbers always agree.
+
+/**
+ * Bump whenever the math in this module changes so stored breakdowns can be
+ * traced back to the engine that produced them.
+ */
+export const PRICING_ENGINE_VERSION = 3
+
+/**
+ * Defaults used when org settings are missing a value. Mirrors the fallback
+ * document created by getOrgSettings() in lib/settings.js.
+ */
+export const DEFAULT_PRICING = Object.freeze({
+  deposit_percent: 25,
+  tax_rate_percent: 6.25,
+  delivery_rate_per_mile: 12.5,
+  delivery_minimum: 2000,
+  title_fee_default: 500,
+  setup_fee_default: 3000,
+  quote_expiry_days: 30,
+})
+
+/**
+ * Which lines are taxed when the build has no tax jurisdiction (or the
+ * jurisdiction leaves a flag out). Everything is taxable by default.
+ */
+export const DEFAULT_TAXABILITY = Object.freeze({
+  base: true,
+  options: true,
+  delivery: true,
+  title: true,
+  setup: true,
+})
+
+/**
+ * Round a number to exactly 2 decimal places
+ * @param {number} amount - The amount to round
+ * @returns {number} Rounded number
+ */
+export function roundToCents(amount) {
+  if (amount === null || amount === undefined || isNaN(amount)) return 0
+  return Math.round(Number(amount) * 100) / 100
+}
+
+function num(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback
+  const n = Number(value)
+  return Number.isFinite(n) ? n : fallback
+}
+
+/**
+ * Merge org settings (as returned by getOrgSettings() or /api/settings) with
+ * the defaults and report which settings version they came from.
+ * @param {Object} settings - Org settings document
+ * @returns {Object} Resolved pricing settings with a numeric `version`
+ */
+export function resolvePricingSettings(settings = {}) {
+  const p = settings?.pricing || {}
+  const resolved = {}
+  for (const key of Object.keys(DEFAULT_PRICING)) {
+    resolved[key] = num(p[key], DEFAULT_PRICING[key])
+  }
+  resolved.version = num(settings?.version, 0)
+  return resolved
+}
+
+/**
+ * Line total for a single selected option.
+ * @param {Object} option - Option selection ({ price, quantity })
+ * @returns {number} Extended price rounded to cents
+ */
+export function optionLineTotal(option) {
+  const price = num(option?.price, 0)
+  const quantity = num(option?.quantity, 1)
+  return roundToCents(price * quantity)
+}
+
+/**
+ * Promo code discount in dollars. `promo` is the snapshot stored on the build
+ * ({ code, type: 'percent' | 'fixed', value, models, options }). A model scope
+ * that no longer matches the build discounts nothing; an option scope only
+ * discounts those options' lines. Never more than the eligible amount.
+ * @returns {number} Discount as a positive amount
+ */
+export function promoDiscount(promo, { modelSlug, base = 0, options = 0, optionItems = [] } = {}) {
+  if (!promo) return 0
+  if (promo.models?.length && !promo.models.includes(modelSlug)) return 0
+  const eligible = promo.options?.length
+    ? optionItems.filter(o => promo.options.includes(o.id || o.code)).reduce((sum, o) => sum + optionLineTotal(o), 0)
+    : base + options
+  const value = num(promo.value, 0)
+  const amount = promo.type === 'percent' ? eligible * (value / 100) : value
+  return roundToCents(Math.min(Math.max(0, amount), eligible))
+}
+
+/**
+ * Rate and taxable base for a build. `jurisdiction` is the snapshot stored as
+ * `pricing.taxJurisdiction` when the delivery address is priced (see
+ * lib/tax.js); without one the org-wide `tax_rate_percent` applies to every
+ * line. Options the catalog flags `taxable: false` (stamped on the selection
+ * by normalizeOptionSelections) are left out of the taxable base.
+ * @returns {{ rate: number, label: string|null, taxable: Object, taxableBasePercent: number }}
+ */
+export function resolveTaxTreatment(jurisdiction, cfg) {
+  if (!jurisdiction) {
+    return { rate: cfg.tax_rate_percent, label: null, taxable: { ...DEFAULT_TAXABILITY }, taxableBasePercent: 100 }
+  }
+  return {
+    rate: num(jurisdiction.rate, cfg.tax_rate_percent),
+    label: jurisdiction.label || null,
+    taxable: { ...DEFAULT_TAXABILITY, ...(jurisdiction.taxable || {}) },
+    taxableBasePercent: num(jurisdiction.taxableBasePercent, 100),
+  }
+}
+
+/**
+ * Calculate the itemized price of a build.
+ *
+ * The build's own `pricing.delivery` is used when a delivery quote has been
+ * stored; otherwise the configured delivery minimum is assumed. Title, setup,
+ * tax and deposit always come from settings so two builds with the same
+ * selections price identically.
+ *
+ * `build.adjustments` ({ promo, manual, tradeIn }) is applied before tax:
+ * promo discounts, admin adjustments and the trade-in allowance all lower
+ * the taxable amount. A trade-in payoff owed to the buyer's lender is added
+ * after tax because it is not part of the sale.
+ *
+ * Sales tax follows the delivery jurisdiction stored on the pricing (rate,
+ * per-line taxability and any partial taxable base, e.g. manufactured housing
+ * taxed on a percentage of the sale price). A buyer whose exemption
+ * certificate has been approved (`build.taxExemption.status === 'approved'`)
+ * pays no tax.
+ *
+ * @param {Object} build - Build (or build-like object with selections/pricing/payment)
+ * @param {Object} settings - Org settings document
+ * @returns {Object} Pricing breakdown including `settingsVersion` and `lineItems`
+ */
+export function calculateBuildPricing(build, settings = {}) {
+  const cfg = resolvePricingSettings(settings)
+  const selections = build?.selections || {}
+  const stored = build?.pricing || {}
+
+  const base = roundToCents(num(selections.basePrice, 0))
+  const packagePrice = roundToCents(num(selections.packagePrice, 0))
+  const optionItems = Array.isArray(selections.options) ? selections.options : []
+  const options = roundToCents(optionItems.reduce((sum, opt) => sum + optionLineTotal(opt), 0) + packagePrice)
+  const delivery = roundToCents(num(stored.delivery, cfg.delivery_minimum))
+  const title = roundToCents(cfg.title_fee_default)
+  const setup = roundToCents(cfg.setup_fee_default)
+
+  const adjustments = build?.adjustments || {}
+  const promo = promoDiscount(adjustments.promo, { modelSlug: build?.modelSlug, base, options, optionItems })
+  const manualItems = (Array.isArray(adjustments.manual) ? adjustments.manual : [])
+    .map(a => ({ key: `adjustment:${a.id}`, label: a.label || 'Adjustment', amount: roundToCents(num(a.amount, 0)) }))
+    .filter(a => a.amount)
+  const manual = roundToCents(manualItems.reduce((sum, a) => sum + a.amount, 0))
+  const tradeInAllowance = roundToCents(num(adjustments.tradeIn?.allowance, 0))
+  const tradeInPayoff = roundToCents(num(adjustments.tradeIn?.payoff, 0))
+
+  const subtotal = roundToCents(base + options + delivery + title + setup - promo + manual - tradeInAllowance)
+
+  const treatment = resolveTaxTreatment(stored.taxJurisdiction, cfg)
+  const taxExempt = build?.taxExemption?.status === 'approved'
+  const untaxedOptions = optionItems.filter(o => o?.taxable === false).reduce((sum, o) => sum + optionLineTotal(o), 0)
+  const taxedLines = (treatment.taxable.base ? base : 0) +
+    (treatment.taxable.options ? options - untaxedOptions : 0) +
+    (treatment.taxable.delivery ? delivery : 0) +
+    (treatment.taxable.title ? title : 0) +
+    (treatment.taxable.setup ? setup : 0)
+  // Discounts on the home only lower the taxable base when the home itself is taxed
+  const taxedPromo = treatment.taxable.base || treatment.taxable.options ? promo : 0
+  const taxableAmount = taxExempt
+    ? 0
+    : roundToCents(Math.max(0, taxedLines - taxedPromo + manual - tradeInAllowance) * (treatment.taxableBasePercent / 100))
+  const taxRate = taxExempt ? 0 : treatment.rate
+  const tax = roundToCents(taxableAmount * (taxRate / 100))
+  const total = roundToCents(subtotal + tax + tradeInPayoff)
+  const taxLabel = taxExempt
+    ? 'Sales Tax (exempt)'
+    : `Sales Tax (${treatment.label ? `${treatment.label} ` : ''}${taxRate}%)`
+
+  const depositPercent = num(build?.payment?.plan?.percent, cfg.deposit_percent)
+  const deposit = roundToCents(total * (depositPercent / 100))
+  const balance = roundToCents(total - deposit)
+
+  const lineItems = [
+    { key: 'base', label: 'Base Price', amount: base },
+    { key: 'options', label: 'Options', amount: options },
+    { key: 'delivery', label: 'Delivery', amount: delivery },
+    { key: 'title', label: 'Title Fee', amount: title },
+    { key: 'setup', label: 'Setup', amount: setup },
+    ...(promo ? [{ key: 'promo', label: `Promo Code ${adjustments.promo.code}`, amount: -promo }] : []),
+    ...manualItems,
+    ...(tradeInAllowance ? [{ key: 'trade_in', label: 'Trade-in Allowance', amount: -tradeInAllowance }] : []),
+    { key: 'tax', label: taxLabel, amount: tax },
+    ...(tradeInPayoff ? [{ key: 'trade_in_payoff', label: 'Trade-in Payoff', amount: tradeInPayoff }] : []),
+  ]
+
+  return {
+    engineVersion: PRICING_ENGINE_VERSION,
+    settingsVersion: cfg.version,
+    base,
+    options,
+    delivery,
+    title,
+    setup,
+    promoCode: promo ? adjustments.promo.code : null,
+    promoDiscount: promo,
+    adjustments: manual,
+    tradeInAllowance,
+    tradeInPayoff,
+    subtotal,
+    taxRate,
+    taxableAmount,
+    taxExempt,
+    taxJurisdiction: stored.taxJurisdiction || null,
+    tax,
+    total,
+    depositPercent,
+    deposit,
+    balance,
+    lineItems,
+    // Preserve delivery calculation details
+    deliveryMiles: stored.deliveryMiles,
+    deliveryRate: stored.deliveryRate,
+    deliveryMinimum: stored.deliveryMinimum,
+    deliveryZone: stored.deliveryZone,
+    deliveryLineItems: stored.deliveryLineItems,
+    deliveryEstimated: stored.deliveryEstimated,
+    deliveryDistanceProvider: stored.deliveryDistanceProvider,
+  }
+}
@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { calculateBuildPricing, promoDiscount } from '../src/utils/pricing.js'
+
+const col = { updateOne: vi.fn(), countDocuments: vi.fn(async () => 0), findOne: vi.fn(), createIndex: vi.fn(), insertOne: vi.fn(), deleteOne: vi.fn() }
+vi.mock('../lib/db.js', () => ({
+  getDb: vi.fn(async () => ({ collection: () => col }))
+}))
+const settings = { pricing: { tax_rate_percent: 10, deposit_percent: 25, delivery_minimum: 0, title_fee_default: 0, setup_fee_default: 0 } }
+vi.mock('../lib/settings.js', () => ({ getOrgSettings: vi.fn(async () => settings) }))
+vi.mock('../lib/builds.js', async () => {
+  const { calculateBuildPricing: price } = await import('../src/utils/pricing.js')
+  return { BUILDS_COLLECTION: 'builds', getBuildById: vi.fn(async id => ({ _id: id })), reprice: price }
+})
+
+const { addManualAdjustment, applyPromoCode, promoIneligibility, redeemPromoCode, releasePromoCode, setTradeIn, validatePromoCode } = await import('../lib/adjustments.js')
+
+const build = (adjustments) => ({
+  _id: 'b1',
+  userId: 'u1',
+  modelSlug: 'magnolia',
+  selections: { basePrice: 10000, options: [{ id: 'loft', name: 'Loft', price: 2000 }] },
+  pricing: { delivery: 0 },
+  adjustments,
+})
+
+describe('promoDiscount', () => {
+  it('takes a percent of the home or of the scoped options only', () => {
+    expect(promoDiscount({ type: 'percent', value: 10 }, { base: 10000, options: 2000 })).toBe(1200)
+    const optionItems = [{ id: 'loft', price: 2000 }, { id: 'porch', price: 500 }]
+    expect(promoDiscount({ type: 'percent', value: 50, options: ['loft'] }, { base: 10000, options: 2500, optionItems })).toBe(1000)
+  })
+
+  it('never exceeds the eligible amount and ignores other models', () => {
+    expect(promoDiscount({ type: 'fixed', value: 5000, options: ['loft'] }, { optionItems: [{ id: 'loft', price: 2000 }] })).toBe(2000)
+    expect(promoDiscount({ type: 'fixed', value: 500, models: ['oak'] }, { modelSlug: 'magnolia', base: 10000 })).toBe(0)
+  })
+})
+
+describe('adjustments in the pricing engine', () => {
+  it('taxes the price after discounts and adds the trade-in payoff after tax', () => {
+    const pricing = calculateBuildPricing(build({
+      promo: { code: 'SPRING', type: 'fixed', value: 1000 },
+      manual: [{ id: 'a1', label: 'Dealer Incentive', amount: -500 }],
+      tradeIn: { allowance: 3000, payoff: 1200 },
+    }), settings)
+    expect(pricing.subtotal).toBe(7500)
+    expect(pricing.tax).toBe(750)
+    expect(pricing.total).toBe(9450)
+    expect(pricing.lineItems.map(li => li.key)).toEqual(['base', 'options', 'delivery', 'title', 'setup', 'promo', 'adjustment:a1', 'trade_in', 'tax', 'trade_in_payoff'])
+    expect(pricing.lineItems.find(li => li.key === 'promo')).toMatchObject({ label: 'Promo Code SPRING', amount: -1000 })
+    expect(pricing.lineItems.reduce((sum, li) => sum + li.amount, 0)).toBe(pricing.total)
+  })
+
+  it('leaves builds without adjustments unchanged', () => {
+    const pricing = calculateBuildPricing(build(), settings)
+    expect(pricing.total).toBe(13200)
+    expect(pricing.lineItems).toHaveLength(6)
+  })
+})
+
+describe('promo codes', () => {
+  it('normalizes codes, lists and limits', () => {
+    const { promo } = validatePromoCode({ code: ' spring-25 ', type: 'percent', value: '25', models: 'magnolia, oak', maxUses: '100' })
+    expect(promo).toMatchObject({ code: 'SPRING-25', value: 25, models: ['magnolia', 'oak'], options: [], maxUses: 100, maxUsesPerBuyer: null, active: true })
+    expect(validatePromoCode({ code: 'X', type: 'percent', value: 10 }).error).toBe('invalid_promo')
+    expect(validatePromoCode({ code: 'BIG', type: 'percent', value: 150 }).error).toBe('invalid_promo')
+    expect(validatePromoCode({ code: 'LATE', type: 'fixed', value: 100, startsAt: '2025-02-01', expiresAt: '2025-01-01' }).error).toBe('invalid_promo')
+  })
+
+  it('explains why a code cannot be used', () => {
+    const now = new Date('2025-06-01')
+    const promo = { code: 'SPRING', active: true, type: 'percent', value: 10, uses: 0, maxUses: 5, maxUsesPerBuyer: 1, models: [], options: [] }
+    const reason = (p, opts = {}) => promoIneligibility(p, build(), { now, ...opts })?.error
+    expect(reason(promo)).toBeUndefined()
+    expect(reason({ ...promo, expiresAt: new Date('2025-05-31') })).toBe('promo_expired')
+    expect(reason({ ...promo, startsAt: new Date('2025-07-01') })).toBe('promo_not_started')
+    expect(reason({ ...promo, uses: 5 })).toBe('promo_exhausted')
+    expect(reason(promo, { buyerRedemptions: 1 })).toBe('promo_already_used')
+    expect(reason({ ...promo, models: ['oak'] })).toBe('promo_not_applicable')
+    expect(reason({ ...promo, options: ['porch'] })).toBe('promo_not_applicable')
+    expect(reason({ ...promo, active: false })).toBe('promo_not_found')
+  })
+
+  it('stores a snapshot of the code and reprices the build', async () => {
+    col.findOne.mockResolvedValueOnce({ code: 'SPRING', active: true, type: 'fixed', value: 700, models: [], options: [] })
+    col.updateOne.mockReset()
+    await applyPromoCode(build(), 'spring', { userId: 'admin' })
+    const { $set } = col.updateOne.mock.calls[0][1]
+    expect($set.adjustments.promo).toMatchObject({ code: 'SPRING', value: 700, appliedBy: 'admin' })
+    expect($set.pricing.promoDiscount).toBe(700)
+  })
+})
+
+describe('promo redemption', () => {
+  const signed = () => build({ promo: { code: 'SPRING', type: 'fixed', value: 700 } })
+
+  beforeEach(() => {
+    col.findOne.mockReset()
+    col.updateOne.mockReset()
+    col.insertOne.mockReset()
+    col.countDocuments.mockResolvedValue(0)
+  })
+
+  it('takes a use only while the code has one left', async () => {
+    col.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ code: 'SPRING', uses: 0, maxUses: 1 })
+    col.updateOne.mockResolvedValueOnce({ matchedCount: 1 })
+    expect(await redeemPromoCode(signed())).toEqual({ redeemed: 'SPRING' })
+    expect(col.updateOne.mock.calls[0][0]).toEqual({ code: 'SPRING', uses: { $lt: 1 } })
+    expect(col.insertOne).toHaveBeenCalledWith(expect.objectContaining({ code: 'SPRING', buildId: 'b1', userId: 'u1' }))
+  })
+
+  it('refuses a code used up since it was applied', async () => {
+    col.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ code: 'SPRING', uses: 1, maxUses: 1 })
+    col.updateOne.mockResolvedValueOnce({ matchedCount: 0 })
+    expect((await redeemPromoCode(signed())).error).toBe('promo_exhausted')
+    col.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ code: 'SPRING', uses: 0, maxUsesPerBuyer: 1 })
+    col.countDocuments.mockResolvedValueOnce(1)
+    expect((await redeemPromoCode(signed())).error).toBe('promo_already_used')
+    expect(col.insertOne).not.toHaveBeenCalled()
+  })
+
+  it('counts a build once and gives the use back when it is cancelled', async () => {
+    col.findOne.mockResolvedValueOnce({ code: 'SPRING', buildId: 'b1' })
+    expect(await redeemPromoCode(signed())).toEqual({ duplicate: true })
+    expect(col.updateOne).not.toHaveBeenCalled()
+
+    col.deleteOne.mockResolvedValueOnce({ deletedCount: 1 })
+    expect(await releasePromoCode(signed())).toEqual({ released: 'SPRING' })
+    expect(col.updateOne).toHaveBeenCalledWith({ code: 'SPRING', uses: { $gt: 0 } }, { $inc: { uses: -1 } })
+  })
+})
+
+describe('manual adjustments and trade-ins', () => {
+  beforeEach(() => col.updateOne.mockReset())
+
+  it('checks the sign against the reason code and requires a note', async () => {
+    expect((await addManualAdjustment(build(), { reasonCode: 'goodwill', amount: 200, note: 'Late delivery' })).error).toBe('invalid_amount')
+    expect((await addManualAdjustment(build(), { reasonCode: 'additional_charge', amount: -200, note: 'Crane' })).error).toBe('invalid_amount')
+    expect((await addManualAdjustment(build(), { reasonCode: 'goodwill', amount: -200 })).error).toBe('note_required')
+    expect((await addManualAdjustment(build(), { reasonCode: 'nope', amount: -200, note: 'x' })).error).toBe('invalid_reason')
+    expect(col.updateOne).not.toHaveBeenCalled()
+
+    await addManualAdjustment(build(), { reasonCode: 'correction', amount: 150, note: 'Missed option' }, { userId: 'admin' })
+    const { $set } = col.updateOne.mock.calls[0][1]
+    expect($set.adjustments.manual[0]).toMatchObject({ reasonCode: 'correction', label: 'Pricing Correction', amount: 150, createdBy: 'admin' })
+    expect($set.pricing.adjustments).toBe(150)
+  })
+
+  it('caps the trade-in allowance at the price of the home', async () => {
+    expect((await setTradeIn(build(), { description: '2015 Airstream', allowance: 20000 })).error).toBe('invalid_trade_in')
+    await setTradeIn(build(), { description: '2015 Airstream', vin: 'abc123', allowance: 4000, payoff: 1000 })
+    const { $set } = col.updateOne.mock.calls[0][1]
+    expect($set.adjustments.tradeIn).toMatchObject({ vin: 'ABC123', allowance: 4000, payoff: 1000 })
+    expect($set.pricing.total).toBe(9800)
+  })
+
+  it('locks adjustments once the contract is signed', async () => {
+    const signed = { ...build(), contract: { status: 'signed' } }
+    expect((await addManualAdjustment(signed, { reasonCode: 'goodwill', amount: -100, note: 'x' })).error).toBe('build_signed')
+    expect((await setTradeIn(signed, { description: 'RV', allowance: 100 })).error).toBe('build_signed')
+  })
+})
@@ -0,0 +1,168 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const buildId = '64b000000000000000abc123'
+const transfers = { findOne: vi.fn(), updateOne: vi.fn() }
+const ledger = { find: vi.fn(() => ({ toArray: async () => [] })) }
+const other = { updateOne: vi.fn() }
+vi.mock('../lib/db.js', () => ({
+  getDb: vi.fn(async () => ({
+    collection: (name) => (name === 'inbound_transfers' ? transfers : name === 'ledger_entries' ? ledger : other),
+  })),
+}))
+const build = () => ({
+  _id: buildId,
+  status: 'SIGNED',
+  payment: {
+    plan: { type: 'deposit', percent: 25 },
+    amounts: { total: 8000000, deposit: 2000000, final: 6000000 },
+  },
+})
+vi.mock('../lib/builds.js', () => ({ BUILDS_COLLECTION: 'builds', getBuildById: vi.fn(async () => build()) }))
+const recordPayment = vi.fn()
+vi.mock('../lib/ledger.js', () => ({ LEDGER_COLLECTION: 'ledger_entries', recordPayment }))
+const advanceBuild = vi.fn()
+vi.mock('../lib/build-lifecycle.js', async (importOriginal) => ({ ...(await importOriginal()), advanceBuild }))
+
+const {
+  applyTransfer,
+  checkAllocations,
+  parseReferenceCode,
+  referenceCodeForIntent,
+  setTransferIgnored,
+  suggestMatches,
+  validateManualTransfer,
+} = await import('../lib/bank-transfers.js')
+
+const candidate = (extra = {}) => ({
+  intentId: '64b0000000000000deadbeef',
+  buildId,
+  milestone: 'deposit',
+  expectedAmount: 2000000,
+  outstanding: 2000000,
+  referenceCode: 'FTH-DEADBEEF',
+  names: ['Jordan Avery'],
+  ...extra,
+})
+
+describe('reference codes', () => {
+  it('finds the intent code in free-form bank text', () => {
+    expect(referenceCodeForIntent('64b0000000000000deadbeef')).toBe('FTH-DEADBEEF')
+    expect(parseReferenceCode('WIRE FROM J AVERY ref fth deadbeef')).toBeNull()
+    expect(parseReferenceCode('WIRE FROM J AVERY ref fthdeadbeef')).toBe('FTH-DEADBEEF')
+    expect(parseReferenceCode('ACH CREDIT FTH-0a1b2c3d DEPOSIT')).toBe('FTH-0A1B2C3D')
+  })
+})
+
+describe('suggestMatches', () => {
+  it('ranks by reference, amount and customer name', () => {
+    const other = candidate({ intentId: 'x', buildId: 'b2', referenceCode: 'FTH-00000002', outstanding: 1990000, names: ['Sam Lee'] })
+    const transfer = { amount: 2000000, reference: 'FTH-DEADBEEF', senderName: 'JORDAN AVERY' }
+    const [best, second] = suggestMatches(transfer, [other, candidate()])
+    expect(best).toMatchObject({ score: 110, reasons: ['reference', 'exact_amount', 'customer_name'], amount: 2000000 })
+    expect(second).toMatchObject({ score: 15, reasons: ['close_amount'], amount: 1990000 })
+  })
+
+  it('suggests only what is left on a partly applied transfer', () => {
+    const [match] = suggestMatches({ amount: 5000000, unappliedAmount: 1500000, senderName: 'Avery Holdings LLC' }, [candidate()])
+    expect(match).toMatchObject({ reasons: ['customer_name'], amount: 1500000 })
+    expect(suggestMatches({ amount: 1, senderName: 'Nobody' }, [candidate()])).toEqual([])
+  })
+})
+
+describe('checkAllocations', () => {
+  const outstanding = (id, milestone) => ({ deposit: 2000000, final: 6000000 })[milestone] ?? null
+
+  it('allows splitting a transfer across milestones', () => {
+    expect(checkAllocations({ amount: 3000000 }, [
+      { buildId, milestone: 'deposit', amount: 2000000 },
+      { buildId, milestone: 'final', amount: 1000000 },
+    ], outstanding)).toBeNull()
+  })
+
+  it('rejects bad amounts, unknown milestones and over-application', () => {
+    const check = (allocations, transfer = { amount: 3000000 }) => checkAllocations(transfer, allocations, outstanding)?.error
+    expect(check([])).toBe('invalid_allocation')
+    expect(check([{ buildId, milestone: 'deposit', amount: 10.5 }])).toBe('invalid_allocation')
+    expect(check([{ buildId, milestone: 'setup', amount: 100 }])).toBe('invalid_allocation')
+    expect(check([{ buildId, milestone: 'deposit', amount: 1500000 }, { buildId, milestone: 'deposit', amount: 600000 }])).toBe('over_allocated')
+    expect(check([{ buildId, milestone: 'final', amount: 2000000 }], { amount: 3000000, unappliedAmount: 1000000 })).toBe('over_allocated')
+  })
+})
+
+describe('validateManualTransfer', () => {
+  const now = new Date('2026-03-10T12:00:00Z')
+
+  it('keys manual transfers by bank reference', () => {
+    const { fields } = validateManualTransfer({ amount: 2000000, bankReference: ' 20260309MMQFMP9C000123 ', senderName: 'Jordan Avery', receivedAt: '2026-03-09' }, { now })
+    expect(fields).toMatchObject({ transferId: 'manual:20260309MMQFMP9C000123', source: 'manual', amount: 2000000, reference: null })
+  })
+
+  it('rejects fractional cents, missing references and future dates', () => {
+    expect(validateManualTransfer({ amount: 19.99, bankReference: 'x' }, { now }).error).toBe('invalid_transfer')
+    expect(validateManualTransfer({ amount: 100 }, { now }).error).toBe('invalid_transfer')
+    expect(validateManualTransfer({ amount: 100, bankReference: 'x', receivedAt: '2026-04-01' }, { now }).error).toBe('invalid_transfer')
+  })
+})
+
+describe('applyTransfer', () => {
+  const stored = (extra = {}) => ({ _id: 't1', transferId: 'ibt_1', amount: 2500000, unappliedAmount: 2500000, status: 'unmatched', receivedAt: new Date(), applications: [], ...extra })
+
+  beforeEach(() => {
+    transfers.findOne.mockReset()
+    transfers.updateOne.mockReset()
+    transfers.updateOne.mockResolvedValue({ matchedCount: 1 })
+    other.updateOne.mockReset()
+    recordPayment.mockReset()
+    advanceBuild.mockReset()
+  })
+
+  it('pays the deposit in full and leaves the rest unapplied', async () => {
+    transfers.findOne.mockResolvedValue(stored())
+    const result = await applyTransfer('ibt_1', [{ buildId, milestone: 'deposit', amount: 2000000 }], { userId: 'admin', note: 'Matched by phone' })
+    expect(result.error).toBeUndefined()
+    expect(recordPayment).toHaveBeenCalledWith(expect.objectContaining({ buildId, milestone: 'deposit', amount: 2000000, source: 'bank_transfer' }))
+    expect(recordPayment.mock.calls[0][0].externalId).toMatch(/^ibt_1:[0-9a-f]{24}$/)
+    expect(other.updateOne.mock.calls[0][1].$set).toMatchObject({ 'payment.depositPaid': true, 'payment.depositAmount': 2000000 })
+    expect(advanceBuild).toHaveBeenCalledWith(buildId, 'DEPOSIT_PAID')
+
+    const [filter, [reserve]] = transfers.updateOne.mock.calls[0]
+    expect(filter).toMatchObject({ _id: 't1', unappliedAmount: { $gte: 2000000 } })
+    expect(reserve.$set.unappliedAmount).toEqual({ $subtract: ['$unappliedAmount', 2000000] })
+    const update = transfers.updateOne.mock.calls[1][1]
+    expect(update.$push.history).toMatchObject({ action: 'applied', userId: 'admin', amount: 2000000, note: 'Matched by phone' })
+  })
+
+  it('records a partial payment without marking the milestone paid', async () => {
+    transfers.findOne.mockResolvedValue(stored({ amount: 500000, unappliedAmount: 500000 }))
+    await applyTransfer('ibt_1', [{ buildId, milestone: 'deposit', amount: 500000 }])
+    expect(recordPayment).toHaveBeenCalledOnce()
+    expect(other.updateOne).not.toHaveBeenCalled()
+    expect(advanceBuild).not.toHaveBeenCalled()
+    expect(transfers.updateOne.mock.calls[0][1][0].$set.status.$cond[1]).toBe('applied')
+  })
+
+  it('posts nothing when another apply took the amount first', async () => {
+    transfers.findOne.mockResolvedValue(stored())
+    transfers.updateOne.mockResolvedValueOnce({ matchedCount: 0 })
+    expect((await applyTransfer('ibt_1', [{ buildId, milestone: 'deposit', amount: 2000000 }])).error).toBe('transfer_changed')
+    expect(recordPayment).not.toHaveBeenCalled()
+    expect(transfers.updateOne).toHaveBeenCalledOnce()
+  })
+
+  it('hands back the amount it could not post', async () => {
+    transfers.findOne.mockResolvedValue(stored())
+    recordPayment.mockRejectedValueOnce(new Error('ledger down'))
+    await expect(applyTransfer('ibt_1', [{ buildId, milestone: 'deposit', amount: 2000000 }])).rejects.toThrow('ledger down')
+    expect(transfers.updateOne.mock.calls[1][1]).toMatchObject({ $inc: { unappliedAmount: 2000000 }, $set: { status: 'unmatched' } })
+  })
+
+  it('refuses ignored transfers and ignoring applied ones', async () => {
+    transfers.findOne.mockResolvedValue(stored({ status: 'ignored' }))
+    expect((await applyTransfer('ibt_1', [{ buildId, milestone: 'deposit', amount: 100 }])).error).toBe('transfer_ignored')
+    transfers.findOne.mockResolvedValue(stored({ applications: [{ id: 'a1' }] }))
+    expect((await setTransferIgnored('ibt_1', true, { note: 'Refund from vendor' })).error).toBe('transfer_applied')
+    transfers.findOne.mockResolvedValue(stored())
+    expect((await setTransferIgnored('ibt_1', true)).error).toBe('note_required')
+    expect(recordPayment).not.toHaveBeenCalled()
+  })
+})
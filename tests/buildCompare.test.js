@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { Buffer } from 'node:buffer'
+import { compareBuilds, estimateMonthlyPayment } from '../src/utils/buildCompare.js'
+import { createShareToken, toSharedQuote, verifyShareToken } from '../lib/share-links.js'
+
+const settings = { pricing: { tax_rate_percent: 0, delivery_minimum: 0, title_fee_default: 0, setup_fee_default: 0 } }
+
+const build = (id, options, extra = {}) => ({
+  _id: id,
+  modelSlug: 'magnolia',
+  modelName: 'Magnolia',
+  selections: { basePrice: 50000, options },
+  pricing: { delivery: 1000, deliveryMiles: 80 },
+  ...extra,
+})
+
+describe('build comparison', () => {
+  it('amortizes the monthly payment', () => {
+    expect(estimateMonthlyPayment(12000, { apr: 0, years: 1 })).toBe(1000)
+    expect(estimateMonthlyPayment(100000, { apr: 0.075, years: 10 })).toBe(1187.02)
+  })
+
+  it('lines options up by id and flags differences', () => {
+    const a = build('a', [{ id: 'porch', name: 'Porch', price: 500 }, { id: 'loft', name: 'Loft', price: 2000 }])
+    const b = build('b', [{ id: 'porch', name: 'Porch', price: 500 }], { financing: { estMonthly: 450 } })
+    const { columns, options, totals } = compareBuilds([a, b], settings, { apr: 0, years: 10 })
+
+    expect(options).toEqual([
+      { key: 'loft', name: 'Loft', amounts: [2000, null], differs: true },
+      { key: 'porch', name: 'Porch', amounts: [500, 500], differs: false },
+    ])
+    expect(totals.find(r => r.key === 'total')).toMatchObject({ amounts: [53500, 51500], differs: true })
+    expect(totals.find(r => r.key === 'delivery').differs).toBe(false)
+    expect(columns.map(c => c.monthlyPayment)).toEqual([445.83, 450])
+  })
+
+  it('compares at most three builds', () => {
+    const list = ['a', 'b', 'c', 'd'].map(id => build(id, []))
+    expect(compareBuilds(list, settings).columns).toHaveLength(3)
+  })
+})
+
+describe('share links', () => {
+  const secret = 'test-secret'
+  const now = Date.UTC(2025, 0, 1)
+
+  it('round-trips a signed token until it expires', () => {
+    const { token, expiresAt } = createShareToken({ buildId: 'abc', version: 2, ttlDays: 7, now, secret })
+    expect(expiresAt.toISOString()).toBe('2025-01-08T00:00:00.000Z')
+    expect(verifyShareToken(token, { now, secret })).toMatchObject({ buildId: 'abc', version: 2 })
+    expect(verifyShareToken(token, { now: expiresAt.getTime(), secret })).toEqual({ error: 'expired_token' })
+  })
+
+  it('rejects tampered tokens and other secrets', () => {
+    const { token } = createShareToken({ buildId: 'abc', now, secret })
+    const [payload, sig] = token.split('.')
+    const forged = Buffer.from(JSON.stringify({ b: 'xyz', v: 0, e: now + 1e9 })).toString('base64url')
+    expect(verifyShareToken(`${forged}.${sig}`, { now, secret })).toEqual({ error: 'invalid_token' })
+    expect(verifyShareToken(`${payload}.${sig}`, { now, secret: 'other' })).toEqual({ error: 'invalid_token' })
+    expect(verifyShareToken('garbage', { now, secret })).toEqual({ error: 'invalid_token' })
+  })
+
+  it('leaves buyer contact details out of the shared quote', () => {
+    const quote = toSharedQuote(build('abc', [], { buyerInfo: { firstName: 'Sam', lastName: 'Lee', email: 'sam@example.com', phone: '555', address: '1 Main', city: 'Tulsa', state: 'OK' } }))
+    expect(quote).toMatchObject({ preparedFor: 'Sam', deliveryArea: 'Tulsa, OK' })
+    expect(JSON.stringify(quote)).not.toMatch(/sam@example.com|1 Main|555|Lee/)
+  })
+})
@@ -0,0 +1,70 @@
+import { describe, it, expect, afterAll, afterEach } from 'vitest'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { Buffer } from 'node:buffer'
+import { renderDocumentHtml } from '../lib/pdf/templates.js'
+import { getDefaultStorage, localDiskStorage } from '../lib/pdf/storage.js'
+import { calculateBuildPricing } from '../src/utils/pricing.js'
+
+const build = {
+  _id: '64b000000000000000abc123',
+  modelSlug: 'magnolia',
+  modelName: 'Magnolia <Deluxe>',
+  status: 'SIGNED',
+  selections: { basePrice: 50000, options: [{ id: 'porch', name: 'Covered Porch', price: 42, unit: 'sqft', quantity: 80 }] },
+  pricing: { delivery: 1500 },
+  buyerInfo: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', city: 'Austin', state: 'TX' },
+  payment: { method: 'bank_transfer', depositPaid: true },
+  catalog: { version: 3, expiresAt: new Date('2025-02-01T12:00:00Z') },
+}
+const pricing = calculateBuildPricing(build, {})
+
+describe('build document templates', () => {
+  it('renders the shared layout for every kind', () => {
+    for (const kind of ['quote', 'order_summary', 'invoice']) {
+      const html = renderDocumentHtml(kind, { build, pricing, number: 'X-1', issuedAt: new Date('2025-01-01T12:00:00Z') })
+      expect(html).toContain('No. X-1')
+      expect(html).toContain('Covered Porch')
+      expect(html).toContain('Magnolia &lt;Deluxe&gt;')
+    }
+    expect(() => renderDocumentHtml('receipt', { build, pricing })).toThrow(/Unknown document kind/)
+  })
+
+  it('shows quote terms on quotes and the balance due on invoices', () => {
+    const quote = renderDocumentHtml('quote', { build, pricing, number: 'Q-1' })
+    expect(quote).toContain('Prices Valid Until')
+    expect(quote).toContain('v3')
+
+    const invoice = renderDocumentHtml('invoice', { build, pricing, number: 'INV-1' })
+    const due = (pricing.total - pricing.deposit).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    expect(invoice).toContain(`Balance Due</td><td class="num">$${due}`)
+  })
+})
+
+describe('local document storage', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firefly-docs-'))
+  const previous = { dir: process.env.PDF_STORAGE_DIR, storage: process.env.PDF_STORAGE }
+
+  afterEach(() => {
+    process.env.PDF_STORAGE_DIR = previous.dir
+    process.env.PDF_STORAGE = previous.storage
+    if (previous.dir === undefined) delete process.env.PDF_STORAGE_DIR
+    if (previous.storage === undefined) delete process.env.PDF_STORAGE
+  })
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+  it('saves and reads back by reference', async () => {
+    process.env.PDF_STORAGE_DIR = dir
+    const ref = await localDiskStorage.save({ buffer: Buffer.from('%PDF-1.4 test'), key: 'builds/abc/Q-ABC-1.pdf' })
+    expect(ref).toBe('builds/abc/Q-ABC-1.pdf')
+    expect((await localDiskStorage.read(ref)).toString()).toBe('%PDF-1.4 test')
+    await expect(localDiskStorage.read('../outside.pdf')).rejects.toThrow(/Invalid document reference/)
+  })
+
+  it('honours PDF_STORAGE', () => {
+    process.env.PDF_STORAGE = 'local'
+    expect(getDefaultStorage().name).toBe('local')
+  })
+})
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from 'vitest'
+import { ObjectId } from 'mongodb'
+import { BUILD_STATUS, BUILD_TRANSITIONS, allowedTransitions, checkTransition, guardBuildTransition, normalizeBuildStatus, transitionBuild } from '../lib/build-lifecycle.js'
+
+const builds = { findOne: vi.fn(), updateOne: vi.fn(), insertOne: vi.fn() }
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => builds })) }))
+
+describe('build lifecycle', () => {
+  it('maps legacy statuses onto the lifecycle', () => {
+    expect(normalizeBuildStatus(undefined)).toBe('DRAFT')
+    expect(normalizeBuildStatus('factory_complete')).toBe('FACTORY_COMPLETE')
+    expect(normalizeBuildStatus('ORDER_PLACED')).toBe('SIGNED')
+    expect(normalizeBuildStatus('in_transit')).toBe('IN_TRANSIT')
+    expect(normalizeBuildStatus('bogus')).toBeNull()
+  })
+
+  it('allows the happy path in order', () => {
+    const path = ['DRAFT', 'CONFIGURED', 'SIGNED', 'DEPOSIT_PAID', 'IN_PRODUCTION', 'FACTORY_COMPLETE', 'IN_TRANSIT', 'DELIVERED', 'CLOSED']
+    for (let i = 1; i < path.length; i++) {
+      expect(checkTransition(path[i - 1], path[i], 'admin').ok || checkTransition(path[i - 1], path[i], 'system').ok).toBe(true)
+    }
+    expect(Object.keys(BUILD_TRANSITIONS)).toEqual(Object.values(BUILD_STATUS))
+  })
+
+  it('rejects skipped steps and terminal states', () => {
+    expect(checkTransition('DRAFT', 'IN_PRODUCTION', 'admin')).toMatchObject({ ok: false, error: 'invalid_transition' })
+    expect(checkTransition('CLOSED', 'DRAFT', 'admin')).toMatchObject({ ok: false, error: 'invalid_transition' })
+    expect(checkTransition('CANCELLED', 'CONFIGURED', 'admin')).toMatchObject({ ok: false, error: 'invalid_transition' })
+    expect(checkTransition('DRAFT', 'NOT_A_STATUS', 'admin')).toMatchObject({ ok: false, error: 'invalid_status' })
+  })
+
+  it('guards transitions by role', () => {
+    expect(checkTransition('DRAFT', 'CONFIGURED', 'buyer').ok).toBe(true)
+    expect(checkTransition('CONFIGURED', 'SIGNED', 'buyer').ok).toBe(true)
+    expect(checkTransition('SIGNED', 'DEPOSIT_PAID', 'buyer')).toMatchObject({ ok: false, error: 'transition_forbidden' })
+    expect(checkTransition('IN_PRODUCTION', 'FACTORY_COMPLETE', 'system')).toMatchObject({ ok: false, error: 'transition_forbidden' })
+    expect(checkTransition('SIGNED', 'CANCELLED', 'buyer')).toMatchObject({ ok: false, error: 'transition_forbidden' })
+    expect(allowedTransitions('CONFIGURED', 'buyer')).toEqual(['DRAFT', 'SIGNED', 'CANCELLED'])
+  })
+})
+
+describe('transitionBuild reservations', () => {
+  const release = vi.fn()
+  let refuseNext = false
+  guardBuildTransition(BUILD_STATUS.SIGNED, async () => ({ release }), { reserves: true })
+  guardBuildTransition(BUILD_STATUS.SIGNED, async () => (refuseNext ? { error: 'sold_out', message: 'Sold out' } : null), { reserves: true })
+
+  it('gives back what guards reserved when another update moves the build first', async () => {
+    const _id = new ObjectId()
+    builds.findOne.mockResolvedValueOnce({ _id, status: 'CONFIGURED' })
+    builds.updateOne.mockResolvedValueOnce({ matchedCount: 0 })
+    const result = await transitionBuild(String(_id), BUILD_STATUS.SIGNED, { role: 'admin' })
+    expect(result.error).toBe('invalid_transition')
+    expect(release).toHaveBeenCalledTimes(1)
+  })
+
+  it('gives back what guards reserved when a later guard refuses', async () => {
+    release.mockClear()
+    refuseNext = true
+    const _id = new ObjectId()
+    builds.findOne.mockResolvedValueOnce({ _id, status: 'CONFIGURED' })
+    const result = await transitionBuild(String(_id), BUILD_STATUS.SIGNED, { role: 'admin' })
+    expect(result.error).toBe('sold_out')
+    expect(release).toHaveBeenCalledTimes(1)
+    expect(builds.updateOne).toHaveBeenCalledTimes(1)
+  })
+})
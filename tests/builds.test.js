@@ -1,8 +1,28 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest'
-import { reprice } from '../lib/builds.js'
+import { describe, it, expect, vi } from 'vitest'
+import { ObjectId } from 'mongodb'
+import { duplicateBuild, reprice } from '../lib/builds.js'
 
-// Mock environment variables
-process.env.SALES_TAX_RATE = '0.0625'
+const builds = { findOne: vi.fn(), insertOne: vi.fn(async () => ({ insertedId: 'copy_1' })) }
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => builds })) }))
+vi.mock('../lib/settings.js', () => ({ getOrgSettings: vi.fn(async () => settings) }))
+const currentCatalog = {
+  version: 7,
+  models: [{ modelCode: 'APS-630', slug: 'magnolia', name: 'The Magnolia', basePrice: 72000 }],
+  options: [{ id: 'grab-bar', name: 'Grab Bar', price: 120, taxable: true }],
+}
+vi.mock('../lib/catalog.js', async (importOriginal) => ({ ...(await importOriginal()), getCurrentCatalog: vi.fn(async () => currentCatalog) }))
+
+// Org settings shaped like getOrgSettings(); values chosen to keep the math easy to follow
+const settings = {
+  version: 3,
+  pricing: {
+    tax_rate_percent: 6.25,
+    title_fee_default: 0,
+    setup_fee_default: 500,
+    delivery_minimum: 1500,
+    deposit_percent: 25,
+  }
+}
 
 describe('Builds - Pricing Function', () => {
   describe('reprice()', () => {
@@ -13,21 +33,22 @@ describe('Builds - Pricing Function', () => {
           options: []
         },
         pricing: {
-          delivery: 1500,
-          setup: 500
+          delivery: 1500
         }
       }
-      
-      const result = reprice(buildLike)
-      
-      expect(result).toEqual({
+
+      const result = reprice(buildLike, settings)
+
+      expect(result).toMatchObject({
         base: 71475,
         options: 0,
-        subtotal: 73475, // 71475 + 1500 + 500
-        tax: 4592, // 73475 * 0.0625 rounded
         delivery: 1500,
+        title: 0,
         setup: 500,
-        total: 78067 // 73475 + 4592
+        subtotal: 73475, // 71475 + 1500 + 500
+        tax: 4592.19, // 73475 * 0.0625 rounded to cents
+        total: 78067.19, // 73475 + 4592.19
+        settingsVersion: 3
       })
     })
 
@@ -41,18 +62,17 @@ describe('Builds - Pricing Function', () => {
           ]
         },
         pricing: {
-          delivery: 1500,
-          setup: 500
+          delivery: 1500
         }
       }
-      
-      const result = reprice(buildLike)
-      
+
+      const result = reprice(buildLike, settings)
+
       expect(result.base).toBe(71475)
       expect(result.options).toBe(5300) // 3500 + (900 * 2)
-      expect(result.subtotal).toBe(77775) // 71475 + 5300 + 1500 + 500
-      expect(result.tax).toBe(4861) // 77775 * 0.0625 rounded
-      expect(result.total).toBe(82636) // 77775 + 4861
+      expect(result.subtotal).toBe(78775) // 71475 + 5300 + 1500 + 500
+      expect(result.tax).toBe(4923.44) // 78775 * 0.0625 rounded to cents
+      expect(result.total).toBe(83698.44) // 78775 + 4923.44
     })
 
     it('should handle missing base price', () => {
@@ -61,13 +81,12 @@ describe('Builds - Pricing Function', () => {
           options: [{ price: 1000, quantity: 1 }]
         },
         pricing: {
-          delivery: 1500,
-          setup: 500
+          delivery: 1500
         }
       }
-      
-      const result = reprice(buildLike)
-      
+
+      const result = reprice(buildLike, settings)
+
       expect(result.base).toBe(0)
       expect(result.options).toBe(1000)
       expect(result.subtotal).toBe(3000) // 0 + 1000 + 1500 + 500
@@ -79,32 +98,31 @@ describe('Builds - Pricing Function', () => {
           basePrice: 71475
         },
         pricing: {
-          delivery: 1500,
-          setup: 500
+          delivery: 1500
         }
       }
-      
-      const result = reprice(buildLike)
-      
+
+      const result = reprice(buildLike, settings)
+
       expect(result.options).toBe(0)
       expect(result.subtotal).toBe(73475)
     })
 
-    it('should use default delivery and setup costs', () => {
+    it('should use settings for delivery minimum and setup costs', () => {
       const buildLike = {
         selections: {
           basePrice: 71475,
           options: []
         }
       }
-      
-      const result = reprice(buildLike)
-      
+
+      const result = reprice(buildLike, settings)
+
       expect(result.delivery).toBe(1500)
       expect(result.setup).toBe(500)
     })
 
-    it('should handle custom delivery and setup costs', () => {
+    it('should use a quoted delivery fee but ignore a build-level setup override', () => {
       const buildLike = {
         selections: {
           basePrice: 71475,
@@ -115,12 +133,12 @@ describe('Builds - Pricing Function', () => {
           setup: 750
         }
       }
-      
-      const result = reprice(buildLike)
-      
+
+      const result = reprice(buildLike, settings)
+
       expect(result.delivery).toBe(2000)
-      expect(result.setup).toBe(750)
-      expect(result.subtotal).toBe(74225) // 71475 + 2000 + 750
+      expect(result.setup).toBe(500)
+      expect(result.subtotal).toBe(73975) // 71475 + 2000 + 500
     })
 
     it('should handle zero values correctly', () => {
@@ -130,13 +148,12 @@ describe('Builds - Pricing Function', () => {
           options: [{ price: 0, quantity: 1 }]
         },
         pricing: {
-          delivery: 0,
-          setup: 0
+          delivery: 0
         }
       }
-      
-      const result = reprice(buildLike)
-      
+
+      const result = reprice(buildLike, { pricing: { ...settings.pricing, setup_fee_default: 0 } })
+
       expect(result.base).toBe(0)
       expect(result.options).toBe(0)
       expect(result.subtotal).toBe(0)
@@ -152,9 +169,9 @@ describe('Builds - Pricing Function', () => {
         },
         pricing: null
       }
-      
-      const result = reprice(buildLike)
-      
+
+      const result = reprice(buildLike, settings)
+
       expect(result.base).toBe(0)
       expect(result.options).toBe(0)
       expect(result.delivery).toBe(1500) // defaults
@@ -171,18 +188,17 @@ describe('Builds - Edge Cases', () => {
         options: [{ price: 50000, quantity: 10 }]
       },
       pricing: {
-        delivery: 5000,
-        setup: 2500
+        delivery: 5000
       }
     }
-    
-    const result = reprice(buildLike)
-    
+
+    const result = reprice(buildLike, { pricing: { ...settings.pricing, setup_fee_default: 2500 } })
+
     expect(result.base).toBe(999999)
     expect(result.options).toBe(500000) // 50000 * 10
     expect(result.subtotal).toBe(1507499) // 999999 + 500000 + 5000 + 2500
-    expect(result.tax).toBe(94219) // 1507499 * 0.0625 rounded
-    expect(result.total).toBe(1601718) // 1507499 + 94219
+    expect(result.tax).toBe(94218.69) // 1507499 * 0.0625 rounded to cents
+    expect(result.total).toBe(1601717.69) // 1507499 + 94218.69
   })
 
   it('should handle decimal prices correctly', () => {
@@ -192,67 +208,121 @@ describe('Builds - Edge Cases', () => {
         options: [{ price: 3500.25, quantity: 1 }]
       },
       pricing: {
-        delivery: 1500,
-        setup: 500
+        delivery: 1500
       }
     }
-    
-    const result = reprice(buildLike)
-    
+
+    const result = reprice(buildLike, settings)
+
     expect(result.base).toBe(71475.50)
     expect(result.options).toBe(3500.25)
     expect(result.subtotal).toBe(76975.75) // 71475.50 + 3500.25 + 1500 + 500
-    expect(result.tax).toBe(4811) // 76975.75 * 0.0625 rounded
-    expect(result.total).toBe(81786.75) // 76975.75 + 4811
+    expect(result.tax).toBe(4810.98) // 76975.75 * 0.0625 rounded to cents
+    expect(result.total).toBe(81786.73) // 76975.75 + 4810.98
   })
 })
 
-describe('Builds - Tax Rate Variations', () => {
-  it('should use custom tax rate from environment', () => {
-    // Temporarily set different tax rate
-    const originalTaxRate = process.env.SALES_TAX_RATE
-    process.env.SALES_TAX_RATE = '0.06'
-    
+describe('Builds - Settings Variations', () => {
+  it('should use the tax rate from settings', () => {
     const buildLike = {
       selections: {
         basePrice: 71475,
         options: []
       },
       pricing: {
-        delivery: 1500,
-        setup: 500
+        delivery: 1500
       }
     }
-    
-    const result = reprice(buildLike)
-    
-    expect(result.tax).toBe(4409) // 73475 * 0.06 rounded
-    
-    // Restore original tax rate
-    process.env.SALES_TAX_RATE = originalTaxRate
+
+    const result = reprice(buildLike, { pricing: { ...settings.pricing, tax_rate_percent: 6 } })
+
+    expect(result.tax).toBe(4408.5) // 73475 * 0.06
   })
 
-  it('should default to 6.25% when no tax rate is set', () => {
-    // Temporarily remove tax rate
-    const originalTaxRate = process.env.SALES_TAX_RATE
-    delete process.env.SALES_TAX_RATE
-    
+  it('should fall back to the default org settings when none are given', () => {
     const buildLike = {
       selections: {
         basePrice: 71475,
         options: []
       },
       pricing: {
-        delivery: 1500,
-        setup: 500
+        delivery: 1500
       }
     }
-    
+
     const result = reprice(buildLike)
-    
-    expect(result.tax).toBe(4592) // 73475 * 0.0625 rounded
-    
-    // Restore original tax rate
-    process.env.SALES_TAX_RATE = originalTaxRate
+
+    expect(result.title).toBe(500)
+    expect(result.setup).toBe(3000)
+    expect(result.subtotal).toBe(76475) // 71475 + 1500 + 500 + 3000
+    expect(result.tax).toBe(4779.69) // 76475 * 0.0625 rounded to cents
+    expect(result.settingsVersion).toBe(0)
+  })
+
+  it('should compute the deposit from the payment plan or settings', () => {
+    const buildLike = {
+      selections: {
+        basePrice: 71475,
+        options: []
+      },
+      pricing: {
+        delivery: 1500
+      }
+    }
+
+    expect(reprice(buildLike, settings).deposit).toBe(19516.8) // 25% of 78067.19
+
+    const withPlan = reprice({ ...buildLike, payment: { plan: { type: 'deposit', percent: 10 } } }, settings)
+    expect(withPlan.depositPercent).toBe(10)
+    expect(withPlan.deposit).toBe(7806.72)
+    expect(withPlan.balance).toBe(70260.47)
+  })
+})
+
+describe('Builds - duplicateBuild', () => {
+  it('copies the design into a fresh draft without the original sale', async () => {
+    const signedAt = new Date('2025-01-01T00:00:00Z')
+    const _id = new ObjectId()
+    builds.findOne.mockResolvedValueOnce({
+      _id,
+      userId: 'user_1',
+      modelSlug: 'magnolia',
+      modelName: 'The Magnolia',
+      status: 'SIGNED',
+      version: 1,
+      primary: true,
+      selections: { basePrice: 71000, options: [{ id: 'grab-bar', price: 100, quantity: 2 }] },
+      pricing: { delivery: 1500, total: 60000 },
+      buyerInfo: { firstName: 'Jordan' },
+      adjustments: { promo: { code: 'SPRING' }, manual: [{ amount: -5000, reason: 'One-off' }], tradeIn: { allowance: 10000 } },
+      taxExemption: { status: 'approved' },
+      payment: { depositPaid: true, schedule: { id: 'deposit' } },
+      statusHistory: [{ from: 'CONFIGURED', to: 'SIGNED' }],
+      changeOrders: [{ id: 'co_1' }],
+      documents: [{ id: 'doc_1' }],
+      contract: { status: 'signed', signedAt },
+      share: { version: 2 },
+      catalog: { version: 3, expiresAt: signedAt },
+      configuredAt: signedAt,
+      signedAt,
+    })
+
+    const copy = await duplicateBuild(String(_id), 'user_1')
+
+    for (const field of ['adjustments', 'taxExemption', 'payment', 'statusHistory', 'changeOrders', 'documents', 'share', 'configuredAt', 'signedAt']) {
+      expect(copy, field).not.toHaveProperty(field)
+    }
+    expect(copy).toMatchObject({ _id: 'copy_1', status: 'DRAFT', step: 1, version: 2, primary: false, buyerInfo: { firstName: 'Jordan' } })
+    expect(copy.contract).toEqual({ status: 'none', envelopeId: null, signedAt: null })
+    expect(copy.catalog.version).toBe(7)
+    expect(copy.selections.basePrice).toBe(72000)
+    expect(copy.selections.options[0]).toMatchObject({ id: 'grab-bar', price: 120, quantity: 2 })
+    expect(copy.pricing.total).toBe(reprice({ selections: copy.selections, pricing: { delivery: 1500 } }, settings).total)
+  })
+
+  it('only duplicates the owner\'s builds', async () => {
+    const _id = new ObjectId()
+    builds.findOne.mockResolvedValueOnce({ _id, userId: 'user_2' })
+    expect(await duplicateBuild(String(_id), 'user_1')).toBeNull()
   })
 })
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi } from 'vitest'
+import { applyCatalogPrices, diffPricing, findCatalogModel, getCurrentCatalog, isQuoteExpired, pinToCatalog } from '../lib/catalog.js'
+import { normalizeOptionSelections, reprice } from '../lib/builds.js'
+
+const catalog = {
+  version: 4,
+  models: [{ modelCode: 'APS-630', slug: 'magnolia', name: 'The Magnolia', basePrice: 72000 }],
+  options: [
+    { id: 'r-22-floor-insulation', name: 'R-22 Floor Insulation', price: 250 },
+    { id: 'grab-bar', name: 'Grab Bar', price: 100, taxable: false },
+  ],
+}
+
+// Catalog versions as another request published them a moment earlier
+const published = [{ version: 1, effectiveAt: new Date(), note: 'Initial catalog' }]
+const catalogs = {
+  createIndex: vi.fn(async () => 'ok'),
+  find: vi.fn(() => ({ sort: () => ({ limit: () => ({ next: async () => null }) }), toArray: async () => [] })),
+  countDocuments: vi.fn(async () => 0),
+  insertOne: vi.fn(async () => { throw Object.assign(new Error('duplicate key'), { code: 11000 }) }),
+  findOne: vi.fn(async ({ version }) => published.find(d => d.version === version) || null),
+}
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => catalogs })) }))
+
+const settings = { pricing: { tax_rate_percent: 0, title_fee_default: 0, setup_fee_default: 0, delivery_minimum: 0, quote_expiry_days: 10 } }
+
+describe('catalog', () => {
+  it('finds catalog models by slug or model code', () => {
+    expect(findCatalogModel(catalog, 'magnolia')?.basePrice).toBe(72000)
+    expect(findCatalogModel(catalog, 'aps-630')?.modelCode).toBe('APS-630')
+    expect(findCatalogModel(catalog, 'unknown')).toBeNull()
+  })
+
+  it('pins builds with a quote expiry from settings', () => {
+    const now = new Date('2025-01-01T00:00:00Z')
+    const pin = pinToCatalog(catalog, settings, now)
+    expect(pin.version).toBe(4)
+    expect(pin.expiresAt.toISOString()).toBe('2025-01-11T00:00:00.000Z')
+    expect(isQuoteExpired({ catalog: pin }, new Date('2025-01-12T00:00:00Z'))).toBe(true)
+    expect(isQuoteExpired({ catalog: pin }, new Date('2025-01-05T00:00:00Z'))).toBe(false)
+    expect(isQuoteExpired({})).toBe(false)
+  })
+
+  it('reprices a build against a newer catalog and reports the diff', () => {
+    const build = {
+      modelSlug: 'magnolia',
+      selections: {
+        basePrice: 71475,
+        options: [
+          { code: 'r-22-floor-insulation', price: 225, quantity: 1 },
+          { code: 'grab-bar', price: 100, quantity: 2 },
+          { code: 'discontinued-option', name: 'Old Option', price: 50, quantity: 1 },
+        ],
+      },
+      pricing: { delivery: 0 },
+    }
+    const before = reprice(build, settings)
+    const { selections, optionChanges, unavailable } = applyCatalogPrices(build, catalog)
+    const after = reprice({ ...build, selections }, settings)
+
+    expect(selections.basePrice).toBe(72000)
+    expect(optionChanges).toEqual([{ id: 'r-22-floor-insulation', name: 'R-22 Floor Insulation', from: 225, to: 250 }])
+    expect(unavailable).toEqual([{ id: 'discontinued-option', name: 'Old Option' }])
+
+    expect(diffPricing(before, after)).toEqual([
+      { key: 'base', label: 'Base Price', from: 71475, to: 72000, delta: 525 },
+      { key: 'options', label: 'Options', from: 475, to: 450, delta: -25 },
+      { key: 'total', label: 'Total', from: 71950, to: 72450, delta: 500 },
+    ])
+  })
+
+  it('takes option taxability from the catalog, never the selection', () => {
+    const options = normalizeOptionSelections([
+      { id: 'r-22-floor-insulation', price: 1, quantity: 1, taxable: false },
+      { id: 'grab-bar', price: 100, quantity: 1 },
+      { id: 'custom-work', price: 500, quantity: 1, taxable: false },
+    ], 'magnolia', catalog.options)
+    expect(options.map(o => [o.id, o.price, o.taxable])).toEqual([
+      ['r-22-floor-insulation', 250, true],
+      ['grab-bar', 100, false],
+      ['custom-work', 500, true],
+    ])
+    const { selections } = applyCatalogPrices({ modelSlug: 'magnolia', selections: { options: [{ code: 'grab-bar', price: 100, quantity: 1, taxable: true }] } }, catalog)
+    expect(selections.options[0].taxable).toBe(false)
+  })
+
+  it('reads version 1 when another request published it first', async () => {
+    const current = await getCurrentCatalog()
+    expect(catalogs.insertOne).toHaveBeenCalledTimes(1)
+    expect(current).toBe(published[0])
+  })
+})
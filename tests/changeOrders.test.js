@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { computeChangeOrder } from '../lib/change-orders.js'
+
+const catalogOptions = [
+  { id: 'r-22-floor-insulation', name: 'R-22 Floor Insulation', price: 225, unit: 'each', quantitySource: 'buyer' },
+  { id: 'r-13-wall-insulation', name: 'R-13 Wall Insulation', price: 550, unit: 'each', quantitySource: 'buyer' },
+  { id: 'install-1-head-ductless-ac-heat-system', name: '1 Head Ductless', price: 2000, unit: 'each', quantitySource: 'buyer' },
+  { id: 'install-2-head-ductless-ac-heat-system', name: '2 Head Ductless', price: 3500, unit: 'each', quantitySource: 'buyer' },
+]
+
+const settings = { pricing: { tax_rate_percent: 10, deposit_percent: 25, delivery_minimum: 0, title_fee_default: 0, setup_fee_default: 0 } }
+
+const signedBuild = (payment = {}) => ({
+  modelSlug: 'unknown-model',
+  status: 'SIGNED',
+  selections: {
+    basePrice: 10000,
+    options: [{ id: 'install-1-head-ductless-ac-heat-system', name: '1 Head Ductless', price: 2000 }],
+  },
+  pricing: { delivery: 0 },
+  payment,
+})
+
+describe('change orders', () => {
+  it('reprices added and removed options including tax and deposit', () => {
+    const result = computeChangeOrder(signedBuild(), { add: [{ id: 'r-13-wall-insulation' }], remove: [] }, { settings, catalogOptions })
+    expect(result.error).toBeUndefined()
+    expect(result.added.map(o => o.id)).toEqual(['r-13-wall-insulation'])
+    expect(result.delta).toMatchObject({ options: 550, tax: 55, total: 605, deposit: 151.25, balance: 453.75 })
+    expect(result.paymentImpact.dueNow).toBe(0)
+  })
+
+  it('charges the deposit difference once the deposit is paid, the full difference once paid in full', () => {
+    const changes = { add: [{ id: 'install-2-head-ductless-ac-heat-system' }], remove: ['install-1-head-ductless-ac-heat-system'] }
+    const deposit = computeChangeOrder(signedBuild({ depositPaid: true }), changes, { settings, catalogOptions })
+    expect(deposit.delta.total).toBe(1650)
+    expect(deposit.paymentImpact.dueNow).toBe(412.5)
+    const full = computeChangeOrder(signedBuild({ depositPaid: true, fullPaid: true }), changes, { settings, catalogOptions })
+    expect(full.paymentImpact.dueNow).toBe(1650)
+  })
+
+  it('credits the buyer when options are removed', () => {
+    const result = computeChangeOrder(signedBuild({ depositPaid: true, fullPaid: true }), { remove: ['install-1-head-ductless-ac-heat-system'] }, { settings, catalogOptions })
+    expect(result.delta.total).toBe(-2200)
+    expect(result.paymentImpact.dueNow).toBe(-2200)
+  })
+
+  it('rejects invalid changes', () => {
+    const ctx = { settings, catalogOptions }
+    expect(computeChangeOrder(signedBuild(), {}, ctx).error).toBe('empty_change_order')
+    expect(computeChangeOrder(signedBuild(), { remove: ['r-22-floor-insulation'] }, ctx).error).toBe('option_not_selected')
+    expect(computeChangeOrder(signedBuild(), { add: [{ id: 'nope' }] }, ctx).error).toBe('unknown_option')
+    expect(computeChangeOrder(signedBuild(), { add: [{ id: 'install-1-head-ductless-ac-heat-system' }] }, ctx).error).toBe('option_already_selected')
+    expect(computeChangeOrder(signedBuild(), { add: [{ id: 'install-2-head-ductless-ac-heat-system' }] }, ctx).error).toBe('option_conflict')
+  })
+})
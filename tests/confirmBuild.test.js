@@ -0,0 +1,35 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import request from 'supertest'
+import { ObjectId } from 'mongodb'
+
+let build
+const builds = {
+  findOne: vi.fn(async () => build),
+  updateOne: vi.fn(async () => ({ matchedCount: 1 })),
+  createIndex: vi.fn(async () => 'ok'),
+}
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => builds })) }))
+vi.mock('../lib/auth.js', () => ({ requireAuth: vi.fn(async () => ({ userId: 'user_1' })) }))
+
+const { default: handler } = await import('../api/index.js')
+
+beforeEach(() => {
+  vi.clearAllMocks()
+})
+
+describe('POST /api/builds/:id/confirm', () => {
+  it('asks for a configured build before confirming', async () => {
+    build = { _id: new ObjectId(), userId: 'user_1', status: 'DRAFT' }
+    const res = await request(handler).post(`/api/builds/${build._id}/confirm`).send({})
+    expect(res.status).toBe(409)
+    expect(res.body.error).toBe('not_configured')
+    expect(builds.updateOne).not.toHaveBeenCalled()
+  })
+
+  it('returns a build the signing webhook already moved on', async () => {
+    build = { _id: new ObjectId(), userId: 'user_1', status: 'SIGNED' }
+    const res = await request(handler).post(`/api/builds/${build._id}/confirm`).send({})
+    expect(res.status).toBe(200)
+    expect(res.body.status).toBe('SIGNED')
+  })
+})
@@ -0,0 +1,287 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const contracts = { updateOne: vi.fn(), find: vi.fn() }
+const embedSession = vi.fn()
+vi.mock('../lib/esign/index.js', () => ({ esignProviderFor: () => ({ embedSession }) }))
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => contracts })) }))
+const sendMail = vi.fn(async () => ({}))
+vi.mock('nodemailer', () => ({ default: { createTransport: () => ({ sendMail }) } }))
+
+const {
+  applySignerEvent,
+  coBuyerFromBuyerInfo,
+  contractSigningBlocker,
+  contractSubmitters,
+  countersignLink,
+  initialSigners,
+  isSignersTurn,
+  listAwaitingCountersignature,
+  notifyPackSigners,
+  packStatusFromSigners,
+  remindSigner,
+  sendExecutedContract,
+  signerNotifications,
+  syncSignersFromStatus,
+  templateNeedsCountersignature,
+  validateCoBuyer,
+} = await import('../lib/contract-signers.js')
+
+const day = (n) => new Date(Date.UTC(2026, 2, 1 + n, 12))
+
+const buyerInfo = (extra = {}) => ({
+  firstName: 'Jordan',
+  lastName: 'Avery',
+  email: 'jordan@example.com',
+  coBuyer: { firstName: 'Sam', lastName: 'Avery', email: 'sam@example.com', phone: '' },
+  ...extra,
+})
+
+const pack = (signers, extra = {}) => ({ status: 'in_progress', signingOrder: 'sequential', templateName: 'Purchase Agreement', signers, ...extra })
+
+const SIGNERS = {
+  buyer: { name: 'Jordan Avery', email: 'jordan@example.com', submitterId: 1 },
+  cobuyer: { name: 'Sam Avery', email: 'sam@example.com', submitterId: 2 },
+  firefly_signer: { name: 'Casey Lane', email: 'office@example.com', submitterId: 3 },
+}
+
+const signer = (role, extra = {}) => ({
+  role,
+  ...SIGNERS[role],
+  signerUrl: `https://sign.example.com/${role}`,
+  status: 'pending',
+  invitedAt: role === 'buyer' ? day(0) : null,
+  reminders: 0,
+  lastReminderAt: null,
+  ...extra,
+})
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  vi.stubEnv('SMTP_HOST', 'smtp.example.com')
+})
+
+describe('co-buyer capture', () => {
+  it('reads the nested co-buyer and the flat fields older builds have', () => {
+    expect(coBuyerFromBuyerInfo(buyerInfo())).toMatchObject({ firstName: 'Sam', email: 'sam@example.com' })
+    expect(coBuyerFromBuyerInfo({ coBuyerFirstName: 'Lee', coBuyerLastName: 'Avery', coBuyerEmail: 'lee@example.com' }))
+      .toEqual({ firstName: 'Lee', lastName: 'Avery', email: 'lee@example.com', phone: '' })
+    expect(coBuyerFromBuyerInfo({ coBuyer: null })).toBeNull()
+  })
+
+  it('validates the co-buyer and signing order', () => {
+    expect(validateCoBuyer(buyerInfo())).toBeNull()
+    expect(validateCoBuyer({ email: 'x@example.com' })).toBeNull()
+    expect(validateCoBuyer(buyerInfo({ coBuyer: { firstName: 'Sam', lastName: 'Avery', email: 'nope' } })).error).toBe('invalid_cobuyer')
+    expect(validateCoBuyer(buyerInfo({ coBuyer: { firstName: 'Sam', lastName: 'Avery', email: 'Jordan@example.com' } })).message).toMatch(/own email/)
+    expect(validateCoBuyer(buyerInfo({ signingOrder: 'whenever' })).error).toBe('invalid_signing_order')
+  })
+
+  it('adds the co-buyer as a submitter in the chosen order', () => {
+    expect(contractSubmitters(buyerInfo())).toEqual({
+      submitters: [
+        { name: 'Jordan Avery', email: 'jordan@example.com', role: 'buyer' },
+        { name: 'Sam Avery', email: 'sam@example.com', role: 'cobuyer' },
+      ],
+      order: 'preserved',
+      signingOrder: 'sequential',
+    })
+    expect(contractSubmitters(buyerInfo({ signingOrder: 'parallel' })).order).toBe('random')
+    expect(contractSubmitters(buyerInfo(), { coBuyerEnabled: false }).submitters).toHaveLength(1)
+  })
+
+  it('matches the provider submitters to signers', () => {
+    const { submitters } = contractSubmitters(buyerInfo())
+    const signers = initialSigners(submitters, [{ id: 11, role: 'buyer', embedUrl: 'b' }, { id: 12, role: 'cobuyer', embedUrl: 'c' }], { now: day(0) })
+    expect(signers.map(s => [s.role, s.submitterId, s.signerUrl, s.status, s.invitedAt])).toEqual([
+      ['buyer', 11, 'b', 'pending', day(0)],
+      ['cobuyer', 12, 'c', 'pending', null],
+    ])
+  })
+})
+
+describe('applySignerEvent', () => {
+  it('completes the pack only once every signer has signed', () => {
+    const start = pack([signer('buyer'), signer('cobuyer')])
+    const buyerSigned = applySignerEvent(start, { type: 'signed', role: 'buyer', submitterId: 1 }, { now: day(1) })
+    expect(buyerSigned.status).toBe('in_progress')
+    expect(buyerSigned.signers[0]).toMatchObject({ status: 'completed', completedAt: day(1) })
+
+    const opened = applySignerEvent({ ...start, signers: buyerSigned.signers }, { type: 'viewed', submitterId: 2 })
+    expect(opened.signers[1].status).toBe('opened')
+    const done = applySignerEvent({ ...start, signers: opened.signers }, { type: 'signed', role: 'cobuyer' })
+    expect(done.status).toBe('completed')
+  })
+
+  it('voids the pack when anyone declines and ignores unknown events', () => {
+    const start = pack([signer('buyer', { status: 'completed' }), signer('cobuyer')])
+    expect(applySignerEvent(start, { type: 'declined', role: 'cobuyer' }).status).toBe('voided')
+    expect(applySignerEvent(start, { type: 'archived' })).toEqual({ signers: null, status: null })
+  })
+
+  it('treats packs without signers as single-signer', () => {
+    expect(applySignerEvent({ status: 'in_progress' }, { type: 'signed' })).toEqual({ signers: null, status: 'completed' })
+    expect(applySignerEvent(null, { type: 'started' }).status).toBe('in_progress')
+  })
+
+  it('syncs signers from provider status', () => {
+    const signers = [signer('buyer', { status: 'completed' }), signer('cobuyer')]
+    const synced = syncSignersFromStatus(signers, [{ role: 'buyer', status: 'completed' }, { role: 'cobuyer', status: 'completed', completedAt: day(2).toISOString() }])
+    expect(synced[1]).toMatchObject({ status: 'completed', completedAt: day(2) })
+    expect(packStatusFromSigners(synced)).toBe('completed')
+    expect(syncSignersFromStatus(signers, [{ role: 'buyer', status: 'completed' }])).toBeNull()
+  })
+})
+
+describe('invites and reminders', () => {
+  const reminders = { interval_days: 2, max_reminders: 2 }
+
+  it('invites the co-buyer after the buyer in sequential order, straight away in parallel', () => {
+    expect(signerNotifications(pack([signer('buyer'), signer('cobuyer')]), { now: day(0) })).toEqual([])
+    const afterBuyer = pack([signer('buyer', { status: 'completed' }), signer('cobuyer')])
+    expect(signerNotifications(afterBuyer, { now: day(0) }).map(n => [n.signer.role, n.kind])).toEqual([['cobuyer', 'invite']])
+    const parallel = pack([signer('buyer'), signer('cobuyer')], { signingOrder: 'parallel', status: 'ready' })
+    expect(signerNotifications(parallel, { now: day(0) }).map(n => n.index)).toEqual([1])
+  })
+
+  it('reminds every interval up to the limit', () => {
+    const waiting = (extra) => pack([signer('buyer', { status: 'completed' }), signer('cobuyer', { invitedAt: day(0), ...extra })])
+    expect(signerNotifications(waiting(), { now: day(1), reminders })).toEqual([])
+    expect(signerNotifications(waiting(), { now: day(2), reminders })[0].kind).toBe('reminder')
+    expect(signerNotifications(waiting({ reminders: 1, lastReminderAt: day(2) }), { now: day(3), reminders })).toEqual([])
+    expect(signerNotifications(waiting({ reminders: 2, lastReminderAt: day(4) }), { now: day(9), reminders })).toEqual([])
+    expect(signerNotifications({ ...waiting(), status: 'completed' }, { now: day(9), reminders })).toEqual([])
+  })
+
+  it('emails the invite with the signer\'s own link and records it', async () => {
+    const contract = { _id: 'c1', buildId: 'b1', packs: { agreement: pack([signer('buyer', { status: 'completed' }), signer('cobuyer')]) } }
+    const summary = await notifyPackSigners(contract, 'agreement', { now: day(1), build: { modelName: 'Magnolia', buyerInfo: buyerInfo() } })
+    expect(summary).toEqual({ invites: 1, reminders: 0, failed: 0 })
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'sam@example.com', subject: 'Please sign the Purchase Agreement for your Firefly Magnolia' }))
+    expect(sendMail.mock.calls[0][0].text).toContain('Jordan Avery added you as co-buyer')
+    expect(sendMail.mock.calls[0][0].text).toContain('https://sign.example.com/cobuyer')
+    expect(contracts.updateOne).toHaveBeenCalledWith({ _id: 'c1' }, { $set: { 'packs.agreement.signers.1.invitedAt': day(1) } })
+  })
+
+  it('does not record invites that could not be sent', async () => {
+    vi.stubEnv('SMTP_HOST', '')
+    vi.stubEnv('SMTP_USER', '')
+    const contract = { _id: 'c1', buildId: 'b1', packs: { agreement: pack([signer('buyer', { status: 'completed' }), signer('cobuyer')]) } }
+    expect(await notifyPackSigners(contract, 'agreement')).toEqual({ invites: 0, reminders: 0, failed: 1 })
+    expect(contracts.updateOne).not.toHaveBeenCalled()
+  })
+
+  it('resends a link on request, at most hourly', async () => {
+    const contract = { _id: 'c1', buildId: 'b1', packs: { agreement: pack([signer('buyer', { status: 'completed' }), signer('cobuyer', { invitedAt: day(1) })]) } }
+    expect((await remindSigner(contract, 'agreement', 'cobuyer', { now: new Date(day(1).getTime() + 10 * 60 * 1000) })).error).toBe('reminder_too_soon')
+    const sent = await remindSigner(contract, 'agreement', 'cobuyer', { now: day(2) })
+    expect(sent.signer).toMatchObject({ reminders: 1, lastReminderAt: day(2) })
+    expect(sendMail.mock.calls[0][0].subject).toMatch(/^Reminder/)
+    expect((await remindSigner(contract, 'agreement', 'buyer', { now: day(2) })).error).toBe('signer_not_waiting')
+    expect((await remindSigner(contract, 'agreement', 'dealer')).error).toBe('signer_not_found')
+  })
+})
+
+describe('dealer countersignature', () => {
+  const signed = (role) => signer(role, { status: 'completed', completedAt: role === 'buyer' ? day(1) : day(2) })
+
+  it('adds the dealer last on templates with dealer fields', () => {
+    vi.stubEnv('FIREFLY_SIGNER_NAME', 'Casey Lane')
+    vi.stubEnv('FIREFLY_SIGNER_EMAIL', 'office@example.com')
+    expect(templateNeedsCountersignature({ fieldMap: { dealer_signature: { role: 'firefly_signer' } } })).toBe(true)
+    expect(templateNeedsCountersignature({ fieldMap: { buyer_signature: { role: 'buyer' } } })).toBe(false)
+    const { submitters } = contractSubmitters(buyerInfo({ signingOrder: 'parallel' }), { countersign: true })
+    expect(submitters.map(s => s.role)).toEqual(['buyer', 'cobuyer', 'firefly_signer'])
+    expect(submitters[2]).toEqual({ name: 'Casey Lane', email: 'office@example.com', role: 'firefly_signer' })
+  })
+
+  it('waits for every buyer before the dealer, whatever the signing order', () => {
+    const signers = [signed('buyer'), signer('cobuyer'), signer('firefly_signer')]
+    expect(isSignersTurn(signers, signers[2], 'parallel')).toBe(false)
+    expect(packStatusFromSigners(signers)).toBe('in_progress')
+    const buyersDone = [signed('buyer'), signed('cobuyer'), signer('firefly_signer')]
+    expect(isSignersTurn(buyersDone, buyersDone[2], 'parallel')).toBe(true)
+    expect(packStatusFromSigners(buyersDone)).toBe('awaiting_countersignature')
+
+    const countersigned = applySignerEvent(pack(buyersDone, { status: 'awaiting_countersignature' }), { type: 'signed', role: 'firefly_signer' }, { now: day(3) })
+    expect(countersigned.status).toBe('completed')
+  })
+
+  it('never emails the dealer an invite', () => {
+    expect(signerNotifications(pack([signed('buyer'), signer('firefly_signer')]), { now: day(2) })).toEqual([])
+    expect(signerNotifications(pack([signed('buyer'), signer('cobuyer'), signer('firefly_signer')]), { now: day(2) }).map(n => n.signer.role)).toEqual(['cobuyer'])
+  })
+
+  it('lists packs waiting for a countersignature, longest waiting first', async () => {
+    const waiting = (id, buyerSignedAt) => ({
+      _id: id,
+      buildId: `build-${id}`,
+      snapshots: { buildData: { modelName: 'Magnolia' } },
+      packs: { agreement: pack([signer('buyer', { status: 'completed', completedAt: buyerSignedAt }), signer('firefly_signer')], { status: 'awaiting_countersignature' }) },
+    })
+    contracts.find.mockReturnValue({ limit: () => ({ toArray: async () => [waiting('c2', day(4)), waiting('c1', day(1))] }) })
+    const queue = await listAwaitingCountersignature()
+    expect(queue.map(r => [r.contractId, r.packId, r.waitingSince])).toEqual([['c1', 'agreement', day(1)], ['c2', 'agreement', day(4)]])
+    expect(queue[0]).toMatchObject({ buildId: 'build-c1', modelName: 'Magnolia', dealer: { role: 'firefly_signer' } })
+    expect(queue[0].buyers[0]).not.toHaveProperty('signerUrl')
+  })
+
+  it('hands out the dealer link only once the buyers are done', async () => {
+    const contract = (status, dealer = {}) => ({ _id: 'c1', packs: { agreement: pack([signed('buyer'), signer('firefly_signer', dealer)], { status, submissionId: 's1' }) } })
+    expect((await countersignLink(contract('in_progress'), 'agreement')).error).toBe('not_awaiting_countersignature')
+    expect((await countersignLink({ _id: 'c1', packs: { agreement: pack([signed('buyer')]) } }, 'agreement')).error).toBe('no_countersignature')
+
+    const opened = await countersignLink(contract('awaiting_countersignature'), 'agreement', { now: day(3), userId: 'admin_1' })
+    expect(opened.url).toBe('https://sign.example.com/firefly_signer')
+    expect(contracts.updateOne).toHaveBeenCalledWith({ _id: 'c1' }, expect.objectContaining({
+      $set: { 'packs.agreement.signers.1': expect.objectContaining({ invitedAt: day(3) }) },
+      $push: { audit: expect.objectContaining({ action: 'countersign_opened', userId: 'admin_1' }) },
+    }))
+
+    embedSession.mockResolvedValue({ embedUrl: 'https://sign.example.com/fresh' })
+    expect((await countersignLink(contract('awaiting_countersignature', { signerUrl: null }), 'agreement')).url).toBe('https://sign.example.com/fresh')
+    expect(embedSession).toHaveBeenCalledWith('s1', { role: 'firefly_signer' })
+  })
+
+  it('emails the executed PDF to every signer', async () => {
+    const buffer = Buffer.from('%PDF')
+    const sent = await sendExecutedContract({
+      signers: [signed('buyer'), signed('cobuyer'), signed('firefly_signer')],
+      buffer,
+      filename: 'agreement-executed.pdf',
+      packName: 'Purchase Agreement',
+      modelName: 'Magnolia',
+      executedAt: day(3),
+    })
+    expect(sent.to).toEqual(['jordan@example.com', 'sam@example.com', 'office@example.com'])
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'jordan@example.com, sam@example.com, office@example.com',
+      subject: 'Executed: Purchase Agreement for your Firefly Magnolia',
+      attachments: [{ filename: 'agreement-executed.pdf', content: buffer, contentType: 'application/pdf' }],
+    }))
+    expect(sendMail.mock.calls[0][0].text).toContain('executed on March 4, 2026')
+    expect((await sendExecutedContract({ signers: [], buffer })).error).toBe('invalid_email')
+  })
+})
+
+describe('contractSigningBlocker', () => {
+  it('only passes once every started pack is completed', () => {
+    expect(contractSigningBlocker(null).error).toBe('contract_not_signed')
+    expect(contractSigningBlocker({ packs: { agreement: { status: 'not_started' } } }).error).toBe('contract_not_signed')
+    expect(contractSigningBlocker({ packs: { agreement: { status: 'completed' }, delivery: { status: 'in_progress' } } })).toMatchObject({ error: 'contract_not_signed', packId: 'delivery' })
+    expect(contractSigningBlocker({ packs: { agreement: { status: 'completed' }, delivery: { status: 'not_started' } } })).toBeNull()
+    expect(contractSigningBlocker({ status: 'completed', submissions: [] })).toBeNull()
+  })
+
+  it('waits for every signer on a completed pack', () => {
+    const packs = (cobuyer) => ({ packs: { agreement: { status: 'completed', templateName: 'Purchase Agreement', signers: [signer('buyer', { status: 'completed' }), signer('cobuyer', { status: cobuyer })] } } })
+    expect(contractSigningBlocker(packs('opened'))).toMatchObject({ error: 'contract_not_signed', packId: 'agreement' })
+    expect(contractSigningBlocker(packs('completed'))).toBeNull()
+  })
+
+  it('waits for the countersignature to execute the pack', () => {
+    const agreement = (extra) => ({ packs: { agreement: { status: 'completed', signers: [signer('buyer', { status: 'completed' }), signer('firefly_signer', { status: 'completed' })], ...extra } } })
+    expect(contractSigningBlocker({ packs: { agreement: { status: 'awaiting_countersignature' } } }).error).toBe('awaiting_countersignature')
+    expect(contractSigningBlocker(agreement()).error).toBe('awaiting_countersignature')
+    expect(contractSigningBlocker(agreement({ executedAt: day(3) }))).toBeNull()
+  })
+})
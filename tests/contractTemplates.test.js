@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Just enough of a collection for the registry's queries
+let docs = []
+const matches = (doc, query) => Object.entries(query).every(([k, v]) => (v && v.$lte ? doc[k] != null && doc[k] <= v.$lte : doc[k] === v))
+const sorted = (list, sort = {}) => [...list].sort((a, b) => {
+  for (const [k, dir] of Object.entries(sort)) {
+    if (a[k] < b[k]) return -dir
+    if (a[k] > b[k]) return dir
+  }
+  return 0
+})
+const templates = {
+  createIndex: vi.fn(async () => 'key_1_version_1'),
+  findOne: vi.fn(async (query, { sort } = {}) => sorted(docs.filter(d => matches(d, query)), sort)[0] || null),
+  find: vi.fn((query) => ({ sort: (sort) => ({ toArray: async () => sorted(docs.filter(d => matches(d, query)), sort) }) })),
+  insertOne: vi.fn(async (doc) => {
+    if (docs.some(d => d.key === doc.key && d.version === doc.version)) throw Object.assign(new Error('duplicate key'), { code: 11000 })
+    docs.push({ ...doc })
+  }),
+  updateOne: vi.fn(async ({ _id }, { $set }) => { Object.assign(docs.find(d => d._id === _id), $set) }),
+}
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => templates })) }))
+const createDocusealTemplateFromHtml = vi.fn(async () => 9001)
+vi.mock('../lib/esign/docuseal.js', () => ({ createDocusealTemplateFromHtml }))
+
+const {
+  activateTemplateVersion,
+  builtinTemplate,
+  createTemplateVersion,
+  renderTemplatePreview,
+  resolveContractTemplate,
+  templateVersionRecord,
+  validateTemplateVersion,
+} = await import('../lib/contract-templates.js')
+
+const day = (n) => new Date(Date.UTC(2026, 2, 1 + n, 12))
+
+const html = (extra = '') => `<p>{{buyer_full_name;type=text;role=buyer;readonly=true}}</p><p>{{buyer_signature;type=signature;role=buyer}}</p>${extra}`
+
+beforeEach(() => {
+  docs = []
+  vi.clearAllMocks()
+})
+
+describe('createTemplateVersion', () => {
+  const source = () => builtinTemplate('masterRetail').html()
+
+  it('rejects unknown keys, scripts and tags the field map does not know', () => {
+    expect(validateTemplateVersion('nope', { html: source() }).error).toBe('not_found')
+    expect(validateTemplateVersion('masterRetail', { html: `${source()}<script>alert(1)</script>` }).error).toBe('invalid_template')
+    const result = validateTemplateVersion('masterRetail', { html: `${source()}{{made_up_field;type=text;role=buyer}}` })
+    expect(result.error).toBe('invalid_template')
+    expect(result.issues).toEqual([expect.objectContaining({ field: 'made_up_field' })])
+  })
+
+  it('numbers versions and reuses the latest one when nothing changed', async () => {
+    const first = await createTemplateVersion('masterRetail', { html: source(), notes: 'Initial import' }, { userId: 'admin_1', now: day(0) })
+    expect(first.reused).toBe(false)
+    expect(first.version).toMatchObject({ _id: 'masterRetail@v1', version: 1, createdBy: 'admin_1', effectiveAt: null, notes: 'Initial import' })
+
+    const again = await createTemplateVersion('masterRetail', { html: source() }, { now: day(1) })
+    expect(again).toMatchObject({ reused: true, version: { version: 1 } })
+
+    const second = await createTemplateVersion('masterRetail', { html: source().replace('</body>', '<p>Revised</p></body>') }, { now: day(2) })
+    expect(second.version.version).toBe(2)
+    expect(second.version.sha256).not.toBe(first.version.sha256)
+  })
+
+  it('converts inline field tags before storing', async () => {
+    const { version } = await createTemplateVersion('masterRetail', { html: source().replace('</body>', '<p>{{order_id;type=text;role=buyer;readonly=true}}</p></body>') }, { now: day(0) })
+    expect(version.html).not.toContain('{{order_id')
+    expect(version.html).toMatch(/<text-field[^>]*name="order_id"/)
+  })
+
+  it('reports a conflict when two saves race for the same number', async () => {
+    templates.findOne.mockResolvedValueOnce(null)
+    docs.push({ _id: 'masterRetail@v1', key: 'masterRetail', version: 1, sha256: 'other' })
+    const result = await createTemplateVersion('masterRetail', { html: source() }, { now: day(0) })
+    expect(result.error).toBe('version_conflict')
+  })
+})
+
+describe('activateTemplateVersion', () => {
+  const save = async (suffix, now) => (await createTemplateVersion('masterRetail', { html: builtinTemplate('masterRetail').html().replace('</body>', `<p>${suffix}</p></body>`) }, { now })).version
+
+  it('puts a version in effect now or schedules it', async () => {
+    await save('one', day(0))
+    await save('two', day(0))
+    expect((await activateTemplateVersion('masterRetail', 1, { now: day(1), userId: 'admin_1' })).version).toMatchObject({ effectiveAt: day(1), activatedBy: 'admin_1' })
+    expect((await activateTemplateVersion('masterRetail', 2, { effectiveAt: day(10), now: day(1) })).version.effectiveAt).toEqual(day(10))
+  })
+
+  it('does not move a version that is already in effect or backdate one', async () => {
+    await save('one', day(0))
+    await activateTemplateVersion('masterRetail', 1, { now: day(1) })
+    expect((await activateTemplateVersion('masterRetail', 1, { effectiveAt: day(5), now: day(2) })).error).toBe('already_effective')
+
+    await save('two', day(2))
+    expect((await activateTemplateVersion('masterRetail', 2, { effectiveAt: day(1), now: day(2) })).error).toBe('invalid_effective_date')
+    expect((await activateTemplateVersion('masterRetail', 2, { effectiveAt: 'soon', now: day(2) })).error).toBe('invalid_effective_date')
+    expect((await activateTemplateVersion('masterRetail', 7, { now: day(2) })).error).toBe('not_found')
+  })
+})
+
+describe('resolveContractTemplate', () => {
+  it('uses the built-in template until a version takes effect', async () => {
+    const template = await resolveContractTemplate('masterRetail', { at: day(0) })
+    expect(template.source).toBe('builtin')
+    expect(templateVersionRecord(template)).toEqual({ templateVersion: null, templateVersionId: null, templateSource: 'builtin', templateSha256: builtinTemplate('masterRetail').sha256 })
+  })
+
+  it('picks the version in effect at the given time and records it', async () => {
+    const base = builtinTemplate('masterRetail').html()
+    await createTemplateVersion('masterRetail', { html: base.replace('</body>', '<p>v1</p></body>') }, { now: day(0) })
+    await createTemplateVersion('masterRetail', { html: base.replace('</body>', '<p>v2</p></body>') }, { now: day(0) })
+    await activateTemplateVersion('masterRetail', 1, { now: day(1) })
+    await activateTemplateVersion('masterRetail', 2, { effectiveAt: day(10), now: day(1) })
+
+    const before = await resolveContractTemplate('masterRetail', { at: day(5) })
+    expect(before).toMatchObject({ source: 'registry', version: 1, versionId: 'masterRetail@v1' })
+    expect(before.html()).toContain('<p>v1</p>')
+    expect(before.fieldMap).toBe(builtinTemplate('masterRetail').fieldMap)
+
+    const after = await resolveContractTemplate('masterRetail', { at: day(11) })
+    expect(templateVersionRecord(after)).toMatchObject({ templateVersion: 2, templateVersionId: 'masterRetail@v2', templateSource: 'registry' })
+    expect(createDocusealTemplateFromHtml).not.toHaveBeenCalled()
+  })
+
+  it('uploads a version to DocuSeal once, the first time it is used', async () => {
+    await createTemplateVersion('delivery', { html: builtinTemplate('delivery').html().replace('</body>', '<p>v1</p></body>') }, { now: day(0) })
+    await activateTemplateVersion('delivery', 1, { now: day(1) })
+
+    const first = await resolveContractTemplate('delivery', { at: day(2), provider: { name: 'docuseal' } })
+    expect(first.id).toBe(9001)
+    expect(createDocusealTemplateFromHtml).toHaveBeenCalledWith(expect.objectContaining({ externalId: 'firefly_delivery_v1', roles: expect.arrayContaining(['buyer']) }))
+
+    await resolveContractTemplate('delivery', { at: day(3), provider: { name: 'docuseal' } })
+    expect(createDocusealTemplateFromHtml).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('renderTemplatePreview', () => {
+  it('shows prefilled fields by name and leaves signatures blank', () => {
+    const preview = renderTemplatePreview(html())
+    expect(preview).toContain('[buyer_full_name]')
+    expect(preview).not.toContain('signature-field')
+  })
+})
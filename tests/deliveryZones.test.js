@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import { buildDeliveryQuote, computeDeliverySurcharges, parseStateFromAddress, resolveDeliveryZone } from '../lib/delivery-zones.js'
+
+const rates = {
+  defaultBase: 500,
+  perMile: 3,
+  radiusBands: [{ id: 'local', label: 'Local', maxMiles: 60, base: 350, perMile: 0 }],
+  states: {
+    TX: {
+      label: 'Texas',
+      base: 400,
+      perMile: 2.5,
+      counties: { Tarrant: { base: 300, perMile: 2.25 } },
+      radiusBands: [{ id: 'tx-long-haul', label: 'Texas long haul', minMiles: 300, base: 600, perMile: 2.35 }],
+    },
+  },
+  surcharges: {
+    oversizePermit: { label: 'Oversize load permit', widthOverFt: 8.5, lengthOverFt: 53, flat: 150 },
+    pilotCar: { label: 'Pilot car', widthOverFt: 12, perMile: 1.85, minimum: 300 },
+  },
+}
+
+describe('delivery zones', () => {
+  it('resolves county, state band, global band, state and default zones in order', () => {
+    expect(resolveDeliveryZone(rates, { state: 'tx', county: 'Tarrant County', miles: 20 }).id).toBe('TX-tarrant')
+    expect(resolveDeliveryZone(rates, { state: 'TX', miles: 350 }).id).toBe('tx-long-haul')
+    expect(resolveDeliveryZone(rates, { state: 'TX', miles: 40 }).id).toBe('local')
+    expect(resolveDeliveryZone(rates, { state: 'TX', miles: 120 })).toMatchObject({ id: 'TX', base: 400, perMile: 2.5 })
+    expect(resolveDeliveryZone(rates, { state: 'NM', miles: 120 })).toMatchObject({ id: 'default', base: 500, perMile: 3 })
+  })
+
+  it('adds surcharges based on transport width and length', () => {
+    expect(computeDeliverySurcharges(rates, { width: 8.5, length: 40 }, 100)).toEqual([])
+    expect(computeDeliverySurcharges(rates, { width: 12, length: 40 }, 100)).toEqual([
+      { key: 'oversizePermit', label: 'Oversize load permit', amount: 150 },
+    ])
+    expect(computeDeliverySurcharges(rates, { width: 14, length: 40 }, 200)).toEqual([
+      { key: 'oversizePermit', label: 'Oversize load permit', amount: 150 },
+      { key: 'pilotCar', label: 'Pilot car', amount: 370 },
+    ])
+  })
+
+  it('itemizes the quote and applies the minimum to the zone charge only', () => {
+    const quote = buildDeliveryQuote({ rates, miles: 100, state: 'TX', dims: { width: 12, length: 40 }, minimum: 1000 })
+    expect(quote.lineItems.map(li => [li.key, li.amount])).toEqual([
+      ['base', 400],
+      ['mileage', 250],
+      ['minimum', 350],
+      ['oversizePermit', 150],
+    ])
+    expect(quote.fee).toBe(1150)
+  })
+
+  it('parses the state from a formatted address', () => {
+    expect(parseStateFromAddress('606 S 2nd Ave, Mansfield, TX 76063')).toBe('TX')
+    expect(parseStateFromAddress('1 Main St, Tulsa, ok, USA')).toBe('OK')
+    expect(parseStateFromAddress('')).toBeNull()
+  })
+})
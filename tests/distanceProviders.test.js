@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+import { createOfflineProvider, distanceCacheKey, haversineMiles, lookupZipCentroid, parseZip, resolveDistance } from '../lib/distance-providers.js'
+
+const table = {
+  roadFactor: 1.25,
+  zips: { '76063': [32.5632, -97.1417] },
+  prefixes: { '787': [30.27, -97.74], '761': [32.75, -97.33] },
+}
+
+describe('distance providers', () => {
+  it('normalizes addresses into a stable cache key', () => {
+    expect(distanceCacheKey('606 S. 2nd Ave ,  Mansfield, TX 76063, USA', '1 Main St, Austin, TX 78701'))
+      .toBe(distanceCacheKey('606 s 2nd ave, mansfield, tx 76063', '1 MAIN ST, AUSTIN, TX 78701'))
+  })
+
+  it('looks up exact ZIPs before 3-digit areas', () => {
+    expect(parseZip('1 Main St, Austin, TX 78701-1234')).toBe('78701')
+    expect(lookupZipCentroid('76063', table)).toEqual({ lat: 32.5632, lng: -97.1417 })
+    expect(lookupZipCentroid('78701', table)).toEqual({ lat: 30.27, lng: -97.74 })
+    expect(lookupZipCentroid('10001', table)).toBeNull()
+  })
+
+  it('computes great-circle distance', () => {
+    // Dallas to Austin is roughly 182 miles as the crow flies
+    const miles = haversineMiles({ lat: 32.78, lng: -96.8 }, { lat: 30.27, lng: -97.74 })
+    expect(miles).toBeGreaterThan(175)
+    expect(miles).toBeLessThan(190)
+  })
+
+  it('falls through to the offline estimate and flags it', async () => {
+    const failing = { name: 'live', estimated: false, isAvailable: () => true, distance: async () => null }
+    const result = await resolveDistance({
+      origin: 'Mansfield, TX 76063',
+      destination: 'Austin, TX 78701',
+      providers: [failing, createOfflineProvider(table)],
+      useCache: false,
+    })
+    expect(result.provider).toBe('offline')
+    expect(result.estimated).toBe(true)
+    const crow = haversineMiles({ lat: 32.5632, lng: -97.1417 }, { lat: 30.27, lng: -97.74 })
+    expect(result.miles).toBeCloseTo(crow * 1.25, 6)
+  })
+
+  it('returns zero estimated miles when nothing can route the pair', async () => {
+    const result = await resolveDistance({ origin: 'Nowhere', destination: 'Elsewhere', providers: [createOfflineProvider(table)], useCache: false })
+    expect(result).toMatchObject({ miles: 0, provider: null, estimated: true })
+  })
+})
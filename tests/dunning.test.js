@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const builds = { find: vi.fn(), findOne: vi.fn(), updateOne: vi.fn() }
+const notifications = { insertOne: vi.fn() }
+vi.mock('../lib/db.js', () => ({
+  getDb: vi.fn(async () => ({ collection: (name) => (name === 'notifications' ? notifications : builds) })),
+}))
+vi.mock('../lib/settings.js', () => ({ getOrgSettings: vi.fn(async () => ({ dunning: { escalate_after_days: 5 } })) }))
+vi.mock('../lib/ledger.js', () => ({
+  listLedgerEntries: vi.fn(async () => [{ type: 'payment', milestone: 'complete', amount: 1000000 }]),
+}))
+
+const {
+  DEFAULT_DUNNING,
+  dunningActions,
+  renderReminder,
+  resolveDunningSettings,
+  runDunning,
+  unpaidBeforeDelivery,
+  validateDunningSettings,
+} = await import('../lib/dunning.js')
+const { transitionBuild } = await import('../lib/build-lifecycle.js')
+
+const activatedAt = new Date('2026-03-01T12:00:00Z')
+const day = (n) => new Date(activatedAt.getTime() + n * 24 * 60 * 60 * 1000)
+
+const makeBuild = (payment = {}, extra = {}) => ({
+  _id: '64b000000000000000abc123',
+  userId: 'buyer_1',
+  modelName: 'Magnolia',
+  status: 'FACTORY_COMPLETE',
+  buyerInfo: { firstName: 'Jordan', lastName: 'Avery' },
+  payment: {
+    schedule: {
+      id: 'dealer',
+      milestones: [
+        { key: 'signing', label: 'Due at signing', trigger: 'SIGNED', amount: 800000 },
+        { key: 'production', label: 'Production start', trigger: 'IN_PRODUCTION', amount: 3200000, activatedAt: day(-60), dueAt: day(-30) },
+        { key: 'complete', label: 'Factory complete', trigger: 'FACTORY_COMPLETE', amount: 4000000, activatedAt, dueAt: day(30) },
+      ],
+    },
+    signingPaid: true,
+    productionPaid: true,
+    ...payment,
+  },
+  ...extra,
+})
+
+const cfg = resolveDunningSettings({})
+
+describe('dunning settings', () => {
+  it('fills defaults and sorts offsets', () => {
+    const { dunning } = validateDunningSettings({ offsets_days: [7, -3, 0, 7], templates: { due: { title: 'Pay {amount}', message: '' } } })
+    expect(dunning.offsets_days).toEqual([-3, 0, 7])
+    expect(dunning.escalate_after_days).toBe(7)
+    expect(dunning.templates.due).toEqual({ title: 'Pay {amount}', message: DEFAULT_DUNNING.templates.due.message })
+    expect(validateDunningSettings({ offsets_days: [1.5] }).error).toBe('invalid_dunning')
+    expect(validateDunningSettings({ offsets_days: [] }).error).toBe('invalid_dunning')
+    expect(validateDunningSettings({ escalate_after_days: -1 }).error).toBe('invalid_dunning')
+  })
+
+  it('renders placeholders and leaves unknown ones', () => {
+    expect(renderReminder({ title: '{model} {milestone}', message: '{amount} {nope}' }, { model: 'Magnolia', milestone: 'Final', amount: '$1.00' }))
+      .toEqual({ title: 'Magnolia Final', message: '$1.00 {nope}' })
+  })
+})
+
+describe('dunningActions', () => {
+  it('sends only the latest offset that has passed', () => {
+    expect(dunningActions(makeBuild(), cfg, { now: day(20) })).toEqual([])
+    const [upcoming] = dunningActions(makeBuild(), cfg, { now: day(28) })
+    expect(upcoming).toMatchObject({ offset: -3, stage: 'upcoming', escalate: false, milestone: { key: 'complete', outstanding: 4000000 } })
+    const [late] = dunningActions(makeBuild(), cfg, { now: day(35) })
+    expect(late).toMatchObject({ offset: 3, stage: 'overdue', escalate: false })
+  })
+
+  it('skips reminders already sent and escalates once', () => {
+    const sent = makeBuild({ dunning: { complete: { sent: [-3, 0, 3, 7] } } })
+    expect(dunningActions(sent, cfg, { now: day(38) })).toEqual([expect.objectContaining({ escalate: true })])
+    expect(dunningActions(sent, cfg, { now: day(38) })[0].stage).toBeUndefined()
+    const escalated = makeBuild({ dunning: { complete: { sent: [-3, 0, 3, 7], escalatedAt: day(37) } } })
+    expect(dunningActions(escalated, cfg, { now: day(40) })).toEqual([])
+  })
+
+  it('reminds about what is left after partial payments', () => {
+    const [action] = dunningActions(makeBuild(), cfg, { now: day(30), paid: new Map([['complete', 1500000]]) })
+    expect(action.milestone.outstanding).toBe(2500000)
+    expect(dunningActions(makeBuild(), cfg, { now: day(30), paid: new Map([['complete', 4000000]]) })).toEqual([])
+  })
+})
+
+describe('delivery guard', () => {
+  beforeEach(() => {
+    builds.findOne.mockReset()
+    builds.updateOne.mockReset()
+  })
+
+  it('holds delivery statuses until earlier milestones are paid', () => {
+    expect(unpaidBeforeDelivery(makeBuild(), 'IN_TRANSIT').map(m => m.key)).toEqual(['complete'])
+    expect(unpaidBeforeDelivery(makeBuild({ completePaid: true }), 'IN_TRANSIT')).toEqual([])
+    expect(unpaidBeforeDelivery(makeBuild(), 'IN_PRODUCTION')).toEqual([])
+  })
+
+  it('refuses the transition before writing it', async () => {
+    builds.findOne.mockResolvedValue(makeBuild())
+    const result = await transitionBuild('64b000000000000000abc123', 'IN_TRANSIT', { role: 'admin', userId: 'admin' })
+    expect(result).toMatchObject({ error: 'balance_outstanding', from: 'FACTORY_COMPLETE', to: 'IN_TRANSIT' })
+    expect(result.message).toMatch(/Factory complete must be paid/)
+    expect(builds.updateOne).not.toHaveBeenCalled()
+  })
+})
+
+describe('runDunning', () => {
+  beforeEach(() => {
+    builds.updateOne.mockReset()
+    notifications.insertOne.mockReset()
+  })
+
+  it('notifies the buyer, escalates to admins and records what was sent', async () => {
+    builds.find.mockReturnValue({ limit: () => ({ toArray: async () => [makeBuild()] }) })
+    const summary = await runDunning({ now: day(36) })
+    expect(summary).toEqual({ checked: 1, reminders: 1, escalations: 1 })
+
+    const [reminder, escalation] = notifications.insertOne.mock.calls.map(c => c[0])
+    expect(reminder).toMatchObject({ title: 'Magnolia: Factory complete is 6 days overdue', targetUsers: ['buyer_1'], type: 'warning' })
+    expect(reminder.message).toContain('$30,000.00')
+    expect(escalation).toMatchObject({ category: 'financial', type: 'urgent', isSystemGenerated: true })
+    expect(escalation.targetUsers).toBeUndefined()
+
+    const update = builds.updateOne.mock.calls[0][1]
+    expect(update.$addToSet).toEqual({ 'payment.dunning.complete.sent': 3 })
+    expect(update.$set['payment.dunning.complete.escalatedAt']).toEqual(day(36))
+  })
+})
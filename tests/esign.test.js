@@ -0,0 +1,224 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Just enough of a collection for the local signer's queries
+const docs = new Map()
+const matches = (doc, filter) => Object.entries(filter).every(([key, want]) => {
+  if (key === 'submitters.token') return doc.submitters.some(s => s.token === want)
+  if (key === 'submitters') return doc.submitters.some(s => s.token === want.$elemMatch.token && s.status !== want.$elemMatch.status.$ne)
+  return doc[key] === want
+})
+const submissions = {
+  createIndex: vi.fn(async () => 'ok'),
+  insertOne: vi.fn(async (doc) => { docs.set(doc._id, structuredClone(doc)) }),
+  findOne: vi.fn(async (filter) => {
+    const doc = [...docs.values()].find(d => matches(d, filter))
+    return doc ? structuredClone(doc) : null
+  }),
+  updateOne: vi.fn(async (filter, update) => {
+    const doc = [...docs.values()].find(d => matches(d, filter))
+    if (!doc) return { modifiedCount: 0 }
+    const token = filter['submitters.token'] || filter.submitters?.$elemMatch.token
+    for (const [path, value] of Object.entries(update.$set || {})) {
+      if (path.startsWith('submitters.$.')) doc.submitters.find(s => s.token === token)[path.slice(13)] = value
+      else if (path.startsWith('values.')) doc.values[path.slice(7)] = value
+      else doc[path] = value
+    }
+    if (update.$push?.events) doc.events.push(update.$push.events)
+    return { modifiedCount: 1 }
+  }),
+}
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => submissions })) }))
+const renderPdfFromHtml = vi.fn(async () => Buffer.from('%PDF-signed'))
+vi.mock('../lib/pdf/renderer.js', () => ({ renderPdfFromHtml }))
+const saved = new Map()
+const storage = {
+  name: 'memory',
+  save: vi.fn(async ({ buffer, key }) => { saved.set(key, buffer); return key }),
+  read: vi.fn(async (ref) => saved.get(ref)),
+}
+vi.mock('../lib/pdf/storage.js', () => ({ getDefaultStorage: () => storage, getStorageAdapter: () => storage }))
+const ingestWebhookEvent = vi.fn(async () => ({ duplicate: false }))
+vi.mock('../lib/webhook-events.js', () => ({ ingestWebhookEvent }))
+
+const {
+  localSigner,
+  parseSigningFields,
+  readLocalSignedDocument,
+  renderFlattenedHtml,
+  declineLocalSigning,
+  openLocalSigning,
+  submitLocalSigning,
+  validateSigningInput,
+} = await import('../lib/esign/local-signer.js')
+const { renderSigningPage } = await import('../lib/esign/signing-page.js')
+const { ESIGN_STATUS, getDefaultEsignProvider, getEsignProvider } = await import('../lib/esign/index.js')
+
+const html = `<html><head></head><body>
+  <p>Buyer: <text-field name="buyer_name" role="buyer"></text-field></p>
+  <p>Sign: <signature-field name="buyer_signature" role="buyer"></signature-field>
+  <date-field name="buyer_date" role="buyer"></date-field></p>
+  <p><initials-field name="buyer_initials" role="buyer" required="false"></initials-field></p>
+  <p>Co-buyer: <signature-field name="cobuyer_signature" role="cobuyer"></signature-field></p>
+  <p>Dealer: <signature-field name="dealer_signature" role="dealer"></signature-field>
+  <text-field name="dealer_title" role="dealer"></text-field></p>
+  <p>Again: <signature-field name="buyer_signature" role="buyer"></signature-field></p>
+</body></html>`
+
+const tokenFor = (submissionId, role) => [...docs.values()].find(d => d._id === submissionId).submitters.find(s => s.role === role).token
+
+beforeEach(() => {
+  docs.clear()
+  saved.clear()
+  vi.clearAllMocks()
+})
+
+describe('contract fields', () => {
+  it('parses each field once with its role', () => {
+    const fields = parseSigningFields(html)
+    expect(fields.map(f => f.name)).toEqual(['buyer_name', 'buyer_signature', 'buyer_date', 'buyer_initials', 'cobuyer_signature', 'dealer_signature', 'dealer_title'])
+    expect(fields.find(f => f.name === 'buyer_initials')).toEqual({ name: 'buyer_initials', type: 'initials', role: 'buyer', required: false })
+  })
+
+  it('flattens values and signatures and appends the audit page', () => {
+    const submission = {
+      _id: 'les_1',
+      name: 'Purchase Agreement',
+      html,
+      documentHash: 'abc',
+      values: { buyer_name: 'Jordan <Avery>' },
+      submitters: [
+        { role: 'buyer', name: 'Jordan', status: 'completed', completedAt: '2026-03-02T15:00:00Z', signature: { type: 'typed', text: 'Jordan Avery' } },
+        { role: 'dealer', status: 'pending' },
+      ],
+    }
+    const out = renderFlattenedHtml(submission, { completedAt: new Date('2026-03-02T15:00:00Z') })
+    expect(out).not.toMatch(/-field/)
+    expect(out).toContain('Jordan &lt;Avery&gt;')
+    expect(out).toContain('<span class="esign-typed esign-signature">Jordan Avery</span>')
+    expect(out).toContain('March 2, 2026')
+    expect(out).toContain('Signature Certificate')
+    expect(out.indexOf('<style>')).toBeLessThan(out.indexOf('</head>'))
+  })
+})
+
+describe('validateSigningInput', () => {
+  const submission = {
+    fields: parseSigningFields(html),
+    values: { buyer_name: 'Jordan Avery' },
+    submitters: [{ role: 'buyer' }, { role: 'dealer' }],
+  }
+
+  it('requires the signer\'s own fields and ignores prefilled ones', () => {
+    const result = validateSigningInput(submission, { role: 'dealer' }, { signature: { type: 'typed', value: 'Pat Dealer' } })
+    expect(result).toMatchObject({ error: 'fields_missing', fields: ['dealer_title'] })
+    const ok = validateSigningInput(submission, { role: 'buyer' }, { signature: { type: 'typed', value: ' Jordan Avery ' }, values: { buyer_name: 'Someone Else' } })
+    expect(ok).toEqual({ signature: { type: 'typed', text: 'Jordan Avery' }, initials: null, values: {} })
+  })
+
+  it('accepts drawn marks only as PNG data URLs', () => {
+    const bad = validateSigningInput(submission, { role: 'buyer' }, { signature: { type: 'drawn', value: 'data:image/svg+xml;base64,AAAA' } })
+    expect(bad.error).toBe('invalid_signature')
+    const good = validateSigningInput(submission, { role: 'buyer' }, { signature: { type: 'drawn', value: 'data:image/png;base64,iVBORw0KGgo=' } })
+    expect(good.signature).toEqual({ type: 'drawn', image: 'data:image/png;base64,iVBORw0KGgo=' })
+  })
+})
+
+describe('local signer', () => {
+  const start = () => localSigner.createSubmission({
+    html,
+    name: 'Purchase Agreement',
+    prefill: { buyer_name: 'Jordan Avery' },
+    submitters: [{ role: 'buyer', email: 'jordan@example.com', name: 'Jordan Avery' }, { role: 'dealer', email: 'sales@example.com' }],
+    completedRedirectUrl: 'https://example.com/done',
+  })
+
+  it('collects signatures in order and stores the flattened PDF', async () => {
+    const created = await start()
+    expect(created.submitters.map(s => s.role)).toEqual(['buyer', 'dealer'])
+    expect(created.signerUrl).toMatch(/\/api\/esign\/local\//)
+    const buyer = tokenFor(created.submissionId, 'buyer')
+    const dealer = tokenFor(created.submissionId, 'dealer')
+
+    expect(await submitLocalSigning(dealer, { signature: { type: 'typed', value: 'Pat' } })).toMatchObject({ error: 'not_your_turn' })
+
+    const opened = await openLocalSigning(buyer, { ip: '10.0.0.1' })
+    expect(opened.submission.status).toBe(ESIGN_STATUS.IN_PROGRESS)
+    expect(ingestWebhookEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+      provider: 'local_signer',
+      payload: expect.objectContaining({ type: 'started', submissionId: created.submissionId, role: 'buyer' }),
+    }))
+    const page = renderSigningPage(opened.submission, opened.submitter)
+    expect(page).toContain('data-kind="signature"')
+    expect(page).not.toContain('data-field="buyer_name"')
+
+    const first = await submitLocalSigning(buyer, { signature: { type: 'typed', value: 'Jordan Avery' } })
+    expect(first).toMatchObject({ completed: false })
+    expect(ingestWebhookEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+      eventId: `${created.submissionId}:signed:1`,
+      payload: expect.objectContaining({ type: 'signed', role: 'buyer', submitterId: '1' }),
+    }))
+    expect(await submitLocalSigning(buyer, { signature: { type: 'typed', value: 'Again' } })).toMatchObject({ completed: false })
+    expect((await readLocalSignedDocument(buyer)).error).toBe('not_completed')
+
+    const last = await submitLocalSigning(dealer, { signature: { type: 'typed', value: 'Pat Dealer' }, values: { dealer_title: 'Sales Manager' } })
+    expect(last.completed).toBe(true)
+    expect(renderPdfFromHtml).toHaveBeenCalledTimes(1)
+    const flattened = renderPdfFromHtml.mock.calls[0][0]
+    expect(flattened).toContain('Sales Manager')
+    expect(flattened).toContain('Pat Dealer')
+    expect(flattened).not.toContain('cobuyer_signature')
+    expect(ingestWebhookEvent).toHaveBeenLastCalledWith(expect.objectContaining({ eventId: `${created.submissionId}:completed` }))
+
+    expect(await localSigner.getStatus(created.submissionId)).toMatchObject({ status: ESIGN_STATUS.COMPLETED })
+    const document = await readLocalSignedDocument(buyer)
+    expect(document.buffer.toString()).toBe('%PDF-signed')
+    expect(renderPdfFromHtml).toHaveBeenCalledTimes(1)
+  })
+
+  it('closes the submission when a signer declines', async () => {
+    const created = await start()
+    const buyer = tokenFor(created.submissionId, 'buyer')
+    expect(await declineLocalSigning(buyer, { reason: 'Wrong price' })).toMatchObject({ submission: { status: ESIGN_STATUS.DECLINED } })
+    expect(ingestWebhookEvent).toHaveBeenLastCalledWith(expect.objectContaining({ payload: expect.objectContaining({ type: 'declined', role: 'buyer' }) }))
+    expect(await submitLocalSigning(buyer, { signature: { type: 'typed', value: 'Jordan' } })).toMatchObject({ error: 'submission_declined' })
+    expect(await declineLocalSigning(buyer)).toMatchObject({ error: 'submission_closed' })
+  })
+
+  it('rejects unknown links', async () => {
+    expect(await openLocalSigning('nope')).toMatchObject({ error: 'not_found' })
+    expect(await readLocalSignedDocument('nope')).toEqual({ error: 'not_found' })
+  })
+})
+
+describe('provider selection', () => {
+  it('falls back to the local signer without DocuSeal credentials', () => {
+    vi.stubEnv('DOCUSEAL_API_KEY', '')
+    vi.stubEnv('ESIGN_PROVIDER', '')
+    expect(getDefaultEsignProvider().name).toBe('local')
+    vi.stubEnv('DOCUSEAL_API_KEY', 'key')
+    expect(getDefaultEsignProvider().name).toBe('docuseal')
+    vi.stubEnv('ESIGN_PROVIDER', 'local')
+    expect(getDefaultEsignProvider().name).toBe('local')
+    vi.unstubAllEnvs()
+    expect(() => getEsignProvider('hellosign')).toThrow(/Unknown e-signature provider/)
+  })
+
+  it('normalizes DocuSeal webhooks', () => {
+    const event = getEsignProvider('docuseal').normalizeWebhook({
+      event_type: 'form.completed',
+      data: { id: 77, submission_id: 12, role: 'buyer', documents: [{ url: 'https://docuseal.test/doc.pdf' }], audit_log_url: 'https://docuseal.test/audit' },
+    })
+    expect(event).toEqual({
+      provider: 'docuseal',
+      type: 'signed',
+      rawType: 'form.completed',
+      submissionId: 12,
+      submitterId: 77,
+      role: 'buyer',
+      documentUrl: 'https://docuseal.test/doc.pdf',
+      auditTrailUrl: 'https://docuseal.test/audit',
+    })
+    expect(getEsignProvider('docuseal').normalizeWebhook({ event_type: 'submission.completed', data: { id: 12 } }).type).toBe('completed')
+    expect(getEsignProvider('docuseal').normalizeWebhook({ event_type: 'template.updated' }).type).toBeNull()
+  })
+})
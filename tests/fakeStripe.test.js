@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const intents = { findOne: vi.fn(), insertOne: vi.fn(async () => ({ insertedId: 'bti_1' })), updateOne: vi.fn() }
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => intents })) }))
+
+const { createFakeStripe } = await import('../lib/fake-stripe.js')
+const { getPaymentProvider } = await import('../lib/payment-providers.js')
+const { issueMilestoneInvoice } = await import('../lib/payment-schedules.js')
+
+let stripe
+let delivered
+
+beforeEach(() => {
+  delivered = []
+  stripe = createFakeStripe({ onEvent: (event) => { delivered.push(event.type) } })
+})
+
+describe('fake payment provider', () => {
+  it('is picked by PAYMENT_PROVIDER', () => {
+    expect(getPaymentProvider('fake').isAvailable()).toBe(true)
+    expect(getPaymentProvider('stripe').name).toBe('stripe')
+    expect(() => getPaymentProvider('paypal')).toThrow(/Unknown payment provider/)
+  })
+
+  it('is refused in production', () => {
+    vi.stubEnv('VERCEL_ENV', 'production')
+    expect(() => getPaymentProvider('fake')).toThrow(/cannot be used in production/)
+    expect(getPaymentProvider('stripe').name).toBe('stripe')
+    vi.unstubAllEnvs()
+  })
+
+  it('charges cards, declines and asks for authentication like Stripe', async () => {
+    const customer = await stripe.customers.create({ email: 'buyer@example.com' })
+    const paid = await stripe.paymentIntents.create({ amount: 250000, currency: 'usd', customer: customer.id, payment_method: 'pm_card_visa', confirm: true, metadata: { buildId: 'b1', milestone: 'deposit' } })
+    expect(paid).toMatchObject({ status: 'succeeded', amount_received: 250000 })
+    expect(paid.latest_charge).toMatch(/^ch_fake/)
+
+    await expect(stripe.paymentIntents.create({ amount: 1000, payment_method: 'pm_card_chargeDeclined', confirm: true }))
+      .rejects.toMatchObject({ type: 'StripeCardError', code: 'card_declined' })
+
+    const pending = await stripe.paymentIntents.create({ amount: 1000, payment_method: 'pm_card_authenticationRequired', confirm: true })
+    expect(pending.status).toBe('requires_action')
+    expect((await stripe.testHelpers.confirmPaymentIntent(pending.id)).status).toBe('succeeded')
+
+    const found = await stripe.paymentIntents.search({ query: "metadata['buildId']:'b1' AND status:'succeeded'" })
+    expect(found.data.map(pi => pi.id)).toEqual([paid.id])
+  })
+
+  it('verifies bank accounts with microdeposits and settles ACH debits later', async () => {
+    const customer = await stripe.customers.create({})
+    const setup = await stripe.setupIntents.create({ customer: customer.id, payment_method_types: ['us_bank_account'] })
+    expect(setup.status).toBe('requires_payment_method')
+    const confirmed = await stripe.setupIntents.confirm(setup.id, { payment_method: 'pm_usBankAccount' })
+    expect(confirmed.next_action.type).toBe('verify_with_microdeposits')
+    await expect(stripe.setupIntents.verifyMicrodeposits(setup.id, { amounts: [1, 2] })).rejects.toMatchObject({ type: 'StripeInvalidRequestError' })
+    expect((await stripe.setupIntents.verifyMicrodeposits(setup.id, { amounts: [32, 45] })).status).toBe('succeeded')
+
+    const debit = await stripe.paymentIntents.create({ amount: 500000, customer: customer.id, payment_method: 'pm_usBankAccount', confirm: true })
+    expect(debit.status).toBe('processing')
+    expect((await stripe.testHelpers.settlePaymentIntent(debit.id)).status).toBe('succeeded')
+  })
+
+  it('delivers events in order after the call returns', async () => {
+    const types = []
+    stripe = createFakeStripe({ onEvent: (event) => { types.push(event.type) } })
+    await stripe.paymentIntents.create({ amount: 1000, payment_method: 'pm_card_visa', confirm: true })
+    expect(types).toEqual([])
+    await stripe.flushEvents()
+    expect(types).toEqual(['payment_intent.created', 'charge.succeeded', 'payment_intent.succeeded'])
+    expect((await stripe.events.list({ type: 'charge.succeeded' })).data).toHaveLength(1)
+  })
+
+  it('refunds charges and reports them as charge.refunded', async () => {
+    const pi = await stripe.paymentIntents.create({ amount: 10000, payment_method: 'pm_card_visa', confirm: true })
+    const refund = await stripe.refunds.create({ payment_intent: pi.id, amount: 4000, metadata: { milestone: 'deposit' } })
+    expect(refund).toMatchObject({ status: 'succeeded', amount: 4000, charge: pi.latest_charge })
+    await expect(stripe.refunds.create({ payment_intent: pi.id, amount: 7000 })).rejects.toMatchObject({ code: 'amount_too_large' })
+    expect((await stripe.refunds.list({ charge: pi.latest_charge })).data).toHaveLength(1)
+    const [event] = (await stripe.events.list({ type: 'charge.refunded' })).data
+    expect(event.data.object).toMatchObject({ amount_refunded: 4000, refunded: false })
+  })
+
+  it('signs and checks webhook payloads', () => {
+    const payload = JSON.stringify({ id: 'evt_1', type: 'invoice.paid' })
+    const header = stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_test' })
+    expect(stripe.webhooks.constructEvent(payload, header, 'whsec_test').id).toBe('evt_1')
+    expect(() => stripe.webhooks.constructEvent(payload, header, 'whsec_other')).toThrow(/No signatures found/)
+  })
+})
+
+describe('milestone invoices on the fake provider', () => {
+  const build = (payment) => ({ _id: 'b1', userId: 'u1', payment })
+  const milestone = { key: 'production', label: 'Production start', amount: 3200000 }
+
+  beforeEach(() => {
+    intents.findOne.mockReset()
+    intents.updateOne.mockReset()
+  })
+
+  it('charges the saved card straight away', async () => {
+    const customer = await stripe.customers.create({})
+    const issued = await issueMilestoneInvoice(stripe, { ...build({ method: 'card', card: { paymentMethodId: 'pm_card_visa' } }), customerId: customer.id }, milestone)
+    const invoice = await stripe.invoices.retrieve(issued.invoiceId)
+    expect(invoice).toMatchObject({ status: 'paid', amount_paid: 3200000, metadata: { buildId: 'b1', milestone: 'production' } })
+    await stripe.flushEvents()
+    expect(delivered).toContain('invoice.payment_succeeded')
+  })
+
+  it('sends bank transfer invoices and marks them paid when settled', async () => {
+    const customer = await stripe.customers.create({})
+    const issued = await issueMilestoneInvoice(stripe, { ...build({ method: 'bank_transfer' }), customerId: customer.id }, milestone)
+    expect(issued.intentId).toBe('bti_1')
+    expect(intents.updateOne.mock.calls[0][1].$set).toMatchObject({ stripeInvoiceId: issued.invoiceId, status: 'awaiting_funds' })
+    expect((await stripe.invoices.retrieve(issued.invoiceId)).status).toBe('open')
+
+    const paying = await stripe.invoices.pay(issued.invoiceId, { payment_method: 'pm_usBankAccount' })
+    expect(paying.status).toBe('open')
+    await stripe.testHelpers.settlePaymentIntent(paying.payment_intent)
+    expect((await stripe.invoices.retrieve(issued.invoiceId)).status).toBe('paid')
+  })
+})
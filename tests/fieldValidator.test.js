@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { Buffer } from 'node:buffer'
+
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => ({}) })) }))
+const renderPdfFromHtml = vi.fn(async () => Buffer.from('%PDF-1.4'))
+vi.mock('../lib/pdf/renderer.js', () => ({ renderPdfFromHtml }))
+
+const {
+  checkPrefillFields,
+  checkTemplateFields,
+  parseTemplateFields,
+  renderPrefillPreview,
+  renderPrefillPreviewPdf,
+  validateContractTemplate,
+} = await import('../lib/docuseal/fieldValidator.js')
+const { TEMPLATES } = await import('../lib/docuseal/templates.js')
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const FIXTURE_BUILD = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../scripts/fixtures/contract-build.json'), 'utf8'))
+
+const FIELD_MAP = {
+  buyer_full_name: { role: 'buyer', type: 'text', readonly: true },
+  buyer_signature: { role: 'buyer', type: 'signature' },
+  dealer_signature: { role: 'firefly_signer', type: 'signature' },
+}
+
+const tag = (name, type, role) => ({ name, type, role, required: true })
+
+beforeEach(() => {
+  vi.clearAllMocks()
+})
+
+describe('parseTemplateFields', () => {
+  it('reads inline tags and field elements once each, in order', () => {
+    const { format, fields } = parseTemplateFields(
+      '<p>{{buyer_full_name;type=text;role=buyer;readonly=true}}</p><p>{{order_id}}</p>'
+      + '<signature-field name="buyer_signature" role="buyer"></signature-field>'
+      + '<p>{{buyer_full_name;type=text;role=buyer}}</p>'
+    )
+    expect(format).toBe('html')
+    expect(fields).toEqual([tag('buyer_full_name', 'text', 'buyer'), tag('buyer_signature', 'signature', 'buyer')])
+  })
+
+  it('reads tags from PDF text, as bytes or base64', () => {
+    const pdf = Buffer.from('%PDF-1.4\nBT (Name: {{buyer_full_name;type=text;role=buyer}}) Tj (Sign: {{buyer_signature;type=signature;role=buyer}}) Tj ET\n%%EOF', 'latin1')
+    for (const source of [pdf, pdf.toString('base64')]) {
+      const { format, fields } = parseTemplateFields(source)
+      expect(format).toBe('pdf')
+      expect(fields.map(f => f.name)).toEqual(['buyer_full_name', 'buyer_signature'])
+    }
+  })
+})
+
+describe('checkTemplateFields', () => {
+  it('accepts tags that match the field map and warns about untagged fields', () => {
+    const { fields, errors, warnings } = checkTemplateFields('<p>No fields yet</p>', FIELD_MAP)
+    expect(fields).toEqual([])
+    expect(errors).toEqual([])
+    expect(warnings.map(w => w.field)).toEqual(Object.keys(FIELD_MAP))
+  })
+
+  it('reports unknown fields, wrong roles and wrong types', () => {
+    const tagged = '<text-field name="buyer_full_name" role="cobuyer"></text-field>'
+      + '<text-field name="buyer_signature" role="buyer"></text-field>'
+      + '<signature-field name="stray_signature" role="buyer"></signature-field>'
+    const { errors } = checkTemplateFields(tagged, FIELD_MAP)
+    expect(errors.map(e => e.field)).toEqual(['buyer_full_name', 'buyer_signature', 'stray_signature'])
+    expect(errors[0].message).toMatch(/tagged for cobuyer/)
+    expect(errors[1].message).toMatch(/is a text field/)
+    expect(errors[2].message).toMatch(/not in the field map/)
+  })
+
+  it('passes for every built-in template', () => {
+    for (const [key, template] of Object.entries(TEMPLATES)) {
+      expect(checkTemplateFields(template.html(), template.fieldMap).errors, key).toEqual([])
+    }
+  })
+})
+
+describe('checkPrefillFields', () => {
+  const map = {
+    buyer_full_name: { role: 'buyer', type: 'text', readonly: true },
+    cobuyer_full_name: { role: 'cobuyer', type: 'text', readonly: true },
+    order_id: { role: 'buyer', type: 'text', readonly: true },
+    sales_agent: { role: 'buyer', type: 'text', readonly: true },
+    legacy_total: { role: 'buyer', type: 'text', readonly: true },
+    buyer_initials: { role: 'buyer', type: 'initials', readonly: false },
+    buyer_signature: { role: 'buyer', type: 'signature', readonly: true },
+  }
+  const tags = [
+    tag('buyer_full_name', 'text', 'buyer'),
+    tag('cobuyer_full_name', 'text', 'cobuyer'),
+    tag('order_id', 'text', 'buyer'),
+    tag('sales_agent', 'text', 'buyer'),
+    tag('buyer_initials', 'initials', 'buyer'),
+    tag('buyer_signature', 'signature', 'buyer'),
+  ]
+
+  it('reports what buildFieldsArray sends that the signers would not see', () => {
+    const prefill = { buyer_full_name: 'Jordan Avery', cobuyer_full_name: 'Sam Avery', sales_agent: '', legacy_total: '$1.00', buyer_initials: 'JA', buyer_signature: 'Jordan' }
+    const { fields, errors, warnings } = checkPrefillFields(prefill, map, tags, { roles: ['buyer'] })
+
+    expect(fields.map(f => f.name)).toEqual(['buyer_full_name', 'cobuyer_full_name', 'legacy_total', 'buyer_initials', 'buyer_signature'])
+    expect(errors.map(e => [e.kind, e.field])).toEqual([
+      ['wrong_role', 'cobuyer_full_name'],
+      ['wrong_type', 'buyer_signature'],
+      ['missing', 'order_id'],
+    ])
+    expect(warnings.map(w => [w.kind, w.field])).toEqual([
+      ['unused', 'legacy_total'],
+      ['wrong_type', 'buyer_initials'],
+      ['missing', 'sales_agent'],
+    ])
+  })
+
+  it('skips fields for roles that do not sign', () => {
+    const { errors } = checkPrefillFields({ buyer_full_name: 'Jordan Avery', order_id: 'ord_1' }, map, tags.slice(0, 3), { roles: ['buyer'] })
+    expect(errors).toEqual([])
+  })
+})
+
+describe('validateContractTemplate', () => {
+  it('passes every built-in template with the fixture build', async () => {
+    for (const key of Object.keys(TEMPLATES)) {
+      const report = await validateContractTemplate(key, { build: FIXTURE_BUILD })
+      expect(report.template.errors, key).toEqual([])
+      expect(report.prefill.errors, key).toEqual([])
+      expect(report).toMatchObject({ key, format: 'html', ok: true, roles: ['buyer', 'cobuyer', 'firefly_signer'] })
+    }
+  })
+
+  it('prefills the delivery dimensions from the build model', async () => {
+    const report = await validateContractTemplate('delivery', { build: FIXTURE_BUILD })
+    expect(report.prefill.fields).toContainEqual({ name: 'dimensions', default_value: FIXTURE_BUILD.model.dimensions, readonly: true })
+  })
+
+  it('checks another source against the template field map', async () => {
+    const report = await validateContractTemplate('delivery', {
+      build: { ...FIXTURE_BUILD, buyerInfo: { ...FIXTURE_BUILD.buyerInfo, coBuyer: null } },
+      source: '<p>{{buyer_full_name;type=text;role=buyer}}</p><p>{{delivery_fee;type=text;role=buyer}}</p>',
+    })
+    expect(report.ok).toBe(false)
+    expect(report.roles).toEqual(['buyer', 'firefly_signer'])
+    expect(report.template.errors).toEqual([expect.objectContaining({ field: 'delivery_fee' })])
+  })
+
+  it('throws for an unknown template', async () => {
+    await expect(validateContractTemplate('nope', { build: FIXTURE_BUILD })).rejects.toThrow(/Unknown template key/)
+  })
+})
+
+describe('renderPrefillPreview', () => {
+  const html = '<html><body><p>{{buyer_full_name;type=text;role=buyer}}</p><signature-field name="buyer_signature" role="buyer"></signature-field></body></html>'
+
+  it('fills prefilled values and leaves signer fields blank', () => {
+    const preview = renderPrefillPreview(html, { buyer_full_name: 'Jordan <Avery>' })
+    expect(preview).toContain('Jordan &lt;Avery&gt;')
+    expect(preview).toContain('esign-blank esign-signature')
+    expect(preview).not.toContain('signature-field')
+  })
+
+  it('renders the preview to PDF from buildFieldsArray output', async () => {
+    const pdf = await renderPrefillPreviewPdf(html, [{ name: 'buyer_full_name', default_value: 'Jordan Avery', readonly: true }])
+    expect(pdf.toString()).toBe('%PDF-1.4')
+    expect(renderPdfFromHtml.mock.calls[0][0]).toContain('Jordan Avery')
+  })
+})
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const col = { insertOne: vi.fn(), updateOne: vi.fn(), createIndex: vi.fn() }
+vi.mock('../lib/db.js', () => ({
+  getDb: vi.fn(async () => ({ collection: () => col }))
+}))
+const updateBuild = vi.fn()
+vi.mock('../lib/builds.js', () => ({ updateBuild: (...args) => updateBuild(...args) }))
+
+const {
+  amortizationSchedule,
+  calculateFinancing,
+  creditTierForScore,
+  registerLenderAdapter,
+  submitPrequalification,
+  validateFinancingProgram,
+} = await import('../lib/financing.js')
+const { estimateMonthlyPayment } = await import('../src/utils/buildCompare.js')
+
+const program = validateFinancingProgram({
+  id: 'rv-lender',
+  name: 'RV Loan',
+  lender: 'Acme Credit',
+  termsMonths: [240, 120, 180],
+  aprTiers: [{ tier: 'good', apr: 8.99 }, { tier: 'excellent', apr: 7.5 }, { tier: 'fair', apr: 11.5 }],
+  minDownPercent: 10,
+  fees: { originationPercent: 1, documentFee: 29900 },
+}).program
+
+describe('amortizationSchedule', () => {
+  it('matches the level payment and pays the balance down to zero', () => {
+    const { payment, rows, totalInterest, totalPaid } = amortizationSchedule({ principal: 10000000, apr: 7.5, termMonths: 120 })
+    expect(payment).toBe(Math.round(estimateMonthlyPayment(100000, { apr: 0.075, years: 10 }) * 100))
+    expect(rows).toHaveLength(120)
+    expect(rows[119].balance).toBe(0)
+    expect(rows.reduce((sum, r) => sum + r.principal, 0)).toBe(10000000)
+    expect(rows.reduce((sum, r) => sum + r.interest, 0)).toBe(totalInterest)
+    expect(totalPaid).toBe(10000000 + totalInterest)
+  })
+
+  it('splits evenly at zero APR', () => {
+    const { payment, totalInterest, rows } = amortizationSchedule({ principal: 120000, apr: 0, termMonths: 12 })
+    expect(payment).toBe(10000)
+    expect(totalInterest).toBe(0)
+    expect(rows.every(r => r.payment === 10000)).toBe(true)
+  })
+})
+
+describe('financing programs', () => {
+  it('normalizes terms and tier order and rejects bad input', () => {
+    expect(program.termsMonths).toEqual([120, 180, 240])
+    expect(program.aprTiers.map(t => t.tier)).toEqual(['excellent', 'good', 'fair'])
+    expect(program.adapter).toBe('stub')
+    expect(validateFinancingProgram({ ...program, aprTiers: [{ tier: 'platinum', apr: 5 }] }).error).toBe('invalid_program')
+    expect(validateFinancingProgram({ ...program, termsMonths: [6] }).error).toBe('invalid_program')
+  })
+
+  it('maps credit scores to tiers', () => {
+    expect(creditTierForScore(800)).toBe('excellent')
+    expect(creditTierForScore(690)).toBe('good')
+    expect(creditTierForScore(500)).toBe('poor')
+    expect(creditTierForScore(900)).toBeNull()
+  })
+
+  it('defaults to the minimum down and longest term and finances the fees', () => {
+    const quote = calculateFinancing(program, { priceCents: 10000000, creditTier: 'good' })
+    expect(quote).toMatchObject({ apr: 8.99, termMonths: 240, downPayment: 1000000, minDownPayment: 1000000 })
+    expect(quote.fees).toEqual({ origination: 90000, document: 29900, total: 119900 })
+    expect(quote.amountFinanced).toBe(9119900)
+    expect(quote.schedule).toHaveLength(240)
+    expect(quote.monthlyPayment).toBe(amortizationSchedule({ principal: 9119900, apr: 8.99, termMonths: 240 }).payment)
+  })
+
+  it('rejects tiers, terms and down payments the program does not allow', () => {
+    expect(calculateFinancing(program, { priceCents: 10000000, creditTier: 'poor' }).error).toBe('tier_not_eligible')
+    expect(calculateFinancing(program, { priceCents: 10000000, termMonths: 60 }).error).toBe('invalid_term')
+    expect(calculateFinancing(program, { priceCents: 10000000, downPayment: 500000 }).error).toBe('down_payment_too_low')
+  })
+})
+
+describe('submitPrequalification', () => {
+  const build = { _id: 'b1', financing: { method: 'finance' } }
+  const applicant = { firstName: 'Sam', lastName: 'Lee', email: 'sam@example.com', annualIncome: 12000000, monthlyDebts: 50000, creditScore: 760, consent: true }
+  const now = new Date('2025-01-01T00:00:00Z')
+
+  beforeEach(() => {
+    col.insertOne.mockReset().mockResolvedValue({ insertedId: 'app1' })
+    col.updateOne.mockReset()
+    updateBuild.mockReset()
+  })
+
+  it('pre-qualifies through the stub lender and records it on the build', async () => {
+    const result = await submitPrequalification({ build, program, applicant, priceCents: 10000000, now })
+    expect(result.application.status).toBe('prequalified')
+    expect(result.application.decision.referenceId).toBe('stub_app1')
+    expect(col.updateOne.mock.calls[0][1].$set.status).toBe('prequalified')
+    const [id, patch] = updateBuild.mock.calls[0]
+    expect(id).toBe('b1')
+    expect(patch.financing).toMatchObject({ method: 'finance', programId: 'rv-lender', applicationId: 'app1', status: 'prequalified', apr: 7.5 })
+    expect(patch.financing.estMonthly).toBe(result.quote.monthlyPayment / 100)
+  })
+
+  it('declines on high debt-to-income and sends borderline files to review', async () => {
+    const declined = await submitPrequalification({ build, program, applicant: { ...applicant, monthlyDebts: 500000 }, priceCents: 10000000, now })
+    expect(declined.application.status).toBe('declined')
+    const review = await submitPrequalification({ build, program, applicant: { ...applicant, monthlyDebts: 380000 }, priceCents: 10000000, now })
+    expect(review.application.status).toBe('review')
+  })
+
+  it('keeps adapter failures on the application', async () => {
+    registerLenderAdapter({ name: 'broken', submit: async () => { throw new Error('lender down') } })
+    const result = await submitPrequalification({ build, program: { ...program, adapter: 'broken' }, applicant, priceCents: 10000000, now })
+    expect(result.application.status).toBe('error')
+    expect(result.application.lastError.message).toBe('lender down')
+  })
+
+  it('requires consent and a known program', async () => {
+    expect((await submitPrequalification({ build, program, applicant: { ...applicant, consent: false }, priceCents: 10000000 })).error).toBe('invalid_applicant')
+    expect((await submitPrequalification({ build, program: null, applicant, priceCents: 10000000 })).error).toBe('program_unavailable')
+    expect(col.insertOne).not.toHaveBeenCalled()
+  })
+})
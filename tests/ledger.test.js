@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import {
+  computeLedgerBalance,
+  createLedgerEntry,
+  findLedgerIssues,
+  toStatement,
+} from '../lib/ledger.js'
+
+const entry = (fields) => createLedgerEntry({ key: `k${Math.random()}`, buildId: 'b1', ...fields })
+
+describe('ledger entries', () => {
+  it('posts each type to a debit and credit account', () => {
+    expect(entry({ type: 'charge', amount: 100 })).toMatchObject({ debit: 'customer_receivable', credit: 'sales' })
+    expect(entry({ type: 'payment', amount: 100 })).toMatchObject({ debit: 'cash', credit: 'customer_receivable' })
+    expect(entry({ type: 'adjustment', amount: -50 })).toMatchObject({ amount: 50, debit: 'discounts', credit: 'customer_receivable' })
+  })
+
+  it('rejects bad entries', () => {
+    expect(entry({ type: 'bonus', amount: 100 }).error).toBe('invalid_type')
+    expect(entry({ type: 'payment', amount: -100 }).error).toBe('invalid_amount')
+    expect(entry({ type: 'fee', amount: 0 }).error).toBe('invalid_amount')
+    expect(createLedgerEntry({ type: 'fee', amount: 10 }).error).toBe('invalid_key')
+  })
+})
+
+describe('ledger balance and statement', () => {
+  const entries = [
+    entry({ type: 'charge', amount: 100000, occurredAt: '2025-01-01' }),
+    entry({ type: 'payment', amount: 25000, milestone: 'deposit', occurredAt: '2025-01-02' }),
+    entry({ type: 'fee', amount: 500, occurredAt: '2025-01-03' }),
+    entry({ type: 'adjustment', amount: -1000, occurredAt: '2025-01-04' }),
+    entry({ type: 'refund', amount: 5000, milestone: 'deposit', occurredAt: '2025-01-05' }),
+  ]
+
+  it('computes the balance due', () => {
+    expect(computeLedgerBalance(entries)).toEqual({
+      charges: 100000, fees: 500, payments: 25000, refunds: 5000, adjustments: -1000, paid: 20000, balanceDue: 79500,
+    })
+  })
+
+  it('keeps a running balance in date order', () => {
+    const statement = toStatement([...entries].reverse())
+    expect(statement.lines.map(l => l.balance)).toEqual([100000, 75000, 75500, 74500, 79500])
+    expect(statement.lines[1]).toMatchObject({ type: 'payment', charge: 0, credit: 25000 })
+    expect(statement.balanceDue).toBe(79500)
+  })
+})
+
+describe('findLedgerIssues', () => {
+  it('flags payment flags that disagree with the ledger', () => {
+    const build = { payment: { depositPaid: true, finalPaid: false } }
+    const entries = [entry({ type: 'payment', amount: 5000, milestone: 'final' })]
+    const codes = findLedgerIssues(build, entries).map(i => `${i.code}:${i.milestone || ''}`)
+    expect(codes).toEqual(expect.arrayContaining(['flag_without_payment:deposit', 'payment_without_flag:final', 'overpaid:', 'payment_without_charge:']))
+  })
+
+  it('is clean when flags, charges and payments line up', () => {
+    const build = { payment: { depositPaid: true } }
+    const entries = [entry({ type: 'charge', amount: 10000 }), entry({ type: 'payment', amount: 2500, milestone: 'deposit' })]
+    expect(findLedgerIssues(build, entries)).toEqual([])
+  })
+})
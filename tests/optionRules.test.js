@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest'
+import { applyOptionRules, getOptionRestriction } from '../src/utils/optionRules.js'
+
+const narrowModel = { id: 'aps-630', specs: { length: "30'", width: '8\'6"' } }
+const wideModel = { id: 'wide', specs: { length: "40'", width: "12'" } }
+
+const ids = list => list.map(o => o.id || o.code)
+
+describe('optionRules', () => {
+  it('disables mutually exclusive choices', () => {
+    const selected = [{ id: 'install-2-head-ductless-ac-heat-system' }]
+    expect(getOptionRestriction('install-3-head-ductless-ac-heat-system', selected)).toEqual({
+      code: 'excludes',
+      message: 'Not available with Install 2 Head Ductless AC/Heat System',
+    })
+    expect(getOptionRestriction('install-2-head-ductless-ac-heat-system', selected)).toBeNull()
+  })
+
+  it('restricts options by model width', () => {
+    expect(getOptionRestriction('single-loft-12-wide', [], { model: narrowModel })?.code).toBe('model_width')
+    expect(getOptionRestriction('single-loft-12-wide', [], { model: wideModel })).toBeNull()
+    expect(getOptionRestriction('single-loft-12-wide', [])).toBeNull()
+  })
+
+  it('removes options already included in a selected package', () => {
+    const result = applyOptionRules([
+      { id: 'r-33-ipo-r22-roof-insulation' },
+      { id: 'anniversary-energy-package-park' },
+    ])
+    expect(ids(result.selections)).toEqual(['anniversary-energy-package-park'])
+    expect(result.removed[0]).toMatchObject({ id: 'r-33-ipo-r22-roof-insulation', code: 'included' })
+    expect(result.conflicts).toEqual([])
+  })
+
+  it('removes options whose requirement is no longer selected', () => {
+    const result = applyOptionRules([{ code: 'black-pipe-handrail-to-loft' }, { code: 'extend-loft-high-wall' }], { model: wideModel })
+    expect(result.selections).toEqual([])
+    expect(result.removed.map(r => r.code)).toEqual(['requires', 'requires'])
+
+    const withLoft = applyOptionRules([{ id: 'single-loft-12-wide' }, { id: 'black-pipe-handrail-to-loft' }], { model: wideModel })
+    expect(withLoft.removed).toEqual([])
+  })
+
+  it('reports conflicts it cannot resolve', () => {
+    const result = applyOptionRules([
+      { id: 'install-1-head-ductless-ac-heat-system' },
+      { id: 'install-3-head-ductless-ac-heat-system' },
+      { id: 'single-loft-15-wide' },
+    ], { model: narrowModel })
+    expect(result.conflicts.map(c => c.code)).toEqual(['excludes', 'model_width'])
+    expect(result.selections).toHaveLength(3)
+  })
+})
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseFeet,
+  getModelDimensions,
+  resolveOptionQuantity,
+  applyOptionUnits,
+  formatOptionQuantity,
+} from '../src/utils/optionUnits.js'
+import { calculateBuildPricing } from '../src/utils/pricing.js'
+
+const model = { id: 'aps-630', specs: { length: "30'", width: '8\'6"' } }
+
+const catalog = [
+  { id: 'flooring', price: 4, unit: 'sqft', quantitySource: 'floorArea' },
+  { id: 'ceiling', price: 85, unit: 'lf', quantitySource: 'length' },
+  { id: 'tires', price: 110, unit: 'axle', quantitySource: 'axles' },
+  { id: 'add-axle', price: 450, addsAxles: 1, maxQty: 1 },
+  { id: 'porch', price: 42, unit: 'sqft', quantitySource: 'buyer', minQty: 40, maxQty: 400, defaultQty: 80 },
+]
+
+describe('optionUnits', () => {
+  it('parses feet and inches', () => {
+    expect(parseFeet("30'")).toBe(30)
+    expect(parseFeet('8\'6"')).toBe(8.5)
+    expect(parseFeet(12)).toBe(12)
+    expect(parseFeet('n/a')).toBeNull()
+  })
+
+  it('derives model dimensions from specs', () => {
+    expect(getModelDimensions(model)).toEqual({ length: 30, width: 8.5, floorArea: 255, axles: 2 })
+    expect(getModelDimensions({ squareFeet: 400, length: 40, width: 10 }).floorArea).toBe(400)
+  })
+
+  it('clamps buyer quantities to the option bounds', () => {
+    const porch = catalog[4]
+    expect(resolveOptionQuantity(porch, {}, undefined)).toBe(80)
+    expect(resolveOptionQuantity(porch, {}, 10)).toBe(40)
+    expect(resolveOptionQuantity(porch, {}, 1000)).toBe(400)
+    expect(resolveOptionQuantity(porch, {}, 120)).toBe(120)
+  })
+
+  it('overrides client quantities for derived options and counts added axles', () => {
+    const selections = [
+      { id: 'flooring', price: 4, quantity: 1 },
+      { id: 'ceiling', price: 85, quantity: 1 },
+      { id: 'tires', price: 110, quantity: 1 },
+      { id: 'add-axle', price: 450, quantity: 5 },
+    ]
+    const out = applyOptionUnits(selections, { model, catalog })
+    expect(out.map(o => o.quantity)).toEqual([255, 30, 3, 1])
+    expect(out[0].unit).toBe('sqft')
+    expect(out[2].quantitySource).toBe('axles')
+
+    const pricing = calculateBuildPricing({ selections: { basePrice: 0, options: out }, pricing: { delivery: 0 } }, {
+      pricing: { title_fee_default: 0, setup_fee_default: 0 },
+    })
+    expect(pricing.options).toBe(4350) // 255*4 + 30*85 + 3*110 + 450
+  })
+
+  it('formats quantities with their unit', () => {
+    expect(formatOptionQuantity({ unit: 'sqft', quantity: 255 })).toBe('255 sq ft')
+    expect(formatOptionQuantity({ unit: 'axle', quantity: 3 })).toBe('3 axles')
+    expect(formatOptionQuantity({ quantity: 2 })).toBe('2')
+  })
+})
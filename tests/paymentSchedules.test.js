@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest'
+import {
+  applyPaymentSchedule,
+  buildMilestoneKeys,
+  computeMilestoneAmounts,
+  getBuildSchedule,
+  isOpeningMilestone,
+  isScheduleFullyPaid,
+  listPaymentSchedules,
+  milestonesToActivate,
+  validatePaymentSchedule,
+} from '../lib/payment-schedules.js'
+import { evaluateRefund } from '../lib/refunds.js'
+
+const dealerTerms = {
+  id: 'dealer',
+  name: '10 / 40 / 50',
+  milestones: [
+    { key: 'signing', label: 'Due at signing', type: 'percent', value: 10, trigger: 'SIGNED' },
+    { key: 'production', label: 'Production start', type: 'percent', value: 40, trigger: 'IN_PRODUCTION' },
+    { key: 'complete', label: 'Factory complete', type: 'percent', value: 50, trigger: 'FACTORY_COMPLETE' },
+  ],
+}
+
+describe('validatePaymentSchedule', () => {
+  it('accepts percent schedules that add up to 100%', () => {
+    expect(validatePaymentSchedule(dealerTerms).schedule.milestones).toHaveLength(3)
+  })
+
+  it('rejects schedules that cannot be collected', () => {
+    const error = (patch) => validatePaymentSchedule({ ...dealerTerms, ...patch }).message
+    expect(error({ milestones: dealerTerms.milestones.slice(0, 2) })).toMatch(/add up to 50%/)
+    expect(error({ milestones: [{ ...dealerTerms.milestones[1] }, dealerTerms.milestones[2]] })).toMatch(/due at signing/)
+    expect(error({ milestones: [dealerTerms.milestones[0], dealerTerms.milestones[2], dealerTerms.milestones[1]] })).toMatch(/lifecycle order/)
+    expect(error({ milestones: [dealerTerms.milestones[0], { ...dealerTerms.milestones[1], key: 'signing' }] })).toMatch(/used twice/)
+    expect(error({ milestones: [{ key: 'a', type: 'remainder', trigger: 'SIGNED' }, { key: 'b', type: 'percent', value: 50, trigger: 'DELIVERED' }] })).toMatch(/last milestone/)
+    expect(error({ milestones: [{ key: 'a', type: 'fixed', value: 5000, trigger: 'SIGNED' }, { key: 'b', type: 'percent', value: 100, trigger: 'DELIVERED' }] })).toMatch(/remainder/)
+    expect(error({ id: 'Bad Id' })).toMatch(/Schedule id/)
+  })
+})
+
+describe('milestone amounts', () => {
+  it('gives the rounding difference to the last milestone', () => {
+    const { milestones } = computeMilestoneAmounts(dealerTerms, 1000001)
+    expect(milestones.map(m => m.amount)).toEqual([100000, 400000, 500001])
+  })
+
+  it('takes fixed amounts in dollars and leaves the rest to the remainder', () => {
+    const schedule = {
+      name: 'Fixed',
+      milestones: [
+        { key: 'reserve', type: 'fixed', value: 5000, trigger: 'SIGNED' },
+        { key: 'balance', type: 'remainder', trigger: 'DELIVERED' },
+      ],
+    }
+    expect(computeMilestoneAmounts(schedule, 8000000).milestones.map(m => m.amount)).toEqual([500000, 7500000])
+    expect(computeMilestoneAmounts(schedule, 400000).error).toBe('invalid_schedule')
+  })
+
+  it('writes the schedule, plan and legacy amounts for the build', () => {
+    const applied = applyPaymentSchedule(dealerTerms, 8000000, { settingsVersion: 3 })
+    expect(applied.plan).toEqual({ type: 'dealer', percent: 10 })
+    expect(applied.amounts).toEqual({ total: 8000000, deposit: 800000, final: 7200000, settingsVersion: 3 })
+    expect(applied.schedule.milestones[1]).toMatchObject({ key: 'production', amount: 3200000, activatedAt: null, invoiceId: null })
+
+    const full = applyPaymentSchedule(listPaymentSchedules({}).find(s => s.id === 'full'), 8000000, { depositPercent: 25 })
+    expect(full.amounts).toMatchObject({ deposit: 2000000, final: 6000000 })
+  })
+})
+
+describe('build schedules', () => {
+  const build = (payment, status = 'SIGNED') => ({ _id: 'b1', status, signedAt: new Date('2025-03-01T12:00:00Z'), payment })
+  const scheduled = () => build({ ...applyPaymentSchedule(dealerTerms, 8000000) })
+
+  it('lets settings override and extend the built-in plans', () => {
+    const ids = listPaymentSchedules({ payments: { schedules: [dealerTerms, { id: 'full', disabled: true, milestones: [] }] } }).map(s => s.id)
+    expect(ids).toEqual(['deposit', 'dealer'])
+  })
+
+  it('derives a schedule for builds that predate schedules', () => {
+    const legacy = build({ plan: { type: 'deposit', percent: 25 }, amounts: { total: 100, deposit: 25, final: 75 } })
+    expect(getBuildSchedule(legacy).milestones.map(m => [m.key, m.amount, m.trigger])).toEqual([['deposit', 25, 'SIGNED'], ['final', 75, 'FACTORY_COMPLETE']])
+    expect(buildMilestoneKeys(build({}))).toEqual(['deposit', 'final', 'full'])
+    expect(isOpeningMilestone(build({}), 'full')).toBe(true)
+  })
+
+  it('activates milestones whose trigger the build has reached', () => {
+    const b = scheduled()
+    expect(milestonesToActivate(b, 'DEPOSIT_PAID')).toEqual([])
+    expect(milestonesToActivate(b, 'IN_PRODUCTION').map(m => m.key)).toEqual(['production'])
+    // Skipping ahead activates everything that is now due
+    expect(milestonesToActivate(b, 'FACTORY_COMPLETE').map(m => m.key)).toEqual(['production', 'complete'])
+    b.payment.productionPaid = true
+    expect(milestonesToActivate(b, 'FACTORY_COMPLETE').map(m => m.key)).toEqual(['complete'])
+    expect(milestonesToActivate(b, 'CANCELLED')).toEqual([])
+  })
+
+  it('is fully paid once every milestone is', () => {
+    const b = scheduled()
+    b.payment.signingPaid = true
+    b.payment.productionPaid = true
+    expect(isScheduleFullyPaid(b)).toBe(false)
+    expect(isScheduleFullyPaid(b, 'complete')).toBe(true)
+    expect(isOpeningMilestone(b, 'signing')).toBe(true)
+  })
+
+  it('treats the first of several milestones as the deposit for refunds', () => {
+    const b = { ...scheduled(), status: 'DEPOSIT_PAID' }
+    b.payment.signingPaid = true
+    const now = new Date('2025-03-05T12:00:00Z')
+    expect(evaluateRefund(b, { milestone: 'signing', now })).toMatchObject({ error: 'not_refundable', rule: 'deposit_non_refundable' })
+    expect(evaluateRefund(b, { milestone: 'deposit', now }).error).toBe('invalid_milestone')
+  })
+})
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// A single build document; updates apply only the parts refunds rely on
+let doc
+const builds = {
+  findOne: vi.fn(async () => structuredClone(doc)),
+  insertOne: vi.fn(async () => ({ insertedId: 'n1' })),
+  updateOne: vi.fn(async (filter, update) => {
+    if (filter.$expr && milestoneRefundedAmount(doc, 'deposit') !== filter.$expr.$eq[1]) return { matchedCount: 0 }
+    const refunds = doc.payment.refunds || []
+    if (update.$push) doc.payment.refunds = [...refunds, update.$push['payment.refunds']]
+    if (update.$pull) doc.payment.refunds = refunds.filter(r => r.id !== update.$pull['payment.refunds'].id)
+    if (update.$set?.['payment.refunds.$']) doc.payment.refunds = refunds.map(r => (r.id === filter['payment.refunds.id'] ? update.$set['payment.refunds.$'] : r))
+    return { matchedCount: 1 }
+  }),
+}
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection: () => builds })) }))
+vi.mock('../lib/ledger.js', () => ({ postLedgerEntry: vi.fn(async () => ({})) }))
+
+const { evaluateRefund, milestonePaidAmount, milestoneRefundedAmount, refundMilestone } = await import('../lib/refunds.js')
+
+const signedAt = new Date('2025-03-01T12:00:00Z')
+const hoursLater = (h) => new Date(signedAt.getTime() + h * 3600 * 1000)
+
+const makeBuild = (payment = {}, status = 'DEPOSIT_PAID') => ({
+  _id: '64b000000000000000abc123',
+  status,
+  signedAt,
+  payment: {
+    amounts: { total: 8000000, deposit: 2000000, final: 6000000 },
+    depositPaid: true,
+    ...payment,
+  },
+})
+
+describe('milestone amounts', () => {
+  it('prefers the recorded amount and nets out refunds', () => {
+    const build = makeBuild({ depositAmount: 1500000, refunds: [
+      { id: 're_1', milestone: 'deposit', amount: 500000, status: 'succeeded' },
+      { id: 're_2', milestone: 'deposit', amount: 500000, status: 'failed' },
+    ] })
+    expect(milestonePaidAmount(build, 'deposit')).toBe(1500000)
+    expect(milestonePaidAmount(build, 'final')).toBe(0)
+    expect(milestoneRefundedAmount(build, 'deposit')).toBe(500000)
+  })
+})
+
+describe('evaluateRefund', () => {
+  it('refunds in full within 24 hours of signing', () => {
+    const r = evaluateRefund(makeBuild(), { milestone: 'deposit', now: hoursLater(5) })
+    expect(r).toMatchObject({ rule: 'within_window', fee: 0, maxRefundable: 2000000, amount: 2000000 })
+  })
+
+  it('keeps the deposit after 24 hours unless overridden with a reason', () => {
+    const build = makeBuild()
+    expect(evaluateRefund(build, { milestone: 'deposit', now: hoursLater(48) })).toMatchObject({ error: 'not_refundable', rule: 'deposit_non_refundable' })
+    expect(evaluateRefund(build, { milestone: 'deposit', override: true, now: hoursLater(48) }).error).toBe('reason_required')
+    const r = evaluateRefund(build, { milestone: 'deposit', override: true, reason: 'Factory delay', amount: 100000, now: hoursLater(48) })
+    expect(r).toMatchObject({ overridden: true, amount: 100000, maxRefundable: 2000000 })
+  })
+
+  it('applies the 25% cancellation fee to later payments', () => {
+    const build = makeBuild({ finalPaid: true })
+    const r = evaluateRefund(build, { milestone: 'final', now: hoursLater(72) })
+    expect(r).toMatchObject({ rule: 'cancellation_fee', fee: 1500000, maxRefundable: 4500000 })
+    expect(evaluateRefund(build, { milestone: 'final', amount: 4600000, now: hoursLater(72) })).toMatchObject({ error: 'exceeds_policy', maxRefundable: 4500000 })
+  })
+
+  it('keeps at least the deposit from a payment in full', () => {
+    const build = makeBuild({ depositPaid: false, fullPaid: true, amounts: { total: 4000000, deposit: 2000000 } })
+    const r = evaluateRefund(build, { milestone: 'full', now: hoursLater(72) })
+    expect(r).toMatchObject({ fee: 2000000, maxRefundable: 2000000 })
+  })
+
+  it('refuses once production has begun', () => {
+    const build = makeBuild({}, 'IN_PRODUCTION')
+    expect(evaluateRefund(build, { milestone: 'deposit', now: hoursLater(72) })).toMatchObject({ error: 'not_refundable', rule: 'production_started' })
+  })
+
+  it('rejects unpaid, refunded and unknown milestones', () => {
+    expect(evaluateRefund(makeBuild(), { milestone: 'final' }).error).toBe('not_paid')
+    expect(evaluateRefund(makeBuild(), { milestone: 'balance' }).error).toBe('invalid_milestone')
+    const refunded = makeBuild({ refunds: [{ id: 're_1', milestone: 'deposit', amount: 2000000, status: 'succeeded' }] })
+    expect(evaluateRefund(refunded, { milestone: 'deposit', now: hoursLater(1) }).error).toBe('already_refunded')
+  })
+})
+
+describe('refundMilestone', () => {
+  const stripe = { refunds: { create: vi.fn() } }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    doc = makeBuild({ depositPaymentIntentId: 'pi_1' })
+    doc.signedAt = new Date()
+    stripe.refunds.create.mockImplementation(async ({ amount }) => ({ id: `re_${stripe.refunds.create.mock.calls.length}`, amount, status: 'succeeded' }))
+  })
+
+  it('reserves the amount so a double-submitted refund is only issued once', async () => {
+    const stale = structuredClone(doc)
+    builds.findOne.mockResolvedValueOnce(stale)
+    const first = await refundMilestone(String(doc._id), { stripe, milestone: 'deposit', userId: 'admin_1' })
+    expect(first.refund.amount).toBe(2000000)
+    expect(stripe.refunds.create.mock.calls[0][1].idempotencyKey).toMatch(/^refund:pending_/)
+    expect(doc.payment.refunds).toEqual([expect.objectContaining({ id: 're_1', amount: 2000000, status: 'succeeded' })])
+
+    // The second submit read the build before the first refund was stored
+    builds.findOne.mockResolvedValueOnce(stale)
+    const second = await refundMilestone(String(doc._id), { stripe, milestone: 'deposit', userId: 'admin_1' })
+    expect(second.error).toBe('refund_in_progress')
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(1)
+  })
+
+  it('releases the reservation when Stripe fails', async () => {
+    stripe.refunds.create.mockRejectedValueOnce(new Error('card_error'))
+    await expect(refundMilestone(String(doc._id), { stripe, milestone: 'deposit' })).rejects.toThrow('card_error')
+    expect(doc.payment.refunds).toEqual([])
+  })
+})
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { ObjectId } from 'mongodb'
+
+// Collections by name, so a handler reading the wrong one finds nothing
+const collections = new Map()
+const collection = (name) => {
+  if (!collections.has(name)) {
+    collections.set(name, {
+      docs: [],
+      findOne: vi.fn(async function (query) { return this.docs.find(d => String(d._id) === String(query?._id)) || null }),
+      updateOne: vi.fn(async () => ({ matchedCount: 1 })),
+      createIndex: vi.fn(async () => 'ok'),
+    })
+  }
+  return collections.get(name)
+}
+vi.mock('../lib/db.js', () => ({ getDb: vi.fn(async () => ({ collection })) }))
+
+const recordPayment = vi.fn(async () => ({ entry: {} }))
+vi.mock('../lib/ledger.js', async (importOriginal) => ({ ...(await importOriginal()), recordPayment }))
+const advanceBuild = vi.fn(async () => ({ ok: true }))
+vi.mock('../lib/build-lifecycle.js', async (importOriginal) => ({ ...(await importOriginal()), advanceBuild }))
+
+await import('../api/index.js')
+const { getWebhookHandler } = await import('../lib/webhook-events.js')
+const { BUILDS_COLLECTION } = await import('../lib/builds.js')
+const { BUILD_STATUS } = await import('../lib/build-lifecycle.js')
+
+beforeEach(() => {
+  collections.clear()
+  vi.clearAllMocks()
+})
+
+describe('Stripe invoice.payment_succeeded', () => {
+  it('marks the milestone paid on the build, records it and advances the build', async () => {
+    const build = { _id: new ObjectId(), status: BUILD_STATUS.SIGNED, payment: { method: 'card' } }
+    collection(BUILDS_COLLECTION).docs.push(build)
+
+    await getWebhookHandler('stripe')({
+      id: 'evt_1',
+      type: 'invoice.payment_succeeded',
+      data: { object: { id: 'in_1', amount_paid: 250000, payment_intent: 'pi_1', created: 1700000000, metadata: { buildId: String(build._id), milestone: 'deposit' } } },
+    })
+
+    const [filter, update] = collection(BUILDS_COLLECTION).updateOne.mock.calls[0]
+    expect(filter).toEqual({ _id: build._id })
+    expect(update.$set).toMatchObject({ 'payment.depositPaid': true, 'payment.depositAmount': 250000, 'payment.depositPaymentIntentId': 'pi_1' })
+    expect(recordPayment).toHaveBeenCalledWith(expect.objectContaining({ buildId: String(build._id), milestone: 'deposit', amount: 250000, externalId: 'pi_1' }))
+    expect(advanceBuild).toHaveBeenCalledWith(String(build._id), BUILD_STATUS.DEPOSIT_PAID)
+  })
+})
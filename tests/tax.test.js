@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Buffer } from 'node:buffer'
+import { calculateBuildPricing } from '../src/utils/pricing.js'
+
+const col = { updateOne: vi.fn(), createIndex: vi.fn() }
+vi.mock('../lib/db.js', () => ({
+  getDb: vi.fn(async () => ({ collection: () => col }))
+}))
+const settings = { pricing: { tax_rate_percent: 6.25, deposit_percent: 25, delivery_minimum: 0, title_fee_default: 500, setup_fee_default: 1000 } }
+vi.mock('../lib/settings.js', () => ({ getOrgSettings: vi.fn(async () => settings) }))
+vi.mock('../lib/builds.js', async () => {
+  const { calculateBuildPricing: price } = await import('../src/utils/pricing.js')
+  return { BUILDS_COLLECTION: 'builds', getBuildById: vi.fn(async id => ({ _id: id })), reprice: price }
+})
+const save = vi.fn(async ({ key }) => key)
+vi.mock('../lib/pdf/storage.js', () => ({
+  getDefaultStorage: () => ({ name: 'memory', save }),
+  getStorageAdapter: vi.fn(),
+}))
+
+const { reviewTaxExemption, selectTaxRate, submitTaxExemption, validateTaxRate } = await import('../lib/tax.js')
+
+const travis = validateTaxRate({ state: 'tx', county: 'Travis County', rate: 8.25, taxable: { delivery: false, setup: false }, taxableBasePercent: 65 }).rate
+const texas = validateTaxRate({ state: 'TX', rate: 6.25 }).rate
+
+const build = (extra = {}) => ({
+  _id: 'b1',
+  modelSlug: 'magnolia',
+  selections: {
+    basePrice: 10000,
+    options: [{ id: 'loft', name: 'Loft', price: 2000 }, { id: 'warranty', name: 'Extended Warranty', price: 1000, taxable: false }],
+  },
+  pricing: { delivery: 1500 },
+  ...extra,
+})
+
+describe('tax rate table', () => {
+  it('derives ids and defaults from state and county', () => {
+    expect(travis).toMatchObject({ id: 'TX-travis', state: 'TX', county: 'Travis', label: 'Travis County, TX', rate: 8.25, taxableBasePercent: 65 })
+    expect(travis.taxable).toEqual({ base: true, options: true, delivery: false, title: true, setup: false })
+    expect(texas).toMatchObject({ id: 'TX', county: null, taxableBasePercent: 100 })
+    expect(validateTaxRate({ state: 'Texas', rate: 6 }).error).toBe('invalid_tax_rate')
+    expect(validateTaxRate({ state: 'TX', rate: 30 }).error).toBe('invalid_tax_rate')
+  })
+
+  it('prefers the county row, then the state row', () => {
+    expect(selectTaxRate([texas, travis], { state: 'TX', county: 'travis' }).id).toBe('TX-travis')
+    expect(selectTaxRate([texas, travis], { state: 'tx', county: 'Dallas County' }).id).toBe('TX')
+    expect(selectTaxRate([texas, { ...travis, active: false }], { state: 'TX', county: 'Travis' }).id).toBe('TX')
+    expect(selectTaxRate([texas], { state: 'OK' })).toBeNull()
+  })
+})
+
+describe('jurisdiction tax in the pricing engine', () => {
+  it('uses the settings rate on every line without a jurisdiction, except untaxed options', () => {
+    const pricing = calculateBuildPricing(build(), settings)
+    expect(pricing.subtotal).toBe(16000)
+    expect(pricing.taxableAmount).toBe(15000)
+    expect(pricing.tax).toBe(937.5)
+    expect(pricing.lineItems.find(li => li.key === 'tax').label).toBe('Sales Tax (6.25%)')
+  })
+
+  it('applies per-line taxability and the partial taxable base', () => {
+    const pricing = calculateBuildPricing(build({ pricing: { delivery: 1500, taxJurisdiction: travis } }), settings)
+    // home 10000 + loft 2000 + title 500, taxed on 65%
+    expect(pricing.taxableAmount).toBe(8125)
+    expect(pricing.tax).toBe(670.31)
+    expect(pricing.total).toBe(16670.31)
+    expect(pricing.taxJurisdiction.id).toBe('TX-travis')
+    expect(pricing.lineItems.find(li => li.key === 'tax').label).toBe('Sales Tax (Travis County, TX 8.25%)')
+  })
+
+  it('charges no tax once an exemption is approved', () => {
+    expect(calculateBuildPricing(build({ taxExemption: { status: 'pending' } }), settings).tax).toBe(937.5)
+    const pricing = calculateBuildPricing(build({ taxExemption: { status: 'approved' } }), settings)
+    expect(pricing).toMatchObject({ tax: 0, taxRate: 0, taxExempt: true, total: 16000 })
+    expect(pricing.lineItems.find(li => li.key === 'tax').label).toBe('Sales Tax (exempt)')
+  })
+})
+
+describe('exemption certificates', () => {
+  const pdf = Buffer.from('%PDF-1.4 certificate').toString('base64')
+  const input = { certificateNumber: '01-339-42', issuingState: 'tx', reason: 'Resale', fileName: 'cert.pdf', data: pdf }
+
+  beforeEach(() => {
+    col.updateOne.mockReset()
+    save.mockClear()
+  })
+
+  it('stores the certificate as pending without removing tax', async () => {
+    await submitTaxExemption(build(), input, { userId: 'u1' })
+    expect(save.mock.calls[0][0].key).toMatch(/^builds\/b1\/tax-exemption-\d+\.pdf$/)
+    const { $set } = col.updateOne.mock.calls[0][1]
+    expect($set.taxExemption).toMatchObject({ status: 'pending', issuingState: 'TX', submittedBy: 'u1', certificate: { storage: 'memory', fileName: 'cert.pdf' } })
+    expect($set.pricing.tax).toBe(937.5)
+  })
+
+  it('rejects missing details and files that are not PDFs', async () => {
+    expect((await submitTaxExemption(build(), { ...input, certificateNumber: '' })).error).toBe('invalid_exemption')
+    expect((await submitTaxExemption(build(), { ...input, data: Buffer.from('GIF89a').toString('base64') })).error).toBe('invalid_exemption')
+    expect((await submitTaxExemption(build({ contract: { status: 'signed' } }), input)).error).toBe('build_signed')
+    expect(save).not.toHaveBeenCalled()
+  })
+
+  it('reprices without tax on approval and needs a note to reject', async () => {
+    const pending = build({ taxExemption: { status: 'pending', certificateNumber: '01-339-42' } })
+    expect((await reviewTaxExemption(pending, { decision: 'rejected' })).error).toBe('note_required')
+    await reviewTaxExemption(pending, { decision: 'approved' }, { userId: 'admin' })
+    const { $set } = col.updateOne.mock.calls[0][1]
+    expect($set.taxExemption).toMatchObject({ status: 'approved', reviewedBy: 'admin' })
+    expect($set.pricing.tax).toBe(0)
+  })
+})
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import crypto from 'node:crypto'
+import { Buffer } from 'node:buffer'
+
+const col = { findOneAndUpdate: vi.fn(), updateOne: vi.fn() }
+vi.mock('../lib/db.js', () => ({
+  getDb: vi.fn(async () => ({ collection: () => col }))
+}))
+
+const {
+  MAX_WEBHOOK_ATTEMPTS,
+  payloadEventId,
+  processWebhookEvent,
+  registerWebhookHandler,
+  retryDelayMs,
+  verifySvixSignature,
+} = await import('../lib/webhook-events.js')
+
+describe('webhook event helpers', () => {
+  it('backs off exponentially with a cap', () => {
+    expect(retryDelayMs(1)).toBe(60 * 1000)
+    expect(retryDelayMs(3)).toBe(4 * 60 * 1000)
+    expect(retryDelayMs(20)).toBe(6 * 60 * 60 * 1000)
+  })
+
+  it('derives the same id for the same payload', () => {
+    expect(payloadEventId({ a: 1 })).toBe(payloadEventId({ a: 1 }))
+    expect(payloadEventId({ a: 1 })).not.toBe(payloadEventId({ a: 2 }))
+    expect(payloadEventId({ a: 1 })).toMatch(/^sha256:[0-9a-f]{64}$/)
+  })
+
+  it('verifies Svix signatures', () => {
+    const secret = `whsec_${Buffer.from('test-secret').toString('base64')}`
+    const body = '{"type":"user.updated"}'
+    const now = 1700000000 * 1000
+    const headers = { 'svix-id': 'msg_1', 'svix-timestamp': '1700000000' }
+    const sig = crypto.createHmac('sha256', 'test-secret').update(`msg_1.1700000000.${body}`).digest('base64')
+
+    expect(verifySvixSignature(body, { ...headers, 'svix-signature': `v1,bogus v1,${sig}` }, secret, { now })).toBe(true)
+    expect(verifySvixSignature(`${body} `, { ...headers, 'svix-signature': `v1,${sig}` }, secret, { now })).toBe(false)
+    expect(verifySvixSignature(body, { ...headers, 'svix-signature': `v1,${sig}` }, secret, { now: now + 3600 * 1000 })).toBe(false)
+    expect(verifySvixSignature(body, { ...headers, 'svix-signature': `v1,${sig}` }, '', { now })).toBe(false)
+  })
+})
+
+describe('processWebhookEvent', () => {
+  const now = new Date('2025-01-01T00:00:00Z')
+  const stored = (attempts) => ({ _id: 'e1', provider: 'test', eventId: 'evt_1', payload: { n: 1 }, attempts })
+
+  beforeEach(() => {
+    col.findOneAndUpdate.mockReset()
+    col.updateOne.mockReset()
+  })
+
+  it('stores the handler result on success', async () => {
+    registerWebhookHandler('test', async (payload) => ({ seen: payload.n }))
+    col.findOneAndUpdate.mockResolvedValue(stored(1))
+    const result = await processWebhookEvent({ _id: 'e1' }, { now })
+    expect(result).toMatchObject({ status: 'processed', result: { seen: 1 } })
+    expect(col.updateOne.mock.calls[0][1].$set.status).toBe('processed')
+  })
+
+  it('schedules a retry, then dead-letters after the last attempt', async () => {
+    registerWebhookHandler('test', async () => { throw new Error('boom') })
+    col.findOneAndUpdate.mockResolvedValue(stored(2))
+    const failed = await processWebhookEvent({ _id: 'e1' }, { now })
+    expect(failed.status).toBe('failed')
+    expect(failed.nextAttemptAt.getTime()).toBe(now.getTime() + retryDelayMs(2))
+    expect(failed.lastError.message).toBe('boom')
+
+    col.findOneAndUpdate.mockResolvedValue(stored(MAX_WEBHOOK_ATTEMPTS))
+    const dead = await processWebhookEvent({ _id: 'e1' }, { now })
+    expect(dead).toMatchObject({ status: 'dead_letter', nextAttemptAt: null })
+  })
+
+  it('leaves events it cannot claim alone', async () => {
+    col.findOneAndUpdate.mockResolvedValue(null)
+    expect((await processWebhookEvent({ _id: 'e1' }, { now })).error).toBe('not_claimable')
+    expect(col.updateOne).not.toHaveBeenCalled()
+  })
+})